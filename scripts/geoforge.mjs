@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+// ================================================================
+// GeoForge System - ヘッドレス CLI
+// ================================================================
+// ブラウザを介さずに世界生成パイプラインを実行し、BlockManager.load が読み込む
+// map_EE_NN.json (またはバイナリ形式の map_EE_NN.gfb) を書き出す。TypeScript のソースは Vite のモジュールランナーで直接読み込む。
+//
+// 使い方:
+//   geoforge generate [--seed <数値>] [--recipe <レシピ>] [--out <ディレクトリ>] [--all-blocks] [--benchmark] [--format json|binary]
+//   geoforge convert-blocks [--in <ディレクトリ>] [--out <ディレクトリ>]
+//   geoforge validate [--in <ディレクトリ|世界のファイル>] [--report <ファイル|->]
+//   geoforge import-terrain --bbox <南,西,北,東> (--dem <ファイル> | --gsi-tiles <ディレクトリ>) (--stations <CSV> | --climate-temp <ファイル> --climate-precip <ファイル>) [--origin <EE,NN>] [--out <ディレクトリ>]
+//   npm run generate -- --seed 1234 --out src/public/map
+//   npm run generate -- --recipe recipe.json
+//   npm run generate -- --seed 1234 --benchmark
+//   npm run generate -- --seed 1234 --format binary
+//   npm run convert-blocks -- --in src/public/map
+//   npm run validate -- --in src/public/map --report report.json
+//   npm run import-terrain -- --bbox 30,129,46,146 --gsi-tiles ./dem --stations stations.csv --out src/public/map
+
+import { mkdir, readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { inflateSync } from 'node:zlib';
+import { runnerImport } from 'vite';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_OUT_DIR = 'src/public/map';
+
+const USAGE = `使い方: geoforge <コマンド> [オプション]
+
+コマンド:
+  generate              世界を生成し、ブロックファイル (map_EE_NN.json) を書き出す (書き出す前に validate と同じ検査をし、エラーがあれば終了コード 1)
+  convert-blocks        JSON 形式のブロックファイルをバイナリ形式 (map_EE_NN.gfb) に変換する (元のファイルは残す)
+  validate              ブロックファイルの集まり、または保存した世界のファイルの整合性を検査する (問題があれば終了コード 1)
+  import-terrain        手元の標高・気候のファイルから実在の地域のブロックファイル (map_EE_NN.json) を作る (通信しない)
+
+オプション:
+  --seed <数値>         乱数シード (省略時は現在時刻。--recipe と併用するとレシピのシード値を置き換える)
+  --recipe <レシピ>     世界のレシピ。JSON ファイル、共有リンク、またはリンクの recipe= の値
+  --out <ディレクトリ>  出力先 (既定: generate は ${DEFAULT_OUT_DIR}、convert-blocks は --in と同じ)
+  --in <ディレクトリ>   convert-blocks の変換元、validate の検査対象 (既定: ${DEFAULT_OUT_DIR})
+                        validate ではブロックファイル1つや、保存した世界のファイル (compressWorldData の JSON) も指定できる
+  --format <形式>       generate の書き出し形式。json (既定) または binary (.gfb)
+  --all-blocks          世界の範囲外 (ダミーの海) だけのブロックも書き出す
+  --benchmark           生成の工程ごとの所要時間と、道路網の規模 (レベルごとの本数) を表示する
+  --report <ファイル>   validate の結果 (JSON) の書き出し先。- を指定すると標準出力に書き出す
+
+import-terrain のオプション:
+  --bbox <南,西,北,東>  取り込む範囲の緯度・経度 (度。南緯・西経は負)
+  --dem <ファイル>      標高の GeoTIFF (.tif / .tiff) または ESRI ASCII グリッド (.asc)
+  --gsi-tiles <ディレクトリ>  地理院の標高タイル (テキスト形式) を {z}/{x}/{y}.txt の形で置いたディレクトリ
+  --gsi-zoom <数値>     標高タイルのズームレベル (既定: config.REAL_TERRAIN_PARAMS.GSI_ZOOM)
+  --stations <CSV>      気候の観測点 (列: name, lat, lon, elev, temp, precip)。標高の補正つきで距離の重みで補間する
+  --climate-temp <ファイル>    年平均気温 (℃) のグリッド (GeoTIFF / ASCII)。--climate-precip と組で指定する
+  --climate-precip <ファイル>  年降水量 (mm) のグリッド (GeoTIFF / ASCII)
+  --climate-elevation <ファイル>  気候グリッドの標高 (指定するとヘックスとの標高差を気温減率で補正する)
+  --origin <EE,NN>      範囲の南西の角を置くブロック (省略時は経度 0 度を EE 0、赤道を NN 50 とする地球全体の対応)
+  --all-blocks          海だけのブロックも書き出す
+  -h, --help            このヘルプを表示する`;
+
+/**
+ * コマンドライン引数を解析する
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{command: string|null, seed: number|null, recipe: string|null, out: string|null, in: string, format: string, report: string|null, allBlocks: boolean, benchmark: boolean, help: boolean,
+ *   bbox: {south: number, west: number, north: number, east: number}|null, dem: string|null, gsiTiles: string|null, gsiZoom: number|null,
+ *   stations: string|null, climateTemp: string|null, climatePrecip: string|null, climateElevation: string|null, origin: {ee: number, nn: number}|null}}
+ */
+function parseArgs(argv) {
+    const args = {
+        command: null, seed: null, recipe: null, out: null, in: DEFAULT_OUT_DIR, format: 'json', report: null, allBlocks: false, benchmark: false, help: false,
+        bbox: null, dem: null, gsiTiles: null, gsiZoom: null, stations: null, climateTemp: null, climatePrecip: null, climateElevation: null, origin: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--seed': {
+                const value = Number(argv[++i]);
+                if (!Number.isFinite(value)) throw new Error('--seed には数値を指定してください。');
+                args.seed = value;
+                break;
+            }
+            case '--recipe':
+                if (!argv[i + 1]) throw new Error('--recipe にはレシピの JSON ファイルか共有リンクを指定してください。');
+                args.recipe = argv[++i];
+                break;
+            case '--out':
+                if (!argv[i + 1]) throw new Error('--out には出力先ディレクトリを指定してください。');
+                args.out = argv[++i];
+                break;
+            case '--in':
+                if (!argv[i + 1]) throw new Error('--in には変換元ディレクトリを指定してください。');
+                args.in = argv[++i];
+                break;
+            case '--format':
+                if (!['json', 'binary'].includes(argv[i + 1])) throw new Error('--format には json か binary を指定してください。');
+                args.format = argv[++i];
+                break;
+            case '--report':
+                if (!argv[i + 1]) throw new Error('--report には書き出し先のファイル (標準出力は -) を指定してください。');
+                args.report = argv[++i];
+                break;
+            case '--bbox': {
+                const values = String(argv[++i] ?? '').split(',').map(Number);
+                if (values.length !== 4 || !values.every(Number.isFinite)) throw new Error('--bbox には 南,西,北,東 の緯度・経度を指定してください。');
+                const [south, west, north, east] = values;
+                if (!(south < north) || !(west < east)) throw new Error('--bbox は 南 < 北、西 < 東 で指定してください。');
+                args.bbox = { south, west, north, east };
+                break;
+            }
+            case '--dem':
+            case '--gsi-tiles':
+            case '--stations':
+            case '--climate-temp':
+            case '--climate-precip':
+            case '--climate-elevation': {
+                if (!argv[i + 1]) throw new Error(`${arg} にはファイルかディレクトリを指定してください。`);
+                const key = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+                args[key] = argv[++i];
+                break;
+            }
+            case '--gsi-zoom': {
+                const value = Number(argv[++i]);
+                if (!Number.isInteger(value) || value < 0) throw new Error('--gsi-zoom には 0 以上の整数を指定してください。');
+                args.gsiZoom = value;
+                break;
+            }
+            case '--origin': {
+                const values = String(argv[++i] ?? '').split(',').map(Number);
+                if (values.length !== 2 || !values.every(Number.isInteger)) throw new Error('--origin には EE,NN のブロック番号を指定してください。');
+                args.origin = { ee: values[0], nn: values[1] };
+                break;
+            }
+            case '--all-blocks':
+                args.allBlocks = true;
+                break;
+            case '--benchmark':
+                args.benchmark = true;
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') || args.command) throw new Error(`不明な引数です: ${arg}`);
+                args.command = arg;
+        }
+    }
+    return args;
+}
+
+/**
+ * ブラウザ版の addLogMessage に相当するログ出力関数
+ * id 付きのメッセージ (進捗バー) は、端末上では同じ行を書き換える。
+ */
+function createLogger() {
+    let progressLineOpen = false;
+    return async (message, id = null) => {
+        if (id && process.stdout.isTTY) {
+            process.stdout.write(`\r\x1b[K・ ${message}`);
+            progressLineOpen = true;
+            return;
+        }
+        if (progressLineOpen) {
+            process.stdout.write('\n');
+            progressLineOpen = false;
+        }
+        console.log(`・ ${message}`);
+    };
+}
+
+/**
+ * --recipe の値 (JSON ファイル・共有リンク・リンクの recipe= の値) をレシピにする
+ * @param {Object} pipeline - worldPipeline.ts のモジュール
+ * @param {string} value
+ */
+async function readRecipe(pipeline, value) {
+    if (value.trim().endsWith('.json')) {
+        return pipeline.validateRecipe(JSON.parse(await readFile(path.resolve(process.cwd(), value), 'utf8')));
+    }
+    if (/^https?:\/\//.test(value)) {
+        const encoded = new URL(value).searchParams.get('recipe');
+        if (!encoded) throw new Error('共有リンクにレシピ (recipe=) が含まれていません。');
+        return pipeline.decodeRecipe(encoded);
+    }
+    return pipeline.decodeRecipe(value);
+}
+
+/**
+ * generate コマンド: 世界を生成してブロックファイルを書き出す
+ */
+async function runGenerate(args) {
+    const outDir = path.resolve(process.cwd(), args.out ?? DEFAULT_OUT_DIR);
+
+    const { module: pipeline } = await runnerImport(path.join(ROOT_DIR, 'src/worldPipeline.ts'), {
+        configFile: false,
+        root: ROOT_DIR,
+        logLevel: 'error'
+    });
+
+    let recipeOrSeed = args.seed ?? Date.now();
+    if (args.recipe) {
+        const recipe = await readRecipe(pipeline, args.recipe);
+        if (args.seed !== null) recipe.seed = args.seed;
+        recipeOrSeed = recipe;
+    }
+
+    const addLogMessage = createLogger();
+    if (args.benchmark) pipeline.startPassTimings();
+    const worldData = await pipeline.generateWorld(recipeOrSeed, addLogMessage);
+    const seed = worldData.seed;
+    if (args.benchmark) printBenchmark(pipeline.stopPassTimings(), worldData);
+
+    await addLogMessage('世界データをブロックに分割しています...');
+    const blockFiles = pipeline.exportWorldBlocks(worldData, { skipEmptyBlocks: !args.allBlocks });
+
+    await mkdir(outDir, { recursive: true });
+    for (const { filename, payload } of blockFiles) {
+        if (args.format === 'binary') {
+            await writeFile(path.join(outDir, filename.replace(/\.json$/, '.gfb')), pipeline.encodeBlockFile(payload));
+        } else {
+            await writeFile(path.join(outDir, filename), JSON.stringify(payload));
+        }
+    }
+
+    await addLogMessage(`${blockFiles.length}個のブロックファイルを ${outDir} に書き出しました (シード: ${seed})。`);
+
+    // 書き出したブロックが validate の検査 (地図の読み込みと同じ並び) を通るか確かめる。範囲外だけのブロックは除く
+    const validated = args.allBlocks ? pipeline.exportWorldBlocks(worldData, { skipEmptyBlocks: true }) : blockFiles;
+    const report = pipeline.validateBlocks(validated.map(({ payload }) => ({ blockId: payload.id, data: payload })));
+    printValidationSummary(report, null);
+    if (report.summary.errors > 0) {
+        console.log('・ 書き出したブロックに問題があります。詳細は validate --report で確認してください。');
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * convert-blocks コマンド: JSON 形式のブロックファイル (map_*.json) をバイナリ形式 (map_*.gfb) に変換する
+ * 元の JSON ファイルは残す (BlockManager は .gfb を優先して読み込む)。
+ */
+async function runConvertBlocks(args) {
+    const inDir = path.resolve(process.cwd(), args.in);
+    const outDir = path.resolve(process.cwd(), args.out ?? args.in);
+
+    const { module: blockBinary } = await runnerImport(path.join(ROOT_DIR, 'src/BlockBinary.ts'), {
+        configFile: false,
+        root: ROOT_DIR,
+        logLevel: 'error'
+    });
+
+    const filenames = (await readdir(inDir)).filter(name => /^map_.*\.json$/.test(name)).sort();
+    if (filenames.length === 0) {
+        console.log(`・ ${inDir} に変換するブロックファイル (map_*.json) がありません。`);
+        return;
+    }
+
+    await mkdir(outDir, { recursive: true });
+    let jsonBytes = 0;
+    let binaryBytes = 0;
+    for (const filename of filenames) {
+        const text = await readFile(path.join(inDir, filename), 'utf8');
+        const encoded = blockBinary.encodeBlockFile(JSON.parse(text));
+        await writeFile(path.join(outDir, filename.replace(/\.json$/, '.gfb')), encoded);
+        jsonBytes += Buffer.byteLength(text);
+        binaryBytes += encoded.length;
+    }
+
+    const toMB = bytes => (bytes / 1024 / 1024).toFixed(1);
+    console.log(`・ ${filenames.length}個のブロックファイルを ${outDir} に変換しました (${toMB(jsonBytes)} MB → ${toMB(binaryBytes)} MB)。`);
+}
+
+/**
+ * validate コマンド: ブロックファイルの集まり、または保存した世界のファイルの整合性を検査する
+ * ディレクトリでは map_*.gfb を優先し (BlockManager と同じ)、無いブロックは map_*.json を読む。
+ */
+async function runValidate(args) {
+    const target = path.resolve(process.cwd(), args.in);
+
+    const { module: validator } = await runnerImport(path.join(ROOT_DIR, 'src/worldValidator.ts'), {
+        configFile: false,
+        root: ROOT_DIR,
+        logLevel: 'error'
+    });
+
+    const readBlock = async file => file.endsWith('.gfb') ? readFile(file) : JSON.parse(await readFile(file, 'utf8'));
+
+    let report;
+    if ((await stat(target)).isDirectory()) {
+        const files = new Map();
+        (await readdir(target)).sort().forEach(name => {
+            const match = /^(map_.*)\.(json|gfb)$/.exec(name);
+            if (match && (match[2] === 'gfb' || !files.has(match[1]))) files.set(match[1], name);
+        });
+        const entries = [];
+        for (const [blockId, name] of files) {
+            entries.push({ blockId, data: await readBlock(path.join(target, name)) });
+        }
+        report = validator.validateBlocks(entries);
+    } else {
+        const data = await readBlock(target);
+        const blockId = path.basename(target).replace(/\.(json|gfb)$/, '');
+        // ブロックファイルは id を持ち、世界のファイル (compressWorldData) は持たない
+        report = target.endsWith('.gfb') || data.id
+            ? validator.validateBlocks([{ blockId, data }])
+            : validator.validateWorld(data);
+    }
+
+    const output = { target, generatedAt: new Date().toISOString(), ...report };
+    if (args.report === '-') {
+        process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+    } else {
+        if (args.report) await writeFile(path.resolve(process.cwd(), args.report), JSON.stringify(output, null, 2));
+        printValidationSummary(output, args.report);
+    }
+    if (report.summary.errors > 0) process.exitCode = 1;
+}
+
+/**
+ * validate の結果の要約を表示する
+ */
+function printValidationSummary(report, reportPath) {
+    const { summary } = report;
+    const scope = report.kind === 'world' ? '世界' : `${report.blocks}個のブロック`;
+    console.log(`・ ${scope} (${report.hexes}ヘックス) を検査しました: エラー ${summary.errors}件、警告 ${summary.warnings}件`);
+    Object.entries(summary.checks).forEach(([check, { checked, issues }]) => {
+        console.log(`    ${check.padEnd(10)} 検査 ${String(checked).padStart(7)}  問題 ${String(issues).padStart(6)}`);
+    });
+    if (summary.unresolvedReferences > 0) {
+        console.log(`・ 読み込んでいないブロックを指す参照 ${summary.unresolvedReferences}件は確かめられませんでした。`);
+    }
+    if (reportPath) console.log(`・ 結果を ${path.resolve(process.cwd(), reportPath)} に書き出しました。`);
+}
+
+// 道路レベルの表示名 (--benchmark の道路網の規模)
+const ROAD_LEVEL_LABELS = { 6: '通商路', 5: '交易路', 4: '街道', 3: '町道', 2: '村道', 10: '航路' };
+
+/**
+ * --benchmark の結果を表示する
+ * 工程は開始順に並べ、ほかの工程の途中で行われた工程 (道路網の建設の中の交易路など) は字下げする。
+ * @param {Array<{pass: string, label: string, startMs: number, elapsedMs: number}>} timings - 工程ごとの所要時間
+ * @param {Object} worldData - 生成された世界データ
+ */
+function printBenchmark(timings, worldData) {
+    const rows = timings.map(timing => {
+        const depth = timings.filter(outer => outer !== timing &&
+            outer.startMs <= timing.startMs && timing.startMs + timing.elapsedMs <= outer.startMs + outer.elapsedMs).length;
+        return { name: `${'  '.repeat(depth)}${timing.label} (${timing.pass})`, seconds: (timing.elapsedMs / 1000).toFixed(2) };
+    });
+    // 全角文字は端末で2文字分の幅になる
+    const displayWidth = text => [...text].reduce((sum, char) => sum + (char.charCodeAt(0) > 0xff ? 2 : 1), 0);
+    const width = Math.max(...rows.map(row => displayWidth(row.name)));
+    const secondsWidth = Math.max(...rows.map(row => row.seconds.length));
+
+    console.log('');
+    console.log(`ベンチマーク (${worldData.allHexes.cols}×${worldData.allHexes.rows} ヘックス)`);
+    rows.forEach(row => console.log(`  ${row.name}${' '.repeat(width - displayWidth(row.name))}  ${row.seconds.padStart(secondsWidth)} 秒`));
+
+    const counts = new Map();
+    (worldData.roadPaths || []).forEach(road => counts.set(road.level, (counts.get(road.level) || 0) + 1));
+    const roads = [...counts.keys()].sort((a, b) => (a === 10) - (b === 10) || b - a)
+        .map(level => `${ROAD_LEVEL_LABELS[level] || `レベル${level}`} ${counts.get(level)}本`);
+    console.log(`  道路網: ${roads.join(' / ') || 'なし'}`);
+    console.log('');
+}
+
+/**
+ * import-terrain コマンド: 手元の標高・気候のファイルから実在の地域のブロックファイルを作る
+ * 標高と気候の読み方は terrainSources.ts、ブロックの割り当てとヘックスの組み立ては DataGenerator.ts (ブラウザ版の日本の生成と共通)。
+ */
+async function runImportTerrain(args) {
+    if (!args.bbox) throw new Error('import-terrain には --bbox を指定してください。');
+    if (!args.dem === !args.gsiTiles) throw new Error('標高は --dem か --gsi-tiles のどちらか一方を指定してください。');
+    if (!args.stations === !(args.climateTemp || args.climatePrecip)) {
+        throw new Error('気候は --stations か --climate-temp / --climate-precip のどちらか一方を指定してください。');
+    }
+    if (!args.stations && !(args.climateTemp && args.climatePrecip)) {
+        throw new Error('--climate-temp と --climate-precip は組で指定してください。');
+    }
+    const outDir = path.resolve(process.cwd(), args.out ?? DEFAULT_OUT_DIR);
+
+    const runnerOptions = { configFile: false, root: ROOT_DIR, logLevel: 'error' };
+    const { module: sources } = await runnerImport(path.join(ROOT_DIR, 'src/terrainSources.ts'), runnerOptions);
+    const { module: generatorModule } = await runnerImport(path.join(ROOT_DIR, 'src/DataGenerator.ts'), runnerOptions);
+
+    // ラスター (GeoTIFF / ASCII グリッド) は拡張子で読み分ける
+    const readRaster = async file => {
+        const filePath = path.resolve(process.cwd(), file);
+        if (/\.tiff?$/i.test(filePath)) {
+            return sources.parseGeoTiff(new Uint8Array(await readFile(filePath)), { inflate: data => new Uint8Array(inflateSync(data)) });
+        }
+        return sources.parseAsciiGrid(await readFile(filePath, 'utf8'));
+    };
+
+    let elevation;
+    if (args.dem) {
+        elevation = sources.createRasterElevationSource(await readRaster(args.dem));
+    } else {
+        const tileDir = path.resolve(process.cwd(), args.gsiTiles);
+        elevation = sources.createGsiTileSource({
+            zoom: args.gsiZoom ?? undefined,
+            loadTile: async (z, x, y) => {
+                try {
+                    return await readFile(path.join(tileDir, String(z), String(x), `${y}.txt`), 'utf8');
+                } catch {
+                    return null; // 置いていないタイルは海とする
+                }
+            }
+        });
+    }
+
+    let climate;
+    if (args.stations) {
+        const stations = sources.parseClimateStationsCsv(await readFile(path.resolve(process.cwd(), args.stations), 'utf8'));
+        climate = sources.createStationClimateSource(stations);
+    } else {
+        climate = sources.createGridClimateSource(await readRaster(args.climateTemp), await readRaster(args.climatePrecip), {
+            elevationRaster: args.climateElevation ? await readRaster(args.climateElevation) : undefined
+        });
+    }
+
+    const generator = new generatorModule.DataGenerator();
+    const addLogMessage = createLogger();
+    generator.progressCallback = (message, current, total) => {
+        addLogMessage(total ? `ブロックを作成しています... ${current}/${total} (${message})` : message, total ? 'import-terrain' : null);
+    };
+
+    const projection = args.origin
+        ? generatorModule.createAnchoredProjection(args.bbox, args.origin.ee, args.origin.nn)
+        : generatorModule.getGlobalProjection();
+
+    await mkdir(outDir, { recursive: true });
+    const result = await generator.generateRegion({
+        bounds: args.bbox,
+        projection,
+        elevation,
+        climate,
+        includeOceanBlocks: args.allBlocks
+    }, async (fileName, data) => {
+        await writeFile(path.join(outDir, fileName), JSON.stringify(data));
+    });
+
+    await addLogMessage(`${result.written}個のブロックファイルを ${outDir} に書き出しました (海だけのブロック: ${result.skipped}個)。`);
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    if (args.help || !args.command) {
+        console.log(USAGE);
+        return;
+    }
+
+    switch (args.command) {
+        case 'generate':
+            await runGenerate(args);
+            break;
+        case 'convert-blocks':
+            await runConvertBlocks(args);
+            break;
+        case 'validate':
+            await runValidate(args);
+            break;
+        case 'import-terrain':
+            await runImportTerrain(args);
+            break;
+        default:
+            console.error(`不明なコマンドです: ${args.command}`);
+            console.error(USAGE);
+            process.exit(1);
+    }
+}
+
+main().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,170 @@
+// ================================================================
+// GeoForge System - ワールドサーバー データベースアクセス
+// ================================================================
+
+import { readFile } from 'node:fs/promises';
+import pg from 'pg';
+
+const { Pool } = pg;
+
+/**
+ * 世界・リビジョン・ブロックを PostgreSQL に保存するリポジトリを作成する
+ * @param {string} connectionString - PostgreSQL の接続文字列 (DATABASE_URL)
+ */
+export function createWorldStore(connectionString) {
+    const pool = new Pool({ connectionString });
+
+    /**
+     * 名前とリビジョン指定 ('latest' または数値) から world_revisions の行を探す
+     * @param {boolean} [withWorld=false] - 世界データ本体 (JSONB) も取得するかどうか
+     */
+    async function findRevision(client, name, revision, withWorld = false) {
+        const params = [name];
+        let condition = '';
+        if (revision !== 'latest') {
+            params.push(revision);
+            condition = 'AND r.revision = $2';
+        }
+        const { rows } = await client.query(
+            `SELECT r.id, r.revision, r.seed, r.comment, r.created_at${withWorld ? ', r.world' : ''}
+               FROM world_revisions r
+               JOIN worlds w ON w.id = r.world_id
+              WHERE w.name = $1 ${condition}
+              ORDER BY r.revision DESC
+              LIMIT 1`,
+            params
+        );
+        return rows[0] || null;
+    }
+
+    return {
+        /**
+         * スキーマ (schema.sql) を適用する。起動時に一度呼び出す。
+         */
+        async ensureSchema() {
+            const sql = await readFile(new URL('./schema.sql', import.meta.url), 'utf8');
+            await pool.query(sql);
+        },
+
+        /**
+         * 保存済みの世界の一覧 (最新リビジョン番号つき)
+         */
+        async listWorlds() {
+            const { rows } = await pool.query(
+                `SELECT w.name, w.updated_at, latest.revision, latest.seed
+                   FROM worlds w
+                   JOIN LATERAL (
+                        SELECT revision, seed FROM world_revisions
+                         WHERE world_id = w.id ORDER BY revision DESC LIMIT 1
+                   ) latest ON true
+                  ORDER BY w.updated_at DESC`
+            );
+            return rows.map(row => ({
+                name: row.name,
+                latestRevision: row.revision,
+                updatedAt: row.updated_at,
+                seed: row.seed !== null ? Number(row.seed) : undefined
+            }));
+        },
+
+        /**
+         * 指定した世界のリビジョン一覧 (新しい順)。世界が存在しない場合は null。
+         */
+        async listRevisions(name) {
+            const { rows } = await pool.query(
+                `SELECT r.revision, r.seed, r.comment, r.created_at,
+                        (SELECT count(*) FROM world_blocks b WHERE b.revision_id = r.id) AS block_count
+                   FROM world_revisions r
+                   JOIN worlds w ON w.id = r.world_id
+                  WHERE w.name = $1
+                  ORDER BY r.revision DESC`,
+                [name]
+            );
+            if (rows.length === 0) return null;
+            return rows.map(row => ({
+                revision: row.revision,
+                createdAt: row.created_at,
+                seed: row.seed !== null ? Number(row.seed) : undefined,
+                comment: row.comment,
+                blockCount: Number(row.block_count)
+            }));
+        },
+
+        /**
+         * 新しいリビジョンとして世界を保存する (世界が未登録なら作成する)
+         * 世界の行をロックして採番するため、同じ世界への同時保存でもリビジョン番号は重複しない。
+         * @param {string} name - 世界名
+         * @param {{comment?: string, world: object, blocks?: Array<{id: string, payload: object}>}} data
+         * @returns {Promise<{name: string, revision: number, blockCount: number}>}
+         */
+        async saveRevision(name, { comment = '', world, blocks = [] }) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const { rows: [worldRow] } = await client.query(
+                    `INSERT INTO worlds (name) VALUES ($1)
+                     ON CONFLICT (name) DO UPDATE SET updated_at = now()
+                     RETURNING id`,
+                    [name]
+                );
+                const { rows: [{ next }] } = await client.query(
+                    'SELECT COALESCE(MAX(revision), 0) + 1 AS next FROM world_revisions WHERE world_id = $1',
+                    [worldRow.id]
+                );
+                const { rows: [revisionRow] } = await client.query(
+                    `INSERT INTO world_revisions (world_id, revision, seed, comment, world)
+                     VALUES ($1, $2, $3, $4, $5)
+                     RETURNING id, revision`,
+                    [worldRow.id, next, world.seed ?? null, comment, world]
+                );
+                for (const block of blocks) {
+                    await client.query(
+                        'INSERT INTO world_blocks (revision_id, block_id, payload) VALUES ($1, $2, $3)',
+                        [revisionRow.id, block.id, block.payload]
+                    );
+                }
+                await client.query('COMMIT');
+                return { name, revision: revisionRow.revision, blockCount: blocks.length };
+            } catch (e) {
+                await client.query('ROLLBACK');
+                throw e;
+            } finally {
+                client.release();
+            }
+        },
+
+        /**
+         * 指定したリビジョンの世界データ。見つからない場合は null。
+         * @param {string} name - 世界名
+         * @param {number|'latest'} revision - リビジョン番号
+         */
+        async getRevision(name, revision) {
+            const row = await findRevision(pool, name, revision, true);
+            if (!row) return null;
+            return {
+                name,
+                revision: row.revision,
+                createdAt: row.created_at,
+                comment: row.comment,
+                world: row.world
+            };
+        },
+
+        /**
+         * 指定したリビジョンのブロックデータ。見つからない場合は null。
+         */
+        async getBlock(name, revision, blockId) {
+            const row = await findRevision(pool, name, revision);
+            if (!row) return null;
+            const { rows } = await pool.query(
+                'SELECT payload FROM world_blocks WHERE revision_id = $1 AND block_id = $2',
+                [row.id, blockId]
+            );
+            return rows[0] ? rows[0].payload : null;
+        },
+
+        async close() {
+            await pool.end();
+        }
+    };
+}
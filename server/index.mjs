@@ -0,0 +1,142 @@
+// ================================================================
+// GeoForge System - ワールドサーバー (Express + PostgreSQL)
+// ================================================================
+// 名前付きの世界をリビジョン単位で保存・取得する API。ビルド済みの dist/ があれば静的配信も行う。
+//
+// 環境変数:
+//   DATABASE_URL       - PostgreSQL の接続文字列 (必須)
+//   WORLD_SERVER_PORT  - 待ち受けポート (既定: 3000)
+//
+// API:
+//   GET  /api/worlds                                      世界の一覧
+//   GET  /api/worlds/:name/revisions                      リビジョンの一覧
+//   POST /api/worlds/:name/revisions                      新しいリビジョンとして保存 { comment, world, blocks }
+//   GET  /api/worlds/:name/revisions/:revision            世界データ (revision は数値または latest)
+//   GET  /api/worlds/:name/revisions/:revision/blocks/:id ブロックデータ (map_EE_NN.json と同じ形式)
+
+import 'dotenv/config';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import express from 'express';
+import { createWorldStore } from './db.mjs';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const PORT = Number(process.env.WORLD_SERVER_PORT || 3000);
+
+// 世界名・ブロックIDとして受け付ける文字列
+const WORLD_NAME_PATTERN = /^[^\/\\]{1,100}$/;
+const BLOCK_ID_PATTERN = /^map_\d+_\d+$/;
+
+/**
+ * 400 / 404 などを返すためのエラー
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * URL パラメータのリビジョン指定を解析する ('latest' または 1 以上の整数)
+ */
+function parseRevision(value) {
+    if (value === 'latest') return 'latest';
+    const revision = Number(value);
+    if (!Number.isInteger(revision) || revision < 1) {
+        throw new HttpError(400, `不正なリビジョン指定です: ${value}`);
+    }
+    return revision;
+}
+
+function validateWorldName(name) {
+    if (!WORLD_NAME_PATTERN.test(name)) throw new HttpError(400, '世界名は1～100文字で、/ や \\ を含めないでください。');
+    return name;
+}
+
+/**
+ * API ルーターを作成する
+ * @param {ReturnType<typeof createWorldStore>} store
+ */
+export function createApiRouter(store) {
+    const router = express.Router();
+    router.use(express.json({ limit: '100mb' }));
+
+    router.get('/worlds', async (req, res) => {
+        res.json({ worlds: await store.listWorlds() });
+    });
+
+    router.get('/worlds/:name/revisions', async (req, res) => {
+        const revisions = await store.listRevisions(validateWorldName(req.params.name));
+        if (!revisions) throw new HttpError(404, `世界「${req.params.name}」は存在しません。`);
+        res.json({ revisions });
+    });
+
+    router.post('/worlds/:name/revisions', async (req, res) => {
+        const name = validateWorldName(req.params.name);
+        const { comment, world, blocks } = req.body || {};
+        if (!world || !Array.isArray(world.hexes)) {
+            throw new HttpError(400, 'world には compressWorldData() の圧縮データを指定してください。');
+        }
+        if (blocks !== undefined && (!Array.isArray(blocks) || blocks.some(b => !b || !BLOCK_ID_PATTERN.test(b.id) || !b.payload))) {
+            throw new HttpError(400, 'blocks は { id: "map_EE_NN", payload } の配列で指定してください。');
+        }
+        // 同じブロックIDが複数あると、保存時に一意制約の違反 (500) になるため先に断る
+        const duplicateId = blocks?.map(b => b.id).find((id, i, ids) => ids.indexOf(id) !== i);
+        if (duplicateId) throw new HttpError(400, `blocks のブロックID ${duplicateId} が重複しています。`);
+        const result = await store.saveRevision(name, { comment: typeof comment === 'string' ? comment : '', world, blocks });
+        res.status(201).json(result);
+    });
+
+    router.get('/worlds/:name/revisions/:revision', async (req, res) => {
+        const revision = await store.getRevision(validateWorldName(req.params.name), parseRevision(req.params.revision));
+        if (!revision) throw new HttpError(404, `世界「${req.params.name}」のリビジョン ${req.params.revision} は存在しません。`);
+        res.json(revision);
+    });
+
+    router.get('/worlds/:name/revisions/:revision/blocks/:blockId', async (req, res) => {
+        if (!BLOCK_ID_PATTERN.test(req.params.blockId)) throw new HttpError(400, `不正なブロックIDです: ${req.params.blockId}`);
+        const payload = await store.getBlock(validateWorldName(req.params.name), parseRevision(req.params.revision), req.params.blockId);
+        if (!payload) throw new HttpError(404, `ブロック ${req.params.blockId} は保存されていません。`);
+        res.json(payload);
+    });
+
+    // エラー応答は常に { error } 形式の JSON で返す (StorageAdapter がメッセージを表示する)
+    router.use((err, req, res, next) => {
+        const status = err.status || (err.type === 'entity.too.large' ? 413 : 500);
+        if (status === 500) console.error('[WorldServer]', err);
+        res.status(status).json({ error: status === 500 ? 'サーバー内部エラーが発生しました。' : err.message });
+    });
+
+    return router;
+}
+
+async function main() {
+    if (!process.env.DATABASE_URL) {
+        console.error('DATABASE_URL が設定されていません。.env または環境変数で PostgreSQL の接続文字列を指定してください。');
+        process.exit(1);
+    }
+
+    const store = createWorldStore(process.env.DATABASE_URL);
+    await store.ensureSchema();
+
+    const app = express();
+    app.use('/api', createApiRouter(store));
+    if (existsSync(DIST_DIR)) {
+        app.use(express.static(DIST_DIR));
+    }
+
+    app.listen(PORT, () => {
+        console.log(`[WorldServer] http://localhost:${PORT} で待ち受けています。`);
+    });
+}
+
+// 直接実行された場合のみ起動する (createApiRouter を他から読み込めるようにするため)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(e => {
+        console.error(e);
+        process.exit(1);
+    });
+}
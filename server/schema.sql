@@ -0,0 +1,32 @@
+-- ================================================================
+-- GeoForge System - ワールドサーバー スキーマ
+-- ================================================================
+-- サーバー起動時に毎回実行されるため、すべて IF NOT EXISTS で記述する。
+
+-- 名前付きの世界
+CREATE TABLE IF NOT EXISTS worlds (
+    id          SERIAL PRIMARY KEY,
+    name        TEXT NOT NULL UNIQUE,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- 保存ごとのリビジョン (compressWorldData の圧縮データを丸ごと保持する)
+CREATE TABLE IF NOT EXISTS world_revisions (
+    id          SERIAL PRIMARY KEY,
+    world_id    INTEGER NOT NULL REFERENCES worlds(id) ON DELETE CASCADE,
+    revision    INTEGER NOT NULL,
+    seed        BIGINT,
+    comment     TEXT NOT NULL DEFAULT '',
+    world       JSONB NOT NULL,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (world_id, revision)
+);
+
+-- リビジョンごとのブロックデータ (BlockManager.load が読み込む map_EE_NN.json と同じ形式)
+CREATE TABLE IF NOT EXISTS world_blocks (
+    revision_id INTEGER NOT NULL REFERENCES world_revisions(id) ON DELETE CASCADE,
+    block_id    TEXT NOT NULL,
+    payload     JSONB NOT NULL,
+    PRIMARY KEY (revision_id, block_id)
+);
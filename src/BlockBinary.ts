@@ -0,0 +1,351 @@
+// ================================================================
+// GeoForge System - バイナリ形式のブロックファイル (map_EE_NN.gfb)
+// ================================================================
+// createBlockFile (BlockIO.ts) が作る JSON のブロック (v2.2) と同じ内容を、プロパティごとの TypedArray の列として保存する。
+// 数値・真偽値・文字列の列はそのまま配列に、辞書 (DICTIONARY_KEYS の値の一覧) と産業などの入れ子のオブジェクトは
+// JSON の別セクションに置く。列はプロパティ群 (地形・社会・経済) に分かれ、群ごとに展開できるため、
+// BlockManager は地図の描画に必要な地形・社会の群だけを先に展開し、経済の群は情報ウィンドウを開いたときに展開する。
+//
+// ファイルの構成 (数値はリトルエンディアン):
+//   [0]  マジック "GFBK" (4バイト)
+//   [4]  ヘッダーの長さ (uint32)
+//   [8]  ヘッダー (UTF-8 の JSON。BlockBinaryHeader)
+//   以降 8 バイト境界にそろえたデータ領域。列とセクションの位置はデータ領域の先頭からのオフセット
+
+import type { WorldFrame } from './BlockUtils.ts';
+
+/** バイナリ形式のバージョン (JSON のブロックは "2.2") */
+export const BLOCK_BINARY_VERSION = 3;
+
+const MAGIC = 'GFBK';
+
+/** プロパティ群 */
+export type BlockGroup = 'physical' | 'society' | 'economy';
+
+/** ブロックの読み込み時にすぐ展開するプロパティ群 (経済の群は必要になってから展開する) */
+export const EAGER_BLOCK_GROUPS: BlockGroup[] = ['physical', 'society'];
+
+/** 必要になってから展開するプロパティ群 */
+export const DEFERRED_BLOCK_GROUPS: BlockGroup[] = ['economy'];
+
+// 短縮キー (KEY_MAP の値) の所属する群。ここにないキーは 'physical' とする
+// 'lu' / 'wu' は経済シミュレーションの土地・水の使用量 (landUsage / waterUsage)。
+// 土地利用の割合 (landUse) は lu_r などにフラット化して保存され、植生レイヤーの描画 (森林率) に使うため地形の群に入れる
+const SOCIETY_KEYS = ['pop', 's', 'n', 'ph', 'ti', 'dp', 'td', 'rl', 'snm', 'nnm', 'rvn', 'rgn', 'rp', 'rv', 'bid'];
+const ECONOMY_KEYS = ['ind', 'sur', 'sho', 'imp', 'trd', 'tdat', 'dem', 'fac', 'lc', 'log', 'va', 'ru', 'rlo', 'lu', 'wu'];
+const LAND_USE_KEYS = ['lu_r', 'lu_d', 'lu_b', 'lu_g', 'lu_f'];
+
+type ColumnType = 'u8' | 'i8' | 'u16' | 'i16' | 'u32' | 'i32' | 'f32' | 'f64';
+
+const ARRAY_TYPES = {
+    u8: Uint8Array, i8: Int8Array, u16: Uint16Array, i16: Int16Array,
+    u32: Uint32Array, i32: Int32Array, f32: Float32Array, f64: Float64Array
+};
+
+// 整数の列の型 (値の範囲が収まる最小の型を選ぶ)
+const INTEGER_TYPES: { type: ColumnType; min: number; max: number }[] = [
+    { type: 'u8', min: 0, max: 0xff },
+    { type: 'i8', min: -0x80, max: 0x7f },
+    { type: 'u16', min: 0, max: 0xffff },
+    { type: 'i16', min: -0x8000, max: 0x7fff },
+    { type: 'u32', min: 0, max: 0xffffffff },
+    { type: 'i32', min: -0x80000000, max: 0x7fffffff }
+];
+
+/**
+ * プロパティ1つ分の列
+ */
+interface BlockColumn {
+    key: string; // 短縮キー
+    group: BlockGroup;
+    type: ColumnType;
+    offset: number;
+    length: number; // バイト数
+    kind: 'number' | 'boolean' | 'string';
+    nullValue?: number; // 値のないヘックスを表す値 (浮動小数点の列では NaN で表し、省略する)
+    decimals?: number; // 小数点以下の桁数 (f32 の列を元の値に丸め直す)
+    values?: string[]; // 文字列の列の値の一覧 (列には添字を入れる)
+}
+
+/**
+ * JSON のセクション (辞書・群ごとの入れ子のオブジェクト)
+ */
+interface BlockSection {
+    name: 'dictionaries' | 'sparse';
+    group?: BlockGroup; // 'sparse' の所属する群
+    offset: number;
+    length: number;
+}
+
+export interface BlockBinaryHeader {
+    version: number;
+    id: string;
+    timestamp: number;
+    world?: WorldFrame; // 生成した世界の位置 (splitWorldIntoBlocks のブロックのみ)
+    count: number; // ヘックス数
+    columns: BlockColumn[];
+    sections: BlockSection[];
+}
+
+/**
+ * decodeBlockFile の結果 (JSON のブロックと同じ形。processLoadedData にそのまま渡せる)
+ */
+export interface DecodedBlock {
+    id: string;
+    version: string;
+    timestamp: number;
+    world?: WorldFrame;
+    dictionaries: Record<string, any[]>;
+    hexes: any[];
+    groups: BlockGroup[]; // 展開した群
+}
+
+/**
+ * データがバイナリ形式のブロックファイルかどうか
+ * @param {any} data - fetch の arrayBuffer() などで得たデータ、または JSON を解析したオブジェクト
+ * @returns {boolean}
+ */
+export function isBinaryBlockFile(data: any): boolean {
+    if (!(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) return false;
+    const bytes = toBytes(data);
+    return bytes.length >= 8 && String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === MAGIC;
+}
+
+/**
+ * JSON のブロック (createBlockFile の payload、または map_EE_NN.json を解析したもの) をバイナリ形式にする
+ * 展開すると同じ値に戻る (数値の列は値が収まる型と桁数を選び、収まらない場合は f64 にする)。
+ * @param {Object} payload - { id, version, timestamp, world?, dictionaries, hexes }
+ * @returns {Uint8Array} ファイルの内容
+ */
+export function encodeBlockFile(payload: any): Uint8Array {
+    const hexes: any[] = payload.hexes || [];
+    const count = hexes.length;
+
+    // キーごとに値を集め、列にできるものと入れ子のオブジェクト (sparse) に分ける
+    const keys: string[] = [];
+    const seen = new Set<string>();
+    hexes.forEach(h => Object.keys(h).forEach(key => {
+        if (!seen.has(key)) {
+            seen.add(key);
+            keys.push(key);
+        }
+    }));
+
+    const chunks: Uint8Array[] = [];
+    let dataLength = 0;
+    const addChunk = (bytes: Uint8Array) => {
+        const offset = dataLength;
+        chunks.push(bytes);
+        dataLength += bytes.length;
+        const padding = (8 - (dataLength % 8)) % 8;
+        if (padding > 0) {
+            chunks.push(new Uint8Array(padding));
+            dataLength += padding;
+        }
+        return offset;
+    };
+
+    const columns: BlockColumn[] = [];
+    const sparse: Record<BlockGroup, Record<string, Record<number, any>>> = { physical: {}, society: {}, economy: {} };
+
+    keys.forEach(key => {
+        const group = groupOf(key);
+        const values = hexes.map(h => h[key]);
+        const present = values.filter(v => v !== null && v !== undefined);
+        if (present.length === 0) return;
+
+        const column = planColumn(key, group, present, present.length < count);
+        if (!column) {
+            const entries: Record<number, any> = {};
+            values.forEach((v, i) => {
+                if (v !== null && v !== undefined) entries[i] = v;
+            });
+            sparse[group][key] = entries;
+            return;
+        }
+
+        const array = new ARRAY_TYPES[column.type](count);
+        values.forEach((v, i) => {
+            if (v === null || v === undefined) {
+                array[i] = column.nullValue ?? NaN;
+            } else if (column.kind === 'boolean') {
+                array[i] = v ? 1 : 0;
+            } else if (column.kind === 'string') {
+                array[i] = column.values!.indexOf(v);
+            } else {
+                array[i] = v;
+            }
+        });
+        const bytes = new Uint8Array(array.buffer);
+        column.offset = addChunk(bytes);
+        column.length = bytes.length;
+        columns.push(column);
+    });
+
+    const sections: BlockSection[] = [];
+    const addSection = (name: BlockSection['name'], value: any, group?: BlockGroup) => {
+        const bytes = new TextEncoder().encode(JSON.stringify(value));
+        const offset = addChunk(bytes);
+        sections.push(group ? { name, group, offset, length: bytes.length } : { name, offset, length: bytes.length });
+    };
+    addSection('dictionaries', payload.dictionaries || {});
+    (Object.keys(sparse) as BlockGroup[]).forEach(group => {
+        if (Object.keys(sparse[group]).length > 0) addSection('sparse', sparse[group], group);
+    });
+
+    const header: BlockBinaryHeader = {
+        version: BLOCK_BINARY_VERSION,
+        id: payload.id,
+        timestamp: payload.timestamp || Date.now(),
+        ...(payload.world ? { world: payload.world } : {}),
+        count,
+        columns,
+        sections
+    };
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const dataStart = align8(8 + headerBytes.length);
+
+    const file = new Uint8Array(dataStart + dataLength);
+    for (let i = 0; i < MAGIC.length; i++) file[i] = MAGIC.charCodeAt(i);
+    new DataView(file.buffer).setUint32(4, headerBytes.length, true);
+    file.set(headerBytes, 8);
+    let position = dataStart;
+    chunks.forEach(chunk => {
+        file.set(chunk, position);
+        position += chunk.length;
+    });
+    return file;
+}
+
+/**
+ * バイナリ形式のブロックファイルのヘッダーを読む
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {BlockBinaryHeader}
+ * @throws {Error} 形式・バージョンが違う場合
+ */
+export function readBlockHeader(data: ArrayBuffer | ArrayBufferView): BlockBinaryHeader {
+    if (!isBinaryBlockFile(data)) throw new Error('バイナリ形式のブロックファイルではありません。');
+    const bytes = toBytes(data);
+    const headerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(4, true);
+    const header: BlockBinaryHeader = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+    if (header.version > BLOCK_BINARY_VERSION) {
+        throw new Error(`未対応のブロックファイルのバージョンです (${header.version})。`);
+    }
+    return header;
+}
+
+/**
+ * バイナリ形式のブロックファイルを、指定した群だけ JSON のブロックと同じ形に展開する
+ * 座標 (c, r, x, y) は地形の群に含まれる。ほかの群だけを展開した場合も、座標は常に展開する。
+ * @param {ArrayBuffer|ArrayBufferView} data - ファイルの内容
+ * @param {BlockGroup[]} [groups] - 展開する群 (省略時はすべて)
+ * @returns {DecodedBlock}
+ */
+export function decodeBlockFile(data: ArrayBuffer | ArrayBufferView, groups: BlockGroup[] = ['physical', 'society', 'economy']): DecodedBlock {
+    const header = readBlockHeader(data);
+    let bytes = toBytes(data);
+    // TypedArray で列を直接読めるよう、8 バイト境界にない場合は複製する
+    if (bytes.byteOffset % 8 !== 0) bytes = bytes.slice();
+    const dataStart = bytes.byteOffset + align8(8 + new DataView(bytes.buffer, bytes.byteOffset).getUint32(4, true));
+
+    const hexes: any[] = Array.from({ length: header.count }, () => ({}));
+    const readJson = (section: BlockSection) => JSON.parse(new TextDecoder().decode(
+        new Uint8Array(bytes.buffer, dataStart + section.offset, section.length)));
+
+    header.columns.forEach(column => {
+        if (!groups.includes(column.group) && !['c', 'r', 'x', 'y'].includes(column.key)) return;
+        const ArrayType = ARRAY_TYPES[column.type];
+        const array = new ArrayType(bytes.buffer as ArrayBuffer, dataStart + column.offset, column.length / ArrayType.BYTES_PER_ELEMENT);
+        const scale = column.decimals !== undefined ? Math.pow(10, column.decimals) : 0;
+        for (let i = 0; i < header.count; i++) {
+            const v = array[i];
+            if (column.nullValue !== undefined ? v === column.nullValue : Number.isNaN(v)) continue;
+            if (column.kind === 'boolean') hexes[i][column.key] = v === 1;
+            else if (column.kind === 'string') hexes[i][column.key] = column.values![v];
+            else hexes[i][column.key] = scale ? Math.round(v * scale) / scale : v;
+        }
+    });
+
+    let dictionaries: Record<string, any[]> = {};
+    header.sections.forEach(section => {
+        if (section.name === 'dictionaries') {
+            dictionaries = readJson(section);
+        } else if (section.name === 'sparse' && groups.includes(section.group!)) {
+            const sparse: Record<string, Record<string, any>> = readJson(section);
+            Object.entries(sparse).forEach(([key, entries]) => {
+                Object.entries(entries).forEach(([i, value]) => hexes[Number(i)][key] = value);
+            });
+        }
+    });
+
+    return {
+        id: header.id,
+        version: String(header.version),
+        timestamp: header.timestamp,
+        ...(header.world ? { world: header.world } : {}),
+        dictionaries,
+        hexes,
+        groups: [...groups]
+    };
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+function groupOf(key: string): BlockGroup {
+    if (LAND_USE_KEYS.includes(key)) return 'physical';
+    if (ECONOMY_KEYS.includes(key)) return 'economy';
+    if (SOCIETY_KEYS.includes(key)) return 'society';
+    return 'physical';
+}
+
+/**
+ * 値の種類から列の型を決める (列にできない値が含まれる場合は null)
+ * @param {any[]} present - null・undefined を除いた値
+ * @param {boolean} hasMissing - 値のないヘックスがあるか
+ */
+function planColumn(key: string, group: BlockGroup, present: any[], hasMissing: boolean): BlockColumn | null {
+    const base = { key, group, offset: 0, length: 0 };
+
+    if (present.every(v => typeof v === 'boolean')) {
+        return { ...base, type: 'u8', kind: 'boolean', ...(hasMissing ? { nullValue: 0xff } : {}) };
+    }
+
+    if (present.every(v => typeof v === 'string')) {
+        const values = [...new Set(present as string[])];
+        const type = integerType(0, values.length - 1, hasMissing);
+        return type ? { ...base, type: type.type, kind: 'string', values, ...(hasMissing ? { nullValue: type.max } : {}) } : null;
+    }
+
+    if (!present.every(v => typeof v === 'number')) return null;
+
+    if (present.every(v => Number.isInteger(v))) {
+        const type = integerType(Math.min(...present), Math.max(...present), hasMissing);
+        if (type) return { ...base, type: type.type, kind: 'number', ...(hasMissing ? { nullValue: type.max } : {}) };
+    }
+
+    // 小数: 桁数が決まり、f32 から丸め直して元の値に戻る場合は f32 にする
+    for (let decimals = 0; decimals <= 6; decimals++) {
+        const scale = Math.pow(10, decimals);
+        if (present.every(v => Math.round(Math.fround(v) * scale) / scale === v)) {
+            return { ...base, type: 'f32', kind: 'number', decimals };
+        }
+    }
+    return { ...base, type: 'f64', kind: 'number' };
+}
+
+/**
+ * 値の範囲が収まる最小の整数型 (値のないヘックスがある場合は、型の最大値を「値なし」に使う)
+ */
+function integerType(min: number, max: number, hasMissing: boolean) {
+    return INTEGER_TYPES.find(t => min >= t.min && max <= (hasMissing ? t.max - 1 : t.max)) || null;
+}
+
+function align8(n: number): number {
+    return Math.ceil(n / 8) * 8;
+}
+
+function toBytes(data: ArrayBuffer | ArrayBufferView): Uint8Array {
+    return data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
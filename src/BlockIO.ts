@@ -8,6 +8,9 @@ import * as blockUtils from './BlockUtils.ts';
 import * as utils from './utils.ts';
 import { WorldMap, Hex } from './WorldMap.ts'; // Ensure Hex is imported if available, checking WorldMap exports later
 import { updateUIWithBlockData } from './ui.js';
+import { syncNationNames } from './nameGenerator.ts';
+import { normalizeAnnotations } from './annotations.ts';
+import { EAGER_BLOCK_GROUPS, DEFERRED_BLOCK_GROUPS, decodeBlockFile, isBinaryBlockFile } from './BlockBinary.ts';
 
 // ================================================================
 // ■ 定数・マッピング定義 (main.js から移行)
@@ -29,6 +32,8 @@ export const KEY_MAP = {
     flow: 'fl',
     isAlluvial: 'ia',
     hasSnow: 'hs',
+    tempAmplitude: 'ta', // 季節変化 (seasonalClimate.ts)
+    precipSeasonality: 'ps',
     isLakeside: 'il',
     beachNeighbors: 'bn',
 
@@ -55,6 +60,8 @@ export const KEY_MAP = {
     industry: 'ind',
     surplus: 'sur',
     shortage: 'sho',
+    imports: 'imp',
+    trade: 'trd',
     territoryData: 'tdat',
     nationId: 'n',
     parentHexId: 'ph',
@@ -83,14 +90,21 @@ export const KEY_MAP = {
     logistics: 'log',
     vegetationAreas: 'va',
     downstreamIndex: 'ds',
-    ridgeUpstreamIndex: 'rus'
+    ridgeUpstreamIndex: 'rus',
+    ridgeFlow: 'rf',
+
+    // 固有名 (nameGenerator.ts)
+    settlementName: 'snm',
+    nationName: 'nnm',
+    riverName: 'rvn',
+    ridgeName: 'rgn'
 };
 
 // 逆マッピング（解凍用）
 export const REVERSE_KEY_MAP = Object.fromEntries(Object.entries(KEY_MAP).map(([k, v]) => [v, k]));
 
 // 辞書化対象のキー (頻出する文字列値をインデックス化して圧縮する)
-export const DICTIONARY_KEYS = ['cz', 'v', 'tt', 's', 'mr', 'rr'];
+export const DICTIONARY_KEYS = ['cz', 'v', 'tt', 's', 'mr', 'rr', 'snm', 'nnm', 'rvn', 'rgn'];
 
 // 産業・領土データのキー短縮マップ
 export const INDUSTRY_ITEM_MAP = {
@@ -173,11 +187,17 @@ export class BlockManager {
     private loadedBlockIds: Set<string>;
     private loadingBlockIds: Set<string>;
     private queue: Promise<any>;
+    // 先に試すファイル形式 (.gfb が無ければ .json に切り替え、以降はそちらから試す)
+    private preferredFormat: 'gfb' | 'json';
+    // バイナリ形式で読み込み、経済の群をまだ展開していないブロック (ブロックID → ファイルの内容)
+    private deferredBlocks: Map<string, ArrayBuffer>;
 
     constructor() {
         this.loadedBlockIds = new Set();
         this.loadingBlockIds = new Set();
         this.queue = Promise.resolve();
+        this.preferredFormat = 'gfb';
+        this.deferredBlocks = new Map();
     }
 
     isLoaded(blockId: string): boolean {
@@ -201,6 +221,67 @@ export class BlockManager {
         this.loadedBlockIds.clear();
         this.loadingBlockIds.clear();
         this.queue = Promise.resolve();
+        this.deferredBlocks.clear();
+    }
+
+    /**
+     * まだ展開していないプロパティ群 (経済) があるかどうか
+     * @param {string} blockId - 例: "map_50_73"
+     */
+    hasDeferredData(blockId: string): boolean {
+        return this.deferredBlocks.has(blockId);
+    }
+
+    /**
+     * 読み込み時に後回しにしたプロパティ群 (産業・余剰・交易など) を展開して書き込む
+     * 共有バッファは次のブロックの読み込みで上書きされるため、書き込み先は呼び出し側が座標から決める。
+     * @param {string} blockId - 例: "map_50_73"
+     * @param {Function} resolveTarget - (localIndex) => 書き込み先のヘックス (無ければ null)
+     * @returns {boolean} 展開した場合は true
+     */
+    applyDeferredData(blockId: string, resolveTarget: (localIndex: number) => any): boolean {
+        const data = this.deferredBlocks.get(blockId);
+        if (!data) return false;
+        this.deferredBlocks.delete(blockId);
+
+        const decoded = decodeBlockFile(data, DEFERRED_BLOCK_GROUPS);
+        decoded.hexes.forEach(cHex => {
+            const idx = resolveLocalIndex(cHex, blockId);
+            if (idx === null) return;
+            const target = resolveTarget(idx);
+            if (target) applyCompressedHex(target.properties || target, cHex, decoded.dictionaries);
+        });
+        return true;
+    }
+
+    /**
+     * ブロックのファイルを取得する (バイナリ形式 .gfb を優先し、無ければ JSON 形式 .json)
+     * @returns {Promise<ArrayBuffer|Object>}
+     */
+    private async fetchBlock(blockId: string): Promise<ArrayBuffer | any> {
+        const formats: ('gfb' | 'json')[] = this.preferredFormat === 'gfb' ? ['gfb', 'json'] : ['json', 'gfb'];
+        let lastError: any = null;
+        for (const format of formats) {
+            try {
+                // NOTE: fetch path is relative to the index.html location
+                const res = await fetch(`./map/${blockId}.${format}`);
+
+                const contentType = res.headers.get("content-type");
+                if (contentType && contentType.includes("text/html")) {
+                    throw new Error(`Received HTML instead of ${format} (likely 404)`);
+                }
+                if (!res.ok) throw new Error("Not found");
+
+                const data = format === 'gfb' ? await res.arrayBuffer() : await res.json();
+                if (format === 'gfb' && !isBinaryBlockFile(data)) throw new Error("Not a binary block file");
+
+                this.preferredFormat = format;
+                return data;
+            } catch (e) {
+                lastError = e;
+            }
+        }
+        throw lastError;
     }
 
     /**
@@ -219,16 +300,8 @@ export class BlockManager {
 
             try {
                 console.log(`[BlockManager] Starting load for ${blockId}`);
-                // NOTE: fetch path is relative to the index.html location
-                const res = await fetch(`./map/${blockId}.json`);
-
-                const contentType = res.headers.get("content-type");
-                if (contentType && contentType.includes("text/html")) {
-                    throw new Error("Received HTML instead of JSON (likely 404)");
-                }
-                if (!res.ok) throw new Error("Not found");
-
-                const data = await res.json();
+                const data = await this.fetchBlock(blockId);
+                const isBinary = isBinaryBlockFile(data);
 
                 // processLoadedDataを利用してデータを展開・統合する
                 // 初期ロード時以外は重い再計算処理をスキップする (skipCalculations: true)
@@ -252,7 +325,12 @@ export class BlockManager {
                     console.warn('[BlockManager] worldData is missing');
                 }
 
-                await processLoadedData(data, { skipCalculations: true, blockId: blockId, existingWorldData: worldData });
+                // バイナリ形式は地形・社会の群だけを展開し、経済の群は情報ウィンドウを開いたときに展開する
+                await processLoadedData(data, {
+                    skipCalculations: true, blockId: blockId, existingWorldData: worldData,
+                    groups: isBinary ? EAGER_BLOCK_GROUPS : undefined
+                });
+                if (isBinary) this.deferredBlocks.set(blockId, data);
 
                 // 新しくロードされたブロックの周囲の描画を更新するため、UI用データを更新
                 // updateUIWithBlockData は ui.js からインポート
@@ -349,14 +427,6 @@ export function createCompressedData(hexList) {
                 return;
             }
 
-            // Road/River Patternsの特別処理
-            if (key === 'roadPatterns' || key === 'riverPatterns') {
-                if (Array.isArray(value)) {
-                    cHex[KEY_MAP[key]] = value;
-                }
-                return;
-            }
-
             // landUseの特別処理 (フラット化)
             if (key === 'landUse' && value) {
                 if (value.river > 0) cHex[KEY_MAP['landUse.river']] = parseFloat(value.river.toFixed(2));
@@ -386,12 +456,23 @@ export function createCompressedData(hexList) {
                 if (key === 'industry' || key === 'demographics' || key === 'territoryData' ||
                     key === 'facilities' || key === 'livingConditions' || key === 'logistics' || key === 'vegetationAreas') {
                     cHex[shortKey] = compressNestedObject(value);
+                } else if (key === 'imports' || key === 'trade') {
+                    // 物流データ (仕入れ元のリストを含むため、ネスト圧縮せずそのまま保存)
+                    cHex[shortKey] = value;
                 }
             } else {
                 cHex[shortKey] = value;
             }
         });
 
+        // 道路・河川パターンの保存 (キーは KEY_MAP にないため個別に扱う。形式は compressWorldData と同じ)
+        if (Array.isArray(h.roadPatterns) && h.roadPatterns.length > 0) {
+            cHex['rp'] = h.roadPatterns.flatMap(x => [x.pattern, x.level, x.nationId]);
+        }
+        if (Array.isArray(h.riverPatterns) && h.riverPatterns.length > 0) {
+            cHex['rv'] = h.riverPatterns.flatMap(x => [x.pattern, parseFloat(x.width.toFixed(2))]);
+        }
+
         // Coordinates (座標)
         cHex.c = h.col;
         cHex.r = h.row;
@@ -407,6 +488,30 @@ export function createCompressedData(hexList) {
     };
 }
 
+/**
+ * splitWorldIntoBlocks() が返すブロックを、BlockManager.load が読み込むファイル形式 (v2.2) に変換する
+ * @param {Object} block - { id, world, hexes } (world は blockUtils.WorldFrame。インデックスを解決する検査で使う)
+ * @returns {Object} { filename, payload } (payload は { id, version, timestamp, world, dictionaries, hexes })
+ */
+export function createBlockFile(block) {
+    const filename = block.id.startsWith('map_') ? `${block.id}.json` : `map_${block.id}.json`;
+
+    // ブロック内データの圧縮
+    const compressedBlock = createCompressedData(block.hexes);
+
+    return {
+        filename: filename,
+        payload: {
+            id: block.id,
+            version: "2.2",
+            timestamp: Date.now(),
+            ...(block.world ? { world: block.world } : {}),
+            dictionaries: compressedBlock.dictionaries,
+            hexes: compressedBlock.hexes
+        }
+    };
+}
+
 /**
  * 世界データを圧縮形式に変換する共通関数
  * compressWorldData()は、worldData.allHexes全体を対象とし、GAS保存用に使用される。
@@ -535,6 +640,7 @@ export function compressWorldData(worldData) {
         const cr = {
             l: r.level,
             n: r.nationId,
+            s: r.shipKey, // 航路の船種 (道路では undefined のため出力されない)
             p: r.path.flatMap(p => [
                 Number.isInteger(p.x) ? p.x : parseFloat(p.x.toFixed(2)),
                 Number.isInteger(p.y) ? p.y : parseFloat(p.y.toFixed(2))
@@ -559,7 +665,13 @@ export function compressWorldData(worldData) {
         rows: config.ROWS,
         dicts: dictionaries,
         hexes: compressedHexes, // Includes 'bid', 'rp', 'rv'
-        roads: compressedRoads  // Includes 'bid'
+        roads: compressedRoads, // Includes 'bid'
+        recipe: worldData.recipe || undefined, // 生成に使ったレシピ (worldRecipe.ts)
+        history: worldData.history || undefined, // 年次シミュレーションの履歴 (timelineSimulator.ts)
+        nationHistory: worldData.nationHistory || undefined, // 国家史の記録 (nationHistorySimulator.ts)
+        annotations: worldData.annotations?.length ? worldData.annotations : undefined, // 地図の注釈 (annotations.ts)
+        variants: worldData.variants?.length ? worldData.variants : undefined, // 部分的な再生成のバリエーションの記録 (worldVariants.ts の VariantRecord)
+        edited: worldData.edited ? true : undefined // ヘックス編集・名前の変更で手を加えた世界 (レシピから作り直しても同じにならない)
     };
 }
 
@@ -569,13 +681,19 @@ export function compressWorldData(worldData) {
 
 /**
  * 読み込まれたJSONデータを解析し、WorldMapインスタンスを復元する
- * @param {Object} loadedData - 解凍されたJSONデータ
- * @param {Object} options - オプション (例: { buffer: 0, existingWorldData: worldData })
- * @returns {Promise<Object>} { allHexes, roadPaths, seed }
+ * @param {Object|ArrayBuffer} loadedData - 解凍されたJSONデータ、またはバイナリ形式のブロック (map_EE_NN.gfb) の内容
+ * @param {Object} options - オプション (例: { buffer: 0, existingWorldData: worldData, groups: ['physical'] })
+ *   groups: バイナリ形式のブロックから展開するプロパティ群 (省略時はすべて)
+ * @returns {Promise<Object>} { allHexes, roadPaths, seed, recipe?, history?, nationHistory?, annotations?, variants?, edited? }
  */
 export async function processLoadedData(loadedData: any, options: any = {}): Promise<any> {
     // console.log(`[BlockIO] processLoadedData started. Data version: ${loadedData.version}`);
 
+    // バイナリ形式のブロック (BlockBinary.ts) は、JSON のブロックと同じ形に展開してから扱う
+    if (isBinaryBlockFile(loadedData)) {
+        loadedData = decodeBlockFile(loadedData, options.groups);
+    }
+
     let worldData;
 
     // 既存のWorldDataがあればそれを使用（マージモード）
@@ -608,179 +726,24 @@ export async function processLoadedData(loadedData: any, options: any = {}): Pro
         worldData.allHexes = new WorldMap(config.COLS, config.ROWS);
     }
 
-    // 2. 辞書の展開準備
+    // 2. ヘックスデータの復元
     const dicts = loadedData.dictionaries || loadedData.dicts || {};
-    const getDictValue = (key, idx) => {
-        if (!dicts[key]) return idx;
-        // V2 format: dictionaries (full names), V2.2: dicts (full names?)
-        // Check if dicts[key] exists
-        return dicts[key][idx];
-    };
-
-    // ヘルパー: ネストされたオブジェクトの解凍
-    const decompressNestedObject = (compressedObj) => {
-        if (!compressedObj) return null;
-        const decompressed = {};
-        Object.entries(compressedObj).forEach(([k, v]) => {
-            const originalKey = REVERSE_INDUSTRY_ITEM_MAP[k] || k;
-            if (typeof v === 'number') {
-                // x1000されているので戻す
-                decompressed[originalKey] = v / 1000;
-            } else if (typeof v === 'object' && v !== null) {
-                decompressed[originalKey] = decompressNestedObject(v);
-            } else {
-                decompressed[originalKey] = v;
-            }
-        });
-        return decompressed;
-    };
+    const bid = options.blockId || loadedData.id;
 
-    // 3. ヘックスデータの復元
     if (loadedData.hexes) {
-        loadedData.hexes.forEach(cHex => {
-            // 座標の復元
-            let col = cHex.c;
-            let row = cHex.r;
-
-            // 座標が無い場合はスキップ（異常データ）
-            if (col === undefined || row === undefined) return;
-
-            // Parse Block ID for coordinate translation
-            let blockEE = null;
-            let blockNN = null;
-            const bid = options.blockId || loadedData.id;
-            if (bid && bid.startsWith("map_")) {
-                const parts = bid.split('_');
-                if (parts.length >= 3) {
-                    blockEE = parseInt(parts[1]);
-                    blockNN = parseInt(parts[2]);
-                }
-            }
-
-            let hex;
-
-            if (blockEE !== null && blockNN !== null) {
-                // Convert Global Coords to Local Buffer Coords
-                const CORE_COL = 23;
-                const CORE_ROW = 20;
-
-                const originGlobalCol = (blockEE - blockUtils.BLOCK_START_EE) * CORE_COL;
-                const originGlobalRow = (blockNN - blockUtils.BLOCK_START_NN) * CORE_ROW;
-
-                let localCol, localRow;
-
-                // データが既にローカル座標系の場合 (ヒューリスティック)
-                if (col < 50 && row < 50) {
-                    localCol = col;
-                    localRow = row;
-                } else {
-                    localCol = col - originGlobalCol;
-                    localRow = row - originGlobalRow;
-                }
-
-                if (localCol >= 0 && localCol < config.COLS && localRow >= 0 && localRow < config.ROWS) {
-                    const idx = localCol + localRow * config.COLS;
-                    hex = worldData.allHexes.getHex(idx);
-                    // [DEBUG] 位置合わせ確認用のログ
-                    if (loadedData.hexes.indexOf(cHex) < 1) {
-                        // console.log(`[BlockIO Debug] Block:${bid} Local(${localCol},${localRow}) Idx:${idx} HexFound:${!!hex}`);
-                    }
-                } else {
-                    return;
-                }
-            } else {
-                hex = worldData.allHexes.getHex(col, row);
-            }
-
+        loadedData.hexes.forEach((cHex, i) => {
+            const idx = resolveLocalIndex(cHex, bid);
+            if (idx === null) return;
+            const hex = worldData.allHexes.getHex(idx);
             if (!hex) return;
 
-            // [DEBUG] Monitor crucial property update
-            const debugMonitor = (loadedData.hexes.indexOf(cHex) === 0);
-            let preElev = 0;
-            if (debugMonitor) preElev = hex.elevation;
-
-            // BlockID
-            if (cHex.bid) hex.properties.blockId = cHex.bid;
-
-            // Downstream Index (Main logic used KEY_MAP)
-            if (cHex[KEY_MAP['downstreamIndex']] !== undefined) {
-                hex.downstreamIndex = cHex[KEY_MAP['downstreamIndex']];
-            } else if (cHex.ds) { // Short key fallback if defined
-                hex.downstreamIndex = cHex.ds;
-            }
-
-            // Road/River Patterns (Flattened Arrays -> Objects)
-            if (cHex['rp']) {
-                hex.properties.roadPatterns = [];
-                for (let i = 0; i < cHex['rp'].length; i += 3) {
-                    hex.properties.roadPatterns.push({
-                        pattern: cHex['rp'][i],
-                        level: cHex['rp'][i + 1],
-                        nationId: cHex['rp'][i + 2]
-                    });
-                }
-            }
-            if (cHex['rv']) {
-                hex.properties.riverPatterns = [];
-                for (let i = 0; i < cHex['rv'].length; i += 2) {
-                    hex.properties.riverPatterns.push({
-                        pattern: cHex['rv'][i],
-                        width: cHex['rv'][i + 1]
-                    });
-                }
-            }
+            applyCompressedHex(hex.properties, cHex, dicts, i === 0);
 
-            // プロパティの展開
-            Object.entries(cHex).forEach(([key, value]) => {
-                if (['c', 'r', 'x', 'y', 'bid', 'rp', 'rv', KEY_MAP['downstreamIndex'], 'ds'].includes(key)) return;
-
-                const originalKey = REVERSE_KEY_MAP[key];
-                if (!originalKey) {
-                    // if (debugMonitor) console.log(`[BlockIO Debug] Key skipped/unknown: ${key}`);
-                    return;
-                }
-
-                // 特殊処理
-                if (originalKey.startsWith('landUse.')) {
-                    if (!hex.properties.landUse) hex.properties.landUse = {};
-                    const type = originalKey.split('.')[1];
-                    hex.properties.landUse[type] = value;
-                    return;
-                }
-
-                if (key === 'tdat' || originalKey === 'territoryData') {
-                    hex.properties.territoryData = decompressNestedObject(value);
-                    return;
-                }
-
-                // 産業・社会データのネスト解凍 (v3.2)
-                if (['ind', 'dem', 'fac', 'lc', 'log', 'va'].includes(key)) {
-                    hex.properties[originalKey] = decompressNestedObject(value);
-                    return;
-                }
-
-                // 辞書参照の解決
-                if (DICTIONARY_KEYS.includes(key)) {
-                    hex.properties[originalKey] = getDictValue(key, value);
-                } else {
-                    hex.properties[originalKey] = value;
-                }
-
-                if (debugMonitor && originalKey === 'elevation') {
-                    console.log(`[BlockIO Debug] Elev Update: Key(${key})->Prop(${originalKey}) Val(${value}) Pre(${preElev}) Post(${hex.elevation})`);
-                }
-            });
-
-            // 必須プロパティの補完（保存されていない場合のデフォルト値）
             // 必須プロパティの補完（保存されていない場合のデフォルト値）
             if (hex.properties.isWater === undefined) {
                 // elevation <= 0 なら water とみなすロジック
                 if (hex.properties.elevation !== undefined) {
-                    if (hex.properties.elevation <= config.SEA_LEVEL) {
-                        hex.properties.isWater = true;
-                    } else {
-                        hex.properties.isWater = false;
-                    }
+                    hex.properties.isWater = hex.properties.elevation <= config.SEA_LEVEL;
                 } else {
                     hex.properties.isWater = false;
                 }
@@ -788,7 +751,7 @@ export async function processLoadedData(loadedData: any, options: any = {}): Pro
 
         }); // End forEach
 
-        // 4. 道路データの復元 (マージ時は重複に注意だが、ロードされるブロックの道路だけが来る想定)
+        // 3. 道路データの復元 (マージ時は重複に注意だが、ロードされるブロックの道路だけが来る想定)
         if (loadedData.roads) {
             if (!worldData.roadPaths) worldData.roadPaths = [];
             const newRoads = loadedData.roads.map(cr => {
@@ -800,17 +763,196 @@ export async function processLoadedData(loadedData: any, options: any = {}): Pro
                 return {
                     level: cr.l,
                     nationId: cr.n,
+                    shipKey: cr.s,
                     path: path
                 };
             });
             worldData.roadPaths.push(...newRoads);
         }
 
+        // 4. 生成に使ったレシピ (保存されている場合のみ。古いデータはシード値だけのレシピとして扱う)
+        if (loadedData.recipe) {
+            worldData.recipe = loadedData.recipe;
+        }
+
+        // 5. 年次シミュレーションの履歴 (保存されている場合のみ)
+        if (loadedData.history) {
+            worldData.history = loadedData.history;
+        }
+
+        // 6. 国家史の記録 (保存されている場合のみ)。地図には表示中の年の国境が保存されている
+        if (loadedData.nationHistory) {
+            worldData.nationHistory = loadedData.nationHistory;
+        }
+
+        // 7. 地図の注釈 (保存されている場合のみ。形式の正しくない注釈は除く)
+        if (loadedData.annotations) {
+            worldData.annotations = normalizeAnnotations(loadedData.annotations);
+        }
+
+        // 8. 部分的な再生成のバリエーションの記録 (保存されている場合のみ。中身は worldVariants.ts の restoreVariants で確かめる)
+        if (loadedData.variants) {
+            worldData.variants = loadedData.variants;
+        }
+        if (loadedData.edited === true) {
+            worldData.edited = true;
+        }
+
+        // 9. 国名の登録 (首都のヘックスに保存された国名と、国家史に記録された国名)
+        syncNationNames(worldData.allHexes);
+        if (worldData.nationHistory) {
+            worldData.nationHistory.nations.forEach(record => utils.setNationName(record.id, record.name));
+        }
+
         return worldData;
     }
 }
 
 
+/**
+ * ヘルパー: ネストされたオブジェクトの解凍 (compressNestedObject の逆)
+ */
+const decompressNestedObject = (compressedObj) => {
+    if (!compressedObj) return null;
+    const decompressed = {};
+    Object.entries(compressedObj).forEach(([k, v]) => {
+        const originalKey = REVERSE_INDUSTRY_ITEM_MAP[k] || k;
+        if (typeof v === 'number') {
+            // x1000されているので戻す
+            decompressed[originalKey] = v / 1000;
+        } else if (typeof v === 'object' && v !== null) {
+            decompressed[originalKey] = decompressNestedObject(v);
+        } else {
+            decompressed[originalKey] = v;
+        }
+    });
+    return decompressed;
+};
+
+/**
+ * 圧縮ヘックスの座標 (c, r) から、共有バッファ (config.COLS x config.ROWS) のインデックスを求める
+ * @param {Object} cHex - 圧縮ヘックス
+ * @param {string} [bid] - ブロックID ("map_EE_NN")。指定した場合は全体座標をブロック内の座標に変換する
+ * @returns {number|null} バッファの外、または座標がない場合は null
+ */
+export function resolveLocalIndex(cHex, bid?: string): number | null {
+    const col = cHex.c;
+    const row = cHex.r;
+
+    // 座標が無い場合はスキップ（異常データ）
+    if (col === undefined || row === undefined) return null;
+
+    // Parse Block ID for coordinate translation
+    let blockEE = null;
+    let blockNN = null;
+    if (bid && bid.startsWith("map_")) {
+        const parts = bid.split('_');
+        if (parts.length >= 3) {
+            blockEE = parseInt(parts[1]);
+            blockNN = parseInt(parts[2]);
+        }
+    }
+
+    if (blockEE === null || blockNN === null) return utils.getIndex(col, row);
+
+    // Convert Global Coords to Local Buffer Coords
+    const CORE_COL = 23;
+    const CORE_ROW = 20;
+
+    const originGlobalCol = (blockEE - blockUtils.BLOCK_START_EE) * CORE_COL;
+    const originGlobalRow = (blockNN - blockUtils.BLOCK_START_NN) * CORE_ROW;
+
+    let localCol, localRow;
+
+    // データが既にローカル座標系の場合 (ヒューリスティック)
+    if (col < 50 && row < 50) {
+        localCol = col;
+        localRow = row;
+    } else {
+        localCol = col - originGlobalCol;
+        localRow = row - originGlobalRow;
+    }
+
+    if (localCol >= 0 && localCol < config.COLS && localRow >= 0 && localRow < config.ROWS) {
+        return localCol + localRow * config.COLS;
+    }
+    return null;
+}
+
+/**
+ * 圧縮ヘックスのプロパティを展開して書き込む
+ * @param {Object} target - 書き込み先 (Hex.properties、または MapView の表示用ヘックス)
+ * @param {Object} cHex - 圧縮ヘックス
+ * @param {Object} dicts - 辞書 (DICTIONARY_KEYS の値の一覧)
+ * @param {boolean} [debugMonitor] - 標高の書き込みをログに出す
+ */
+function applyCompressedHex(target, cHex, dicts, debugMonitor = false) {
+    const preElev = debugMonitor ? target.elevation : 0;
+
+    // BlockID
+    if (cHex.bid) target.blockId = cHex.bid;
+
+    // Downstream Index (Main logic used KEY_MAP)
+    if (cHex[KEY_MAP['downstreamIndex']] !== undefined) {
+        target.downstreamIndex = cHex[KEY_MAP['downstreamIndex']];
+    }
+
+    // Road/River Patterns (Flattened Arrays -> Objects)
+    if (cHex['rp']) {
+        target.roadPatterns = [];
+        for (let i = 0; i < cHex['rp'].length; i += 3) {
+            target.roadPatterns.push({
+                pattern: cHex['rp'][i],
+                level: cHex['rp'][i + 1],
+                nationId: cHex['rp'][i + 2]
+            });
+        }
+    }
+    if (cHex['rv']) {
+        target.riverPatterns = [];
+        for (let i = 0; i < cHex['rv'].length; i += 2) {
+            target.riverPatterns.push({
+                pattern: cHex['rv'][i],
+                width: cHex['rv'][i + 1]
+            });
+        }
+    }
+
+    // プロパティの展開
+    Object.entries(cHex).forEach(([key, value]) => {
+        if (['c', 'r', 'x', 'y', 'bid', 'rp', 'rv', KEY_MAP['downstreamIndex']].includes(key)) return;
+
+        const originalKey = REVERSE_KEY_MAP[key];
+        if (!originalKey) return;
+
+        // 特殊処理
+        if (originalKey.startsWith('landUse.')) {
+            if (!target.landUse) target.landUse = {};
+            const type = originalKey.split('.')[1];
+            target.landUse[type] = value;
+            return;
+        }
+
+        // 産業・社会データのネスト解凍 (v3.2)
+        if (['tdat', 'ind', 'dem', 'fac', 'lc', 'log', 'va'].includes(key)) {
+            target[originalKey] = decompressNestedObject(value);
+            return;
+        }
+
+        // 辞書参照の解決
+        if (DICTIONARY_KEYS.includes(key)) {
+            target[originalKey] = dicts[key] ? dicts[key][value as number] : value;
+        } else {
+            target[originalKey] = value;
+        }
+
+        if (debugMonitor && originalKey === 'elevation') {
+            console.log(`[BlockIO Debug] Elev Update: Key(${key})->Prop(${originalKey}) Val(${value}) Pre(${preElev}) Post(${target.elevation})`);
+        }
+    });
+}
+
+
 // ================================================================
 // ■ ブロック読み込み・統合ロジック
 // ================================================================
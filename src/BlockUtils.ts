@@ -32,6 +32,17 @@ export interface GlobalCoordinates {
     row: number;
 }
 
+/**
+ * 生成した世界 (WorldMap、行 0 が北) をブロックに並べたときの位置
+ * ヘックスのインデックス (parentHexId・territoryId・downstreamIndex) は、この世界の中で行優先に数えたもの。
+ */
+export interface WorldFrame {
+    cols: number; // 世界の列数
+    rows: number; // 世界の行数
+    ee: number; // 世界の (0, 0) (北西の角) を周囲のセルに持つ西端のブロックの EE
+    nn: number; // 同じく北端のブロックの NN
+}
+
 /**
  * 指定されたブロック座標からブロックID（ファイル名互換）を返します。
  * @param {number} ee - 経度インデックス (例: 48-52)
@@ -150,6 +161,73 @@ export function blockToGlobal(ee: number, nn: number, localCol: number, localRow
     return { col, row };
 }
 
+/**
+ * ブロックファイルのローカル座標を、地図に表示するときのグローバル座標に変換します (MapView の読み込みと同じ規則)。
+ * ブロックのバッファは行 1 (コアの最初の行) が北、グローバル座標は行 0 が南のため、行を上下に反転します。
+ * NN が大きいブロックほど北にあり、map_EE_NN の行 0 (北の周囲のセル) は map_EE_(NN+1) の行 20 と同じヘックスです。
+ *
+ * @param {number} ee - ブロック経度
+ * @param {number} nn - ブロック緯度
+ * @param {number} localCol - ローカル列 (0〜24)
+ * @param {number} localRow - ローカル行 (0〜21、0 が北)
+ * @returns {GlobalCoordinates} { col, row } グローバル座標 (行 0 が南)
+ */
+export function blockLocalToGlobal(ee: number, nn: number, localCol: number, localRow: number): GlobalCoordinates {
+    const coreStartCol = GLOBAL_OFFSET_X + (ee - BLOCK_START_EE) * BLOCK_CORE_COLS;
+    const coreStartRow = GLOBAL_OFFSET_Y + (nn - BLOCK_START_NN) * BLOCK_CORE_ROWS;
+    return {
+        col: coreStartCol + (localCol - BLOCK_PADDING),
+        row: coreStartRow + (BLOCK_CORE_ROWS - 1) - (localRow - BLOCK_PADDING)
+    };
+}
+
+/**
+ * 生成した世界をブロックに分割するときの位置を返します。
+ * 世界の (0, 0) を西端・北端のブロックの北西の周囲のセルに置き、世界の南端の行が NN BLOCK_START_NN の南の周囲のセルより北に収まるようにします
+ * (世界の周囲の 1 ヘックスはブロックの周囲のセルになり、25x22 の世界は 2x2、117x102 の世界は 5x5 のブロックにコアが収まります)。
+ *
+ * @param {number} cols - 世界の列数
+ * @param {number} rows - 世界の行数
+ * @returns {WorldFrame}
+ */
+export function getWorldFrame(cols: number, rows: number): WorldFrame {
+    return {
+        cols,
+        rows,
+        ee: BLOCK_START_EE,
+        nn: BLOCK_START_NN + Math.max(0, Math.ceil((rows - BLOCK_TOTAL_ROWS) / BLOCK_CORE_ROWS))
+    };
+}
+
+/**
+ * 世界の座標 (行 0 が北) を、地図に表示するときのグローバル座標 (blockLocalToGlobal と同じ、行 0 が南) に変換します。
+ *
+ * @param {WorldFrame} frame - 世界の位置
+ * @param {number} col - 世界の列
+ * @param {number} row - 世界の行
+ * @returns {GlobalCoordinates}
+ */
+export function worldToGlobal(frame: WorldFrame, col: number, row: number): GlobalCoordinates {
+    const origin = blockLocalToGlobal(frame.ee, frame.nn, 0, 0);
+    return { col: origin.col + col, row: origin.row - row };
+}
+
+/**
+ * 地図に表示するときのグローバル座標を、世界の座標 (行 0 が北) に変換します。
+ *
+ * @param {WorldFrame} frame - 世界の位置
+ * @param {number} col - グローバル列
+ * @param {number} row - グローバル行
+ * @returns {GlobalCoordinates|null} { col, row } 世界の座標、世界の外の場合は null
+ */
+export function globalToWorld(frame: WorldFrame, col: number, row: number): GlobalCoordinates | null {
+    const origin = blockLocalToGlobal(frame.ee, frame.nn, 0, 0);
+    const worldCol = col - origin.col;
+    const worldRow = origin.row - row;
+    if (worldCol < 0 || worldCol >= frame.cols || worldRow < 0 || worldRow >= frame.rows) return null;
+    return { col: worldCol, row: worldRow };
+}
+
 /**
  * ヘックスを通過する道路・河川のパターンIDを計算します。
  * 
@@ -1,7 +1,9 @@
 import JSZip from 'jszip';
 import * as d3 from 'd3';
-import { blockToGlobal } from './BlockUtils.ts';
+import * as config from './config.ts';
+import { blockToGlobal, getBlockId, BLOCK_START_EE, BLOCK_END_EE, BLOCK_START_NN, BLOCK_END_NN } from './BlockUtils.ts';
 import { classifyClimate, CLIMATE_RETENTION_PARAMS } from './continentGenerator.ts';
+import { ElevationSource, ClimateSource, createGsiTileSource, createStationClimateSource } from './terrainSources.ts';
 
 // Climate Reference Points (Approximate Annual Averages)
 // Lat, Lon, Temp(C), Precip(mm/year), Elevation(m)
@@ -24,13 +26,52 @@ const CLIMATE_STATIONS = [
     { name: 'Wakkanai', lat: 45.41, lon: 141.67, temp: 6.5, precip: 1160, elev: 3 }
 ];
 
+/** 取り込む地域の経緯度の範囲 (度。東経・北緯が正) */
+export interface RegionBounds {
+    south: number;
+    west: number;
+    north: number;
+    east: number;
+}
+
+/** 経緯度と EE/NN ブロックの対応 (originEe・originNn のブロックの南西の角が originLon・originLat) */
+export interface BlockProjection {
+    originEe: number;
+    originNn: number;
+    originLon: number;
+    originLat: number;
+    degreesPerBlock: number;
+}
+
+/** 地域の取り込みの設定 */
+export interface RegionOptions {
+    bounds: RegionBounds;
+    projection?: BlockProjection;     // 省略時は地球全体の対応 (EE 0 = 東経 0 度、NN 50 = 赤道)
+    elevation: ElevationSource;
+    climate: ClimateSource;
+    includeOceanBlocks?: boolean;     // 海だけのブロックも書き出す
+}
+
+/**
+ * 地球全体の対応 (経度 0 度が EE 0、赤道が NN 50。1ブロックは DEGREES_PER_BLOCK 度)
+ */
+export function getGlobalProjection(): BlockProjection {
+    const params = config.REAL_TERRAIN_PARAMS;
+    return { originEe: 0, originNn: params.EQUATOR_NN, originLon: 0, originLat: 0, degreesPerBlock: params.DEGREES_PER_BLOCK };
+}
+
+/**
+ * 地域の南西の角を指定したブロックに合わせる対応 (実在の地域を世界の任意の位置に置く)
+ */
+export function createAnchoredProjection(bounds: RegionBounds, originEe: number, originNn: number): BlockProjection {
+    return { originEe, originNn, originLon: bounds.west, originLat: bounds.south, degreesPerBlock: config.REAL_TERRAIN_PARAMS.DEGREES_PER_BLOCK };
+}
+
 export class DataGenerator {
     progressCallback: ((msg: string, current?: number, total?: number) => void) | null;
-    elevationCache: Map<string, any>;
 
     constructor() {
         this.progressCallback = null;
-        this.elevationCache = new Map();
     }
 
     /**
@@ -41,43 +82,73 @@ export class DataGenerator {
         this.progressCallback = onProgress;
         this.log("Starting Japan Data Generation...");
 
-        // 1. Identify Blocks
-        const blocks = this.identifyJapanBlocks();
-        this.log(`Identified ${blocks.length} blocks covering Japan.`);
+        // 地理院の標高タイルをその場で取得し、組み込みの観測点で気候を補間する
+        const params = config.REAL_TERRAIN_PARAMS;
+        const elevation = createGsiTileSource({
+            loadTile: async (z, x, y) => {
+                const url = params.GSI_TILE_URL.replace('{z}', String(z)).replace('{x}', String(x)).replace('{y}', String(y));
+                try {
+                    const resp = await fetch(url);
+                    return resp.ok ? await resp.text() : null;
+                } catch (e) {
+                    console.warn(`Failed to fetch tile ${url}`, e);
+                    return null;
+                }
+            }
+        });
 
         const zip = new JSZip();
+        const result = await this.generateRegion({
+            bounds: params.JAPAN_BOUNDS,
+            elevation,
+            climate: createStationClimateSource(CLIMATE_STATIONS)
+        }, (fileName, data) => {
+            zip.file(fileName, JSON.stringify(data, null, 2));
+        });
+
+        // 3. Generate Zip
+        this.log(`Generating ZIP file... (Total: ${result.total}, Skipped: ${result.skipped})`);
+        const blob = await zip.generateAsync({ type: "blob" });
+        this.downloadBlob(blob, "japan_blocks_data.zip");
+        this.log("Done!");
+    }
+
+    /**
+     * 実在の地域の範囲を覆うブロックを作り、1ブロックずつ onBlock に渡す (DOM 非依存。Node の CLI からも使う)
+     * @param {RegionOptions} options
+     * @param {Function} onBlock - ブロックのファイル名 (map_EE_NN.json) とデータを受け取る関数
+     * @returns {Promise<{total: number, written: number, skipped: number}>} 海だけで書き出さなかったブロックは skipped
+     */
+    async generateRegion(options: RegionOptions, onBlock: (fileName: string, data: any) => Promise<void> | void) {
+        const projection = options.projection || getGlobalProjection();
+
+        // 1. Identify Blocks
+        const blocks = this.identifyBlocks(options.bounds, projection);
+        this.log(`Identified ${blocks.length} blocks covering the region.`);
 
         // 2. Process Each Block
         let completed = 0;
         let skipped = 0;
         for (const block of blocks) {
-            const data = await this.generateBlockData(block.ee, block.nn);
+            const data = await this.generateBlockData(block.ee, block.nn, options.elevation, options.climate, projection, options.includeOceanBlocks);
+            const fileName = `${getBlockId(block.ee, block.nn)}.json`; // BlockManager が読み込む名前 (ゼロ埋めしない)
+            completed++;
 
             if (!data) {
                 // Ocean only block, skip
                 skipped++;
-                completed++;
                 if (this.progressCallback) {
-                    this.progressCallback(`Skipped Ocean: map_${block.ee}_${block.nn}`, completed, blocks.length);
+                    this.progressCallback(`Skipped Ocean: ${getBlockId(block.ee, block.nn)}`, completed, blocks.length);
                 }
                 continue;
             }
 
-            const fileName = `map_${String(block.ee).padStart(2, '0')}_${String(block.nn).padStart(2, '0')}.json`;
-            const content = JSON.stringify(data, null, 2);
-            zip.file(fileName, content);
-
-            completed++;
+            await onBlock(fileName, data);
             if (this.progressCallback) {
                 this.progressCallback(`Processed: ${fileName}`, completed, blocks.length);
             }
         }
-
-        // 3. Generate Zip
-        this.log(`Generating ZIP file... (Total: ${blocks.length}, Skipped: ${skipped})`);
-        const blob = await zip.generateAsync({ type: "blob" });
-        this.downloadBlob(blob, "japan_blocks_data.zip");
-        this.log("Done!");
+        return { total: blocks.length, written: blocks.length - skipped, skipped };
     }
 
     log(msg: string) {
@@ -90,26 +161,40 @@ export class DataGenerator {
     // --- Core Logic ---
 
     identifyJapanBlocks(): { ee: number, nn: number }[] {
-        // Japan Bounding Box (Approximate for testing)
-        // Lat: 24 (Okinawa) to 46 (Hokkaido) -> NN
-        // Lon: 122 (Yonaguni) to 154 (Minamitori) -> EE
+        // Japan Bounding Box: Lat 18-51.8 (N60-78), Lon 117-154.8 (E65-85)
+        // Slightly wider than Okinawa (24) to Hokkaido (46) / Yonaguni (122) to Minamitori (154) to be safe
+        return this.identifyBlocks(config.REAL_TERRAIN_PARAMS.JAPAN_BOUNDS, getGlobalProjection());
+    }
 
-        // GeoForge NN:
-        // Equator is N50 (Lat 0)
-        // Lat 24 -> N50 + (24 / 1.8) = N50 + 13.3 = N63
-        // Lat 46 -> N50 + (46 / 1.8) = N50 + 25.5 = N75
+    /**
+     * 経緯度の範囲を覆うブロックを列挙する (東端・北端はブロックの境界ちょうどなら含めない)
+     * @throws {Error} ブロックの範囲 (BLOCK_START〜BLOCK_END) の外にはみ出す場合
+     */
+    identifyBlocks(bounds: RegionBounds, projection: BlockProjection): { ee: number, nn: number }[] {
+        if (!(bounds.south < bounds.north) || !(bounds.west < bounds.east)) {
+            throw new Error('範囲は南 < 北、西 < 東で指定してください。');
+        }
+        const d = projection.degreesPerBlock;
+        const EPSILON = 1e-9;
+        const eeFrom = projection.originEe + Math.floor((bounds.west - projection.originLon) / d + EPSILON);
+        const eeTo = projection.originEe + Math.ceil((bounds.east - projection.originLon) / d - EPSILON) - 1;
+        const nnFrom = projection.originNn + Math.floor((bounds.south - projection.originLat) / d + EPSILON);
+        const nnTo = projection.originNn + Math.ceil((bounds.north - projection.originLat) / d - EPSILON) - 1;
+        if (eeFrom < BLOCK_START_EE || eeTo > BLOCK_END_EE || nnFrom < BLOCK_START_NN || nnTo > BLOCK_END_NN) {
+            throw new Error(`範囲がブロック E${eeFrom}〜${eeTo}・N${nnFrom}〜${nnTo} になり、ブロックの範囲 (${BLOCK_START_EE}〜${BLOCK_END_EE}) の外に出ます。置き場所のブロックを指定してください。`);
+        }
 
-        // Let's generate a slightly wider range to be safe
         const blocks: { ee: number, nn: number }[] = [];
-        for (let nn = 60; nn <= 78; nn++) {
-            for (let ee = 65; ee <= 85; ee++) {
+        for (let nn = nnFrom; nn <= nnTo; nn++) {
+            for (let ee = eeFrom; ee <= eeTo; ee++) {
                 blocks.push({ ee, nn });
             }
         }
         return blocks;
     }
 
-    async generateBlockData(ee: number, nn: number): Promise<any | null> {
+    async generateBlockData(ee: number, nn: number, elevation: ElevationSource, climateSource: ClimateSource,
+        projection: BlockProjection = getGlobalProjection(), includeOceanBlocks = false): Promise<any | null> {
         const hexes: any[] = [];
         const COLS = 25;
         const ROWS = 22;
@@ -118,14 +203,14 @@ export class DataGenerator {
 
         for (let r = 0; r < ROWS; r++) {
             for (let c = 0; c < COLS; c++) {
-                const coords = this.getHexCenterLatLon(ee, nn, c, r);
-                const elev = await this.getElevation(coords.lat, coords.lon);
+                const coords = this.getHexCenterLatLon(ee, nn, c, r, projection);
+                const elev = await elevation.getElevation(coords.lat, coords.lon);
 
                 // Determine if water based on elevation (GSI 'e' or <= 0)
                 const isWater = elev <= 0;
                 if (!isWater) hasLand = true;
 
-                const climate = this.getClimate(coords.lat, coords.lon, elev);
+                const climate = climateSource.getClimate(coords.lat, coords.lon, elev);
                 const climateZone = classifyClimate(climate.temp, climate.precip, elev);
                 const terrainType = this.determineTerrainType(elev, isWater);
                 const vegetation = this.determineVegetation(climateZone, terrainType, climate.temp, climate.precip, elev, isWater);
@@ -159,7 +244,7 @@ export class DataGenerator {
         }
 
         // If the entire block is ocean, return null to skip
-        if (!hasLand) return null;
+        if (!hasLand && !includeOceanBlocks) return null;
 
         return this.compressBlockData(ee, nn, hexes);
     }
@@ -227,7 +312,7 @@ export class DataGenerator {
         });
 
         return {
-            id: `map_${ee}_${nn}`,
+            id: getBlockId(ee, nn),
             version: "2.2", // Match user version
             timestamp: Date.now(),
             dictionaries: dictionaries,
@@ -285,126 +370,24 @@ export class DataGenerator {
 
     // --- Coordinate Calculation ---
 
-    getHexCenterLatLon(ee: number, nn: number, q: number, r: number) {
+    getHexCenterLatLon(ee: number, nn: number, q: number, r: number, projection: BlockProjection = getGlobalProjection()) {
         // Reverting to the logic that the User said was CORRECT.
         // N60-78.
-
-        const lonStart = ee * 1.8;
-        const latStart = (nn - 50) * 1.8;
+        const d = projection.degreesPerBlock;
+        const lonStart = projection.originLon + (ee - projection.originEe) * d;
+        const latStart = projection.originLat + (nn - projection.originNn) * d;
 
         const COLS = 25;
         const ROWS = 22;
 
-        const lon = lonStart + (q / COLS) * 1.8;
+        const lon = lonStart + (q / COLS) * d;
         // latStart is Bottom (South). r=0 is Top (North).
-        // so r=0 -> latStart + 1.8
-        const lat = (latStart + 1.8) - (r / ROWS) * 1.8;
+        // so r=0 -> latStart + d
+        const lat = (latStart + d) - (r / ROWS) * d;
 
         return { lat, lon };
     }
 
-    // --- Elevation (GSI Tiles) ---
-    // URL: https://cyberjapandata.gsi.go.jp/xyz/demgm/{z}/{x}/{y}.txt
-    // demgm max zoom = 8.
-
-    async getElevation(lat: number, lon: number) {
-        const z = 8;
-        const tile = this.lonLatToTile(lon, lat, z);
-        const tx = Math.floor(tile.x);
-        const ty = Math.floor(tile.y);
-
-        const key = `${z}/${tx}/${ty}`;
-
-        let grid = this.elevationCache.get(key);
-        if (!grid) {
-            grid = await this.fetchTile(z, tx, ty);
-            this.elevationCache.set(key, grid);
-        }
-
-        if (!grid) return -1000; // Error or sea
-
-        // Pixel within tile
-        const px = Math.floor((tile.x - tx) * 256);
-        const py = Math.floor((tile.y - ty) * 256);
-
-        const val = grid[py * 256 + px];
-        return val === undefined || val === 'e' ? -100 : parseFloat(val); // 'e' is usually no-data (water) in GSI
-    }
-
-    async fetchTile(z: number, x: number, y: number) {
-        const url = `https://cyberjapandata.gsi.go.jp/xyz/demgm/${z}/${x}/${y}.txt`;
-        try {
-            const resp = await fetch(url);
-            if (!resp.ok) return null;
-            const text = await resp.text();
-            // content is "val,val,val..." (256*256 items)? Or CSV lines?
-            // GSI txt tile often: each value separated by comma, line break?
-            // Actually it is often just pure CSV-like text, line breaks might distinguish rows.
-            // Let's check GSI specs. Usually it's ONE line or 256 lines.
-            // Safe parse: split by any whitespace or comma.
-
-            // Note: Standard GSI txt is often 256 rows, each has 256 cols comma separated.
-            // Let's replace newlines with commas and split.
-            const clean = text.replace(/\r?\n/g, ',');
-            const values = clean.split(',').map(s => s.trim()).filter(s => s !== '');
-            return values; // Array of 65536 items
-        } catch (e) {
-            console.warn(`Failed to fetch tile ${url}`, e);
-            return null;
-        }
-    }
-
-    lonLatToTile(lon: number, lat: number, z: number) {
-        const rad = lat * Math.PI / 180;
-        const n = Math.pow(2, z);
-        const xtile = n * ((lon + 180) / 360);
-        const ytile = n * (1 - (Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI)) / 2;
-        return { x: xtile, y: ytile };
-    }
-
-    // --- Climate Interpolation ---
-    // IDW (Inverse Distance Weighting)
-
-    getClimate(lat: number, lon: number, elev: number) {
-        let nomTemp = 0, denTemp = 0;
-        let nomPre = 0, denPre = 0;
-
-        const p = 2; // Power parameter
-
-        for (const st of CLIMATE_STATIONS) {
-            const d = this.dist(lat, lon, st.lat, st.lon);
-            if (d < 0.001) return { temp: st.temp, precip: st.precip }; // Exact match
-
-            const w = 1 / Math.pow(d, p);
-
-            // Adjust Temp by Elevation lapse rate (0.6C / 100m)
-            const elevDiff = elev - st.elev;
-            const adjustedTemp = st.temp - (elevDiff / 100) * 0.65;
-
-            nomTemp += w * adjustedTemp;
-            denTemp += w;
-
-            nomPre += w * st.precip;
-            denPre += w;
-        }
-
-        const temp = nomTemp / denTemp;
-        const precip = nomPre / denPre;
-
-        return { temp, precip };
-    }
-
-    dist(lat1: number, lon1: number, lat2: number, lon2: number) {
-        const R = 6371;
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLon = (lon2 - lon1) * Math.PI / 180;
-        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        return R * c;
-    }
-
     // --- Download Helper ---
 
     downloadBlob(blob, filename) {
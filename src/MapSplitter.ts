@@ -8,17 +8,17 @@ import * as blockUtils from './BlockUtils.ts';
 import { WorldMap, Hex } from './WorldMap.ts';
 
 /**
- * Assigns road patterns to hex properties based on global road paths.
+ * Computes road patterns per hex based on global road paths.
+ * Hex はアクセスのたびに作り直される Flyweight のため、h.properties に書いた値は残らない。結果はインデックスごとの Map で返す。
  * @param {WorldMap} allHexes 
  * @param {any[]} roadPaths 
+ * @returns {Map<number, Array<{pattern: number, level: number}>>} ヘックスのインデックス → 道路のパターン
  */
-export function assignRoadPatterns(allHexes: WorldMap, roadPaths: any[]) {
-    // Clear existing patterns
-    allHexes.forEach(h => {
-        h.properties.roadPatterns = [];
-    });
+export function assignRoadPatterns(allHexes: WorldMap, roadPaths: any[]): Map<number, { pattern: number; level: number }[]> {
+    // ヘックスのインデックス → { パターンID: 道路レベル }
+    const levels = new Map<number, Record<number, number>>();
 
-    if (!roadPaths) return;
+    if (!roadPaths) return new Map();
 
     roadPaths.forEach(road => {
         const path = road.path;
@@ -60,42 +60,40 @@ export function assignRoadPatterns(allHexes: WorldMap, roadPaths: any[]) {
             const patterns = blockUtils.getPatternIds(inDir, outDir);
 
             // Initialize if needed
-            if (!hex.properties.roadPatternLevels) {
-                hex.properties.roadPatternLevels = {};
+            if (!levels.has(hex.index)) {
+                levels.set(hex.index, {});
             }
+            const patternLevels = levels.get(hex.index)!;
 
             // Patterns for this road segment
             patterns.forEach(pid => {
-                const currentLevel = hex.properties.roadPatternLevels[pid] || 0;
+                const currentLevel = patternLevels[pid] || 0;
                 // Only update if the new road level is strictly higher
                 if (road.level > currentLevel) {
-                    hex.properties.roadPatternLevels[pid] = road.level;
+                    patternLevels[pid] = road.level;
                 }
             });
         }
     });
 
     // Convert map to array for serialization
-    allHexes.forEach(h => {
-        if (h.properties.roadPatternLevels) {
-            h.properties.roadPatterns = Object.entries(h.properties.roadPatternLevels).map(([pid, level]) => ({
-                pattern: parseInt(pid),
-                level: level
-            }));
-            delete h.properties.roadPatternLevels; // cleanup temp
-        }
+    const roadPatterns = new Map<number, { pattern: number; level: number }[]>();
+    levels.forEach((patternLevels, index) => {
+        roadPatterns.set(index, Object.entries(patternLevels).map(([pid, level]) => ({
+            pattern: parseInt(pid),
+            level: level
+        })));
     });
+    return roadPatterns;
 }
 
 /**
- * Assigns river patterns to hex properties based on flow data.
+ * Computes river patterns per hex based on flow data.
  * @param {WorldMap} allHexes 
+ * @returns {Map<number, Array<{pattern: number, width: number}>>} ヘックスのインデックス → 河川のパターン
  */
-export function assignRiverPatterns(allHexes: WorldMap) {
-    // Clear existing patterns
-    allHexes.forEach(h => {
-        h.properties.riverPatterns = [];
-    });
+export function assignRiverPatterns(allHexes: WorldMap): Map<number, { pattern: number; width: number }[]> {
+    const riverPatterns = new Map<number, { pattern: number; width: number }[]>();
 
     // 1. Map all inflows
     // Map<hexIndex, Array<upstreamIndex>>
@@ -163,27 +161,33 @@ export function assignRiverPatterns(allHexes: WorldMap) {
 
         // Convert map to array
         if (patternsMap.size > 0) {
-            h.properties.riverPatterns = Array.from(patternsMap.entries()).map(([pid, w]) => ({
+            riverPatterns.set(currIndex, Array.from(patternsMap.entries()).map(([pid, w]) => ({
                 pattern: pid,
                 width: w
-            }));
+            })));
         }
     });
+    return riverPatterns;
 }
 
 
 /**
  * Splits the global world data into 25 block objects.
+ * ブロックの並びは地図の読み込み (blockUtils.blockLocalToGlobal) と同じで、NN が大きいブロックほど北にある。
+ * 世界の位置は blockUtils.getWorldFrame で決め、各ブロックに world として持たせる (世界のインデックスの解決に使う)。
  * @param {Object} worldData 
- * @returns {Array} Array of block objects { id, data }
+ * @param {Object} [options]
+ * @param {boolean} [options.skipEmptyBlocks=false] - Skip blocks that contain no in-world hex (dummy water only).
+ * @returns {Array} Array of block objects { id, world, hexes }
  */
-export function splitWorldIntoBlocks(worldData: any): any[] {
+export function splitWorldIntoBlocks(worldData: any, options: { skipEmptyBlocks?: boolean } = {}): any[] {
     const { allHexes } = worldData;
     const blocks = [];
+    const frame = blockUtils.getWorldFrame(config.COLS, config.ROWS);
 
     // Assign Patterns first
-    assignRoadPatterns(allHexes, worldData.roadPaths);
-    assignRiverPatterns(allHexes);
+    const roadPatterns = assignRoadPatterns(allHexes, worldData.roadPaths);
+    const riverPatterns = assignRiverPatterns(allHexes);
 
     // Iterate Blocks
     for (let ee = blockUtils.BLOCK_START_EE; ee <= blockUtils.BLOCK_END_EE; ee++) {
@@ -191,18 +195,19 @@ export function splitWorldIntoBlocks(worldData: any): any[] {
 
             // Create Block Data
             const blockHexes = [];
+            let hasWorldHex = false;
 
             // Block Size: 25x22 (Core 23x20 + Padding 1)
             // Local Coords: 0..24, 0..21
             for (let ly = 0; ly < blockUtils.BLOCK_TOTAL_ROWS; ly++) {
                 for (let lx = 0; lx < blockUtils.BLOCK_TOTAL_COLS; lx++) {
 
-                    // Convert to Global
-                    const globalCoord = blockUtils.blockToGlobal(ee, nn, lx, ly);
+                    // Convert to World (地図のグローバル座標を経由する)
+                    const mapCoord = blockUtils.blockLocalToGlobal(ee, nn, lx, ly);
+                    const globalCoord = blockUtils.globalToWorld(frame, mapCoord.col, mapCoord.row);
 
                     // Boundary check
-                    if (globalCoord.col < 0 || globalCoord.col >= config.COLS ||
-                        globalCoord.row < 0 || globalCoord.row >= config.ROWS) {
+                    if (!globalCoord) {
                         // Pad with null or dummy?
                         // If it's outside the world, maybe just skip or add dummy water?
                         // Spec says "block holds 25x22 data".
@@ -257,8 +262,8 @@ export function splitWorldIntoBlocks(worldData: any): any[] {
                         // ...
 
                         // NEW PROPS
-                        rp: p.roadPatterns, // [{pattern:0, level:2}, ...]
-                        rv: p.riverPatterns, // [{pattern:0, width:0.5}, ...]
+                        roadPatterns: roadPatterns.get(index), // [{pattern:0, level:2}, ...]
+                        riverPatterns: riverPatterns.get(index), // [{pattern:0, width:0.5}, ...]
 
                         col: lx, // Added to satisfy TS
                         row: ly  // Added to satisfy TS
@@ -286,11 +291,16 @@ export function splitWorldIntoBlocks(worldData: any): any[] {
                     blockHex.row = ly;
 
                     blockHexes.push(blockHex);
+                    hasWorldHex = true;
                 }
             }
 
+            // 世界の範囲外だけのブロックは出力しない (ヘッドレス出力用)
+            if (options.skipEmptyBlocks && !hasWorldHex) continue;
+
             blocks.push({
                 id: blockUtils.getBlockId(ee, nn),
+                world: frame,
                 hexes: blockHexes
             });
         }
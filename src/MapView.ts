@@ -3,12 +3,16 @@
 // ================================================================
 import * as d3 from 'd3';
 import * as config from './config.ts';
-import { getIndex, formatLocation, getSharedEdgePoints, getSharedEdgeMidpoint } from './utils.ts';
-import { BLOCK_START_EE, BLOCK_START_NN, BLOCK_END_NN } from './BlockUtils.ts';
+import { getIndex, formatLocation, getSharedEdgePoints, getSharedEdgeMidpoint, getNationName } from './utils.ts';
+import { BLOCK_START_EE, BLOCK_START_NN, BLOCK_END_NN, blockLocalToGlobal } from './BlockUtils.ts';
 import { getInfoText, updateOverallInfo, generateHexJson, childrenMap } from './infoWindow.ts';
 import { CoordinateSystem } from './CoordinateSystem.ts'; // [NEW]
 import { JapanOverlay } from './JapanOverlay.js';
+import { getMapLabelName } from './nameGenerator.ts';
 import { WorldMap, Hex } from './WorldMap.ts';
+import { FogCampaign, sanitizeDisplayHex, getSecretMapLayers, getPlayerHexText, isRevealed } from './fogOfWar.ts';
+import { Annotation, getAnnotationsAt, getAnnotationCardHtml } from './annotations.ts';
+import { getMonthlyClimate } from './seasonalClimate.ts';
 
 /**
  * 変更履歴:
@@ -29,6 +33,17 @@ export class MapView {
     minimapSvg: d3.Selection<SVGSVGElement, unknown, HTMLElement, any> | null;
     minimapViewport: d3.Selection<SVGRectElement, unknown, HTMLElement, any> | null;
     currentSelectedHex: Hex | null;
+    editHandler: ((d: any) => void) | null; // 編集モード中のクリック処理 (hexEditorPanel.ts)
+    pickHandler: ((d: any) => void) | null; // 地点選択中のクリック処理 (travelPanel.ts、1回のクリックで解除)
+    travelRoute: { path: number[]; stops: { index: number; label: string }[] } | null; // 旅程の経路 (共有バッファのインデックス)
+    searchHighlights: Set<string> | null; // 検索結果のヘックス ('col,row' のグローバル座標。searchPanel.ts)
+    searchFocus: string | null; // 検索結果のうち最後に選んだヘックス
+    revealHandler: ((d: any) => void) | null; // 霧を晴らすブラシのクリック処理 (fogPanel.ts)
+    fogCampaign: FogCampaign | null; // 戦場の霧のキャンペーン (fogOfWar.ts。null で霧なし)
+    fogPlayerView: boolean; // プレイヤー表示 (明かしていないヘックスと伏せたレイヤーを表示しない)
+    annotations: Annotation[]; // 地図の注釈 (annotations.ts。worldData.annotations)
+    annotationDraft: Annotation | null; // 注釈パネルで編集中の注釈 (保存前の状態を表示する)
+    month: number | null; // 表示する月 (1〜12。null で年平均。気温・降水量・積雪の表示を月の値にする)
     tooltipContainer: d3.Selection<HTMLDivElement, unknown, HTMLElement, any>;
     nationColor: d3.ScaleOrdinal<string, string>;
     BLOCK_COLS: number;
@@ -59,6 +74,17 @@ export class MapView {
         this.minimapSvg = null;
         this.minimapViewport = null;
         this.currentSelectedHex = null;
+        this.editHandler = null;
+        this.pickHandler = null;
+        this.travelRoute = null;
+        this.searchHighlights = null;
+        this.searchFocus = null;
+        this.revealHandler = null;
+        this.fogCampaign = null;
+        this.fogPlayerView = false;
+        this.annotations = [];
+        this.annotationDraft = null;
+        this.month = null;
         this.tooltipContainer = this.createTooltip();
         this.zoom = d3.zoom(); // Initialize
         this.isZooming = false;
@@ -91,24 +117,32 @@ export class MapView {
      * @returns {string} ツールチップのテキスト
      */
     getTooltipText(d) {
+        if (this.fogPlayerView && this.fogCampaign) return getPlayerHexText(d, this.fogCampaign);
         const p = d.properties;
 
         let headerText = '';
         const locationText = formatLocation(d, 'short');
         const settlementType = (p.settlement || '散居').padEnd(2, '　');
         const populationText = `人口：${(p.population || 0).toLocaleString()} 人`;
-        headerText += `${settlementType}：${locationText}\n${populationText}\n`;
+        const nameText = p.settlementName ? ` ${p.settlementName}` : '';
+        headerText += `${settlementType}${nameText}：${locationText}\n${populationText}\n`;
 
         let bodyText = '---\n';
         const terrain = p.isWater ? '水域' : (p.terrainType || '不明');
         const vegetation = p.vegetation || 'なし';
         bodyText += `地形：${terrain}\n植生：${vegetation}\n`;
 
+        const season = this.month ? getMonthlyClimate(p, this.month) : null;
         const features = [];
         if (p.isAlluvial) features.push('河川');
-        if (p.hasSnow) features.push('積雪');
+        if (season ? season.snowCover : p.hasSnow) features.push('積雪');
+        if (season?.frozen) features.push('結氷');
+        if (season?.flooding) features.push('増水');
+        if (season?.passClosed) features.push('峠の閉鎖');
         if (p.beachNeighbors && p.beachNeighbors.length > 0) features.push('砂浜');
         if (features.length > 0) bodyText += `特性：${features.join(', ')}`;
+        if (p.riverName) bodyText += `\n河川：${p.riverName}`;
+        if (p.ridgeName) bodyText += `\n山脈：${p.ridgeName}`;
 
 
         if (p.parentHexId !== null) {
@@ -121,13 +155,14 @@ export class MapView {
                 if (!parentHex) break;
                 const parentType = (parentHex.properties.settlement || '').padEnd(2, '　');
                 const parentCoords = formatLocation(parentHex, 'short');
-                bodyText += `\n${parentType}：${parentCoords}`;
+                const parentName = parentHex.properties.settlementName ? ` ${parentHex.properties.settlementName}` : '';
+                bodyText += `\n${parentType}${parentName}：${parentCoords}`;
                 currentHex = parentHex;
                 safety++;
             }
         }
 
-        const nationName = p.nationId > 0 && config.NATION_NAMES[p.nationId - 1] ? config.NATION_NAMES[p.nationId - 1] : '辺境';
+        const nationName = getNationName(p.nationId);
         bodyText += `\n${nationName}`;
 
         return headerText + bodyText;
@@ -207,7 +242,10 @@ export class MapView {
         createLayer('sea-route'); // 海路
         createLayer('border'); // 国境
         createLayer('highlight-overlay'); // ハイライト
+        createLayer('travel-route'); // 旅程の経路
         createLayer('settlement'); // 集落
+        createLayer('fog-overlay'); // 戦場の霧 (GM表示で明かしていないヘックスを示す)
+        createLayer('annotation'); // 地図の注釈 (ピン・範囲・経路)
 
         // データオーバーレイ群
         const overlays = [
@@ -386,7 +424,9 @@ export class MapView {
         const layer = this.layers[layerName];
         if (!layer) return false;
 
-        const newState = forceVisible !== null ? forceVisible : !((layer as any).visible);
+        let newState = forceVisible !== null ? forceVisible : !((layer as any).visible);
+        // プレイヤー表示では伏せたレイヤーを表示しない
+        if (newState && this.isSecretLayer(layerName)) newState = false;
         (layer as any).visible = newState;
 
         // ズーム依存レイヤーの場合は、updateZoomDependentLayersに描画判定を委譲
@@ -451,6 +491,7 @@ export class MapView {
      */
     calculateCompositeColor(d: any) {
         const p = d.properties;
+        if (p._fogged) return config.FOG_OF_WAR_PARAMS.FOG_COLOR;
         const isWhiteMap = (document.querySelector('input[name="map-type"][value="white"]') as HTMLInputElement)?.checked;
 
         let baseColor: string;
@@ -466,6 +507,10 @@ export class MapView {
 
         if (!c) return '#000'; // Safety check
 
+        // 月を選んでいる場合は、その月の気温・降水量・積雪で表示する (月の値を使うレイヤーが表示中のときだけ求める)
+        const usesSeason = ['snow', 'temp-overlay', 'precip-overlay'].some(name => (this.layers[name] as any)?.visible);
+        const season = this.month && usesSeason ? getMonthlyClimate(p, this.month) : null;
+
         // 植生のブレンド
         if (!p.isWater && (this.layers['vegetation-overlay'] as any)?.visible) {
             let displayVeg = p.vegetation;
@@ -480,8 +525,8 @@ export class MapView {
             }
         }
 
-        // 積雪のブレンド
-        if (!p.isWater && (this.layers.snow as any)?.visible && p.hasSnow) {
+        // 積雪・結氷のブレンド
+        if ((this.layers.snow as any)?.visible && (season ? season.snowCover || season.frozen : !p.isWater && p.hasSnow)) {
             const snowColor = d3.color('#fff');
             if (snowColor) {
                 snowColor.opacity = 0.8;
@@ -492,8 +537,9 @@ export class MapView {
         // 各種オーバーレイの定義
         const overlayMap = [
             { name: 'climate-zone-overlay', func: (p: any) => config.CLIMATE_ZONE_COLORS[p.climateZone], opacity: 0.6 },
-            { name: 'temp-overlay', func: (p: any) => config.tempColor(p.temperature), opacity: 0.6 },
-            { name: 'precip-overlay', func: (p: any) => config.precipColor(p.precipitation_mm), opacity: 0.6 },
+            { name: 'temp-overlay', func: (p: any) => config.tempColor(season ? season.temperature : p.temperature), opacity: 0.6 },
+            // 月の降水量は12倍して年降水量の色の段階に合わせる
+            { name: 'precip-overlay', func: (p: any) => config.precipColor(season ? season.precipitation_mm * 12 : p.precipitation_mm), opacity: 0.6 },
             { name: 'population-overlay', func: (p: any) => p.population > 0 ? config.populationColor(p.population) : null, opacity: 0.9 },
             { name: 'monster-overlay', func: (p: any) => p.monsterRank ? config.MONSTER_COLORS[p.monsterRank] : null, opacity: 0.5 },
             { name: 'mana-overlay', func: (p: any) => config.manaColor(p.manaValue), opacity: 0.6 },
@@ -972,18 +1018,14 @@ export class MapView {
         console.log(`[MapView Debug] ensureDummyData called for ${block.id}`);
         block.isDummy = true;
 
-        const CORE_COL = 23;
-        const CORE_ROW = 20;
-        const GLOBAL_OFFSET_X = 1;
-        const GLOBAL_OFFSET_Y = 1;
-
         // 隣接データ検索ヘルパー
         const getLoadedNeighborHex = (gloCol, gloRow) => {
             for (const b of this.blocks) {
                 if (b.id === block.id) continue;
-                if (!b.loaded || !b.hexes || b.hexes.length === 0) continue;
+                const hexes = b.sourceHexes || b.hexes;
+                if (!b.loaded || !hexes || hexes.length === 0) continue;
 
-                const found = b.hexes.find(h => h.col === gloCol && h.row === gloRow);
+                const found = hexes.find(h => h.col === gloCol && h.row === gloRow);
                 if (found) return found;
             }
             return null;
@@ -1017,9 +1059,6 @@ export class MapView {
             await Promise.all(loadPromises);
         }
 
-        const coreStartCol = GLOBAL_OFFSET_X + (absEe - BLOCK_START_EE) * CORE_COL;
-        const coreStartRow = GLOBAL_OFFSET_Y + (absNn - BLOCK_START_NN) * CORE_ROW;
-
         const TOTAL_ROW = 22;
         const TOTAL_COL = 25;
 
@@ -1028,8 +1067,7 @@ export class MapView {
         for (let lr = 0; lr < TOTAL_ROW; lr++) {
             for (let lc = 0; lc < TOTAL_COL; lc++) {
                 // グローバル座標
-                const c = coreStartCol + (lc - 1);
-                const r = coreStartRow + (CORE_ROW - 1) - (lr - 1);
+                const { col: c, row: r } = blockLocalToGlobal(absEe, absNn, lc, lr);
 
                 // ローカルインデックスを使用してバッファにアクセス (ここも修正が必要な可能性あり)
                 const hexIndex = getIndex(lc, lr);
@@ -1101,6 +1139,13 @@ export class MapView {
                 hex.production = null;
                 hex.surplus = null;
                 hex.shortage = null;
+                hex.imports = null;
+                hex.trade = null;
+                hex.settlementName = null;
+                hex.nationName = null;
+                hex.riverName = null;
+                hex.ridgeName = null;
+                hex.mapLabelName = null;
                 hex.territoryData = null;
                 hex.beachNeighbors = null;
                 hex.vegetationAreas = null;
@@ -1138,10 +1183,7 @@ export class MapView {
      */
     generateBlockHexes(block) {
         block.hexes = [];
-        const CORE_COL = 23;
         const CORE_ROW = 20;
-        const GLOBAL_OFFSET_X = 1;
-        const GLOBAL_OFFSET_Y = 1;
         const BUFFER = 1;
 
         const hexWidth = 2 * config.r;
@@ -1159,9 +1201,6 @@ export class MapView {
             absEe = parseInt(parts[1], 10);
         }
 
-        const coreStartCol = GLOBAL_OFFSET_X + (absEe - BLOCK_START_EE) * CORE_COL;
-        const coreStartRow = GLOBAL_OFFSET_Y + (absNn - BLOCK_START_NN) * CORE_ROW;
-
         // [FIX] フルバッファ範囲ではなく、コア+αの範囲に絞る
         // 前回の修正で厳密なビューだけを描画することになったため、範囲を調整
         // バッファアクセス: 0=Pad, 1=CoreStart ...
@@ -1174,13 +1213,9 @@ export class MapView {
         for (let lr = rowStart; lr < rowEnd; lr++) {
             for (let lc = colStart; lc < colEnd; lc++) {
 
-                const c = coreStartCol + (lc - 1);
-
                 // [FIX] 垂直方向の反転
-                // バッファは左上(Row 1)が北。ワールド座標はRow 0が南。
-                // lr: 1..20
-                // r: (coreStartRow + 19) .. coreStartRow
-                const r = coreStartRow + (CORE_ROW - 1) - (lr - 1);
+                // バッファは左上(Row 1)が北。ワールド座標はRow 0が南。(blockLocalToGlobal)
+                const { col: c, row: r } = blockLocalToGlobal(absEe, absNn, lc, lr);
 
                 // [CRITICAL] ローカルインデックスを使用
                 const hexIndex = getIndex(lc, lr);
@@ -1227,11 +1262,23 @@ export class MapView {
 
                         settlement: sourceHex.settlement,
                         population: sourceHex.population,
+
+                        // 地名
+                        settlementName: sourceHex.settlementName,
+                        nationName: sourceHex.nationName,
+                        riverName: sourceHex.riverName,
+                        ridgeName: sourceHex.ridgeName,
+                        mapLabelName: getMapLabelName(sourceHex, this.hexes),
+
                         roadLevel: sourceHex.roadLevel,
 
                         temperature: sourceHex.temperature,
                         precipitation_mm: sourceHex.precipitation_mm,
                         climateZone: sourceHex.climateZone,
+                        hasSnow: sourceHex.hasSnow,
+                        // 季節変化 (seasonalClimate.ts)
+                        tempAmplitude: sourceHex.tempAmplitude,
+                        precipSeasonality: sourceHex.precipSeasonality,
 
                         monsterElement: sourceHex.monsterElement,
                         monsterDanger: sourceHex.monsterDanger,
@@ -1258,6 +1305,8 @@ export class MapView {
                         production: sourceHex.production ? { ...sourceHex.production } : null,
                         surplus: sourceHex.surplus ? { ...sourceHex.surplus } : null,
                         shortage: sourceHex.shortage ? { ...sourceHex.shortage } : null,
+                        imports: sourceHex.imports ? { ...sourceHex.imports } : null,
+                        trade: sourceHex.trade ? { ...sourceHex.trade } : null,
 
                         // IDs
                         nationId: sourceHex.nationId,
@@ -1353,6 +1402,33 @@ export class MapView {
 
         // [FIX] 等高線描画のために allHexes にもセット
         block.allHexes = block.hexes;
+
+        // 戦場の霧 (プレイヤー表示では block.hexes をプレイヤー表示用のヘックスに差し替える)
+        block.sourceHexes = block.hexes;
+        this.applyFogToBlock(block);
+    }
+
+    /**
+     * ブロックの表示用ヘックスに戦場の霧を反映します。
+     * 元の表示用ヘックスは block.sourceHexes に残し、プレイヤー表示では明かしていないヘックスと伏せた属性を消したコピーを block.hexes にします。
+     * @param {Object} block
+     */
+    applyFogToBlock(block) {
+        const source = block.sourceHexes || block.hexes;
+        if (!source) return;
+        block.sourceHexes = source;
+        if (this.fogPlayerView && this.fogCampaign) {
+            const campaign = this.fogCampaign;
+            block.hexes = source.map((d: any) => {
+                const hex = sanitizeDisplayHex(d, campaign);
+                hex._displayColor = this.calculateCompositeColor(hex);
+                return hex;
+            });
+            block.allHexes = block.hexes.filter((d: any) => !d._fogged);
+        } else {
+            block.hexes = source;
+            block.allHexes = source;
+        }
     }
 
     /**
@@ -1373,7 +1449,11 @@ export class MapView {
         this.drawBlockRidgeLines(block); // 稜線
         this.drawBlockContours(block); // 等高線
         this.drawBlockRoads(block); // 道路
+        this.drawBlockTravelRoute(block); // 旅程の経路
+        this.drawBlockSearchHighlights(block); // 検索結果
         this.drawBlockSettlements(block); // 集落
+        this.drawBlockFog(block); // 戦場の霧 (GM表示)
+        this.drawBlockAnnotations(block); // 地図の注釈
         this.drawBlockLabels(block); // ラベル
         this.drawBlockHexBorders(block); // ヘックス枠
         this.drawBlockInteraction(block); // インタラクション領域
@@ -2050,7 +2130,8 @@ export class MapView {
         if (g.empty() && seaG.empty()) return;
         if (this.roadPathsData.length === 0) return;
 
-        const blockHexSet = new Set(block.hexes.map(h => h.index));
+        // プレイヤー表示では明かしていないヘックスの道路を描かない
+        const blockHexSet = new Set(block.hexes.filter(h => !h._fogged).map(h => h.index));
         const roads = [];
         const seaRoutes = [];
 
@@ -2155,9 +2236,245 @@ export class MapView {
         text.append('tspan')
             .attr('x', (d: any) => this.coordSys.toView(d.cx, d.cy).x)
             .attr('dy', '1.0em')
-            .text((d: any) => formatLocation(d, 'elevation'));
+            .text((d: any) => d._fogged ? '' : formatLocation(d, 'elevation'));
         // .style('font-size', '5px')
         // .style('fill', '#000');
+
+        // Line 0: 地名 (集落名、河口の河川名、頂の山脈名)
+        grps.filter((d: any) => !!d.properties.mapLabelName).append('text')
+            .attr('x', (d: any) => this.coordSys.toView(d.cx, d.cy).x)
+            .attr('y', (d: any) => this.coordSys.toView(d.cx, d.cy).y - config.r * 0.5)
+            .attr('class', 'hex-name-label')
+            .text((d: any) => d.properties.mapLabelName);
+    }
+
+    /**
+     * 編集モードを切り替えます。handler を指定するとヘックスのクリックでブラシを適用します。
+     * @param {Function|null} handler - クリックされた表示用ヘックスを受け取る関数 (null で編集モード終了)
+     */
+    setEditHandler(handler: ((d: any) => void) | null) {
+        this.editHandler = handler;
+        this.svg.classed('edit-mode', !!handler);
+    }
+
+    /**
+     * 地点の選択を開始します。次に地図でクリックしたヘックスを handler に渡し、選択を終了します。
+     * @param {Function|null} handler - クリックされた表示用ヘックスを受け取る関数 (null で選択を取り消し)
+     */
+    setPickHandler(handler: ((d: any) => void) | null) {
+        this.pickHandler = handler;
+        this.svg.classed('pick-mode', !!handler);
+    }
+
+    /**
+     * 画面に表示している範囲をワールド座標で返します (地図の書き出し用)。
+     * @returns {{x0: number, y0: number, x1: number, y1: number}} 左上 (x0, y0) と右下 (x1, y1)
+     */
+    getViewBounds() {
+        const svgNode = this.svg.node() as Element;
+        const width = svgNode.clientWidth || window.innerWidth;
+        const height = svgNode.clientHeight || window.innerHeight;
+        const topLeftView = this.currentTransform.invert([0, 0]);
+        const bottomRightView = this.currentTransform.invert([width, height]);
+        const topLeft = this.coordSys.fromView(topLeftView[0], topLeftView[1]);
+        const bottomRight = this.coordSys.fromView(bottomRightView[0], bottomRightView[1]);
+        return { x0: topLeft.x, y0: topLeft.y, x1: bottomRight.x, y1: bottomRight.y };
+    }
+
+    /**
+     * 旅程の経路を設定し、描画済みのブロックに描き直します。
+     * @param {Object|null} route - { path: 経路のヘックスインデックス, stops: 地点の印 ({ index, label }) } (null で消去)
+     */
+    setTravelRoute(route: { path: number[]; stops: { index: number; label: string }[] } | null) {
+        this.travelRoute = route;
+        this.blocks.forEach(block => {
+            if (block.rendered) this.drawBlockTravelRoute(block);
+        });
+    }
+
+    /**
+     * ブロック内の旅程の経路と地点の印を描画します。
+     * 共有バッファの座標が一致するヘックスのみ描画します (経路は共有バッファ上で探索したもの)。
+     * @param {Object} block 
+     */
+    drawBlockTravelRoute(block) {
+        const g = this.layers['travel-route'].select(`#travel-route-${block.id}`);
+        if (g.empty()) return;
+
+        const route = this.travelRoute;
+        const hexByIndex = new Map();
+        if (route) {
+            block.hexes.forEach((d: any) => {
+                if (d._fogged) return;
+                const h = (this.hexes as any).getHex ? (this.hexes as any).getHex(d.index) : this.hexes[d.index];
+                if (h && h.col === d.col && h.row === d.row) hexByIndex.set(d.index, d);
+            });
+        }
+
+        // 経路 (道路と同じく、隣のヘックスとの境界の中点を中心経由で結ぶ)
+        const segments: string[] = [];
+        if (route) {
+            route.path.forEach((index, i) => {
+                const d = hexByIndex.get(index);
+                if (!d) return;
+                const prev = i > 0 ? hexByIndex.get(route.path[i - 1]) : null;
+                const next = i < route.path.length - 1 ? hexByIndex.get(route.path[i + 1]) : null;
+                const start = (prev && getSharedEdgeMidpoint(d, prev)) || [d.cx, d.cy];
+                const end = (next && getSharedEdgeMidpoint(d, next)) || [d.cx, d.cy];
+                const startView = this.coordSys.toView(start[0], start[1]);
+                const endView = this.coordSys.toView(end[0], end[1]);
+                const cpView = this.coordSys.toView(d.cx, d.cy);
+                segments.push(`M ${startView.x},${startView.y} Q ${cpView.x},${cpView.y} ${endView.x},${endView.y}`);
+            });
+        }
+        g.selectAll('.travel-route-path').data(segments).join('path')
+            .attr('class', 'travel-route-path')
+            .attr('d', d => d);
+
+        // 出発地・宿泊地・目的地の印
+        const stops = route ? route.stops.filter(s => hexByIndex.has(s.index)) : [];
+        const markers = g.selectAll('.travel-route-stop').data(stops).join(enter => {
+            const m = enter.append('g').attr('class', 'travel-route-stop');
+            m.append('circle').attr('r', 7);
+            m.append('text');
+            return m;
+        });
+        markers.attr('transform', (s: any) => {
+            const d = hexByIndex.get(s.index);
+            const p = this.coordSys.toView(d.cx, d.cy);
+            return `translate(${p.x}, ${p.y})`;
+        });
+        markers.select('text').text((s: any) => s.label);
+    }
+
+    /**
+     * 検索結果のハイライトを設定し、描画済みのブロックに描き直します。
+     * 座標 (グローバル) で照合するため、共有バッファが別のブロックに切り替わってもハイライトは残ります。
+     * @param {Array|null} cells - ハイライトするヘックスの座標 ({ col, row }) (null で消去)
+     */
+    setSearchHighlights(cells: { col: number; row: number }[] | null) {
+        this.searchHighlights = cells ? new Set(cells.map(c => `${c.col},${c.row}`)) : null;
+        if (!cells) this.searchFocus = null;
+        this.blocks.forEach(block => {
+            if (block.rendered) this.drawBlockSearchHighlights(block);
+        });
+    }
+
+    /**
+     * ブロック内の検索結果のヘックスを囲みます。
+     * @param {Object} block 
+     */
+    drawBlockSearchHighlights(block) {
+        const g = this.layers['highlight-overlay'].select(`#highlight-overlay-${block.id}`);
+        if (g.empty()) return;
+
+        const highlights = this.searchHighlights;
+        const hexes = highlights ? block.hexes.filter((d: any) => !d._fogged && highlights.has(`${d.col},${d.row}`)) : [];
+        g.selectAll('.search-highlight').data(hexes, (d: any) => `${d.col},${d.row}`).join('polygon')
+            .attr('class', (d: any) => `search-highlight${`${d.col},${d.row}` === this.searchFocus ? ' search-highlight-focused' : ''}`)
+            .attr('points', (d: any) => d.points.map((p: any) => {
+                const vp = this.coordSys.toView(p[0], p[1]);
+                return `${vp.x},${vp.y}`;
+            }).join(' '));
+    }
+
+    /**
+     * 指定したヘックスが画面の中央に来るように移動・拡大します。
+     * 移動が終わると updateVisibleBlocks により、必要なブロックが BlockManager で読み込まれて描画されます。
+     * @param {number} col - グローバル列番号
+     * @param {number} row - グローバル行番号
+     */
+    focusHex(col: number, row: number) {
+        const svgNode = this.svg.node() as Element;
+        const width = svgNode.clientWidth || window.innerWidth;
+        const height = svgNode.clientHeight || window.innerHeight;
+        const { cx, cy } = this.getHexCenter(col, row);
+        const view = this.coordSys.toView(cx, cy);
+        const scale = Math.max(this.currentTransform.k, config.SEARCH_PARAMS.FOCUS_SCALE);
+        const transform = d3.zoomIdentity
+            .translate(width / 2 - view.x * scale, height / 2 - view.y * scale)
+            .scale(scale);
+
+        this.searchFocus = `${col},${row}`;
+        this.blocks.forEach(block => {
+            if (block.rendered) this.drawBlockSearchHighlights(block);
+        });
+        this.svg.transition().duration(config.SEARCH_PARAMS.FOCUS_DURATION_MS).call(this.zoom.transform as any, transform);
+    }
+
+    /**
+     * クリックで選択したヘックスのハイライトを消します (情報ウィンドウを閉じたとき)。
+     */
+    clearSelectedHex() {
+        this.currentSelectedHex = null;
+        this.layers['highlight-overlay'].selectAll('.selected-hex').remove();
+    }
+
+    /**
+     * 共有バッファで編集したヘックスを表示用ヘックスに反映し、再描画します。
+     * 共有バッファに現在のデータがあるブロック (座標が一致するブロック) のみ作り直します。
+     */
+    refreshEditedHexes() {
+        this.blocks.forEach(block => {
+            if (!block.loaded || !block.hexes || block.hexes.length === 0) return;
+            const sample = block.hexes.find((d: any) => d.index !== undefined);
+            const h = sample ? ((this.hexes as any).getHex ? (this.hexes as any).getHex(sample.index) : this.hexes[sample.index]) : null;
+            if (!h || h.col !== sample.col || h.row !== sample.row) return;
+            this.generateBlockHexes(block);
+            block.rendered = false;
+        });
+        this.updateAllHexColors();
+        this.updateVisibleBlocks(this.currentTransform);
+        this.updateMinimap();
+
+        // 選択中のヘックスを作り直した表示用ヘックスに差し替え、情報ウィンドウを更新
+        if (this.currentSelectedHex) {
+            const selected = this.currentSelectedHex as any;
+            for (const block of this.blocks) {
+                const d = (block.hexes || []).find((x: any) => x.col === selected.col && x.row === selected.row);
+                if (d) { this.currentSelectedHex = d; break; }
+            }
+            const infoWindow = document.getElementById('info-window');
+            const infoContent = document.getElementById('info-window-content');
+            if (infoWindow && infoContent) {
+                infoContent.innerHTML = this.getHexInfoHtml(this.currentSelectedHex);
+                infoWindow.classList.remove('hidden');
+            }
+        }
+    }
+
+    /**
+     * 名前の変更を表示用ヘックスに反映し、再描画します。
+     * 共有バッファの座標が一致するヘックスのみ更新します (他ブロックの古いデータは参照しない)。
+     */
+    refreshHexNames() {
+        this.blocks.forEach(block => {
+            const hexes = block.sourceHexes || block.hexes;
+            if (!hexes) return;
+            hexes.forEach((d: any) => {
+                const h = (this.hexes as any).getHex ? (this.hexes as any).getHex(d.index) : this.hexes[d.index];
+                if (!h || h.col !== d.col || h.row !== d.row) return;
+                d.properties.settlementName = h.settlementName;
+                d.properties.nationName = h.nationName;
+                d.properties.riverName = h.riverName;
+                d.properties.ridgeName = h.ridgeName;
+                d.properties.mapLabelName = getMapLabelName(h, this.hexes);
+            });
+            this.applyFogToBlock(block);
+        });
+        this.resetBlockRenderStatus();
+        this.updateVisibleBlocks(this.currentTransform);
+
+        // 選択中のヘックスの情報ウィンドウを更新
+        const infoContent = document.getElementById('info-window-content');
+        if (this.currentSelectedHex && infoContent) {
+            const selected = this.currentSelectedHex as any;
+            for (const block of this.blocks) {
+                const d = (block.hexes || []).find((x: any) => x.col === selected.col && x.row === selected.row);
+                if (d) { this.currentSelectedHex = d; break; }
+            }
+            infoContent.innerHTML = this.getHexInfoHtml(this.currentSelectedHex);
+        }
     }
 
     /**
@@ -2237,9 +2554,9 @@ export class MapView {
                 event.stopPropagation();
                 this.currentSelectedHex = d as Hex;
 
-                // 選択ハイライト
+                // 選択ハイライト (検索結果のハイライトは残す)
                 const hl = this.layers['highlight-overlay'];
-                hl.selectAll('*').remove();
+                hl.selectAll('.selected-hex').remove();
 
                 // [FIX] Transform points to view coordinates for highlight
                 const viewPoints = (d as any).points.map((p: any) => {
@@ -2248,19 +2565,260 @@ export class MapView {
                 });
 
                 hl.append('polygon')
+                    .attr('class', 'selected-hex')
                     .attr('points', viewPoints.map((p: any) => p.join(',')).join(' '))
                     .attr('fill', 'none').attr('stroke', 'cyan').attr('stroke-width', 4);
 
+                // 地点の選択中は選択した地点を渡して終了する (1回だけ)
+                if (this.pickHandler) {
+                    const handler = this.pickHandler;
+                    this.setPickHandler(null);
+                    handler(d);
+                    return;
+                }
+
+                // 編集モード中はブラシを適用する (情報ウィンドウは編集後に refreshEditedHexes が更新する)
+                if (this.editHandler) {
+                    this.editHandler(d);
+                    return;
+                }
+
+                // 霧を晴らすブラシ
+                if (this.revealHandler) {
+                    this.revealHandler(d);
+                    return;
+                }
+
                 // 詳細情報ウィンドウの更新
                 const infoWindow = document.getElementById('info-window');
                 const infoContent = document.getElementById('info-window-content');
                 if (infoWindow && infoContent) {
-                    infoContent.innerHTML = getInfoText(d, this.hexes);
+                    this.applyDeferredBlockData(d);
+                    infoContent.innerHTML = this.getHexInfoHtml(d);
                     infoWindow.classList.remove('hidden');
                 }
             });
     }
 
+    /**
+     * バイナリ形式で読み込んだブロックの、後回しにしたプロパティ群 (産業・交易など) を表示用ヘックスに展開する
+     * @param {Object} d - 選択したヘックス
+     */
+    applyDeferredBlockData(d) {
+        if (!this.blockLoaderRef || !this.blockLoaderRef.hasDeferredData) return;
+        if (this.fogPlayerView) return; // プレイヤー表示の情報ウィンドウは経済データを使わない
+        const block = this.blocks.find(b => b.hexes && b.hexes.includes(d));
+        if (!block || !this.blockLoaderRef.hasDeferredData(block.id)) return;
+
+        const hexByIndex = new Map((block.sourceHexes || block.hexes).map((h: any) => [h.index, h]));
+        this.blockLoaderRef.applyDeferredData(block.id, (localIndex: number) => hexByIndex.get(localIndex) || null);
+    }
+
+    /**
+     * 情報ウィンドウの内容 (プレイヤー表示では伏せた情報を含まない簡易表示)
+     * @param {Object} d - 表示用ヘックス
+     * @returns {string} HTML
+     */
+    getHexInfoHtml(d) {
+        const annotationCard = getAnnotationCardHtml(getAnnotationsAt(this.getVisibleAnnotations(), d.col, d.row));
+        if (!(this.fogPlayerView && this.fogCampaign)) return getInfoText(d, this.hexes, annotationCard);
+        const text = getPlayerHexText(d, this.fogCampaign)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return `<div class="fog-player-info">${text}</div>${annotationCard}`;
+    }
+
+    // ================================================================
+    // Fog of War (戦場の霧)
+    // ================================================================
+
+    /**
+     * 戦場の霧を設定し、読み込み済みのブロックを描き直します。
+     * キャンペーンを変更 (ヘックスを明かすなど) したあとにも呼び出します。
+     * @param {FogCampaign|null} campaign - キャンペーン (null で霧なし)
+     * @param {boolean} playerView - プレイヤー表示にするかどうか (false は GM 表示: すべて見えて、明かしていないヘックスに印を付ける)
+     */
+    setFogOfWar(campaign: FogCampaign | null, playerView: boolean) {
+        const wasPlayerView = this.fogPlayerView;
+        this.fogCampaign = campaign;
+        this.fogPlayerView = !!campaign && playerView;
+
+        this.blocks.forEach(block => {
+            if (block.hexes || block.sourceHexes) this.applyFogToBlock(block);
+        });
+
+        // プレイヤー表示に切り替えたら、表示中の情報ウィンドウを閉じる (GM 向けの情報を残さない)
+        if (this.fogPlayerView && !wasPlayerView) {
+            document.getElementById('info-window')?.classList.add('hidden');
+            this.clearSelectedHex();
+        }
+
+        // 伏せたレイヤーを隠す (toggleLayer が全ヘックスの色の再計算と描画を行う)
+        if (this.fogPlayerView && this.fogCampaign) {
+            getSecretMapLayers(this.fogCampaign).forEach(name => {
+                if ((this.layers[name] as any)?.visible) this.toggleLayer(name, false);
+            });
+        }
+
+        this.updateAllHexColors();
+        this.resetBlockRenderStatus();
+        this.updateVisibleBlocks(this.currentTransform);
+        this.updateMinimap();
+    }
+
+    /**
+     * プレイヤー表示で表示できないレイヤーかどうか
+     * @param {string} layerName
+     */
+    isSecretLayer(layerName: string): boolean {
+        if (!this.fogPlayerView || !this.fogCampaign) return false;
+        return getSecretMapLayers(this.fogCampaign).includes(layerName);
+    }
+
+    /**
+     * 霧を晴らすブラシを切り替えます。handler を指定するとヘックスのクリックで handler を呼び出します。
+     * @param {Function|null} handler - クリックされた表示用ヘックスを受け取る関数 (null でブラシ終了)
+     */
+    setRevealHandler(handler: ((d: any) => void) | null) {
+        this.revealHandler = handler;
+        this.svg.classed('reveal-mode', !!handler);
+    }
+
+    /**
+     * GM 表示で、明かしていないヘックスに霧の印を重ねます (プレイヤー表示では地形の色で霧を表す)。
+     * @param {Object} block
+     */
+    drawBlockFog(block) {
+        const g = this.layers['fog-overlay'].select(`#fog-overlay-${block.id}`);
+        if (g.empty()) return;
+
+        const campaign = this.fogCampaign;
+        const hexes = campaign && !this.fogPlayerView
+            ? block.hexes.filter((d: any) => d.col !== undefined && !isRevealed(campaign, d.col, d.row))
+            : [];
+        g.selectAll('.fog-gm-hex').data(hexes, (d: any) => d.index).join('polygon')
+            .attr('class', 'fog-gm-hex')
+            .attr('points', (d: any) => d.points.map((p: any) => `${p[0] - d.cx},${p[1] - d.cy}`).join(' '))
+            .attr('transform', (d: any) => {
+                const p = this.coordSys.toView(d.cx, d.cy);
+                return `translate(${p.x}, ${p.y})`;
+            });
+    }
+
+    // ================================================================
+    // Annotations (地図の注釈)
+    // ================================================================
+
+    /**
+     * 地図の注釈を設定し、描画済みのブロックに描き直します。
+     * @param {Annotation[]} annotations - 保存済みの注釈
+     * @param {Annotation|null} draft - 編集中の注釈 (同じ ID の保存済みの注釈の代わりに表示する)
+     */
+    setAnnotations(annotations: Annotation[], draft: Annotation | null = null) {
+        this.annotations = annotations;
+        this.annotationDraft = draft;
+        this.blocks.forEach(block => {
+            if (block.rendered) this.drawBlockAnnotations(block);
+        });
+
+        // 選択中のヘックスの情報ウィンドウを更新
+        const infoContent = document.getElementById('info-window-content');
+        if (this.currentSelectedHex && infoContent) {
+            infoContent.innerHTML = this.getHexInfoHtml(this.currentSelectedHex);
+        }
+    }
+
+    /**
+     * 表示する注釈 (プレイヤー表示では共有した注釈の、明かしたヘックスの部分のみ)
+     * @returns {Annotation[]}
+     */
+    getVisibleAnnotations(): Annotation[] {
+        const draft = this.annotationDraft;
+        const list = draft
+            ? [...this.annotations.filter(a => a.id !== draft.id), draft]
+            : this.annotations;
+        const campaign = this.fogCampaign;
+        if (!(this.fogPlayerView && campaign)) return list;
+        return list
+            .filter(a => a.shared)
+            .map(a => ({ ...a, cells: a.cells.filter(c => isRevealed(campaign, c.col, c.row)) }))
+            .filter(a => a.cells.length > 0);
+    }
+
+    /**
+     * ブロック内の注釈を描画します。
+     * 範囲はブロック内のヘックスを塗り、経路はブロック内のヘックスから次の経由地までの線を引き、ピンはアイコンと題名を置きます。
+     * 座標 (グローバル) で照合するため、ブロックの読み込み順に関係なく描けます。
+     * @param {Object} block
+     */
+    drawBlockAnnotations(block) {
+        const g = this.layers['annotation'].select(`#annotation-${block.id}`);
+        if (g.empty()) return;
+
+        const hexByCell = new Map<string, any>();
+        block.hexes.forEach((d: any) => {
+            if (d.col !== undefined && !d._fogged) hexByCell.set(`${d.col},${d.row}`, d);
+        });
+        const toView = (col: number, row: number) => {
+            const { cx, cy } = this.getHexCenter(col, row);
+            return this.coordSys.toView(cx, cy);
+        };
+
+        const areaCells: { d: any; a: Annotation }[] = [];
+        const routeSegments: { a: Annotation; path: string; draft: boolean }[] = [];
+        const pins: { d: any; a: Annotation }[] = [];
+        this.getVisibleAnnotations().forEach(a => {
+            if (a.kind === 'area') {
+                a.cells.forEach(c => {
+                    const d = hexByCell.get(`${c.col},${c.row}`);
+                    if (d) areaCells.push({ d, a });
+                });
+            } else if (a.kind === 'route') {
+                // 区間は始点のヘックスがあるブロックで描く (ブロックをまたぐ区間も1回だけ描く)
+                a.cells.forEach((c, i) => {
+                    if (!hexByCell.has(`${c.col},${c.row}`)) return;
+                    const next = a.cells[i + 1];
+                    const p = toView(c.col, c.row);
+                    const q = next ? toView(next.col, next.row) : p;
+                    routeSegments.push({ a, path: `M ${p.x},${p.y} L ${q.x},${q.y}`, draft: a === this.annotationDraft });
+                });
+            } else {
+                const c = a.cells[0];
+                const d = c && hexByCell.get(`${c.col},${c.row}`);
+                if (d) pins.push({ d, a });
+            }
+        });
+
+        g.selectAll('.annotation-area').data(areaCells).join('polygon')
+            .attr('class', 'annotation-area')
+            .attr('points', (e: any) => e.d.points.map((p: any) => {
+                const vp = this.coordSys.toView(p[0], p[1]);
+                return `${vp.x},${vp.y}`;
+            }).join(' '))
+            .attr('fill', (e: any) => e.a.color)
+            .attr('fill-opacity', config.ANNOTATION_PARAMS.AREA_OPACITY)
+            .attr('stroke', (e: any) => e.a.color);
+
+        g.selectAll('.annotation-route').data(routeSegments).join('path')
+            .attr('class', (e: any) => `annotation-route${e.draft ? ' annotation-draft' : ''}`)
+            .attr('d', (e: any) => e.path)
+            .attr('stroke', (e: any) => e.a.color);
+
+        const markers = g.selectAll('.annotation-pin').data(pins).join(enter => {
+            const m = enter.append('g').attr('class', 'annotation-pin');
+            m.append('text').attr('class', 'annotation-pin-icon');
+            m.append('text').attr('class', 'annotation-pin-title').attr('y', 14);
+            return m;
+        });
+        markers.attr('transform', (e: any) => {
+            const p = this.coordSys.toView(e.d.cx, e.d.cy);
+            return `translate(${p.x}, ${p.y})`;
+        });
+        markers.select('.annotation-pin-icon').text((e: any) => e.a.icon);
+        markers.select('.annotation-pin-title')
+            .text((e: any) => e.a.title)
+            .attr('fill', (e: any) => e.a.color);
+    }
+
     // ================================================================
     // Updates (更新処理)
     // ================================================================
@@ -2294,6 +2852,24 @@ export class MapView {
     }
 
 
+    /**
+     * 表示する月を切り替え、気温・降水量・積雪の表示を描き直します。
+     * @param {number|null} month - 1〜12 (null で年平均)
+     */
+    setMonth(month: number | null) {
+        this.month = month;
+        this.updateAllHexColors();
+        this.resetBlockRenderStatus();
+        this.updateVisibleBlocks(this.currentTransform);
+        this.updateMinimap();
+
+        // 選択中のヘックスの情報ウィンドウを更新
+        const infoContent = document.getElementById('info-window-content');
+        if (this.currentSelectedHex && infoContent) {
+            infoContent.innerHTML = this.getHexInfoHtml(this.currentSelectedHex);
+        }
+    }
+
     /**
      * 気候データ更新時などにマップ全体再描画をトリガーします。
      * @param {Object} allHexes 
@@ -2355,7 +2931,9 @@ export class MapView {
             .join('rect').attr('class', 'minimap-hex')
             .attr('x', d => d.cx * scale).attr('y', d => d.cy * scale)
             .attr('width', hexWidth * scale).attr('height', hexHeight * scale)
-            .attr('fill', d => this.calculateCompositeColor(d));
+            .attr('fill', d => this.fogPlayerView && this.fogCampaign && !isRevealed(this.fogCampaign, d.col, d.row)
+                ? config.FOG_OF_WAR_PARAMS.FOG_COLOR
+                : this.calculateCompositeColor(d));
     }
 
     /**
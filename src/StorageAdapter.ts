@@ -0,0 +1,244 @@
+// ================================================================
+// GeoForge System - ストレージアダプタ (世界データの保存先の抽象化)
+// ================================================================
+// 保存先ごとの差異 (GAS / ローカルのワールドサーバー / ファイル) をこのインターフェースで吸収する。
+// 送受信するデータは compressWorldData() の圧縮形式で、読み込み時は processLoadedData() にそのまま渡せる。
+
+import { compressWorldData } from './BlockIO.ts';
+import { exportWorldBlocks } from './worldPipeline.ts';
+
+/** 保存済みの世界の概要 (一覧表示用) */
+export interface WorldSummary {
+    name: string;
+    latestRevision: number;
+    updatedAt: string;
+    seed?: number;
+}
+
+/** 保存済みリビジョンの概要 */
+export interface RevisionSummary {
+    revision: number;
+    createdAt: string;
+    seed?: number;
+    comment?: string;
+    blockCount?: number;
+}
+
+/** 保存結果 */
+export interface SaveResult {
+    // 保存先が成功を確認できたかどうか (GAS の no-cors 送信では確認できない)
+    confirmed: boolean;
+    name: string;
+    revision: number | null;
+    message: string;
+}
+
+/**
+ * ストレージアダプタの共通インターフェース
+ * supportsListing が false のアダプタでは、listWorlds / listRevisions は空配列を返す。
+ */
+export interface StorageAdapter {
+    readonly id: string;
+    readonly label: string;
+    readonly supportsListing: boolean;
+    listWorlds(): Promise<WorldSummary[]>;
+    listRevisions(name: string): Promise<RevisionSummary[]>;
+    saveWorld(name: string, worldData: any, comment?: string): Promise<SaveResult>;
+    /** revision を省略した場合は最新リビジョンを読み込む */
+    loadWorld(name?: string, revision?: number): Promise<any>;
+}
+
+// ================================================================
+// ■ GAS (Google Apps Script)
+// ================================================================
+
+/**
+ * GAS ウェブアプリへの保存・読み込み
+ * no-cors で送信するため応答を読めず、保存の成否は確認できない。世界は常に1つだけ扱う。
+ */
+export class GasStorageAdapter implements StorageAdapter {
+    readonly id = 'gas';
+    readonly label = 'GAS (スプレッドシート)';
+    readonly supportsListing = false;
+    private url: string;
+
+    constructor(url: string) {
+        this.url = url;
+    }
+
+    private ensureConfigured() {
+        if (!this.url.startsWith('https://script.google.com')) {
+            throw new Error('[設定注意] GASのURLが設定されていません。');
+        }
+    }
+
+    async listWorlds(): Promise<WorldSummary[]> {
+        return [];
+    }
+
+    async listRevisions(name: string): Promise<RevisionSummary[]> {
+        return [];
+    }
+
+    async saveWorld(name: string, worldData: any): Promise<SaveResult> {
+        this.ensureConfigured();
+        await fetch(this.url, {
+            method: 'POST',
+            mode: 'no-cors',
+            cache: 'no-cache',
+            headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+            body: JSON.stringify(compressWorldData(worldData)),
+            redirect: 'follow'
+        });
+        return { confirmed: false, name: name, revision: null, message: '保存リクエストを送信しました（GASでは保存結果を確認できません）。' };
+    }
+
+    async loadWorld(): Promise<any> {
+        this.ensureConfigured();
+        const response = await fetch(this.url);
+        if (!response.ok) throw new Error(`サーバーからの応答が不正です (ステータス: ${response.status})`);
+        return await response.json();
+    }
+}
+
+// ================================================================
+// ■ ローカルのワールドサーバー (server/index.mjs)
+// ================================================================
+
+/**
+ * Express + PostgreSQL のワールドサーバーへの保存・読み込み
+ * 名前付きの世界ごとにリビジョンを積み上げ、世界全体とブロック単位のデータを保存する。
+ */
+export class HttpStorageAdapter implements StorageAdapter {
+    readonly id = 'http';
+    readonly label = 'ワールドサーバー';
+    readonly supportsListing = true;
+    private baseUrl: string;
+
+    /**
+     * @param {string} baseUrl - API のベースURL (例: "/api" や "http://localhost:3000/api")
+     */
+    constructor(baseUrl: string) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    /**
+     * API を呼び出し、JSON の応答を返す。エラー応答はサーバーのメッセージ付きで例外にする。
+     */
+    private async request(path: string, init: RequestInit = {}): Promise<any> {
+        const response = await fetch(`${this.baseUrl}${path}`, init);
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            const detail = body && body.error ? body.error : `ステータス: ${response.status}`;
+            throw new Error(`ワールドサーバーのエラー (${detail})`);
+        }
+        return body;
+    }
+
+    async listWorlds(): Promise<WorldSummary[]> {
+        const body = await this.request('/worlds');
+        return body.worlds;
+    }
+
+    async listRevisions(name: string): Promise<RevisionSummary[]> {
+        const body = await this.request(`/worlds/${encodeURIComponent(name)}/revisions`);
+        return body.revisions;
+    }
+
+    async saveWorld(name: string, worldData: any, comment: string = ''): Promise<SaveResult> {
+        // 世界全体の圧縮データに加え、BlockManager が読み込むブロック単位のデータも保存する
+        const blocks = exportWorldBlocks(worldData, { skipEmptyBlocks: true })
+            .map(file => ({ id: file.payload.id, payload: file.payload }));
+
+        const body = await this.request(`/worlds/${encodeURIComponent(name)}/revisions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ comment: comment, world: compressWorldData(worldData), blocks: blocks })
+        });
+        return {
+            confirmed: true,
+            name: body.name,
+            revision: body.revision,
+            message: `「${body.name}」をリビジョン ${body.revision} として保存しました（${body.blockCount}ブロック）。`
+        };
+    }
+
+    async loadWorld(name?: string, revision?: number): Promise<any> {
+        if (!name) throw new Error('読み込む世界の名前を指定してください。');
+        const rev = revision ?? 'latest';
+        const body = await this.request(`/worlds/${encodeURIComponent(name)}/revisions/${rev}`);
+        return body.world;
+    }
+}
+
+// ================================================================
+// ■ ファイル (ダウンロード / ファイル選択)
+// ================================================================
+
+// ファイル選択ダイアログから戻ったあと、change が届かなければキャンセルとみなすまでの時間 (ミリ秒)
+const FILE_DIALOG_CANCEL_DELAY_MS = 500;
+
+/**
+ * 圧縮した世界データを JSON ファイルとしてダウンロードし、読み込み時はファイル選択ダイアログを開く
+ */
+export class FileStorageAdapter implements StorageAdapter {
+    readonly id = 'file';
+    readonly label = 'ファイル';
+    readonly supportsListing = false;
+
+    async listWorlds(): Promise<WorldSummary[]> {
+        return [];
+    }
+
+    async listRevisions(name: string): Promise<RevisionSummary[]> {
+        return [];
+    }
+
+    async saveWorld(name: string, worldData: any): Promise<SaveResult> {
+        const fileName = `${name || 'world'}_${worldData.seed}.json`;
+        const blob = new Blob([JSON.stringify(compressWorldData(worldData))], { type: 'application/json' });
+
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = fileName;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+
+        return { confirmed: true, name: name, revision: null, message: `${fileName} をダウンロードしました。` };
+    }
+
+    async loadWorld(): Promise<any> {
+        const file = await new Promise<File | null>(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.addEventListener('change', () => resolve(input.files && input.files[0] ? input.files[0] : null));
+            // ダイアログを閉じた (キャンセルした) 場合。cancel イベントのないブラウザでは、ウィンドウにフォーカスが戻っても
+            // change が来なければキャンセルとみなす (change はフォーカスより少し遅れて届くことがあるため待つ)
+            input.addEventListener('cancel', () => resolve(null));
+            window.addEventListener('focus', () => setTimeout(() => resolve(input.files && input.files[0] ? input.files[0] : null), FILE_DIALOG_CANCEL_DELAY_MS), { once: true });
+            input.click();
+        });
+        if (!file) throw new Error('ファイルが選択されませんでした。');
+        return JSON.parse(await file.text());
+    }
+}
+
+// ================================================================
+// ■ アダプタの生成
+// ================================================================
+
+/**
+ * 利用可能なストレージアダプタの一覧を作成する
+ * @param {Object} options
+ * @param {string} options.gasUrl - GAS ウェブアプリのURL
+ * @param {string} options.serverUrl - ワールドサーバーの API ベースURL
+ * @returns {StorageAdapter[]}
+ */
+export function createStorageAdapters({ gasUrl, serverUrl }: { gasUrl: string; serverUrl: string }): StorageAdapter[] {
+    return [
+        new HttpStorageAdapter(serverUrl),
+        new GasStorageAdapter(gasUrl),
+        new FileStorageAdapter()
+    ];
+}
@@ -99,6 +99,8 @@ export class WorldMap {
     Qin: Float32Array;
     inflowCount: Uint8Array;
     beachArea: Float32Array;
+    tempAmplitude: Float32Array;
+    precipSeasonality: Float32Array;
 
     // Enum IDs
     climateZoneId: Uint8Array;
@@ -148,6 +150,12 @@ export class WorldMap {
     production: any[];
     surplus: any[];
     shortage: any[];
+    imports: any[];
+    trade: any[];
+    settlementName: (string | null)[];
+    nationName: (string | null)[];
+    riverName: (string | null)[];
+    ridgeName: (string | null)[];
     territoryData: any[];
     beachNeighbors: any[];
     vegetationAreas: any[];
@@ -199,6 +207,9 @@ export class WorldMap {
         this.Qin = new Float32Array(this.size);
         this.inflowCount = new Uint8Array(this.size);
         this.beachArea = new Float32Array(this.size); // Added for beach calculation
+        // 季節変化 (seasonalClimate.ts): 気温の年較差の半分と降水の季節性
+        this.tempAmplitude = new Float32Array(this.size);
+        this.precipSeasonality = new Float32Array(this.size);
 
         // Enum IDs (Uint8) - 文字列をIDとして保存
         this.climateZoneId = new Uint8Array(this.size);
@@ -250,6 +261,13 @@ export class WorldMap {
         this.production = new Array(this.size).fill(null);
         this.surplus = new Array(this.size).fill(null);
         this.shortage = new Array(this.size).fill(null);
+        this.imports = new Array(this.size).fill(null); // 物流計算の仕入れ量 (logisticsSimulator.ts)
+        this.trade = new Array(this.size).fill(null); // 仕入れ元・出荷量・地域価格 (logisticsSimulator.ts)
+        // 地名 (nameGenerator.ts)。国名は首都のヘックスに持たせる
+        this.settlementName = new Array(this.size).fill(null);
+        this.nationName = new Array(this.size).fill(null);
+        this.riverName = new Array(this.size).fill(null);
+        this.ridgeName = new Array(this.size).fill(null);
         this.territoryData = new Array(this.size).fill(null);
         this.beachNeighbors = new Array(this.size).fill(null);
         this.vegetationAreas = new Array(this.size).fill(null);
@@ -289,6 +307,8 @@ export class WorldMap {
             this.Qin.fill(0);
             this.inflowCount.fill(0);
             this.beachArea.fill(0);
+            this.tempAmplitude.fill(0);
+            this.precipSeasonality.fill(0);
 
             this.climateZoneId.fill(0);
             this.vegetationId.fill(0);
@@ -337,6 +357,12 @@ export class WorldMap {
             this.production.fill(null);
             this.surplus.fill(null);
             this.shortage.fill(null);
+            this.imports.fill(null);
+            this.trade.fill(null);
+            this.settlementName.fill(null);
+            this.nationName.fill(null);
+            this.riverName.fill(null);
+            this.ridgeName.fill(null);
             this.territoryData.fill(null);
             this.beachNeighbors.fill(null);
             this.vegetationAreas.fill(null);
@@ -445,6 +471,50 @@ export class WorldMap {
     get length() {
         return this.size;
     }
+
+    /**
+     * Worker との受け渡し用に、全データを TypedArray と疎配列のまとまりにする
+     * TypedArray のバッファは postMessage の transfer に渡せる (疎配列は構造化複製でコピーされる)。
+     * @param {boolean} [copy=true] - TypedArray を複製するかどうか。false の場合はこのマップのバッファをそのまま渡すため、転送後はこのマップを使えない
+     * @returns {{data: WorldMapBuffers, transfer: ArrayBuffer[]}}
+     */
+    toBuffers(copy: boolean = true): { data: WorldMapBuffers; transfer: ArrayBuffer[] } {
+        const fields: Record<string, any> = {};
+        const transfer: ArrayBuffer[] = [];
+        Object.keys(this).forEach(key => {
+            const value = (this as any)[key];
+            if (ArrayBuffer.isView(value)) {
+                const array = copy ? (value as any).slice() : value;
+                fields[key] = array;
+                transfer.push(array.buffer);
+            } else if (Array.isArray(value)) {
+                fields[key] = value;
+            }
+        });
+        return { data: { cols: this.cols, rows: this.rows, fields }, transfer };
+    }
+
+    /**
+     * toBuffers のデータから WorldMap を組み立てる (データの配列はそのまま使う)
+     * @param {WorldMapBuffers} data
+     * @returns {WorldMap}
+     */
+    static fromBuffers(data: WorldMapBuffers): WorldMap {
+        const map = new WorldMap(data.cols, data.rows);
+        Object.entries(data.fields).forEach(([key, value]) => {
+            if (key in map) (map as any)[key] = value;
+        });
+        return map;
+    }
+}
+
+/**
+ * WorldMap.toBuffers の結果 (Worker との受け渡し用)
+ */
+export interface WorldMapBuffers {
+    cols: number;
+    rows: number;
+    fields: Record<string, any>;
 }
 
 
@@ -620,6 +690,12 @@ export class Hex {
     get beachArea() { return this._map.beachArea[this._index]; }
     set beachArea(v) { this._map.beachArea[this._index] = v; }
 
+    get tempAmplitude() { return this._map.tempAmplitude[this._index]; }
+    set tempAmplitude(v) { this._map.tempAmplitude[this._index] = v; }
+
+    get precipSeasonality() { return this._map.precipSeasonality[this._index]; }
+    set precipSeasonality(v) { this._map.precipSeasonality[this._index] = v; }
+
 
     get manaValue() { return this._map.manaValue[this._index]; }
     set manaValue(v) { this._map.manaValue[this._index] = v; }
@@ -754,6 +830,24 @@ export class Hex {
     get shortage() { return this._map.shortage[this._index]; }
     set shortage(v) { this._map.shortage[this._index] = v; }
 
+    get imports() { return this._map.imports[this._index]; }
+    set imports(v) { this._map.imports[this._index] = v; }
+
+    get trade() { return this._map.trade[this._index]; }
+    set trade(v) { this._map.trade[this._index] = v; }
+
+    get settlementName() { return this._map.settlementName[this._index]; }
+    set settlementName(v) { this._map.settlementName[this._index] = v; }
+
+    get nationName() { return this._map.nationName[this._index]; }
+    set nationName(v) { this._map.nationName[this._index] = v; }
+
+    get riverName() { return this._map.riverName[this._index]; }
+    set riverName(v) { this._map.riverName[this._index] = v; }
+
+    get ridgeName() { return this._map.ridgeName[this._index]; }
+    set ridgeName(v) { this._map.ridgeName[this._index] = v; }
+
     get territoryData() { return this._map.territoryData[this._index]; }
     set territoryData(v) { this._map.territoryData[this._index] = v; }
 
@@ -809,6 +903,8 @@ export class Hex {
             riverVelocity: this.riverVelocity,
             waterArea: this.waterArea,
             beachArea: this.beachArea,
+            tempAmplitude: this.tempAmplitude,
+            precipSeasonality: this.precipSeasonality,
             inflowCount: this.inflowCount,
             Qin: this.Qin,
 
@@ -827,6 +923,12 @@ export class Hex {
             production: this.production,
             surplus: this.surplus,
             shortage: this.shortage,
+            imports: this.imports,
+            trade: this.trade,
+            settlementName: this.settlementName,
+            nationName: this.nationName,
+            riverName: this.riverName,
+            ridgeName: this.ridgeName,
 
             nationId: this.nationId,
             territoryId: this.territoryId,
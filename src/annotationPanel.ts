@@ -0,0 +1,323 @@
+// ================================================================
+// GeoForge System - 地図の注釈パネル
+// ================================================================
+// サイドバーの「地図の注釈」パネル。ピン・範囲・経路の作成と編集 (題名・アイコン・色・Markdown のメモ・
+// プレイヤーへの共有)、地図のクリックによる位置の指定、一覧からの移動と削除を担当する。
+// 注釈は worldData.annotations に入り、世界データと一緒に保存される。注釈の扱いは annotations.ts。
+
+import * as config from './config.ts';
+import {
+    Annotation, AnnotationKind, ANNOTATION_KIND_LABELS,
+    createAnnotation, addAnnotationCell, fillAreaOutline
+} from './annotations.ts';
+
+interface AnnotationPanelOptions {
+    // 現在の世界データ ({ allHexes, annotations, ... }) を返す
+    getWorldData: () => any;
+    // 注釈を変更したときに呼ばれる (地図の更新。draft = 編集中の注釈)
+    onAnnotationsChange: (annotations: Annotation[], draft: Annotation | null) => void;
+    // 地点の選択を要求する (handler = 次にクリックしたヘックスを受け取る関数、null で取り消し)
+    onPickRequest: (handler: ((d: any) => void) | null) => void;
+    // 指定したヘックスへ地図を移動する
+    onFocusRequest: (col: number, row: number) => void;
+}
+
+let options: AnnotationPanelOptions;
+
+let listSelect: HTMLSelectElement;
+let kindSelect: HTMLSelectElement;
+let newButton: HTMLButtonElement;
+let titleInput: HTMLInputElement;
+let iconSelect: HTMLSelectElement;
+let colorInput: HTMLInputElement;
+let noteInput: HTMLTextAreaElement;
+let sharedToggle: HTMLInputElement;
+let drawButton: HTMLButtonElement;
+let fillButton: HTMLButtonElement;
+let clearCellsButton: HTMLButtonElement;
+let saveButton: HTMLButtonElement;
+let focusButton: HTMLButtonElement;
+let deleteButton: HTMLButtonElement;
+let statusElement: HTMLElement;
+
+let enabled = false;
+let draft: Annotation | null = null; // 編集中の注釈 (保存済みの注釈を編集する場合はそのコピー)
+let drawing = false; // 地図のクリックで位置を指定しているかどうか
+let currentList: Annotation[] | null = null; // 表示中の世界の注釈 (世界が変わったことの判定用)
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {AnnotationPanelOptions} panelOptions
+ */
+export function setupAnnotationPanel(panelOptions: AnnotationPanelOptions) {
+    options = panelOptions;
+
+    listSelect = document.getElementById('annotation-list') as HTMLSelectElement;
+    kindSelect = document.getElementById('annotation-kind-select') as HTMLSelectElement;
+    newButton = document.getElementById('annotation-new-btn') as HTMLButtonElement;
+    titleInput = document.getElementById('annotation-title-input') as HTMLInputElement;
+    iconSelect = document.getElementById('annotation-icon-select') as HTMLSelectElement;
+    colorInput = document.getElementById('annotation-color-input') as HTMLInputElement;
+    noteInput = document.getElementById('annotation-note-input') as HTMLTextAreaElement;
+    sharedToggle = document.getElementById('annotation-shared-toggle') as HTMLInputElement;
+    drawButton = document.getElementById('annotation-draw-btn') as HTMLButtonElement;
+    fillButton = document.getElementById('annotation-fill-btn') as HTMLButtonElement;
+    clearCellsButton = document.getElementById('annotation-clear-cells-btn') as HTMLButtonElement;
+    saveButton = document.getElementById('annotation-save-btn') as HTMLButtonElement;
+    focusButton = document.getElementById('annotation-focus-btn') as HTMLButtonElement;
+    deleteButton = document.getElementById('annotation-delete-btn') as HTMLButtonElement;
+    statusElement = document.getElementById('annotation-status') as HTMLElement;
+
+    kindSelect.replaceChildren(...(Object.keys(ANNOTATION_KIND_LABELS) as AnnotationKind[]).map(kind => {
+        const option = document.createElement('option');
+        option.value = kind;
+        option.textContent = ANNOTATION_KIND_LABELS[kind];
+        return option;
+    }));
+    iconSelect.replaceChildren(...config.ANNOTATION_PARAMS.ICONS.map(icon => {
+        const option = document.createElement('option');
+        option.value = icon;
+        option.textContent = icon;
+        return option;
+    }));
+
+    listSelect.addEventListener('change', () => selectAnnotation(listSelect.value));
+    newButton.addEventListener('click', handleNew);
+    kindSelect.addEventListener('change', handleKindChange);
+    [titleInput, iconSelect, colorInput, noteInput, sharedToggle].forEach(el => el.addEventListener('input', readFields));
+    sharedToggle.addEventListener('change', readFields);
+    drawButton.addEventListener('click', () => setDrawing(!drawing));
+    fillButton.addEventListener('click', handleFill);
+    clearCellsButton.addEventListener('click', () => {
+        if (!draft) return;
+        draft.cells = [];
+        notifyChange();
+        updateControls();
+    });
+    saveButton.addEventListener('click', handleSave);
+    focusButton.addEventListener('click', () => {
+        const cell = draft && draft.cells[0];
+        if (cell) options.onFocusRequest(cell.col, cell.row);
+    });
+    deleteButton.addEventListener('click', handleDelete);
+
+    updateAnnotationPanel(false);
+}
+
+/**
+ * パネルの有効・無効を切り替え、表示中の世界の注釈を地図に反映する (生成・読み込みの状態が変わったときに呼び出す)
+ * @param {boolean} isEnabled - 地図が表示されているかどうか
+ */
+export function updateAnnotationPanel(isEnabled: boolean) {
+    if (!listSelect) return;
+    enabled = isEnabled;
+    const annotations = getAnnotations();
+    if (!enabled || annotations !== currentList) {
+        // 世界が変わったら編集中の注釈を破棄する
+        setDrawing(false);
+        draft = null;
+        writeFields();
+    }
+    currentList = annotations;
+    renderList();
+    updateControls();
+    notifyChange();
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+/**
+ * 世界データの注釈の配列 (古い保存データなどで無い場合は作る)
+ */
+function getAnnotations(): Annotation[] {
+    const worldData = options.getWorldData();
+    if (!worldData) return [];
+    if (!Array.isArray(worldData.annotations)) worldData.annotations = [];
+    return worldData.annotations;
+}
+
+function isSaved(annotation: Annotation | null): boolean {
+    return !!annotation && getAnnotations().some(a => a.id === annotation.id);
+}
+
+function renderList() {
+    const annotations = enabled ? getAnnotations() : [];
+    listSelect.replaceChildren(...annotations.map(a => {
+        const option = document.createElement('option');
+        option.value = a.id;
+        const icon = a.kind === 'pin' ? `${a.icon} ` : '';
+        option.textContent = `${icon}${a.title || '(無題)'} [${ANNOTATION_KIND_LABELS[a.kind]}${a.shared ? '・共有' : ''}]`;
+        return option;
+    }));
+    listSelect.value = draft && isSaved(draft) ? draft.id : '';
+}
+
+function selectAnnotation(id: string) {
+    const saved = getAnnotations().find(a => a.id === id);
+    setDrawing(false);
+    draft = saved ? { ...saved, cells: saved.cells.map(c => ({ ...c })) } : null;
+    writeFields();
+    notifyChange();
+    updateControls();
+    const cell = draft && draft.cells[0];
+    if (cell) options.onFocusRequest(cell.col, cell.row);
+    setStatus('');
+}
+
+function handleNew() {
+    setDrawing(false);
+    draft = createAnnotation(kindSelect.value as AnnotationKind, { icon: iconSelect.value || undefined });
+    writeFields();
+    renderList();
+    notifyChange();
+    updateControls();
+    setDrawing(true);
+}
+
+function handleKindChange() {
+    // 種類を変えられるのは保存前の注釈のみ (ピンは最初のヘックスだけを残す)
+    if (!draft || isSaved(draft)) return;
+    const kind = kindSelect.value as AnnotationKind;
+    if (draft.color === config.ANNOTATION_PARAMS.DEFAULT_COLORS[draft.kind]) {
+        draft.color = config.ANNOTATION_PARAMS.DEFAULT_COLORS[kind];
+    }
+    draft.kind = kind;
+    if (kind === 'pin') draft.cells = draft.cells.slice(0, 1);
+    writeFields();
+    notifyChange();
+    updateControls();
+    if (drawing) setDrawing(true); // 案内の表示を更新する
+}
+
+/**
+ * 入力欄の内容を編集中の注釈に反映する
+ */
+function readFields() {
+    if (!draft) return;
+    draft.title = titleInput.value;
+    draft.icon = iconSelect.value;
+    draft.color = colorInput.value;
+    draft.note = noteInput.value;
+    draft.shared = sharedToggle.checked;
+    notifyChange();
+}
+
+/**
+ * 編集中の注釈を入力欄に表示する
+ */
+function writeFields() {
+    kindSelect.value = draft ? draft.kind : kindSelect.value;
+    titleInput.value = draft ? draft.title : '';
+    iconSelect.value = draft ? draft.icon : config.ANNOTATION_PARAMS.ICONS[0];
+    colorInput.value = draft ? draft.color : config.ANNOTATION_PARAMS.DEFAULT_COLORS[kindSelect.value || 'pin'];
+    noteInput.value = draft ? draft.note : '';
+    sharedToggle.checked = draft ? draft.shared : false;
+}
+
+/**
+ * 地図のクリックで位置を指定するモードを切り替える
+ * 1回のクリックごとに地点の選択 (onPickRequest) を受け付け直す。
+ */
+function setDrawing(active: boolean) {
+    drawing = active && !!draft && enabled;
+    drawButton.textContent = drawing ? '描くのを終える' : '地図で描く';
+    drawButton.classList.toggle('active', drawing);
+    options.onPickRequest(drawing ? handleHexClick : null);
+    if (drawing && draft) {
+        const guides: Record<AnnotationKind, string> = {
+            pin: 'ピンを置くヘックスをクリックしてください。',
+            area: '範囲に含めるヘックスをクリックしてください (もう一度クリックで外す)。外周を順にクリックして「囲んだ範囲を塗る」で内側も含められます。',
+            route: '経由するヘックスを順にクリックしてください。'
+        };
+        setStatus(guides[draft.kind]);
+    }
+}
+
+function handleHexClick(d: any) {
+    if (!drawing || !draft || d.col === undefined) return;
+    addAnnotationCell(draft, { col: d.col, row: d.row });
+    notifyChange();
+    updateControls();
+    if (draft.kind === 'pin') {
+        setDrawing(false);
+        setStatus('ピンを置きました。「保存」で世界データに加えます。');
+    } else {
+        options.onPickRequest(handleHexClick);
+        setStatus(`${draft.cells.length} ヘックスを選んでいます。`);
+    }
+}
+
+function handleFill() {
+    if (!draft || draft.kind !== 'area') return;
+    if (draft.cells.length < 3) {
+        setStatus('外周のヘックスを3つ以上、順にクリックしてください。');
+        return;
+    }
+    const before = draft.cells.length;
+    draft.cells = fillAreaOutline(draft.cells);
+    notifyChange();
+    updateControls();
+    setStatus(`囲んだ範囲を塗りました (${before} → ${draft.cells.length} ヘックス)。`);
+}
+
+function handleSave() {
+    if (!draft) return;
+    if (draft.cells.length === 0) {
+        setStatus('「地図で描く」で位置を指定してください。');
+        return;
+    }
+    if (draft.kind === 'route' && draft.cells.length < 2) {
+        setStatus('経路には2つ以上のヘックスが必要です。');
+        return;
+    }
+    setDrawing(false);
+    draft.updatedAt = new Date().toISOString();
+    const annotations = getAnnotations();
+    const index = annotations.findIndex(a => a.id === draft!.id);
+    const saved = { ...draft, cells: draft.cells.map(c => ({ ...c })) };
+    if (index >= 0) annotations[index] = saved;
+    else annotations.push(saved);
+    renderList();
+    notifyChange();
+    updateControls();
+    setStatus(`「${saved.title || '(無題)'}」を保存しました。世界データを保存すると注釈も保存されます。`);
+}
+
+function handleDelete() {
+    if (!draft) return;
+    const target = draft;
+    if (isSaved(target)) {
+        if (!confirm(`注釈「${target.title || '(無題)'}」を削除しますか？`)) return;
+        const annotations = getAnnotations();
+        annotations.splice(annotations.findIndex(a => a.id === target.id), 1);
+    }
+    setDrawing(false);
+    draft = null;
+    writeFields();
+    renderList();
+    notifyChange();
+    updateControls();
+    setStatus(`「${target.title || '(無題)'}」を削除しました。`);
+}
+
+function notifyChange() {
+    options.onAnnotationsChange(enabled ? getAnnotations() : [], enabled ? draft : null);
+}
+
+function updateControls() {
+    const hasDraft = enabled && !!draft;
+    listSelect.disabled = !enabled;
+    newButton.disabled = !enabled;
+    kindSelect.disabled = !enabled || (!!draft && isSaved(draft));
+    [titleInput, iconSelect, colorInput, noteInput, sharedToggle, drawButton, clearCellsButton, saveButton, deleteButton]
+        .forEach(el => { el.disabled = !hasDraft; });
+    iconSelect.disabled = !hasDraft || draft!.kind !== 'pin';
+    fillButton.disabled = !hasDraft || draft!.kind !== 'area';
+    focusButton.disabled = !hasDraft || draft!.cells.length === 0;
+}
+
+function setStatus(message: string) {
+    statusElement.textContent = message;
+}
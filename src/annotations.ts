@@ -0,0 +1,234 @@
+// ================================================================
+// GeoForge System - 地図の注釈
+// ================================================================
+// GM が地図に書き込むピン (アイコン・題名・Markdown のメモ)、範囲 (ヘックスの集まり)、経路 (クエストの道筋など) を扱う
+// (DOM 非依存)。位置はグローバルのヘックス座標 (col, row) で持つため、ブロックの読み込み順に関係なく同じ場所に描ける。
+// 世界データ (worldData.annotations) と一緒に保存する。地図への描画は MapView.ts、画面は annotationPanel.ts。
+
+import * as config from './config.ts';
+
+export type AnnotationKind = 'pin' | 'area' | 'route';
+
+/** ヘックスの位置 (グローバル座標) */
+export interface HexCell {
+    col: number;
+    row: number;
+}
+
+export interface Annotation {
+    id: string;
+    kind: AnnotationKind;
+    title: string;
+    note: string;          // メモ (Markdown)
+    icon: string;          // ピンのアイコン (config.ANNOTATION_PARAMS.ICONS)
+    color: string;
+    shared: boolean;       // プレイヤー表示 (fogOfWar.ts) でも見せるかどうか
+    cells: HexCell[];      // ピン: 1つ、範囲: 含むヘックス、経路: 経由するヘックス (順番どおり)
+    createdAt: string;
+    updatedAt: string;
+}
+
+export const ANNOTATION_KIND_LABELS: Record<AnnotationKind, string> = {
+    pin: 'ピン',
+    area: '範囲',
+    route: '経路'
+};
+
+/**
+ * 新しい注釈を作る (位置は空)
+ */
+export function createAnnotation(kind: AnnotationKind, fields: Partial<Pick<Annotation, 'title' | 'note' | 'icon' | 'color' | 'shared'>> = {}): Annotation {
+    const params = config.ANNOTATION_PARAMS;
+    const now = new Date().toISOString();
+    return {
+        id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 36 ** 4).toString(36)}`,
+        kind,
+        title: fields.title ?? '',
+        note: fields.note ?? '',
+        icon: fields.icon ?? params.ICONS[0],
+        color: fields.color ?? params.DEFAULT_COLORS[kind],
+        shared: fields.shared ?? false,
+        cells: [],
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+function cellKey(col: number, row: number): string {
+    return `${col},${row}`;
+}
+
+/**
+ * 描画中の注釈にヘックスを加える
+ * ピンは位置を置き換え、範囲は同じヘックスをもう一度選ぶと外し、経路は末尾に加える (同じヘックスの連続は無視)。
+ * @returns {boolean} 注釈が変わったかどうか
+ */
+export function addAnnotationCell(annotation: Annotation, cell: HexCell): boolean {
+    const { col, row } = cell;
+    if (annotation.kind === 'pin') {
+        annotation.cells = [{ col, row }];
+    } else if (annotation.kind === 'area') {
+        const index = annotation.cells.findIndex(c => c.col === col && c.row === row);
+        if (index >= 0) annotation.cells.splice(index, 1);
+        else annotation.cells.push({ col, row });
+    } else {
+        const last = annotation.cells[annotation.cells.length - 1];
+        if (last && last.col === col && last.row === row) return false;
+        annotation.cells.push({ col, row });
+    }
+    annotation.updatedAt = new Date().toISOString();
+    return true;
+}
+
+/**
+ * 範囲の外周として選んだヘックス (順番どおり) で囲まれたヘックスを塗りつぶす (手描きの範囲)
+ * ヘックスの中心を多角形で判定する。外周のヘックス自体も含める。
+ * @param {HexCell[]} outline - 外周のヘックス (3つ以上)
+ * @returns {HexCell[]} 外周と内側のヘックス
+ */
+export function fillAreaOutline(outline: HexCell[]): HexCell[] {
+    if (outline.length < 3) return [...outline];
+    // ヘックスの中心 (MapView.getHexCenter と同じ並び。倍率は判定に関係しない)
+    const center = (c: number, r: number) => [c * 1.5, -r * Math.sqrt(3) + (c % 2 === 0 ? 0 : Math.sqrt(3) / 2)];
+    const polygon = outline.map(c => center(c.col, c.row));
+    const inside = (x: number, y: number) => {
+        let result = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) result = !result;
+        }
+        return result;
+    };
+
+    const cells = new Map(outline.map(c => [cellKey(c.col, c.row), { col: c.col, row: c.row }]));
+    const cols = outline.map(c => c.col);
+    const rows = outline.map(c => c.row);
+    for (let c = Math.min(...cols); c <= Math.max(...cols); c++) {
+        for (let r = Math.min(...rows); r <= Math.max(...rows); r++) {
+            const [x, y] = center(c, r);
+            if (inside(x, y)) cells.set(cellKey(c, r), { col: c, row: r });
+        }
+    }
+    return [...cells.values()];
+}
+
+/**
+ * 指定したヘックスにかかる注釈 (ピンの位置・範囲に含まれる・経路が経由する)
+ */
+export function getAnnotationsAt(annotations: Annotation[], col: number, row: number): Annotation[] {
+    return annotations.filter(a => a.cells.some(c => c.col === col && c.row === row));
+}
+
+/**
+ * 保存データの注釈を検証して取り出す (形式の正しくない注釈は除く)
+ * @param {any} data - worldData.annotations として保存されていた値
+ */
+export function normalizeAnnotations(data: any): Annotation[] {
+    if (!Array.isArray(data)) return [];
+    const kinds = Object.keys(ANNOTATION_KIND_LABELS);
+    return data.flatMap((a: any) => {
+        if (!a || typeof a.id !== 'string' || !kinds.includes(a.kind) || !Array.isArray(a.cells)) return [];
+        const cells = a.cells
+            .filter((c: any) => c && Number.isInteger(c.col) && Number.isInteger(c.row))
+            .map((c: any) => ({ col: c.col, row: c.row }));
+        if (cells.length === 0) return [];
+        const base = createAnnotation(a.kind);
+        return [{
+            ...base,
+            id: a.id,
+            title: typeof a.title === 'string' ? a.title : '',
+            note: typeof a.note === 'string' ? a.note : '',
+            icon: typeof a.icon === 'string' ? a.icon : base.icon,
+            color: typeof a.color === 'string' && /^#[0-9a-f]{3,8}$/i.test(a.color) ? a.color : base.color,
+            shared: !!a.shared,
+            cells,
+            createdAt: typeof a.createdAt === 'string' ? a.createdAt : base.createdAt,
+            updatedAt: typeof a.updatedAt === 'string' ? a.updatedAt : base.updatedAt
+        }];
+    });
+}
+
+// ================================================================
+// ■ 情報ウィンドウの表示
+// ================================================================
+
+function escapeHtml(text: string): string {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * 行内の Markdown (強調・斜体・コード・リンク) を HTML にする (エスケープ済みの文字列を受け取る)
+ */
+function renderInline(escaped: string): string {
+    return escaped
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+}
+
+/**
+ * メモの Markdown を HTML にする
+ * 見出し (#)、箇条書き (- / 1.)、強調・斜体・コード・リンク (http/https のみ)、段落に対応する。HTML タグはエスケープする。
+ * @param {string} markdown
+ * @returns {string} HTML
+ */
+export function renderMarkdown(markdown: string): string {
+    const blocks: string[] = [];
+    let list: { tag: 'ul' | 'ol'; items: string[] } | null = null;
+    let paragraph: string[] = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${item}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+
+    markdown.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trimEnd();
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+\.\s+(.*)$/);
+        if (!line.trim()) {
+            flushParagraph();
+            flushList();
+        } else if (heading) {
+            flushParagraph();
+            flushList();
+            const level = heading[1].length + 4; // h5〜h6 (情報ウィンドウのカードの見出しより小さく)
+            blocks.push(`<h${Math.min(level, 6)}>${renderInline(escapeHtml(heading[2]))}</h${Math.min(level, 6)}>`);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (!list || list.tag !== tag) {
+                flushList();
+                list = { tag, items: [] };
+            }
+            list.items.push(renderInline(escapeHtml((bullet || numbered)![1])));
+        } else {
+            flushList();
+            paragraph.push(renderInline(escapeHtml(line)));
+        }
+    });
+    flushParagraph();
+    flushList();
+    return blocks.join('');
+}
+
+/**
+ * 情報ウィンドウに載せる注釈のカード (注釈がなければ空文字列)
+ * @param {Annotation[]} annotations - ヘックスにかかる注釈
+ */
+export function getAnnotationCardHtml(annotations: Annotation[]): string {
+    if (annotations.length === 0) return '';
+    const items = annotations.map(a => {
+        const icon = a.kind === 'pin' ? `${escapeHtml(a.icon)} ` : '';
+        const title = escapeHtml(a.title || ANNOTATION_KIND_LABELS[a.kind]);
+        return `<div class="annotation-item"><div class="annotation-title" style="border-left-color: ${escapeHtml(a.color)};">${icon}${title}<span class="annotation-kind">${ANNOTATION_KIND_LABELS[a.kind]}</span></div><div class="annotation-note">${renderMarkdown(a.note)}</div></div>`;
+    }).join('');
+    return `<div class="info-card wide-card"><div class="card-header"><span class="material-icons-round" style="margin-right: 6px;">push_pin</span>注　釈</div><div class="card-content">${items}</div></div>`;
+}
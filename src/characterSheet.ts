@@ -0,0 +1,230 @@
+// ================================================================
+// GeoForge System - キャラクターのエントリーシート
+// ================================================================
+// エントリーシート (entrysheet.ts) のデータと、地図で選んだ集落から作る故郷の背景 (DOM 非依存)。
+// 故郷は地図の画面 (hometownPanel.ts) が集落のヘックスから作り、localStorage を経由してシートの画面へ渡す。
+// 所属国・気候・特徴 (characteristics)・人口構成 (demographics) によるおもな職業・地域の物価を写し取るため、
+// シートは世界データがなくても読める。
+
+import * as config from './config.ts';
+import { Hex } from './WorldMap.ts';
+import { formatLocation, getNationName } from './utils.ts';
+import { MONTH_LABELS, getMonthlyTemperature, getAnnualCycle } from './seasonalClimate.ts';
+
+/** 故郷の職業 (人口構成に占める割合) */
+export interface HometownOccupation {
+    job: string;
+    share: number; // 0〜1
+}
+
+/** 故郷の背景 (選んだときの集落の状態を写し取る) */
+export interface Hometown {
+    worldName: string;
+    col: number;
+    row: number;
+    location: string;       // 地図の座標 (formatLocation 'short')
+    name: string;           // 集落名 (名前のない集落は集落区分)
+    settlement: string;     // 集落区分
+    nation: string;         // 所属国 (辺境を含む)
+    population: number;
+    climateZone: string;
+    vegetation: string;
+    temperature: number;    // 年平均気温 (℃)
+    precipitation_mm: number;
+    warmestMonth: { month: number; temperature: number };
+    coldestMonth: { month: number; temperature: number };
+    snowMonths: number;     // 雪の残る月の数
+    characteristics: string[];
+    occupations: HometownOccupation[];
+    prices: Record<string, number>;      // 暮らしの物価 (livingConditions.prices、基準 1.0)
+    tradePrices: Record<string, number>; // 地域価格 (物流シミュレーション、基準 1.0)
+    livingCost: number;      // 生活費基準 (1人/月、G)
+    householdIncome: number; // 世帯月収 (G)
+    perCapitaIncome: number; // 1人あたり月収 (G)
+    pickedAt: string;
+}
+
+/** エントリーシート */
+export interface CharacterSheet {
+    id: string;
+    name: string;
+    player: string;
+    age: string;
+    position: string;   // ポジション (ルールブック 5.1)
+    skills: string[];   // 習得スキルの名称 (ルールブック 5.2)
+    hometown: Hometown | null;
+    background: string; // 生い立ち
+    notes: string;
+    updatedAt: string;
+}
+
+// ================================================================
+// ■ 故郷
+// ================================================================
+
+/**
+ * 集落のヘックスから故郷の背景を作る
+ * @param {Hex} h - 選んだヘックス (経済シミュレーション済み)
+ * @param {string} worldName - 世界の名前
+ * @returns {Hometown|null} 人の住む集落でなければ null
+ */
+export function buildHometown(h: Hex, worldName: string): Hometown | null {
+    const p: any = h.properties;
+    if (!p.settlement || !(p.population > 0)) return null;
+
+    const temperatures = MONTH_LABELS.map((_, i) => ({ month: i + 1, temperature: getMonthlyTemperature(p, i + 1) }));
+    const byTemperature = [...temperatures].sort((a, b) => a.temperature - b.temperature);
+    const lc = p.livingConditions || {};
+
+    return {
+        worldName,
+        col: h.col,
+        row: h.row,
+        location: formatLocation(h, 'short'),
+        name: p.settlementName || p.settlement,
+        settlement: p.settlement,
+        nation: getNationName(p.nationId),
+        population: p.population,
+        climateZone: p.climateZone || '',
+        vegetation: p.vegetation || '',
+        temperature: p.temperature || 0,
+        precipitation_mm: p.precipitation_mm || 0,
+        warmestMonth: byTemperature[byTemperature.length - 1],
+        coldestMonth: byTemperature[0],
+        snowMonths: getAnnualCycle(p).filter(m => m.snowCover).length,
+        characteristics: [...(p.characteristics || [])],
+        occupations: getMainOccupations(p.demographics || {}),
+        prices: { ...(lc.prices || {}) },
+        tradePrices: { ...((p.trade && p.trade.prices) || {}) },
+        livingCost: (config.LIVING_COST as Record<string, number>)[p.settlement] || 0,
+        householdIncome: lc.householdIncome || 0,
+        perCapitaIncome: lc.perCapitaIncome || 0,
+        pickedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * 人口構成からおもな職業を人数の多い順に選ぶ (孤児・スラムは職業に含めない)
+ */
+function getMainOccupations(demographics: Record<string, number>): HometownOccupation[] {
+    const params = config.ENTRYSHEET_PARAMS;
+    const jobs = Object.entries(demographics).filter(([job, count]) => count > 0 && !params.NON_OCCUPATIONS.includes(job));
+    const total = jobs.reduce((sum, [, count]) => sum + count, 0);
+    if (total === 0) return [];
+    return jobs
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, params.MAX_OCCUPATIONS)
+        .map(([job, count]) => ({ job, share: count / total }));
+}
+
+/**
+ * 故郷の物価水準 (食料品と必需品の平均、基準 1.0)
+ */
+export function getPriceLevel(hometown: Hometown): number {
+    const values = ['food', 'necessities'].map(key => hometown.prices[key]).filter(v => typeof v === 'number');
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 1;
+}
+
+/**
+ * 故郷の背景の説明文 (シートの表示と印刷に使う)
+ * @param {Hometown} hometown
+ * @returns {string[]} 1文ずつ
+ */
+export function describeHometown(hometown: Hometown): string[] {
+    const lines: string[] = [];
+    const place = hometown.name === hometown.settlement ? `名もない${hometown.settlement}` : `${hometown.settlement}「${hometown.name}」`;
+    lines.push(`${hometown.nation}の${place} (人口 ${hometown.population.toLocaleString()}人) の出身。`);
+
+    const climate = `${hometown.climateZone}で、${MONTH_LABELS[hometown.warmestMonth.month - 1]}は平均 ${hometown.warmestMonth.temperature.toFixed(0)}℃、`
+        + `${MONTH_LABELS[hometown.coldestMonth.month - 1]}は平均 ${hometown.coldestMonth.temperature.toFixed(0)}℃`;
+    lines.push(hometown.snowMonths > 0 ? `${climate}。冬は${hometown.snowMonths}か月ほど雪が残る。` : `${climate}。`);
+
+    if (hometown.occupations.length > 0) {
+        lines.push(`おもな生業は${hometown.occupations.slice(0, 3).map(o => o.job).join('・')}。`);
+    }
+    if (hometown.characteristics.length > 0) {
+        lines.push(`土地の特色: ${hometown.characteristics.map(c => c.split(':').pop()!.trim()).join('、')}。`);
+    }
+
+    const level = getPriceLevel(hometown);
+    const priceText = level > 1.2 ? '物価は高め' : (level < 0.9 ? '物価は安め' : '物価は並');
+    const living = hometown.perCapitaIncome < hometown.livingCost ? '暮らし向きは苦しい' : '暮らし向きは人並み以上';
+    lines.push(`${priceText}で、1人あたりの月収 ${hometown.perCapitaIncome.toFixed(0)} G に対して生活費の目安は ${hometown.livingCost} G (${living})。`);
+    return lines;
+}
+
+// ================================================================
+// ■ シート
+// ================================================================
+
+/**
+ * 空のシートを作る
+ */
+export function createCharacterSheet(): CharacterSheet {
+    return {
+        id: `sheet-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: '',
+        player: '',
+        age: '',
+        position: '',
+        skills: [],
+        hometown: null,
+        background: '',
+        notes: '',
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * 読み込んだデータ (localStorage・JSON ファイル) をシートの形にそろえる
+ * @param {any} data
+ * @returns {CharacterSheet|null} シートでなければ null
+ */
+export function normalizeCharacterSheet(data: any): CharacterSheet | null {
+    if (!data || typeof data !== 'object') return null;
+    const text = (value: any) => (typeof value === 'string' ? value : '');
+    const sheet = createCharacterSheet();
+    return {
+        id: text(data.id) || sheet.id,
+        name: text(data.name),
+        player: text(data.player),
+        age: text(data.age),
+        position: text(data.position),
+        skills: Array.isArray(data.skills) ? data.skills.filter((s: any) => typeof s === 'string') : [],
+        hometown: normalizeHometown(data.hometown),
+        background: text(data.background),
+        notes: text(data.notes),
+        updatedAt: text(data.updatedAt) || sheet.updatedAt
+    };
+}
+
+/**
+ * 故郷のデータを検証する (形式が正しくなければ null)
+ */
+export function normalizeHometown(data: any): Hometown | null {
+    if (!data || typeof data.name !== 'string' || typeof data.settlement !== 'string') return null;
+    if (!Number.isFinite(data.col) || !Number.isFinite(data.row)) return null;
+    const number = (value: any) => (Number.isFinite(value) ? value : 0);
+    const month = (value: any) => ({ month: Math.min(12, Math.max(1, number(value && value.month) || 1)), temperature: number(value && value.temperature) });
+    return {
+        ...data,
+        worldName: String(data.worldName || ''),
+        location: String(data.location || ''),
+        nation: String(data.nation || '辺境'),
+        climateZone: String(data.climateZone || ''),
+        vegetation: String(data.vegetation || ''),
+        population: number(data.population),
+        temperature: number(data.temperature),
+        precipitation_mm: number(data.precipitation_mm),
+        warmestMonth: month(data.warmestMonth),
+        coldestMonth: month(data.coldestMonth),
+        snowMonths: number(data.snowMonths),
+        livingCost: number(data.livingCost),
+        householdIncome: number(data.householdIncome),
+        perCapitaIncome: number(data.perCapitaIncome),
+        characteristics: Array.isArray(data.characteristics) ? data.characteristics : [],
+        occupations: Array.isArray(data.occupations) ? data.occupations : [],
+        prices: data.prices || {},
+        tradePrices: data.tradePrices || {}
+    };
+}
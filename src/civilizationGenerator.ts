@@ -7,6 +7,8 @@ import * as config from './config.ts';
 import { getDistance, getIndex, globalRandom } from './utils.ts';
 import { generateTradeRoutes, generateFeederRoads } from './roadGenerator.js';
 import { WorldMap, Hex } from './WorldMap';
+import { getGenerationParams } from './worldRecipe.ts';
+import { getPinnedSettlement, getPinnedSettlementType, getPinnedCapitals, getLockedNationAt, canClaimHex } from './regenerationLocks.ts';
 
 // ================================================================
 // ■ K-Means クラスタリング関連の関数 (変更なし)
@@ -23,6 +25,7 @@ function squaredDistance(point1: { col: number; row: number }, point2: { col: nu
 // ================================================================
 
 function generatePopulation(allHexes: WorldMap) {
+    const gen = getGenerationParams();
     let maxHabitability = 0;
 
     // --- ステップ1: 全ヘックスの居住適性スコアを計算し、最大値を取得 ---
@@ -36,7 +39,7 @@ function generatePopulation(allHexes: WorldMap) {
             const idealTemp = 10.0;
             score += Math.max(0, 1 - Math.abs(p.temperature - idealTemp) / 15) * 15;
 
-            const idealPrecip = config.PRECIPITATION_PARAMS.DRYNESS_FARMING_THRESHOLD;
+            const idealPrecip = gen.PRECIPITATION_PARAMS.DRYNESS_FARMING_THRESHOLD;
             const precipScore = Math.max(0, 1 - Math.abs(p.precipitation_mm - idealPrecip) / 800) * 10;
             score += precipScore;
 
@@ -100,7 +103,7 @@ function generatePopulation(allHexes: WorldMap) {
     });
 
     // --- ステップ2: スコアを正規化し、新しいパラメータを使って人口を計算 ---
-    allHexes.forEach((h: Hex) => {
+    allHexes.forEach((h: Hex, index: number) => {
         const p = h.properties;
         if (maxHabitability > 0) {
             let normalizedHabitability = p.habitability / maxHabitability;
@@ -108,14 +111,14 @@ function generatePopulation(allHexes: WorldMap) {
             // 居住適性の上限キャップ (絶対に1.0にならないようにする)
             normalizedHabitability = Math.min(0.999, normalizedHabitability);
 
-            if (normalizedHabitability >= config.POPULATION_PARAMS.HABITABILITY_THRESHOLD) {
-                const effectiveHabitability = (normalizedHabitability - config.POPULATION_PARAMS.HABITABILITY_THRESHOLD) / (1.0 - config.POPULATION_PARAMS.HABITABILITY_THRESHOLD);
-                const populationFactor = Math.pow(effectiveHabitability, config.POPULATION_PARAMS.POPULATION_CURVE);
+            if (normalizedHabitability >= gen.POPULATION_PARAMS.HABITABILITY_THRESHOLD) {
+                const effectiveHabitability = (normalizedHabitability - gen.POPULATION_PARAMS.HABITABILITY_THRESHOLD) / (1.0 - gen.POPULATION_PARAMS.HABITABILITY_THRESHOLD);
+                const populationFactor = Math.pow(effectiveHabitability, gen.POPULATION_PARAMS.POPULATION_CURVE);
 
                 // 1.0前後のゆらぎを持たせる (0.85 ～ 1.15)
                 const randomVariation = 0.85 + globalRandom.next() * 0.30;
 
-                const calculatedPopulation = Math.floor(populationFactor * config.POPULATION_PARAMS.MAX_POPULATION_PER_HEX * randomVariation);
+                const calculatedPopulation = Math.floor(populationFactor * gen.POPULATION_PARAMS.MAX_POPULATION_PER_HEX * randomVariation);
 
                 p.population = (calculatedPopulation > 10) ? calculatedPopulation : 0;
             } else {
@@ -125,40 +128,63 @@ function generatePopulation(allHexes: WorldMap) {
             p.population = 0;
         }
 
+        // 固定した集落は人口を、国境を固定した国の領土は所属を引き継ぐ (regenerationLocks.ts)
+        const pinned = getPinnedSettlement(index);
+        if (pinned) p.population = pinned.population;
+
         p.settlement = null;
-        p.nationId = 0;
+        p.nationId = getLockedNationAt(index);
         p.parentHexId = null;
         p.territoryId = null;
     });
 }
 
 function classifySettlements(allHexes: WorldMap) {
-    allHexes.forEach((h: Hex) => {
+    allHexes.forEach((h: Hex, index: number) => {
         const pop = h.properties.population;
         if (pop >= 10000) h.properties.settlement = '都市';
         else if (pop >= 5000) h.properties.settlement = '街';
         else if (pop >= 1000) h.properties.settlement = '町';
         else if (pop >= 100) h.properties.settlement = '村';
+        // 固定した集落は区分も固定する (首都・領都はいったん都市とし、国家の生成で決め直す)
+        h.properties.settlement = getPinnedSettlementType(index, h.properties.settlement);
     });
 }
 
 /**
  * 指定された数の首都を定義する関数
  * K-Meansは使用せず、地理的バランスと人口に基づいて首都を選定する。
+ * 固定した首都 (regenerationLocks.ts) は元の国IDのまま首都とし、残りの国家数だけを固定した首都のない地域から選ぶ。
  * @param {Array<object>} allCities - 全ての「都市」ランクの集落リスト
  * @param {number} numNations - 生成する国家の数
  * @returns {object} - capitals: 首都オブジェクトの配列
  */
 function defineNations(allCities: Hex[], numNations: number) {
-    // 1. マップを3x3の9地域に分割し、各地域の代表都市（最も人口が多い都市）を選出
-    const regionBests = new Array(9).fill(null);
     const regionWidth = config.COLS / 3;
     const regionHeight = config.ROWS / 3;
+    const getRegionIndex = (city: Hex) => Math.floor(city.row / regionHeight) * 3 + Math.floor(city.col / regionWidth);
+
+    // 0. 固定した首都を、元の国IDのまま首都にする
+    const pinnedCapitals = getPinnedCapitals();
+    const pinnedIndexes = new Set(pinnedCapitals.map(p => p.index));
+    const fixedCapitals = allCities.filter(city => pinnedIndexes.has(getIndex(city.col, city.row)));
+    const usedNationIds = new Set<number>();
+    const fixedRegions = new Set<number>();
+    fixedCapitals.forEach(capital => {
+        const pinned = pinnedCapitals.find(p => p.index === getIndex(capital.col, capital.row))!;
+        capital.properties.nationId = pinned.nationId;
+        capital.properties.settlement = '首都';
+        usedNationIds.add(pinned.nationId);
+        fixedRegions.add(getRegionIndex(capital));
+    });
+
+    // 1. マップを3x3の9地域に分割し、各地域の代表都市（最も人口が多い都市）を選出
+    // (固定した首都のある地域と、国境を固定した国の領土の都市は除く)
+    const regionBests = new Array(9).fill(null);
 
     allCities.forEach(city => {
-        const regionX = Math.floor(city.col / regionWidth);
-        const regionY = Math.floor(city.row / regionHeight);
-        const regionIndex = regionY * 3 + regionX;
+        const regionIndex = getRegionIndex(city);
+        if (fixedRegions.has(regionIndex) || getLockedNationAt(getIndex(city.col, city.row)) > 0) return;
 
         if (!regionBests[regionIndex] || city.properties.population > regionBests[regionIndex].properties.population) {
             regionBests[regionIndex] = city;
@@ -169,16 +195,17 @@ function defineNations(allCities: Hex[], numNations: number) {
     const capitalCandidates = regionBests.filter(c => c !== null);
     capitalCandidates.sort((a, b) => b.properties.population - a.properties.population);
 
-    const capitals = capitalCandidates.slice(0, numNations);
+    const capitals = capitalCandidates.slice(0, Math.max(0, numNations - fixedCapitals.length));
 
-    // 3. 首都を正式に定義
-    capitals.forEach((capital, index) => {
-        const nationId = index + 1;
+    // 3. 首都を正式に定義 (国IDは固定した首都の国IDを避けて小さい順に振る)
+    let nationId = 0;
+    capitals.forEach(capital => {
+        do { nationId++; } while (usedNationIds.has(nationId));
         capital.properties.nationId = nationId;
         capital.properties.settlement = '首都';
     });
 
-    return { capitals };
+    return { capitals: [...fixedCapitals, ...capitals] };
 }
 
 /**
@@ -202,6 +229,8 @@ function assignTerritoriesByTradeRoutes(allCities: Hex[], capitals: Hex[], trade
         let connectingRoute: any = null;
 
         capitals.forEach(capital => {
+            // 国境を固定した国の都市はその国の首都にだけ、ほかの都市は国境を固定していない国の首都にだけ属する
+            if (!canClaimHex(cityIndex, capital.properties.nationId)) return;
             const capitalIndex = getIndex(capital.col, capital.row);
             const route = tradeRouteData.find(r =>
                 (r.fromId === cityIndex && r.toId === capitalIndex) ||
@@ -225,7 +254,7 @@ function assignTerritoriesByTradeRoutes(allCities: Hex[], capitals: Hex[], trade
             if (connectingRoute) {
                 connectingRoute.path.forEach((pos: { x: number, y: number }) => {
                     const hex = allHexes[getIndex(pos.x, pos.y)];
-                    if (hex && hex.properties.nationId === 0) {
+                    if (hex && hex.properties.nationId === 0 && canClaimHex(getIndex(pos.x, pos.y), (closestCapital as Hex).properties.nationId)) {
                         hex.properties.nationId = (closestCapital as Hex).properties.nationId;
                     }
                 });
@@ -303,8 +332,8 @@ export async function generateCivilization(allHexes: WorldMap, addLogMessage: (m
 
     const cities = allHexes.filter((h: Hex) => h.properties.settlement === '都市');
 
-    // configの値をローカル変数にコピーして使用する
-    let numNations = config.NUM_NATIONS;
+    // レシピ (worldRecipe.ts) の値をローカル変数にコピーして使用する
+    let numNations = getGenerationParams().NUM_NATIONS;
 
     if (cities.length < numNations) {
         await addLogMessage(`警告: 都市が${cities.length}個しか形成されませんでした。国家数を${cities.length}に減らします。`);
@@ -319,12 +348,32 @@ export async function generateCivilization(allHexes: WorldMap, addLogMessage: (m
     await addLogMessage("地理的バランスを考慮して国家を配置しています...");
     const { capitals } = defineNations(cities, numNations);
     await addLogMessage(`世界の${numNations}大国（首都）を定義しました。`);
+    const pinnedCount = getPinnedCapitals().length;
+    if (pinnedCount > 0) await addLogMessage(`固定した首都 ${pinnedCount} か所を元の国のまま引き継ぎました。`);
 
     await addLogMessage("集落の初期配置が完了しました。");
     // この時点で roadPaths は空で返す
     return { allHexes, roadPaths: [] };
 }
 
+/**
+ * 道路網と国境を作り直す前に、前回の道路網の生成で書き込んだ道路・領都・所属をステップ③の直後の状態に戻す
+ * 首都の国IDと、国境を固定した国の領土 (regenerationLocks.ts) はそのまま残す。
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ */
+export function resetTerritories(allHexes: WorldMap) {
+    allHexes.forEach((h: Hex, index: number) => {
+        const p = h.properties;
+        p.roadLevel = 0;
+        p.parentHexId = null;
+        p.territoryId = null;
+        p.distanceToParent = 0;
+        p.travelDaysToParent = 0;
+        if (p.settlement === '領都') p.settlement = '都市';
+        if (p.settlement !== '首都') p.nationId = getLockedNationAt(index);
+    });
+}
+
 export async function determineTerritories(allHexes: WorldMap, addLogMessage: (msg: string) => Promise<void>) {
     await addLogMessage("国家と辺境勢力の最終的な領域を確定させています...");
 
@@ -59,6 +59,18 @@ export const DETAIL_HEIGHT_MAX = 0.5;  // 微細ノイズの高さ影響度。
 // d3.scalePow(exponent) を使い、高い山ほど急峻になるよう調整している。
 export const elevationScale = d3.scalePow().exponent(1.2).domain([0.0, 5.0]).range([0, 7000]).clamp(true);
 
+// --- 地形の下絵 (高さ画像・陸地マスク) の読み込み ---
+// 下絵を使うと大陸形状のノイズ・距離減衰・地形バイアスの代わりに画像から陸地と標高を決める (continentGenerator.ts)。
+export const TERRAIN_IMPORT_PARAMS = {
+    MAX_IMAGE_SIZE: 1024,          // 読み込んだ画像はこの大きさ (px) 以下に縮小してから使う
+    DEFAULT_SEA_LEVEL: 0.2,        // 高さ画像で海面とする明るさ (0-1) の初期値
+    DEFAULT_MAX_ELEVATION: 6000,   // 高さ画像の最も明るい色に当てる標高 (m) の初期値
+    DEFAULT_NOISE_DETAIL: 0.3,     // ノイズで加える細部の強さ (0-1) の初期値
+    MASK_THRESHOLD: 0.5,           // 陸地マスクで陸地とする明るさ (ヘックス内の陸地の割合)
+    COASTLINE_NOISE: 0.15,         // 細部の強さ1のとき、海岸線を揺らす明るさの幅 (大陸形状のノイズを使用)
+    DETAIL_ELEVATION: 600          // 細部の強さ1のとき、高さ画像の標高に加える起伏 (±m、丘陵と微細ノイズを使用)
+};
+
 // --- 大陸棚の生成 ---
 // 海岸線付近の浅瀬（大陸棚）の生成パラメータ。
 export const SHELF_PARAMS = {
@@ -125,11 +137,93 @@ export const TERRAIN_ELEVATION = { MOUNTAIN_PEAK: 3000, MOUNTAIN: 2000, HILLS: 1
 export const SNOW_THRESHOLDS = { TEMPERATURE: -10, PRECIPITATION_LIGHT: 0.3 };
 export const TEMP_ZONES = { COLD: 5, TEMPERATE: 22 };
 
+// 季節 (月ごと) の気候モデル (seasonalClimate.ts)
+export const SEASONAL_PARAMS = {
+    WARMEST_MONTH: 7,                  // 最も暑い月 (最も寒い月はその半年後)
+    AMPLITUDE_POLAR: 16,               // 気温の年較差の半分 (℃、寒い側の端)
+    AMPLITUDE_TROPICAL: 2,             // 気温の年較差の半分 (℃、暖かい側の端)
+    CONTINENTAL_AMPLITUDE_FACTOR: 0.8, // 内陸 (海洋性 0) で年較差を増やす割合
+    WATER_AMPLITUDE_FACTOR: 0.5,       // 水域の年較差の倍率
+    AMPLITUDE_NOISE: 0.25,             // 年較差のゆらぎ (季節性ノイズの倍率)
+    SEASONALITY_NOISE_FREQ: 3,         // 季節性ノイズの周波数
+    SEASONALITY_NOISE_WEIGHT: 0.6,     // 降水の季節性へのノイズの寄与
+    CONTINENTAL_SEASONALITY_WEIGHT: 0.6, // 内陸ほど夏に雨が多くなる度合い
+    MAX_PRECIP_SEASONALITY: 0.9,       // 降水の季節性の上限 (月降水量は年平均の 0.1〜1.9 倍)
+    SNOW_TEMPERATURE: 0,               // これ以下の月は降水が雪として積もる (℃)
+    SNOW_COVER_MIN_MM: 10,             // 積雪とみなす雪の量 (水量 mm)
+    DEGREE_MONTH_MELT_MM: 90,          // 0℃を1℃上回るごとの1か月の融雪量 (水量 mm)
+    EVAPOTRANSPIRATION_MM_PER_DEGREE: 3, // 1℃あたりの1か月の蒸発散量 (mm)
+    RIVER_ROUTING_LAG_MONTHS: 1,       // 上流からの流入が届くまでの月数
+    FLOOD_DISCHARGE_RATIO: 1.6,        // 増水とみなす流量の比 (年平均に対して)
+    LAKE_FREEZE_TEMPERATURE: -5,       // 湖が結氷する月平均気温 (℃)
+    SEA_FREEZE_TEMPERATURE: -12,       // 海が結氷する月平均気温 (℃)
+    RIVER_FREEZE_TEMPERATURE: -8,      // 河川が結氷する月平均気温 (℃)
+    PASS_CLOSURE_TERRAINS: ['山岳'],   // 積雪で峠が閉ざされる地形
+    PASS_CLOSURE_ELEVATION: 2000,      // 積雪で峠が閉ざされる標高 (m)
+    FLOOD_SPEED_MULTIPLIER: 0.5        // 増水した河川のヘックスでの減速 (渡河・氾濫)
+};
+
 // ================================================================
 // ■ 4. 文明・経済パラメータ
 // ================================================================
 export const NUM_NATIONS = 4; // 生成する国家数
-export const NATION_NAMES = ["アルファ国", "ブラボー国", "チャーリー国", "デルタ国", "エコー国", "フォクストロット国", "ゴルフ国", "ホテル国"];
+// 既定の国名 (国家ID - 1 の順)。命名 (nameGenerator.ts) の前や、名前のない国の表示に使われる
+export const NATION_NAMES = [
+    "アルファ国", "ブラボー国", "チャーリー国", "デルタ国", "エコー国", "フォクストロット国", "ゴルフ国", "ホテル国",
+    "インディア国", "ジュリエット国", "キロ国", "リマ国", "マイク国", "ノベンバー国", "オスカー国", "パパ国",
+    "ケベック国", "ロメオ国", "シエラ国", "タンゴ国", "ユニフォーム国", "ヴィクター国", "ウィスキー国", "エクスレイ国",
+    "ヤンキー国", "ズールー国"
+];
+
+// 命名パラメータ (nameGenerator.ts)
+// 文化ごとに音節と語尾を持ち、国・集落・河川・山脈の名前はその国の文化の音韻で作られる。
+// 各国への文化の割り当てはシードで決まり、国家数が文化の数以下なら重複しない。
+export const NAMING_PARAMS = {
+    CULTURES: [
+        {
+            name: '北方系',
+            syllables: ['ス', 'ヴァ', 'ル', 'ヘイ', 'ム', 'ダ', 'グ', 'リン', 'ボル', 'ヤル', 'エイ', 'ク', 'ソル', 'ト', 'ハル', 'ニル'],
+            settlementEndings: ['ハイム', 'ガルド', 'ヴィク', 'ボリ', 'ストン', 'ダール'],
+            nationSuffixes: ['王国', '首長国', '連合王国']
+        },
+        {
+            name: '南方系',
+            syllables: ['ア', 'ル', 'ミ', 'ナ', 'ベ', 'ロ', 'カ', 'シ', 'ラ', 'ティ', 'ヴェ', 'オ', 'ヴィ', 'サン', 'レ', 'マ'],
+            settlementEndings: ['ア', 'ーナ', 'リア', 'エッタ', 'オーネ', 'ーノ'],
+            nationSuffixes: ['王国', '公国', '共和国']
+        },
+        {
+            name: '東方系',
+            syllables: ['カ', 'ミ', 'ナ', 'ト', 'ヨ', 'ワ', 'サ', 'ヒ', 'タ', 'ラ', 'ゴ', 'シ', 'ツ', 'ホ', 'ア', 'ク'],
+            settlementEndings: ['ノ', 'ミヤ', 'ザカ', 'ハラ', 'マチ', 'ジマ'],
+            nationSuffixes: ['国', '皇国', '王朝']
+        },
+        {
+            name: '砂漠系',
+            syllables: ['ア', 'ル', 'カ', 'ザ', 'ハ', 'リ', 'ム', 'ス', 'ラ', 'ド', 'ジャ', 'バ', 'シャ', 'ファ', 'ク', 'ナ'],
+            settlementEndings: ['ード', 'ラン', 'ザル', 'ミル', 'ハン', 'ーム'],
+            nationSuffixes: ['王国', '太守国', 'スルタン国']
+        },
+        {
+            name: '草原系',
+            syllables: ['ト', 'ガ', 'ジン', 'ク', 'ル', 'バ', 'タ', 'イ', 'エル', 'ウ', 'ハ', 'オル', 'テム', 'ス', 'キ', 'ボ'],
+            settlementEndings: ['カン', 'ダル', 'ギス', 'タイ', 'オル', 'ケント'],
+            nationSuffixes: ['汗国', '大汗国', '部族連合']
+        },
+        {
+            name: '森林系',
+            syllables: ['エ', 'リ', 'ア', 'ス', 'ラ', 'シル', 'ヴァ', 'ネ', 'ル', 'ティ', 'ファ', 'ヘル', 'ロ', 'ミ', 'セ', 'ウィ'],
+            settlementEndings: ['ディル', 'ロス', 'リエン', 'ウェン', 'ミア', 'ドール'],
+            nationSuffixes: ['王国', '氏族国', '森王国']
+        }
+    ],
+    MIN_SYLLABLES: 2,           // 語幹の最小音節数
+    MAX_SYLLABLES: 3,           // 語幹の最大音節数
+    SETTLEMENT_ENDING_RATE: 0.6, // 集落名に文化固有の語尾を付ける確率
+    MIN_RIVER_HEXES: 3,         // 名前を付ける河川系の最小ヘックス数
+    MIN_RIDGE_HEXES: 5,         // 名前を付ける稜線系の最小ヘックス数
+    RANGE_RIDGE_HEXES: 8        // これ以上の稜線系は「山脈」、未満は「山地」と呼ぶ
+};
 
 // 人口生成パラメータ
 export const POPULATION_PARAMS = {
@@ -337,7 +431,8 @@ export const INITIAL_LAYER_SETTINGS = {
         'territory-overlay': false,
         'hex-border': true,
         'ridge-water-system': false,
-        'japan-overlay': false
+        'japan-overlay': false,
+        'annotation': true
     },
     'white': {
         'vegetation-overlay': false,
@@ -349,7 +444,8 @@ export const INITIAL_LAYER_SETTINGS = {
         'territory-overlay': true,
         'hex-border': false,
         'ridge-water-system': false,
-        'japan-overlay': false
+        'japan-overlay': false,
+        'annotation': true
     }
 };
 
@@ -438,6 +534,381 @@ export const TAX_RATE = {
 // 輸送積載量 (トン)
 export const TRANSPORT_CAPACITY = { 'wagon': 1.0, 'pack_animal': 0.15 };
 
+// ================================================================
+// ■ 物流・市場パラメータ (余剰物資の輸送と地域価格)
+// ================================================================
+export const LOGISTICS_PARAMS = {
+    // 交易品目。items は産業の生産品目 (industry の各項目) を合算したもの。
+    // demand_t_per_person が null の品目は、集落区分ごとの consumption_t_per_person を1人あたり年間需要とする
+    GOODS: {
+        '食料': { items: ['小麦', '大麦', '雑穀', '稲', '魚介類', '狩猟肉', '牧畜肉', '家畜肉', '乳製品', '果物'], demand_t_per_person: null },
+        '木材': { items: ['木材'], demand_t_per_person: 0.3 },
+        '鉄': { items: ['鉄'], demand_t_per_person: 0.005 },
+        '織物': { items: ['織物'], demand_t_per_person: 0.01 },
+        '武具・道具': { items: ['武具・道具'], demand_t_per_person: 0.01 }
+    },
+    MAX_DELIVERY_DAYS: 10,         // 片道でこれ以上かかる需要地へは出荷しない (日)
+    LAND_OPERATING_DAYS: 300,      // 荷馬車・駄獣の年間稼働日数
+    SAILING_DAYS: 240,             // 船の年間稼働日数
+    SAILING_HOURS_PER_DAY: 12,     // 船の1日あたりの航行時間
+    OFFROAD_ROAD_LEVEL: 0,         // 道路のない集落から隣接する道路までの移動に用いる道路Lv (WAGON_PARAMS.ROAD_SPEED_MULTIPLIERS)
+    TRANSPORT_COST_PER_DAY: 0.03,  // 輸送1日あたりの価格上昇率
+    SHORTAGE_PRICE_FACTOR: 2.0,    // 不足率1.0あたりの価格上昇
+    SURPLUS_PRICE_FACTOR: 0.2,     // 売れ残り率1.0あたりの価格下落
+    MIN_PRICE: 0.8,                // 価格指数の下限
+    MAX_PRICE: 3.0                 // 価格指数の上限
+};
+
+// ================================================================
+// ■ 年次シミュレーションパラメータ (人口動態・飢饉・移住)
+// ================================================================
+export const TIMELINE_PARAMS = {
+    MAX_YEARS: 200,              // 一度にシミュレーションできる最大年数
+    BASE_BIRTH_RATE: 0.035,      // 基本出生率 (年)
+    BASE_DEATH_RATE: 0.027,      // 基本死亡率 (年)
+    FAMINE_TOLERANCE: 0.6,       // 備蓄・域外との交易・採集でしのげる食料不足率 (これを超えた分が飢饉になる)
+    FAMINE_DEATH_RATE: 0.25,     // 許容を超えた食料不足率1.0あたりの追加死亡率 (飢饉)
+    HUNGER_DEATH_RATE: 0.03,     // 飢餓度1.0あたりの追加死亡率
+    RATE_VARIATION: 0.15,        // 出生・死亡率の年ごとのゆらぎ (±15%)
+    CAPACITY_FACTOR: 1.2,        // 最大人口 (MAX_POPULATION_PER_HEX) に対する収容力の倍率
+    MAX_EMIGRATION_RATE: 0.06,   // 困窮した集落から1年で流出する人口の上限割合
+    MIGRATION_RANGE_HEXES: 12,   // 道路網に沿って移住できる最大距離 (ヘックス)
+    MIN_POPULATION: 10,          // これを下回った集落は無人化する
+    // 集落区分の人口しきい値 (classifySettlements と同じ基準)。降格はしきい値×DEMOTION_MARGIN を下回った場合のみ
+    SETTLEMENT_THRESHOLDS: { '街': 5000, '町': 1000, '村': 100 },
+    DEMOTION_MARGIN: 0.9
+};
+
+// ================================================================
+// ■ 国家史シミュレーションパラメータ (戦争・併合・独立)
+// ================================================================
+export const NATION_HISTORY_PARAMS = {
+    MAX_YEARS: 1000,             // 一度にシミュレーションできる最大年数
+    DEFAULT_YEARS: 300,          // パネルの初期値 (年)
+    // 兵力の算定 (calculateHexDemographics の職業人口に対する重み)
+    SOLDIER_WEIGHTS: { '騎士': 5.0, '正規兵': 1.0, '衛兵・自警団': 0.3 },
+    LEVY_RATE: 0.01,             // 有事に動員できる住民の割合 (兵力に加算)
+    // 防御側の地形補正 (terrainType ごとの加算値)
+    TERRAIN_DEFENSE: { '山岳': 0.6, '山地': 0.4, '丘陵': 0.2, '平地': 0.0 },
+    RIVER_DEFENSE: 0.2,          // 河川沿いの集落の防御補正
+    CAPITAL_DEFENSE: 0.5,        // 首都 (城壁) の防御補正
+    FRONTIER_RANGE_HEXES: 6,     // この距離以内に互いの集落がある国同士を「国境を接する」とみなす
+    WAR_RATE: 0.04,              // 国境を接する2国間で1年に戦争が起きる基本確率
+    WAR_POWER_RATIO: 1.3,        // 兵力比がこれ以上なら強国側が積極的に開戦する
+    TRUCE_YEARS: 15,             // 講和後、同じ相手と再戦しない年数
+    MIN_WAR_YEARS: 2,            // 講和交渉が始まるまでの最短年数
+    PEACE_RATE: 0.15,            // 戦争1年あたりの講和確率の増分
+    WAR_EXHAUSTION_PER_YEAR: 0.06, // 戦争1年ごとの兵力の消耗率
+    MAX_WAR_EXHAUSTION: 0.5,     // 消耗率の上限
+    SECESSION_RATE: 0.002,       // 首都以外の拠点が1年に独立する基本確率
+    SECESSION_DISTANCE_HEXES: 8, // 首都からこの距離ごとに独立確率が基本値の分だけ上がる
+    OVEREXTENSION_SETTLEMENTS: 20, // 領有する集落がこの数増えるごとに独立確率が基本値の分だけ上がる
+    SECESSION_LOSS_YEARS: 10,    // この年数以内に領土を失った国は不安定になる (独立確率2倍)
+    RESTORATION_MIN_YEARS: 30,   // 滅亡からこの年数が経つと旧首都 (建国時の首都) で再興が起こり得る
+    RESTORATION_RATE: 0.01       // 旧首都が1年に再興を宣言する確率
+};
+
+// ================================================================
+// ■ ヘックス編集パラメータ (hexEditor.ts)
+// ================================================================
+export const HEX_EDITOR_PARAMS = {
+    MAX_BRUSH_RADIUS: 3,         // ブラシ半径の上限 (ヘックス)
+    ELEVATION_STEP: 100,         // 標高ブラシの初期変化量 (m)
+    MIN_LAND_ELEVATION: 10,      // 水域を陸地にしたときの最低標高 (m)
+    SEA_ELEVATION: -50,          // 陸地を海にしたときの標高 (m)
+    ECONOMY_RADIUS: 2,           // 編集箇所から産業・人口構成・施設を再計算する範囲 (ヘックス)
+    MAX_UNDO: 50,                // 元に戻せる編集の回数
+    // 集落ブラシで人口がこれ未満のヘックスに集落を置いたときの人口
+    SETTLEMENT_MIN_POPULATION: { '首都': 10000, '都市': 10000, '領都': 5000, '街': 5000, '町': 1000, '村': 100, '散居': 10 }
+};
+
+// ================================================================
+// ■ 旅程計画パラメータ (travelPlanner.ts)
+// ================================================================
+// 陸路の道のりは calculateRoadDistance と同じく TERRAIN_MULTIPLIERS・ROAD_MULTIPLIERS で求め、
+// 移動手段ごとの速度で時間に換算する。道のない稜線越えには RIDGE_CROSSING_COST_MULTIPLIER に比例した時間を加える。
+export const TRAVEL_PARAMS = {
+    LAND_MODES: {
+        'foot': {
+            name: '徒歩',
+            BASE_SPEED_KMH: 4.0,
+            OPERATING_HOURS_PER_DAY: 8.0,
+            ROAD_SPEED_MULTIPLIERS: { 6: 1.10, 5: 1.10, 4: 1.05, 3: 1.0, 2: 1.0, 1: 1.0, 0: 0.8 },
+            TERRAIN_SPEED_MULTIPLIERS: {}, // 地形の影響は道のり (TERRAIN_MULTIPLIERS) のみ
+            SNOW_SPEED_MULTIPLIER: 0.7,
+            RIDGE_CROSSING_FACTOR: 1.0
+        },
+        'pack': {
+            name: '駄獣 (荷役動物)',
+            BASE_SPEED_KMH: 4.5,
+            OPERATING_HOURS_PER_DAY: 8.0,
+            ROAD_SPEED_MULTIPLIERS: { 6: 1.15, 5: 1.15, 4: 1.10, 3: 1.05, 2: 1.0, 1: 1.0, 0: 0.7 },
+            TERRAIN_SPEED_MULTIPLIERS: { '山岳': 0.8, '山地': 0.9 },
+            SNOW_SPEED_MULTIPLIER: 0.7,
+            RIDGE_CROSSING_FACTOR: 1.5
+        },
+        'wagon': {
+            name: '荷馬車',
+            BASE_SPEED_KMH: WAGON_PARAMS.BASE_SPEED_KMH,
+            OPERATING_HOURS_PER_DAY: WAGON_PARAMS.OPERATING_HOURS_PER_DAY,
+            ROAD_SPEED_MULTIPLIERS: WAGON_PARAMS.ROAD_SPEED_MULTIPLIERS,
+            TERRAIN_SPEED_MULTIPLIERS: WAGON_PARAMS.TERRAIN_SPEED_MULTIPLIERS,
+            SNOW_SPEED_MULTIPLIER: WAGON_PARAMS.SNOW_SPEED_MULTIPLIER,
+            RIDGE_CROSSING_FACTOR: 3.0
+        }
+    },
+    SHIP_OPERATING_HOURS_PER_DAY: 12.0, // 船 (SHIP_TYPES) の1日の航行時間
+    RIDGE_CROSSING_HOURS: 0.05,         // 稜線越えのコスト (ridgeFlow × RIDGE_CROSSING_COST_MULTIPLIER) 1あたりの追加時間
+    MAX_RIDGE_CROSSING_HOURS: 8.0,      // 1ヘックスの稜線越えにかかる追加時間の上限
+    REST_SEARCH_HOURS: 3.0,             // 次の集落まで届かないとき、この時間以内の残りを切り上げて集落に泊まる
+    // 宿泊できる集落 (散居は宿がないものとする)
+    REST_SETTLEMENTS: ['首都', '都市', '領都', '街', '町', '村'],
+    // 魔物ランクごとの危険度の表示
+    DANGER_LABELS: { 'S': '極めて危険', 'A': '非常に危険', 'B': '危険', 'C': 'やや危険', 'D': '低い' },
+    // 「危険を避ける」を選んだときの経路探索コスト倍率 (航路生成の createSeaCostFunction と同じ)
+    DANGER_AVOIDANCE_MULTIPLIERS: { 'S': 100, 'A': 10, 'B': 3 }
+};
+
+// ================================================================
+// ■ 地図の書き出しパラメータ (mapExporter.ts)
+// ================================================================
+export const MAP_EXPORT_PARAMS = {
+    PNG_SCALES: [1, 2, 4, 8],       // PNGの倍率 (画面上の1pxあたりの出力px)
+    PNG_TILE_SIZE: 2048,            // PNGを描くタイルの一辺 (px)。ブラウザのキャンバス上限を超えないよう分割して描く
+    MAX_PNG_PIXELS: 8192 * 8192,    // これを超えるPNGは1枚にまとめず、タイルごとのPNGをZIPで書き出す
+    COORDINATE_DECIMALS: 5,         // GeoJSONの座標の小数桁 (経緯度で約1m)
+    // 道路Lvの名称 (GeoJSONの属性)
+    ROAD_NAMES: { 6: '通商路', 5: '交易路', 4: '街道', 3: '町道', 2: '村道' },
+    // SVG・PNGに含めないレイヤー (操作用・デバッグ用)
+    EXCLUDED_LAYERS: ['interaction', 'highlight-overlay', 'block-id-labels', 'fog-overlay']
+};
+
+// ================================================================
+// ■ 世界のレシピ (worldRecipe.ts)
+// ================================================================
+// レシピはシード値と、上の生成パラメータのうち上書きした値 (定数名をドットでつないだパス → 数値) の組。
+// FIELDS はレシピパネルで編集できる項目 (それ以外のパスもレシピの JSON で上書きできる)。
+export const WORLD_RECIPE_PARAMS = {
+    VERSION: 1,
+    URL_PARAM: 'recipe', // 共有リンクのクエリパラメータ名
+    FIELDS: [
+        { path: 'CONTINENT_NOISE_FREQ', group: '大陸', label: '大陸形状の細かさ', min: 0.5, max: 30, step: 0.5 },
+        { path: 'SEA_LEVEL', group: '大陸', label: '海面の高さ', min: 0, max: 0.9, step: 0.01 },
+        { path: 'CONTINENT_FALLOFF_START', group: '大陸', label: '外洋が始まる距離', min: 0, max: 2, step: 0.05 },
+        { path: 'EAST_SEA_BIAS_INTENSITY', group: '大陸', label: '東の海の強さ', min: 0, max: 2, step: 0.05 },
+        { path: 'NW_SEA_BIAS_INTENSITY', group: '大陸', label: '北西の海の強さ', min: 0, max: 2, step: 0.05 },
+        { path: 'MOUNTAIN_NOISE_FREQ', group: '山地', label: '山脈分布の細かさ', min: 0.5, max: 20, step: 0.5 },
+        { path: 'MOUNTAIN_DISTRIBUTION_POWER', group: '山地', label: '山脈の集中度', min: 0.5, max: 8, step: 0.1 },
+        { path: 'MOUNTAIN_HEIGHT_MAX', group: '山地', label: '山の高さ', min: 0, max: 5, step: 0.1 },
+        { path: 'PRECIPITATION_PARAMS.WEST_COAST_MM', group: '気候', label: '西端の降水量 (mm)', min: 0, max: 4000, step: 50 },
+        { path: 'PRECIPITATION_PARAMS.EAST_COAST_MM', group: '気候', label: '東端の降水量 (mm)', min: 0, max: 4000, step: 50 },
+        { path: 'PRECIPITATION_PARAMS.SOUTHEAST_BIAS_INTENSITY', group: '気候', label: '南東の多雨 (mm)', min: 0, max: 4000, step: 50 },
+        { path: 'NUM_NATIONS', group: '文明', label: '国家数', min: 1, max: 12, step: 1 },
+        { path: 'POPULATION_PARAMS.MAX_POPULATION_PER_HEX', group: '文明', label: 'ヘックスの最大人口', min: 1000, max: 100000, step: 1000 },
+        { path: 'POPULATION_PARAMS.POPULATION_CURVE', group: '文明', label: '人口の集中度', min: 1, max: 20, step: 0.5 }
+    ],
+    // プリセット (上書きする値)。標準は上書きなし
+    PRESETS: {
+        'standard': { name: '標準', overrides: {} },
+        'archipelago': {
+            name: '群島',
+            overrides: { CONTINENT_NOISE_FREQ: 16, SEA_LEVEL: 0.55, EAST_SEA_BIAS_INTENSITY: 0.2, NW_SEA_BIAS_INTENSITY: 0.2, MOUNTAIN_HEIGHT_MAX: 3.5 }
+        },
+        'pangaea': {
+            name: '超大陸',
+            overrides: { CONTINENT_NOISE_FREQ: 3, SEA_LEVEL: 0, EAST_SEA_BIAS_INTENSITY: 0.15, NW_SEA_BIAS_INTENSITY: 0.15, NUM_NATIONS: 6 }
+        },
+        'arid': {
+            name: '乾燥',
+            overrides: {
+                'PRECIPITATION_PARAMS.EAST_COAST_MM': 500,
+                'PRECIPITATION_PARAMS.SOUTHEAST_BIAS_INTENSITY': 300,
+                'PRECIPITATION_PARAMS.MOUNTAIN_UPLIFT_BONUS': 200,
+                'POPULATION_PARAMS.MAX_POPULATION_PER_HEX': 15000
+            }
+        }
+    } as Record<string, { name: string; overrides: Record<string, number> }>
+};
+
+// ================================================================
+// ■ 地図の検索 (worldSearch.ts / searchPanel.ts)
+// ================================================================
+export const SEARCH_PARAMS = {
+    MAX_RESULTS: 200, // 一覧に表示する件数の上限 (地図のハイライトは全件)
+    FOCUS_SCALE: 2.5, // 結果をクリックしたときの拡大率 (これより拡大している場合はそのまま)
+    FOCUS_DURATION_MS: 600 // 結果の位置へ移動するアニメーションの長さ
+};
+
+// ================================================================
+// ■ 戦場の霧 (fogOfWar.ts / fogPanel.ts)
+// ================================================================
+export const FOG_OF_WAR_PARAMS = {
+    FOG_COLOR: '#3a3f4a',          // プレイヤー表示で明かしていないヘックスの色
+    MAX_BRUSH_RADIUS: 5,           // 明かす・隠すブラシの半径の上限 (ヘックス)
+    PATH_SIGHT_RADIUS: 1,          // 旅程の経路から明かす範囲の初期値 (ヘックス)
+    DEFAULT_SECRET_LAYERS: ['monster', 'resource'], // 新しいキャンペーンで伏せるレイヤー
+    STORAGE_KEY: 'geoforge.fogCampaigns' // キャンペーンを保存する localStorage のキー
+};
+
+// ================================================================
+// ■ 地図の注釈 (annotations.ts / annotationPanel.ts)
+// ================================================================
+export const ANNOTATION_PARAMS = {
+    ICONS: ['📍', '⚔️', '🏰', '💀', '💰', '🗝️', '❓', '⛺', '⚓', '🐉'], // ピンのアイコンの候補
+    DEFAULT_COLORS: { pin: '#d94a38', area: '#7a4fc9', route: '#e08a00' } as Record<string, string>,
+    AREA_OPACITY: 0.3 // 範囲の塗りの不透明度
+};
+
+// ================================================================
+// ■ 遭遇表・天候表 (randomTables.ts / randomTablePanel.ts)
+// ================================================================
+// 重みは d100 の表にするときに割合へ換算する (合計が 100 である必要はない)
+export const ENCOUNTER_PARAMS = {
+    MAX_RADIUS: 5,                 // 範囲の半径の上限 (ヘックス)
+    NEARBY_SETTLEMENT_RADIUS: 3,   // 範囲の外で「近くの集落」として数える距離 (ヘックス)
+    MAX_DAYS: 30,                  // 一度に振る日数の上限
+    NO_ENCOUNTER_WEIGHT: 40,       // 何も起きない
+    WILDLIFE_WEIGHT: 30,           // 野生動物 (狩猟適性 1.0 のとき。種類で等分する)
+    LIVESTOCK_WEIGHT: 12,          // 放牧中の家畜 (家畜適性 1.0 のとき)
+    FISHING_WEIGHT: 10,            // 漁船 (水域。漁業適性 1.0 のとき)
+    MONSTER_RANK_WEIGHTS: { 'S': 3, 'A': 6, 'B': 10, 'C': 14, 'D': 18 } as Record<string, number>, // 範囲がすべてそのランクのとき
+    TRAVELER_WEIGHT_PER_LOG_USAGE: 3,  // 旅人・巡礼者 (交通量 t/年 の log10 あたり)
+    MERCHANT_WEIGHT_PER_LOG_USAGE: 3,  // 商人の隊商 (同上)
+    ROAD_LEVEL_WEIGHT: 1.5,            // 旅人の重みに加える道路レベルあたりの値
+    PATROL_WEIGHT_PER_LOG_SOLDIERS: 3, // 兵士の巡回 (範囲と近くの集落の兵士数の log10 あたり)
+    RESIDENT_WEIGHT_PER_LOG_POPULATION: 2, // 近くの集落の住人 (人口の log10 あたり)
+    BANDIT_RATIO: 0.5,             // 盗賊の重み (商人の重みに対する割合。巡回が多いほど減る)
+    BANDIT_PATROL_SUPPRESSION: 20, // 巡回の重みの合計がこの値で盗賊が最小 (2割) になる
+    SOLDIER_LABELS: { '衛兵・自警団': '衛兵・自警団の見回り', '正規兵': '正規兵の巡回', '騎士': '騎士の一行' } as Record<string, string>,
+    // 植生ごとの野生動物
+    WILDLIFE: {
+        温帯林: ['鹿の群れ', '猪', '狼の群れ', '熊'],
+        亜寒帯林: ['ヘラジカ', '狼の群れ', 'ヒグマ', '山猫'],
+        熱帯雨林: ['猿の群れ', '毒蛇', '豹', '極彩色の鳥の群れ'],
+        草原: ['野兎', '野生馬の群れ', '狐', '猛禽'],
+        サバンナ: ['シマウマの群れ', '獅子の群れ', 'ハイエナ', '象の群れ'],
+        ステップ: ['野生馬の群れ', '羚羊の群れ', '狼の群れ', '猛禽'],
+        砂漠: ['サソリ', '毒蛇', '野生のラクダ', 'ハゲワシ'],
+        荒れ地: ['山羊の群れ', '野犬の群れ', 'ハゲワシ', '蛇'],
+        湿地: ['鰐', '水鳥の群れ', '大蛙', '蚊の大群'],
+        アルパイン: ['山羊の群れ', '雪豹', '大鷲', 'マーモット'],
+        ツンドラ: ['トナカイの群れ', '北極狐', '白熊', '雪原の狼'],
+        氷雪帯: ['白熊', 'アザラシの群れ', '雪原の狼'],
+        沿岸植生: ['海鳥の群れ', '蟹の群れ', 'アザラシの群れ'],
+        砂浜: ['海鳥の群れ', '蟹の群れ', '海亀'],
+        湖沼: ['水鳥の群れ', '大魚', 'カワウソ'],
+        海洋: ['イルカの群れ', '鯨', '鮫', '海鳥の群れ'],
+        深海: ['鯨', '大王イカ', '鮫']
+    } as Record<string, string[]>,
+    // 魔物ランクごとの例 (陸・水域)
+    MONSTERS: {
+        land: { 'S': '竜・巨人', 'A': 'キメラ・上位のアンデッド', 'B': 'オーガ・ワイバーン', 'C': 'ゴブリンの群れ・大蜘蛛', 'D': 'スライム・大ネズミ' },
+        water: { 'S': '海竜・クラーケン', 'A': 'シーサーペント', 'B': '人魚の戦士・大海蛇', 'C': 'サハギンの群れ', 'D': '大クラゲ・大蟹' }
+    } as Record<'land' | 'water', Record<string, string>>
+};
+
+export const WEATHER_PARAMS = {
+    WET_MONTH_MM: 200,     // 月降水量がこの値で、雨の日の割合が MAX_WET_RATIO に達する
+    MIN_WET_RATIO: 0.03,
+    MAX_WET_RATIO: 0.75,
+    HEAVY_RAIN_MM: 400,    // 月降水量がこの値で、雨の日の半分が大雨になる
+    SLEET_TEMPERATURE: 2,  // これ以下 (積雪の気温より上) の雨はみぞれ
+    HEAT_TEMPERATURE: 28,  // 月平均気温がこれ以上で猛暑の日がある
+    COLD_TEMPERATURE: -15, // 月平均気温がこれ以下で寒波の日がある
+    EXTREME_WEIGHT: 10,    // 猛暑・寒波の重み
+    DRY_SHARES: { '快晴': 0.3, '晴れ': 0.45, '曇り': 0.25 } as Record<string, number>, // 雨でない日の内訳
+    // 天候ごとの気温の日較差 (℃) と、日平均気温のずれ
+    DIURNAL: {
+        '快晴': { range: 12, offset: 1 }, '晴れ': { range: 10, offset: 1 }, '曇り': { range: 6, offset: 0 },
+        '雨': { range: 4, offset: -1 }, '大雨': { range: 3, offset: -2 }, 'みぞれ': { range: 3, offset: -1 },
+        '雪': { range: 4, offset: -1 }, '大雪': { range: 3, offset: -2 }, '猛暑': { range: 10, offset: 5 },
+        '寒波': { range: 6, offset: -8 }
+    } as Record<string, { range: number; offset: number }>,
+    // 気候区分ごとに加える天候 (重み。minTemp / maxTemp は起こりうる月平均気温の範囲)
+    ZONE_EVENTS: {
+        '氷雪気候': [{ label: 'ブリザード', maxTemp: 0, weight: 12 }],
+        'ツンドラ気候': [{ label: '地吹雪', maxTemp: 0, weight: 6 }, { label: '霧', weight: 4 }],
+        '亜寒帯湿潤気候': [{ label: '霧', weight: 5 }],
+        '亜寒帯乾燥気候': [{ label: '強風', weight: 5 }],
+        'ステップ気候': [{ label: '強風', weight: 8 }, { label: '砂塵', weight: 3 }],
+        '砂漠気候(寒)': [{ label: '砂嵐', weight: 5 }, { label: '強風', weight: 5 }],
+        '地中海性気候': [{ label: '乾いた強風', weight: 4 }],
+        '温暖湿潤気候': [{ label: '雷雨', minTemp: 10, weight: 4 }, { label: '霧', weight: 3 }],
+        '亜熱帯湿潤気候': [{ label: '雷雨', minTemp: 10, weight: 6 }],
+        '砂漠気候(熱)': [{ label: '砂嵐', weight: 8 }],
+        '熱帯草原気候': [{ label: 'スコール', minTemp: 18, weight: 8 }],
+        '熱帯雨林気候': [{ label: 'スコール', minTemp: 18, weight: 15 }, { label: '雷雨', minTemp: 10, weight: 5 }]
+    } as Record<string, { label: string; weight: number; minTemp?: number; maxTemp?: number }[]>
+};
+
+// ================================================================
+// ■ ルールブックのデータ表 (rulebookData.ts / rulebook.ts)
+// ================================================================
+export const RULEBOOK_PARAMS = {
+    WORLD_STATS_STORAGE_KEY: 'geoforge.rulebookWorldStats', // 地図の画面で集計した世界の経済統計を渡す localStorage のキー
+    SETTLEMENT_LEVEL_LABELS: { '村': '村以上', '町': '町以上', '街': '街以上', '領都': '領都以上', '都市': '都市以上', '首都': '首都のみ' } as Record<string, string>
+};
+
+// ================================================================
+// ■ エントリーシート (characterSheet.ts / entrysheet.ts / hometownPanel.ts)
+// ================================================================
+export const ENTRYSHEET_PARAMS = {
+    SHEETS_STORAGE_KEY: 'geoforge.entrySheets',         // 保存したシートの localStorage のキー
+    HOMETOWN_STORAGE_KEY: 'geoforge.entrySheetHometown', // 地図の画面で選んだ故郷をシートへ渡す localStorage のキー
+    PICK_URL_PARAM: 'pick',                             // 地図の画面を故郷の選択から始める URL のパラメータ (?pick=hometown)
+    PICK_URL_VALUE: 'hometown',
+    DATA_SECTION_URL: './sections/05_data.html',         // クラス・スキルを読み込むルールブックのセクション
+    MAX_OCCUPATIONS: 5,                                 // 故郷のおもな職業として載せる数
+    NON_OCCUPATIONS: ['孤児', 'スラム'],                 // 職業として扱わない人口構成の区分
+    PRICE_LABELS: { food: '食料品', necessities: '必需品', luxuries: '嗜好品', high_luxuries: '贅沢品', field_gear: '野戦具' } as Record<string, string>
+};
+
+// ================================================================
+// ■ 実在の地形の取り込み (terrainSources.ts / DataGenerator.ts / scripts/geoforge.mjs import-terrain)
+// ================================================================
+export const REAL_TERRAIN_PARAMS = {
+    DEGREES_PER_BLOCK: 1.8,         // 1ブロックの経度・緯度の幅 (度)
+    EQUATOR_NN: 50,                 // 緯度 0 度に当たる NN (経度 0 度は EE 0)
+    GSI_ZOOM: 8,                    // 地理院の標高タイル (demgm) のズームレベル
+    GSI_TILE_SIZE: 256,
+    GSI_TILE_URL: 'https://cyberjapandata.gsi.go.jp/xyz/demgm/{z}/{x}/{y}.txt',
+    NO_DATA_ELEVATION: -100,        // 標高のデータがない地点 (地理院タイルの 'e'、ラスタの NoData) は海とみなす
+    MISSING_TILE_ELEVATION: -1000,  // タイル・ラスタの範囲外は深い海とみなす
+    LAPSE_RATE: 0.65,               // 気温の減率 (℃/100m)
+    IDW_POWER: 2,                   // 観測点の逆距離加重のべき
+    GRID_SEARCH_CELLS: 20,          // 気候のグリッドが NoData (海など) のとき、近くの値を探すセル数
+    JAPAN_BOUNDS: { south: 18, west: 117, north: 51.8, east: 154.8 } // ブラウザの日本の生成で使う範囲 (EE 65〜85、NN 60〜78)
+};
+
+// ================================================================
+// ■ 統計ダッシュボード (worldStatistics.ts / statsDashboardPanel.ts)
+// ================================================================
+// 国家・領都の領域ごとの集計。食料の品目と主食の需要は経済シミュレーション (economySimulator.ts) の自給率と同じ。
+export const STATS_DASHBOARD_PARAMS = {
+    INDUSTRY_TIERS: { primary: '第一次産業', secondary: '第二次産業', tertiary: '第三次産業', quaternary: '第四次産業', quinary: '第五次産業' } as Record<string, string>,
+    FOOD_ITEMS: ['小麦', '大麦', '雑穀', '稲', '魚介類', '狩猟肉', '牧畜肉', '家畜肉', '乳製品', '果物'],
+    STAPLE_ITEMS: ['小麦', '大麦', '雑穀', '稲'],
+    STAPLE_DEMAND_T_PER_PERSON: 0.1,   // 主食の年間需要 (t/人)
+    DEFAULT_CONSUMPTION_T_PER_PERSON: 0.2, // 集落区分のない人口の食料の年間需要 (t/人)
+    ROAD_NAMES: { 6: '通商路', 5: '交易路', 4: '街道', 3: '町道', 2: '村道' } as Record<number, string>, // 延長を集計する道路Lv (航路は除く)
+    TERRITORY_HUBS: ['首都', '都市', '領都'], // 支配領域の中心とする集落区分 (親をたどって最初に見つかったものに属する)
+    FRONTIER_LABEL: '辺境',
+    UNASSIGNED_LABEL: '領都に属さない土地', // どの支配領域にも属さない陸のヘックス (おもに辺境)
+    MAX_CHART_SERIES: 8,               // グラフで色分けする区分の数 (残りは「その他」にまとめる。CSV にはすべての区分を書き出す)
+    CHART_WIDTH: 720,                  // グラフの幅 (px)
+    BAR_HEIGHT: 18,                    // 1行の棒の高さ (px)
+    LABEL_WIDTH: 160                   // 行ラベルの幅 (px)
+};
+
+// ================================================================
+// ■ 世界のバリエーション (regenerationLocks.ts / worldVariants.ts / variantPanel.ts)
+// ================================================================
+// 一部を固定して作り直した世界は、開いている間だけバリエーションとして残す (保存・書き出しされるのは表示中の世界だけ)。
+export const WORLD_VARIANT_PARAMS = {
+    MAX_VARIANTS: 8,              // 残すバリエーションの数 (超えたら表示中でない古いものから消す)
+    ORIGINAL_LABEL: '作り直す前の世界'
+};
+
 // ================================================================
 // ■ 8. 海運パラメータ (v1.0 - 船種定義)
 // ================================================================
@@ -4,9 +4,11 @@
 
 import { createNoise2D } from 'simplex-noise';
 import * as config from './config.ts';
-import { getIndex, globalRandom, getNeighborIndices, initGlobalRandom } from './utils.ts';
+import { getIndex, globalRandom, getNeighborIndices, initGlobalRandom, reportProgress } from './utils.ts';
 import * as d3 from 'd3';
 import { WorldMap } from './WorldMap.ts';
+import { getGenerationParams } from './worldRecipe.ts';
+import { computeSeasonalProfile } from './seasonalClimate.ts';
 
 // ノイズ変数を let で宣言のみ行う
 type NoiseFunction = (x: number, y: number) => number;
@@ -168,57 +170,135 @@ export function classifyClimate(T_mean: number, P_annual: number, H_m: number):
     return "温暖湿潤気候";
 }
 
+// ================================================================
+// ■ 地形の下絵 (高さ画像・陸地マスク)
+// ================================================================
+
+/**
+ * 地形の下絵。画像の上端が北 (row 0)、左端が西 (col 0) に対応する。
+ * - heightmap: 明るいほど高い。seaLevel 未満の明るさが海、最も明るい色が maxElevation (m)
+ * - mask: 白が陸地・黒が海。標高は通常どおりノイズで作る
+ */
+export interface BaseTerrainImage {
+    name?: string;          // 画像のファイル名 (レシピの記録用)
+    width: number;
+    height: number;
+    values: Float32Array;   // 左上から行順の明るさ (0-1)
+    mode: 'heightmap' | 'mask';
+    seaLevel: number;       // heightmap のみ
+    maxElevation: number;   // heightmap のみ
+    noiseDetail: number;    // ノイズで加える細部の強さ (0 で画像のまま)
+}
+
+/**
+ * 下絵をヘックスの格子に合わせて縮小する (各ヘックスが受け持つ画素の平均)
+ * @param {BaseTerrainImage} image
+ * @returns {Float32Array} ヘックスのインデックスごとの明るさ (0-1)
+ */
+export function resampleBaseTerrain(image: BaseTerrainImage): Float32Array {
+    const samples = new Float32Array(config.COLS * config.ROWS);
+    for (let row = 0; row < config.ROWS; row++) {
+        const y0 = Math.floor(row / config.ROWS * image.height);
+        const y1 = Math.max(y0 + 1, Math.floor((row + 1) / config.ROWS * image.height));
+        for (let col = 0; col < config.COLS; col++) {
+            const x0 = Math.floor(col / config.COLS * image.width);
+            const x1 = Math.max(x0 + 1, Math.floor((col + 1) / config.COLS * image.width));
+            let sum = 0;
+            let count = 0;
+            for (let y = y0; y < Math.min(y1, image.height); y++) {
+                for (let x = x0; x < Math.min(x1, image.width); x++) {
+                    sum += image.values[y * image.width + x];
+                    count++;
+                }
+            }
+            samples[getIndex(col, row)] = count > 0 ? sum / count : 0;
+        }
+    }
+    return samples;
+}
+
 // ================================================================
 // ■ 生成ロジック
 // ================================================================
 
+/**
+ * 下絵の明るさを大陸マスクの値 (landStrength) に換算する
+ * 海面の明るさ (陸地マスクでは MASK_THRESHOLD) が SEA_LEVEL に、最も明るい色が 1 になるよう線形に写す。
+ * 細部の強さに応じて、大陸形状のノイズで明るさを揺らして海岸線に細かな出入りを加える。
+ */
+function getImportedLandStrength(image: BaseTerrainImage, value: number, nx: number, ny: number): number {
+    const gen = getGenerationParams();
+    const seaLevel = image.mode === 'mask' ? config.TERRAIN_IMPORT_PARAMS.MASK_THRESHOLD : image.seaLevel;
+    const noise = continentNoise(nx * gen.CONTINENT_NOISE_FREQ, ny * gen.CONTINENT_NOISE_FREQ) / 2;
+    const v = Math.min(1, Math.max(0, value + noise * image.noiseDetail * config.TERRAIN_IMPORT_PARAMS.COASTLINE_NOISE));
+    if (v < seaLevel) return gen.SEA_LEVEL * (seaLevel > 0 ? v / seaLevel : 0);
+    return gen.SEA_LEVEL + (1 - gen.SEA_LEVEL) * (seaLevel < 1 ? (v - seaLevel) / (1 - seaLevel) : 1);
+}
+
 /**
  * ベースプロパティ生成 (標高、気温、降水量)
+ * @param {number} col
+ * @param {number} row
+ * @param {Object} [base] - 地形の下絵 ({ image, value: このヘックスの明るさ })。省略時はノイズで大陸を作る
  */
-function generateBaseProperties(col: number, row: number) {
+function generateBaseProperties(col: number, row: number, base?: { image: BaseTerrainImage; value: number }) {
+    const gen = getGenerationParams();
     const nx = col / config.COLS;
     const ny = row / config.ROWS;
 
     // --- 1. 大陸マスク ---
-    let landStrength = (continentNoise(nx * config.CONTINENT_NOISE_FREQ, ny * config.CONTINENT_NOISE_FREQ) + 1) / 2;
-    const distFromCenter = Math.hypot(nx - 0.5, ny - 0.5) * 2;
-    if (distFromCenter > config.CONTINENT_FALLOFF_START) {
-        const falloff = (distFromCenter - config.CONTINENT_FALLOFF_START) / config.CONTINENT_FALLOFF_RANGE;
-        landStrength *= (1 - Math.min(1, falloff));
-    }
-    if (nx > config.EAST_SEA_BIAS_X_START) {
-        const bias = (nx - config.EAST_SEA_BIAS_X_START) / (1 - config.EAST_SEA_BIAS_X_START);
-        landStrength -= bias * config.EAST_SEA_BIAS_INTENSITY;
-    }
-    const distFromNW = Math.hypot(nx, ny);
-    if (distFromNW < config.NW_SEA_BIAS_RADIUS) {
-        const bias = (config.NW_SEA_BIAS_RADIUS - distFromNW) / config.NW_SEA_BIAS_RADIUS;
-        landStrength -= bias * config.NW_SEA_BIAS_INTENSITY;
+    let landStrength: number;
+    if (base) {
+        landStrength = getImportedLandStrength(base.image, base.value, nx, ny);
+    } else {
+        landStrength = (continentNoise(nx * gen.CONTINENT_NOISE_FREQ, ny * gen.CONTINENT_NOISE_FREQ) + 1) / 2;
+        const distFromCenter = Math.hypot(nx - 0.5, ny - 0.5) * 2;
+        if (distFromCenter > gen.CONTINENT_FALLOFF_START) {
+            const falloff = (distFromCenter - gen.CONTINENT_FALLOFF_START) / gen.CONTINENT_FALLOFF_RANGE;
+            landStrength *= (1 - Math.min(1, falloff));
+        }
+        if (nx > gen.EAST_SEA_BIAS_X_START) {
+            const bias = (nx - gen.EAST_SEA_BIAS_X_START) / (1 - gen.EAST_SEA_BIAS_X_START);
+            landStrength -= bias * gen.EAST_SEA_BIAS_INTENSITY;
+        }
+        const distFromNW = Math.hypot(nx, ny);
+        if (distFromNW < gen.NW_SEA_BIAS_RADIUS) {
+            const bias = (gen.NW_SEA_BIAS_RADIUS - distFromNW) / gen.NW_SEA_BIAS_RADIUS;
+            landStrength -= bias * gen.NW_SEA_BIAS_INTENSITY;
+        }
     }
     landStrength = Math.max(0, landStrength);
-    const isWater = landStrength < config.SEA_LEVEL;
+    const isWater = landStrength < gen.SEA_LEVEL;
 
     // --- 2. 標高 ---
     let elevation = 0;
     if (!isWater) {
         const coastalDampeningFactor = d3.scaleLinear()
-            .domain([config.SEA_LEVEL, config.SEA_LEVEL + 0.2])
+            .domain([gen.SEA_LEVEL, gen.SEA_LEVEL + 0.2])
             .range([0.1, 1.0])
             .clamp(true)(landStrength);
 
-        let mountain = (mountainNoise(nx * config.MOUNTAIN_NOISE_FREQ, ny * config.MOUNTAIN_NOISE_FREQ) + 1) / 2;
-        mountain = Math.pow(mountain, config.MOUNTAIN_DISTRIBUTION_POWER);
-        mountain *= Math.pow(landStrength, config.MOUNTAIN_SHAPE_POWER);
-        mountain *= config.MOUNTAIN_HEIGHT_MAX;
+        let mountain = (mountainNoise(nx * gen.MOUNTAIN_NOISE_FREQ, ny * gen.MOUNTAIN_NOISE_FREQ) + 1) / 2;
+        mountain = Math.pow(mountain, gen.MOUNTAIN_DISTRIBUTION_POWER);
+        mountain *= Math.pow(landStrength, gen.MOUNTAIN_SHAPE_POWER);
+        mountain *= gen.MOUNTAIN_HEIGHT_MAX;
 
-        let hills = (hillNoise(nx * config.HILL_NOISE_FREQ, ny * config.HILL_NOISE_FREQ) + 1) / 2;
-        hills *= config.HILL_HEIGHT_MAX;
+        let hills = (hillNoise(nx * gen.HILL_NOISE_FREQ, ny * gen.HILL_NOISE_FREQ) + 1) / 2;
+        hills *= gen.HILL_HEIGHT_MAX;
 
-        let details = (detailNoise(nx * config.DETAIL_NOISE_FREQ, ny * config.DETAIL_NOISE_FREQ) + 1) / 2;
-        details *= config.DETAIL_HEIGHT_MAX;
+        let details = (detailNoise(nx * gen.DETAIL_NOISE_FREQ, ny * gen.DETAIL_NOISE_FREQ) + 1) / 2;
+        details *= gen.DETAIL_HEIGHT_MAX;
 
         const finalElevation = (mountain + hills + details) * coastalDampeningFactor;
         elevation = config.elevationScale(finalElevation);
+
+        // 高さ画像では画像の標高を使い、丘陵と微細ノイズの起伏を細部として加える
+        if (base && base.image.mode === 'heightmap') {
+            const height = (landStrength - gen.SEA_LEVEL) / (1 - gen.SEA_LEVEL);
+            const relief = (hills / gen.HILL_HEIGHT_MAX + details / gen.DETAIL_HEIGHT_MAX) / 2 - 0.5;
+            elevation = Math.max(1, height * base.image.maxElevation
+                + relief * 2 * base.image.noiseDetail * config.TERRAIN_IMPORT_PARAMS.DETAIL_ELEVATION);
+        }
     }
 
     // --- 3. 気温 ---
@@ -232,19 +312,19 @@ function generateBaseProperties(col: number, row: number) {
     const temperature = climateVal - elevationCorrection;
 
     // --- 4. 降水量 ---
-    const gradient = Math.pow(nx, config.PRECIPITATION_PARAMS.GRADIENT_POWER);
+    const gradient = Math.pow(nx, gen.PRECIPITATION_PARAMS.GRADIENT_POWER);
     let basePrecip = d3.scaleLinear()
         .domain([0, 1])
-        .range([config.PRECIPITATION_PARAMS.WEST_COAST_MM, config.PRECIPITATION_PARAMS.EAST_COAST_MM])(gradient);
+        .range([gen.PRECIPITATION_PARAMS.WEST_COAST_MM, gen.PRECIPITATION_PARAMS.EAST_COAST_MM])(gradient);
 
-    const largeNoise = (precipitationNoise(nx * config.PRECIPITATION_PARAMS.LARGE_NOISE_FREQ, ny * config.PRECIPITATION_PARAMS.LARGE_NOISE_FREQ) + 1) / 2;
-    const detailNoiseValue = (precipitationNoise(nx * config.PRECIPITATION_PARAMS.DETAIL_NOISE_FREQ, ny * config.PRECIPITATION_PARAMS.DETAIL_NOISE_FREQ) + 1) / 2;
+    const largeNoise = (precipitationNoise(nx * gen.PRECIPITATION_PARAMS.LARGE_NOISE_FREQ, ny * gen.PRECIPITATION_PARAMS.LARGE_NOISE_FREQ) + 1) / 2;
+    const detailNoiseValue = (precipitationNoise(nx * gen.PRECIPITATION_PARAMS.DETAIL_NOISE_FREQ, ny * gen.PRECIPITATION_PARAMS.DETAIL_NOISE_FREQ) + 1) / 2;
     const noiseEffect = d3.scaleLinear().domain([250, 800]).range([300, 600]).clamp(true)(basePrecip);
     basePrecip += (largeNoise * 0.6 + detailNoiseValue * 0.4 - 0.5) * noiseEffect;
 
     const distFromSE = Math.hypot(1.0 - nx, 1.0 - ny);
     const southeastBias = Math.max(0, 1.0 - distFromSE / 0.5);
-    basePrecip += Math.pow(southeastBias, 2) * config.PRECIPITATION_PARAMS.SOUTHEAST_BIAS_INTENSITY;
+    basePrecip += Math.pow(southeastBias, 2) * gen.PRECIPITATION_PARAMS.SOUTHEAST_BIAS_INTENSITY;
 
     if (isWater) {
         basePrecip *= 1.2;
@@ -266,6 +346,7 @@ function generateBaseProperties(col: number, row: number) {
  * 大陸棚生成 (既存ロジック)
  */
 export function generateContinentalShelves(allHexes: WorldMap) {
+    const gen = getGenerationParams();
     const distanceFromLand = new Map();
     // 陸地に隣接する海ヘックスをキューに入れる
     const queue = allHexes.filter(h =>
@@ -307,9 +388,9 @@ export function generateContinentalShelves(allHexes: WorldMap) {
             p.elevation = Math.round(shelfSlope(dist));
         } else {
             // 深海の深度を計算
-            const landStrength = (continentNoise(nx * config.CONTINENT_NOISE_FREQ, ny * config.CONTINENT_NOISE_FREQ) + 1) / 2;
+            const landStrength = (continentNoise(nx * gen.CONTINENT_NOISE_FREQ, ny * gen.CONTINENT_NOISE_FREQ) + 1) / 2;
             const abyssalSlope = d3.scaleLinear()
-                .domain([config.SEA_LEVEL * 0.8, 0])
+                .domain([gen.SEA_LEVEL * 0.8, 0])
                 .range([randomizedShelfDepth, C.ABYSSAL_DEPTH])
                 .clamp(true);
             p.elevation = Math.round(abyssalSlope(landStrength));
@@ -322,6 +403,7 @@ export function generateContinentalShelves(allHexes: WorldMap) {
  * 山岳による雨陰効果などを適用します。
  */
 export function applyGeographicPrecipitationEffects(allHexes: WorldMap) {
+    const gen = getGenerationParams();
     const precipCorrections = new Array(allHexes.length).fill(0);
 
     allHexes.forEach((h, index) => {
@@ -330,7 +412,7 @@ export function applyGeographicPrecipitationEffects(allHexes: WorldMap) {
 
         // 高山による降水量増加
         if (p.elevation > 1500) {
-            precipCorrections[index] += config.PRECIPITATION_PARAMS.MOUNTAIN_UPLIFT_BONUS * (p.elevation / 7000);
+            precipCorrections[index] += gen.PRECIPITATION_PARAMS.MOUNTAIN_UPLIFT_BONUS * (p.elevation / 7000);
         }
 
         // 雨陰効果 (Rain Shadow)
@@ -338,7 +420,7 @@ export function applyGeographicPrecipitationEffects(allHexes: WorldMap) {
         if (westNeighbor && !westNeighbor.properties.isWater) {
             const elevationDiff = westNeighbor.properties.elevation - p.elevation;
             if (elevationDiff > 800) {
-                precipCorrections[index] += config.PRECIPITATION_PARAMS.RAIN_SHADOW_PENALTY;
+                precipCorrections[index] += gen.PRECIPITATION_PARAMS.RAIN_SHADOW_PENALTY;
             }
         }
     });
@@ -354,30 +436,30 @@ export function applyGeographicPrecipitationEffects(allHexes: WorldMap) {
 /**
  * 派生プロパティ計算 (地形、平坦度、気候区分)
  */
+/**
+ * 水域フラグと標高から地形タイプを決定する
+ * @param {boolean} isWater - 水域かどうか
+ * @param {number} elevation - 標高 (m)
+ * @returns {string} 地形タイプ
+ */
+export function determineTerrainType(isWater: boolean, elevation: number): string {
+    if (isWater) {
+        if (elevation < config.SHELF_PARAMS.MAX_DEPTH) return '深海'; // カスタムタイプ (WorldMap.jsのTERRAIN_TYPESにはないが、処理用に使用)
+        if (elevation <= 0) return '海洋';
+        return '湖沼';
+    }
+    if (elevation >= config.TERRAIN_ELEVATION.MOUNTAIN_PEAK) return '山岳';
+    if (elevation >= config.TERRAIN_ELEVATION.MOUNTAIN) return '山地';
+    if (elevation >= config.TERRAIN_ELEVATION.HILLS) return '丘陵';
+    return '平地';
+}
+
 function calculateDerivedProperties(allHexes: WorldMap) {
     allHexes.forEach(h => {
         const p = h.properties;
 
         // 地形タイプ
-        if (p.isWater) {
-            if (p.elevation < config.SHELF_PARAMS.MAX_DEPTH) {
-                p.terrainType = '深海'; // カスタムタイプ (WorldMap.jsのTERRAIN_TYPESにはないが、処理用に使用)
-            } else if (p.elevation <= 0) {
-                p.terrainType = '海洋';
-            } else {
-                p.terrainType = '湖沼';
-            }
-        } else {
-            if (p.elevation >= config.TERRAIN_ELEVATION.MOUNTAIN_PEAK) {
-                p.terrainType = '山岳';
-            } else if (p.elevation >= config.TERRAIN_ELEVATION.MOUNTAIN) {
-                p.terrainType = '山地';
-            } else if (p.elevation >= config.TERRAIN_ELEVATION.HILLS) {
-                p.terrainType = '丘陵';
-            } else {
-                p.terrainType = '平地';
-            }
-        }
+        p.terrainType = determineTerrainType(p.isWater, p.elevation);
 
         // 平坦度
         let elevationRange = 0;
@@ -876,8 +958,17 @@ export function adjustLandElevation(allHexes: WorldMap) {
 /**
  * 稜線生成 (安定版ロジック + 描画用インデックス修正)
  * 川とは逆に、低いところから高いところへ昇るラインを形成します。
+ * targetIndices を指定した場合 (ヘックス編集後の局所再計算) は、指定ヘックスの稜線上流 (最も高い隣接ヘックス) だけを
+ * 求め直し、稜線流量は既存の上流インデックスをたどって数え直します (標高の比較は指定範囲のみ)。
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {Iterable<number>} [targetIndices] - 再計算するヘックスのインデックス (省略時は全体を生成)
  */
-export function generateRidgeLines(allHexes: WorldMap) {
+export function generateRidgeLines(allHexes: WorldMap, targetIndices?: Iterable<number>) {
+    if (targetIndices) {
+        updateRidgeLines(allHexes, targetIndices);
+        return;
+    }
+
     const ridgeSources = allHexes.filter(h => {
         const p = h.properties;
         if (p.isWater || p.flow > 0) return false;
@@ -918,6 +1009,89 @@ export function generateRidgeLines(allHexes: WorldMap) {
     });
 }
 
+/**
+ * 稜線の局所再計算 (generateRidgeLines の targetIndices 指定時)
+ */
+function updateRidgeLines(allHexes: WorldMap, targetIndices: Iterable<number>) {
+    const isRidgeSource = (p) => !p.isWater && !(p.flow > 0) && p.elevation >= 1000 && p.elevation < 6000;
+    const findHighestNeighbor = (h) => {
+        let highest = -1;
+        let maxElevation = h.properties.elevation;
+        h.neighbors.forEach(nIndex => {
+            const n = allHexes[nIndex];
+            if (n.properties.elevation > maxElevation) {
+                maxElevation = n.properties.elevation;
+                highest = nIndex;
+            }
+        });
+        return highest;
+    };
+
+    const targets = new Set(targetIndices);
+    targets.forEach(index => { allHexes[index].ridgeUpstreamIndex = findHighestNeighbor(allHexes[index]); });
+
+    // 稜線流量: 各起点から上流を最大50ヘックスたどり、通過数を数える (generateRidgeLines と同じ規則)
+    // これまで稜線が通っていなかったヘックスは上流が未設定 (-1) のため、初めて通るときに求める
+    const ridgeFlow = new Array(allHexes.length).fill(0);
+    const resolved = new Set<number>(targets);
+    const nextOf = (index: number) => {
+        const h = allHexes[index];
+        if (!resolved.has(index)) {
+            resolved.add(index);
+            if (h.properties.ridgeFlow === 0) h.ridgeUpstreamIndex = findHighestNeighbor(h);
+        }
+        return h.ridgeUpstreamIndex;
+    };
+    allHexes.forEach(h => {
+        if (!isRidgeSource(h.properties)) return;
+        let current = h.index;
+        for (let i = 0; i < 50 && current >= 0; i++) {
+            ridgeFlow[current]++;
+            current = nextOf(current);
+        }
+    });
+    allHexes.forEach(h => { h.properties.ridgeFlow = ridgeFlow[h.index]; });
+}
+
+/**
+ * 植生ごとの面積から土地利用の割合を求める
+ * @param {Object} vegAreas - allocateVegetation の戻り値 (ha)
+ * @param {number} waterHa - 河川の水域面積 (ha)
+ * @returns {Object} landUse ({ river, beach, desert, barren, grassland, forest })
+ */
+export function calculateLandUse(vegAreas, waterHa: number) {
+    const totalLandArea = config.HEX_AREA_HA - waterHa;
+    const safeTotal = totalLandArea > 0 ? totalLandArea : 1;
+
+    return {
+        river: waterHa / config.HEX_AREA_HA,
+        beach: (vegAreas.beach || 0) / safeTotal,
+        desert: (vegAreas.desert || 0) / safeTotal,
+        barren: ((vegAreas.wasteland || 0) + (vegAreas.alpine || 0) + (vegAreas.tundra || 0) + (vegAreas.iceSnow || 0)) / safeTotal,
+        grassland: ((vegAreas.grassland || 0) + (vegAreas.savanna || 0) + (vegAreas.steppe || 0) + (vegAreas.wetland || 0) + (vegAreas.coastal || 0)) / safeTotal,
+        forest: ((vegAreas.temperateForest || 0) + (vegAreas.subarcticForest || 0) + (vegAreas.tropicalRainforest || 0)) / safeTotal
+    };
+}
+
+/**
+ * 植生区分のキー (allocateVegetation の戻り値) と表示名の対応
+ */
+export const VEGETATION_NAMES = {
+    desert: '砂漠',
+    wasteland: '荒れ地',
+    grassland: '草原',
+    wetland: '湿地',
+    temperateForest: '温帯林',
+    subarcticForest: '亜寒帯林',
+    tropicalRainforest: '熱帯雨林',
+    alpine: 'アルパイン',
+    tundra: 'ツンドラ',
+    savanna: 'サバンナ',
+    steppe: 'ステップ',
+    coastal: '沿岸植生',
+    iceSnow: '氷雪帯'
+};
+
 /**
  * 植生分布計算 (ヘルパー)
  */
@@ -1102,6 +1276,7 @@ export function generateBeaches(allHexes: WorldMap, mapCols = config.COLS, mapRo
  * 気候・地形・水系データに基づき、ヘックスごとの最終的な植生や産業価値を算出します。
  */
 export function calculateFinalProperties(allHexes: WorldMap, mapCols = config.COLS, mapRows = config.ROWS, options: any = {}) {
+    const gen = getGenerationParams();
     // 事前に海岸からの距離をBFSで全計算 (Flyweightパターン対応のため、TypedArrayを使用)
     const distArray = new Float32Array(allHexes.length).fill(Infinity);
     const queue = []; // Store indices
@@ -1149,6 +1324,7 @@ export function calculateFinalProperties(allHexes: WorldMap, mapCols = config.CO
 
         properties.isAlluvial = properties.flow > 0 && !isWater && elevation < 4000;
         properties.landUse = { river: 0, desert: 0, barren: 0, grassland: 0, forest: 0 };
+        let seasonalOceanicity = 1.0; // 季節変化の計算用 (水域は 1)
 
         if (isWater) {
             // [FIX] 既存の植生判定(initializeWaterVegetationで設定されたもの)があればそれを優先する
@@ -1214,6 +1390,7 @@ export function calculateFinalProperties(allHexes: WorldMap, mapCols = config.CO
                 // 湖岸は少し海洋性を持つが、沿岸植生("Coastal")にはなりにくいように調整
                 oceanicity = Math.max(oceanicity, 0.4);
             }
+            seasonalOceanicity = oceanicity;
 
             const beachHa = properties.beachArea || 0;
             const settlementHa = properties.settlementArea || 0;
@@ -1249,38 +1426,22 @@ export function calculateFinalProperties(allHexes: WorldMap, mapCols = config.CO
                     }
                 }
 
-                const vegNameMap = {
-                    desert: '砂漠',
-                    wasteland: '荒れ地',
-                    grassland: '草原',
-                    wetland: '湿地',
-                    temperateForest: '温帯林',
-                    subarcticForest: '亜寒帯林',
-                    tropicalRainforest: '熱帯雨林',
-                    alpine: 'アルパイン',
-                    tundra: 'ツンドラ',
-                    savanna: 'サバンナ',
-                    steppe: 'ステップ',
-                    coastal: '沿岸植生',
-                    iceSnow: '氷雪帯'
-                };
-
-                properties.vegetation = vegNameMap[dominantVeg] || dominantVeg;
+                properties.vegetation = VEGETATION_NAMES[dominantVeg] || dominantVeg;
             }
 
-            const totalLandArea = config.HEX_AREA_HA - waterHa;
-            const safeTotal = totalLandArea > 0 ? totalLandArea : 1;
-
-            properties.landUse = {
-                river: waterHa / config.HEX_AREA_HA,
-                beach: (vegAreas.beach || 0) / safeTotal,
-                desert: (vegAreas.desert || 0) / safeTotal,
-                barren: ((vegAreas.wasteland || 0) + (vegAreas.alpine || 0) + (vegAreas.tundra || 0) + (vegAreas.iceSnow || 0)) / safeTotal,
-                grassland: ((vegAreas.grassland || 0) + (vegAreas.savanna || 0) + (vegAreas.steppe || 0) + (vegAreas.wetland || 0) + (vegAreas.coastal || 0)) / safeTotal,
-                forest: ((vegAreas.temperateForest || 0) + (vegAreas.subarcticForest || 0) + (vegAreas.tropicalRainforest || 0)) / safeTotal
-            };
+            properties.landUse = calculateLandUse(vegAreas, waterHa);
         }
 
+        // 季節変化 (気温の年較差と降水の季節性)。緯度・内陸度と季節性ノイズから決める
+        const seasonFreq = config.SEASONAL_PARAMS.SEASONALITY_NOISE_FREQ;
+        Object.assign(properties, computeSeasonalProfile({
+            latitude: row / mapRows,
+            oceanicity: seasonalOceanicity,
+            isWater,
+            amplitudeNoise: seasonalityNoise(nx * seasonFreq, ny * seasonFreq),
+            seasonalityNoise: seasonalityNoise(nx * seasonFreq + 100, ny * seasonFreq + 100)
+        }));
+
         // 産業ポテンシャル (既存ロジック)
         let agriPotential = 0;
         if (!isWater) {
@@ -1292,7 +1453,7 @@ export function calculateFinalProperties(allHexes: WorldMap, mapCols = config.CO
             agriPotential += tempFactor * 0.3;
 
             const precipFactor = d3.scaleLinear()
-                .domain([config.PRECIPITATION_PARAMS.DRYNESS_PASTORAL_THRESHOLD, config.PRECIPITATION_PARAMS.DRYNESS_FARMING_THRESHOLD])
+                .domain([gen.PRECIPITATION_PARAMS.DRYNESS_PASTORAL_THRESHOLD, gen.PRECIPITATION_PARAMS.DRYNESS_FARMING_THRESHOLD])
                 .range([0.1, 1.0])
                 .clamp(true)(properties.precipitation_mm);
             agriPotential += precipFactor * 0.2;
@@ -1437,9 +1598,11 @@ export function calculateFinalProperties(allHexes: WorldMap, mapCols = config.CO
 
 // Export recalculateGeographicFlags so it can be used in main.js
 // 外部からも利用可能な地理フラグ再計算関数
-export function recalculateGeographicFlags(allHexes: WorldMap) {
+// targetIndices を指定した場合は、そのヘックスだけを再計算する (ヘックス編集後の局所再計算)
+export function recalculateGeographicFlags(allHexes: WorldMap, targetIndices?: Iterable<number>) {
     let debugCount = 0;
-    allHexes.forEach(h => {
+    const targets = targetIndices ? Array.from(targetIndices, i => allHexes[i]) : allHexes;
+    targets.forEach(h => {
         const p = h.properties;
         if (p.isWater) {
             p.isCoastal = false;
@@ -1499,12 +1662,23 @@ export function recalculateGeographicFlags(allHexes: WorldMap) {
 /**
  * 統合マップ生成関数 (メインエントリポイント)
  * マップ生成の全工程を統括し、各フェーズを順次実行します。
+ * 地形の下絵を渡すと大陸の形 (と高さ画像なら標高) を画像から決め、以降の工程は通常どおり行います。
+ * @param {Function} addLogMessage - ログ出力関数
+ * @param {Function} [redrawFn] - 途中経過の描画用コールバック
+ * @param {BaseTerrainImage|null} [baseTerrain] - 地形の下絵 (高さ画像・陸地マスク)
  */
-export async function generateIntegratedMap(addLogMessage: (msg: string) => Promise<void>, redrawFn?: (hexes: WorldMap) => Promise<void>) {
+export async function generateIntegratedMap(addLogMessage: (msg: string) => Promise<void>, redrawFn?: (hexes: WorldMap) => Promise<void>, baseTerrain: BaseTerrainImage | null = null) {
     initializeNoiseFunctions();
+    // 工程 (Pass) ごとの進捗
+    const reportPass = (current: number) => reportProgress(addLogMessage, { pass: 'continent', label: '大陸の生成', current, total: 8 });
 
     await addLogMessage("大陸の土台と気候を生成しています...");
+    await reportPass(0);
     const allHexes = new WorldMap(config.COLS, config.ROWS);
+    const baseSamples = baseTerrain ? resampleBaseTerrain(baseTerrain) : null;
+    if (baseTerrain) {
+        await addLogMessage(`地形の下絵 (${baseTerrain.mode === 'heightmap' ? '高さ画像' : '陸地マスク'} ${baseTerrain.width}×${baseTerrain.height}px) から大陸の形を作ります。`);
+    }
 
     // Pass 1: Base Properties
     // 基本プロパティ（大陸形状、標高、気温、基本降水量）の生成
@@ -1514,7 +1688,7 @@ export async function generateIntegratedMap(addLogMessage: (msg: string) => Prom
             const hex = allHexes[index];
             hex.col = col;
             hex.row = row;
-            const props = generateBaseProperties(col, row);
+            const props = generateBaseProperties(col, row, baseSamples ? { image: baseTerrain!, value: baseSamples[index] } : undefined);
             Object.assign(hex.properties, props);
         }
     }
@@ -1524,27 +1698,32 @@ export async function generateIntegratedMap(addLogMessage: (msg: string) => Prom
     allHexes.forEach(h => {
         h.neighbors = getNeighborIndices(h.col, h.row, config.COLS, config.ROWS);
     });
+    await reportPass(1);
 
     // Pass 1.2: Continental Shelves
     // 大陸棚と深海の形成
     await addLogMessage("大陸棚と深海を形成しています...");
     generateContinentalShelves(allHexes);
+    await reportPass(2);
     if (redrawFn) await redrawFn(allHexes);
 
     // Pass 1.5: Geographic Precip
     // 風と地形による降水量の計算
     await addLogMessage("風と地形による降水量を計算しています...");
     applyGeographicPrecipitationEffects(allHexes);
+    await reportPass(3);
 
     // Pass 2: Derived Properties (Terrain, Flatness, ClimateZone)
     // 派生プロパティ（地形、平坦度、気候帯）の計算
     await addLogMessage("気候区分と地形タイプを判定しています...");
     calculateDerivedProperties(allHexes);
+    await reportPass(4);
 
     // Pass 3: Water Systems (New Logic)
     // 水系と河川の生成（新しい保水モデル）
     await addLogMessage("水系と河川を配置しています (新保水モデル)...");
     generateWaterSystems(allHexes);
+    await reportPass(5);
     if (redrawFn) await redrawFn(allHexes);
 
     // Pass 4: Adjust Land Elevation
@@ -1555,11 +1734,13 @@ export async function generateIntegratedMap(addLogMessage: (msg: string) => Prom
     // 山系の稜線の計算
     await addLogMessage("山系の稜線を計算しています...");
     generateRidgeLines(allHexes);
+    await reportPass(6);
 
     // Pass 5.5: Beaches (Moved before allocation)
     // 海岸線の砂浜の形成
     await addLogMessage("海岸線の砂浜を形成しています...");
     generateBeaches(allHexes);
+    await reportPass(7);
 
     // Debug: Check beach generation
     let beachCount = 0;
@@ -1577,6 +1758,7 @@ export async function generateIntegratedMap(addLogMessage: (msg: string) => Prom
     // 最終プロパティ（植生、資源など）の決定
     await addLogMessage("植生と資源分布を決定しています...");
     calculateFinalProperties(allHexes);
+    await reportPass(8);
 
     if (redrawFn) await redrawFn(allHexes);
 
@@ -1595,15 +1777,17 @@ export const generatePhysicalMap = generateIntegratedMap;
 /**
  * 既存の流量データから河川の形状プロパティ（幅、深さ、面積）を再計算する関数
  * ロード時にこれらのデータが保存されていない場合に補完するために使用
+ * targetIndices を指定した場合は、そのヘックスだけを再計算する (ヘックス編集後の局所再計算)
  */
-export function recalculateRiverProperties(allHexes: WorldMap) {
-    console.log("Recalculating river properties from flow data (Full Restoration)...");
+export function recalculateRiverProperties(allHexes: WorldMap, targetIndices?: Iterable<number>) {
+    if (!targetIndices) console.log("Recalculating river properties from flow data (Full Restoration)...");
 
     // 物理ベースの係数 (continentGenerator.js内の生成ロジックと一致させる)
     const a = 2.0, b = 0.5;
     const c = 0.2, f = 0.4;
 
-    allHexes.forEach(h => {
+    const targets = targetIndices ? Array.from(targetIndices, i => allHexes[i]) : allHexes;
+    targets.forEach(h => {
         const p = h.properties;
         if (p.flow > 0 && !p.isWater) {
             // 1. 周辺情報の再取得 (Flatness, Oceanicity, RiverMouth)
@@ -2,6 +2,7 @@
 import * as config from './config.ts';
 import { getIndex, globalRandom } from './utils.ts';
 import { WorldMap, Hex } from './WorldMap.ts';
+import { getGenerationParams } from './worldRecipe.ts';
 
 // ================================================================
 // Single Hex Economy Calculation Helpers
@@ -150,13 +151,14 @@ export function calculateHexShipOwnership(h: any, allHexes: WorldMap | any[]) {
 export function calculateHexIndustry(h: any, allHexes: WorldMap | any[]) {
     const p = h.properties;
     p.industry = { primary: {}, secondary: {}, tertiary: {}, quaternary: {}, quinary: {} };
-    p.production = {}; p.surplus = {}; p.shortage = {}; p.cultivatedArea = 0; p.imports = { '食料': 0 };
+    // surplus / shortage / imports は物流計算 (logisticsSimulator.ts) が全ヘックスをまとめて設定する
+    p.production = {}; p.cultivatedArea = 0;
 
     if (p.population <= 0 || p.isWater) return;
 
     const settlementType = p.settlement || '散居';
     const alloc = config.INDUSTRY_ALLOCATION[settlementType];
-    const settlementInfo = config.SETTLEMENT_PARAMS[settlementType];
+    const settlementInfo = getGenerationParams().SETTLEMENT_PARAMS[settlementType];
     const totalLabor = p.population * settlementInfo.labor_rate;
 
     // --- Primary ---
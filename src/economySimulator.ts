@@ -3,65 +3,90 @@
 // ================================================================
 
 import * as config from './config.ts';
-import { getIndex, globalRandom } from './utils.ts';
-import { findAStarPath } from './roadGenerator.js';
+import { getIndex, globalRandom, reportProgress } from './utils.ts';
 import { WorldMap, Hex } from './WorldMap.ts';
 import { calculateHexShipOwnership, calculateHexIndustry, calculateHexDemographics, calculateHexFacilities } from './economyHelpers.ts';
+import { simulateLogistics, buildTransportNetwork, findRoutes, traceRoute } from './logisticsSimulator.ts';
+import { getGenerationParams } from './worldRecipe.ts';
 
 /**
  * 経済シミュレーションのメイン関数 (main.js から呼び出される)
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {Function} addLogMessage - ログ出力関数
+ * @param {Array<object>|null} [roadPaths=null] - 道路・航路のリスト (物資の輸送に使用。null の場合は自給のみ)
  */
-export async function simulateEconomy(allHexes, addLogMessage) {
+export async function simulateEconomy(allHexes, addLogMessage, roadPaths = null) {
     await addLogMessage("産業構造と経済連関をシミュレーション中...");
+    const reportPass = (current: number) => reportProgress(addLogMessage, { pass: 'economy', label: '経済シミュレーション', current, total: 4 });
+    await reportPass(0);
 
     // 第0パス & 第1パス: 船舶・産業
     allHexes.forEach(h => {
         calculateHexShipOwnership(h, allHexes);
         calculateHexIndustry(h, allHexes);
     });
+    await reportPass(1);
 
     // 第2パス: 統計、施設、交通、生活水準
     generateCityCharacteristics(allHexes);
     calculateDemographics(allHexes);
     calculateFacilities(allHexes);
     calculateTerritoryAggregates(allHexes);
+    await reportPass(2);
+    // 余剰物資の輸送 (imports / surplus / shortage / trade を設定)
+    await simulateLogistics(allHexes, roadPaths, addLogMessage);
+    await reportPass(3);
     // calculateRoadTraffic is called separately in main.js with roadPaths
     calculateLivingConditions(allHexes);
+    await reportPass(4);
     return allHexes;
 }
 
 
 export function generateCityCharacteristics(allHexes) {
     allHexes.forEach(h => {
-        const p = h.properties;
-        p.characteristics = [];
-
-        // 特産品
-        if (p.industry.primary['特産チーズ']) p.characteristics.push('特産品: チーズ');
-        if (p.industry.primary['高級肉']) p.characteristics.push('特産品: 高級肉');
-        if (p.industry.primary['魚介類'] > 500) p.characteristics.push('特産品: 海産物');
-        if (p.industry.secondary['織物'] > 200) p.characteristics.push('特産品: 織物');
-        if (p.industry.secondary['酒(果実)'] > 100) p.characteristics.push('特産品: 果実酒');
-
-        // 基幹サービス
-        if (p.industry.tertiary['医療・教会'] > 100) p.characteristics.push('基幹: 医療・教会');
-        if (p.industry.tertiary['宿屋・酒場'] > 200) p.characteristics.push('基幹: 観光・宿泊');
-
-        // 文化・祭礼
-        if (p.industry.quinary['芸術・文化'] > 50) p.characteristics.push('文化: 芸術の都');
-        if (p.industry.quinary['世界儀式'] > 0) p.characteristics.push('文化: 聖地');
-
-        // 戦略的役割
-        if (p.industry.quaternary['戦略・軍事'] > 100) p.characteristics.push('戦略: 軍事拠点');
-        if (p.industry.quaternary['魔法研究'] > 100) p.characteristics.push('戦略: 魔導研究');
-
-        // 象徴・ブランド
-        if (p.settlement === '首都') p.characteristics.push('象徴: 王都');
-        if (p.population > 10000) p.characteristics.push('象徴: 大都市');
+        h.properties.characteristics = getCityCharacteristics(h.properties);
     });
     return allHexes;
 }
 
+/**
+ * 産業・集落区分・人口からヘックスの特徴 (特産品・基幹サービス・文化・戦略的役割・象徴) を求める
+ * 検索パネル (worldSearch.ts) からも使う。
+ * @param {Object} p - ヘックスのプロパティ
+ * @returns {string[]} 特徴 (例: '特産品: 果実酒')
+ */
+export function getCityCharacteristics(p): string[] {
+    const characteristics: string[] = [];
+    if (!p.industry) return characteristics;
+    // 読み込んだデータでは生産のない部門が null になっている
+    const amount = (sector: string, item: string) => (p.industry[sector] && p.industry[sector][item]) || 0;
+
+    // 特産品
+    if (amount('primary', '特産チーズ') > 0) characteristics.push('特産品: チーズ');
+    if (amount('primary', '高級肉') > 0) characteristics.push('特産品: 高級肉');
+    if (amount('primary', '魚介類') > 500) characteristics.push('特産品: 海産物');
+    if (amount('secondary', '織物') > 200) characteristics.push('特産品: 織物');
+    if (amount('secondary', '酒(果実)') > 100) characteristics.push('特産品: 果実酒');
+
+    // 基幹サービス
+    if (amount('tertiary', '医療・教会') > 100) characteristics.push('基幹: 医療・教会');
+    if (amount('tertiary', '宿屋・酒場') > 200) characteristics.push('基幹: 観光・宿泊');
+
+    // 文化・祭礼
+    if (amount('quinary', '芸術・文化') > 50) characteristics.push('文化: 芸術の都');
+    if (amount('quinary', '世界儀式') > 0) characteristics.push('文化: 聖地');
+
+    // 戦略的役割
+    if (amount('quaternary', '戦略・軍事') > 100) characteristics.push('戦略: 軍事拠点');
+    if (amount('quaternary', '魔法研究') > 100) characteristics.push('戦略: 魔導研究');
+
+    // 象徴・ブランド
+    if (p.settlement === '首都') characteristics.push('象徴: 王都');
+    if (p.population > 10000) characteristics.push('象徴: 大都市');
+    return characteristics;
+}
+
 export function calculateDemographics(allHexes) {
     allHexes.forEach(h => {
         calculateHexDemographics(h, allHexes);
@@ -167,86 +192,17 @@ export async function calculateRoadTraffic(allHexes, roadPaths, addLogMessage) {
         }
     };
 
-    // 1. Hierarchy Traffic (Tax/Tribute from child to parent)
+    // 物流計算 (logisticsSimulator.ts) の仕入れ記録に沿って、実際の輸送量 (t/年) を経路上に積算する
+    const network = buildTransportNetwork(allHexes, roadPaths || []);
     for (const h of allHexes) {
-        const p = h.properties;
-        if (p.parentHexId !== undefined && p.parentHexId !== null) {
-            const parent = allHexes[p.parentHexId];
-            if (parent) {
-                const path = findAStarPath({
-                    start: { x: h.col, y: h.row },
-                    goal: { x: parent.col, y: parent.row },
-                    getNeighbors: (node) => {
-                        const idx = getIndex(node.x, node.y);
-                        const hex = allHexes[idx];
-                        if (!hex) return [];
-                        return hex.neighbors
-                            .filter(nIdx => nIdx !== -1) // Filter invalid indices
-                            .map(nIdx => {
-                                const nHex = allHexes[nIdx];
-                                if (!nHex) return null;
-                                return { x: nHex.col, y: nHex.row };
-                            })
-                            .filter(n => n !== null);
-                    },
-                    heuristic: (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y),
-                    cost: (a, b) => {
-                        const idx = getIndex(b.x, b.y);
-                        const hex = allHexes[idx];
-                        // Road level reduces cost
-                        const roadLevel = hex.properties.roadLevel || 0;
-                        return 10 - roadLevel;
-                    }
-                });
-
-                if (path && path.path) {
-                    const volume = (p.population || 0) * 0.01;
-                    path.path.forEach(node => {
-                        const idx = getIndex(node.x, node.y);
-                        addUsage(idx, volume);
-                    });
-                }
-            }
-        }
-    }
+        const trade = h.properties.trade;
+        if (!trade || !trade.sources || trade.sources.length === 0) continue;
 
-    // 2. Trade Traffic (Between major cities)
-    const cities = allHexes.filter(h => ['首都', '都市', '領都'].includes(h.properties.settlement));
-    for (let i = 0; i < cities.length; i++) {
-        for (let j = i + 1; j < cities.length; j++) {
-            const c1 = cities[i];
-            const c2 = cities[j];
-            const dist = Math.abs(c1.col - c2.col) + Math.abs(c1.row - c2.row);
-            if (dist < 30) {
-                const path = findAStarPath({
-                    start: { x: c1.col, y: c1.row },
-                    goal: { x: c2.col, y: c2.row },
-                    getNeighbors: (node) => {
-                        const idx = getIndex(node.x, node.y);
-                        const hex = allHexes[idx];
-                        if (!hex) return [];
-                        return hex.neighbors.map(nIdx => {
-                            const nHex = allHexes[nIdx];
-                            return { x: nHex.col, y: nHex.row };
-                        });
-                    },
-                    heuristic: (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y),
-                    cost: (a, b) => {
-                        const idx = getIndex(b.x, b.y);
-                        const hex = allHexes[idx];
-                        const roadLevel = hex.properties.roadLevel || 0;
-                        return 10 - roadLevel;
-                    }
-                });
-                if (path && path.path) {
-                    const volume = 100;
-                    path.path.forEach(node => {
-                        const idx = getIndex(node.x, node.y);
-                        addUsage(idx, volume);
-                    });
-                }
-            }
-        }
+        const maxDays = Math.max(...trade.sources.map(s => s.days)) + 1;
+        const routes = findRoutes(network, h.index, maxDays);
+        trade.sources.forEach(source => {
+            traceRoute(routes, source.from).forEach(idx => addUsage(idx, source.tons));
+        });
     }
     return allHexes;
 }
@@ -259,7 +215,7 @@ export function calculateLivingConditions(allHexes) {
         const p = h.properties;
         if (p.population <= 0) return;
 
-        const settlementInfo = config.SETTLEMENT_PARAMS[p.settlement || '散居'];
+        const settlementInfo = getGenerationParams().SETTLEMENT_PARAMS[p.settlement || '散居'];
         // 年間需要 (t) = 人口 * 1人当たり年間消費量 (デフォルト0.2t)
         // 例: 人口14,640人 * 0.2 = 2,928t/年 (月間244t)
         const consumptionPerPerson = settlementInfo ? settlementInfo.consumption_t_per_person : 0.2;
@@ -300,13 +256,16 @@ export function calculateLivingConditions(allHexes) {
         // 価格計算 (上限3.0)
         let price = 1.0;
 
-        // 自給率による輸入コスト加算 (v3.6)
-        const gap = 1.0 - p.selfSufficiencyRate;
-        if (gap > 0) {
-            price += gap * (0.6 + gap * 0.5);
-        }
+        if (p.trade && p.trade.prices && p.trade.prices['食料'] !== undefined) {
+            // 物流計算で求めた地域価格 (輸送費・不足・売れ残りを反映済み)
+            price = p.trade.prices['食料'];
+        } else if (totalDemand > 0) {
+            // 自給率による輸入コスト加算 (v3.6)
+            const gap = 1.0 - p.selfSufficiencyRate;
+            if (gap > 0) {
+                price += gap * (0.6 + gap * 0.5);
+            }
 
-        if (totalDemand > 0) {
             const shortageRate = netShortage / totalDemand;
             price += (shortageRate * 2.0); // 不足ペナルティを加算
 
@@ -468,7 +427,8 @@ export function calculateLivingConditions(allHexes) {
             perCapitaIncome: perCapitaIncome,
             livingCost: livingCost,
             monthlyDemand: totalDemand / 12,
-            monthlySupply: localSupply / 12
+            monthlySupply: localSupply / 12,
+            monthlyImports: imports / 12
         };
     });
     return allHexes;
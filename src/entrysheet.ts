@@ -0,0 +1,415 @@
+// ================================================================
+// GeoForge System - エントリーシートの画面 (entrysheet.html)
+// ================================================================
+// ルールブックのデータ (05_data.html) からポジション (5.1) とスキル (5.2) を読み込んで選択肢にし、
+// 地図の画面で選んだ故郷 (hometownPanel.ts が localStorage に書き込む) をシートの背景に取り込む。
+// シートはブラウザ (localStorage) に保存し、JSON での書き出し・読み込みと印刷に対応する。
+
+import * as config from './config.ts';
+import {
+    CharacterSheet,
+    createCharacterSheet, normalizeCharacterSheet, normalizeHometown, describeHometown, getPriceLevel
+} from './characterSheet.ts';
+
+/** ポジション (ルールブック 5.1 のデータ表の行) */
+interface PositionEntry {
+    name: string;
+    ra: string;   // RA属性
+    role: string; // 役割・得意分野
+}
+
+/** スキル (ルールブック 5.2 のデータ表の行) */
+interface SkillEntry {
+    name: string;
+    level: string;
+    timing: string;
+    effect: string;
+}
+
+interface SkillGroup {
+    title: string;
+    skills: SkillEntry[];
+}
+
+const params = config.ENTRYSHEET_PARAMS;
+
+let sheets: CharacterSheet[] = [];
+let current: CharacterSheet = createCharacterSheet();
+let positions: PositionEntry[] = [];
+let skillGroups: SkillGroup[] = [];
+
+const getElement = <T extends HTMLElement>(id: string) => document.getElementById(id) as T;
+
+const sheetList = getElement<HTMLSelectElement>('sheet-list');
+const statusElement = getElement<HTMLElement>('sheet-status');
+const nameInput = getElement<HTMLInputElement>('sheet-name-input');
+const playerInput = getElement<HTMLInputElement>('sheet-player-input');
+const ageInput = getElement<HTMLInputElement>('sheet-age-input');
+const positionSelect = getElement<HTMLSelectElement>('sheet-position-select');
+const positionDetail = getElement<HTMLElement>('sheet-position-detail');
+const skillsElement = getElement<HTMLElement>('sheet-skills');
+const hometownElement = getElement<HTMLElement>('sheet-hometown');
+const backgroundInput = getElement<HTMLTextAreaElement>('sheet-background-input');
+const notesInput = getElement<HTMLTextAreaElement>('sheet-notes-input');
+
+// ================================================================
+// ■ 初期化
+// ================================================================
+
+setupTheme();
+sheets = loadSheets();
+current = sheets[0] ? { ...sheets[0] } : createCharacterSheet();
+setupEvents();
+renderSheetList();
+renderSheet();
+loadRulebookData();
+
+/**
+ * ルールブックのテーマ設定 (rulebook.ts と同じ localStorage のキー) に合わせる
+ */
+function setupTheme() {
+    const themeToggle = document.getElementById('theme-toggle');
+    const themeIcon = themeToggle ? themeToggle.querySelector('.material-icons-round') : null;
+    const applyTheme = (isDark: boolean) => {
+        document.body.classList.toggle('dark-mode', isDark);
+        if (themeIcon) themeIcon.textContent = isDark ? 'light_mode' : 'dark_mode';
+    };
+    const currentTheme = localStorage.getItem('theme');
+    applyTheme(currentTheme === 'dark' || (!currentTheme && window.matchMedia('(prefers-color-scheme: dark)').matches));
+    if (themeToggle) {
+        themeToggle.addEventListener('click', () => {
+            applyTheme(!document.body.classList.contains('dark-mode'));
+            localStorage.setItem('theme', document.body.classList.contains('dark-mode') ? 'dark' : 'light');
+        });
+    }
+}
+
+function setupEvents() {
+    sheetList.addEventListener('change', () => {
+        const sheet = sheets.find(s => s.id === sheetList.value);
+        if (sheet) {
+            current = { ...sheet };
+            renderSheet();
+            setStatus('');
+        }
+    });
+    getElement('sheet-new-btn').addEventListener('click', () => {
+        current = createCharacterSheet();
+        renderSheetList();
+        renderSheet();
+        setStatus('新しいシートを作りました。保存するとこのブラウザに記録されます。');
+    });
+    getElement('sheet-save-btn').addEventListener('click', saveCurrentSheet);
+    getElement('sheet-delete-btn').addEventListener('click', deleteCurrentSheet);
+    getElement('sheet-export-btn').addEventListener('click', exportCurrentSheet);
+    getElement<HTMLInputElement>('sheet-import-input').addEventListener('change', importSheet);
+    getElement('sheet-print-btn').addEventListener('click', () => window.print());
+
+    [nameInput, playerInput, ageInput, backgroundInput, notesInput].forEach(el => el.addEventListener('input', readForm));
+    positionSelect.addEventListener('change', () => {
+        readForm();
+        renderPositionDetail();
+    });
+
+    getElement('sheet-hometown-pick-btn').addEventListener('click', () => {
+        window.open(`index.html?${params.PICK_URL_PARAM}=${params.PICK_URL_VALUE}`, '_blank');
+        setStatus('地図の画面で故郷にする集落をクリックしてください。選んだ集落がこのシートに入ります。');
+    });
+    getElement('sheet-hometown-clear-btn').addEventListener('click', () => {
+        current.hometown = null;
+        renderHometown();
+    });
+    getElement('sheet-background-fill-btn').addEventListener('click', () => {
+        if (!current.hometown) return setStatus('先に故郷を選んでください。');
+        const text = describeHometown(current.hometown).join('\n');
+        backgroundInput.value = backgroundInput.value.trim() ? `${backgroundInput.value.trimEnd()}\n${text}` : text;
+        readForm();
+    });
+
+    // 地図の画面 (別のタブ) で故郷が選ばれたら、開いているシートに取り込む
+    window.addEventListener('storage', (e: StorageEvent) => {
+        if (e.key !== params.HOMETOWN_STORAGE_KEY || !e.newValue) return;
+        try {
+            const hometown = normalizeHometown(JSON.parse(e.newValue));
+            if (!hometown) return;
+            current.hometown = hometown;
+            renderHometown();
+            setStatus(`故郷「${hometown.name}」を受け取りました。保存するとシートに記録されます。`);
+        } catch (err) {
+            console.warn('hometown load failed:', err);
+        }
+    });
+
+    // 印刷では入力欄の高さを中身に合わせる
+    window.addEventListener('beforeprint', () => {
+        [backgroundInput, notesInput].forEach(el => { el.style.height = `${el.scrollHeight}px`; });
+    });
+    window.addEventListener('afterprint', () => {
+        [backgroundInput, notesInput].forEach(el => { el.style.height = ''; });
+    });
+}
+
+// ================================================================
+// ■ ルールブックのデータ
+// ================================================================
+
+/**
+ * ルールブックのデータのセクションからポジションとスキルの表を読み込む
+ */
+async function loadRulebookData() {
+    try {
+        const res = await fetch(params.DATA_SECTION_URL);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const doc = new DOMParser().parseFromString(await res.text(), 'text/html');
+        positions = parsePositions(doc);
+        skillGroups = parseSkillGroups(doc);
+    } catch (err) {
+        console.error(err);
+        setStatus('ルールブックのデータを読み込めませんでした。ポジションとスキルは保存済みの内容のみ表示します。');
+    }
+    renderPositionOptions();
+    renderSkills();
+}
+
+function getCellTexts(row: Element): string[] {
+    return Array.from(row.querySelectorAll('td')).map(td => (td.textContent || '').trim());
+}
+
+function parsePositions(doc: Document): PositionEntry[] {
+    return Array.from(doc.querySelectorAll('#data-class tbody tr'))
+        .map(getCellTexts)
+        .filter(cells => cells.length >= 3 && cells[0])
+        .map(([name, ra, role]) => ({ name, ra, role }));
+}
+
+function parseSkillGroups(doc: Document): SkillGroup[] {
+    return Array.from(doc.querySelectorAll('#data-skill details')).map(details => ({
+        title: (details.querySelector('summary')?.textContent || '').trim(),
+        skills: Array.from(details.querySelectorAll('tbody tr'))
+            .map(getCellTexts)
+            .filter(cells => cells.length >= 4 && cells[0])
+            .map(([name, level, timing, effect]) => ({ name, level, timing, effect }))
+    })).filter(group => group.skills.length > 0);
+}
+
+// ================================================================
+// ■ シートの保存・読み込み
+// ================================================================
+
+function loadSheets(): CharacterSheet[] {
+    try {
+        const saved = JSON.parse(localStorage.getItem(params.SHEETS_STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.map(normalizeCharacterSheet).filter((s): s is CharacterSheet => !!s) : [];
+    } catch (err) {
+        console.warn('entry sheets load failed:', err);
+        return [];
+    }
+}
+
+function storeSheets(): boolean {
+    try {
+        localStorage.setItem(params.SHEETS_STORAGE_KEY, JSON.stringify(sheets));
+        return true;
+    } catch (err) {
+        setStatus('保存できませんでした (ブラウザの保存領域を確認してください)。');
+        return false;
+    }
+}
+
+function saveCurrentSheet() {
+    readForm();
+    current.updatedAt = new Date().toISOString();
+    const index = sheets.findIndex(s => s.id === current.id);
+    if (index >= 0) sheets[index] = { ...current };
+    else sheets.unshift({ ...current });
+    if (!storeSheets()) return;
+    renderSheetList();
+    setStatus(`「${getSheetLabel(current)}」を保存しました。`);
+}
+
+function deleteCurrentSheet() {
+    const index = sheets.findIndex(s => s.id === current.id);
+    if (index < 0) return setStatus('このシートはまだ保存されていません。');
+    if (!window.confirm(`「${getSheetLabel(current)}」を削除しますか？`)) return;
+    sheets.splice(index, 1);
+    if (!storeSheets()) return;
+    current = sheets[0] ? { ...sheets[0] } : createCharacterSheet();
+    renderSheetList();
+    renderSheet();
+    setStatus('シートを削除しました。');
+}
+
+function exportCurrentSheet() {
+    readForm();
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([JSON.stringify(current, null, 2)], { type: 'application/json' }));
+    a.download = `${current.name.trim() || 'character'}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+async function importSheet(e: Event) {
+    const input = e.target as HTMLInputElement;
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+    try {
+        const sheet = normalizeCharacterSheet(JSON.parse(await file.text()));
+        if (!sheet) throw new Error('エントリーシートの形式ではありません');
+        current = sheet;
+        renderSheetList();
+        renderSheet();
+        setStatus(`「${file.name}」を読み込みました。保存するとこのブラウザに記録されます。`);
+    } catch (err: any) {
+        setStatus(`読み込めませんでした: ${err.message}`);
+    }
+}
+
+// ================================================================
+// ■ 表示
+// ================================================================
+
+function setStatus(message: string) {
+    statusElement.textContent = message;
+}
+
+function getSheetLabel(sheet: CharacterSheet): string {
+    return sheet.name.trim() || '名前のないキャラクター';
+}
+
+/**
+ * 入力欄の内容を現在のシートに反映する
+ */
+function readForm() {
+    current.name = nameInput.value;
+    current.player = playerInput.value;
+    current.age = ageInput.value;
+    current.position = positionSelect.value;
+    current.background = backgroundInput.value;
+    current.notes = notesInput.value;
+}
+
+function renderSheetList() {
+    const options = sheets.map(s => new Option(`${getSheetLabel(s)} (${new Date(s.updatedAt).toLocaleDateString('ja-JP')})`, s.id));
+    if (!sheets.some(s => s.id === current.id)) options.unshift(new Option('(保存していないシート)', current.id));
+    sheetList.replaceChildren(...options);
+    sheetList.value = current.id;
+}
+
+function renderSheet() {
+    nameInput.value = current.name;
+    playerInput.value = current.player;
+    ageInput.value = current.age;
+    backgroundInput.value = current.background;
+    notesInput.value = current.notes;
+    renderPositionOptions();
+    renderSkills();
+    renderHometown();
+}
+
+function renderPositionOptions() {
+    const names = positions.map(p => p.name);
+    // ルールブックにない (読み込めなかった・名前が変わった) ポジションも、保存した値は残す
+    if (current.position && !names.includes(current.position)) names.push(current.position);
+    positionSelect.replaceChildren(new Option('（未選択）', ''), ...names.map(name => new Option(name, name)));
+    positionSelect.value = current.position;
+    renderPositionDetail();
+}
+
+function renderPositionDetail() {
+    const position = positions.find(p => p.name === positionSelect.value);
+    positionDetail.textContent = position ? `${position.ra} ${position.role}` : '';
+}
+
+function renderSkills() {
+    const known = new Set(skillGroups.flatMap(g => g.skills.map(s => s.name)));
+    const others = current.skills.filter(name => !known.has(name));
+    const groups = others.length > 0
+        ? [...skillGroups, { title: 'ルールブックにないスキル', skills: others.map(name => ({ name, level: '', timing: '', effect: '' })) }]
+        : skillGroups;
+
+    skillsElement.replaceChildren(...groups.map(group => {
+        const element = document.createElement('div');
+        element.className = 'skill-group';
+        const title = document.createElement('h4');
+        title.textContent = group.title;
+        element.append(title, ...group.skills.map(renderSkillOption));
+        element.classList.toggle('has-checked', group.skills.some(s => current.skills.includes(s.name)));
+        return element;
+    }));
+}
+
+function renderSkillOption(skill: SkillEntry): HTMLElement {
+    const label = document.createElement('label');
+    label.className = 'skill-option';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = current.skills.includes(skill.name);
+    label.classList.toggle('checked', checkbox.checked);
+    checkbox.addEventListener('change', () => {
+        current.skills = checkbox.checked
+            ? [...current.skills.filter(s => s !== skill.name), skill.name]
+            : current.skills.filter(s => s !== skill.name);
+        label.classList.toggle('checked', checkbox.checked);
+        label.parentElement?.classList.toggle('has-checked', !!label.parentElement.querySelector('input:checked'));
+    });
+
+    const name = document.createElement('strong');
+    name.textContent = skill.name;
+    const meta = document.createElement('span');
+    meta.className = 'skill-meta';
+    meta.textContent = [skill.level && `Lv${skill.level}`, skill.timing].filter(Boolean).join('・');
+    const effect = document.createElement('span');
+    effect.className = 'skill-effect';
+    effect.textContent = skill.effect;
+    label.append(checkbox, name, meta, effect);
+    return label;
+}
+
+function renderHometown() {
+    const hometown = current.hometown;
+    if (!hometown) {
+        hometownElement.innerHTML = '<p class="sheet-detail">故郷はまだ選ばれていません。「地図で故郷を選ぶ」から地図の集落をクリックしてください。</p>';
+        return;
+    }
+
+    const summary = document.createElement('p');
+    summary.className = 'hometown-summary';
+    summary.textContent = describeHometown(hometown).join('');
+
+    const list = document.createElement('dl');
+    const addRow = (term: string, value: string | HTMLElement) => {
+        const dt = document.createElement('dt');
+        dt.textContent = term;
+        const dd = document.createElement('dd');
+        dd.append(value);
+        list.append(dt, dd);
+    };
+    addRow('集落', `${hometown.name} (${hometown.settlement}・人口 ${hometown.population.toLocaleString()}人)`);
+    addRow('所属国', hometown.nation);
+    addRow('場所', `${hometown.worldName} ${hometown.location}`.trim());
+    addRow('気候', `${hometown.climateZone}・${hometown.vegetation} (年平均 ${hometown.temperature.toFixed(1)}℃・${hometown.precipitation_mm.toFixed(0)} mm)`);
+    if (hometown.characteristics.length > 0) addRow('特徴', hometown.characteristics.join('、'));
+    if (hometown.occupations.length > 0) {
+        addRow('おもな職業', hometown.occupations.map(o => `${o.job} ${(o.share * 100).toFixed(0)}%`).join('、'));
+    }
+    addRow('暮らし', `世帯月収 ${hometown.householdIncome.toFixed(0)} G・1人あたり ${hometown.perCapitaIncome.toFixed(0)} G・生活費の目安 ${hometown.livingCost} G`);
+    addRow('物価 (基準1.0)', renderPrices(hometown.prices, params.PRICE_LABELS));
+    if (Object.keys(hometown.tradePrices).length > 0) addRow('地域価格', renderPrices(hometown.tradePrices, {}));
+    addRow('物価水準', getPriceLevel(hometown).toFixed(2));
+
+    hometownElement.replaceChildren(summary, list);
+}
+
+function renderPrices(prices: Record<string, number>, labels: Record<string, string>): HTMLElement {
+    const element = document.createElement('span');
+    Object.entries(prices).forEach(([key, value], i) => {
+        if (i > 0) element.append('、');
+        const item = document.createElement('span');
+        item.textContent = `${labels[key] || key} ${Number(value).toFixed(2)}`;
+        if (value > 1.5) item.className = 'price-high';
+        else if (value < 0.9) item.className = 'price-low';
+        element.append(item);
+    });
+    return element;
+}
@@ -0,0 +1,143 @@
+// ================================================================
+// GeoForge System - 地図の書き出しパネル
+// ================================================================
+// サイドバーの「地図の書き出し」パネル。表示範囲または地図で選んだ範囲を、
+// mapExporter.ts で GeoJSON・SVG・PNG にしてダウンロードする。
+
+import * as config from './config.ts';
+import { formatLocation } from './utils.ts';
+import { MapBounds, MapExportFormat, MapExportOptions, MapExportResult, GeoJsonCoordinates } from './mapExporter.ts';
+
+interface ExportPanelOptions {
+    // 画面に表示している範囲 (ワールド座標) を返す
+    getViewBounds: () => MapBounds | null;
+    // 地点の選択を開始する (handler = 次にクリックされたヘックスを受け取る関数、null で取り消し)
+    onPickRequest: (handler: ((d: any) => void) | null) => void;
+    // 地図を書き出す
+    onExportRequest: (format: MapExportFormat, options: MapExportOptions) => Promise<MapExportResult>;
+}
+
+let options: ExportPanelOptions;
+
+let scopeSelect: HTMLSelectElement;
+let regionLabel: HTMLElement;
+let regionButton: HTMLButtonElement;
+let coordinatesSelect: HTMLSelectElement;
+let scaleSelect: HTMLSelectElement;
+let exportButtons: Record<MapExportFormat, HTMLButtonElement>;
+let statusElement: HTMLElement;
+
+// 地図で選んだ範囲 (2つの角のヘックスを含む矩形)
+let region: MapBounds | null = null;
+let panelEnabled = false;
+let exporting = false;
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {ExportPanelOptions} panelOptions
+ */
+export function setupExportPanel(panelOptions: ExportPanelOptions) {
+    options = panelOptions;
+
+    scopeSelect = document.getElementById('export-scope-select') as HTMLSelectElement;
+    regionLabel = document.getElementById('export-region-label') as HTMLElement;
+    regionButton = document.getElementById('export-region-btn') as HTMLButtonElement;
+    coordinatesSelect = document.getElementById('export-coordinates-select') as HTMLSelectElement;
+    scaleSelect = document.getElementById('export-scale-select') as HTMLSelectElement;
+    exportButtons = {
+        geojson: document.getElementById('export-geojson-btn') as HTMLButtonElement,
+        svg: document.getElementById('export-svg-btn') as HTMLButtonElement,
+        png: document.getElementById('export-png-btn') as HTMLButtonElement
+    };
+    statusElement = document.getElementById('export-status') as HTMLElement;
+
+    scaleSelect.replaceChildren(...config.MAP_EXPORT_PARAMS.PNG_SCALES.map(scale => {
+        const option = document.createElement('option');
+        option.value = String(scale);
+        option.textContent = `${scale}倍`;
+        return option;
+    }));
+
+    scopeSelect.addEventListener('change', updateControls);
+    regionButton.addEventListener('click', startRegionPick);
+    (Object.keys(exportButtons) as MapExportFormat[]).forEach(format => {
+        exportButtons[format].addEventListener('click', () => runExport(format));
+    });
+
+    updateExportPanel(false);
+}
+
+/**
+ * パネルの有効・無効を切り替える
+ * @param {boolean} enabled - 地図が表示されているかどうか
+ */
+export function updateExportPanel(enabled: boolean) {
+    if (!scopeSelect) return;
+    panelEnabled = enabled;
+    if (!enabled) options.onPickRequest(null);
+    updateControls();
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+function updateControls() {
+    const usable = panelEnabled && !exporting;
+    const isRegion = scopeSelect.value === 'region';
+    scopeSelect.disabled = !usable;
+    regionButton.disabled = !usable || !isRegion;
+    coordinatesSelect.disabled = !usable;
+    scaleSelect.disabled = !usable;
+    Object.values(exportButtons).forEach(button => button.disabled = !usable || (isRegion && !region));
+    regionLabel.textContent = isRegion ? (region ? regionLabel.dataset.description || '' : '未選択') : '画面に表示している範囲';
+}
+
+/**
+ * 範囲の2つの角を地図で選ぶ
+ */
+function startRegionPick() {
+    statusElement.textContent = '地図で範囲の1つ目の角のヘックスをクリックしてください。';
+    options.onPickRequest((first: any) => {
+        statusElement.textContent = '2つ目の角 (対角) のヘックスをクリックしてください。';
+        options.onPickRequest((second: any) => {
+            const points = [...first.points, ...second.points];
+            region = {
+                x0: Math.min(...points.map((p: number[]) => p[0])),
+                y0: Math.min(...points.map((p: number[]) => p[1])),
+                x1: Math.max(...points.map((p: number[]) => p[0])),
+                y1: Math.max(...points.map((p: number[]) => p[1]))
+            };
+            regionLabel.dataset.description = `${formatLocation(first, 'coords')} 〜 ${formatLocation(second, 'coords')}`;
+            statusElement.textContent = '';
+            updateControls();
+        });
+    });
+}
+
+async function runExport(format: MapExportFormat) {
+    const bounds = scopeSelect.value === 'region' ? region : options.getViewBounds();
+    if (!bounds) return;
+
+    exporting = true;
+    updateControls();
+    statusElement.textContent = '書き出しています...';
+    try {
+        const result = await options.onExportRequest(format, {
+            bounds,
+            coordinates: coordinatesSelect.value as GeoJsonCoordinates,
+            scale: Number(scaleSelect.value)
+        });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(result.blob);
+        a.download = `geoforge_map_${Date.now()}.${result.extension}`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        statusElement.textContent = result.message;
+    } catch (error: any) {
+        statusElement.textContent = error.message;
+    } finally {
+        exporting = false;
+        updateControls();
+    }
+}
@@ -0,0 +1,381 @@
+// ================================================================
+// GeoForge System - 戦場の霧 (GM 用とプレイヤー用の地図)
+// ================================================================
+// プレイヤーに見せる地図の状態 (キャンペーン) を扱う (DOM 非依存)。キャンペーンごとに、明かしたヘックスと
+// 伏せるレイヤー (魔物ランク・資源など) を記録し、プレイヤー表示用のヘックスと、伏せたデータを含まない
+// プレイヤー用の地図データを作る。地図への反映は MapView.ts、画面と保存は fogPanel.ts。
+
+import * as config from './config.ts';
+import { WorldMap, Hex } from './WorldMap.ts';
+import { getIndex, formatLocation, getNationName } from './utils.ts';
+
+export type SecretLayerId = 'monster' | 'resource' | 'potential' | 'population' | 'territory' | 'road';
+
+/**
+ * 伏せることのできるレイヤー
+ * properties: プレイヤー表示で消すヘックスの属性、mapLayers: プレイヤー表示で表示できなくする地図のレイヤー
+ */
+export interface SecretLayer {
+    id: SecretLayerId;
+    label: string;
+    properties: string[];
+    mapLayers: string[];
+}
+
+export const SECRET_LAYERS: SecretLayer[] = [
+    {
+        id: 'monster', label: '魔物ランク',
+        properties: ['monsterRank', 'monsterElement', 'monsterDanger'],
+        mapLayers: ['monster-overlay']
+    },
+    {
+        id: 'resource', label: '資源・魔力',
+        properties: ['resourceRank', 'manaRank', 'manaValue', 'miningPotential'],
+        mapLayers: ['mana-overlay', 'mining-overlay']
+    },
+    {
+        id: 'potential', label: '産業ポテンシャル',
+        properties: ['agriPotential', 'forestPotential', 'fishingPotential', 'huntingPotential', 'pastoralPotential', 'livestockPotential'],
+        mapLayers: ['agri-overlay', 'forest-overlay', 'fishing-overlay', 'hunting-overlay', 'pastoral-overlay', 'livestock-overlay']
+    },
+    {
+        id: 'population', label: '人口・経済',
+        properties: ['population', 'industry', 'logistics', 'livingConditions', 'ships', 'facilities', 'production', 'surplus', 'shortage', 'imports', 'trade', 'demographics'],
+        mapLayers: ['population-overlay']
+    },
+    {
+        id: 'territory', label: '所属国・上位集落',
+        properties: ['nationId', 'nationName', 'territoryId', 'parentHexId'],
+        mapLayers: ['territory-overlay', 'border']
+    },
+    {
+        id: 'road', label: '道路・航路',
+        properties: ['roadLevel'],
+        mapLayers: ['road', 'sea-route']
+    }
+];
+
+/**
+ * キャンペーン (プレイヤーに見せる地図の状態)
+ */
+export interface FogCampaign {
+    name: string;
+    world: string;                    // 対象の世界名 (storagePanel.ts の世界名)
+    revealed: Set<string>;            // 明かしたヘックス ('col,row' のグローバル座標)
+    secretLayers: Set<SecretLayerId>; // 伏せるレイヤー
+    updatedAt: string;
+}
+
+/** 保存形式 (JSON) */
+export interface SerializedFogCampaign {
+    format: 'geoforge-fog-campaign';
+    version: number;
+    name: string;
+    world: string;
+    revealed: string[];
+    secretLayers: SecretLayerId[];
+    updatedAt: string;
+}
+
+export const FOG_CAMPAIGN_VERSION = 1;
+
+// 明かしていないヘックスに残す属性 (位置と形のみ)
+const FOGGED_KEYS = ['index', 'col', 'row', 'ee', 'nn', 'localCol', 'localRow', 'blockId', 'cx', 'cy', 'points'];
+
+// プレイヤー用の地図データに含める属性 (伏せたレイヤーの属性は除く)
+const PLAYER_MAP_KEYS = [
+    'terrainType', 'elevation', 'isWater', 'vegetation', 'climateZone', 'temperature', 'precipitation_mm',
+    'flow', 'riverWidth', 'isAlluvial', 'isCoastal', 'isLakeside', 'hasSnow', 'tempAmplitude', 'precipSeasonality',
+    'settlement', 'settlementName', 'riverName', 'ridgeName', 'population', 'nationId', 'roadLevel',
+    'monsterRank', 'resourceRank', 'manaRank',
+    'agriPotential', 'forestPotential', 'miningPotential', 'fishingPotential', 'huntingPotential', 'pastoralPotential', 'livestockPotential'
+];
+
+/**
+ * 新しいキャンペーンを作る (すべてのヘックスを隠した状態)
+ * @param {string} name - キャンペーン名
+ * @param {string} world - 対象の世界名
+ * @param {SecretLayerId[]} [secretLayers] - 伏せるレイヤー (省略時は config の既定値)
+ */
+export function createCampaign(name: string, world: string, secretLayers?: SecretLayerId[]): FogCampaign {
+    return {
+        name,
+        world,
+        revealed: new Set(),
+        secretLayers: new Set(secretLayers || config.FOG_OF_WAR_PARAMS.DEFAULT_SECRET_LAYERS as SecretLayerId[]),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+export function cellKey(col: number, row: number): string {
+    return `${col},${row}`;
+}
+
+export function isRevealed(campaign: FogCampaign, col: number, row: number): boolean {
+    return campaign.revealed.has(cellKey(col, row));
+}
+
+/**
+ * ヘックスを明かす (revealed = false で隠し直す)
+ * @returns {number} 状態が変わったヘックスの数
+ */
+export function setCellsRevealed(campaign: FogCampaign, cells: { col: number; row: number }[], revealed: boolean): number {
+    let changed = 0;
+    cells.forEach(({ col, row }) => {
+        const key = cellKey(col, row);
+        if (campaign.revealed.has(key) === revealed) return;
+        if (revealed) campaign.revealed.add(key);
+        else campaign.revealed.delete(key);
+        changed++;
+    });
+    if (changed > 0) campaign.updatedAt = new Date().toISOString();
+    return changed;
+}
+
+/**
+ * 伏せるレイヤーを切り替える
+ */
+export function setLayerSecret(campaign: FogCampaign, id: SecretLayerId, secret: boolean) {
+    if (secret) campaign.secretLayers.add(id);
+    else campaign.secretLayers.delete(id);
+    campaign.updatedAt = new Date().toISOString();
+}
+
+/**
+ * プレイヤー表示で表示できない地図のレイヤー名
+ */
+export function getSecretMapLayers(campaign: FogCampaign): string[] {
+    return SECRET_LAYERS.filter(l => campaign.secretLayers.has(l.id)).flatMap(l => l.mapLayers);
+}
+
+function getSecretProperties(campaign: FogCampaign): Set<string> {
+    return new Set(SECRET_LAYERS.filter(l => campaign.secretLayers.has(l.id)).flatMap(l => l.properties));
+}
+
+// ================================================================
+// ■ 明かす範囲
+// ================================================================
+
+/**
+ * ヘックス間の距離 (地図の並び: 奇数列が半ヘックス南にずれる。グローバル行番号は北が大きい)
+ */
+export function hexDistance(c1: number, r1: number, c2: number, r2: number): number {
+    const toCube = (c: number, r: number) => {
+        const z = -r - (c - (c & 1)) / 2;
+        return [c, -c - z, z];
+    };
+    const a = toCube(c1, r1);
+    const b = toCube(c2, r2);
+    return Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2]));
+}
+
+/**
+ * 中心から半径以内のヘックス (ブラシ)
+ */
+export function getCellsInRadius(col: number, row: number, radius: number): { col: number; row: number }[] {
+    const cells: { col: number; row: number }[] = [];
+    for (let c = col - radius; c <= col + radius; c++) {
+        for (let r = row - radius - 1; r <= row + radius + 1; r++) {
+            if (hexDistance(col, row, c, r) <= radius) cells.push({ col: c, row: r });
+        }
+    }
+    return cells;
+}
+
+/**
+ * 旅程の経路 (WorldMap のインデックスの列) と、その周囲 sightRadius 以内のヘックス
+ */
+export function getPathCells(allHexes: WorldMap, path: number[], sightRadius: number): { col: number; row: number }[] {
+    const cells = new Map<string, { col: number; row: number }>();
+    path.forEach(index => {
+        const h = allHexes.getHex(index);
+        if (!h) return;
+        getCellsInRadius(h.col, h.row, sightRadius).forEach(cell => cells.set(cellKey(cell.col, cell.row), cell));
+    });
+    return [...cells.values()];
+}
+
+/**
+ * 「知っている集落」の名前・集落区分に当てはまるヘックス
+ * @param {WorldMap} allHexes
+ * @param {string[]} names - 集落名 (完全一致)
+ * @param {string[]} types - 集落区分 (例: '首都')
+ * @returns 見つかったヘックスと、見つからなかった名前
+ */
+export function findSettlementCells(allHexes: WorldMap, names: string[], types: string[]): { cells: { col: number; row: number }[]; missingNames: string[] } {
+    const nameSet = new Set(names.map(n => n.trim()).filter(Boolean));
+    const typeSet = new Set(types);
+    const found = new Set<string>();
+    const cells: { col: number; row: number }[] = [];
+
+    allHexes.forEach((h: Hex) => {
+        const p = h.properties;
+        if (!p.settlement) return;
+        const byName = !!p.settlementName && nameSet.has(p.settlementName);
+        if (!byName && !typeSet.has(p.settlement)) return;
+        if (byName) found.add(p.settlementName);
+        cells.push({ col: h.col, row: h.row });
+    });
+    return { cells, missingNames: [...nameSet].filter(n => !found.has(n)) };
+}
+
+// ================================================================
+// ■ プレイヤー表示
+// ================================================================
+
+/**
+ * 表示用ヘックス (MapView.generateBlockHexes) からプレイヤー表示用のヘックスを作る
+ * 明かしていないヘックスは位置と形だけを残し (_fogged)、明かしたヘックスは伏せたレイヤーの属性を消す。
+ * @param {Object} d - 表示用ヘックス (変更しない)
+ * @param {FogCampaign} campaign
+ */
+export function sanitizeDisplayHex(d: any, campaign: FogCampaign): any {
+    let hex: any;
+    if (d.col === undefined || !isRevealed(campaign, d.col, d.row)) {
+        hex = { _fogged: true };
+        FOGGED_KEYS.forEach(key => { if (d[key] !== undefined) hex[key] = d[key]; });
+    } else {
+        hex = { ...d };
+        getSecretProperties(campaign).forEach(key => { if (key in hex) hex[key] = null; });
+        // 地名ラベルは首都の国名などを含むため、所属国を伏せた場合は集落名に戻す
+        if (campaign.secretLayers.has('territory')) hex.mapLabelName = d.settlementName || d.riverName || d.ridgeName || null;
+    }
+    Object.defineProperty(hex, 'properties', {
+        get: function () { return this; },
+        enumerable: false,
+        configurable: true
+    });
+    return hex;
+}
+
+/**
+ * プレイヤー表示のツールチップ・情報ウィンドウの文章 (プレイヤー表示用のヘックスから作る)
+ * @param {Object} d - sanitizeDisplayHex で作ったヘックス
+ * @param {FogCampaign} campaign
+ */
+export function getPlayerHexText(d: any, campaign: FogCampaign): string {
+    if (d._fogged) return `未踏の地：${formatLocation(d, 'coords')}`;
+
+    const lines: string[] = [];
+    const name = d.settlementName ? ` ${d.settlementName}` : '';
+    lines.push(`${(d.settlement || '散居').padEnd(2, '　')}${name}：${formatLocation(d, 'short')}`);
+    if (!campaign.secretLayers.has('population')) lines.push(`人口：${(d.population || 0).toLocaleString()} 人`);
+
+    lines.push('---');
+    lines.push(`地形：${d.isWater ? '水域' : (d.terrainType || '不明')}`);
+    lines.push(`植生：${d.vegetation || 'なし'}`);
+    const features: string[] = [];
+    if (d.isAlluvial) features.push('河川');
+    if (d.hasSnow) features.push('積雪');
+    if (d.beachNeighbors && d.beachNeighbors.length > 0) features.push('砂浜');
+    if (features.length > 0) lines.push(`特性：${features.join(', ')}`);
+    if (d.riverName) lines.push(`河川：${d.riverName}`);
+    if (d.ridgeName) lines.push(`山脈：${d.ridgeName}`);
+    if (!campaign.secretLayers.has('road') && d.roadLevel > 0) lines.push(`道路：Lv${d.roadLevel}`);
+    if (!campaign.secretLayers.has('monster')) lines.push(`魔物：${d.monsterRank ? `${d.monsterRank}ランク` : '見かけない'}`);
+    if (!campaign.secretLayers.has('resource') && d.resourceRank) lines.push(`鉱物：${d.resourceRank}`);
+    if (!campaign.secretLayers.has('territory')) lines.push(getNationName(d.nationId || 0));
+    return lines.join('\n');
+}
+
+// ================================================================
+// ■ 保存形式とプレイヤー用の地図データ
+// ================================================================
+
+export function serializeCampaign(campaign: FogCampaign): SerializedFogCampaign {
+    return {
+        format: 'geoforge-fog-campaign',
+        version: FOG_CAMPAIGN_VERSION,
+        name: campaign.name,
+        world: campaign.world,
+        revealed: [...campaign.revealed],
+        secretLayers: [...campaign.secretLayers],
+        updatedAt: campaign.updatedAt
+    };
+}
+
+/**
+ * 保存形式からキャンペーンを復元する
+ * @throws {Error} 形式が正しくない場合
+ */
+export function parseCampaign(data: any): FogCampaign {
+    if (!data || data.format !== 'geoforge-fog-campaign') {
+        throw new Error('キャンペーンのファイルではありません。');
+    }
+    if (data.version > FOG_CAMPAIGN_VERSION) {
+        throw new Error(`新しい形式 (v${data.version}) のキャンペーンは読み込めません。`);
+    }
+    if (typeof data.name !== 'string' || !data.name || !Array.isArray(data.revealed)) {
+        throw new Error('キャンペーン名または明かしたヘックスの一覧がありません。');
+    }
+    const knownLayers = new Set(SECRET_LAYERS.map(l => l.id));
+    return {
+        name: data.name,
+        world: typeof data.world === 'string' ? data.world : '',
+        revealed: new Set(data.revealed.filter((key: any) => typeof key === 'string' && /^-?\d+,-?\d+$/.test(key))),
+        secretLayers: new Set((data.secretLayers || []).filter((id: any) => knownLayers.has(id))),
+        updatedAt: typeof data.updatedAt === 'string' ? data.updatedAt : new Date().toISOString()
+    };
+}
+
+/**
+ * プレイヤー用の地図データを作る
+ * 明かしたヘックスだけを含め、伏せたレイヤーの属性・道路は含めない。道路は明かしたヘックスを通る区間に分ける。
+ * @param {WorldMap} allHexes
+ * @param {Array} roadPaths - 道路データ (path は共有バッファの x/y)
+ * @param {FogCampaign} campaign
+ */
+export function buildPlayerMap(allHexes: WorldMap, roadPaths: any[], campaign: FogCampaign) {
+    const secret = getSecretProperties(campaign);
+    const keys = PLAYER_MAP_KEYS.filter(key => !secret.has(key));
+    const round = (v: any) => typeof v === 'number' ? Math.round(v * 100) / 100 : v;
+
+    const hexes: Record<string, any>[] = [];
+    allHexes.forEach((h: Hex) => {
+        if (!isRevealed(campaign, h.col, h.row)) return;
+        const p = h.properties;
+        const hex: Record<string, any> = { col: h.col, row: h.row };
+        keys.forEach(key => {
+            const value = p[key];
+            if (value !== undefined && value !== null && value !== '' && value !== false) hex[key] = round(value);
+        });
+        if (hex.nationId > 0) hex.nationName = getNationName(hex.nationId);
+        hexes.push(hex);
+    });
+
+    const roads: Record<string, any>[] = [];
+    if (!campaign.secretLayers.has('road')) {
+        (roadPaths || []).forEach(road => {
+            if (!road.path || road.path.length < 2) return;
+            let run: number[][] = [];
+            const flush = () => {
+                if (run.length >= 2) {
+                    roads.push({
+                        level: road.level,
+                        ...(road.level === 10 ? { shipKey: road.shipKey } : {}),
+                        ...(!secret.has('nationId') && road.nationId > 0 ? { nationId: road.nationId } : {}),
+                        path: run
+                    });
+                }
+                run = [];
+            };
+            road.path.forEach((point: any) => {
+                const h = allHexes.getHex(getIndex(point.x, point.y));
+                if (h && isRevealed(campaign, h.col, h.row)) run.push([h.col, h.row]);
+                else flush();
+            });
+            flush();
+        });
+    }
+
+    return {
+        format: 'geoforge-player-map',
+        version: FOG_CAMPAIGN_VERSION,
+        campaign: campaign.name,
+        world: campaign.world,
+        exportedAt: new Date().toISOString(),
+        hiddenLayers: [...campaign.secretLayers].map(id => SECRET_LAYERS.find(l => l.id === id)?.label || id),
+        hexes,
+        roads
+    };
+}
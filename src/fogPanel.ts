@@ -0,0 +1,358 @@
+// ================================================================
+// GeoForge System - 戦場の霧パネル
+// ================================================================
+// サイドバーの「戦場の霧」パネル。キャンペーンの作成・切り替え・保存 (localStorage とファイル)、
+// GM 表示とプレイヤー表示の切り替え、伏せるレイヤーの選択、ヘックスを明かす操作 (ブラシ・旅程の経路・
+// 知っている集落) と、プレイヤー用の地図データの書き出しを担当する。キャンペーンの扱いは fogOfWar.ts。
+
+import * as config from './config.ts';
+import { SETTLEMENT_TYPES } from './WorldMap.ts';
+import {
+    FogCampaign, SecretLayerId, SECRET_LAYERS,
+    createCampaign, setCellsRevealed, setLayerSecret, getCellsInRadius, getPathCells, findSettlementCells,
+    serializeCampaign, parseCampaign, buildPlayerMap
+} from './fogOfWar.ts';
+
+interface FogPanelOptions {
+    // 現在の世界データ ({ allHexes, roadPaths, seed }) を返す
+    getWorldData: () => any;
+    // キャンペーンを保存する世界名を返す
+    getWorldName: () => string;
+    // 地図に表示している旅程の経路 (WorldMap のインデックス) を返す
+    getTravelRoute: () => { path: number[] } | null;
+    // キャンペーン・表示の切り替えや、ヘックスを明かしたときに呼ばれる (地図の更新)
+    onFogChange: (campaign: FogCampaign | null, playerView: boolean) => void;
+    // ブラシの切り替え時に呼ばれる (handler = 地図のクリック処理、null でブラシ終了)
+    onRevealModeChange: (handler: ((d: any) => void) | null) => void;
+}
+
+let options: FogPanelOptions;
+
+let campaignSelect: HTMLSelectElement;
+let nameInput: HTMLInputElement;
+let createButton: HTMLButtonElement;
+let deleteButton: HTMLButtonElement;
+let playerViewToggle: HTMLInputElement;
+let secretLayersContainer: HTMLElement;
+let brushSelect: HTMLSelectElement;
+let radiusInput: HTMLInputElement;
+let revealRouteButton: HTMLButtonElement;
+let settlementNamesInput: HTMLTextAreaElement;
+let settlementTypesContainer: HTMLElement;
+let revealSettlementsButton: HTMLButtonElement;
+let hideAllButton: HTMLButtonElement;
+let exportPlayerButton: HTMLButtonElement;
+let exportCampaignButton: HTMLButtonElement;
+let importCampaignButton: HTMLButtonElement;
+let importInput: HTMLInputElement;
+let statusElement: HTMLElement;
+
+let enabled = false;
+let activeCampaign: FogCampaign | null = null;
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {FogPanelOptions} panelOptions
+ */
+export function setupFogPanel(panelOptions: FogPanelOptions) {
+    options = panelOptions;
+
+    campaignSelect = document.getElementById('fog-campaign-select') as HTMLSelectElement;
+    nameInput = document.getElementById('fog-campaign-name-input') as HTMLInputElement;
+    createButton = document.getElementById('fog-campaign-create-btn') as HTMLButtonElement;
+    deleteButton = document.getElementById('fog-campaign-delete-btn') as HTMLButtonElement;
+    playerViewToggle = document.getElementById('fog-player-view-toggle') as HTMLInputElement;
+    secretLayersContainer = document.getElementById('fog-secret-layers') as HTMLElement;
+    brushSelect = document.getElementById('fog-brush-select') as HTMLSelectElement;
+    radiusInput = document.getElementById('fog-radius-input') as HTMLInputElement;
+    revealRouteButton = document.getElementById('fog-reveal-route-btn') as HTMLButtonElement;
+    settlementNamesInput = document.getElementById('fog-settlement-names') as HTMLTextAreaElement;
+    settlementTypesContainer = document.getElementById('fog-settlement-types') as HTMLElement;
+    revealSettlementsButton = document.getElementById('fog-reveal-settlements-btn') as HTMLButtonElement;
+    hideAllButton = document.getElementById('fog-hide-all-btn') as HTMLButtonElement;
+    exportPlayerButton = document.getElementById('fog-export-player-btn') as HTMLButtonElement;
+    exportCampaignButton = document.getElementById('fog-export-campaign-btn') as HTMLButtonElement;
+    importCampaignButton = document.getElementById('fog-import-campaign-btn') as HTMLButtonElement;
+    importInput = document.getElementById('fog-import-input') as HTMLInputElement;
+    statusElement = document.getElementById('fog-status') as HTMLElement;
+
+    radiusInput.max = String(config.FOG_OF_WAR_PARAMS.MAX_BRUSH_RADIUS);
+    radiusInput.value = String(config.FOG_OF_WAR_PARAMS.PATH_SIGHT_RADIUS);
+
+    secretLayersContainer.replaceChildren(...SECRET_LAYERS.map(layer => createCheckbox(`fog-secret-${layer.id}`, layer.label, layer.id)));
+    settlementTypesContainer.replaceChildren(...SETTLEMENT_TYPES.filter(t => t !== '散居').map(type => createCheckbox(`fog-settlement-type-${type}`, type, type)));
+
+    campaignSelect.addEventListener('change', () => selectCampaign(campaignSelect.value));
+    createButton.addEventListener('click', handleCreate);
+    deleteButton.addEventListener('click', handleDelete);
+    playerViewToggle.addEventListener('change', () => {
+        notifyFogChange();
+        setStatus(playerViewToggle.checked ? 'プレイヤー表示にしました。明かしたヘックスだけが見えます。' : 'GM表示にしました。');
+    });
+    secretLayersContainer.addEventListener('change', (event) => {
+        const input = event.target as HTMLInputElement;
+        if (!activeCampaign) return;
+        setLayerSecret(activeCampaign, input.value as SecretLayerId, input.checked);
+        saveActiveCampaign();
+        notifyFogChange();
+    });
+    brushSelect.addEventListener('change', updateBrush);
+    revealRouteButton.addEventListener('click', handleRevealRoute);
+    revealSettlementsButton.addEventListener('click', handleRevealSettlements);
+    hideAllButton.addEventListener('click', handleHideAll);
+    exportPlayerButton.addEventListener('click', handleExportPlayerMap);
+    exportCampaignButton.addEventListener('click', () => {
+        if (!activeCampaign) return;
+        downloadJson(serializeCampaign(activeCampaign), `geoforge_campaign_${activeCampaign.name}.json`);
+    });
+    importCampaignButton.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', handleImport);
+
+    updateFogPanel(false);
+}
+
+/**
+ * パネルの有効・無効を切り替える (生成・読み込みの状態が変わったときに呼び出す)
+ * 世界が変わった場合は、その世界のキャンペーンの一覧に切り替える。
+ * @param {boolean} isEnabled - 地図が表示されているかどうか
+ */
+export function updateFogPanel(isEnabled: boolean) {
+    if (!campaignSelect) return;
+    enabled = isEnabled;
+    if (!enabled || (activeCampaign && activeCampaign.world !== options.getWorldName())) {
+        selectCampaign('');
+    }
+    renderCampaignList();
+    updateControls();
+}
+
+// ================================================================
+// ■ キャンペーンの保存 (localStorage)
+// ================================================================
+
+function loadStoredCampaigns(): FogCampaign[] {
+    try {
+        const stored = JSON.parse(localStorage.getItem(config.FOG_OF_WAR_PARAMS.STORAGE_KEY) || '[]');
+        return (Array.isArray(stored) ? stored : []).flatMap((data: any) => {
+            try {
+                return [parseCampaign(data)];
+            } catch (e) {
+                return [];
+            }
+        });
+    } catch (e) {
+        return [];
+    }
+}
+
+function storeCampaigns(campaigns: FogCampaign[]) {
+    try {
+        localStorage.setItem(config.FOG_OF_WAR_PARAMS.STORAGE_KEY, JSON.stringify(campaigns.map(serializeCampaign)));
+    } catch (e: any) {
+        setStatus(`キャンペーンを保存できませんでした: ${e.message}`);
+    }
+}
+
+function saveActiveCampaign() {
+    if (!activeCampaign) return;
+    const campaign = activeCampaign;
+    const others = loadStoredCampaigns().filter(c => !(c.world === campaign.world && c.name === campaign.name));
+    storeCampaigns([...others, campaign]);
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+function renderCampaignList() {
+    const world = options.getWorldName();
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = '使わない (霧なし)';
+    const campaigns = enabled ? loadStoredCampaigns().filter(c => c.world === world) : [];
+    campaignSelect.replaceChildren(noneOption, ...campaigns.map(c => {
+        const option = document.createElement('option');
+        option.value = c.name;
+        option.textContent = `${c.name} (${c.revealed.size} ヘックス)`;
+        return option;
+    }));
+    campaignSelect.value = activeCampaign ? activeCampaign.name : '';
+}
+
+function selectCampaign(name: string) {
+    const world = options.getWorldName();
+    activeCampaign = name ? loadStoredCampaigns().find(c => c.world === world && c.name === name) || null : null;
+    if (!activeCampaign) {
+        playerViewToggle.checked = false;
+        brushSelect.value = '';
+        updateBrush();
+    }
+    secretLayersContainer.querySelectorAll('input').forEach(input => {
+        input.checked = !!activeCampaign && activeCampaign.secretLayers.has(input.value as SecretLayerId);
+    });
+    notifyFogChange();
+    updateControls();
+    setStatus(activeCampaign ? `キャンペーン「${activeCampaign.name}」: ${activeCampaign.revealed.size} ヘックスを明かしています。` : '');
+}
+
+function handleCreate() {
+    const name = nameInput.value.trim();
+    if (!name) {
+        setStatus('キャンペーン名を入力してください。');
+        return;
+    }
+    const world = options.getWorldName();
+    if (loadStoredCampaigns().some(c => c.world === world && c.name === name)) {
+        setStatus(`キャンペーン「${name}」は既にあります。`);
+        return;
+    }
+    activeCampaign = createCampaign(name, world);
+    saveActiveCampaign();
+    nameInput.value = '';
+    renderCampaignList();
+    selectCampaign(name);
+}
+
+function handleDelete() {
+    if (!activeCampaign) return;
+    const campaign = activeCampaign;
+    if (!confirm(`キャンペーン「${campaign.name}」を削除しますか？ 明かしたヘックスの記録も消えます。`)) return;
+    storeCampaigns(loadStoredCampaigns().filter(c => !(c.world === campaign.world && c.name === campaign.name)));
+    selectCampaign('');
+    renderCampaignList();
+    setStatus(`キャンペーン「${campaign.name}」を削除しました。`);
+}
+
+function updateBrush() {
+    options.onRevealModeChange(activeCampaign && brushSelect.value ? handleHexClick : null);
+}
+
+/**
+ * ブラシの使用中に地図のヘックスがクリックされたときの処理
+ */
+function handleHexClick(d: any) {
+    if (!activeCampaign || d.col === undefined) return;
+    const reveal = brushSelect.value === 'reveal';
+    const changed = setCellsRevealed(activeCampaign, getCellsInRadius(d.col, d.row, getRadius()), reveal);
+    applyChange(`${changed} ヘックスを${reveal ? '明かしました' : '隠しました'}。`);
+}
+
+function handleRevealRoute() {
+    const worldData = options.getWorldData();
+    const route = options.getTravelRoute();
+    if (!activeCampaign || !worldData || !worldData.allHexes) return;
+    if (!route || route.path.length === 0) {
+        setStatus('旅程計画パネルで経路を表示してから実行してください。');
+        return;
+    }
+    const changed = setCellsRevealed(activeCampaign, getPathCells(worldData.allHexes, route.path, getRadius()), true);
+    applyChange(`旅程の経路 (${route.path.length} ヘックス) の周囲 ${changed} ヘックスを明かしました。`);
+}
+
+function handleRevealSettlements() {
+    const worldData = options.getWorldData();
+    if (!activeCampaign || !worldData || !worldData.allHexes) return;
+    const names = settlementNamesInput.value.split(/[\n,、]/);
+    const types = Array.from(settlementTypesContainer.querySelectorAll('input'))
+        .filter(input => input.checked)
+        .map(input => input.value);
+    if (names.every(n => !n.trim()) && types.length === 0) {
+        setStatus('集落の名前か集落区分を指定してください。');
+        return;
+    }
+    const { cells, missingNames } = findSettlementCells(worldData.allHexes, names, types);
+    const around = cells.flatMap(cell => getCellsInRadius(cell.col, cell.row, getRadius()));
+    const changed = setCellsRevealed(activeCampaign, around, true);
+    const missing = missingNames.length > 0 ? ` 見つからない集落: ${missingNames.join('、')}` : '';
+    applyChange(`${cells.length} か所の集落の周囲 ${changed} ヘックスを明かしました。${missing}`);
+}
+
+function handleHideAll() {
+    if (!activeCampaign) return;
+    if (!confirm(`キャンペーン「${activeCampaign.name}」の明かしたヘックスをすべて隠しますか？`)) return;
+    const cells = [...activeCampaign.revealed].map(key => {
+        const [col, row] = key.split(',').map(Number);
+        return { col, row };
+    });
+    const changed = setCellsRevealed(activeCampaign, cells, false);
+    applyChange(`${changed} ヘックスを隠しました。`);
+}
+
+function handleExportPlayerMap() {
+    const worldData = options.getWorldData();
+    if (!activeCampaign || !worldData || !worldData.allHexes) return;
+    const playerMap = buildPlayerMap(worldData.allHexes, worldData.roadPaths || [], activeCampaign);
+    downloadJson(playerMap, `geoforge_player_${activeCampaign.name}.json`);
+    setStatus(`プレイヤー用の地図 (${playerMap.hexes.length} ヘックス、道路 ${playerMap.roads.length} 区間) を書き出しました。画像はプレイヤー表示で「地図の書き出し」から書き出せます。`);
+}
+
+async function handleImport() {
+    const file = importInput.files && importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+        const campaign = parseCampaign(JSON.parse(await file.text()));
+        // 読み込んだキャンペーンは表示中の世界に結び付ける
+        campaign.world = options.getWorldName();
+        activeCampaign = campaign;
+        saveActiveCampaign();
+        renderCampaignList();
+        selectCampaign(campaign.name);
+    } catch (error: any) {
+        setStatus(`キャンペーンを読み込めませんでした: ${error.message}`);
+    }
+}
+
+/**
+ * キャンペーンの変更を保存し、地図と一覧に反映する
+ */
+function applyChange(message: string) {
+    saveActiveCampaign();
+    notifyFogChange();
+    renderCampaignList();
+    setStatus(message);
+}
+
+function notifyFogChange() {
+    options.onFogChange(activeCampaign, playerViewToggle.checked);
+}
+
+function getRadius(): number {
+    const radius = Math.floor(Number(radiusInput.value));
+    return Math.max(0, Math.min(config.FOG_OF_WAR_PARAMS.MAX_BRUSH_RADIUS, Number.isFinite(radius) ? radius : 0));
+}
+
+function updateControls() {
+    const hasCampaign = enabled && !!activeCampaign;
+    campaignSelect.disabled = !enabled;
+    nameInput.disabled = !enabled;
+    createButton.disabled = !enabled;
+    importCampaignButton.disabled = !enabled;
+    [deleteButton, playerViewToggle, brushSelect, radiusInput, revealRouteButton, settlementNamesInput,
+        revealSettlementsButton, hideAllButton, exportPlayerButton, exportCampaignButton].forEach(el => { el.disabled = !hasCampaign; });
+    secretLayersContainer.querySelectorAll('input').forEach(input => { input.disabled = !hasCampaign; });
+    settlementTypesContainer.querySelectorAll('input').forEach(input => { input.disabled = !hasCampaign; });
+}
+
+function createCheckbox(id: string, label: string, value: string): HTMLElement {
+    const row = document.createElement('label');
+    row.className = 'fog-checkbox-row';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.id = id;
+    input.value = value;
+    row.append(input, ` ${label}`);
+    return row;
+}
+
+function downloadJson(data: any, filename: string) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: 'application/json' }));
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+function setStatus(message: string) {
+    statusElement.textContent = message;
+}
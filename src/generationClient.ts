@@ -0,0 +1,111 @@
+// ================================================================
+// GeoForge System - 世界生成ワーカーの呼び出し
+// ================================================================
+// main.ts の生成ステップを generationWorker.ts で実行する。ステップごとに新しいワーカーを起動し、
+// 中止するときはワーカーごと終了する (生成中の世界は破棄され、メインスレッドの世界データは変わらない)。
+
+import { WorldMap } from './WorldMap.ts';
+import { GenerationProgress, RandomState } from './utils.ts';
+import type { GenerationRequest, GenerationMessage } from './generationWorker.ts';
+
+export type { GenerationStage } from './generationWorker.ts';
+
+interface GenerationHandlers {
+    // ログ (id を指定したものは同じ行を書き換える)
+    onLog: (message: string, id: string | null) => void;
+    // 工程ごとの進捗
+    onProgress: (progress: GenerationProgress) => void;
+    // 途中経過の世界 (大陸の形成中など)
+    onSnapshot?: (allHexes: WorldMap) => Promise<void>;
+}
+
+export interface GenerationResult {
+    allHexes: WorldMap;
+    roadPaths: any[] | null;
+    random: RandomState; // 次のステップに引き継ぐ乱数の状態
+}
+
+export interface GenerationTask {
+    // 完了した結果 (中止した場合は null)
+    promise: Promise<GenerationResult | null>;
+    cancel: () => void;
+}
+
+/**
+ * 生成ステップをワーカーで開始する
+ * 渡した世界 (request.world) は複製して送るため、実行中もメインスレッドの世界データはそのまま使える。
+ * @param {GenerationRequest} request - 実行するステップと入力
+ * @param {GenerationHandlers} handlers - ログ・進捗・途中経過の受け取り先
+ * @returns {GenerationTask}
+ */
+export function startGeneration(request: Omit<GenerationRequest, 'world'> & { world?: WorldMap | null }, handlers: GenerationHandlers): GenerationTask {
+    const worker = new Worker(new URL('./generationWorker.ts', import.meta.url), { type: 'module' });
+    // スナップショットの描画と完了の処理は、届いた順に1つずつ行う
+    let queue: Promise<void> = Promise.resolve();
+    let settle: (result: GenerationResult | null) => void = () => { };
+    let fail: (error: Error) => void = () => { };
+    let finished = false;
+
+    const promise = new Promise<GenerationResult | null>((resolve, reject) => {
+        settle = result => {
+            finished = true;
+            worker.terminate();
+            resolve(result);
+        };
+        fail = error => {
+            finished = true;
+            worker.terminate();
+            reject(error);
+        };
+    });
+
+    worker.onmessage = (event: MessageEvent<GenerationMessage>) => {
+        if (finished) return;
+        const message = event.data;
+        switch (message.type) {
+            case 'log':
+                handlers.onLog(message.message, message.id);
+                break;
+            case 'progress':
+                handlers.onProgress(message.progress);
+                break;
+            case 'snapshot':
+                if (handlers.onSnapshot) {
+                    const snapshot = WorldMap.fromBuffers(message.world);
+                    queue = queue
+                        .then(() => finished ? undefined : handlers.onSnapshot!(snapshot))
+                        .catch(error => console.error('[Generation] 途中経過の描画に失敗しました:', error));
+                }
+                break;
+            case 'done':
+                queue = queue.then(() => {
+                    if (!finished) settle({ allHexes: WorldMap.fromBuffers(message.world), roadPaths: message.roadPaths, random: message.random });
+                });
+                break;
+            case 'error':
+                queue = queue.then(() => fail(new Error(message.message)));
+                break;
+        }
+    };
+    worker.onerror = event => {
+        event.preventDefault();
+        fail(new Error(event.message || 'ワーカーの起動に失敗しました。'));
+    };
+
+    const { world, ...rest } = request;
+    const transfer: Transferable[] = [];
+    const message: GenerationRequest = { ...rest };
+    if (world) {
+        const buffers = world.toBuffers();
+        message.world = buffers.data;
+        transfer.push(...buffers.transfer);
+    }
+    worker.postMessage(message, transfer);
+
+    return {
+        promise,
+        cancel: () => {
+            if (!finished) settle(null);
+        }
+    };
+}
@@ -0,0 +1,85 @@
+// ================================================================
+// GeoForge System - 世界生成ワーカー
+// ================================================================
+// 生成ステップ (大陸・文明・道路と経済) を Web Worker で実行し、メインスレッドが止まらないようにする。
+// 世界データは WorldMap の TypedArray で受け渡し、ログ・工程ごとの進捗・途中経過のスナップショットを送り返す。
+// メインスレッド側の呼び出しは generationClient.ts。
+
+import { runContinentStage, runSettlementStage, buildRoadNetwork, runEconomyStage } from './worldPipeline.ts';
+import { BaseTerrainImage } from './continentGenerator.ts';
+import { WorldMap, WorldMapBuffers } from './WorldMap.ts';
+import { WorldRecipe, setActiveRecipe } from './worldRecipe.ts';
+import { LockPlan, setActiveLockPlan } from './regenerationLocks.ts';
+import { GenerationProgress, RandomState, globalRandom, restoreGlobalRandom, setProgressHandler } from './utils.ts';
+
+/** 生成ステップ ('continent': ① 大陸・気候・河川 / 'settlement': ③ 集落 / 'nations': ④ 道路・国家・経済) */
+export type GenerationStage = 'continent' | 'settlement' | 'nations';
+
+/** メインスレッド → ワーカー: ステップの実行依頼 */
+export interface GenerationRequest {
+    stage: GenerationStage;
+    recipe: WorldRecipe;
+    random?: RandomState | null; // 前のステップから引き継ぐ乱数の状態 ('continent' では不要)
+    world?: WorldMapBuffers | null; // 前のステップまでの世界 ('continent' では不要)
+    roadPaths?: any[] | null;
+    baseTerrain?: BaseTerrainImage | null; // 地形の下絵 ('continent' のみ)
+    locks?: LockPlan | null; // 固定する首都・国境・集落 ('settlement' / 'nations'。regenerationLocks.ts)
+}
+
+/** ワーカー → メインスレッド */
+export type GenerationMessage =
+    | { type: 'log'; message: string; id: string | null }
+    | { type: 'progress'; progress: GenerationProgress }
+    | { type: 'snapshot'; world: WorldMapBuffers }
+    | { type: 'done'; world: WorldMapBuffers; roadPaths: any[] | null; random: RandomState }
+    | { type: 'error'; message: string };
+
+const post = (message: GenerationMessage, transfer: Transferable[] = []) => self.postMessage(message, { transfer });
+
+const addLogMessage = async (message: string, id: string | null = null) => {
+    post({ type: 'log', message, id });
+};
+
+setProgressHandler(progress => post({ type: 'progress', progress }));
+
+self.onmessage = async (event: MessageEvent<GenerationRequest>) => {
+    const request = event.data;
+    try {
+        setActiveRecipe(request.recipe);
+        setActiveLockPlan(request.locks || null);
+        if (request.random) restoreGlobalRandom(request.random);
+        let allHexes = request.world ? WorldMap.fromBuffers(request.world) : null;
+        let roadPaths = request.roadPaths || null;
+
+        switch (request.stage) {
+            case 'continent': {
+                // 途中経過 (大陸棚・水系の形成後など) は複製して送り、メインスレッドで描画する
+                const redrawFn = async (hexes: WorldMap) => {
+                    const { data, transfer } = hexes.toBuffers();
+                    post({ type: 'snapshot', world: data }, transfer);
+                };
+                allHexes = await runContinentStage(request.recipe.seed, addLogMessage, redrawFn, request.baseTerrain || null);
+                break;
+            }
+            case 'settlement': {
+                const result = await runSettlementStage(allHexes!, addLogMessage);
+                allHexes = result.allHexes;
+                roadPaths = result.roadPaths;
+                break;
+            }
+            case 'nations': {
+                roadPaths = await buildRoadNetwork(allHexes!, addLogMessage);
+                const worldData = await runEconomyStage({ allHexes, roadPaths, seed: request.recipe.seed, recipe: request.recipe }, addLogMessage);
+                allHexes = worldData.allHexes;
+                break;
+            }
+        }
+
+        // 生成し終えたバッファはこのワーカーでは使わないため、複製せずに転送する
+        const { data, transfer } = allHexes!.toBuffers(false);
+        post({ type: 'done', world: data, roadPaths, random: globalRandom.getState() }, transfer);
+    } catch (error: any) {
+        console.error('[GenerationWorker]', error);
+        post({ type: 'error', message: error && error.message ? error.message : String(error) });
+    }
+};
@@ -0,0 +1,444 @@
+// ================================================================
+// GeoForge System - ヘックス編集モジュール (ブラシ・局所再計算・元に戻す/やり直し)
+// ================================================================
+// 生成済みの世界を手で直すための編集処理。ブラシ (標高・水域・植生・集落・国) で共有バッファ (WorldMap) の
+// ヘックスを書き換え、編集箇所の周辺だけで派生データ (地形タイプ・気候区分・海岸/湖岸フラグ・河川形状・稜線・
+// 産業・人口構成・施設) を再計算する。編集は変更前後の値として記録し、元に戻す/やり直しができる。
+// 書き換えた値は WorldMap に直接入るため、compressWorldData やブロック保存でそのまま保存される。
+// 河川の流路 (flow / downstreamIndex) は世界全体の水系計算で決まるため、編集では付け替えない。
+
+import * as config from './config.ts';
+import { getDistance, SeededRandom } from './utils.ts';
+import { WorldMap, Hex } from './WorldMap.ts';
+import {
+    allocateVegetation, calculateLandUse, classifyClimate, determineTerrainType, VEGETATION_NAMES,
+    recalculateGeographicFlags, recalculateRiverProperties, generateRidgeLines
+} from './continentGenerator.ts';
+import { calculateHexShipOwnership, calculateHexIndustry, calculateHexDemographics, calculateHexFacilities } from './economyHelpers.ts';
+import { nameUnnamedSettlements } from './nameGenerator.ts';
+
+export type EditBrush = 'elevation' | 'water' | 'vegetation' | 'settlement' | 'nation';
+
+/**
+ * ブラシの設定
+ * - elevation: mode = 'raise' | 'lower' | 'set', amount = 変化量または標高 (m)
+ * - water: mode = 'water' (水域にする) | 'land' (陸地にする)
+ * - vegetation: mode = 植生名
+ * - settlement: mode = 集落区分 (空文字で集落をなくす)。中心のヘックスだけに適用する
+ * - nation: amount = 国家ID (0 = 辺境)
+ */
+export interface BrushSettings {
+    brush: EditBrush;
+    mode: string;
+    amount: number;
+    radius: number;
+}
+
+/** 1回の編集の記録 (ヘックスごとの変更前後の値) */
+export interface EditRecord {
+    label: string;
+    changes: { index: number; before: Record<string, any>; after: Record<string, any> }[];
+}
+
+// 編集の記録に含めるプロパティ (ブラシで直接変わるものと、局所再計算で変わるもの)
+const SNAPSHOT_KEYS = [
+    'elevation', 'isWater', 'terrainType', 'vegetation', 'climateZone', 'flow',
+    'isCoastal', 'isLakeside', 'isAlluvial', 'riverWidth', 'riverDepth', 'riverVelocity', 'waterArea',
+    'ridgeFlow', 'ridgeUpstreamIndex', 'vegetationAreas', 'landUse',
+    'settlement', 'population', 'nationId', 'parentHexId', 'settlementName', 'nationName',
+    'ships', 'industry', 'demographics', 'facilities'
+];
+const RIDGE_KEYS = ['ridgeFlow', 'ridgeUpstreamIndex'];
+
+// 植生ブラシで選べる植生 (陸地)
+export const EDITABLE_VEGETATION = Object.values(VEGETATION_NAMES);
+
+const undoStack: EditRecord[] = [];
+const redoStack: EditRecord[] = [];
+
+// ================================================================
+// ■ 公開関数
+// ================================================================
+
+/**
+ * ブラシを適用し、周辺の派生データを再計算して編集履歴に記録する
+ * @param {Object} worldData - { allHexes, seed } (allHexes を破壊的に更新)
+ * @param {number} centerIndex - ブラシの中心のヘックスインデックス
+ * @param {BrushSettings} settings - ブラシの設定
+ * @returns {EditRecord|null} 編集の記録 (何も変わらなかった場合は null)
+ */
+export function applyBrush(worldData, centerIndex: number, settings: BrushSettings): EditRecord | null {
+    const allHexes: WorldMap = worldData.allHexes;
+    const center = allHexes[centerIndex];
+    if (!center) return null;
+
+    const before = new Map<number, Record<string, any>>();
+    const touch = (index: number) => {
+        if (!before.has(index)) before.set(index, captureState(allHexes[index], SNAPSHOT_KEYS));
+    };
+
+    const radius = settings.brush === 'settlement' ? 0 : Math.max(0, Math.min(config.HEX_EDITOR_PARAMS.MAX_BRUSH_RADIUS, Math.floor(settings.radius)));
+    const targets: Hex[] = [];
+    allHexes.forEach((h: Hex) => {
+        if (getDistance(h, center) <= radius) targets.push(h);
+    });
+
+    const edited = new Set<number>();
+    targets.forEach(h => {
+        touch(h.index);
+        if (applyToHex(allHexes, h, settings, touch)) edited.add(h.index);
+    });
+    // 集落ブラシは遷都などで中心以外のヘックスも書き換えるため、記録したヘックスをすべて編集箇所とみなす
+    if (edited.size > 0 && settings.brush === 'settlement') before.forEach((_, index) => edited.add(index));
+    if (edited.size === 0) return null;
+
+    const ridgeBefore = allHexes.map((h: Hex) => [h.properties.ridgeFlow, h.ridgeUpstreamIndex]);
+    getNeighborhood(allHexes, edited, config.HEX_EDITOR_PARAMS.ECONOMY_RADIUS).forEach(touch);
+    recomputeNeighborhood(allHexes, edited);
+    if (settings.brush === 'settlement') nameUnnamedSettlements(allHexes, worldData.seed, new SeededRandom(worldData.seed * 41 + centerIndex));
+
+    // 稜線流量は編集箇所より上流 (高所) でも変わるため、値が変わったヘックスを記録に加える
+    const ridgeChanges: EditRecord['changes'] = [];
+    allHexes.forEach((h: Hex, index: number) => {
+        if (before.has(index)) return;
+        const [flow, upstream] = ridgeBefore[index];
+        if (h.properties.ridgeFlow === flow && h.ridgeUpstreamIndex === upstream) return;
+        ridgeChanges.push({ index, before: { ridgeFlow: flow, ridgeUpstreamIndex: upstream }, after: captureState(h, RIDGE_KEYS) });
+    });
+
+    const record: EditRecord = { label: describeBrush(settings), changes: ridgeChanges };
+    before.forEach((state, index) => {
+        const after = captureState(allHexes[index], SNAPSHOT_KEYS);
+        if (JSON.stringify(state) !== JSON.stringify(after)) record.changes.push({ index, before: state, after });
+    });
+    if (record.changes.length === 0) return null;
+
+    undoStack.push(record);
+    if (undoStack.length > config.HEX_EDITOR_PARAMS.MAX_UNDO) undoStack.shift();
+    redoStack.length = 0;
+    return record;
+}
+
+/**
+ * 直前の編集を元に戻す
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @returns {EditRecord|null} 元に戻した編集 (履歴がない場合は null)
+ */
+export function undoEdit(allHexes: WorldMap): EditRecord | null {
+    const record = undoStack.pop();
+    if (!record) return null;
+    record.changes.forEach(change => restoreState(allHexes[change.index], change.before));
+    redoStack.push(record);
+    return record;
+}
+
+/**
+ * 元に戻した編集をやり直す
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @returns {EditRecord|null} やり直した編集 (履歴がない場合は null)
+ */
+export function redoEdit(allHexes: WorldMap): EditRecord | null {
+    const record = redoStack.pop();
+    if (!record) return null;
+    record.changes.forEach(change => restoreState(allHexes[change.index], change.after));
+    undoStack.push(record);
+    return record;
+}
+
+/**
+ * 元に戻す/やり直しの可否
+ */
+export function getEditHistoryState(): { canUndo: boolean; canRedo: boolean; undoLabel: string | null; redoLabel: string | null } {
+    return {
+        canUndo: undoStack.length > 0,
+        canRedo: redoStack.length > 0,
+        undoLabel: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+        redoLabel: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null
+    };
+}
+
+/**
+ * 編集履歴を消去する (新しい世界の生成・読み込み時)
+ */
+export function clearEditHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+}
+
+/**
+ * 編集したヘックスの周辺で派生データを再計算する
+ * 地理 (地形タイプ・気候区分・海岸/湖岸・河川形状・稜線) は編集箇所とその隣接ヘックス、
+ * 産業・人口構成・施設は編集箇所から ECONOMY_RADIUS 以内の集落を対象にする。
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {Set<number>} editedIndices - 編集したヘックスのインデックス
+ * @returns {Set<number>} 再計算したヘックスのインデックス
+ */
+export function recomputeNeighborhood(allHexes: WorldMap, editedIndices: Set<number>): Set<number> {
+    const geography = getNeighborhood(allHexes, editedIndices, 1);
+    geography.forEach(index => {
+        const p = allHexes[index].properties;
+        p.terrainType = determineTerrainType(p.isWater, p.elevation);
+        p.climateZone = classifyClimate(p.temperature, p.precipitation_mm, p.elevation);
+        p.isAlluvial = p.flow > 0 && !p.isWater && p.elevation < 4000;
+    });
+    recalculateGeographicFlags(allHexes, geography);
+    recalculateRiverProperties(allHexes, geography);
+    generateRidgeLines(allHexes, geography);
+
+    const economy = getNeighborhood(allHexes, editedIndices, config.HEX_EDITOR_PARAMS.ECONOMY_RADIUS);
+    economy.forEach(index => {
+        const h = allHexes[index];
+        if (h.properties.population > 0) {
+            calculateHexShipOwnership(h, allHexes);
+            calculateHexIndustry(h, allHexes);
+            calculateHexDemographics(h, allHexes);
+            calculateHexFacilities(h, allHexes);
+        } else if (editedIndices.has(index)) {
+            clearSettlementData(h);
+        }
+    });
+
+    economy.forEach(index => geography.add(index));
+    return geography;
+}
+
+/**
+ * 国ブラシで選べる国の一覧 (首都のある国)
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @returns {number[]} 国家ID
+ */
+export function getEditableNationIds(allHexes: WorldMap): number[] {
+    const ids = new Set<number>();
+    allHexes.forEach((h: Hex) => {
+        if (h.properties.settlement === '首都' && h.properties.nationId > 0) ids.add(h.properties.nationId);
+    });
+    return [...ids].sort((a, b) => a - b);
+}
+
+// ================================================================
+// ■ ブラシ
+// ================================================================
+
+/**
+ * 1ヘックスにブラシを適用する
+ * @returns {boolean} 値を変更した場合 true
+ */
+function applyToHex(allHexes: WorldMap, h: Hex, settings: BrushSettings, touch: (index: number) => void): boolean {
+    const p = h.properties;
+    switch (settings.brush) {
+        case 'elevation': {
+            const current = p.elevation;
+            let next = current;
+            if (settings.mode === 'raise') next = current + settings.amount;
+            else if (settings.mode === 'lower') next = current - settings.amount;
+            else next = settings.amount;
+            next = Math.round(next);
+            // 陸地の標高を0m以下にしても水域にはしない (水域ブラシで変更する)
+            if (next === current) return false;
+            p.elevation = next;
+            return true;
+        }
+        case 'water':
+            return settings.mode === 'land' ? makeLand(h) : makeWater(h);
+        case 'vegetation':
+            if (p.isWater || p.vegetation === settings.mode) return false;
+            setVegetation(h, settings.mode);
+            return true;
+        case 'settlement':
+            return setSettlement(allHexes, h, settings.mode || null, touch);
+        case 'nation': {
+            const nationId = Math.max(0, Math.floor(settings.amount));
+            // 首都は国の中心のため、国ブラシでは所属を変えない (集落ブラシで遷都する)
+            if (p.isWater || p.nationId === nationId || p.settlement === '首都') return false;
+            p.nationId = nationId;
+            if (p.settlement) reattachSettlement(allHexes, h);
+            return true;
+        }
+    }
+    return false;
+}
+
+function makeWater(h: Hex): boolean {
+    const p = h.properties;
+    if (p.isWater) return false;
+    const { SEA_ELEVATION } = config.HEX_EDITOR_PARAMS;
+    // 海に接している低地は海に、それ以外は湖にする
+    const isSea = p.elevation <= 0 || (p.isCoastal && p.elevation < config.TERRAIN_ELEVATION.HILLS);
+    if (isSea) p.elevation = Math.min(p.elevation, SEA_ELEVATION);
+    p.isWater = true;
+    p.terrainType = determineTerrainType(true, p.elevation);
+    p.vegetation = p.terrainType;
+    p.flow = 0;
+    p.settlement = null;
+    p.population = 0;
+    p.settlementName = null;
+    p.vegetationAreas = { water: config.HEX_AREA_HA };
+    p.landUse = { river: 0, desert: 0, barren: 0, grassland: 0, forest: 0, beach: 0 };
+    return true;
+}
+
+function makeLand(h: Hex): boolean {
+    const p = h.properties;
+    if (!p.isWater) return false;
+    p.isWater = false;
+    p.elevation = Math.max(p.elevation, config.HEX_EDITOR_PARAMS.MIN_LAND_ELEVATION);
+    p.terrainType = determineTerrainType(false, p.elevation);
+    setVegetation(h, null);
+    return true;
+}
+
+/**
+ * 植生と植生面積を設定する (vegetation = null の場合は気候から推定した優勢な植生にする)
+ * 指定した植生が優勢になるよう、推定した面積のうち最大のものと入れ替える。
+ */
+function setVegetation(h: Hex, vegetation: string | null) {
+    const p = h.properties;
+    const T = p.temperature || 0;
+    const P = p.precipitation_mm || 0;
+    const waterHa = p.flow > 0 ? Math.min(config.HEX_AREA_HA * 0.8, p.waterArea || 0) : 0;
+    const areas = allocateVegetation({
+        T, P, H: p.elevation, waterHa,
+        flatness: 1.0, soilFert: 0.5, D: P / (20 * T + 140),
+        coastalDist: p.isCoastal ? 0 : 20, oceanicity: p.isCoastal ? 0.8 : 0.2
+    });
+
+    const keys = Object.keys(VEGETATION_NAMES);
+    const dominant = keys.reduce((best, key) => ((areas[key] || 0) > (areas[best] || 0) ? key : best), keys[0]);
+    const chosen = vegetation ? keys.find(key => VEGETATION_NAMES[key] === vegetation) : dominant;
+    if (chosen && chosen !== dominant) {
+        [areas[chosen], areas[dominant]] = [areas[dominant] || 0, areas[chosen] || 0];
+    }
+
+    p.vegetation = VEGETATION_NAMES[chosen || dominant];
+    p.vegetationAreas = areas;
+    p.landUse = calculateLandUse(areas, waterHa);
+}
+
+/**
+ * 集落区分を変更する (首都にする場合は同じ国の元の首都を領都にして遷都する)
+ */
+function setSettlement(allHexes: WorldMap, h: Hex, settlement: string | null, touch: (index: number) => void): boolean {
+    const p = h.properties;
+    if (p.isWater || p.settlement === settlement) return false;
+    if (settlement === '首都' && !(p.nationId > 0)) return false;
+
+    if (!settlement) {
+        p.settlement = null;
+        p.population = 0;
+        return true;
+    }
+
+    if (settlement === '首都') {
+        const nationId = p.nationId;
+        const oldCapital = allHexes.find((other: Hex) => other.properties.settlement === '首都' && other.properties.nationId === nationId);
+        if (oldCapital) {
+            touch(oldCapital.index);
+            oldCapital.properties.settlement = '領都';
+            oldCapital.properties.parentHexId = h.index;
+            p.nationName = oldCapital.properties.nationName;
+            oldCapital.properties.nationName = null;
+            // 元の首都に直属していた領都は新しい首都に従属させる
+            allHexes.forEach((other: Hex) => {
+                const op = other.properties;
+                if (op.parentHexId === oldCapital.index && op.settlement === '領都') {
+                    touch(other.index);
+                    op.parentHexId = h.index;
+                }
+            });
+        }
+        p.parentHexId = null;
+    } else if (p.settlement === '首都') {
+        p.nationName = null;
+    }
+
+    p.settlement = settlement;
+    const minPopulation = config.HEX_EDITOR_PARAMS.SETTLEMENT_MIN_POPULATION[settlement] || 0;
+    if (!(p.population >= minPopulation)) p.population = minPopulation;
+    if (p.parentHexId == null && settlement !== '首都') reattachSettlement(allHexes, h);
+    return true;
+}
+
+/**
+ * 所属国の変わった集落を、その国の最も近い拠点 (首都・領都) に従属させる
+ */
+function reattachSettlement(allHexes: WorldMap, h: Hex) {
+    const p = h.properties;
+    const parent = p.parentHexId != null ? allHexes[p.parentHexId] : null;
+    if (parent && parent.properties.nationId === p.nationId) return;
+
+    let best = Infinity;
+    let bestIndex: number | null = null;
+    if (p.nationId > 0) {
+        allHexes.forEach((other: Hex) => {
+            const op = other.properties;
+            if (other.index === h.index || op.nationId !== p.nationId || (op.settlement !== '首都' && op.settlement !== '領都')) return;
+            const distance = getDistance(h, other);
+            if (distance < best) { best = distance; bestIndex = other.index; }
+        });
+    }
+    p.parentHexId = bestIndex;
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+/**
+ * 指定ヘックスから radius 以内 (隣接関係でたどった距離) のヘックス
+ */
+function getNeighborhood(allHexes: WorldMap, indices: Set<number>, radius: number): Set<number> {
+    const result = new Set<number>(indices);
+    let frontier = [...indices];
+    for (let step = 0; step < radius; step++) {
+        const next: number[] = [];
+        frontier.forEach(index => {
+            allHexes[index].neighbors.forEach(nIndex => {
+                if (result.has(nIndex)) return;
+                result.add(nIndex);
+                next.push(nIndex);
+            });
+        });
+        frontier = next;
+    }
+    return result;
+}
+
+function clearSettlementData(h: Hex) {
+    const p = h.properties;
+    p.ships = null;
+    p.industry = null;
+    p.demographics = null;
+    p.facilities = null;
+}
+
+function captureState(h: Hex, keys: string[]): Record<string, any> {
+    const state: Record<string, any> = {};
+    keys.forEach(key => {
+        const value = key === 'ridgeUpstreamIndex' ? h.ridgeUpstreamIndex : h.properties[key];
+        state[key] = value && typeof value === 'object' ? structuredClone(value) : value ?? null;
+    });
+    return state;
+}
+
+function restoreState(h: Hex, state: Record<string, any>) {
+    Object.entries(state).forEach(([key, value]) => {
+        const copy = value && typeof value === 'object' ? structuredClone(value) : value;
+        if (key === 'ridgeUpstreamIndex') h.ridgeUpstreamIndex = copy;
+        else h.properties[key] = copy;
+    });
+}
+
+function describeBrush(settings: BrushSettings): string {
+    switch (settings.brush) {
+        case 'elevation':
+            return settings.mode === 'set' ? `標高を${settings.amount}mに設定` : `標高を${settings.amount}m${settings.mode === 'raise' ? '上げる' : '下げる'}`;
+        case 'water':
+            return settings.mode === 'land' ? '陸地にする' : '水域にする';
+        case 'vegetation':
+            return `植生を${settings.mode}に変更`;
+        case 'settlement':
+            return settings.mode ? `集落を${settings.mode}に変更` : '集落をなくす';
+        case 'nation':
+            return `所属国を変更`;
+    }
+}
@@ -0,0 +1,212 @@
+// ================================================================
+// GeoForge System - ヘックス編集パネル
+// ================================================================
+// サイドバーの「ヘックス編集」パネル。編集モードの切り替え、ブラシ (標高・水域・植生・集落・国) と
+// 半径の選択、元に戻す/やり直しを担当する。編集モード中は地図のクリックでブラシを適用する。
+
+import * as config from './config.ts';
+import { getNationName } from './utils.ts';
+import { SETTLEMENT_TYPES } from './WorldMap.ts';
+import {
+    BrushSettings, EditBrush, EditRecord, EDITABLE_VEGETATION,
+    applyBrush, undoEdit, redoEdit, getEditHistoryState, getEditableNationIds
+} from './hexEditor.ts';
+
+interface HexEditorPanelOptions {
+    // 現在の世界データ ({ allHexes, seed }) を返す
+    getWorldData: () => any;
+    // 編集モードの切り替え時に呼ばれる (handler = 地図のクリック処理、null で編集モード終了)
+    onEditModeChange: (handler: ((d: any) => void) | null) => void;
+    // 編集・元に戻す・やり直しのあとに呼ばれる (地図と情報ウィンドウの更新)
+    onEdited: () => Promise<void>;
+}
+
+let options: HexEditorPanelOptions;
+
+let toggle: HTMLInputElement;
+let brushSelect: HTMLSelectElement;
+let modeSelect: HTMLSelectElement;
+let amountInput: HTMLInputElement;
+let amountRow: HTMLElement;
+let radiusInput: HTMLInputElement;
+let undoButton: HTMLButtonElement;
+let redoButton: HTMLButtonElement;
+let statusElement: HTMLElement;
+
+// 編集の反映中に次のクリックがあった場合は無視する
+let isApplying = false;
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {HexEditorPanelOptions} panelOptions
+ */
+export function setupHexEditorPanel(panelOptions: HexEditorPanelOptions) {
+    options = panelOptions;
+
+    toggle = document.getElementById('hex-editor-toggle') as HTMLInputElement;
+    brushSelect = document.getElementById('hex-editor-brush') as HTMLSelectElement;
+    modeSelect = document.getElementById('hex-editor-mode') as HTMLSelectElement;
+    amountInput = document.getElementById('hex-editor-amount') as HTMLInputElement;
+    amountRow = document.getElementById('hex-editor-amount-row') as HTMLElement;
+    radiusInput = document.getElementById('hex-editor-radius') as HTMLInputElement;
+    undoButton = document.getElementById('hex-editor-undo-btn') as HTMLButtonElement;
+    redoButton = document.getElementById('hex-editor-redo-btn') as HTMLButtonElement;
+    statusElement = document.getElementById('hex-editor-status') as HTMLElement;
+
+    radiusInput.max = String(config.HEX_EDITOR_PARAMS.MAX_BRUSH_RADIUS);
+    amountInput.value = String(config.HEX_EDITOR_PARAMS.ELEVATION_STEP);
+
+    toggle.addEventListener('change', () => setEditMode(toggle.checked));
+    brushSelect.addEventListener('change', renderModeOptions);
+    undoButton.addEventListener('click', () => runHistoryAction(undoEdit, '元に戻しました'));
+    redoButton.addEventListener('click', () => runHistoryAction(redoEdit, 'やり直しました'));
+
+    // 編集モード中のキーボード操作 (Ctrl+Z: 元に戻す / Ctrl+Y・Ctrl+Shift+Z: やり直し)
+    document.addEventListener('keydown', (event) => {
+        if (!toggle.checked || !(event.ctrlKey || event.metaKey)) return;
+        const target = event.target as HTMLElement;
+        if (target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            runHistoryAction(undoEdit, '元に戻しました');
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            runHistoryAction(redoEdit, 'やり直しました');
+        }
+    });
+
+    renderModeOptions();
+    updateHexEditorPanel(false);
+}
+
+/**
+ * パネルの有効・無効を切り替える (生成・読み込みの状態が変わったときに呼び出す)
+ * 無効にすると編集モードも終了する。
+ * @param {boolean} enabled - 編集できる状態かどうか (経済計算まで完了した世界)
+ */
+export function updateHexEditorPanel(enabled: boolean) {
+    if (!toggle) return;
+    toggle.disabled = !enabled;
+    if (!enabled && toggle.checked) {
+        toggle.checked = false;
+        setEditMode(false);
+    }
+    if (!enabled) statusElement.textContent = '';
+    renderModeOptions();
+    renderHistoryButtons();
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+function setEditMode(enabled: boolean) {
+    options.onEditModeChange(enabled ? handleHexClick : null);
+    statusElement.textContent = enabled ? '地図のヘックスをクリックしてブラシを適用します。' : '';
+    renderHistoryButtons();
+}
+
+/**
+ * 編集モード中に地図のヘックスがクリックされたときの処理
+ */
+async function handleHexClick(d: any) {
+    if (isApplying) return;
+    const worldData = options.getWorldData();
+    if (!worldData || !worldData.allHexes) return;
+
+    // 共有バッファに現在のデータがないブロック (座標が一致しない) は編集できない
+    const h = worldData.allHexes[d.index];
+    if (!h || h.col !== d.col || h.row !== d.row) {
+        statusElement.textContent = 'このヘックスは読み込まれていないため編集できません。';
+        return;
+    }
+
+    isApplying = true;
+    try {
+        const record = applyBrush(worldData, d.index, readSettings());
+        statusElement.textContent = record
+            ? `${record.label} (${record.changes.length}ヘックスを更新)`
+            : '変更はありません。';
+        if (record) await options.onEdited();
+    } finally {
+        isApplying = false;
+        renderHistoryButtons();
+    }
+}
+
+async function runHistoryAction(action: (allHexes: any) => EditRecord | null, verb: string) {
+    if (isApplying) return;
+    const worldData = options.getWorldData();
+    if (!worldData || !worldData.allHexes) return;
+
+    isApplying = true;
+    try {
+        const record = action(worldData.allHexes);
+        if (record) {
+            statusElement.textContent = `「${record.label}」を${verb}。`;
+            await options.onEdited();
+        }
+    } finally {
+        isApplying = false;
+        renderHistoryButtons();
+    }
+}
+
+function readSettings(): BrushSettings {
+    const brush = brushSelect.value as EditBrush;
+    return {
+        brush,
+        mode: modeSelect.value,
+        amount: brush === 'nation' ? Number(modeSelect.value) : Number(amountInput.value) || 0,
+        radius: Number(radiusInput.value) || 0
+    };
+}
+
+/**
+ * ブラシの種類に応じて、モードの選択肢と変化量の入力欄を切り替える
+ */
+function renderModeOptions() {
+    const brush = brushSelect.value as EditBrush;
+    let choices: [string, string][] = [];
+    switch (brush) {
+        case 'elevation':
+            choices = [['raise', '上げる'], ['lower', '下げる'], ['set', '指定した標高にする']];
+            break;
+        case 'water':
+            choices = [['water', '水域にする (海・湖)'], ['land', '陸地にする']];
+            break;
+        case 'vegetation':
+            choices = EDITABLE_VEGETATION.map(v => [v, v] as [string, string]);
+            break;
+        case 'settlement':
+            choices = [...SETTLEMENT_TYPES.map(s => [s, s] as [string, string]), ['', 'なし']];
+            break;
+        case 'nation': {
+            const worldData = options ? options.getWorldData() : null;
+            const ids = worldData && worldData.allHexes ? getEditableNationIds(worldData.allHexes) : [];
+            choices = [...ids.map(id => [String(id), getNationName(id)] as [string, string]), ['0', '辺境 (所属なし)']];
+            break;
+        }
+    }
+
+    const previous = modeSelect.value;
+    modeSelect.replaceChildren(...choices.map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }));
+    if (choices.some(([value]) => value === previous)) modeSelect.value = previous;
+
+    amountRow.style.display = brush === 'elevation' ? '' : 'none';
+    radiusInput.disabled = brush === 'settlement';
+}
+
+function renderHistoryButtons() {
+    const state = getEditHistoryState();
+    undoButton.disabled = !toggle.checked || !state.canUndo;
+    redoButton.disabled = !toggle.checked || !state.canRedo;
+    undoButton.title = state.undoLabel ? `元に戻す: ${state.undoLabel}` : '';
+    redoButton.title = state.redoLabel ? `やり直す: ${state.redoLabel}` : '';
+}
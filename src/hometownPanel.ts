@@ -0,0 +1,105 @@
+// ================================================================
+// GeoForge System - エントリーシートの故郷パネル
+// ================================================================
+// サイドバーの「エントリーシートの故郷」パネル。地図で集落をクリックすると、characterSheet.ts で
+// 故郷の背景を作って localStorage に書き込み、開いているエントリーシート (entrysheet.html) へ渡す。
+// エントリーシートから ?pick=hometown 付きで開かれた場合は、世界の準備ができたところで選択を始める。
+
+import * as config from './config.ts';
+import { buildHometown } from './characterSheet.ts';
+
+interface HometownPanelOptions {
+    // 現在の世界データ ({ allHexes }) を返す
+    getWorldData: () => any;
+    // 世界の名前を返す
+    getWorldName: () => string;
+    // 地点の選択を開始する (handler = 次にクリックされたヘックスを受け取る関数、null で取り消し)
+    onPickRequest: (handler: ((d: any) => void) | null) => void;
+}
+
+let options: HometownPanelOptions;
+
+let panelElement: HTMLDetailsElement;
+let placeLabel: HTMLElement;
+let pickButton: HTMLButtonElement;
+let statusElement: HTMLElement;
+
+// URL で故郷の選択を頼まれていて、まだ始めていないかどうか
+let pickRequestedByUrl = false;
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {HometownPanelOptions} panelOptions
+ */
+export function setupHometownPanel(panelOptions: HometownPanelOptions) {
+    options = panelOptions;
+
+    panelElement = document.getElementById('hometown-panel') as HTMLDetailsElement;
+    placeLabel = document.getElementById('hometown-place-label') as HTMLElement;
+    pickButton = document.getElementById('hometown-pick-btn') as HTMLButtonElement;
+    statusElement = document.getElementById('hometown-status') as HTMLElement;
+
+    const params = config.ENTRYSHEET_PARAMS;
+    pickRequestedByUrl = new URLSearchParams(location.search).get(params.PICK_URL_PARAM) === params.PICK_URL_VALUE;
+    if (pickRequestedByUrl) {
+        panelElement.open = true;
+        statusElement.textContent = '世界の準備ができると、故郷に選ぶ集落をクリックできます。';
+    }
+
+    pickButton.addEventListener('click', startPick);
+    updateHometownPanel(false);
+}
+
+/**
+ * パネルの有効・無効を切り替える
+ * @param {boolean} enabled - 故郷を選べる状態かどうか (経済まで生成済みの世界)
+ */
+export function updateHometownPanel(enabled: boolean) {
+    if (!pickButton) return;
+    pickButton.disabled = !enabled;
+    if (enabled && pickRequestedByUrl) {
+        pickRequestedByUrl = false;
+        startPick();
+    }
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+function startPick() {
+    statusElement.textContent = '地図で故郷にする集落をクリックしてください。';
+    armPick();
+}
+
+// 地点の選択は 1 回のクリックで解除されるため、集落でないヘックスを選んだときは選択を続ける
+function armPick() {
+    options.onPickRequest((d: any) => {
+        const worldData = options.getWorldData();
+        if (!worldData || !worldData.allHexes) return;
+
+        // 共有バッファに現在のデータがないブロック (座標が一致しない) のヘックスは選べない
+        const h = worldData.allHexes[d.index];
+        if (!h || h.col !== d.col || h.row !== d.row) {
+            statusElement.textContent = 'このヘックスは読み込まれていないため選べません。';
+            armPick();
+            return;
+        }
+
+        const hometown = buildHometown(h, options.getWorldName());
+        if (!hometown) {
+            statusElement.textContent = '人の住む集落を選んでください。';
+            armPick();
+            return;
+        }
+
+        try {
+            localStorage.setItem(config.ENTRYSHEET_PARAMS.HOMETOWN_STORAGE_KEY, JSON.stringify(hometown));
+        } catch (e) {
+            statusElement.textContent = '故郷を保存できませんでした (ブラウザの保存領域を確認してください)。';
+            return;
+        }
+        placeLabel.textContent = `${hometown.name} (${hometown.nation})`;
+        statusElement.textContent = 'エントリーシートに故郷を送りました。シートの画面に戻ってください。';
+    });
+}
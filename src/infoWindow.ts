@@ -7,10 +7,12 @@
 
 import * as d3 from 'd3';
 import * as config from './config.ts';
-import { getIndex, formatLocation } from './utils.ts';
+import { getIndex, formatLocation, getNationName } from './utils.ts';
 import { allocateVegetation } from './continentGenerator.ts';
 import { calculateHexIndustry, calculateHexDemographics, calculateHexFacilities, calculateHexShipOwnership } from './economyHelpers.ts';
 import { WorldMap, Hex } from './WorldMap.ts';
+import { getGenerationParams } from './worldRecipe.ts';
+import { getAnnualCycle } from './seasonalClimate.ts';
 
 interface SettlementStats {
     '首都': number;
@@ -145,7 +147,7 @@ export function updateOverallInfo(allHexes: WorldMap | any[]) {
             // 国家別の集計 (変更なし)
             if (!nationStats.has(p.nationId)) {
                 nationStats.set(p.nationId, {
-                    name: config.NATION_NAMES[p.nationId - 1] || `国家${p.nationId}`,
+                    name: getNationName(p.nationId),
                     population: 0, capital: null,
                     settlements: { '首都': 0, '領都': 0, '街': 0, '町': 0, '村': 0 }
                 });
@@ -205,7 +207,19 @@ export function updateOverallInfo(allHexes: WorldMap | any[]) {
  * @param {object} d - ヘックスデータ
  * @returns {string} - 整形された情報テキスト (HTML)
  */
-export function getInfoText(d: any, allHexes: WorldMap | any[]) {
+/**
+ * インデックスからヘックスを取得する (WorldMap / 配列の両対応)
+ */
+function getHexByIndex(allHexes: WorldMap | any[], index: number): any {
+    if (!allHexes) return null;
+    if (typeof (allHexes as any).getHex === 'function') return (allHexes as any).getHex(index);
+    return (allHexes as any)[index] || null;
+}
+
+/**
+ * @param {string} [leadingCardsHtml] - 先頭に載せるカード (地図の注釈など)
+ */
+export function getInfoText(d: any, allHexes: WorldMap | any[], leadingCardsHtml: string = '') {
     // [FIX] Lazy Restoration of missing data
     // d is a POJO (display data). We need to access the WorldMap/Buffer to calculate details.
     if (allHexes) {
@@ -310,12 +324,16 @@ export function getInfoText(d: any, allHexes: WorldMap | any[]) {
         return `<div class="info-row"><span class="label">${legendHtml}<span class="material-icons-round" style="font-size: 20px; vertical-align: middle; margin-right: 4px;">${icon}</span>${label}</span><span class="value">${value}${unit}</span></div>`;
     };
 
+    // --- ヘルパー: 名前の編集ボタン (nameEditor.ts がクリックを処理する) ---
+    const createNameEditButton = (kind: string, target: number) =>
+        `<button class="name-edit-btn" data-kind="${kind}" data-target="${target}" title="名前を変更"><span class="material-icons-round">edit</span></button>`;
+
     // --- 1. 基本情報カード ---
     let basicInfoHtml = '';
 
     // 位置・所属
-    const nationName = p.nationId > 0 && config.NATION_NAMES[p.nationId - 1] ? config.NATION_NAMES[p.nationId - 1] : '辺　境';
-    basicInfoHtml += createRow('flag', '所　属', nationName);
+    const nationName = getNationName(p.nationId, '辺　境');
+    basicInfoHtml += createRow('flag', '所　属', p.nationId > 0 ? nationName + createNameEditButton('nation', p.nationId) : nationName);
 
     // [FIX] Use col/row if available
     // [FIX] Use col/row if available and use World Coordinate format helper
@@ -325,12 +343,23 @@ export function getInfoText(d: any, allHexes: WorldMap | any[]) {
     if (p.settlement) {
         basicInfoHtml += createRow('location_city', '集落規模', p.settlement);
     }
+    if (p.settlementName || (p.settlement && p.settlement !== '散居')) {
+        basicInfoHtml += createRow('badge', '名　称', (p.settlementName || '(無名)') + createNameEditButton('settlement', d.index));
+    }
+
+    // 河川・山脈の名前
+    if (p.riverName) {
+        basicInfoHtml += createRow('water', '河　川', p.riverName + createNameEditButton('river', d.index));
+    }
+    if (p.ridgeName) {
+        basicInfoHtml += createRow('landscape', '山　脈', p.ridgeName + createNameEditButton('ridge', d.index));
+    }
 
     // 上位集落
     if (p.parentHexId != null) {
         const superiorHex = allHexesData[p.parentHexId];
         if (superiorHex) {
-            basicInfoHtml += createRow('arrow_upward', '上位集落', `${superiorHex.properties.settlement}`);
+            basicInfoHtml += createRow('arrow_upward', '上位集落', `${superiorHex.properties.settlement}${superiorHex.properties.settlementName ? ` ${superiorHex.properties.settlementName}` : ''}`);
             if (p.distanceToParent) {
                 basicInfoHtml += createRow('straighten', '距　離', `${p.distanceToParent.toFixed(1)}`, 'km');
             }
@@ -403,6 +432,22 @@ export function getInfoText(d: any, allHexes: WorldMap | any[]) {
     // 10. 魔物ランク
     envInfoHtml += createRow('warning', '魔　物', p.monsterRank ? p.monsterRank + 'ランク' : '見かけない');
 
+    // 11. 月ごとの気候 (気温・降水量・積雪・結氷、河川は流量の年平均比)
+    const cycle = getAnnualCycle(p);
+    const hasRiver = !p.isWater && p.flow > 0;
+    const seasonRows = cycle.map(m => {
+        const marks = [
+            m.snowCover ? '雪' : '',
+            m.frozen ? '氷' : '',
+            m.flooding ? '増水' : '',
+            m.passClosed ? '峠閉' : ''
+        ].filter(Boolean).join(' ');
+        const dischargeCell = hasRiver ? `<td>${Math.round(m.dischargeRatio * 100)}%</td>` : '';
+        return `<tr><td>${m.month}月</td><td>${m.temperature.toFixed(1)}</td><td>${m.precipitation_mm.toFixed(0)}</td>${dischargeCell}<td>${marks}</td></tr>`;
+    }).join('');
+    envInfoHtml += `<div class="sector-block" style="margin-top:8px;"><h6><span class="material-icons-round" style="font-size:14px; vertical-align:text-bottom; margin-right:4px;">calendar_month</span>月ごとの気候</h6>`;
+    envInfoHtml += `<table class="monthly-climate-table"><thead><tr><th>月</th><th>℃</th><th>mm</th>${hasRiver ? '<th>流量</th>' : ''}<th>状態</th></tr></thead><tbody>${seasonRows}</tbody></table></div>`;
+
     // 水域面積 (v3.3 - 詳細ロジック & カテゴリ分け)
     let riverArea = 0;
     let lakeArea = 0;
@@ -963,7 +1008,7 @@ export function getInfoText(d: any, allHexes: WorldMap | any[]) {
         livingHtml += `<div class="info-row"><span class="label"><span class="material-icons-round" style="font-size: 20px; vertical-align: middle; margin-right: 4px;">${getHappinessIcon(lc.happiness)}</span>幸福度</span><span class="value">${Math.round(lc.happiness)}/100</span></div>`;
 
         // 食料事情
-        const settlementInfo = config.SETTLEMENT_PARAMS[p.settlement || '散居'];
+        const settlementInfo = getGenerationParams().SETTLEMENT_PARAMS[p.settlement || '散居'];
         const annualDemand = p.population * (settlementInfo ? settlementInfo.consumption_t_per_person : 0.2);
         const monthlyDemand = annualDemand / 12;
 
@@ -973,6 +1018,23 @@ export function getInfoText(d: any, allHexes: WorldMap | any[]) {
         livingHtml += `<div class="sector-block" style="margin-top:8px;"><h6><span class="material-icons-round" style="font-size:14px; vertical-align:text-bottom; margin-right:4px;">restaurant</span>食料事情</h6>`;
         livingHtml += `<div class="info-row"><span class="label">月間消費</span><span class="value">${Math.round(monthlyDemand).toLocaleString()}t</span></div>`;
         livingHtml += `<div class="info-row"><span class="label">自給率</span><span class="value" style="${selfSufficiency < 1.0 ? 'color:#e74c3c;' : 'color:#2ecc71;'}">${(selfSufficiency * 100).toFixed(1)}%</span></div>`;
+        if (p.imports && p.imports['食料'] > 0) {
+            livingHtml += `<div class="info-row"><span class="label">月間仕入れ</span><span class="value">${Math.round(p.imports['食料'] / 12).toLocaleString()}t</span></div>`;
+        }
+        // 食料の仕入れ元 (物流シミュレーションの結果)
+        const foodSources = p.trade && p.trade.sources ? p.trade.sources.filter(s => s.good === '食料') : [];
+        if (foodSources.length > 0) {
+            const modeLabels = { land: '陸路', sea: '海路', mixed: '陸海' };
+            livingHtml += `<div class="industry-item" style="width:100%; font-weight:bold; font-size:11px; color:#666; margin-top:4px;">仕入れ元</div>`;
+            [...foodSources].sort((a, b) => b.tons - a.tons).slice(0, 5).forEach(s => {
+                const src = getHexByIndex(allHexes, s.from);
+                const srcName = src ? `${src.properties.settlement || '散居'} (${formatLocation(src, 'coords')})` : `#${s.from}`;
+                livingHtml += `<div class="industry-item" style="width:100%;"><span class="label">${srcName}</span><span class="value">${Math.round(s.tons).toLocaleString()}t/年・${s.days.toFixed(1)}日・${modeLabels[s.mode] || s.mode}</span></div>`;
+            });
+            if (foodSources.length > 5) {
+                livingHtml += `<div class="industry-item" style="width:100%; font-size:11px; color:#888;">ほか ${foodSources.length - 5} か所</div>`;
+            }
+        }
         /*
         if (p.shortage && p.shortage['食料'] > 0) {
             // 不足分も月間に換算して表示するか？とりあえず年間のままだと誤解を招くので月間に
@@ -1040,6 +1102,31 @@ export function getInfoText(d: any, allHexes: WorldMap | any[]) {
             logisticsHtml += `</div>`;
         }
 
+        // 交易 (物流シミュレーションの結果)
+        if (p.trade || p.roadUsage > 0) {
+            logisticsHtml += `<div class="sector-block" style="margin-top:8px;"><h6><span class="material-icons-round" style="font-size:14px; vertical-align:text-bottom; margin-right:4px;">swap_horiz</span>交易 (年間)</h6>`;
+            if (p.roadUsage > 0) {
+                logisticsHtml += `<div class="info-row"><span class="label">交通量</span><span class="value">${Math.round(p.roadUsage).toLocaleString()} t/年</span></div>`;
+            }
+            if (p.trade) {
+                for (const [good, tons] of Object.entries(p.trade.exports || {})) {
+                    if ((tons as number) > 0) logisticsHtml += `<div class="info-row"><span class="label">${good} 出荷</span><span class="value">${Math.round(tons as number).toLocaleString()} t</span></div>`;
+                }
+                for (const [good, tons] of Object.entries(p.imports || {})) {
+                    if ((tons as number) > 0) logisticsHtml += `<div class="info-row"><span class="label">${good} 仕入れ</span><span class="value">${Math.round(tons as number).toLocaleString()} t</span></div>`;
+                }
+                const getPriceClass = (val) => val > 1.5 ? 'shortage' : (val < 0.9 ? 'surplus' : '');
+                const prices = Object.entries(p.trade.prices || {});
+                if (prices.length > 0) {
+                    logisticsHtml += `<div class="industry-item" style="width:100%; font-weight:bold; font-size:11px; color:#666; margin-top:4px;">地域価格 (基準1.0)</div>`;
+                    prices.forEach(([good, price]) => {
+                        logisticsHtml += `<div class="industry-item" style="width:100%;"><span class="label">${good}</span><span class="value ${getPriceClass(price)}">${(price as number).toFixed(2)}</span></div>`;
+                    });
+                }
+            }
+            logisticsHtml += `</div>`;
+        }
+
         // 物流資産 (陸上)
         logisticsHtml += `<div class="sector-block" style="margin-top:8px;"><h6><span class="material-icons-round" style="font-size:14px; vertical-align:text-bottom; margin-right:4px;">inventory</span>物流資産 (陸上)</h6>`;
         logisticsHtml += `<div class="industry-group" style="display:flex; flex-direction:column; gap:4px;">`;
@@ -1156,7 +1243,7 @@ export function getInfoText(d: any, allHexes: WorldMap | any[]) {
         territoryHtml += createRow('landscape', '合計農地', Math.round(data.cultivatedArea).toLocaleString(), 'ha');
 
         // 収支
-        const settlementInfo = config.SETTLEMENT_PARAMS[p.settlement];
+        const settlementInfo = getGenerationParams().SETTLEMENT_PARAMS[p.settlement];
         const totalDemand = data.population * settlementInfo.consumption_t_per_person;
         const totalSupply = Object.values(data.production as { [key: string]: number }).reduce((a, b) => a + b, 0);
         const balance = totalSupply - totalDemand;
@@ -1175,7 +1262,7 @@ export function getInfoText(d: any, allHexes: WorldMap | any[]) {
     // 以前のレイアウト構成を復元 (ボタンはindex.htmlの静的要素を使用するためここには含めない)
     return `<div style="position: relative; height: 100%; width: 100%; overflow: hidden;">
         <div class="info-scroll-container" style="height: 100%; overflow-y: auto; padding-top: 10px;">
-            ${basicCard}${envCard}${resourceCard}${industryCard}${societyCard}${livingCard}${logisticsCard}${territoryCard}
+            ${leadingCardsHtml}${basicCard}${envCard}${resourceCard}${industryCard}${societyCard}${livingCard}${logisticsCard}${territoryCard}
         </div>
     </div>`;
 }
@@ -1193,7 +1280,7 @@ export function generateHexJson(d) {
     // 1. 基本情報
     json['基本情報'] = {
         'ID': d.index,
-        '所属': p.nationId > 0 && config.NATION_NAMES[p.nationId - 1] ? config.NATION_NAMES[p.nationId - 1] : '辺境',
+        '所属': getNationName(p.nationId),
         '座標': `E${String(d.x).padStart(3, '0')}-N${String(d.y).padStart(3, '0')}`,
         '集落規模': p.settlement || null,
         '上位集落ID': p.parentHexId,
@@ -1365,7 +1452,7 @@ export function generateHexJson(d) {
                     'ID': neighborIndex,
                     '地形': np.isWater ? np.vegetation : (np.terrainType || np.vegetation),
                     '標高': Math.round(np.elevation),
-                    '所属': np.nationId > 0 && config.NATION_NAMES[np.nationId - 1] ? config.NATION_NAMES[np.nationId - 1] : '辺境',
+                    '所属': getNationName(np.nationId),
                     '集落': np.settlement || 'なし'
                 });
             }
@@ -0,0 +1,342 @@
+// ================================================================
+// GeoForge System - 物流シミュレーションモジュール (余剰物資の輸送と地域価格)
+// ================================================================
+// 各ヘックスの生産量 (calculateHexIndustry) と需要から品目ごとの余剰・不足を求め、
+// 道路網 (交易路・下位道路) と航路 (generateSeaRoutes) を通じて余剰を不足地へ運ぶ。
+// 1年間に運べる量は、荷主となる集落の荷馬車・駄獣・船の積載量 (logistics.transportCapacity) と往復日数で決まる。
+//
+// 結果は以下のプロパティに書き込む (いずれも t/年)。
+//   imports  : 品目ごとの仕入れ量 (calculateLivingConditions が食料の供給に加算する)
+//   surplus  : 出荷しきれずに残った余剰
+//   shortage : 仕入れても埋まらなかった不足
+//   trade    : { exports: 品目ごとの出荷量, sources: 仕入れ元の一覧, prices: 品目ごとの地域価格指数 }
+
+import * as config from './config.ts';
+import { getIndex, MinHeap } from './utils.ts';
+import { calculateTravelDays } from './roadGenerator.js';
+import { WorldMap, Hex } from './WorldMap.ts';
+import { getGenerationParams } from './worldRecipe.ts';
+
+/** 輸送網の辺 (隣接ヘックスへの移動) */
+export interface TransportEdge {
+    to: number;
+    days: number;
+    mode: 'land' | 'sea';
+}
+
+/** 輸送網 (ヘックスインデックス -> 辺の一覧) */
+export type TransportNetwork = Map<number, TransportEdge[]>;
+
+/** 最短経路探索の結果 (始点から各ヘックスまで) */
+export interface RouteInfo {
+    days: number;
+    landDays: number;
+    seaDays: number;
+    prev: number; // 直前のヘックス (始点は -1)
+}
+
+/** 仕入れ元の記録 */
+export interface TradeSource {
+    from: number; // 出荷元のヘックスインデックス
+    good: string;
+    tons: number; // t/年
+    days: number; // 片道の輸送日数
+    mode: 'land' | 'sea' | 'mixed';
+}
+
+/** ヘックスごとの交易データ (hex.properties.trade) */
+export interface TradeData {
+    exports: { [good: string]: number };
+    sources: TradeSource[];
+    prices: { [good: string]: number };
+}
+
+// 航路 (generateSeaRoutes) の道路レベル
+const SEA_ROUTE_LEVEL = 10;
+// 航路データに船種がない場合に想定する船
+const DEFAULT_SHIP_KEY = 'small_trader';
+
+// ================================================================
+// ■ 輸送網と経路探索
+// ================================================================
+
+/**
+ * 道路網と航路から輸送網を構築する
+ * 道路に面していない集落は、隣接する道路ヘックスまで道なき道 (OFFROAD_ROAD_LEVEL) でつなぐ。
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {Array<object>} roadPaths - 道路・航路のリスト ({ path, level, shipKey? })
+ * @returns {TransportNetwork}
+ */
+export function buildTransportNetwork(allHexes: WorldMap, roadPaths: any[]): TransportNetwork {
+    const network: TransportNetwork = new Map();
+
+    const addEdge = (from: number, to: number, days: number, mode: 'land' | 'sea') => {
+        if (!network.has(from)) network.set(from, []);
+        const edges = network.get(from)!;
+        const existing = edges.find(e => e.to === to);
+        if (!existing) {
+            edges.push({ to, days, mode });
+        } else if (days < existing.days) {
+            existing.days = days;
+            existing.mode = mode;
+        }
+    };
+
+    roadPaths.forEach(road => {
+        if (!road.path || road.path.length < 2) return;
+        const isSea = road.level === SEA_ROUTE_LEVEL;
+        const ship = isSea ? (config.SHIP_TYPES[road.shipKey] || config.SHIP_TYPES[DEFAULT_SHIP_KEY]) : null;
+
+        for (let i = 0; i < road.path.length - 1; i++) {
+            const a = getIndex(road.path[i].x, road.path[i].y);
+            const b = getIndex(road.path[i + 1].x, road.path[i + 1].y);
+            if (a === b || !allHexes[a] || !allHexes[b]) continue;
+
+            const days = isSea
+                ? config.HEX_SIZE_KM / (ship.avg_speed_kmh * config.LOGISTICS_PARAMS.SAILING_HOURS_PER_DAY)
+                : calculateTravelDays([road.path[i], road.path[i + 1]], road.level, allHexes);
+            const mode = isSea ? 'sea' : 'land';
+            addEdge(a, b, days, mode);
+            addEdge(b, a, days, mode);
+        }
+    });
+
+    // 道路に面していない集落を、隣接する陸上の道路ヘックスに接続する
+    allHexes.forEach((h: Hex) => {
+        const p = h.properties;
+        if (p.population <= 0 || p.isWater || network.has(h.index)) return;
+        h.neighbors.forEach((nIdx: number) => {
+            const neighbor = allHexes[nIdx];
+            if (!neighbor || neighbor.properties.isWater || !network.has(nIdx)) return;
+            const days = calculateTravelDays(
+                [{ x: h.col, y: h.row }, { x: neighbor.col, y: neighbor.row }],
+                config.LOGISTICS_PARAMS.OFFROAD_ROAD_LEVEL, allHexes
+            );
+            addEdge(h.index, nIdx, days, 'land');
+            addEdge(nIdx, h.index, days, 'land');
+        });
+    });
+
+    return network;
+}
+
+/**
+ * 始点から輸送網上の各ヘックスまでの最短日数を求める (ダイクストラ法)
+ * @param {TransportNetwork} network - 輸送網
+ * @param {number} start - 始点のヘックスインデックス
+ * @param {number} maxDays - 探索を打ち切る片道日数
+ * @returns {Map<number, RouteInfo>} 到達できたヘックス -> 経路情報 (始点を含む)
+ */
+export function findRoutes(network: TransportNetwork, start: number, maxDays: number): Map<number, RouteInfo> {
+    const routes = new Map<number, RouteInfo>([[start, { days: 0, landDays: 0, seaDays: 0, prev: -1 }]]);
+    const settled = new Set<number>();
+    const heap = new MinHeap();
+    heap.push(start, 0);
+
+    while (heap.size > 0) {
+        const current = heap.pop();
+        if (settled.has(current)) continue;
+        settled.add(current);
+        const route = routes.get(current)!;
+
+        (network.get(current) || []).forEach(edge => {
+            const days = route.days + edge.days;
+            if (days > maxDays) return;
+            const known = routes.get(edge.to);
+            if (known && known.days <= days) return;
+            routes.set(edge.to, {
+                days,
+                landDays: route.landDays + (edge.mode === 'land' ? edge.days : 0),
+                seaDays: route.seaDays + (edge.mode === 'sea' ? edge.days : 0),
+                prev: current
+            });
+            heap.push(edge.to, days);
+        });
+    }
+    return routes;
+}
+
+/**
+ * findRoutes の結果から、始点から target までに通るヘックスの列を返す (到達できない場合は空配列)
+ */
+export function traceRoute(routes: Map<number, RouteInfo>, target: number): number[] {
+    if (!routes.has(target)) return [];
+    const path: number[] = [];
+    for (let current = target; current !== -1; current = routes.get(current)!.prev) {
+        path.push(current);
+    }
+    return path.reverse();
+}
+
+// ================================================================
+// ■ 物流シミュレーション
+// ================================================================
+
+/**
+ * ヘックスの品目ごとの年間生産量 (t)
+ */
+function calculateProduction(p: Hex): { [good: string]: number } {
+    const production = {};
+    const industry = p.industry || {};
+    Object.entries(config.LOGISTICS_PARAMS.GOODS).forEach(([good, def]) => {
+        let total = 0;
+        def.items.forEach(item => {
+            total += (industry.primary && industry.primary[item]) || 0;
+            total += (industry.secondary && industry.secondary[item]) || 0;
+        });
+        production[good] = total;
+    });
+    return production;
+}
+
+/**
+ * ヘックスの品目ごとの年間需要 (t)
+ */
+function calculateDemand(p: Hex): { [good: string]: number } {
+    const demand = {};
+    const settlementInfo = getGenerationParams().SETTLEMENT_PARAMS[p.settlement || '散居'];
+    Object.entries(config.LOGISTICS_PARAMS.GOODS).forEach(([good, def]) => {
+        const perPerson = def.demand_t_per_person ?? (settlementInfo ? settlementInfo.consumption_t_per_person : 0.2);
+        demand[good] = p.population * perPerson;
+    });
+    return demand;
+}
+
+/**
+ * 余剰物資を輸送網に沿って不足地へ運び、仕入れ量・余剰・不足・地域価格を求める
+ * 各産地は輸送日数の短い需要地から順に出荷する (近くの市場ほど先に満たされる)。
+ * 輸送に使う荷馬車・駄獣・船は、仕入れ側の集落のものから先に使い、足りない分は出荷側のものを使う。
+ * @param {WorldMap} allHexes - 全ヘックスデータ (calculateHexIndustry / calculateHexFacilities の実行後)
+ * @param {Array<object>} roadPaths - 道路・航路のリスト
+ * @param {Function} addLogMessage - ログ出力関数
+ */
+export async function simulateLogistics(allHexes: WorldMap, roadPaths: any[] | null, addLogMessage) {
+    await addLogMessage("物資の流通と地域価格を計算中...");
+    const params = config.LOGISTICS_PARAMS;
+    const goods = Object.keys(params.GOODS);
+    const network = buildTransportNetwork(allHexes, roadPaths || []);
+
+    // 1. 品目ごとの需給と、輸送力 (t・日/年) の初期化
+    const demands = new Map<number, { [good: string]: number }>();
+    const needs = new Map<number, { [good: string]: number }>();
+    const surpluses = new Map<number, { [good: string]: number }>();
+    const landBudget = new Map<number, number>();
+    const waterBudget = new Map<number, number>();
+
+    allHexes.forEach((h: Hex) => {
+        const p = h.properties;
+        if (p.population <= 0 || p.isWater) {
+            p.imports = null;
+            p.surplus = null;
+            p.shortage = null;
+            p.trade = null;
+            return;
+        }
+        const production = calculateProduction(p);
+        const demand = calculateDemand(p);
+        const need = {};
+        const surplus = {};
+        goods.forEach(good => {
+            need[good] = Math.max(0, demand[good] - production[good]);
+            surplus[good] = Math.max(0, production[good] - demand[good]);
+        });
+        demands.set(h.index, demand);
+        needs.set(h.index, need);
+        surpluses.set(h.index, surplus);
+
+        const capacity = p.logistics && p.logistics.transportCapacity;
+        landBudget.set(h.index, capacity ? capacity.land * params.LAND_OPERATING_DAYS : 0);
+        waterBudget.set(h.index, capacity ? capacity.water * params.SAILING_DAYS : 0);
+
+        p.imports = {};
+        p.trade = { exports: {}, sources: [], prices: {} };
+    });
+
+    // 往復に必要な輸送力 (t・日) を、仕入れ側 -> 出荷側の順に差し引く
+    const consumeBudget = (budget: Map<number, number>, buyer: number, seller: number, amount: number) => {
+        const fromBuyer = Math.min(budget.get(buyer) || 0, amount);
+        budget.set(buyer, (budget.get(buyer) || 0) - fromBuyer);
+        budget.set(seller, Math.max(0, (budget.get(seller) || 0) - (amount - fromBuyer)));
+    };
+
+    // 2. 産地ごとに、近い需要地から順に出荷する (余剰の多い産地から処理する)
+    const totalSurplus = (index: number) => goods.reduce((sum, good) => sum + surpluses.get(index)![good], 0);
+    const sellers = [...surpluses.keys()]
+        .filter(index => network.has(index) && totalSurplus(index) > 0)
+        .sort((a, b) => totalSurplus(b) - totalSurplus(a) || a - b);
+
+    let totalTons = 0;
+    const buyersServed = new Set<number>();
+    sellers.forEach(seller => {
+        const surplus = surpluses.get(seller)!;
+        const routes = findRoutes(network, seller, params.MAX_DELIVERY_DAYS);
+        const buyers = [...routes.keys()]
+            .filter(index => index !== seller && needs.has(index))
+            .sort((a, b) => routes.get(a)!.days - routes.get(b)!.days || a - b);
+
+        const sellerTrade: TradeData = allHexes[seller].properties.trade;
+        goods.forEach(good => {
+            for (const buyer of buyers) {
+                if (surplus[good] <= 0) break;
+                const need = needs.get(buyer)!;
+                if (need[good] <= 0) continue;
+
+                const route = routes.get(buyer)!;
+                const byLand = route.landDays > 0 ? ((landBudget.get(buyer) || 0) + (landBudget.get(seller) || 0)) / (2 * route.landDays) : Infinity;
+                const bySea = route.seaDays > 0 ? ((waterBudget.get(buyer) || 0) + (waterBudget.get(seller) || 0)) / (2 * route.seaDays) : Infinity;
+                const tons = Math.min(need[good], surplus[good], byLand, bySea);
+                if (tons < 0.01) continue;
+
+                consumeBudget(landBudget, buyer, seller, tons * 2 * route.landDays);
+                consumeBudget(waterBudget, buyer, seller, tons * 2 * route.seaDays);
+                need[good] -= tons;
+                surplus[good] -= tons;
+
+                const buyerProps = allHexes[buyer].properties;
+                sellerTrade.exports[good] = (sellerTrade.exports[good] || 0) + tons;
+                buyerProps.imports[good] = (buyerProps.imports[good] || 0) + tons;
+                buyerProps.trade.sources.push({
+                    from: seller,
+                    good,
+                    tons: Math.round(tons * 100) / 100,
+                    days: Math.round(route.days * 10) / 10,
+                    mode: route.seaDays === 0 ? 'land' : (route.landDays === 0 ? 'sea' : 'mixed')
+                });
+                buyersServed.add(buyer);
+                totalTons += tons;
+            }
+        });
+    });
+
+    // 3. 残った余剰・不足と地域価格
+    demands.forEach((demand, index) => {
+        const p = allHexes[index].properties;
+        const trade: TradeData = p.trade;
+        const surplus = {};
+        const shortage = {};
+        goods.forEach(good => {
+            const remainingSurplus = surpluses.get(index)![good];
+            const remainingNeed = needs.get(index)![good];
+            if (remainingSurplus > 0.01) surplus[good] = remainingSurplus;
+            if (remainingNeed > 0.01) shortage[good] = remainingNeed;
+            if (demand[good] <= 0) return;
+
+            const imported = p.imports[good] || 0;
+            const importDays = imported > 0
+                ? trade.sources.filter(s => s.good === good).reduce((sum, s) => sum + s.tons * s.days, 0) / imported
+                : 0;
+
+            // 輸送費 (仕入れの割合 × 日数) と不足で上がり、売れ残りで下がる
+            let price = 1.0;
+            price += params.TRANSPORT_COST_PER_DAY * importDays * (imported / demand[good]);
+            price += params.SHORTAGE_PRICE_FACTOR * (remainingNeed / demand[good]);
+            price -= params.SURPLUS_PRICE_FACTOR * Math.min(1, remainingSurplus / demand[good]);
+            trade.prices[good] = Math.round(Math.min(params.MAX_PRICE, Math.max(params.MIN_PRICE, price)) * 100) / 100;
+        });
+        p.surplus = surplus;
+        p.shortage = shortage;
+    });
+
+    await addLogMessage(`物資の流通: ${buyersServed.size}か所の集落が年間 ${Math.round(totalTons).toLocaleString()}t を仕入れました。`);
+    return allHexes;
+}
@@ -1,24 +1,53 @@
 
 import * as d3 from 'd3';
 import * as config from './config.ts';
-import { generateIntegratedMap, generateClimateAndVegetation, initializeNoiseFunctions, recalculateGeographicFlags } from './continentGenerator.ts';
-import { generateCivilization, determineTerritories, generateMonsterDistribution, generateHuntingPotential, generateLivestockPotential, assignTerritoriesByTradeRoutes } from './civilizationGenerator.ts';
-import { simulateEconomy, calculateRoadTraffic, calculateLivingConditions } from './economySimulator.js';
-import { calculateTerritoryAggregates, calculateFacilities } from './missing_functions.ts';
-import { setupUI, redrawClimate, redrawSettlements, redrawRoadsAndNations, resetUI, redrawMap, updateUIWithBlockData } from './ui.js';
-import { generateTradeRoutes, generateFeederRoads, generateMainTradeRoutes, calculateRoadDistance, calculateTravelDays, generateSeaRoutes } from './roadGenerator.ts';
-import { getIndex, initGlobalRandom } from './utils.ts';
+import { generateClimateAndVegetation, initializeNoiseFunctions, recalculateGeographicFlags } from './continentGenerator.ts';
+import { setupUI, redrawClimate, redrawSettlements, redrawRoadsAndNations, resetUI, redrawMap, updateUIWithBlockData, refreshHexNames, setEditHandler, refreshEditedHexes, setPickHandler, setTravelRoute, getMapViewBounds, exportMap, setSearchHighlights, focusMapHex, setFogOfWar, setRevealHandler, getTravelRoute, setAnnotations } from './ui.js';
+import { startGeneration, GenerationTask, GenerationResult } from './generationClient.ts';
 import { WorldMap, Hex } from './WorldMap.ts';
 import { splitWorldIntoBlocks } from './MapSplitter.ts';
-import { blockManager, compressWorldData, processLoadedData, createCompressedData } from './BlockIO.ts';
+import { blockManager, processLoadedData, createBlockFile } from './BlockIO.ts';
+import { createStorageAdapters } from './StorageAdapter.ts';
+import { setupStoragePanel, getActiveStorageAdapter, getWorldName, setStorageStatus, refreshWorldList } from './storagePanel.ts';
+import { simulateYears, applyHistoryYear, WorldHistory } from './timelineSimulator.ts';
+import { setupTimelinePanel, updateTimelinePanel } from './timelinePanel.ts';
+import { simulateNationHistory, applyNationHistoryYear, NationHistory } from './nationHistorySimulator.ts';
+import { setupNationHistoryPanel, updateNationHistoryPanel } from './nationHistoryPanel.ts';
+import { setupNameEditor } from './nameEditor.ts';
+import { setupHexEditorPanel, updateHexEditorPanel } from './hexEditorPanel.ts';
+import { setupTravelPanel, updateTravelPanel, refreshTravelPanel } from './travelPanel.ts';
+import { setupRandomTablePanel, updateRandomTablePanel } from './randomTablePanel.ts';
+import { setupHometownPanel, updateHometownPanel } from './hometownPanel.ts';
+import { setupStatsDashboardPanel, updateStatsDashboardPanel, refreshStatsDashboard } from './statsDashboardPanel.ts';
+import { setupVariantPanel, updateVariantPanel, refreshVariantPanel, resetVariantPanel, getRegenerationLocks } from './variantPanel.ts';
+import { RegenerationLocks, LockPlan, resolveLockPlan, locksFromReroll } from './regenerationLocks.ts';
+import { RerollStage, REROLL_STAGE_LABELS, VariantRecord, addVariant, updateVariant, activateVariant, getActiveVariantId, getVariants, canSwitchToVariant, clearVariants, describeLocks, getVariantRecords, restoreVariants } from './worldVariants.ts';
+import { computeWorldEconomyStats } from './rulebookData.ts';
+import { setupSearchPanel, updateSearchPanel, refreshSearchPanel } from './searchPanel.ts';
+import { setupExportPanel, updateExportPanel } from './exportPanel.ts';
+import { setupFogPanel, updateFogPanel } from './fogPanel.ts';
+import { setupAnnotationPanel, updateAnnotationPanel } from './annotationPanel.ts';
+import { Annotation } from './annotations.ts';
+import { setupTerrainImportPanel, getBaseTerrainImage } from './terrainImportPanel.ts';
+import { setupRecipePanel, buildRecipeFromPanel, setRecipePanelInputs, updateRecipePanel } from './recipePanel.ts';
+import { WorldRecipe, RecipeReroll, createRecipe, setActiveRecipe, getActiveRecipe, decodeRecipe, withBaseTerrain, getBaseTerrainWarning, withReroll, withoutRerolls } from './worldRecipe.ts';
+import { clearEditHistory } from './hexEditor.ts';
+import { clearNationNames, GenerationProgress, RandomState, SeededRandom } from './utils.ts';
+import { syncNationNames } from './nameGenerator.ts';
 
 // GASのデプロイで取得したウェブアプリのURL (データのクラウド保存用)
 const GAS_WEB_APP_URL = 'https://script.google.com/macros/s/AKfycbyS8buNL8u2DK9L3UZRtQqLWgDLvuj0WE5ZrzzdXNXSWH3bnGo-JsiO9KSrHp6YOjmtvg/exec';
+// ワールドサーバー (server/index.mjs) の API ベースURL。開発時は Vite のプロキシ経由で /api に届く
+// @ts-ignore: import.meta.env is provided by Vite
+const WORLD_SERVER_URL: string = import.meta.env.VITE_WORLD_SERVER_URL || '/api';
 
 // DOM要素の参照
 const loadingOverlay = document.getElementById('loading-overlay') as HTMLElement;
 const logContainer = document.getElementById('loading-log') as HTMLElement;
 const progressBarContainer = document.getElementById('progress-bar-container') as HTMLElement;
+const progressBar = document.getElementById('progress-bar') as HTMLElement;
+const progressLabel = document.getElementById('progress-label') as HTMLElement;
+const cancelGenerationBtn = document.getElementById('generation-cancel-btn') as HTMLButtonElement;
 
 // [NEW] Update Version Display via Define Plugin (Vite config)
 // declare const __APP_VERSION__: string; // Defined in vite.config.js or globally
@@ -33,6 +62,12 @@ interface WorldData {
     allHexes: WorldMap | null;
     roadPaths: any[] | null;
     seed: number;
+    recipe?: WorldRecipe | null; // 生成に使ったレシピ (worldRecipe.ts)
+    history?: WorldHistory | null; // 年次シミュレーションの履歴 (timelineSimulator.ts)
+    nationHistory?: NationHistory | null; // 国家史 (戦争・併合・独立) の記録 (nationHistorySimulator.ts)
+    annotations?: Annotation[]; // 地図の注釈 (annotations.ts)
+    variants?: VariantRecord[]; // 保存されていたバリエーションの記録 (読み込み時のみ。worldVariants.ts)
+    edited?: boolean; // ヘックス編集・名前の変更で手を加えたか (レシピから作り直すと失われる)
 }
 
 // 分割生成のためのグローバル状態管理変数
@@ -42,6 +77,9 @@ let worldData: WorldData = {
     seed: 0 // 再現性のための乱数シード
 };
 let uiInitialized = false; // UIが初期化済みかどうかのフラグ
+let activeGeneration: GenerationTask | null = null; // 実行中の生成ワーカー (中止ボタンで終了する)
+let generationRandomState: RandomState | null = null; // 次の生成ステップに引き継ぐ乱数の状態
+let pendingRerolls: RecipeReroll[] = []; // ④ のあとで再現する、レシピに記録された部分的な再生成
 
 // 操作ボタン要素の取得
 const step1Btn = document.getElementById('step1-continent-btn') as HTMLButtonElement;
@@ -50,7 +88,7 @@ const step3Btn = document.getElementById('step3-settlement-btn') as HTMLButtonEl
 const step4Btn = document.getElementById('step4-nation-btn') as HTMLButtonElement;
 const step5Btn = document.getElementById('step5-save-btn') as HTMLButtonElement;
 const downloadJsonBtn = document.getElementById('download-json-btn') as HTMLButtonElement;
-const loadGasBtn = document.getElementById('load-gas-btn') as HTMLButtonElement;
+const loadStorageBtn = document.getElementById('load-storage-btn') as HTMLButtonElement;
 const regenerateBtn = document.getElementById('force-regenerate-btn') as HTMLButtonElement;
 
 
@@ -97,7 +135,34 @@ function updateButtonStates(currentStep: number) {
     step4Btn.disabled = currentStep < 3;
     step5Btn.disabled = currentStep < 4;
     downloadJsonBtn.disabled = currentStep < 4;
-    loadGasBtn.disabled = false; // ロードはいつでも可能
+    loadStorageBtn.disabled = false; // ロードはいつでも可能
+    updateTimelinePanel(currentStep >= 4 ? worldData.history : null, currentStep >= 4); // 年次シミュレーションは経済が確定してから
+    updateNationHistoryPanel(currentStep >= 4 ? worldData.nationHistory : null, currentStep >= 4);
+    updateHexEditorPanel(currentStep >= 4);
+    updateTravelPanel(currentStep >= 4);
+    updateRandomTablePanel(currentStep >= 4);
+    updateHometownPanel(currentStep >= 4);
+    updateStatsDashboardPanel(currentStep >= 4);
+    updateVariantPanel(currentStep >= 4);
+    updateSearchPanel(currentStep >= 1);
+    updateExportPanel(currentStep >= 1);
+    updateFogPanel(currentStep >= 1);
+    updateAnnotationPanel(currentStep >= 1);
+    updateRecipePanel(currentStep >= 1 ? worldData.recipe || null : null);
+    if (currentStep >= 4) publishRulebookStats();
+}
+
+/**
+ * 世界の経済の集計 (集落区分ごとの世帯収入の中央値など) をルールブックの画面に渡す
+ * ルールブックは別のページのため localStorage を経由する。書き込めなくても地図の操作は続ける。
+ */
+function publishRulebookStats() {
+    try {
+        const stats = computeWorldEconomyStats(worldData.allHexes, getWorldName(worldData.seed));
+        if (stats) localStorage.setItem(config.RULEBOOK_PARAMS.WORLD_STATS_STORAGE_KEY, JSON.stringify(stats));
+    } catch (e) {
+        console.warn('ルールブック用の集計を保存できませんでした:', e);
+    }
 }
 
 /**
@@ -109,47 +174,147 @@ function resetWorld() {
     d3.select('#hexmap').selectAll('*').remove();
 
     resetUI();
+    clearNationNames();
+    clearEditHistory();
+    clearVariants();
+    resetVariantPanel();
 
     // グローバルな状態管理変数を初期化
     worldData = {
         allHexes: null,
         roadPaths: null,
-        seed: 0
+        seed: 0,
+        recipe: null,
+        history: null,
+        nationHistory: null,
+        annotations: []
     };
     uiInitialized = false;
+    generationRandomState = null;
+    pendingRerolls = [];
 
     // UI要素を初期状態に戻す
     updateButtonStates(0); // ボタンの状態もリセット
     blockManager.reset(); // BlockManagerもリセット
 }
 
+/**
+ * 生成ステップをワーカー (generationWorker.ts) で実行する
+ * 実行中はプログレスバーに工程ごとの進捗を表示し、中止ボタンでワーカーを終了できる。
+ * 失敗した場合はログを読めるようにローディング画面を開いたままにし、中止ボタンを「閉じる」にする。
+ * @param {Object} request - 実行するステップと入力 (generationClient.ts の startGeneration)
+ * @param {Function} [onSnapshot] - 途中経過の世界を描画する関数
+ * @returns {Promise<GenerationResult|null>} 結果 (中止・失敗した場合は null)
+ */
+async function runGenerationStage(request: Parameters<typeof startGeneration>[0], onSnapshot?: (allHexes: WorldMap) => Promise<void>): Promise<GenerationResult | null> {
+    showGenerationProgress(null);
+    cancelGenerationBtn.textContent = '生成を中止';
+    cancelGenerationBtn.style.display = '';
+
+    activeGeneration = startGeneration(request, {
+        onLog: (message, id) => { addLogMessage(message, id); },
+        onProgress: showGenerationProgress,
+        onSnapshot
+    });
+    try {
+        const result = await activeGeneration.promise;
+        cancelGenerationBtn.style.display = 'none';
+        if (!result) {
+            console.log('[Generation] 生成を中止しました。');
+            loadingOverlay.style.display = 'none';
+        }
+        return result;
+    } catch (error: any) {
+        console.error(error);
+        await addLogMessage(`生成に失敗しました: ${error.message}`);
+        cancelGenerationBtn.textContent = '閉じる';
+        return null;
+    } finally {
+        activeGeneration = null;
+        progressBarContainer.style.display = 'none';
+        progressLabel.style.display = 'none';
+        progressBar.classList.remove('determinate');
+        progressBar.style.width = '';
+    }
+}
+
+/**
+ * プログレスバーに工程の進捗を表示する (null の場合は工程の開始待ち)
+ * @param {GenerationProgress|null} progress
+ */
+function showGenerationProgress(progress: GenerationProgress | null) {
+    progressBarContainer.style.display = 'block';
+    progressLabel.style.display = '';
+    progressBar.classList.add('determinate');
+    const percent = progress && progress.total > 0 ? Math.floor(progress.current / progress.total * 100) : 0;
+    progressBar.style.width = `${percent}%`;
+    progressLabel.textContent = progress ? `${progress.label} ${percent}% (${progress.current}/${progress.total})` : '準備しています...';
+}
+
 
 
 // ================================================================
 // ■ 各生成ステップの関数
 // ================================================================
 
+/** ステップ③④ の入力の差し替え (部分的な再生成で使う。省略した項目は現在の世界の値) */
+interface StepOverrides {
+    recipe?: WorldRecipe;          // 作り直しのシードを入れたレシピ
+    random?: RandomState | null;   // 作り直しのシードから始める乱数
+    locks?: LockPlan | null;       // 固定する首都・国境・集落
+}
+
+// 部分的な再生成パネルで選んだ固定を、ステップ③④ に渡す形にする
+function getStepLockPlan(): LockPlan | null {
+    return worldData.allHexes ? resolveLockPlan(worldData.allHexes, getRegenerationLocks()) : null;
+}
+
+// 地形を固定している間は、① と一括実行で世界を捨てる前に確かめる
+function confirmTerrainUnlock(): boolean {
+    if (!worldData.allHexes || !getRegenerationLocks().terrain) return true;
+    return confirm('地形を固定しています。固定を外し、バリエーションも捨てて新しい大陸から作り直しますか？');
+}
+
 // ステップ1: 大陸・河川生成
 // 概要: パーリンノイズを用いて地形の高さ(elevation)を生成し、海・陸・山などを決定する。
 // また、降水による浸食シミュレーションを行い、河川(flow)を形成する。
-async function runStep1_Continent() {
+async function runStep1_Continent(): Promise<boolean> {
+    if (!confirmTerrainUnlock()) return false;
+
+    // レシピパネルの内容 (シード値が空欄なら現在時刻) を読み取る
+    let recipe: WorldRecipe;
+    try {
+        recipe = buildRecipeFromPanel();
+    } catch (error: any) {
+        await addLogMessage(`レシピエラー: ${error.message}`);
+        loadingOverlay.style.display = 'none'; // 一括実行 (runAllSteps) から呼ばれた場合
+        return false;
+    }
+
     resetWorld();
 
     // [DEBUG] オプション確認用ログ
     // @ts-ignore: checking for global options
     console.log(`[processLoadedData] Loaded Options:`, JSON.stringify(typeof options !== 'undefined' ? options : {}));
 
-    // シード生成とPRNG初期化
-    const seed = Date.now();
-    initGlobalRandom(seed);
+    // レシピの適用 (以降の生成ステップはレシピのパラメータを読む)。地形の下絵はハッシュと設定をレシピに記録する
+    // 部分的な再生成の記録は ④ のあとで順に再現し、そのたびにレシピへ記録し直す
+    const baseTerrain = getBaseTerrainImage();
+    const baseTerrainWarning = getBaseTerrainWarning(recipe, baseTerrain);
+    setActiveRecipe(withBaseTerrain(withoutRerolls(recipe), baseTerrain));
+    pendingRerolls = recipe.rerolls || [];
+    const seed = recipe.seed;
     worldData.seed = seed;
-    await addLogMessage(`新しい世界のためのシード値を生成しました: ${seed}`);
+    worldData.recipe = getActiveRecipe();
+    await addLogMessage(`新しい世界のシード値: ${seed} (上書きしたパラメータ ${Object.keys(recipe.overrides).length} 件)`);
 
     loadingOverlay.style.display = 'flex';
     logContainer.innerHTML = '';
     await addLogMessage("ステップ1: 大陸の土台を生成しています...");
+    if (baseTerrainWarning) await addLogMessage(`警告: ${baseTerrainWarning}`);
+    if (pendingRerolls.length > 0) await addLogMessage(`レシピに記録された部分的な再生成 (${pendingRerolls.length} 件) は、ステップ4のあとで再現します。`);
 
-    // 物理マップ生成中の途中経過を描画するためのコールバック関数
+    // 物理マップ生成中の途中経過 (ワーカーから届くスナップショット) を描画するためのコールバック関数
     const redrawFn = async (currentHexes: WorldMap) => {
         if (!uiInitialized) {
             await addLogMessage("初回描画を準備しています...");
@@ -163,18 +328,28 @@ async function runStep1_Continent() {
         }
     };
 
-    // 地形生成の実行 (continentGenerator.js)
-    worldData.allHexes = await generateIntegratedMap(addLogMessage, redrawFn);
+    // 地形生成の実行 (generationWorker.ts -> worldPipeline.ts -> continentGenerator.js)
+    const result = await runGenerationStage({ stage: 'continent', recipe: worldData.recipe, baseTerrain }, redrawFn);
+    if (!result) {
+        resetWorld(); // 途中経過の地図を消す
+        return false;
+    }
+    worldData.allHexes = result.allHexes;
+    generationRandomState = result.random;
 
-    if (!uiInitialized && worldData.allHexes) {
+    if (!uiInitialized) {
         await addLogMessage("初回描画を準備しています...");
         // この時点では植生データは不完全だが、地形のみで表示を行う
         await setupUI(worldData.allHexes, [], addLogMessage, blockManager);
         uiInitialized = true;
+    } else {
+        // 地図の参照を途中経過のスナップショットから完成した世界に切り替える
+        await redrawMap(worldData.allHexes);
     }
 
     updateButtonStates(1);
     loadingOverlay.style.display = 'none';
+    return true;
 }
 
 // ステップ2: 気候・植生生成
@@ -210,233 +385,238 @@ async function runStep2_Climate() {
 // 概要: 農業適性、居住適性スコアを算出し、人口を配置する。
 // 人口が集中する地点を「集落（村～首都）」として認定する。
 // また、魔物の分布や狩猟・牧畜のポテンシャルなど、文明の基礎データを生成する。
-async function runStep3_Settlements() {
+// 部分的な再生成パネルで固定した首都・国境・集落は引き継ぐ。
+async function runStep3_Settlements(overrides: StepOverrides = {}): Promise<boolean> {
     loadingOverlay.style.display = 'flex';
     logContainer.innerHTML = '';
     await addLogMessage("ステップ3: 文明を生成しています...");
 
-    if (!worldData.allHexes) return;
-
-    // 文明生成 (civilizationGenerator.js)
-    const civResult = await generateCivilization(worldData.allHexes, addLogMessage);
-    worldData.allHexes = civResult.allHexes;
-    worldData.roadPaths = civResult.roadPaths; // この時点ではまだ空に近い（初期道路などがあれば）
+    if (!worldData.allHexes) return false;
 
-    await addLogMessage("生態系（魔物）の分布を計算しています...");
-    worldData.allHexes = generateMonsterDistribution(worldData.allHexes);
-
-    await addLogMessage("狩猟のポテンシャルを評価しています...");
-    worldData.allHexes = generateHuntingPotential(worldData.allHexes);
-
-    await addLogMessage("畜産のポテンシャルを評価しています...");
-    worldData.allHexes = generateLivestockPotential(worldData.allHexes);
+    // 文明・生態系の生成 (generationWorker.ts -> worldPipeline.ts)
+    const result = await runGenerationStage({
+        stage: 'settlement',
+        recipe: overrides.recipe || getActiveRecipe(),
+        random: overrides.random !== undefined ? overrides.random : generationRandomState,
+        world: worldData.allHexes,
+        roadPaths: worldData.roadPaths,
+        locks: overrides.locks !== undefined ? overrides.locks : getStepLockPlan()
+    });
+    if (!result) return false;
+    worldData.allHexes = result.allHexes;
+    worldData.roadPaths = result.roadPaths; // この時点ではまだ空に近い（初期道路などがあれば）
+    generationRandomState = result.random;
 
     await addLogMessage("集落と人口分布を再描画しています...");
     await redrawSettlements(worldData.allHexes);
 
     updateButtonStates(3);
     loadingOverlay.style.display = 'none';
+    return true;
 }
 
 // ステップ4: 道路・国家生成
 // 概要: 首都・都市・集落を結ぶ道路網（交易路、下位道路）を生成する。
 // 道路網に基づき、各都市の「支配領域（テリトリー）」を確定し、国家（Nation）を定義する。
 // 最後に、人口・資源・インフラに基づく詳細な経済シミュレーションを実行する。
-async function runStep4_Nations() {
+// 前回の道路・領都は消してから作り直し、部分的な再生成パネルで固定した首都・国境は引き継ぐ。
+async function runStep4_Nations(overrides: StepOverrides = {}): Promise<boolean> {
     loadingOverlay.style.display = 'flex';
     logContainer.innerHTML = '';
     await addLogMessage("ステップ4: 国家とインフラを形成しています...");
 
-    if (!worldData.allHexes) return;
+    if (!worldData.allHexes) return false;
 
-    // 必要なデータを取得
-    const allHexes = worldData.allHexes;
-    // 集落区分に基づき都市リストを抽出
-    const cities = allHexes.filter((h: Hex) => h.properties.settlement === '都市' || h.properties.settlement === '首都' || h.properties.settlement === '領都');
-    const capitals = cities.filter((h: Hex) => h.properties.settlement === '首都');
-
-    // STEP 0: 各首都間を結ぶ「基幹通商路」を最優先で確定する
-    // (A*アルゴリズムを用いて、地形コストを考慮した最短パスを生成)
-    const mainTradeRoutePaths = await generateMainTradeRoutes(capitals, allHexes, addLogMessage);
-    let allRoadPaths = mainTradeRoutePaths; // 最終的な道路リストをまず通商路で初期化
-
-    // 通商路の情報をヘックスに書き込み、後のA*探索でコストが下がるようにする (既存道路の利用促進)
-    mainTradeRoutePaths.forEach(route => {
-        route.path.forEach(pos => {
-            const hex = allHexes[getIndex(pos.x, pos.y)];
-            if (hex && !hex.properties.isWater) {
-                // 道路レベル6: 基幹街道
-                if (!hex.properties.roadLevel || hex.properties.roadLevel < 6) {
-                    hex.properties.roadLevel = 6;
-                }
-            }
-        });
-    });
-
-    // STEP 1: 全都市間の「交易路」の候補を探索
-    await addLogMessage("都市間の交易路の可能性を探索しています...");
-    // generateTradeRoutesは、内部のコスト関数が既存道路(通商路)を優先するため、より効率的なルートを見つける
-    const { routeData: allTradeRoutes } = await generateTradeRoutes(cities, allHexes, addLogMessage);
-
-    // STEP 2: 領都の決定と領土割り当て
-    // 交易路で結ばれ、かつ移動日数が近い都市を、首都の支配下（領都）として割り当てる
-    await addLogMessage("交易路網に基づき、首都の初期領土を割り当てています...");
-    const { regionalCapitals } = assignTerritoriesByTradeRoutes(cities, capitals, allTradeRoutes, allHexes);
-
-    // 領都と首都の距離・日数を計算 (統治コスト計算用)
-    regionalCapitals.forEach(rc => {
-        const capitalId = rc.properties.parentHexId;
-        const regionalCapitalId = getIndex(rc.col, rc.row);
-
-        // 対応する交易路データを再検索
-        const route = allTradeRoutes.find(r =>
-            (r.fromId === regionalCapitalId && r.toId === capitalId) ||
-            (r.fromId === capitalId && r.toId === regionalCapitalId)
-        );
-
-        if (route) {
-            // 道路レベル5 (交易路) として距離と日数を計算
-            const distance = calculateRoadDistance(route.path, 5, allHexes);
-            const travelDays = calculateTravelDays(route.path, 5, allHexes);
-
-            // 計算結果をプロパティに保存
-            rc.properties.distanceToParent = distance;
-            rc.properties.travelDaysToParent = travelDays;
-        }
+    // 道路網の生成と領都の割り当て、経済シミュレーションと国境・領土の最終確定 (generationWorker.ts -> worldPipeline.ts)
+    const result = await runGenerationStage({
+        stage: 'nations',
+        recipe: overrides.recipe || getActiveRecipe(),
+        random: overrides.random !== undefined ? overrides.random : generationRandomState,
+        world: worldData.allHexes,
+        roadPaths: worldData.roadPaths,
+        locks: overrides.locks !== undefined ? overrides.locks : getStepLockPlan()
     });
+    if (!result) return false;
+    worldData.allHexes = result.allHexes;
+    worldData.roadPaths = result.roadPaths;
+    generationRandomState = result.random;
+    // ワーカーで付けた国名をこのスレッドの国名レジストリに登録する
+    clearNationNames();
+    syncNationNames(worldData.allHexes);
+    worldData.history = null; // 経済を作り直したため、以前の年次履歴は無効
+    worldData.nationHistory = null; // 国境を作り直したため、以前の国家史も無効
 
-    // STEP 3: 交易路の選別
-    // 生成された全ルート候補から、有効な交易路のみを確定リストに残す
-    const finalTradeRoutes: any[] = [];
-    const guaranteedRoutes = new Set();
-
-    // 手順3-1: 領都から直上の首都までのルートを必ず確保する（国家の結合維持のため）
-    regionalCapitals.forEach(rc => {
-        const capitalId = rc.properties.parentHexId!;
-        const regionalCapitalId = getIndex(rc.col, rc.row);
-
-        const route = allTradeRoutes.find(r =>
-            (r.fromId === regionalCapitalId && r.toId === capitalId) ||
-            (r.fromId === capitalId && r.toId === regionalCapitalId)
-        );
-        if (route) {
-            // ルートデータ自体に国籍情報を付与 (国内交易路)
-            route.nationId = rc.properties.nationId;
-            finalTradeRoutes.push(route);
-            const routeKey = Math.min(route.fromId, route.toId) + '-' + Math.max(route.fromId, route.toId);
-            guaranteedRoutes.add(routeKey);
-        }
-    });
-
-    // 手順3-2: それ以外の交易路は、30日以上かかるものを削除する (遠すぎる交易は成立しない)
-    allTradeRoutes.forEach(route => {
-        const routeKey = Math.min(route.fromId, route.toId) + '-' + Math.max(route.fromId, route.toId);
-        // 保証済みのルートではなく、かつ30日未満のルートのみを追加
-        if (!guaranteedRoutes.has(routeKey) && route.travelDays < config.MAX_TRADE_ROUTE_DAYS) {
-            // 未所属の交易路として国籍ID:0 を設定 (中立路)
-            route.nationId = 0;
-            finalTradeRoutes.push(route);
-        }
-    });
+    await addLogMessage("道路網、国境、経済情報を再描画しています...");
+    await redrawRoadsAndNations(worldData.allHexes, worldData.roadPaths);
 
-    await addLogMessage(`交易路を選別し、${finalTradeRoutes.length}本に絞り込みました。`);
+    updateButtonStates(4);
+    loadingOverlay.style.display = 'none';
+    // レシピに記録された部分的な再生成は、どの経路で ④ を実行しても ④ のあとで再現する
+    // (再現中の ④ では記録を取り出し済みのため、繰り返さない)
+    await replayPendingRerolls();
+    return true;
+}
 
-    // 選別された交易路を描画用データに変換し、allRoadPaths に追加
-    const finalTradeRoutePaths = finalTradeRoutes.map(route => {
-        return { path: route.path.map((p: any) => ({ x: p.x, y: p.y })), level: 5, nationId: route.nationId };
-    });
-    allRoadPaths.push(...finalTradeRoutePaths);
-
-    // 交易路の情報をヘックスに書き込む (基幹通商路を上書きしないようにレベルチェック)
-    finalTradeRoutes.forEach(route => {
-        route.path.forEach((pos: any) => {
-            const hex = allHexes[getIndex(pos.x, pos.y)];
-            if (hex && !hex.properties.isWater) {
-                // 道路レベル5: 交易路
-                if (!hex.properties.roadLevel || hex.properties.roadLevel < 5) {
-                    hex.properties.roadLevel = 5;
-                }
-                // ヘックスの国籍も更新 (道路が通る場所は影響力下とみなす)
-                if (route.nationId > 0) {
-                    hex.properties.nationId = route.nationId;
-                }
-            }
-        });
-    });
+// 部分的な再生成
+// 概要: 固定した地形・首都・国境・集落を残し、集落から (③④) または道路・国境・経済 (④) を新しいシードで作り直す。
+// 作り直す前の世界と作り直した世界はバリエーションとして残し、部分的な再生成パネルで切り替えられる。
+async function runReroll(stage: RerollStage, seed: number, locks: RegenerationLocks): Promise<boolean> {
+    if (!worldData.allHexes) return false;
+    keepActiveVariant();
+    if (!await rerollWorld(stage, seed, locks)) return false;
+
+    addVariant(worldData, { stage, seed, locks: describeLocks(locks) });
+    afterWorldStateChange();
+    return true;
+}
 
-    // STEP 4: 階層的な下位道路の生成
-    // 「街」「町」「村」を、上位の集落（ハブ）や既存の道路網に接続する
-    await addLogMessage("集落を結ぶ下位道路網を建設しています...");
-    const hubs = [...capitals, ...regionalCapitals];
-    const streets = allHexes.filter((h: Hex) => h.properties.settlement === '街');
-    const towns = allHexes.filter((h: Hex) => h.properties.settlement === '町');
-    const villages = allHexes.filter((h: Hex) => h.properties.settlement === '村');
+// 表示中の世界を、固定を残して新しいシードで作り直す (バリエーションは扱わない)
+// 作り直した世界のレシピにはシードと固定を記録し、保存・共有リンクから同じ世界を再現できるようにする。
+async function rerollWorld(stage: RerollStage, seed: number, locks: RegenerationLocks): Promise<boolean> {
+    if (!worldData.allHexes) return false;
+    // 固定は作り直す前の世界から読み取り、③④ で同じものを使う
+    const plan = resolveLockPlan(worldData.allHexes, locks);
+    const baseRecipe = getActiveRecipe();
+    const recipe: WorldRecipe = { ...baseRecipe, seed };
+    const random = new SeededRandom(seed).getState();
+    console.log(`[Reroll] ${REROLL_STAGE_LABELS[stage]} (シード ${seed}、固定: ${describeLocks(locks)})`);
+
+    if (stage === 'settlement') {
+        if (!await runStep3_Settlements({ recipe, random, locks: plan })) return false;
+        if (!await runStep4_Nations({ recipe, locks: plan })) return false;
+    } else if (!await runStep4_Nations({ recipe, random, locks: plan })) {
+        return false;
+    }
 
-    // 街 -> ハブ (createCostFunctionが更新され、交易路を利用しやすくなっている)
-    const streetRoads = await generateFeederRoads(streets, hubs, allHexes, '街', addLogMessage);
-    allRoadPaths.push(...streetRoads);
+    setActiveRecipe(withReroll(baseRecipe, { stage, seed, capitals: [...locks.capitals], nations: [...locks.nations], settlements: [...locks.settlements] }));
+    worldData.recipe = getActiveRecipe();
+    updateRecipePanel(worldData.recipe);
+    return true;
+}
 
-    // 町 -> ハブ + 街
-    const townRoads = await generateFeederRoads(towns, [...hubs, ...streets], allHexes, '町', addLogMessage);
-    allRoadPaths.push(...townRoads);
+// レシピに記録された部分的な再生成を、④ のあとで記録の順に再現する (共有リンク・レシピパネルから生成した場合)
+async function replayPendingRerolls() {
+    const rerolls = pendingRerolls;
+    pendingRerolls = [];
+    for (const reroll of rerolls) {
+        await addLogMessage(`部分的な再生成を再現しています: ${REROLL_STAGE_LABELS[reroll.stage]} (シード ${reroll.seed})`);
+        if (!await runReroll(reroll.stage, reroll.seed, locksFromReroll(reroll))) return;
+    }
+}
 
-    // 村 -> ハブ + 街 + 町
-    const villageRoads = await generateFeederRoads(villages, [...hubs, ...streets, ...towns], allHexes, '村', addLogMessage);
-    allRoadPaths.push(...villageRoads);
+// 表示中の世界をバリエーションに残す (初めて作り直すときは作り直す前の世界として加え、以降は編集・年表の変化を反映する)
+function keepActiveVariant() {
+    const activeId = getActiveVariantId();
+    if (activeId) updateVariant(activeId, worldData);
+    else addVariant(worldData, { stage: null, seed: null, locks: '固定なし' });
+}
 
-    // 海路の生成 (港湾を持つ都市間のルート)
-    const seaRoutePaths = await generateSeaRoutes(worldData.allHexes, addLogMessage);
-    allRoadPaths.push(...seaRoutePaths);
+// バリエーションの切り替え (表示中の世界の編集・年表はバリエーションに残してから切り替える)
+// 保存から読み込んだ記録だけのバリエーションは、レシピから作り直す。作り直せなかった場合は元のバリエーションに戻す。
+// 記録だけの手で編集したバリエーションは、作り直しても同じ世界にならないため切り替えない。
+async function switchVariant(id: string) {
+    const target = getVariants().find(v => v.id === id);
+    if (target && !canSwitchToVariant(target)) {
+        await addLogMessage(`バリエーション「${target.label}」は手で編集した世界のため、レシピから作り直せません (編集は保存したときに表示していた世界にだけ残ります)。`);
+        return;
+    }
+    const activeId = getActiveVariantId();
+    if (activeId) updateVariant(activeId, worldData);
+    const state = activateVariant(id);
+    if (!state) return;
+
+    if (!state.allHexes) {
+        if (state.recipe && await rebuildWorldFromRecipe(state.recipe)) {
+            updateVariant(id, worldData);
+            afterWorldStateChange();
+            return;
+        }
+        await addLogMessage('バリエーションの世界を作り直せなかったため、元の世界に戻します。');
+        const previous = activeId ? activateVariant(activeId) : null;
+        if (!previous || !previous.allHexes) return;
+        await showVariantState({ ...previous, allHexes: previous.allHexes });
+        return;
+    }
+    await showVariantState({ ...state, allHexes: state.allHexes });
+}
 
-    // 確定した道路データを worldData に保存
-    worldData.roadPaths = allRoadPaths;
+// バリエーションの世界を表示する
+async function showVariantState(state: { allHexes: WorldMap; roadPaths: any[] | null; history: WorldHistory | null; nationHistory: NationHistory | null; recipe: WorldRecipe | null; edited: boolean }) {
+    worldData.allHexes = state.allHexes;
+    worldData.roadPaths = state.roadPaths;
+    worldData.history = state.history;
+    worldData.nationHistory = state.nationHistory;
+    worldData.edited = state.edited;
+    // 表示する世界のレシピ (作り直しの記録を含む) を、保存・共有リンクに使うレシピにする
+    if (state.recipe) {
+        setActiveRecipe(state.recipe);
+        worldData.recipe = getActiveRecipe();
+    }
+    generationRandomState = null;
+    clearNationNames();
+    syncNationNames(worldData.allHexes);
 
-    // STEP 5: 経済シミュレーションと国境・領土の最終確定
-    // 道路網に基づき、影響範囲(Territory)を再計算する
-    worldData.allHexes = await determineTerritories(worldData.allHexes, addLogMessage);
+    await redrawSettlements(worldData.allHexes);
+    await redrawRoadsAndNations(worldData.allHexes, worldData.roadPaths);
+    updateButtonStates(4);
+    afterWorldStateChange();
+}
 
-    // [CRITICAL] 経済シミュレーションの前に必ずシードをリセットし、結果の再現性を保証する
-    initGlobalRandom(worldData.seed);
+// 記録だけのバリエーションの世界を、レシピから作り直す
+// 地形から ④ までを固定なしで生成し、レシピに記録された部分的な再生成を順に再現する。
+async function rebuildWorldFromRecipe(recipe: WorldRecipe): Promise<boolean> {
+    // 地形の下絵は、レシピが下絵を使っている場合だけ読み込み中のものを使う
+    const baseTerrain = recipe.baseTerrain ? getBaseTerrainImage() : null;
+    const baseTerrainWarning = getBaseTerrainWarning(recipe, baseTerrain);
+    setActiveRecipe(withBaseTerrain(withoutRerolls(recipe), baseTerrain));
+    worldData.recipe = getActiveRecipe();
 
-    // 経済シミュレーション実行 (人口推移、産業、物資需給など) (economySimulator.js)
-    worldData.allHexes = await simulateEconomy(worldData.allHexes, addLogMessage);
-    // 領土ごとの統計データを集計
-    worldData.allHexes = await calculateTerritoryAggregates(worldData.allHexes, addLogMessage);
-    // 道路の交通量を計算
-    worldData.allHexes = await calculateRoadTraffic(worldData.allHexes, worldData.roadPaths, addLogMessage);
+    loadingOverlay.style.display = 'flex';
+    logContainer.innerHTML = '';
+    await addLogMessage('バリエーションの世界をレシピから作り直しています...');
+    if (baseTerrainWarning) await addLogMessage(`警告: ${baseTerrainWarning}`);
 
-    await addLogMessage("道路網、国境、経済情報を再描画しています...");
-    await redrawRoadsAndNations(worldData.allHexes, worldData.roadPaths);
+    const result = await runGenerationStage({ stage: 'continent', recipe: worldData.recipe, baseTerrain });
+    if (!result) return false;
+    worldData.allHexes = result.allHexes;
+    worldData.roadPaths = null;
+    generationRandomState = result.random;
+    await redrawMap(worldData.allHexes);
 
-    updateButtonStates(4);
-    loadingOverlay.style.display = 'none';
+    await runStep2_Climate();
+    if (!await runStep3_Settlements({ locks: null })) return false;
+    if (!await runStep4_Nations({ locks: null })) return false;
+    for (const reroll of recipe.rerolls || []) {
+        if (!await rerollWorld(reroll.stage, reroll.seed, locksFromReroll(reroll))) return false;
+    }
+    worldData.edited = false;
+    return true;
 }
 
 // ステップ5: 保存
-// 概要: 生成されたワールドデータを圧縮し、GAS(Google Apps Script)のウェブアプリにPOST送信して保存する。
+// 概要: 生成されたワールドデータを圧縮し、保存・読み込みパネルで選択された保存先 (StorageAdapter) に保存する。
 async function runStep5_Save() {
     loadingOverlay.style.display = 'flex';
     logContainer.innerHTML = '';
     await addLogMessage("ステップ5: 世界を保存しています...");
 
-    if (GAS_WEB_APP_URL.startsWith('https://script.google.com')) {
-        try {
-            await addLogMessage('生成した世界をデータベースに保存しています...');
-            // compressWorldData() でデータをV2形式に圧縮して送信 (BlockIO.jsからインポート)
-            fetch(GAS_WEB_APP_URL, {
-                method: 'POST',
-                mode: 'no-cors',
-                cache: 'no-cache',
-                headers: { 'Content-Type': 'text/plain;charset=utf-8' },
-                body: JSON.stringify(compressWorldData(worldData)),
-                redirect: 'follow'
-            });
-            await addLogMessage('保存リクエストを送信しました。');
-        } catch (error: any) {
-            await addLogMessage(`データベースへの保存に失敗しました: ${error.message}`);
+    const adapter = getActiveStorageAdapter();
+    const name = getWorldName(worldData.seed);
+    try {
+        await addLogMessage(`生成した世界を「${name}」として${adapter.label}に保存しています...`);
+        // バリエーションは世界の複製を含めず、レシピから作り直せる記録だけを保存する
+        const records = getVariantRecords();
+        const editedRecords = records.filter(r => r.edited && !r.active);
+        if (editedRecords.length > 0) {
+            await addLogMessage(`警告: 手で編集したバリエーション ${editedRecords.length} 件 (${editedRecords.map(r => r.label).join('、')}) は編集がレシピに残らないため、読み込んだあとは切り替えられません。`);
         }
-    } else {
-        await addLogMessage('[設定注意] GASのURLが設定されていません。保存は行われません。');
+        const result = await adapter.saveWorld(name, { ...worldData, variants: records });
+        await addLogMessage(result.message);
+        setStorageStatus(result.message);
+        if (result.confirmed && adapter.supportsListing) await refreshWorldList();
+    } catch (error: any) {
+        await addLogMessage(`保存に失敗しました: ${error.message}`);
+        setStorageStatus(`保存に失敗しました: ${error.message}`, true);
     }
 
     await sleep(1000);
@@ -444,6 +624,108 @@ async function runStep5_Save() {
 }
 
 
+// 年次シミュレーション
+// 概要: 表示中の年から指定年数だけ世界を進め、出生・死亡・飢饉・移住と集落区分の変化を履歴に記録する。
+async function runTimelineSimulation(years: number) {
+    if (!worldData.allHexes) return;
+    loadingOverlay.style.display = 'flex';
+    logContainer.innerHTML = '';
+    await addLogMessage(`年次シミュレーション: ${years}年分の人口動態を計算しています...`);
+
+    try {
+        await simulateYears(worldData, years, addLogMessage);
+        await addLogMessage("集落と道路の交通量を再描画しています...");
+        await redrawSettlements(worldData.allHexes);
+        await redrawRoadsAndNations(worldData.allHexes, worldData.roadPaths);
+    } catch (error: any) {
+        console.error(error);
+        await addLogMessage(`年次シミュレーションに失敗しました: ${error.message}`);
+    }
+
+    updateTimelinePanel(worldData.history);
+    afterWorldStateChange();
+    loadingOverlay.style.display = 'none';
+}
+
+// 年表スライダーで選ばれた年の状態を履歴から復元して表示する
+async function showHistoryYear(year: number) {
+    if (!worldData.allHexes) return;
+    if (await applyHistoryYear(worldData, year)) {
+        // 年次履歴は集落区分も復元するため、表示中の国家史の国境・首都を再適用する
+        if (worldData.nationHistory && worldData.nationHistory.currentYear > 0) {
+            await applyNationHistoryYear(worldData, worldData.nationHistory.currentYear);
+        }
+        await redrawSettlements(worldData.allHexes);
+        await redrawRoadsAndNations(worldData.allHexes, worldData.roadPaths);
+    }
+    updateTimelinePanel(worldData.history);
+    afterWorldStateChange();
+}
+
+
+// 国家史シミュレーション
+// 概要: 表示中の年から指定年数だけ国家間の戦争・併合・独立を進め、国境の変化と年代記を記録する。
+async function runNationHistorySimulation(years: number) {
+    if (!worldData.allHexes) return;
+    loadingOverlay.style.display = 'flex';
+    logContainer.innerHTML = '';
+    await addLogMessage(`国家史シミュレーション: ${years}年分の国家の興亡を計算しています...`);
+
+    try {
+        await simulateNationHistory(worldData, years, addLogMessage);
+        await addLogMessage("国境と集落を再描画しています...");
+        await redrawSettlements(worldData.allHexes);
+        await redrawRoadsAndNations(worldData.allHexes, worldData.roadPaths);
+    } catch (error: any) {
+        console.error(error);
+        await addLogMessage(`国家史シミュレーションに失敗しました: ${error.message}`);
+    }
+
+    updateNationHistoryPanel(worldData.nationHistory);
+    afterWorldStateChange();
+    loadingOverlay.style.display = 'none';
+}
+
+// 国家史スライダー・年代記で選ばれた年の国境を復元して表示する
+async function showNationHistoryYear(year: number) {
+    if (!worldData.allHexes) return;
+    if (await applyNationHistoryYear(worldData, year)) {
+        await redrawSettlements(worldData.allHexes);
+        await redrawRoadsAndNations(worldData.allHexes, worldData.roadPaths);
+    }
+    updateNationHistoryPanel(worldData.nationHistory);
+    afterWorldStateChange();
+}
+
+// ヘックス編集 (ブラシ・元に戻す・やり直し) の結果を地図と情報ウィンドウに反映する
+async function showEditedHexes() {
+    worldData.edited = true;
+    refreshEditedHexes(worldData.allHexes);
+    refreshTravelPanel();
+    refreshSearchPanel();
+    refreshStatsDashboard();
+}
+
+// 年表・国家史で世界の状態を切り替えたあとは、編集の記録と現在の状態が一致しないため記録を消し、
+// 旅程と検索結果は新しい道路・集落で計算し直す
+function afterWorldStateChange() {
+    clearEditHistory();
+    updateHexEditorPanel(true);
+    refreshTravelPanel();
+    refreshSearchPanel();
+    refreshStatsDashboard();
+    refreshVariantPanel();
+    publishRulebookStats();
+}
+
+// 名前の編集後、地図のラベル・情報ウィンドウ・年代記を更新する
+async function showRenamedNames() {
+    worldData.edited = true;
+    refreshHexNames(worldData.allHexes);
+    updateNationHistoryPanel(worldData.nationHistory);
+}
+
+
 // ================================================================
 // ■ メイン処理とイベントハンドラ
 // ================================================================
@@ -453,7 +735,12 @@ async function runStep5_Save() {
 async function generateNewWorld() {
     // 再生成の通知を送信 (非同期で実行し、完了を待たない)
     notifyRegenerationAttempt();
+    await runAllSteps();
+}
 
+// 全ステップを連続実行する (レシピパネルの内容で生成する)
+async function runAllSteps() {
+    if (!confirmTerrainUnlock()) return;
     resetWorld();
 
     loadingOverlay.style.display = 'flex';
@@ -461,12 +748,11 @@ async function generateNewWorld() {
 
     // 全ステップを連続実行
     // ステップ間でawaitすることで、順番通りに処理が進むことを保証する
-    await runStep1_Continent();
+    // (レシピの誤り・中止・失敗でステップを完了できなかった場合はそこで止める)
+    if (!await runStep1_Continent()) return;
     await runStep2_Climate();
-    await runStep3_Settlements();
+    if (!await runStep3_Settlements()) return;
     await runStep4_Nations();
-
-    loadingOverlay.style.display = 'none';
 }
 
 // 既存データ（保存された世界）の読み込みフロー制御
@@ -533,6 +819,8 @@ async function loadExistingWorld() {
             uiInitialized = true;
 
             // [FIX] Restore calculated data for static file load
+            restoreWorldRecipe();
+            restoreVariants(worldData.variants, worldData);
             initializeNoiseFunctions(worldData.seed);
             if (worldData.allHexes) recalculateGeographicFlags(worldData.allHexes);
             // calculateFinalProperties(worldData.allHexes, config.COLS, config.ROWS, { preserveVegetation: true });
@@ -551,28 +839,28 @@ async function loadExistingWorld() {
     }
 }
 
-// GASデータベースからのデータ読み込み (クラウド保存対応)
-async function loadFromGAS() {
+// 保存先 (StorageAdapter) からのデータ読み込み
+// name / revision を省略した場合は、世界名の入力欄の世界 (GAS・ファイルでは唯一の世界) の最新リビジョンを読み込む
+async function loadFromStorage(name?: string, revision?: number) {
+    const adapter = getActiveStorageAdapter();
     try {
         loadingOverlay.style.display = 'flex';
         if (progressBarContainer) progressBarContainer.style.display = 'block';
         logContainer.innerHTML = '';
 
-        if (!GAS_WEB_APP_URL.startsWith('https://script.google.com')) {
-            await addLogMessage('[設定注意] GASのURLが設定されていません。');
-            loadingOverlay.style.display = 'none';
-            return;
-        }
+        const targetName = name ?? (adapter.supportsListing ? getWorldName(worldData.seed) : undefined);
+        const revisionLabel = revision !== undefined ? `リビジョン ${revision}` : '最新リビジョン';
+        await addLogMessage(`${adapter.label}からデータを取得しています...${targetName ? ` (${targetName} / ${revisionLabel})` : ''}`);
+        const loadedData = await adapter.loadWorld(targetName, revision);
 
-        await addLogMessage('データベース(GAS)からデータを取得しています...');
-        const response = await fetch(GAS_WEB_APP_URL);
-        if (!response.ok) throw new Error(`サーバーからの応答が不正です (ステータス: ${response.status})`);
-
-        const loadedData = await response.json();
         // BlockIO.js の関数を使用
         const loadedWorld = await processLoadedData(loadedData);
         worldData = loadedWorld;
-
+        blockManager.reset();
+        clearEditHistory();
+        clearVariants();
+        resetVariantPanel();
+        pendingRerolls = [];
 
         await setupUI(worldData.allHexes, worldData.roadPaths || [], addLogMessage as any, blockManager);
         uiInitialized = true;
@@ -580,7 +868,9 @@ async function loadFromGAS() {
         // [FIX] Restore missing calculated data (vegetationAreas, industry, etc.) for existing saves
         await addLogMessage("データの整合性をチェックし、詳細情報を復元しています...");
 
-        // 1. ノイズ関数の再初期化
+        // 1. レシピとノイズ関数の再初期化、保存されていたバリエーションの記録の復元
+        restoreWorldRecipe();
+        restoreVariants(worldData.variants, worldData);
         initializeNoiseFunctions(worldData.seed);
 
         // 2. 地理フラグの再計算
@@ -593,16 +883,111 @@ async function loadFromGAS() {
         // await recalculateEconomyMetrics(worldData);
 
         await addLogMessage("データの復元が完了しました。");
+        setStorageStatus(`${targetName || adapter.label} (${revisionLabel}) を読み込みました。`);
+        updateButtonStates(4);
+        loadingOverlay.style.display = 'none';
+        if (progressBarContainer) progressBarContainer.style.display = 'none';
 
     } catch (error: any) {
         console.error(error);
-        await addLogMessage(`GAS読み込みエラー: ${error.message}`);
+        await addLogMessage(`読み込みエラー: ${error.message}`);
+        setStorageStatus(`読み込みに失敗しました: ${error.message}`, true);
         loadingOverlay.style.display = 'none';
     }
 }
 
+// 読み込んだ世界のレシピを、以降の処理 (年次シミュレーションなど) のパラメータとして適用する
+// レシピのない古い保存データは、シード値だけのレシピ (既定のパラメータ) とみなす
+function restoreWorldRecipe() {
+    setActiveRecipe(worldData.recipe || createRecipe(worldData.seed));
+    worldData.recipe = getActiveRecipe();
+}
+
 async function main() {
     loadingOverlay.style.display = 'flex';
+    setupStoragePanel({
+        adapters: createStorageAdapters({ gasUrl: GAS_WEB_APP_URL, serverUrl: WORLD_SERVER_URL }),
+        onLoadRequest: loadFromStorage
+    });
+    setupTimelinePanel({
+        onSimulateRequest: runTimelineSimulation,
+        onYearSelect: showHistoryYear
+    });
+    setupNationHistoryPanel({
+        onSimulateRequest: runNationHistorySimulation,
+        onYearSelect: showNationHistoryYear
+    });
+    setupNameEditor({
+        getWorldData: () => worldData,
+        onNamesChanged: showRenamedNames
+    });
+    setupHexEditorPanel({
+        getWorldData: () => worldData,
+        onEditModeChange: setEditHandler,
+        onEdited: showEditedHexes
+    });
+    setupTravelPanel({
+        getWorldData: () => worldData,
+        onPickRequest: setPickHandler,
+        onRouteChange: setTravelRoute
+    });
+    setupRandomTablePanel({
+        getWorldData: () => worldData,
+        onPickRequest: setPickHandler
+    });
+    setupHometownPanel({
+        getWorldData: () => worldData,
+        getWorldName: () => getWorldName(worldData.seed),
+        onPickRequest: setPickHandler
+    });
+    setupStatsDashboardPanel({
+        getWorldData: () => worldData
+    });
+    setupVariantPanel({
+        getWorldData: () => worldData,
+        onPickRequest: setPickHandler,
+        onRerollRequest: async (stage, seed, locks) => { await runReroll(stage, seed, locks); },
+        onSwitchRequest: switchVariant
+    });
+    setupSearchPanel({
+        getWorldData: () => worldData,
+        onHighlightChange: setSearchHighlights,
+        onFocusRequest: focusMapHex
+    });
+    setupFogPanel({
+        getWorldData: () => worldData,
+        getWorldName: () => getWorldName(worldData.seed),
+        getTravelRoute,
+        onFogChange: setFogOfWar,
+        onRevealModeChange: setRevealHandler
+    });
+    setupAnnotationPanel({
+        getWorldData: () => worldData,
+        onAnnotationsChange: setAnnotations,
+        onPickRequest: setPickHandler,
+        onFocusRequest: focusMapHex
+    });
+    setupTerrainImportPanel();
+    setupRecipePanel();
+    setupExportPanel({
+        getViewBounds: getMapViewBounds,
+        onPickRequest: setPickHandler,
+        onExportRequest: exportMap
+    });
+
+    // 共有リンク (?recipe=...) から開いた場合は、保存された世界の代わりにレシピの世界を生成する
+    const recipeParam = new URLSearchParams(location.search).get(config.WORLD_RECIPE_PARAMS.URL_PARAM);
+    if (recipeParam) {
+        try {
+            setRecipePanelInputs(decodeRecipe(recipeParam));
+            await addLogMessage('共有リンクのレシピで世界を生成します。');
+            await runAllSteps();
+            return;
+        } catch (error: any) {
+            await addLogMessage(`共有リンクのレシピを読み込めませんでした: ${error.message}`);
+        }
+    }
+
     await loadExistingWorld();
     if (!worldData.allHexes || worldData.allHexes.size === 0) { // worldData.allHexes が null または空
         await addLogMessage('新しい世界を創造します。「① 大陸・河川生成」ボタンを押してください。');
@@ -614,9 +999,18 @@ async function main() {
 // --- イベントリスナーの設定 ---
 step1Btn.addEventListener('click', runStep1_Continent);
 step2Btn.addEventListener('click', runStep2_Climate);
-step3Btn.addEventListener('click', runStep3_Settlements);
-step4Btn.addEventListener('click', runStep4_Nations);
+step3Btn.addEventListener('click', () => runStep3_Settlements());
+step4Btn.addEventListener('click', () => runStep4_Nations());
 step5Btn.addEventListener('click', runStep5_Save);
+// 生成の中止 (失敗した後は、ログを読み終えたローディング画面を閉じる)
+cancelGenerationBtn.addEventListener('click', () => {
+    if (activeGeneration) {
+        activeGeneration.cancel();
+    } else {
+        cancelGenerationBtn.style.display = 'none';
+        loadingOverlay.style.display = 'none';
+    }
+});
 downloadJsonBtn.addEventListener('click', downloadWorldData);
 
 // --- ブロックベースのダウンロード関数 ---
@@ -640,27 +1034,10 @@ async function downloadWorldData() {
     // @ts-ignore
     const zip = new JSZip();
 
-    // 各ブロックをJSON化してZIPに追加
+    // 各ブロックをJSON化してZIPに追加 (ファイル形式は BlockIO.js の createBlockFile で共通化)
     blocks.forEach(block => {
-        let filename;
-        if (block.id.startsWith('map_')) {
-            filename = `${block.id}.json`;
-        } else {
-            filename = `map_${block.id}.json`;
-        }
-
-        // ブロック内データの圧縮 (BlockIO.js function)
-        const compressedBlock = createCompressedData(block.hexes);
-
-        const blockJson = {
-            id: block.id,
-            version: "2.2",
-            timestamp: Date.now(),
-            dictionaries: compressedBlock.dictionaries,
-            hexes: compressedBlock.hexes
-        };
-
-        zip.file(filename, JSON.stringify(blockJson));
+        const { filename, payload } = createBlockFile(block);
+        zip.file(filename, JSON.stringify(payload));
     });
 
     // ZIP生成とダウンロード
@@ -674,7 +1051,7 @@ async function downloadWorldData() {
     await addLogMessage("ダウンロードを開始しました。");
 }
 
-loadGasBtn.addEventListener('click', loadFromGAS);
+loadStorageBtn.addEventListener('click', () => loadFromStorage());
 regenerateBtn.addEventListener('click', generateNewWorld);
 window.addEventListener('load', main);
 
@@ -0,0 +1,648 @@
+// ================================================================
+// GeoForge System - 地図の書き出し
+// ================================================================
+// 表示範囲または指定範囲の地図を GeoJSON・SVG・PNG で書き出す。
+// いずれも MapView の表示用ヘックス (読み込み済みのブロック) と描画済みの SVG から作るため、
+// 地図の種類 (地形図・白地図) とレイヤーの表示切り替えがそのまま反映される。
+// - GeoJSON: ヘックスのポリゴン (属性と表示色)、河川・道路・航路のライン、国のポリゴン
+// - SVG: 表示中のレイヤーを複製し、スタイルを埋め込んだ単体の SVG
+// - PNG: SVG をタイルに分けてキャンバスに描き、1枚にまとめる (大きすぎる場合はタイルごとに ZIP)
+
+import * as config from './config.ts';
+import { getIndex, formatLocation, getNationName, getSharedEdgeMidpoint } from './utils.ts';
+import { MapView } from './MapView.ts';
+
+/** ワールド座標 (px) の矩形。左上 (x0, y0)、右下 (x1, y1) */
+export interface MapBounds {
+    x0: number;
+    y0: number;
+    x1: number;
+    y1: number;
+}
+
+export type MapExportFormat = 'geojson' | 'svg' | 'png';
+
+/**
+ * GeoJSON の座標系
+ * - lonlat: 経緯度 (日本地図オーバーレイと同じ換算)
+ * - pixel: 範囲の左上を原点とするピクセル座標 (倍率1のSVG・PNGと一致)
+ */
+export type GeoJsonCoordinates = 'lonlat' | 'pixel';
+
+export interface MapExportOptions {
+    bounds: MapBounds;
+    coordinates?: GeoJsonCoordinates; // GeoJSON のみ
+    scale?: number;                   // PNG のみ
+}
+
+export interface MapExportResult {
+    blob: Blob;
+    extension: string;
+    message: string;
+}
+
+/**
+ * 地図を指定の形式で書き出す
+ * @param {MapView} mapView
+ * @param {MapExportFormat} format
+ * @param {MapExportOptions} options
+ * @returns {Promise<MapExportResult>} 書き出したファイルと結果の説明
+ */
+export async function exportMap(mapView: MapView, format: MapExportFormat, options: MapExportOptions): Promise<MapExportResult> {
+    const bounds = normalizeBounds(options.bounds);
+    if (bounds.x1 - bounds.x0 < 1 || bounds.y1 - bounds.y0 < 1) {
+        throw new Error('書き出す範囲がありません。');
+    }
+
+    if (format === 'geojson') {
+        const collection = buildGeoJson(mapView, bounds, options.coordinates || 'lonlat');
+        if (collection.features.length === 0) {
+            throw new Error('範囲内に読み込まれたヘックスがありません。');
+        }
+        const counts = collection.features.reduce((acc, f) => {
+            acc[f.properties.kind] = (acc[f.properties.kind] || 0) + 1;
+            return acc;
+        }, {} as Record<string, number>);
+        return {
+            blob: new Blob([JSON.stringify(collection)], { type: 'application/geo+json' }),
+            extension: 'geojson',
+            message: `GeoJSON: ヘックス ${counts.hex || 0}、河川 ${counts.river || 0}、道路 ${counts.road || 0}、航路 ${counts['sea-route'] || 0}、国 ${counts.nation || 0}`
+        };
+    }
+
+    assertRendered(mapView, bounds);
+    if (format === 'svg') {
+        const svg = buildSvg(mapView, bounds, 1);
+        return {
+            blob: new Blob([svg], { type: 'image/svg+xml' }),
+            extension: 'svg',
+            message: `SVG: ${Math.round(bounds.x1 - bounds.x0)}×${Math.round(bounds.y1 - bounds.y0)}px`
+        };
+    }
+    return renderPng(mapView, bounds, options.scale || 1);
+}
+
+// ================================================================
+// ■ 範囲と対象ヘックス
+// ================================================================
+
+function normalizeBounds(b: MapBounds): MapBounds {
+    return {
+        x0: Math.min(b.x0, b.x1),
+        y0: Math.min(b.y0, b.y1),
+        x1: Math.max(b.x0, b.x1),
+        y1: Math.max(b.y0, b.y1)
+    };
+}
+
+function contains(b: MapBounds, x: number, y: number): boolean {
+    return x >= b.x0 && x <= b.x1 && y >= b.y0 && y <= b.y1;
+}
+
+/**
+ * ブロックの表示用ヘックスが覆う範囲
+ */
+function getBlockExtent(block: any): MapBounds | null {
+    if (!block.hexes || block.hexes.length === 0) return null;
+    const extent = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+    block.hexes.forEach((d: any) => {
+        d.points.forEach(([x, y]: number[]) => {
+            extent.x0 = Math.min(extent.x0, x);
+            extent.y0 = Math.min(extent.y0, y);
+            extent.x1 = Math.max(extent.x1, x);
+            extent.y1 = Math.max(extent.y1, y);
+        });
+    });
+    return extent;
+}
+
+/**
+ * SVG・PNG は描画済みのブロックしか含められないため、範囲の四隅と中心が描画済みのブロックに入っているか確かめる
+ */
+function assertRendered(mapView: MapView, bounds: MapBounds) {
+    const extents = mapView.blocks
+        .filter(b => b.rendered && b.visible)
+        .map(getBlockExtent)
+        .filter(Boolean) as MapBounds[];
+    const probes = [
+        [bounds.x0, bounds.y0], [bounds.x1, bounds.y0], [bounds.x0, bounds.y1], [bounds.x1, bounds.y1],
+        [(bounds.x0 + bounds.x1) / 2, (bounds.y0 + bounds.y1) / 2]
+    ];
+    const covered = probes.every(([x, y]) => extents.some(e => contains(e, x, y)));
+    if (!covered) {
+        throw new Error('範囲の一部が画面に描画されていません。地図を縮小して範囲全体を表示してから書き出してください。');
+    }
+}
+
+interface BlockScope {
+    hexes: any[];                // 範囲内の表示用ヘックス
+    byIndex: Map<number, any>;   // ブロックの全表示用ヘックス (共有バッファのインデックス → ヘックス)
+}
+
+/**
+ * 範囲内に中心がある表示用ヘックスをブロックごとに集める (ダミーの海・明かしていないヘックスは除く)
+ */
+function collectBlockScopes(mapView: MapView, bounds: MapBounds): BlockScope[] {
+    const scopes: BlockScope[] = [];
+    mapView.blocks.forEach(block => {
+        if (!block.loaded || block.isDummy || !block.hexes) return;
+        const indexed = block.hexes.filter((d: any) => d.index !== undefined && !d._fogged);
+        const hexes = indexed.filter((d: any) => contains(bounds, d.cx, d.cy));
+        if (hexes.length === 0) return;
+        scopes.push({ hexes, byIndex: new Map(indexed.map((d: any) => [d.index, d])) });
+    });
+    return scopes;
+}
+
+// ================================================================
+// ■ GeoJSON
+// ================================================================
+
+interface Feature {
+    type: 'Feature';
+    geometry: { type: string; coordinates: any };
+    properties: Record<string, any>;
+}
+
+/**
+ * 範囲内のヘックス・河川・道路・航路・国を GeoJSON の FeatureCollection にまとめる
+ * 河川・道路・航路は、地図でそのレイヤーを表示しているときだけ含める。
+ * @param {MapView} mapView
+ * @param {MapBounds} bounds - ワールド座標の範囲
+ * @param {GeoJsonCoordinates} coordinates - 座標系
+ */
+export function buildGeoJson(mapView: MapView, bounds: MapBounds, coordinates: GeoJsonCoordinates) {
+    const factor = 10 ** config.MAP_EXPORT_PARAMS.COORDINATE_DECIMALS;
+    const round = (v: number) => Math.round(v * factor) / factor;
+    const project = coordinates === 'lonlat'
+        ? ([x, y]: number[]) => [round(mapView.japanOverlay.getLon(x)), round(mapView.japanOverlay.getLat(y))]
+        : ([x, y]: number[]) => [round(x - bounds.x0), round(y - bounds.y0)];
+
+    const scopes = collectBlockScopes(mapView, bounds);
+    const features: Feature[] = [];
+
+    // ヘックス
+    scopes.forEach(scope => {
+        scope.hexes.forEach(d => {
+            const ring = d.points.map(project);
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Polygon', coordinates: [orientRing([...ring, ring[0]], true)] },
+                properties: describeHex(d)
+            });
+        });
+    });
+
+    // 河川 (表示用ヘックスの中心から下流のヘックスの中心まで、境界の中点を経由する)
+    if (isLayerVisible(mapView, 'river')) {
+        scopes.forEach(scope => {
+            scope.hexes.forEach(d => {
+                if (!(d.flow > 0) || d.isWater || d.downstreamIndex === undefined || d.downstreamIndex < 0) return;
+                const downstream = scope.byIndex.get(d.downstreamIndex);
+                if (!downstream) return;
+                const mid = getSharedEdgeMidpoint(d, downstream) || [(d.cx + downstream.cx) / 2, (d.cy + downstream.cy) / 2];
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'LineString', coordinates: [[d.cx, d.cy], mid, [downstream.cx, downstream.cy]].map(project) },
+                    properties: compact({ kind: 'river', flow: round(d.flow), riverWidth: d.riverWidth, riverName: d.riverName })
+                });
+            });
+        });
+    }
+
+    // 道路・航路
+    const showRoads = isLayerVisible(mapView, 'road');
+    const showSeaRoutes = isLayerVisible(mapView, 'sea-route');
+    if (showRoads || showSeaRoutes) {
+        collectRoadLines(mapView, scopes, bounds).forEach(line => {
+            const isSeaRoute = line.road.level === 10;
+            if (isSeaRoute ? !showSeaRoutes : !showRoads) return;
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: line.points.map(project) },
+                properties: isSeaRoute
+                    ? compact({ kind: 'sea-route', shipKey: line.road.shipKey, shipName: config.SHIP_TYPES[line.road.shipKey]?.name })
+                    : compact({
+                        kind: 'road',
+                        level: line.road.level,
+                        levelName: config.MAP_EXPORT_PARAMS.ROAD_NAMES[line.road.level] || `道路Lv${line.road.level}`,
+                        nationId: line.road.nationId,
+                        nationName: line.road.nationId > 0 ? getNationName(line.road.nationId) : undefined
+                    })
+            });
+        });
+    }
+
+    // 国 (所属ヘックスの外周をつないだポリゴン)
+    buildNationPolygons(mapView, scopes, project).forEach(f => features.push(f));
+
+    return {
+        type: 'FeatureCollection' as const,
+        name: 'GeoForge',
+        coordinates: coordinates,
+        mapType: isWhiteMap() ? 'white' : 'terrain',
+        bbox: coordinates === 'lonlat'
+            ? [...project([bounds.x0, bounds.y1]), ...project([bounds.x1, bounds.y0])]
+            : [0, 0, round(bounds.x1 - bounds.x0), round(bounds.y1 - bounds.y0)],
+        features
+    };
+}
+
+function isLayerVisible(mapView: MapView, name: string): boolean {
+    const layer = mapView.layers[name];
+    return !!layer && !!(layer as any).visible;
+}
+
+function isWhiteMap(): boolean {
+    return !!(document.querySelector('input[name="map-type"][value="white"]') as HTMLInputElement)?.checked;
+}
+
+/**
+ * ヘックスの属性 (未設定の値は省く)。fill は地図に表示している色
+ */
+function describeHex(d: any): Record<string, any> {
+    return compact({
+        kind: 'hex',
+        id: formatLocation(d, 'coords'),
+        col: d.col,
+        row: d.row,
+        elevation: Math.round(d.elevation),
+        terrainType: d.terrainType,
+        vegetation: d.vegetation,
+        isWater: d.isWater,
+        climateZone: d.climateZone,
+        temperature: d.temperature !== undefined ? Math.round(d.temperature * 10) / 10 : undefined,
+        precipitation_mm: d.precipitation_mm !== undefined ? Math.round(d.precipitation_mm) : undefined,
+        settlement: d.settlement,
+        settlementName: d.settlementName,
+        population: d.population > 0 ? d.population : undefined,
+        nationId: d.nationId > 0 ? d.nationId : undefined,
+        nationName: d.nationId > 0 ? getNationName(d.nationId) : undefined,
+        roadLevel: d.roadLevel > 0 ? d.roadLevel : undefined,
+        monsterRank: d.monsterRank,
+        riverName: d.riverName,
+        ridgeName: d.ridgeName,
+        fill: d._displayColor
+    });
+}
+
+function compact(props: Record<string, any>): Record<string, any> {
+    const result: Record<string, any> = {};
+    Object.entries(props).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') result[key] = value;
+    });
+    return result;
+}
+
+/**
+ * 道路データ (共有バッファの col/row の列) をブロックの表示用ヘックスに対応づけ、範囲にかかるラインに分ける
+ * 地図の道路と同じく、隣のヘックスとの境界の中点を経由して中心を結ぶ。
+ */
+function collectRoadLines(mapView: MapView, scopes: BlockScope[], bounds: MapBounds) {
+    const lines: { road: any; points: number[][] }[] = [];
+    mapView.roadPathsData.forEach(road => {
+        if (!road.path || road.path.length < 2) return;
+        const indices = road.path.map((p: any) => getIndex(p.x, p.y));
+        scopes.forEach(scope => {
+            let points: number[][] = [];
+            let inBounds = false;
+            const flush = () => {
+                if (points.length >= 2 && inBounds) lines.push({ road, points });
+                points = [];
+                inBounds = false;
+            };
+            indices.forEach((index: number, i: number) => {
+                const d = scope.byIndex.get(index);
+                if (!d) {
+                    flush();
+                    return;
+                }
+                const prev = i > 0 ? scope.byIndex.get(indices[i - 1]) : null;
+                if (prev) {
+                    const mid = getSharedEdgeMidpoint(prev, d);
+                    if (mid) points.push(mid);
+                }
+                points.push([d.cx, d.cy]);
+                if (contains(bounds, d.cx, d.cy)) inBounds = true;
+            });
+            flush();
+        });
+    });
+    return lines;
+}
+
+/**
+ * 国ごとに所属ヘックスの外周を求めて MultiPolygon にする
+ * 隣り合うヘックスは頂点を共有するため、1回しか現れない辺が外周 (または穴の縁) になる。
+ */
+function buildNationPolygons(mapView: MapView, scopes: BlockScope[], project: (p: number[]) => number[]): Feature[] {
+    const members = new Map<number, any[]>();
+    scopes.forEach(scope => {
+        scope.hexes.forEach(d => {
+            if (!(d.nationId > 0) || d.isWater) return;
+            if (!members.has(d.nationId)) members.set(d.nationId, []);
+            members.get(d.nationId)!.push(d);
+        });
+    });
+
+    const features: Feature[] = [];
+    members.forEach((hexes, nationId) => {
+        const rings = traceOutlines(hexes).map(ring => ring.map(project));
+        const outers: number[][][][] = [];
+        const holes: number[][][] = [];
+        // 投影後の向きに関係なく、ヘックスの外周と同じ向きのものを外周、逆向きを穴とする
+        const outerSign = Math.sign(signedArea(hexes[0].points.map(project)));
+        rings.forEach(ring => {
+            if (Math.sign(signedArea(ring)) === outerSign) outers.push([ring]);
+            else holes.push(ring);
+        });
+        holes.forEach(hole => {
+            const outer = outers.find(polygon => pointInRing(hole[0], polygon[0])) || outers[0];
+            if (outer) outer.push(hole);
+        });
+        outers.forEach(polygon => polygon.forEach((ring, i) => polygon[i] = orientRing(ring, i === 0)));
+        if (outers.length === 0) return;
+
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'MultiPolygon', coordinates: outers },
+            properties: {
+                kind: 'nation',
+                nationId,
+                nationName: getNationName(nationId),
+                hexCount: hexes.length,
+                population: hexes.reduce((sum, d) => sum + (d.population || 0), 0),
+                fill: mapView.nationColor(String(nationId))
+            }
+        });
+    });
+    return features;
+}
+
+/**
+ * ヘックスの集まりの外周と穴の縁を閉じたリング (ワールド座標) の配列で返す
+ */
+function traceOutlines(hexes: any[]): number[][][] {
+    const key = (p: number[]) => `${p[0].toFixed(2)},${p[1].toFixed(2)}`;
+    const edgeCounts = new Map<string, number>();
+    const edges: { from: number[]; to: number[] }[] = [];
+    hexes.forEach(d => {
+        d.points.forEach((p: number[], i: number) => {
+            const q = d.points[(i + 1) % d.points.length];
+            const edgeKey = [key(p), key(q)].sort().join('|');
+            edgeCounts.set(edgeKey, (edgeCounts.get(edgeKey) || 0) + 1);
+            edges.push({ from: p, to: q });
+        });
+    });
+
+    // 外周の辺を始点でまとめる (すべてのヘックスの頂点は同じ向きに並んでいるので、外周も一方向にたどれる)
+    const outgoing = new Map<string, { from: number[]; to: number[] }[]>();
+    edges.forEach(edge => {
+        const edgeKey = [key(edge.from), key(edge.to)].sort().join('|');
+        if (edgeCounts.get(edgeKey) !== 1) return;
+        const k = key(edge.from);
+        if (!outgoing.has(k)) outgoing.set(k, []);
+        outgoing.get(k)!.push(edge);
+    });
+
+    const rings: number[][][] = [];
+    outgoing.forEach(list => {
+        while (list.length > 0) {
+            const first = list.pop()!;
+            const ring = [first.from];
+            let current = first;
+            while (key(current.to) !== key(first.from)) {
+                ring.push(current.to);
+                const next = outgoing.get(key(current.to));
+                if (!next || next.length === 0) break;
+                current = next.pop()!;
+            }
+            ring.push(first.from);
+            if (ring.length >= 4) rings.push(ring);
+        }
+    });
+    return rings;
+}
+
+function signedArea(ring: number[][]): number {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[(i + 1) % ring.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    return area / 2;
+}
+
+/**
+ * リングの向きを揃える (GeoJSON の規約: 外周は反時計回り、穴は時計回り)
+ */
+function orientRing(ring: number[][], outer: boolean): number[][] {
+    return (signedArea(ring) > 0) === outer ? ring : [...ring].reverse();
+}
+
+function pointInRing(point: number[], ring: number[][]): boolean {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point[1]) !== (yj > point[1]) && point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// ================================================================
+// ■ SVG
+// ================================================================
+
+/**
+ * 表示中のレイヤーを複製し、範囲を切り出した単体の SVG 文字列を作る
+ * @param {MapView} mapView
+ * @param {MapBounds} bounds - ワールド座標の範囲
+ * @param {number} scale - 出力サイズの倍率 (ビュー座標1あたりのpx)
+ */
+export function buildSvg(mapView: MapView, bounds: MapBounds, scale: number): string {
+    return serializeSvg(mapView, cloneMapSvg(mapView), bounds, scale);
+}
+
+/**
+ * 地図の SVG を複製し、書き出し用に整える
+ * ズームの変換・表示していないレイヤー・操作用のレイヤーを外し、スタイルシートの規則のうち要素に合うものを埋め込む。
+ * 範囲は serializeSvg でビュー座標の viewBox として指定する。
+ */
+function cloneMapSvg(mapView: MapView): SVGSVGElement {
+    const source = mapView.svg.node() as SVGSVGElement;
+    const clone = source.cloneNode(true) as SVGSVGElement;
+    clone.removeAttribute('class');
+    clone.removeAttribute('style');
+
+    const sourceRoot = mapView.g.node() as SVGGElement;
+    const cloneRoot = clone.children[Array.from(source.children).indexOf(sourceRoot)] as SVGGElement;
+    cloneRoot.removeAttribute('transform');
+    const excluded = config.MAP_EXPORT_PARAMS.EXCLUDED_LAYERS.map(name => mapView.layers[name]?.node());
+    Array.from(sourceRoot.children).forEach((layer, i) => {
+        const hidden = (layer as SVGGElement).style.display === 'none' || excluded.includes(layer as SVGGElement);
+        if (hidden) cloneRoot.children[i].setAttribute('data-export-remove', '');
+    });
+    clone.querySelectorAll('[data-export-remove]').forEach(el => el.remove());
+    clone.querySelectorAll('[style*="display: none"]').forEach(el => el.remove());
+
+    const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+    style.textContent = collectCssRules(clone);
+    clone.insertBefore(style, clone.firstChild);
+
+    // 背景 (地図の下の海の色)。位置と大きさは serializeSvg で範囲に合わせる
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('id', 'export-background');
+    background.setAttribute('fill', getBackgroundColor(source));
+    clone.insertBefore(background, cloneRoot);
+
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    return clone;
+}
+
+function serializeSvg(mapView: MapView, clone: SVGSVGElement, bounds: MapBounds, scale: number): string {
+    const topLeft = mapView.coordSys.toView(bounds.x0, bounds.y0);
+    const width = bounds.x1 - bounds.x0;
+    const height = bounds.y1 - bounds.y0;
+    const background = clone.querySelector('#export-background') as SVGRectElement;
+    background.setAttribute('x', String(topLeft.x));
+    background.setAttribute('y', String(topLeft.y));
+    background.setAttribute('width', String(width));
+    background.setAttribute('height', String(height));
+
+    clone.setAttribute('viewBox', `${topLeft.x} ${topLeft.y} ${width} ${height}`);
+    clone.setAttribute('width', String(Math.round(width * scale)));
+    clone.setAttribute('height', String(Math.round(height * scale)));
+    return new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * 文書のスタイルシートから、SVG の要素に当てはまる規則と :root の変数定義を集める
+ */
+function collectCssRules(root: Element): string {
+    const texts: string[] = [];
+    Array.from(document.styleSheets).forEach(sheet => {
+        let rules: CSSRuleList;
+        try {
+            rules = sheet.cssRules;
+        } catch (e) {
+            return; // 外部サイトのスタイルシートは読めない
+        }
+        Array.from(rules).forEach(rule => {
+            if (!(rule instanceof CSSStyleRule)) return;
+            try {
+                if (rule.selectorText === ':root' || root.matches(rule.selectorText) || root.querySelector(rule.selectorText)) {
+                    texts.push(rule.cssText);
+                }
+            } catch (e) {
+                // 疑似要素など querySelector で扱えないセレクタは使わない
+            }
+        });
+    });
+    return texts.join('\n');
+}
+
+function getBackgroundColor(el: Element | null): string {
+    while (el) {
+        const color = getComputedStyle(el).backgroundColor;
+        if (color && color !== 'transparent' && color !== 'rgba(0, 0, 0, 0)') return color;
+        el = el.parentElement;
+    }
+    return '#fff';
+}
+
+// ================================================================
+// ■ PNG
+// ================================================================
+
+/**
+ * 範囲をタイルに分けて描き、1枚の PNG にまとめる (MAX_PNG_PIXELS を超える場合はタイルごとの PNG を ZIP にする)
+ * @param {MapView} mapView
+ * @param {MapBounds} bounds - ワールド座標の範囲
+ * @param {number} scale - 倍率
+ */
+async function renderPng(mapView: MapView, bounds: MapBounds, scale: number): Promise<MapExportResult> {
+    const { PNG_TILE_SIZE, MAX_PNG_PIXELS } = config.MAP_EXPORT_PARAMS;
+    const width = Math.round((bounds.x1 - bounds.x0) * scale);
+    const height = Math.round((bounds.y1 - bounds.y0) * scale);
+    const tilesX = Math.ceil(width / PNG_TILE_SIZE);
+    const tilesY = Math.ceil(height / PNG_TILE_SIZE);
+    const single = width * height <= MAX_PNG_PIXELS;
+
+    // @ts-ignore: External Helper Library
+    if (!single && typeof JSZip === 'undefined') {
+        throw new Error('JSZipライブラリが見つからないため、タイル分割のPNGを書き出せません。');
+    }
+
+    const clone = cloneMapSvg(mapView);
+    let canvas: HTMLCanvasElement | null = null;
+    if (single) {
+        canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+    }
+    // @ts-ignore
+    const zip = single ? null : new JSZip();
+
+    for (let ty = 0; ty < tilesY; ty++) {
+        for (let tx = 0; tx < tilesX; tx++) {
+            const px = tx * PNG_TILE_SIZE;
+            const py = ty * PNG_TILE_SIZE;
+            const tileWidth = Math.min(PNG_TILE_SIZE, width - px);
+            const tileHeight = Math.min(PNG_TILE_SIZE, height - py);
+            const tileBounds = {
+                x0: bounds.x0 + px / scale,
+                y0: bounds.y0 + py / scale,
+                x1: bounds.x0 + (px + tileWidth) / scale,
+                y1: bounds.y0 + (py + tileHeight) / scale
+            };
+            const image = await loadSvgImage(serializeSvg(mapView, clone, tileBounds, scale));
+
+            if (canvas) {
+                canvas.getContext('2d')!.drawImage(image, px, py, tileWidth, tileHeight);
+            } else {
+                const tile = document.createElement('canvas');
+                tile.width = tileWidth;
+                tile.height = tileHeight;
+                tile.getContext('2d')!.drawImage(image, 0, 0, tileWidth, tileHeight);
+                zip.file(`tile_${tx}_${ty}.png`, await canvasToBlob(tile));
+            }
+        }
+    }
+
+    const size = `${width}×${height}px (倍率${scale})`;
+    if (canvas) {
+        return { blob: await canvasToBlob(canvas), extension: 'png', message: `PNG: ${size}` };
+    }
+    zip.file('tiles.json', JSON.stringify({ width, height, scale, tileSize: PNG_TILE_SIZE, columns: tilesX, rows: tilesY }));
+    return {
+        blob: await zip.generateAsync({ type: 'blob' }),
+        extension: 'zip',
+        message: `PNG: ${size} は1枚に収まらないため、${tilesX}×${tilesY}枚のタイル (tile_列_行.png) に分けました`
+    };
+}
+
+function loadSvgImage(svg: string): Promise<HTMLImageElement> {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('地図の画像化に失敗しました。'));
+        };
+        image.src = url;
+    });
+}
+
+function canvasToBlob(canvas: HTMLCanvasElement): Promise<Blob> {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNGの作成に失敗しました。')), 'image/png');
+    });
+}
@@ -0,0 +1,75 @@
+// ================================================================
+// GeoForge System - 名前の編集
+// ================================================================
+// 情報ウィンドウの「名前を変更」ボタン (.name-edit-btn) を処理する。
+// ボタンの data-kind (nation / settlement / river / ridge) と data-target (国家ID またはヘックスインデックス)
+// から対象を特定し、入力された名前で nameGenerator.ts の変更関数を呼び出す。
+
+import { getNationName } from './utils.ts';
+import { collectUsedNames, renameNation, renameSettlement, renameRiver, renameRidge } from './nameGenerator.ts';
+
+interface NameEditorOptions {
+    // 現在の世界データ ({ allHexes, nationHistory? }) を返す
+    getWorldData: () => any;
+    // 名前が変更されたあとに呼ばれる (地図・情報ウィンドウ・パネルの更新)
+    onNamesChanged: () => Promise<void>;
+}
+
+const KIND_LABELS = {
+    nation: '国',
+    settlement: '集落',
+    river: '河川',
+    ridge: '山脈'
+};
+
+/**
+ * 名前の編集を有効にする (main.ts から一度だけ呼び出す)
+ * @param {NameEditorOptions} options
+ */
+export function setupNameEditor(options: NameEditorOptions) {
+    const infoContent = document.getElementById('info-window-content');
+    if (!infoContent) return;
+
+    infoContent.addEventListener('click', async (event) => {
+        const button = (event.target as HTMLElement).closest('.name-edit-btn') as HTMLElement | null;
+        if (!button) return;
+        event.stopPropagation();
+
+        const worldData = options.getWorldData();
+        if (!worldData || !worldData.allHexes) return;
+        const kind = button.dataset.kind as keyof typeof KIND_LABELS;
+        const target = Number(button.dataset.target);
+        if (!KIND_LABELS[kind] || !Number.isFinite(target)) return;
+
+        const currentName = getCurrentName(worldData, kind, target);
+        const input = window.prompt(`${KIND_LABELS[kind]}の新しい名前を入力してください (空欄で名前を消します)`, currentName || '');
+        if (input === null) return;
+        const name = input.trim();
+        if (name === (currentName || '')) return;
+
+        // 名前は世界の中で重複させない (国名の変更は年代記の文面を名前で置き換えるため)
+        if (name && collectUsedNames(worldData.allHexes).has(name)) {
+            window.alert(`「${name}」はすでに使われています。`);
+            return;
+        }
+
+        switch (kind) {
+            case 'nation': renameNation(worldData, target, name); break;
+            case 'settlement': renameSettlement(worldData.allHexes, target, name); break;
+            case 'river': renameRiver(worldData.allHexes, target, name); break;
+            case 'ridge': renameRidge(worldData.allHexes, target, name); break;
+        }
+        await options.onNamesChanged();
+    });
+}
+
+/**
+ * 編集対象の現在の名前
+ */
+function getCurrentName(worldData, kind: keyof typeof KIND_LABELS, target: number): string | null {
+    if (kind === 'nation') return getNationName(target);
+    const h = worldData.allHexes[target];
+    if (!h) return null;
+    const p = h.properties;
+    return kind === 'settlement' ? p.settlementName : kind === 'river' ? p.riverName : p.ridgeName;
+}
@@ -0,0 +1,374 @@
+// ================================================================
+// GeoForge System - 命名モジュール (国・集落・河川・山脈)
+// ================================================================
+// 文化ごとの音韻 (config.NAMING_PARAMS.CULTURES) から固有名を作り、ヘックスに保存する。
+// - 国名: 首都のヘックスの nationName (読み込み時に utils の国名レジストリへ登録する)
+// - 集落名: 散居を除く集落のヘックスの settlementName
+// - 河川名: 同じ河口に注ぐ河川ヘックス (downstreamIndex でたどる) すべての riverName
+// - 山脈名: 同じ頂に至る稜線ヘックス (ridgeUpstreamIndex でたどる) すべての ridgeName
+// 名前は globalRandom (SeededRandom) から作るため、同じシードの世界では同じ名前になる。
+// 各国の文化もシードから決まり、国家史で独立した国は元の国の文化の名前を名乗る。
+
+import * as config from './config.ts';
+import { globalRandom, SeededRandom, getDistance, getNationName, setNationName, clearNationNames } from './utils.ts';
+import { WorldMap, Hex } from './WorldMap.ts';
+
+/** 命名に使う乱数 (globalRandom または SeededRandom) */
+interface RandomSource {
+    next(): number;
+}
+
+type NameKind = 'nation' | 'settlement' | 'river' | 'ridge';
+
+// 名前を付ける集落区分 (散居は除く)
+const NAMED_SETTLEMENTS = ['首都', '都市', '領都', '街', '町', '村'];
+// 同じ名前を避けるための再試行回数
+const MAX_ATTEMPTS = 30;
+
+// ================================================================
+// ■ 公開関数
+// ================================================================
+
+/**
+ * 国の文化 (config.NAMING_PARAMS.CULTURES の番号) を返す
+ * 文化の並びをシードで入れ替え、国家IDの順に割り当てる。
+ * @param {number} seed - 世界のシード
+ * @param {number} nationId - 国家ID (1始まり)
+ * @returns {number} 文化の番号
+ */
+export function getNationCulture(seed: number, nationId: number): number {
+    const cultures = config.NAMING_PARAMS.CULTURES;
+    const order = cultures.map((_, i) => i);
+    const rng = new SeededRandom(seed * 7 + 1);
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(rng.next() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order[(Math.max(1, nationId) - 1) % order.length];
+}
+
+/**
+ * 文化の音韻で名前を1つ作る
+ * @param {number} culture - 文化の番号
+ * @param {NameKind} kind - 名前の種類
+ * @param {RandomSource} rng - 乱数
+ * @param {Set<string>} used - 使用済みの名前 (作った名前を追加する)
+ * @param {number} [systemSize=0] - 稜線系のヘックス数 (山脈・山地の呼び分け)
+ * @returns {string} 名前
+ */
+export function generateName(culture: number, kind: NameKind, rng: RandomSource, used: Set<string>, systemSize: number = 0): string {
+    const params = config.NAMING_PARAMS;
+    const phonology = params.CULTURES[culture % params.CULTURES.length];
+    const pick = (list: string[]) => list[Math.floor(rng.next() * list.length)];
+
+    let name = '';
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        // 長い名前は衝突しにくいため、再試行のたびに音節数の上限を広げる
+        const maxSyllables = params.MAX_SYLLABLES + Math.floor(attempt / 10);
+        const count = params.MIN_SYLLABLES + Math.floor(rng.next() * (maxSyllables - params.MIN_SYLLABLES + 1));
+        let root = '';
+        let previous = '';
+        for (let i = 0; i < count; i++) {
+            let syllable = pick(phonology.syllables);
+            if (syllable === previous) syllable = pick(phonology.syllables);
+            root += syllable;
+            previous = syllable;
+        }
+
+        switch (kind) {
+            case 'nation':
+                name = root + pick(phonology.nationSuffixes);
+                break;
+            case 'settlement':
+                name = rng.next() < params.SETTLEMENT_ENDING_RATE ? root + pick(phonology.settlementEndings) : root;
+                break;
+            case 'river':
+                name = `${root}川`;
+                break;
+            case 'ridge':
+                name = root + (systemSize >= params.RANGE_RIDGE_HEXES ? '山脈' : '山地');
+                break;
+        }
+        if (!used.has(name)) break;
+    }
+    used.add(name);
+    return name;
+}
+
+/**
+ * 世界のすべての国・集落・河川・山脈に名前を付ける (既存の名前は付け直す)
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {number} seed - 世界のシード (各国の文化の決定に使う)
+ * @param {Function} addLogMessage - ログ出力関数
+ * @returns {Promise<WorldMap>}
+ */
+export async function assignWorldNames(allHexes: WorldMap, seed: number, addLogMessage): Promise<WorldMap> {
+    await addLogMessage("国・集落・河川・山脈に名前を付けています...");
+    clearNationNames();
+    const used = new Set<string>();
+    const capitals = collectCapitals(allHexes);
+
+    allHexes.forEach((h: Hex) => {
+        h.properties.settlementName = null;
+        h.properties.nationName = null;
+        h.properties.riverName = null;
+        h.properties.ridgeName = null;
+    });
+
+    // 国名 (首都に保存)
+    capitals.forEach(capital => {
+        const nationId = capital.properties.nationId;
+        const name = generateName(getNationCulture(seed, nationId), 'nation', globalRandom, used);
+        capital.properties.nationName = name;
+        setNationName(nationId, name);
+    });
+
+    // 集落名
+    let settlementCount = 0;
+    allHexes.forEach((h: Hex) => {
+        if (!NAMED_SETTLEMENTS.includes(h.properties.settlement)) return;
+        h.properties.settlementName = generateName(getHexCulture(h, capitals, seed), 'settlement', globalRandom, used);
+        settlementCount++;
+    });
+
+    // 河川名 (河口ごと)
+    const rivers = groupSystems(allHexes, isRiverHex, h => h.downstreamIndex);
+    let riverCount = 0;
+    rivers.forEach((members, mouth) => {
+        if (members.length < config.NAMING_PARAMS.MIN_RIVER_HEXES) return;
+        const name = generateName(getHexCulture(allHexes[mouth], capitals, seed), 'river', globalRandom, used);
+        members.forEach(index => { allHexes[index].properties.riverName = name; });
+        riverCount++;
+    });
+
+    // 山脈名 (頂ごと)
+    const ridges = groupSystems(allHexes, isRidgeHex, h => h.ridgeUpstreamIndex);
+    let ridgeCount = 0;
+    ridges.forEach((members, summit) => {
+        if (members.length < config.NAMING_PARAMS.MIN_RIDGE_HEXES) return;
+        const name = generateName(getHexCulture(allHexes[summit], capitals, seed), 'ridge', globalRandom, used, members.length);
+        members.forEach(index => { allHexes[index].properties.ridgeName = name; });
+        ridgeCount++;
+    });
+
+    await addLogMessage(`命名: 国 ${capitals.length}、集落 ${settlementCount}、河川 ${riverCount}、山脈・山地 ${ridgeCount} に名前を付けました。`);
+    return allHexes;
+}
+
+/**
+ * 名前のない集落に名前を付ける (年次シミュレーションで新しく生まれた集落など)
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {number} seed - 世界のシード
+ * @param {RandomSource} rng - 乱数
+ * @returns {number} 名前を付けた集落数
+ */
+export function nameUnnamedSettlements(allHexes: WorldMap, seed: number, rng: RandomSource): number {
+    const unnamed: Hex[] = [];
+    allHexes.forEach((h: Hex) => {
+        if (NAMED_SETTLEMENTS.includes(h.properties.settlement) && !h.properties.settlementName) unnamed.push(h);
+    });
+    if (unnamed.length === 0) return 0;
+
+    const used = collectUsedNames(allHexes);
+    const capitals = collectCapitals(allHexes);
+    unnamed.forEach(h => {
+        h.properties.settlementName = generateName(getHexCulture(h, capitals, seed), 'settlement', rng, used);
+    });
+    return unnamed.length;
+}
+
+/**
+ * 首都のヘックスに保存された国名を国名レジストリ (utils.getNationName) に登録する
+ * 世界やブロックの読み込み後に呼び出す (ブロック単位の読み込みに備え、既存の登録は消さない)。
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ */
+export function syncNationNames(allHexes: WorldMap) {
+    allHexes.forEach((h: Hex) => {
+        const p = h.properties;
+        if (p.nationName && p.nationId > 0) setNationName(p.nationId, p.nationName);
+    });
+}
+
+/**
+ * 地図上にラベルとして表示する名前 (集落名、河口の河川名、頂の山脈名)
+ * 河川名・山脈名は系ごとに1か所だけ表示するため、流れの終点のヘックスでのみ返す。
+ * @param {Hex} h - ヘックス
+ * @param {WorldMap} allHexes - 全ヘックスデータ (流れの先のヘックスの参照に使う)
+ * @returns {string|null}
+ */
+export function getMapLabelName(h: Hex, allHexes: WorldMap | any[]): string | null {
+    const p = h.properties;
+    const getHex = (index: number) => (index === undefined || index === null || index < 0) ? null
+        : ((allHexes as any).getHex ? (allHexes as any).getHex(index) : allHexes[index]);
+
+    if (p.settlementName && NAMED_SETTLEMENTS.includes(p.settlement)) return p.settlementName;
+    if (p.riverName) {
+        const next = getHex(p.downstreamIndex);
+        if (!next || next.properties.riverName !== p.riverName) return p.riverName;
+    }
+    if (p.ridgeName) {
+        const next = getHex(p.ridgeUpstreamIndex);
+        if (!next || next.properties.ridgeName !== p.ridgeName) return p.ridgeName;
+    }
+    return null;
+}
+
+/**
+ * 世界で使われている名前の一覧
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @returns {Set<string>}
+ */
+export function collectUsedNames(allHexes: WorldMap): Set<string> {
+    const used = new Set<string>();
+    allHexes.forEach((h: Hex) => {
+        const p = h.properties;
+        [p.settlementName, p.nationName, p.riverName, p.ridgeName].forEach(name => { if (name) used.add(name); });
+    });
+    return used;
+}
+
+// ================================================================
+// ■ 名前の編集
+// ================================================================
+
+/**
+ * 集落の名前を変更する
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {number} index - 集落のヘックスインデックス
+ * @param {string} name - 新しい名前 (空文字で名前を消す)
+ */
+export function renameSettlement(allHexes: WorldMap, index: number, name: string) {
+    const h = allHexes[index];
+    if (h) h.properties.settlementName = name.trim() || null;
+}
+
+/**
+ * 国の名前を変更する (首都のヘックス・国名レジストリ・国家史の記録を更新する)
+ * @param {Object} worldData - { allHexes, nationHistory? }
+ * @param {number} nationId - 国家ID
+ * @param {string} name - 新しい名前 (空文字で既定の国名に戻す)
+ */
+export function renameNation(worldData, nationId: number, name: string) {
+    const newName = name.trim() || null;
+    worldData.allHexes.forEach((h: Hex) => {
+        const p = h.properties;
+        if (p.nationId === nationId && p.settlement === '首都') p.nationName = newName;
+    });
+    setNationName(nationId, newName);
+
+    // 国家史の記録と年代記の文面も新しい名前に揃える (国名は重複しないため文字列で置き換える)
+    const history = worldData.nationHistory;
+    const record = history ? history.nations.find(n => n.id === nationId) : null;
+    if (!record) return;
+    const oldName = record.name;
+    record.name = getNationName(nationId);
+    if (oldName === record.name) return;
+    history.events.forEach(event => {
+        if (event.nations.includes(nationId)) event.text = event.text.split(oldName).join(record.name);
+    });
+}
+
+/**
+ * 河川系の名前を変更する (同じ名前を持つ河川ヘックスすべて)
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {number} index - 河川系に属するヘックスのインデックス
+ * @param {string} name - 新しい名前
+ */
+export function renameRiver(allHexes: WorldMap, index: number, name: string) {
+    renameSystem(allHexes, index, name, 'riverName');
+}
+
+/**
+ * 山脈 (稜線系) の名前を変更する (同じ名前を持つ稜線ヘックスすべて)
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {number} index - 稜線系に属するヘックスのインデックス
+ * @param {string} name - 新しい名前
+ */
+export function renameRidge(allHexes: WorldMap, index: number, name: string) {
+    renameSystem(allHexes, index, name, 'ridgeName');
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+function renameSystem(allHexes: WorldMap, index: number, name: string, key: 'riverName' | 'ridgeName') {
+    const h = allHexes[index];
+    if (!h) return;
+    const oldName = h.properties[key];
+    const newName = name.trim() || null;
+    if (!oldName) {
+        h.properties[key] = newName;
+        return;
+    }
+    allHexes.forEach((other: Hex) => {
+        if (other.properties[key] === oldName) other.properties[key] = newName;
+    });
+}
+
+function collectCapitals(allHexes: WorldMap): Hex[] {
+    const capitals: Hex[] = [];
+    allHexes.forEach((h: Hex) => {
+        if (h.properties.settlement === '首都' && h.properties.nationId > 0) capitals.push(h);
+    });
+    return capitals.sort((a, b) => a.properties.nationId - b.properties.nationId);
+}
+
+/**
+ * ヘックスの文化 (所属国の文化。どの国にも属さない場合は最も近い首都の国の文化)
+ */
+function getHexCulture(h: Hex, capitals: Hex[], seed: number): number {
+    let nationId = h.properties.nationId;
+    if (!nationId) {
+        let best = Infinity;
+        capitals.forEach(capital => {
+            const distance = getDistance(h, capital);
+            if (distance < best) { best = distance; nationId = capital.properties.nationId; }
+        });
+    }
+    return getNationCulture(seed, nationId || 1);
+}
+
+function isRiverHex(h: Hex): boolean {
+    return !h.properties.isWater && h.properties.flow > 0;
+}
+
+function isRidgeHex(h: Hex): boolean {
+    return !h.properties.isWater && h.properties.ridgeFlow > 0;
+}
+
+/**
+ * 流れ (downstreamIndex / ridgeUpstreamIndex) をたどった終点ごとにヘックスをまとめる
+ * @returns {Map<number, number[]>} 終点のヘックスインデックス -> 系に属するヘックスインデックス
+ */
+function groupSystems(allHexes: WorldMap, isMember: (h: Hex) => boolean, getNext: (h: Hex) => number): Map<number, number[]> {
+    const terminalOf = new Map<number, number>();
+    const systems = new Map<number, number[]>();
+
+    allHexes.forEach((h: Hex, index: number) => {
+        if (!isMember(h)) return;
+        // 終点までたどり、通過したヘックスの終点をまとめて記録する
+        const path: number[] = [];
+        const onPath = new Set<number>();
+        let current = index;
+        let terminal = -1;
+        while (true) {
+            if (terminalOf.has(current)) { terminal = terminalOf.get(current)!; break; }
+            path.push(current);
+            onPath.add(current);
+            const next = getNext(allHexes[current]);
+            if (next === undefined || next === null || next < 0 || onPath.has(next) || !allHexes[next] || !isMember(allHexes[next])) {
+                terminal = current;
+                break;
+            }
+            current = next;
+        }
+        path.forEach(i => terminalOf.set(i, terminal));
+    });
+
+    terminalOf.forEach((terminal, index) => {
+        if (!systems.has(terminal)) systems.set(terminal, []);
+        systems.get(terminal)!.push(index);
+    });
+    return systems;
+}
@@ -0,0 +1,147 @@
+// ================================================================
+// GeoForge System - 国家史パネル
+// ================================================================
+// サイドバーの「国家史」パネル。国家史シミュレーションの実行、スライダーによる国境の再生、
+// 年代記 (出来事の一覧) の表示を担当する。出来事をクリックすると、その年の国境に切り替わる。
+
+import { NationHistory, getNationSummaries } from './nationHistorySimulator.ts';
+
+interface NationHistoryPanelOptions {
+    // 「国家史シミュレーション」が押されたときに呼ばれる (years = 進める年数)
+    onSimulateRequest: (years: number) => Promise<void>;
+    // スライダーまたは年代記で年が選ばれたときに呼ばれる
+    onYearSelect: (year: number) => Promise<void>;
+}
+
+// 年代記に表示する出来事の上限 (選択中の年から遡る)
+const MAX_LISTED_EVENTS = 200;
+
+let onSimulateRequest: NationHistoryPanelOptions['onSimulateRequest'] = async () => { };
+let onYearSelect: NationHistoryPanelOptions['onYearSelect'] = async () => { };
+
+let yearsInput: HTMLInputElement;
+let simulateButton: HTMLButtonElement;
+let slider: HTMLInputElement;
+let yearLabel: HTMLElement;
+let nationsElement: HTMLElement;
+let eventsElement: HTMLElement;
+
+// 年の切り替え中に次の入力があった場合、最後に選ばれた年だけを反映する
+let isApplying = false;
+let pendingYear: number | null = null;
+let currentHistory: NationHistory | null = null;
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {NationHistoryPanelOptions} options
+ */
+export function setupNationHistoryPanel(options: NationHistoryPanelOptions) {
+    onSimulateRequest = options.onSimulateRequest;
+    onYearSelect = options.onYearSelect;
+
+    yearsInput = document.getElementById('nation-history-years-input') as HTMLInputElement;
+    simulateButton = document.getElementById('nation-history-simulate-btn') as HTMLButtonElement;
+    slider = document.getElementById('nation-history-slider') as HTMLInputElement;
+    yearLabel = document.getElementById('nation-history-year-label') as HTMLElement;
+    nationsElement = document.getElementById('nation-history-nations') as HTMLElement;
+    eventsElement = document.getElementById('nation-history-events') as HTMLElement;
+
+    simulateButton.addEventListener('click', async () => {
+        const years = Math.max(1, Math.floor(Number(yearsInput.value) || 0));
+        simulateButton.disabled = true;
+        try {
+            await onSimulateRequest(years);
+        } finally {
+            simulateButton.disabled = false;
+        }
+    });
+
+    // ドラッグ中は表示だけを更新し、確定時 (change) に地図へ反映する
+    slider.addEventListener('input', () => renderYear(Number(slider.value)));
+    slider.addEventListener('change', () => requestYear(Number(slider.value)));
+
+    eventsElement.addEventListener('click', (event) => {
+        const item = (event.target as HTMLElement).closest('li[data-year]') as HTMLElement | null;
+        if (!item || slider.disabled) return;
+        slider.value = item.dataset.year!;
+        renderYear(Number(slider.value));
+        requestYear(Number(slider.value));
+    });
+
+    updateNationHistoryPanel(null);
+}
+
+/**
+ * 国家史の内容をパネルに反映する (生成・読み込み・シミュレーション後に呼び出す)
+ * @param {NationHistory|null} history - worldData.nationHistory
+ * @param {boolean} [enabled=true] - シミュレーションを実行できる状態かどうか
+ */
+export function updateNationHistoryPanel(history: NationHistory | null | undefined, enabled: boolean = true) {
+    if (!slider) return;
+    currentHistory = history || null;
+    simulateButton.disabled = !enabled;
+
+    if (!currentHistory || currentHistory.endYear <= 0) {
+        slider.disabled = true;
+        slider.min = '0';
+        slider.max = '0';
+        slider.value = '0';
+        yearLabel.textContent = '0年目';
+        nationsElement.textContent = enabled ? 'まだ国家史シミュレーションを行っていません。' : '';
+        eventsElement.replaceChildren();
+        return;
+    }
+
+    slider.disabled = false;
+    slider.min = '0';
+    slider.max = String(currentHistory.endYear);
+    slider.value = String(currentHistory.currentYear);
+    renderYear(currentHistory.currentYear);
+}
+
+/**
+ * 年の切り替えを要求する (処理中なら最後の要求だけを保留する)
+ */
+async function requestYear(year: number) {
+    if (isApplying) {
+        pendingYear = year;
+        return;
+    }
+    isApplying = true;
+    try {
+        await onYearSelect(year);
+    } finally {
+        isApplying = false;
+    }
+    if (pendingYear !== null) {
+        const next = pendingYear;
+        pendingYear = null;
+        if (next !== year) await requestYear(next);
+    }
+}
+
+/**
+ * 指定年の国家一覧と、その年までの年代記を表示する
+ */
+function renderYear(year: number) {
+    yearLabel.textContent = `${year}年目`;
+    if (!currentHistory) return;
+
+    const nations = getNationSummaries(currentHistory, year);
+    nationsElement.innerHTML = [
+        `存続 ${nations.length} か国`,
+        ...nations.map(n => `${n.name}: ${n.settlements}集落 (兵力 ${Math.round(n.power).toLocaleString()})`)
+    ].join('<br>');
+
+    const events = currentHistory.events.filter(e => e.year <= year).slice(-MAX_LISTED_EVENTS).reverse();
+    eventsElement.replaceChildren(...events.map(e => {
+        const item = document.createElement('li');
+        item.className = `chronicle-${e.type}`;
+        item.dataset.year = String(e.year);
+        const yearSpan = document.createElement('span');
+        yearSpan.className = 'chronicle-year';
+        yearSpan.textContent = `${e.year}年`;
+        item.append(yearSpan, e.text);
+        return item;
+    }));
+}
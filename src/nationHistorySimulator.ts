@@ -0,0 +1,725 @@
+// ================================================================
+// GeoForge System - 国家史シミュレーションモジュール (戦争・併合・独立・再興)
+// ================================================================
+// 現在の国境を0年目とし、国家間の戦争・占領・首都陥落・滅亡・拠点の独立・旧首都での再興を
+// 1年ずつ数百年分シミュレーションする。国力は集落の兵力 (騎士・正規兵・衛兵) と人口、
+// 防御力は地形・河川・城壁から決まる。
+//
+// 領有の単位は「集落」。集落以外の国土ヘックスは、0年目に最も近い同じ国の集落に帰属する。
+// 集落の所属・首都の変化を年付きの差分として、出来事を年代記として worldData.nationHistory に保存し、
+// 任意の年の国境を再現できるようにする。
+//
+// 再現性: 各年の判定は「その年の所属・首都」「年代記から復元できる戦争状態」と「シード + 年」の乱数だけで決まる。
+// そのため、途中の年から再シミュレーションしても同じ結果になる。
+
+import * as config from './config.ts';
+import { getDistance, formatLocation, getNationName, setNationName, SeededRandom } from './utils.ts';
+import { WorldMap, Hex, SETTLEMENT_TYPES } from './WorldMap.ts';
+import { determineTerritories } from './civilizationGenerator.ts';
+import { calculateHexDemographics } from './economyHelpers.ts';
+import { calculateRoadTraffic } from './economySimulator.js';
+import { recomputeEconomy } from './timelineSimulator.ts';
+import { generateName, getNationCulture } from './nameGenerator.ts';
+
+/** 年代記の出来事の種類 */
+export type ChronicleEventType = 'founding' | 'war' | 'peace' | 'conquest' | 'relocation' | 'fall' | 'secession' | 'restoration';
+
+/** 年代記の出来事 */
+export interface ChronicleEvent {
+    year: number;
+    type: ChronicleEventType;
+    nations: number[];          // 関係国 (先頭が主体)
+    settlement: number | null;  // 舞台となった集落のヘックスインデックス
+    text: string;
+}
+
+/** 国家の記録 */
+export interface NationRecord {
+    id: number;
+    name: string;
+    founded: number;            // 建国年 (0年目から存在する国は0)
+    origin: 'initial' | 'secession';
+    capital: number | null;     // 建国時の首都のヘックスインデックス (滅亡後の再興の拠点)
+}
+
+/** 国家史 (worldData.nationHistory) */
+export interface NationHistory {
+    version: 1;
+    currentYear: number;        // 地図に反映している年
+    endYear: number;            // シミュレーション済みの最終年
+    // 領有単位 (集落) ごとの [ヘックス, 0年目の所属国, 0年目に首都か(0/1), 0年目の集落区分コード, 0年目の親ヘックス(-1=なし), 兵力, 防御補正×100] を平坦化した配列
+    units: number[];
+    // 集落以外の国土ヘックスの [ヘックス, 帰属する集落ヘックス] を平坦化した配列
+    territory: number[];
+    // 所属・首都の変化 [年, 集落ヘックス, 所属国, 首都か(0/1)] を平坦化した配列 (年の昇順)
+    changes: number[];
+    nations: NationRecord[];
+    events: ChronicleEvent[];
+}
+
+/** 国家の概要 (年表パネルの表示用) */
+export interface NationSummary {
+    id: number;
+    name: string;
+    settlements: number;
+    power: number;
+    capital: number | null;     // 首都のヘックスインデックス
+}
+
+interface Unit {
+    hex: number;
+    col: number;
+    row: number;
+    name: string | null;        // 集落名 (年代記の表示用)
+    nation: number;             // 0年目の所属国
+    isCapital: boolean;         // 0年目に首都か
+    settlementCode: number;
+    parentHex: number;          // 0年目の親ヘックス (-1 = なし)
+    parent: number;             // 親の領有単位 (-1 = なし)
+    children: number[];
+    power: number;
+    defense: number;
+}
+
+interface War {
+    attacker: number;
+    defender: number;
+    start: number;
+}
+
+// 年ごとの政治状態 (所属・首都・戦争・不安定度)
+interface PoliticalState {
+    owner: Int32Array;
+    capital: Uint8Array;
+    wars: War[];
+    lastPeace: Map<string, number>;   // 国の組 -> 最後に講和した年
+    lastLoss: Map<number, number>;    // 国 -> 最後に領土を失った年
+    fallYear: Map<number, number>;    // 滅亡中の国 -> 滅亡した年
+}
+
+const UNIT_FIELDS = 7;
+const CHANGE_FIELDS = 4;
+// 独立の拠点になり得る集落区分
+const SECESSION_SETTLEMENTS = ['首都', '都市', '領都', '街'];
+
+const silentLog = async () => { };
+
+// ================================================================
+// ■ 公開関数
+// ================================================================
+
+/**
+ * 国家史を指定年数だけ進め、国境の変化と年代記を記録する
+ * 途中の年を表示している場合は、それより未来の記録を破棄してそこから再シミュレーションする。
+ * @param {Object} worldData - { allHexes, roadPaths, seed, history?, nationHistory? } (破壊的に更新)
+ * @param {number} years - 進める年数
+ * @param {Function} addLogMessage - ログ出力関数
+ * @returns {Promise<NationHistory>} 更新後の国家史
+ */
+export async function simulateNationHistory(worldData, years: number, addLogMessage): Promise<NationHistory> {
+    const allHexes: WorldMap = worldData.allHexes;
+    const yearsToRun = Math.max(0, Math.min(config.NATION_HISTORY_PARAMS.MAX_YEARS, Math.floor(years)));
+
+    let history: NationHistory = worldData.nationHistory;
+    if (!history || !history.units || history.units.length === 0) {
+        history = createInitialHistory(allHexes);
+        if (history.units.length === 0) {
+            await addLogMessage("国家史: 国に属する集落がないため、シミュレーションできません。");
+            return history;
+        }
+    } else {
+        truncateHistory(history, history.currentYear);
+    }
+    worldData.nationHistory = history;
+
+    const units = decodeUnits(history, allHexes);
+    const startYear = history.currentYear;
+    const state = restoreState(history, units, startYear);
+
+    for (let i = 1; i <= yearsToRun; i++) {
+        const year = startYear + i;
+        advanceOneYear(history, units, state, year, new SeededRandom(worldData.seed * 53 + year), worldData.seed);
+        history.currentYear = year;
+        history.endYear = year;
+
+        if (i % 50 === 0 || i === yearsToRun) {
+            const alive = getAliveNations(state).size;
+            await addLogMessage(`国家史: ${year}年目 (存続 ${alive} か国)`, 'nation-history-progress');
+        }
+    }
+
+    const count = (type: ChronicleEventType) => history.events.filter(e => e.year > startYear && e.type === type).length;
+    await addLogMessage(`国家史: 戦争 ${count('war')} 回、占領 ${count('conquest')} 回、滅亡 ${count('fall')} か国、独立 ${count('secession')} か国、再興 ${count('restoration')} か国。`);
+
+    await applyPoliticalState(worldData, history, units, state);
+    return history;
+}
+
+/**
+ * 国家史から指定年の国境・首都を復元し、経済状態と交通量を再計算する
+ * @param {Object} worldData - { allHexes, roadPaths, seed, history?, nationHistory }
+ * @param {number} year - 復元する年
+ * @returns {Promise<boolean>} 復元できた場合 true
+ */
+export async function applyNationHistoryYear(worldData, year: number): Promise<boolean> {
+    const history: NationHistory = worldData.nationHistory;
+    if (!history || !history.units || year < 0 || year > history.endYear) return false;
+
+    const units = decodeUnits(history, worldData.allHexes);
+    const state = restoreState(history, units, year);
+    history.currentYear = year;
+    await applyPoliticalState(worldData, history, units, state);
+    return true;
+}
+
+/**
+ * 指定年に存続している国家の一覧 (領有する集落数の多い順)
+ * @param {NationHistory} history
+ * @param {number} year
+ * @returns {NationSummary[]}
+ */
+export function getNationSummaries(history: NationHistory | null | undefined, year: number): NationSummary[] {
+    if (!history || !history.units) return [];
+    const units = decodeUnits(history, null);
+    const state = restoreState(history, units, year);
+    const summaries = new Map<number, NationSummary>();
+    units.forEach((unit, u) => {
+        const nationId = state.owner[u];
+        if (nationId <= 0) return;
+        if (!summaries.has(nationId)) {
+            const record = history.nations.find(n => n.id === nationId);
+            summaries.set(nationId, { id: nationId, name: record ? record.name : getNationName(nationId), settlements: 0, power: 0, capital: null });
+        }
+        const summary = summaries.get(nationId)!;
+        summary.settlements++;
+        summary.power += unit.power;
+        if (state.capital[u]) summary.capital = unit.hex;
+    });
+    return [...summaries.values()].sort((a, b) => b.settlements - a.settlements || b.power - a.power || a.id - b.id);
+}
+
+// ================================================================
+// ■ 初期化・記録
+// ================================================================
+
+/**
+ * 現在の地図から0年目の国家史を作る (領有単位・国土の帰属・建国の記録)
+ */
+function createInitialHistory(allHexes: WorldMap): NationHistory {
+    const params = config.NATION_HISTORY_PARAMS;
+    const unitHexes: number[] = [];
+    allHexes.forEach((h: Hex, index: number) => {
+        const p = h.properties;
+        if (!p.isWater && p.settlement && p.nationId > 0) unitHexes.push(index);
+    });
+
+    const units: number[] = [];
+    unitHexes.forEach(index => {
+        const h = allHexes[index];
+        const p = h.properties;
+        if (!p.demographics) calculateHexDemographics(h, allHexes);
+        const demographics = p.demographics || {};
+        let power = p.population * params.LEVY_RATE;
+        for (const [job, weight] of Object.entries(params.SOLDIER_WEIGHTS)) {
+            power += (demographics[job] || 0) * weight;
+        }
+        let defense = 1.0 + (params.TERRAIN_DEFENSE[p.terrainType] || 0);
+        if (p.flow > 0 || p.riverWidth > 0) defense += params.RIVER_DEFENSE;
+        if (p.settlement === '首都') defense += params.CAPITAL_DEFENSE;
+        const parentHex = p.parentHexId !== null && p.parentHexId >= 0 ? p.parentHexId : -1;
+        units.push(index, p.nationId, p.settlement === '首都' ? 1 : 0, encodeSettlement(p.settlement), parentHex, Math.round(power), Math.round(defense * 100));
+    });
+
+    // 集落以外の国土を、最も近い同じ国の集落に帰属させる (国土の内部を幅優先探索)
+    const anchor = new Map<number, number>();
+    const queue = [...unitHexes];
+    unitHexes.forEach(index => anchor.set(index, index));
+    let head = 0;
+    while (head < queue.length) {
+        const current = queue[head++];
+        const nationId = allHexes[current].properties.nationId;
+        allHexes[current].neighbors.forEach((next: number) => {
+            if (anchor.has(next)) return;
+            const np = allHexes[next].properties;
+            if (np.isWater || np.nationId !== nationId) return;
+            anchor.set(next, anchor.get(current)!);
+            queue.push(next);
+        });
+    }
+
+    const territory: number[] = [];
+    allHexes.forEach((h: Hex, index: number) => {
+        const p = h.properties;
+        if (p.isWater || p.nationId <= 0 || (p.settlement && anchor.get(index) === index)) return;
+        let unitHex = anchor.get(index);
+        if (unitHex === undefined) {
+            // 飛び地: 同じ国の最も近い集落に帰属させる
+            let best = Infinity;
+            unitHexes.forEach(candidate => {
+                const c = allHexes[candidate];
+                if (c.properties.nationId !== p.nationId) return;
+                const distance = getDistance(h, c);
+                if (distance < best) { best = distance; unitHex = candidate; }
+            });
+        }
+        if (unitHex !== undefined) territory.push(index, unitHex);
+    });
+
+    const history: NationHistory = { version: 1, currentYear: 0, endYear: 0, units, territory, changes: [], nations: [], events: [] };
+
+    const nationIds = [...new Set(unitHexes.map(index => allHexes[index].properties.nationId))].sort((a, b) => a - b);
+    nationIds.forEach(nationId => {
+        const capitalHex = unitHexes.find(index => allHexes[index].properties.nationId === nationId && allHexes[index].properties.settlement === '首都');
+        history.nations.push({ id: nationId, name: getNationName(nationId), founded: 0, origin: 'initial', capital: capitalHex ?? null });
+        const where = capitalHex !== undefined ? `${describeSettlement(allHexes[capitalHex], '首都')}に都を置く` : '辺境の諸集落をまとめる';
+        history.events.push({ year: 0, type: 'founding', nations: [nationId], settlement: capitalHex ?? null, text: `${getNationName(nationId)}が${where}。` });
+    });
+    return history;
+}
+
+/**
+ * 指定年より未来の記録を破棄する
+ */
+function truncateHistory(history: NationHistory, year: number) {
+    const changes: number[] = [];
+    for (let i = 0; i < history.changes.length; i += CHANGE_FIELDS) {
+        if (history.changes[i] <= year) changes.push(...history.changes.slice(i, i + CHANGE_FIELDS));
+    }
+    history.changes = changes;
+    history.events = history.events.filter(e => e.year <= year);
+    history.nations = history.nations.filter(n => n.founded <= year);
+    history.endYear = year;
+}
+
+/**
+ * 平坦化された領有単位を展開する (allHexes を渡した場合は座標も補う)
+ */
+function decodeUnits(history: NationHistory, allHexes: WorldMap | null): Unit[] {
+    const units: Unit[] = [];
+    const byHex = new Map<number, number>();
+    for (let i = 0; i < history.units.length; i += UNIT_FIELDS) {
+        const hex = history.units[i];
+        const h = allHexes ? allHexes[hex] : null;
+        byHex.set(hex, units.length);
+        units.push({
+            hex,
+            col: h ? h.col : hex % config.COLS,
+            row: h ? h.row : Math.floor(hex / config.COLS),
+            name: h ? h.properties.settlementName : null,
+            nation: history.units[i + 1],
+            isCapital: history.units[i + 2] === 1,
+            settlementCode: history.units[i + 3],
+            parentHex: history.units[i + 4],
+            parent: -1,
+            children: [],
+            power: history.units[i + 5],
+            defense: history.units[i + 6] / 100
+        });
+    }
+    units.forEach((unit, u) => {
+        const parent = byHex.get(unit.parentHex);
+        if (parent === undefined || parent === u) return;
+        unit.parent = parent;
+        units[parent].children.push(u);
+    });
+    return units;
+}
+
+/**
+ * 0年目の状態に差分と年代記を適用し、指定年の政治状態を復元する
+ */
+function restoreState(history: NationHistory, units: Unit[], year: number): PoliticalState {
+    const state: PoliticalState = {
+        owner: new Int32Array(units.length),
+        capital: new Uint8Array(units.length),
+        wars: [],
+        lastPeace: new Map(),
+        lastLoss: new Map(),
+        fallYear: new Map()
+    };
+    const byHex = new Map<number, number>();
+    units.forEach((unit, u) => {
+        state.owner[u] = unit.nation;
+        state.capital[u] = unit.isCapital ? 1 : 0;
+        byHex.set(unit.hex, u);
+    });
+
+    for (let i = 0; i < history.changes.length; i += CHANGE_FIELDS) {
+        const changeYear = history.changes[i];
+        if (changeYear > year) break;
+        const u = byHex.get(history.changes[i + 1]);
+        if (u === undefined) continue;
+        const previous = state.owner[u];
+        const next = history.changes[i + 2];
+        if (previous !== next && previous > 0) state.lastLoss.set(previous, changeYear);
+        state.owner[u] = next;
+        state.capital[u] = history.changes[i + 3];
+    }
+
+    history.events.forEach(e => {
+        if (e.year > year) return;
+        switch (e.type) {
+            case 'war':
+                state.wars.push({ attacker: e.nations[0], defender: e.nations[1], start: e.year });
+                break;
+            case 'peace':
+                state.wars = state.wars.filter(w => !isSamePair(w, e.nations[0], e.nations[1]));
+                state.lastPeace.set(pairKey(e.nations[0], e.nations[1]), e.year);
+                break;
+            case 'fall':
+                state.wars = state.wars.filter(w => w.attacker !== e.nations[0] && w.defender !== e.nations[0]);
+                state.fallYear.set(e.nations[0], e.year);
+                break;
+            case 'restoration':
+                state.fallYear.delete(e.nations[0]);
+                break;
+        }
+    });
+    return state;
+}
+
+/**
+ * 政治状態を地図に反映する (所属国・首都・領都の親子関係) と、経済状態・交通量を再計算する
+ */
+async function applyPoliticalState(worldData, history: NationHistory, units: Unit[], state: PoliticalState) {
+    const allHexes: WorldMap = worldData.allHexes;
+    const byHex = new Map<number, number>();
+    units.forEach((unit, u) => byHex.set(unit.hex, u));
+
+    const capitalOf = new Map<number, number>();
+    units.forEach((unit, u) => {
+        if (state.capital[u]) capitalOf.set(state.owner[u], u);
+    });
+
+    // 国名は首都のヘックスに保存し、国名レジストリにも登録する
+    history.nations.forEach(record => setNationName(record.id, record.name));
+
+    units.forEach((unit, u) => {
+        const p = allHexes[unit.hex].properties;
+        const nationId = state.owner[u];
+        const original = decodeSettlement(unit.settlementCode);
+        p.nationId = nationId;
+        p.nationName = state.capital[u] ? nationName(history, nationId) : null;
+
+        if (state.capital[u]) {
+            if (p.population > 0) p.settlement = '首都';
+            p.parentHexId = null;
+            return;
+        }
+        if (p.settlement === '首都') p.settlement = original === '首都' ? '領都' : original;
+
+        const capital = capitalOf.get(nationId);
+        const capitalHex = capital !== undefined ? units[capital].hex : null;
+        if (p.settlement === '領都') {
+            p.parentHexId = capitalHex;
+            return;
+        }
+        // 元の親が同じ国なら元の親に、そうでなければ新しい国の最寄りの拠点 (首都・領都) に従属させる
+        const parent = byHex.get(unit.parentHex);
+        if (parent !== undefined && state.owner[parent] === nationId) {
+            p.parentHexId = unit.parentHex;
+            return;
+        }
+        if (unit.parentHex < 0) {
+            p.parentHexId = null;
+            return;
+        }
+        let best = Infinity;
+        let bestHex = capitalHex;
+        units.forEach((other, o) => {
+            if (o === u || state.owner[o] !== nationId) return;
+            const label = allHexes[other.hex].properties.settlement;
+            if (!state.capital[o] && label !== '領都') return;
+            const distance = getDistance(unit, other);
+            if (distance < best) { best = distance; bestHex = other.hex; }
+        });
+        p.parentHexId = bestHex;
+    });
+
+    for (let i = 0; i < history.territory.length; i += 2) {
+        const u = byHex.get(history.territory[i + 1]);
+        if (u === undefined) continue;
+        allHexes[history.territory[i]].properties.nationId = state.owner[u];
+    }
+
+    await determineTerritories(allHexes, silentLog);
+    await recomputeEconomy(worldData, worldData.history ? worldData.history.currentYear : 0);
+    await calculateRoadTraffic(allHexes, worldData.roadPaths, silentLog);
+}
+
+// ================================================================
+// ■ 1年分の判定
+// ================================================================
+
+/**
+ * 1年分の戦争・講和・開戦・独立・再興を判定し、記録に追加する
+ */
+function advanceOneYear(history: NationHistory, units: Unit[], state: PoliticalState, year: number, rng: SeededRandom, seed: number) {
+    const params = config.NATION_HISTORY_PARAMS;
+    const alive = getAliveNations(state);
+    const powers = new Map<number, number>();
+    alive.forEach(nationId => powers.set(nationId, getNationPower(units, state, nationId, year)));
+
+    // --- 1. 進行中の戦争 (会戦と講和) ---
+    const wars = [...state.wars].sort((a, b) => a.start - b.start || a.attacker - b.attacker || a.defender - b.defender);
+    wars.forEach(war => {
+        if (!getAliveNations(state).has(war.attacker) || !getAliveNations(state).has(war.defender)) return;
+        const attackerTarget = findFrontTarget(units, state, war.attacker, war.defender);
+        const defenderTarget = findFrontTarget(units, state, war.defender, war.attacker);
+        const attackerPower = powers.get(war.attacker) || 0;
+        const defenderPower = powers.get(war.defender) || 0;
+        const defense = attackerTarget >= 0 ? units[attackerTarget].defense : 1;
+        const winChance = attackerPower / Math.max(1, attackerPower + defenderPower * defense);
+
+        const roll = rng.next();
+        if (attackerTarget >= 0 && roll < winChance) {
+            conquer(history, units, state, year, war.attacker, war.defender, attackerTarget);
+        } else if (defenderTarget >= 0 && roll > 1 - (1 - winChance) * 0.5) {
+            // 防御側の反攻
+            conquer(history, units, state, year, war.defender, war.attacker, defenderTarget);
+        }
+
+        const stillAlive = getAliveNations(state);
+        if (!stillAlive.has(war.attacker) || !stillAlive.has(war.defender)) return;
+        const duration = year - war.start;
+        if (duration >= params.MIN_WAR_YEARS && rng.next() < params.PEACE_RATE * (duration - params.MIN_WAR_YEARS + 1)) {
+            state.wars = state.wars.filter(w => w !== war);
+            state.lastPeace.set(pairKey(war.attacker, war.defender), year);
+            pushEvent(history, year, 'peace', [war.attacker, war.defender], null,
+                `${nationName(history, war.attacker)}と${nationName(history, war.defender)}が講和した (${duration}年戦争)。`);
+        }
+    });
+
+    // --- 2. 開戦 (国境を接する国同士、兵力差が大きいほど起きやすい) ---
+    const nations = [...getAliveNations(state)].sort((a, b) => a - b);
+    const startedWar = new Set<number>();
+    for (let i = 0; i < nations.length; i++) {
+        for (let j = i + 1; j < nations.length; j++) {
+            const a = nations[i];
+            const b = nations[j];
+            if (startedWar.has(a) || startedWar.has(b)) continue;
+            if (state.wars.some(w => isSamePair(w, a, b))) continue;
+            const lastPeace = state.lastPeace.get(pairKey(a, b));
+            if (lastPeace !== undefined && year - lastPeace < params.TRUCE_YEARS) continue;
+            if (getFrontierDistance(units, state, a, b) > params.FRONTIER_RANGE_HEXES) continue;
+
+            const powerA = powers.get(a) || 1;
+            const powerB = powers.get(b) || 1;
+            const [attacker, defender] = powerA >= powerB ? [a, b] : [b, a];
+            const ratio = Math.max(powerA, powerB) / Math.max(1, Math.min(powerA, powerB));
+            let chance = params.WAR_RATE * (ratio >= params.WAR_POWER_RATIO ? ratio : 0.5);
+            if (state.wars.some(w => w.attacker === attacker || w.defender === attacker)) chance *= 0.5;
+            if (rng.next() >= chance) continue;
+
+            state.wars.push({ attacker, defender, start: year });
+            startedWar.add(attacker);
+            startedWar.add(defender);
+            pushEvent(history, year, 'war', [attacker, defender], null,
+                `${nationName(history, attacker)}が${nationName(history, defender)}に宣戦布告した。`);
+        }
+    }
+
+    // --- 3. 拠点の独立 (首都から遠い・領土が広い・領土を失った直後・戦争中ほど起きやすい) ---
+    // 滅亡した国の旧首都は、新しい国を興すのではなく再興 (4.) の候補になる
+    const fallenCapitals = new Set<number>();
+    state.fallYear.forEach((_, nationId) => {
+        const record = history.nations.find(n => n.id === nationId);
+        if (record && record.capital !== null) fallenCapitals.add(record.capital);
+    });
+    [...getAliveNations(state)].sort((a, b) => a - b).forEach(nationId => {
+        const owned = units.map((_, u) => u).filter(u => state.owner[u] === nationId);
+        if (owned.length < 3) return;
+        const capital = owned.find(u => state.capital[u]);
+        if (capital === undefined) return;
+        const lastLoss = state.lastLoss.get(nationId);
+        const unstable = lastLoss !== undefined && year - lastLoss <= params.SECESSION_LOSS_YEARS;
+        const atWar = state.wars.some(w => w.attacker === nationId || w.defender === nationId);
+
+        for (const u of owned) {
+            if (u === capital || !SECESSION_SETTLEMENTS.includes(decodeSettlement(units[u].settlementCode))) continue;
+            if (fallenCapitals.has(units[u].hex)) continue;
+            const distance = getDistance(units[u], units[capital]);
+            let chance = params.SECESSION_RATE * (1 + distance / params.SECESSION_DISTANCE_HEXES) * (1 + owned.length / params.OVEREXTENSION_SETTLEMENTS);
+            if (unstable) chance *= 2;
+            if (atWar) chance *= 1.5;
+            if (rng.next() >= chance) continue;
+
+            const newId = Math.max(0, ...history.nations.map(n => n.id)) + 1;
+            history.nations.push({ id: newId, name: nameSeceder(history, units[u], seed, year), founded: year, origin: 'secession', capital: units[u].hex });
+            const moved = transferSubtree(history, units, state, year, u, nationId, newId);
+            setCapital(history, state, year, u, units);
+            pushEvent(history, year, 'secession', [newId, nationId], units[u].hex,
+                `${describeUnit(units[u])}が${nationName(history, nationId)}から独立し、${nationName(history, newId)}を建国した${moved > 1 ? ` (${moved}集落)` : ''}。`);
+            break;
+        }
+    });
+
+    // --- 4. 旧首都での再興 ---
+    [...state.fallYear.entries()].sort((a, b) => a[0] - b[0]).forEach(([nationId, fallYear]) => {
+        if (year - fallYear < params.RESTORATION_MIN_YEARS) return;
+        const record = history.nations.find(n => n.id === nationId);
+        const oldCapital = record ? units.findIndex(unit => unit.hex === record.capital) : -1;
+        if (oldCapital < 0) return;
+        const ruler = state.owner[oldCapital];
+        if (ruler <= 0 || ruler === nationId || state.capital[oldCapital]) return;
+        if (units.filter((_, u) => state.owner[u] === ruler).length < 2) return;
+        if (rng.next() >= params.RESTORATION_RATE) return;
+
+        const moved = transferSubtree(history, units, state, year, oldCapital, ruler, nationId);
+        setCapital(history, state, year, oldCapital, units);
+        state.fallYear.delete(nationId);
+        pushEvent(history, year, 'restoration', [nationId, ruler], units[oldCapital].hex,
+            `${nationName(history, nationId)}が旧都${describeUnit(units[oldCapital], false)}で再興を宣言し、${nationName(history, ruler)}の支配を脱した${moved > 1 ? ` (${moved}集落)` : ''}。`);
+    });
+}
+
+/**
+ * 集落を占領する (従属する集落も併せて移る)。首都が陥落した場合は遷都、残る領土がなければ滅亡とする
+ */
+function conquer(history: NationHistory, units: Unit[], state: PoliticalState, year: number, winner: number, loser: number, target: number) {
+    const wasCapital = state.capital[target] === 1;
+    const moved = transferSubtree(history, units, state, year, target, loser, winner);
+    pushEvent(history, year, 'conquest', [winner, loser], units[target].hex,
+        `${nationName(history, winner)}が${nationName(history, loser)}の${describeUnit(units[target])}を占領した${moved > 1 ? ` (${moved}集落)` : ''}。`);
+    if (!wasCapital) return;
+
+    const remaining = units.map((_, u) => u).filter(u => state.owner[u] === loser);
+    if (remaining.length === 0) {
+        state.wars = state.wars.filter(w => w.attacker !== loser && w.defender !== loser);
+        state.fallYear.set(loser, year);
+        pushEvent(history, year, 'fall', [loser, winner], units[target].hex,
+            `首都${describeUnit(units[target], false)}の陥落により、${nationName(history, loser)}は滅亡した。`);
+        return;
+    }
+    remaining.sort((a, b) => units[b].power - units[a].power || units[a].hex - units[b].hex);
+    const newCapital = remaining[0];
+    setCapital(history, state, year, newCapital, units);
+    pushEvent(history, year, 'relocation', [loser], units[newCapital].hex,
+        `首都を失った${nationName(history, loser)}は${describeUnit(units[newCapital])}に遷都した。`);
+}
+
+/**
+ * 集落と、同じ国に属したままの従属集落をまとめて別の国に移す
+ * @returns {number} 移った集落数
+ */
+function transferSubtree(history: NationHistory, units: Unit[], state: PoliticalState, year: number, root: number, from: number, to: number): number {
+    const stack = [root];
+    let moved = 0;
+    while (stack.length > 0) {
+        const u = stack.pop()!;
+        // 元の国の首都は従属集落であっても移さない (遷都先が元の拠点の配下にある場合)
+        if (state.owner[u] !== from || (u !== root && state.capital[u])) continue;
+        state.owner[u] = to;
+        state.capital[u] = 0;
+        history.changes.push(year, units[u].hex, to, 0);
+        moved++;
+        units[u].children.forEach(child => stack.push(child));
+    }
+    if (from > 0) state.lastLoss.set(from, year);
+    return moved;
+}
+
+function setCapital(history: NationHistory, state: PoliticalState, year: number, u: number, units: Unit[]) {
+    state.capital[u] = 1;
+    history.changes.push(year, units[u].hex, state.owner[u], 1);
+}
+
+// ================================================================
+// ■ 補助関数
+// ================================================================
+
+function getAliveNations(state: PoliticalState): Set<number> {
+    const alive = new Set<number>();
+    state.owner.forEach(nationId => { if (nationId > 0) alive.add(nationId); });
+    return alive;
+}
+
+/**
+ * 国力 = 領有する集落の兵力の合計 × (1 - 戦争による消耗)
+ */
+function getNationPower(units: Unit[], state: PoliticalState, nationId: number, year: number): number {
+    const params = config.NATION_HISTORY_PARAMS;
+    let power = 0;
+    units.forEach((unit, u) => { if (state.owner[u] === nationId) power += unit.power; });
+    const wars = state.wars.filter(w => w.attacker === nationId || w.defender === nationId);
+    const longest = wars.reduce((max, w) => Math.max(max, year - w.start), 0);
+    const exhaustion = Math.min(params.MAX_WAR_EXHAUSTION, longest * params.WAR_EXHAUSTION_PER_YEAR);
+    return power * (1 - exhaustion);
+}
+
+/**
+ * 攻撃側の集落に最も近い、防御側の集落 (最前線) を探す
+ * @returns {number} 領有単位の番号 (見つからない場合 -1)
+ */
+function findFrontTarget(units: Unit[], state: PoliticalState, attacker: number, defender: number): number {
+    let best = Infinity;
+    let target = -1;
+    units.forEach((unit, u) => {
+        if (state.owner[u] !== defender) return;
+        units.forEach((other, o) => {
+            if (state.owner[o] !== attacker) return;
+            const distance = getDistance(unit, other);
+            if (distance < best || (distance === best && target >= 0 && unit.hex < units[target].hex)) {
+                best = distance;
+                target = u;
+            }
+        });
+    });
+    return target;
+}
+
+function getFrontierDistance(units: Unit[], state: PoliticalState, a: number, b: number): number {
+    let best = Infinity;
+    units.forEach((unit, u) => {
+        if (state.owner[u] !== a) return;
+        units.forEach((other, o) => {
+            if (state.owner[o] === b) best = Math.min(best, getDistance(unit, other));
+        });
+    });
+    return best;
+}
+
+function pushEvent(history: NationHistory, year: number, type: ChronicleEventType, nations: number[], settlement: number | null, text: string) {
+    history.events.push({ year, type, nations, settlement, text });
+}
+
+function nationName(history: NationHistory, nationId: number): string {
+    const record = history.nations.find(n => n.id === nationId);
+    return record ? record.name : getNationName(nationId);
+}
+
+function describeSettlement(hex: { col: number; row: number; properties?: any }, label: string | null): string {
+    const name = hex.properties ? hex.properties.settlementName || '' : '';
+    return `${label || '集落'}${name}(${formatLocation(hex as any, 'coords')})`;
+}
+
+function describeUnit(unit: Unit, withLabel: boolean = true): string {
+    const hex = { col: unit.col, row: unit.row };
+    const name = unit.name || '';
+    return withLabel ? `${decodeSettlement(unit.settlementCode) || '集落'}${name}(${formatLocation(hex as any, 'coords')})` : `${name}(${formatLocation(hex as any, 'coords')})`;
+}
+
+/**
+ * 独立した国の名前 (その集落の0年目の所属国の文化で名付ける)
+ * 命名用の乱数は判定用と分け、名前の有無で歴史の展開が変わらないようにする。
+ */
+function nameSeceder(history: NationHistory, unit: Unit, seed: number, year: number): string {
+    const used = new Set(history.nations.map(n => n.name));
+    return generateName(getNationCulture(seed, unit.nation), 'nation', new SeededRandom(seed * 59 + year), used);
+}
+
+function pairKey(a: number, b: number): string {
+    return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+function isSamePair(war: War, a: number, b: number): boolean {
+    return (war.attacker === a && war.defender === b) || (war.attacker === b && war.defender === a);
+}
+
+function encodeSettlement(settlement: string | null): number {
+    return settlement ? SETTLEMENT_TYPES.indexOf(settlement) + 1 : 0;
+}
+
+function decodeSettlement(code: number): string | null {
+    return code > 0 ? SETTLEMENT_TYPES[code - 1] : null;
+}
@@ -0,0 +1,252 @@
+// ================================================================
+// GeoForge System - 遭遇・天候表パネル
+// ================================================================
+// サイドバーの「遭遇・天候表」パネル。地図で選んだヘックス (周囲の半径) または注釈の範囲について、
+// randomTables.ts で遭遇表と天候表 (d100) を作って表示し、シード付きの乱数で日数分を振る。
+// 表と振った結果はテキスト・Markdown で書き出せる。
+
+import * as config from './config.ts';
+import { SeededRandom } from './utils.ts';
+import { Hex } from './WorldMap.ts';
+import { MONTH_LABELS } from './seasonalClimate.ts';
+import {
+    RandomTable, DayRoll, TableSheet,
+    collectAreaHexes, collectRadiusHexes, describeArea, buildEncounterTable, buildWeatherTable, rollDays,
+    formatSheetMarkdown, formatSheetText
+} from './randomTables.ts';
+
+interface RandomTablePanelOptions {
+    // 現在の世界データ ({ allHexes, annotations }) を返す
+    getWorldData: () => any;
+    // 地点の選択を開始する (handler = 次にクリックされたヘックスを受け取る関数、null で取り消し)
+    onPickRequest: (handler: ((d: any) => void) | null) => void;
+}
+
+// 範囲の選択肢の値 (注釈の範囲は接頭辞 + 注釈の ID)
+const ANNOTATION_AREA_PREFIX = 'annotation:';
+
+let options: RandomTablePanelOptions;
+
+let placeLabel: HTMLElement;
+let pickButton: HTMLButtonElement;
+let areaSelect: HTMLSelectElement;
+let monthSelect: HTMLSelectElement;
+let seedInput: HTMLInputElement;
+let daysInput: HTMLInputElement;
+let rollButton: HTMLButtonElement;
+let exportMarkdownButton: HTMLButtonElement;
+let exportTextButton: HTMLButtonElement;
+let statusElement: HTMLElement;
+let rollsElement: HTMLElement;
+let tablesElement: HTMLElement;
+
+let enabled = false;
+let centerIndex: number | null = null; // 選んだヘックス (共有バッファのインデックス)
+let sheetTitle = '';
+let tables: { encounter: RandomTable; weather: RandomTable } | null = null;
+let rng: SeededRandom | null = null;
+let rolls: DayRoll[] = [];
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {RandomTablePanelOptions} panelOptions
+ */
+export function setupRandomTablePanel(panelOptions: RandomTablePanelOptions) {
+    options = panelOptions;
+
+    placeLabel = document.getElementById('random-table-place-label') as HTMLElement;
+    pickButton = document.getElementById('random-table-pick-btn') as HTMLButtonElement;
+    areaSelect = document.getElementById('random-table-area-select') as HTMLSelectElement;
+    monthSelect = document.getElementById('random-table-month-select') as HTMLSelectElement;
+    seedInput = document.getElementById('random-table-seed-input') as HTMLInputElement;
+    daysInput = document.getElementById('random-table-days-input') as HTMLInputElement;
+    rollButton = document.getElementById('random-table-roll-btn') as HTMLButtonElement;
+    exportMarkdownButton = document.getElementById('random-table-export-md-btn') as HTMLButtonElement;
+    exportTextButton = document.getElementById('random-table-export-text-btn') as HTMLButtonElement;
+    statusElement = document.getElementById('random-table-status') as HTMLElement;
+    rollsElement = document.getElementById('random-table-rolls') as HTMLElement;
+    tablesElement = document.getElementById('random-table-tables') as HTMLElement;
+
+    monthSelect.replaceChildren(...['年平均', ...MONTH_LABELS].map((label, i) => new Option(label, String(i))));
+    daysInput.max = String(config.ENCOUNTER_PARAMS.MAX_DAYS);
+
+    pickButton.addEventListener('click', startPick);
+    // 注釈は別のパネルで増減するため、開くたびに選択肢を作り直す
+    areaSelect.addEventListener('focus', refreshAreaOptions);
+    areaSelect.addEventListener('change', rebuildTables);
+    monthSelect.addEventListener('change', rebuildTables);
+    seedInput.addEventListener('change', () => {
+        rng = null;
+        rolls = [];
+        renderRolls();
+    });
+    rollButton.addEventListener('click', roll);
+    exportMarkdownButton.addEventListener('click', () => exportSheet('markdown'));
+    exportTextButton.addEventListener('click', () => exportSheet('text'));
+
+    updateRandomTablePanel(false);
+}
+
+/**
+ * パネルの有効・無効を切り替える (生成・読み込み・編集などで世界が変わったときに呼び出す)
+ * 世界が変わると表は使えなくなるため、選択中の場所と表・振った結果を消す。
+ * @param {boolean} isEnabled - 表を作れる状態かどうか (経済まで生成済みの世界)
+ */
+export function updateRandomTablePanel(isEnabled: boolean) {
+    if (!pickButton) return;
+    enabled = isEnabled;
+    centerIndex = null;
+    tables = null;
+    rng = null;
+    rolls = [];
+    [pickButton, areaSelect, monthSelect, seedInput, daysInput].forEach(el => { el.disabled = !enabled; });
+    refreshAreaOptions();
+    placeLabel.textContent = '未選択';
+    statusElement.textContent = '';
+    render();
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+function startPick() {
+    statusElement.textContent = '地図で場所のヘックスをクリックしてください。';
+    options.onPickRequest((d: any) => {
+        const worldData = options.getWorldData();
+        if (!worldData || !worldData.allHexes) return;
+
+        // 共有バッファに現在のデータがないブロック (座標が一致しない) のヘックスは選べない
+        const h = worldData.allHexes[d.index];
+        if (!h || h.col !== d.col || h.row !== d.row) {
+            statusElement.textContent = 'このヘックスは読み込まれていないため選べません。';
+            return;
+        }
+
+        centerIndex = d.index;
+        if (areaSelect.value.startsWith(ANNOTATION_AREA_PREFIX)) areaSelect.value = '0';
+        statusElement.textContent = '';
+        rebuildTables();
+    });
+}
+
+/**
+ * 範囲の選択肢 (選んだヘックスの周囲の半径と、範囲の注釈)
+ */
+function refreshAreaOptions() {
+    const current = areaSelect.value || '0';
+    const worldData = options.getWorldData();
+    const areas = ((worldData && worldData.annotations) || []).filter((a: any) => a.kind === 'area');
+    const radii = Array.from({ length: config.ENCOUNTER_PARAMS.MAX_RADIUS + 1 }, (_, r) =>
+        new Option(r === 0 ? '選んだヘックスのみ' : `周囲 ${r}ヘックス`, String(r)));
+    const annotationOptions = areas.map((a: any) => new Option(`注釈: ${a.title || '範囲'}`, ANNOTATION_AREA_PREFIX + a.id));
+    areaSelect.replaceChildren(...radii, ...annotationOptions);
+    areaSelect.value = [...areaSelect.options].some(o => o.value === current) ? current : '0';
+}
+
+/**
+ * 選択中の範囲と月で表を作り直す (振った結果は消す)
+ */
+function rebuildTables() {
+    tables = null;
+    rolls = [];
+    const worldData = options.getWorldData();
+    const allHexes = worldData ? worldData.allHexes : null;
+    if (!allHexes) return render();
+
+    let hexes: Hex[] = [];
+    if (areaSelect.value.startsWith(ANNOTATION_AREA_PREFIX)) {
+        const id = areaSelect.value.slice(ANNOTATION_AREA_PREFIX.length);
+        const annotation = (worldData.annotations || []).find((a: any) => a.id === id);
+        if (annotation) {
+            hexes = collectAreaHexes(allHexes, annotation.cells);
+            sheetTitle = annotation.title || '注釈の範囲';
+            placeLabel.textContent = sheetTitle;
+        }
+    } else if (centerIndex !== null) {
+        const radius = Number(areaSelect.value) || 0;
+        hexes = collectRadiusHexes(allHexes, allHexes[centerIndex], radius);
+        sheetTitle = describeArea(allHexes[centerIndex], radius);
+        placeLabel.textContent = sheetTitle;
+    }
+    if (hexes.length === 0) {
+        statusElement.textContent = centerIndex === null && !areaSelect.value.startsWith(ANNOTATION_AREA_PREFIX)
+            ? '地図で場所を選ぶか、範囲に注釈を選んでください。'
+            : '範囲のヘックスが読み込まれていません。';
+        return render();
+    }
+
+    const month = Number(monthSelect.value) || null;
+    tables = { encounter: buildEncounterTable(allHexes, hexes), weather: buildWeatherTable(hexes, month) };
+    statusElement.textContent = '';
+    render();
+}
+
+/**
+ * 日数分の天候と遭遇を振る (同じシードで続けて振ると、続きの日として記録する)
+ */
+function roll() {
+    if (!tables) return;
+    if (!rng) {
+        if (!seedInput.value.trim()) seedInput.value = Date.now().toString(36);
+        rng = new SeededRandom(seedInput.value.trim());
+    }
+    const days = Math.min(config.ENCOUNTER_PARAMS.MAX_DAYS, Math.max(1, Math.floor(Number(daysInput.value) || 1)));
+    rolls.push(...rollDays(tables.encounter, tables.weather, days, rng, rolls.length + 1));
+    renderRolls();
+}
+
+function getSheet(): TableSheet | null {
+    if (!tables) return null;
+    return { title: `遭遇・天候表: ${sheetTitle}`, tables: [tables.encounter, tables.weather], seed: seedInput.value.trim(), rolls };
+}
+
+function exportSheet(format: 'markdown' | 'text') {
+    const sheet = getSheet();
+    if (!sheet) return;
+    const content = format === 'markdown' ? formatSheetMarkdown(sheet) : formatSheetText(sheet);
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([content], { type: format === 'markdown' ? 'text/markdown' : 'text/plain' }));
+    a.download = format === 'markdown' ? 'encounter-tables.md' : 'encounter-tables.txt';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// ================================================================
+// ■ 表示
+// ================================================================
+
+function render() {
+    const hasTables = enabled && !!tables;
+    [rollButton, exportMarkdownButton, exportTextButton].forEach(el => { el.disabled = !hasTables; });
+    tablesElement.replaceChildren(...(tables ? [tables.encounter, tables.weather].map(renderTable) : []));
+    renderRolls();
+}
+
+function renderTable(table: RandomTable): HTMLElement {
+    const element = document.createElement('table');
+    element.className = 'random-table';
+    const caption = element.createCaption();
+    caption.textContent = `${table.title} (d100)`;
+    table.rows.forEach(row => {
+        const tr = element.insertRow();
+        tr.insertCell().textContent = row.from === row.to ? String(row.from) : `${row.from}-${row.to}`;
+        const cell = tr.insertCell();
+        cell.textContent = row.label;
+        if (row.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'random-table-detail';
+            detail.textContent = ` ${row.detail}`;
+            cell.append(detail);
+        }
+    });
+    return element;
+}
+
+function renderRolls() {
+    rollsElement.replaceChildren(...rolls.map(r => {
+        const item = document.createElement('li');
+        item.textContent = `${r.day}日目: ${r.weather.row.label} (${r.weather.roll}) / ${r.encounter.row.label} (${r.encounter.roll})`;
+        return item;
+    }));
+}
@@ -0,0 +1,359 @@
+// ================================================================
+// GeoForge System - 遭遇表・天候表
+// ================================================================
+// 選んだヘックス (または範囲) のデータから、セッションで使う d100 のランダム表を作る (DOM 非依存)。
+// 遭遇表は野生動物 (狩猟適性・植生)、魔物 (魔物ランク)、家畜 (家畜適性)、旅人・商人 (道路の交通量と道路レベル)、
+// 兵士の巡回 (範囲と近くの集落の兵士の人口構成)、近くの集落の住人から重みを決める。
+// 天候表は気候区分と、その月 (seasonalClimate.ts) の気温・降水量から決める。
+// 表を振る乱数は SeededRandom を使い、同じシードなら同じ結果になる。画面は randomTablePanel.ts。
+
+import * as config from './config.ts';
+import { SeededRandom, formatLocation } from './utils.ts';
+import { WorldMap, Hex } from './WorldMap.ts';
+import { calculateHexDemographics } from './economyHelpers.ts';
+import { getCellsInRadius, hexDistance } from './fogOfWar.ts';
+import { getMonthlyPrecipitation, getMonthlyTemperature, MONTH_LABELS } from './seasonalClimate.ts';
+
+/** 表の項目 (weight は相対的な重み) */
+export interface TableEntry {
+    label: string;
+    weight: number;
+    detail: string;
+}
+
+/** d100 の表の1行 (from〜to の出目で label) */
+export interface TableRow {
+    from: number;
+    to: number;
+    label: string;
+    detail: string;
+}
+
+export interface RandomTable {
+    title: string;
+    rows: TableRow[];
+}
+
+/** 1日分の出目 */
+export interface DayRoll {
+    day: number;
+    weather: { roll: number; row: TableRow };
+    encounter: { roll: number; row: TableRow };
+}
+
+/** 書き出す内容 (表と振った結果) */
+export interface TableSheet {
+    title: string;
+    tables: RandomTable[];
+    seed: string;
+    rolls: DayRoll[];
+}
+
+const SOLDIER_JOBS = ['衛兵・自警団', '正規兵', '騎士'];
+
+// ================================================================
+// ■ 範囲
+// ================================================================
+
+/**
+ * 範囲のヘックス (グローバル座標のセルのうち、読み込まれているもの)
+ * @param {WorldMap} allHexes
+ * @param {{col: number, row: number}[]} cells - グローバル座標のヘックス
+ * @returns {Hex[]}
+ */
+export function collectAreaHexes(allHexes: WorldMap, cells: { col: number; row: number }[]): Hex[] {
+    const wanted = new Set(cells.map(c => `${c.col},${c.row}`));
+    const hexes: Hex[] = [];
+    allHexes.forEach((h: Hex) => {
+        if (wanted.has(`${h.col},${h.row}`)) hexes.push(h);
+    });
+    return hexes;
+}
+
+/**
+ * 中心のヘックスから半径以内の範囲
+ */
+export function collectRadiusHexes(allHexes: WorldMap, center: Hex, radius: number): Hex[] {
+    return collectAreaHexes(allHexes, getCellsInRadius(center.col, center.row, radius));
+}
+
+/**
+ * 範囲の表示名 (集落名 > 集落区分 > 座標。範囲が広い場合は半径を添える)
+ */
+export function describeArea(center: Hex, radius: number): string {
+    const p = center.properties;
+    const place = p.settlementName ? `${p.settlementName} (${p.settlement})` : formatLocation(center, 'coords');
+    return radius > 0 ? `${place} の周囲 ${radius}ヘックス` : place;
+}
+
+// ================================================================
+// ■ 遭遇表
+// ================================================================
+
+/**
+ * 範囲の遭遇表を作る
+ * @param {WorldMap} allHexes - 全ヘックス (近くの集落を探すため)
+ * @param {Hex[]} hexes - 範囲のヘックス (1つ以上)
+ * @returns {RandomTable}
+ */
+export function buildEncounterTable(allHexes: WorldMap, hexes: Hex[]): RandomTable {
+    const params = config.ENCOUNTER_PARAMS;
+    const count = Math.max(1, hexes.length);
+    const average = (fn: (p: any) => number) => hexes.reduce((sum, h) => sum + (fn(h.properties) || 0), 0) / count;
+    const waterRatio = hexes.filter(h => h.properties.isWater).length / count;
+    const entries: TableEntry[] = [{ label: '何も起きない', weight: params.NO_ENCOUNTER_WEIGHT, detail: '' }];
+
+    // 野生動物 (範囲で最も多い植生の動物で等分する)
+    const vegetation = getDominant(hexes.map(h => h.properties.vegetation).filter(v => params.WILDLIFE[v]));
+    const animals = vegetation ? params.WILDLIFE[vegetation] : [];
+    const wildlifeWeight = params.WILDLIFE_WEIGHT * average(p => p.isWater ? 0.5 : p.huntingPotential);
+    animals.forEach(animal => entries.push({ label: animal, weight: wildlifeWeight / animals.length, detail: `野生動物 (${vegetation})` }));
+
+    // 家畜・漁船
+    entries.push({ label: '放牧中の家畜と牧人', weight: params.LIVESTOCK_WEIGHT * average(p => p.isWater ? 0 : p.livestockPotential), detail: '家畜' });
+    entries.push({ label: '漁船', weight: params.FISHING_WEIGHT * average(p => p.isWater ? p.fishingPotential : 0), detail: '漁師' });
+
+    // 魔物 (ランクごとに、範囲に占める割合で重みを付ける)
+    const monsters = params.MONSTERS[waterRatio > 0.5 ? 'water' : 'land'];
+    Object.keys(params.MONSTER_RANK_WEIGHTS).forEach(rank => {
+        const ratio = hexes.filter(h => h.properties.monsterRank === rank).length / count;
+        entries.push({
+            label: `魔物 (${rank}ランク)`,
+            weight: params.MONSTER_RANK_WEIGHTS[rank] * ratio,
+            detail: `${monsters[rank]} / ${config.TRAVEL_PARAMS.DANGER_LABELS[rank]}`
+        });
+    });
+
+    // 旅人・商人 (範囲の最大の交通量と道路レベル)
+    const usage = Math.max(0, ...hexes.map(h => h.properties.roadUsage || 0));
+    const roadLevel = Math.max(0, ...hexes.map(h => h.properties.roadLevel || 0));
+    const logUsage = Math.log10(1 + usage);
+    const merchantWeight = params.MERCHANT_WEIGHT_PER_LOG_USAGE * logUsage;
+    entries.push({
+        label: '旅人・巡礼者',
+        weight: params.TRAVELER_WEIGHT_PER_LOG_USAGE * logUsage + params.ROAD_LEVEL_WEIGHT * roadLevel,
+        detail: roadLevel > 0 ? `道路レベル ${roadLevel}` : '道なき道'
+    });
+    entries.push({ label: '商人の隊商', weight: merchantWeight, detail: `交通量 ${Math.round(usage).toLocaleString()} t/年` });
+
+    // 兵士の巡回 (範囲と近くの集落の兵士)
+    const nearby = findNearbySettlements(allHexes, hexes, params.NEARBY_SETTLEMENT_RADIUS);
+    const areaKeys = new Set(hexes.map(h => `${h.col},${h.row}`));
+    const soldiers = countSoldiers(allHexes, [...hexes, ...nearby.filter(h => !areaKeys.has(`${h.col},${h.row}`))]);
+    let patrolWeight = 0;
+    SOLDIER_JOBS.forEach(job => {
+        const weight = params.PATROL_WEIGHT_PER_LOG_SOLDIERS * Math.log10(1 + soldiers[job]);
+        patrolWeight += weight;
+        entries.push({ label: params.SOLDIER_LABELS[job], weight, detail: `近くの${job} ${soldiers[job].toLocaleString()}人` });
+    });
+
+    // 盗賊 (商人が通るほど増え、巡回が多いほど減る)
+    const suppression = Math.max(0.2, 1 - patrolWeight / params.BANDIT_PATROL_SUPPRESSION);
+    entries.push({ label: '盗賊', weight: merchantWeight * params.BANDIT_RATIO * suppression, detail: '待ち伏せ・通行料の要求' });
+
+    // 近くの集落の住人 (最も人口の多い集落)
+    const town = nearby.sort((a, b) => b.properties.population - a.properties.population)[0];
+    if (town) {
+        const p = town.properties;
+        entries.push({
+            label: `${p.settlementName || p.settlement}の住人`,
+            weight: params.RESIDENT_WEIGHT_PER_LOG_POPULATION * Math.log10(1 + p.population),
+            detail: `${p.settlement} 人口 ${p.population.toLocaleString()}人`
+        });
+    }
+
+    return { title: '遭遇表', rows: toD100Rows(entries) };
+}
+
+/**
+ * 範囲の中と、範囲から radius 以内にある集落
+ */
+function findNearbySettlements(allHexes: WorldMap, hexes: Hex[], radius: number): Hex[] {
+    const result: Hex[] = [];
+    allHexes.forEach((h: Hex) => {
+        if (!h.properties.settlement || !(h.properties.population > 0)) return;
+        if (hexes.some(a => hexDistance(a.col, a.row, h.col, h.row) <= radius)) result.push(h);
+    });
+    return result;
+}
+
+/**
+ * 兵士の人口 (人口構成がまだ計算されていないヘックスは計算する)
+ */
+function countSoldiers(allHexes: WorldMap, hexes: Hex[]): Record<string, number> {
+    const soldiers: Record<string, number> = Object.fromEntries(SOLDIER_JOBS.map(job => [job, 0]));
+    hexes.forEach(h => {
+        const p = h.properties;
+        if (!(p.population > 0)) return;
+        if (!p.demographics) calculateHexDemographics(h, allHexes);
+        SOLDIER_JOBS.forEach(job => { soldiers[job] += (p.demographics && p.demographics[job]) || 0; });
+    });
+    return soldiers;
+}
+
+// ================================================================
+// ■ 天候表
+// ================================================================
+
+/**
+ * 範囲の1日ごとの天候表を作る
+ * 雨 (雪) の日の割合は月降水量、雨か雪かは月平均気温で決め、気候区分ごとの天候 (砂嵐・スコールなど) を加える。
+ * @param {Hex[]} hexes - 範囲のヘックス (1つ以上)
+ * @param {number|null} month - 月 (1〜12。null は年平均)
+ * @returns {RandomTable}
+ */
+export function buildWeatherTable(hexes: Hex[], month: number | null): RandomTable {
+    const params = config.WEATHER_PARAMS;
+    const land = hexes.filter(h => !h.properties.isWater);
+    const source = land.length > 0 ? land : hexes;
+    const count = Math.max(1, source.length);
+    const temperature = source.reduce((sum, h) => sum + (month ? getMonthlyTemperature(h.properties, month) : h.properties.temperature), 0) / count;
+    const precipitation = source.reduce((sum, h) => sum + (month ? getMonthlyPrecipitation(h.properties, month) : h.properties.precipitation_mm / 12), 0) / count;
+    const zone = getDominant(source.map(h => h.properties.climateZone).filter(Boolean));
+
+    const wetRatio = Math.min(params.MAX_WET_RATIO, Math.max(params.MIN_WET_RATIO, precipitation / params.WET_MONTH_MM * params.MAX_WET_RATIO));
+    const heavyShare = Math.min(0.5, precipitation / params.HEAVY_RAIN_MM * 0.5);
+    const [rain, heavyRain] = temperature <= config.SEASONAL_PARAMS.SNOW_TEMPERATURE ? ['雪', '大雪']
+        : temperature <= params.SLEET_TEMPERATURE ? ['みぞれ', '大雨'] : ['雨', '大雨'];
+
+    const entries: TableEntry[] = [];
+    Object.entries(params.DRY_SHARES).forEach(([label, share]) => {
+        entries.push({ label, weight: (1 - wetRatio) * share * 100, detail: '' });
+    });
+    entries.push({ label: rain, weight: wetRatio * (1 - heavyShare) * 100, detail: '' });
+    entries.push({ label: heavyRain, weight: wetRatio * heavyShare * 100, detail: '' });
+    if (temperature >= params.HEAT_TEMPERATURE) entries.push({ label: '猛暑', weight: params.EXTREME_WEIGHT, detail: '' });
+    if (temperature <= params.COLD_TEMPERATURE) entries.push({ label: '寒波', weight: params.EXTREME_WEIGHT, detail: '' });
+    (zone ? params.ZONE_EVENTS[zone] || [] : [])
+        .filter(event => temperature >= (event.minTemp ?? -Infinity) && temperature <= (event.maxTemp ?? Infinity))
+        .forEach(event => entries.push({ label: event.label, weight: event.weight, detail: '' }));
+
+    // 気温の目安 (天候ごとの日較差とずれ)
+    entries.forEach(entry => {
+        const diurnal = params.DIURNAL[entry.label] || params.DIURNAL['曇り'];
+        const mean = temperature + diurnal.offset;
+        entry.detail = `${Math.round(mean - diurnal.range / 2)}〜${Math.round(mean + diurnal.range / 2)}℃`;
+    });
+
+    const season = month ? MONTH_LABELS[month - 1] : '年平均';
+    return { title: `天候表 (${zone || '気候区分なし'}・${season})`, rows: toD100Rows(entries) };
+}
+
+// ================================================================
+// ■ d100 の表と出目
+// ================================================================
+
+/**
+ * 重みを d100 の出目の範囲に割り当てる (最大剰余法。重みのある項目は最低1つの出目を持つ)
+ * @param {TableEntry[]} entries
+ * @returns {TableRow[]} 出目の順
+ */
+export function toD100Rows(entries: TableEntry[]): TableRow[] {
+    const valid = entries.filter(e => e.weight > 0).slice(0, 100);
+    if (valid.length === 0) return [];
+    const total = valid.reduce((sum, e) => sum + e.weight, 0);
+    const slots = valid.map(e => Math.max(1, Math.floor(e.weight / total * 100)));
+
+    // 合計が 100 になるように、端数の大きい順に足す (超えた場合は多い順に引く)
+    const order = valid.map((e, i) => i).sort((a, b) => (valid[b].weight / total * 100 % 1) - (valid[a].weight / total * 100 % 1));
+    let sum = slots.reduce((a, b) => a + b, 0);
+    for (let k = 0; sum < 100; k = (k + 1) % order.length, sum++) slots[order[k]]++;
+    while (sum > 100) {
+        const largest = slots.indexOf(Math.max(...slots));
+        slots[largest]--;
+        sum--;
+    }
+
+    let from = 1;
+    return valid.map((e, i) => {
+        const row = { from, to: from + slots[i] - 1, label: e.label, detail: e.detail };
+        from += slots[i];
+        return row;
+    });
+}
+
+/**
+ * 表を1回振る
+ * @param {TableRow[]} rows
+ * @param {SeededRandom} rng
+ * @returns {{roll: number, row: TableRow}}
+ */
+export function rollTable(rows: TableRow[], rng: SeededRandom): { roll: number; row: TableRow } {
+    const roll = rng.nextInt(1, 100);
+    return { roll, row: rows.find(r => roll >= r.from && roll <= r.to) || rows[rows.length - 1] };
+}
+
+/**
+ * 日数分の天候と遭遇を振る
+ */
+export function rollDays(encounter: RandomTable, weather: RandomTable, days: number, rng: SeededRandom, startDay = 1): DayRoll[] {
+    return Array.from({ length: days }, (_, i) => ({
+        day: startDay + i,
+        weather: rollTable(weather.rows, rng),
+        encounter: rollTable(encounter.rows, rng)
+    }));
+}
+
+// ================================================================
+// ■ 書き出し
+// ================================================================
+
+function formatRange(row: TableRow): string {
+    const pad = (n: number) => String(n % 100).padStart(2, '0');
+    return row.from === row.to ? pad(row.from) : `${pad(row.from)}-${pad(row.to)}`;
+}
+
+function formatRoll(roll: DayRoll): string {
+    return `${roll.day}日目: 天候 ${roll.weather.row.label} (${roll.weather.roll})、遭遇 ${roll.encounter.row.label} (${roll.encounter.roll})`;
+}
+
+/**
+ * Markdown で書き出す
+ * @param {TableSheet} sheet
+ * @returns {string}
+ */
+export function formatSheetMarkdown(sheet: TableSheet): string {
+    const lines = [`# ${sheet.title}`, ''];
+    sheet.tables.forEach(table => {
+        lines.push(`## ${table.title} (d100)`, '', '| d100 | 結果 | 詳細 |', '|---:|---|---|');
+        table.rows.forEach(row => lines.push(`| ${formatRange(row)} | ${row.label} | ${row.detail} |`));
+        lines.push('');
+    });
+    if (sheet.rolls.length > 0) {
+        lines.push(`## 振った結果 (シード: ${sheet.seed})`, '');
+        sheet.rolls.forEach(roll => lines.push(`- ${formatRoll(roll)}`));
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * テキストで書き出す
+ * @param {TableSheet} sheet
+ * @returns {string}
+ */
+export function formatSheetText(sheet: TableSheet): string {
+    const lines = [sheet.title, ''];
+    sheet.tables.forEach(table => {
+        lines.push(`【${table.title} (d100)】`);
+        table.rows.forEach(row => lines.push(`${formatRange(row).padStart(5)}  ${row.label}${row.detail ? ` (${row.detail})` : ''}`));
+        lines.push('');
+    });
+    if (sheet.rolls.length > 0) {
+        lines.push(`【振った結果 (シード: ${sheet.seed})】`);
+        sheet.rolls.forEach(roll => lines.push(formatRoll(roll)));
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 最も多い値
+ */
+function getDominant(values: string[]): string | null {
+    const counts = new Map<string, number>();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    let best: string | null = null;
+    counts.forEach((n, v) => { if (best === null || n > counts.get(best)!) best = v; });
+    return best;
+}
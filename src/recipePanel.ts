@@ -0,0 +1,198 @@
+// ================================================================
+// GeoForge System - 世界のレシピパネル
+// ================================================================
+// サイドバーの「世界のレシピ」パネル。次に生成する世界のシード値と生成パラメータ (プリセット・個別の上書き) を編集し、
+// 表示中の世界のレシピを共有リンクとしてコピーする。レシピ本体の扱いは worldRecipe.ts。
+
+import * as config from './config.ts';
+import { WorldRecipe, createRecipe, validateRecipe, encodeRecipe, getDefaultParam, describeBaseTerrain } from './worldRecipe.ts';
+
+let seedInput: HTMLInputElement;
+let seedRandomButton: HTMLButtonElement;
+let presetSelect: HTMLSelectElement;
+let fieldsContainer: HTMLElement;
+let extraInput: HTMLTextAreaElement;
+let currentLabel: HTMLElement;
+let baseTerrainWarning: HTMLElement;
+let copyLinkButton: HTMLButtonElement;
+let linkOutput: HTMLInputElement;
+let statusElement: HTMLElement;
+
+// パラメータのパス → 入力欄
+const fieldInputs = new Map<string, HTMLInputElement>();
+// 表示中の世界のレシピ (共有リンクの元)
+let currentRecipe: WorldRecipe | null = null;
+// 共有リンクから開いたレシピの、パネルで編集しない部分 (地形の下絵と部分的な再生成の記録)
+// 下絵は読み込んだ下絵と食い違わないかを確かめるため、作り直しの記録は生成したあとで再現するために次の生成に引き継ぐ
+let linkedRecipe: Pick<WorldRecipe, 'baseTerrain' | 'rerolls'> | null = null;
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ */
+export function setupRecipePanel() {
+    seedInput = document.getElementById('recipe-seed-input') as HTMLInputElement;
+    seedRandomButton = document.getElementById('recipe-seed-random-btn') as HTMLButtonElement;
+    presetSelect = document.getElementById('recipe-preset-select') as HTMLSelectElement;
+    fieldsContainer = document.getElementById('recipe-fields') as HTMLElement;
+    extraInput = document.getElementById('recipe-extra-input') as HTMLTextAreaElement;
+    currentLabel = document.getElementById('recipe-current') as HTMLElement;
+    baseTerrainWarning = document.getElementById('recipe-base-terrain-warning') as HTMLElement;
+    copyLinkButton = document.getElementById('recipe-copy-link-btn') as HTMLButtonElement;
+    linkOutput = document.getElementById('recipe-link-output') as HTMLInputElement;
+    statusElement = document.getElementById('recipe-status') as HTMLElement;
+
+    const params = config.WORLD_RECIPE_PARAMS;
+    const customOption = document.createElement('option');
+    customOption.value = '';
+    customOption.textContent = 'カスタム';
+    presetSelect.replaceChildren(customOption, ...Object.entries(params.PRESETS).map(([key, preset]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = preset.name;
+        return option;
+    }));
+    presetSelect.value = 'standard';
+
+    // 項目をグループごとに並べる (空欄は既定値のまま)
+    let group = '';
+    params.FIELDS.forEach(field => {
+        if (field.group !== group) {
+            group = field.group;
+            const heading = document.createElement('h5');
+            heading.textContent = group;
+            fieldsContainer.appendChild(heading);
+        }
+        const id = `recipe-field-${field.path.replace(/\./g, '-')}`;
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = field.label;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = id;
+        input.min = String(field.min);
+        input.max = String(field.max);
+        input.step = String(field.step);
+        input.placeholder = `既定値 ${getDefaultParam(field.path)}`;
+        input.addEventListener('input', () => presetSelect.value = '');
+        fieldInputs.set(field.path, input);
+        fieldsContainer.append(label, input);
+    });
+
+    seedRandomButton.addEventListener('click', () => seedInput.value = String(Date.now()));
+    presetSelect.addEventListener('change', () => {
+        const preset = params.PRESETS[presetSelect.value];
+        if (preset) showOverrides(preset.overrides);
+    });
+    extraInput.addEventListener('input', () => presetSelect.value = '');
+    copyLinkButton.addEventListener('click', copyShareLink);
+
+    updateRecipePanel(null);
+}
+
+/**
+ * パネルの内容から次に生成する世界のレシピを作る
+ * シード値が空欄の場合は現在時刻をシード値にする。共有リンクから開いたレシピの地形の下絵と作り直しの記録は、最初の生成にだけ引き継ぐ。
+ * @returns {WorldRecipe}
+ * @throws {Error} 上書きの JSON や値が正しくない場合
+ */
+export function buildRecipeFromPanel(): WorldRecipe {
+    const seed = seedInput.value.trim() === '' ? Date.now() : Number(seedInput.value);
+
+    let overrides: Record<string, number> = {};
+    const extraText = extraInput.value.trim();
+    if (extraText) {
+        try {
+            overrides = JSON.parse(extraText);
+        } catch (e) {
+            throw new Error('「その他の上書き」の JSON を読み取れませんでした。');
+        }
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            throw new Error('「その他の上書き」は {"パラメータのパス": 数値} の形で指定してください。');
+        }
+    }
+    fieldInputs.forEach((input, path) => {
+        if (input.value.trim() !== '') overrides[path] = Number(input.value);
+    });
+
+    const recipe = createRecipe(seed, overrides, presetSelect.value || undefined);
+    if (linkedRecipe) Object.assign(recipe, linkedRecipe);
+    const validated = validateRecipe(recipe);
+    linkedRecipe = null;
+    return validated;
+}
+
+/**
+ * レシピの内容をパネルの入力欄に表示する (共有リンクから開いた場合など)
+ * @param {WorldRecipe} recipe
+ */
+export function setRecipePanelInputs(recipe: WorldRecipe) {
+    seedInput.value = String(recipe.seed);
+    showOverrides(recipe.overrides);
+    presetSelect.value = recipe.preset || '';
+    linkedRecipe = { baseTerrain: recipe.baseTerrain, rerolls: recipe.rerolls };
+}
+
+/**
+ * 表示中の世界のレシピを更新する
+ * @param {WorldRecipe|null} recipe - 表示中の世界のレシピ (世界がなければ null)
+ */
+export function updateRecipePanel(recipe: WorldRecipe | null) {
+    if (!seedInput) return;
+    currentRecipe = recipe;
+    copyLinkButton.disabled = !recipe;
+    linkOutput.style.display = 'none';
+    statusElement.textContent = '';
+    // 地形の下絵は共有リンク・保存したレシピに含まれないため、下絵から作った世界はリンクだけでは再現できない
+    baseTerrainWarning.style.display = recipe && recipe.baseTerrain ? '' : 'none';
+    if (recipe && recipe.baseTerrain) {
+        baseTerrainWarning.textContent = `地形の下絵 (${describeBaseTerrain(recipe.baseTerrain)}) から作った世界です。`
+            + '下絵はリンクに含まれないため、同じ画像と設定を読み込まない限り同じ世界になりません。';
+    }
+    if (!recipe) {
+        currentLabel.textContent = 'なし';
+        return;
+    }
+    const preset = recipe.preset ? config.WORLD_RECIPE_PARAMS.PRESETS[recipe.preset] : null;
+    const count = Object.keys(recipe.overrides).length;
+    const rerolls = recipe.rerolls ? ` / 部分的な再生成 ${recipe.rerolls.length} 回` : '';
+    currentLabel.textContent = `シード値 ${recipe.seed} / ${preset ? preset.name : 'カスタム'} (上書き ${count} 件)${rerolls}`;
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+/**
+ * 上書きの値を、パネルの項目と「その他の上書き」に振り分けて表示する
+ */
+function showOverrides(overrides: Record<string, number>) {
+    const extra: Record<string, number> = {};
+    fieldInputs.forEach(input => input.value = '');
+    Object.entries(overrides).forEach(([path, value]) => {
+        const input = fieldInputs.get(path);
+        if (input) input.value = String(value);
+        else extra[path] = value;
+    });
+    extraInput.value = Object.keys(extra).length > 0 ? JSON.stringify(extra, null, 1) : '';
+}
+
+async function copyShareLink() {
+    if (!currentRecipe) return;
+    const url = new URL(location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set(config.WORLD_RECIPE_PARAMS.URL_PARAM, encodeRecipe(currentRecipe));
+    const link = url.toString();
+    try {
+        await navigator.clipboard.writeText(link);
+        statusElement.textContent = currentRecipe.baseTerrain
+            ? '共有リンクをコピーしました。地形の下絵は含まれないため、画像も一緒に渡してください。'
+            : '共有リンクをコピーしました。';
+    } catch (e) {
+        // クリップボードが使えない環境 (http など) では、選択した状態で表示する
+        linkOutput.value = link;
+        linkOutput.style.display = '';
+        linkOutput.select();
+        statusElement.textContent = 'リンクをコピーしてください。';
+    }
+}
@@ -0,0 +1,247 @@
+// ================================================================
+// GeoForge System - 部分的な再生成の固定
+// ================================================================
+// 世界の一部 (地形・首都・国境・手で置いた集落) を固定したまま、残りを作り直すための固定の内容を扱う (DOM 非依存)。
+// パネル (variantPanel.ts) で選んだ固定 (RegenerationLocks) を、生成の直前に世界から読み取って LockPlan にし、
+// ワーカー (generationWorker.ts) はレシピと同じように setActiveLockPlan で有効にする。
+// 集落・国家の生成 (civilizationGenerator.ts) と道路網 (roadGenerator.ts / worldPipeline.ts) は、
+// 有効な LockPlan に従って固定した集落の人口と区分、首都の位置と国ID、国境を固定した国の領土を書き換えない。
+
+import { WorldMap, Hex } from './WorldMap.ts';
+import { getIndex, setNationName } from './utils.ts';
+import type { RecipeReroll } from './worldRecipe.ts';
+
+/** パネルで選ぶ固定 (ヘックスは index、国は nationId で指す) */
+export interface RegenerationLocks {
+    terrain: boolean;      // 地形 (大陸・気候・河川)。固定中は ① で作り直さない
+    capitals: number[];    // 位置と国IDを固定する首都
+    nations: number[];     // 国境を固定する国 (首都も固定する)
+    settlements: number[]; // 人口と集落区分を固定する集落 (手で置いた集落など)
+}
+
+/** 固定した集落 (固定した時点の状態) */
+export interface PinnedSettlement {
+    index: number;
+    settlement: string;
+    population: number;
+    nationId: number;
+    capital: boolean; // 首都として固定する
+    settlementName: string | null;
+    nationName: string | null; // 首都として固定した場合の国名
+}
+
+/** 国境を固定した国の領土 */
+export interface LockedTerritory {
+    nationId: number;
+    hexes: number[];
+}
+
+/** 生成に渡す固定の内容 (世界から読み取った値。ワーカーに送れるよう JSON にできる形) */
+export interface LockPlan {
+    pinned: PinnedSettlement[];
+    territories: LockedTerritory[];
+}
+
+// 集落の生成では区分を人口から決め直すため、首都・領都は都市として残し、首都・領都は国家の生成で決め直す
+const HUB_SETTLEMENTS = ['首都', '領都'];
+
+let activePlan: LockPlan | null = null;
+let pinnedByIndex = new Map<number, PinnedSettlement>();
+let territoryOwner = new Map<number, number>(); // ヘックス → 国境を固定した国
+let lockedNations = new Set<number>();
+let lockedCapitalIndex = new Map<number, number>(); // 国境を固定した国 → 首都のヘックス
+
+/**
+ * 固定なしの選択
+ */
+export function createEmptyLocks(): RegenerationLocks {
+    return { terrain: false, capitals: [], nations: [], settlements: [] };
+}
+
+/**
+ * レシピに記録された部分的な再生成 (worldRecipe.ts の RecipeReroll) の固定
+ * @param {RecipeReroll} reroll
+ * @returns {RegenerationLocks}
+ */
+export function locksFromReroll(reroll: RecipeReroll): RegenerationLocks {
+    return { terrain: false, capitals: [...reroll.capitals], nations: [...reroll.nations], settlements: [...reroll.settlements] };
+}
+
+/**
+ * 首都・国境・集落の固定があるかどうか (地形の固定は生成に渡さない)
+ */
+export function hasSettlementLocks(locks: RegenerationLocks): boolean {
+    return locks.capitals.length > 0 || locks.nations.length > 0 || locks.settlements.length > 0;
+}
+
+/**
+ * 選んだ固定を世界から読み取り、生成に渡す固定の内容にする
+ * 首都でなくなったヘックス・人の住まないヘックス・首都のない国の固定は無視する。国境を固定した国の首都は首都として固定する。
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {RegenerationLocks} locks - パネルで選んだ固定
+ * @returns {LockPlan|null} 固定するものがなければ null
+ */
+export function resolveLockPlan(allHexes: WorldMap, locks: RegenerationLocks): LockPlan | null {
+    const pinned = new Map<number, PinnedSettlement>();
+    const pin = (h: Hex, capital: boolean) => {
+        const p = h.properties;
+        const index = getIndex(h.col, h.row);
+        const current = pinned.get(index);
+        pinned.set(index, {
+            index,
+            settlement: p.settlement,
+            population: p.population,
+            nationId: p.nationId,
+            capital: capital || (current ? current.capital : false),
+            settlementName: p.settlementName || null,
+            nationName: capital ? p.nationName || null : null
+        });
+    };
+
+    const capitals = new Map<number, Hex>();
+    allHexes.forEach((h: Hex) => {
+        if (h.properties.settlement === '首都' && h.properties.nationId > 0) capitals.set(h.properties.nationId, h);
+    });
+
+    locks.settlements.forEach(index => {
+        const h = allHexes[index];
+        if (h && h.properties.settlement && h.properties.population > 0) pin(h, false);
+    });
+    locks.capitals.forEach(index => {
+        const h = allHexes[index];
+        if (h && h.properties.settlement === '首都' && h.properties.nationId > 0) pin(h, true);
+    });
+
+    const territories: LockedTerritory[] = [];
+    locks.nations.forEach(nationId => {
+        const capital = capitals.get(nationId);
+        if (!capital) return;
+        pin(capital, true);
+        const hexes: number[] = [];
+        allHexes.forEach((h: Hex, index: number) => {
+            if (!h.properties.isWater && h.properties.nationId === nationId) hexes.push(index);
+        });
+        territories.push({ nationId, hexes });
+    });
+
+    if (pinned.size === 0 && territories.length === 0) return null;
+    return { pinned: [...pinned.values()], territories };
+}
+
+/**
+ * 以降の生成に使う固定の内容を設定する (null で固定なし)
+ * @param {LockPlan|null} plan
+ */
+export function setActiveLockPlan(plan: LockPlan | null) {
+    activePlan = plan;
+    pinnedByIndex = new Map();
+    territoryOwner = new Map();
+    lockedNations = new Set();
+    lockedCapitalIndex = new Map();
+    if (!plan) return;
+
+    plan.pinned.forEach(p => pinnedByIndex.set(p.index, p));
+    plan.territories.forEach(t => {
+        lockedNations.add(t.nationId);
+        t.hexes.forEach(index => territoryOwner.set(index, t.nationId));
+    });
+    plan.pinned.forEach(p => {
+        if (p.capital && lockedNations.has(p.nationId)) lockedCapitalIndex.set(p.nationId, p.index);
+    });
+}
+
+/**
+ * 現在の固定の内容
+ * @returns {LockPlan|null}
+ */
+export function getActiveLockPlan(): LockPlan | null {
+    return activePlan;
+}
+
+// ================================================================
+// ■ 生成処理から使う判定
+// ================================================================
+
+/**
+ * 固定した集落 (固定していなければ null)
+ * @param {number} index - ヘックスの index
+ */
+export function getPinnedSettlement(index: number): PinnedSettlement | null {
+    return pinnedByIndex.get(index) || null;
+}
+
+/**
+ * 人口から決め直した集落区分を、固定した集落では固定した区分に戻す
+ * @param {number} index - ヘックスの index
+ * @param {string|null} settlement - 人口から決めた集落区分
+ * @returns {string|null}
+ */
+export function getPinnedSettlementType(index: number, settlement: string | null): string | null {
+    const pinned = pinnedByIndex.get(index);
+    if (!pinned) return settlement;
+    return HUB_SETTLEMENTS.includes(pinned.settlement) ? '都市' : pinned.settlement;
+}
+
+/**
+ * 首都として固定した集落
+ * @returns {PinnedSettlement[]}
+ */
+export function getPinnedCapitals(): PinnedSettlement[] {
+    return activePlan ? activePlan.pinned.filter(p => p.capital) : [];
+}
+
+/**
+ * ヘックスを領土とする、国境を固定した国 (なければ 0)
+ * @param {number} index - ヘックスの index
+ */
+export function getLockedNationAt(index: number): number {
+    return territoryOwner.get(index) || 0;
+}
+
+/**
+ * 国がヘックスを領土にできるかどうか
+ * 国境を固定した国の領土はその国だけが持ち、国境を固定した国は領土の外に広がらない。
+ * @param {number} index - ヘックスの index
+ * @param {number} nationId - 領土にする国
+ */
+export function canClaimHex(index: number, nationId: number): boolean {
+    const owner = territoryOwner.get(index);
+    if (owner) return owner === nationId;
+    return !lockedNations.has(nationId);
+}
+
+/**
+ * 下位の集落を上位の集落 (ハブ) に所属させるときの所属国と親を、固定した国境に合わせて決める
+ * 国境を固定した国の集落は、よその国のハブに近くてもその国の首都に所属させる。
+ * 国境を固定した国は集落を新しく取り込まないため、その国のハブにつながる外の集落はどの国にも属さない。
+ * @param {number} index - 下位の集落のヘックス
+ * @param {number} hubIndex - 所属させたいハブのヘックス
+ * @param {number} hubNationId - ハブの所属国
+ * @returns {{nationId: number, parentHexId: number|null}}
+ */
+export function resolveAffiliation(index: number, hubIndex: number, hubNationId: number): { nationId: number; parentHexId: number | null } {
+    const owner = territoryOwner.get(index);
+    if (owner) {
+        if (owner === hubNationId) return { nationId: owner, parentHexId: hubIndex };
+        const capitalIndex = lockedCapitalIndex.get(owner);
+        return { nationId: owner, parentHexId: capitalIndex !== undefined ? capitalIndex : null };
+    }
+    if (lockedNations.has(hubNationId)) return { nationId: 0, parentHexId: null };
+    return { nationId: hubNationId, parentHexId: hubIndex };
+}
+
+/**
+ * 命名 (nameGenerator.ts の assignWorldNames) のあとで、固定した集落の名前と、固定した首都の国名を元に戻す
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ */
+export function restorePinnedNames(allHexes: WorldMap) {
+    if (!activePlan) return;
+    activePlan.pinned.forEach(pinned => {
+        const p = allHexes[pinned.index].properties;
+        if (pinned.settlementName && p.settlementName) p.settlementName = pinned.settlementName;
+        if (pinned.capital && pinned.nationName && p.settlement === '首都' && p.nationId === pinned.nationId) {
+            p.nationName = pinned.nationName;
+            setNationName(pinned.nationId, pinned.nationName);
+        }
+    });
+}
@@ -1,16 +1,15 @@
 // ================================================================
-// GeoForge System - 街道生成モジュール (v18.1 - 階層生成バグ修正)
+// GeoForge System - 街道生成モジュール (v19.0 - 近傍グラフとダイクストラ法による道路網)
 // ================================================================
 import * as config from './config.ts';
-import { getIndex, getDistance, formatProgressBar } from './utils.ts';
+import { getIndex, getDistance, reportProgress } from './utils.ts';
 import * as d3 from 'd3';
 import { WorldMap, Hex } from './WorldMap';
+import { Point, RoadCostField, buildNeighborGraph } from './roadNetwork.ts';
+import { getMonthlyClimate, MonthlyClimate } from './seasonalClimate.ts';
+import { canClaimHex, resolveAffiliation } from './regenerationLocks.ts';
 
 // 型定義
-interface Point {
-    x: number;
-    y: number;
-}
 
 interface PathResult {
     path: Point[];
@@ -35,57 +34,9 @@ interface RoadPath {
     shipKey?: string;
 }
 
-// createCostFunction 
-const createCostFunction = (allHexes: WorldMap, ownerNationId: number | null) => (nodeA: Point, nodeB: Point): number => {
-    const hexA = allHexes[getIndex(nodeA.x, nodeA.y)];
-    const hexB = allHexes[getIndex(nodeB.x, nodeB.y)];
-    const pB = hexB.properties;
-
-    if (pB.isWater) return Infinity;
-
-    // 全ての既存道路のコストをレベルに応じて下げる
-    if (pB.roadLevel && pB.roadLevel > 0) {
-        /*
-         * 道路レベルが高いほどコストが低くなるように設定
-         * レベル6 (交易路): 0.2
-         * レベル5 (交易路): 0.333
-         * レベル4 (街道):   0.466
-         * レベル3 (町道):   0.6
-         * レベル2 (村道):   0.733
-         */
-        const roadCost = 1.0 - (pB.roadLevel / 6) * 0.8; // 簡易的な計算式
-        return roadCost;
-    }
-
-    let cost = 1;
-    // 河川コスト
-    cost += pB.flow > 2 ? pB.flow * 3 : 0;
-    // 植生コスト
-    if (pB.vegetation === '温帯林' || pB.vegetation === '疎林') cost += 2;
-    if (pB.vegetation === '熱帯雨林' || pB.vegetation === '亜寒帯林') cost += 4;
-    // 標高コスト
-    if (pB.elevation > 1000) cost += Math.pow(pB.elevation / 700, 2.8);
-
-    // 稜線を横断する際の追加コスト
-    // ridgeFlow（稜線の太さ）が大きいほど、コストが指数関数的に増加する
-    if (pB.ridgeFlow > 0) {
-        cost += pB.ridgeFlow * config.RIDGE_CROSSING_COST_MULTIPLIER;
-    }
-
-    // 高低差コスト
-    const elevationDiff = Math.abs(hexA.properties.elevation - hexB.properties.elevation);
-    cost += elevationDiff * 0.05;
-
-    // 他国領土コスト
-    if (ownerNationId && pB.nationId !== 0 && pB.nationId !== ownerNationId) {
-        cost *= 50;
-    }
-
-    return cost;
-};
-
 /**
  * 各首都間を結ぶ「通商路」を生成する関数
+ * 首都の近傍グラフ (ドロネー三角形分割の辺) で隣り合う首都どうしを結ぶ。
  * @param {Array<object>} capitals - 首都のリスト
  * @param {WorldMap} allHexes - 全ヘックスデータ
  * @param {Function} addLogMessage - ログ出力用関数
@@ -101,43 +52,41 @@ export async function generateMainTradeRoutes(
     await addLogMessage("国家間の主要幹線（通商路）を探索しています...");
     const mainRoutes: RoadPath[] = [];
 
-    // この時点では既存の道路はないため、国籍ボーナスなしのコスト関数を使用
-    const costFunc = createCostFunction(allHexes, null);
-    const getNeighbors = (node: Point) => allHexes[getIndex(node.x, node.y)].neighbors.map((i: number) => allHexes[i]).map((h: Hex) => ({ x: h.col, y: h.row }));
-    const heuristic = (nodeA: Point, nodeB: Point) => getDistance({ col: nodeA.x, row: nodeA.y }, { col: nodeB.x, row: nodeB.y });
-
-    // 全ての首都のペアに対してA*探索を実行
-    for (let i = 0; i < capitals.length; i++) {
-        for (let j = i + 1; j < capitals.length; j++) {
-            const capital1 = capitals[i];
-            const capital2 = capitals[j];
-            const result = findAStarPath({
-                start: { x: capital1.col, y: capital1.row },
-                goal: { x: capital2.col, y: capital2.row },
-                getNeighbors,
-                heuristic,
-                cost: costFunc
+    // この時点では既存の道路はないため、地形のコストだけで経路が決まる
+    const field = new RoadCostField(allHexes);
+    const edges = buildNeighborGraph(capitals);
+    await reportProgress(addLogMessage, { pass: 'main-trade-route', label: '通商路', current: 0, total: edges.length });
+
+    for (let e = 0; e < edges.length; e++) {
+        const [i, j] = edges[e];
+        const result = field.findPath(getIndex(capitals[i].col, capitals[i].row), getIndex(capitals[j].col, capitals[j].row));
+        if (result) {
+            // 通商路は特定の国に所属しない（中立）ため、nationId は 0 とする
+            mainRoutes.push({
+                path: result.path,
+                level: 6, // 道路レベル6を通商路とする
+                nationId: 0
             });
-
-            if (result) {
-                // 通商路は特定の国に所属しない（中立）ため、nationId は 0 とする
-                mainRoutes.push({
-                    path: result.path,
-                    level: 6, // 道路レベル6を通商路とする
-                    nationId: 0
-                });
-            }
         }
+        await reportProgress(addLogMessage, { pass: 'main-trade-route', label: '通商路', current: e + 1, total: edges.length });
     }
 
     return mainRoutes;
 }
 
 /**
- * 全ての都市間に交易路を敷設し、移動日数も計算する
+ * 都市間の交易路の候補を探索し、移動日数も計算する
+ * 候補は全ての都市の組ではなく、都市の近傍グラフ (ドロネー三角形分割の辺) で隣り合う都市どうしと、
+ * 各都市から最も近い首都への経路 (全首都を始点とするダイクストラ法の最短経路木。領都の割り当てに使う)。
+ * @param {Array<object>} cities - 都市・領都・首都のリスト
+ * @param {Array<object>} capitals - 首都のリスト
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {Function} addLogMessage - ログ出力用関数
+ * @returns {{roadPaths: Array<object>, routeData: Array<object>}}
  */
 export async function generateTradeRoutes(
     cities: Hex[],
+    capitals: Hex[],
     allHexes: WorldMap,
     addLogMessage: (msg: string, id?: string) => Promise<void>
 ) {
@@ -148,51 +97,55 @@ export async function generateTradeRoutes(
     const progressId = 'trade-route-progress';
     await addLogMessage(`交易路の経路探索...`, progressId);
 
-    const costFunc = createCostFunction(allHexes, null);
-    const getNeighbors = (node: Point) => allHexes[getIndex(node.x, node.y)].neighbors.map((i: number) => allHexes[i]).map((h: Hex) => ({ x: h.col, y: h.row }));
-    const heuristic = (nodeA: Point, nodeB: Point) => getDistance({ col: nodeA.x, row: nodeA.y }, { col: nodeB.x, row: nodeB.y });
-
-    const allEdges: RouteEdge[] = [];
-    const totalPairs = (cities.length * (cities.length - 1)) / 2;
-    let processedPairs = 0;
-
+    // 通商路 (レベル6) を敷設した後のため、既存道路を優先した経路になる
+    const field = new RoadCostField(allHexes);
+    const edges = buildNeighborGraph(cities);
+    const totalCount = edges.length + 1; // 最後の1つは最寄りの首都の探索
     let lastReportedPercent = -1;
+    await reportProgress(addLogMessage, { pass: 'trade-route', label: '交易路', current: 0, total: totalCount });
+
+    const routeKeys = new Set<string>();
+    const addRoute = (from: Hex, to: Hex, path: Point[], cost: number) => {
+        const fromId = getIndex(from.col, from.row), toId = getIndex(to.col, to.row);
+        const routeKey = Math.min(fromId, toId) + '-' + Math.max(fromId, toId);
+        if (routeKeys.has(routeKey)) return;
+        routeKeys.add(routeKey);
+        // 手順2-1: 移動日数を計算して記憶
+        routeData.push({ from, to, fromId, toId, path, cost, travelDays: calculateTravelDays(path, 5, allHexes) });
+    };
 
-    for (let i = 0; i < cities.length; i++) {
-        for (let j = i + 1; j < cities.length; j++) {
-            const city1 = cities[i];
-            const city2 = cities[j];
-            const result = findAStarPath({ start: { x: city1.col, y: city1.row }, goal: { x: city2.col, y: city2.row }, getNeighbors, heuristic, cost: costFunc });
+    for (let e = 0; e < edges.length; e++) {
+        const city1 = cities[edges[e][0]];
+        const city2 = cities[edges[e][1]];
+        const result = field.findPath(getIndex(city1.col, city1.row), getIndex(city2.col, city2.row));
+        if (result) addRoute(city1, city2, result.path, result.cost);
 
-            if (result) {
-                // 手順2-1: 移動日数を計算して記憶
-                const travelDays = calculateTravelDays(result.path, 5, allHexes);
-                allEdges.push({
-                    from: city1, to: city2,
-                    fromId: getIndex(city1.col, city1.row), toId: getIndex(city2.col, city2.row),
-                    path: result.path, cost: result.cost, travelDays: travelDays
-                });
-            }
-            processedPairs++;
-            const percent = Math.floor((processedPairs / totalPairs) * 100);
-            if (percent > lastReportedPercent) {
-                // 汎用関数を呼び出す
-                const message = formatProgressBar({ current: processedPairs, total: totalPairs, prefix: "交易路:" });
-                await addLogMessage(message, progressId);
-                lastReportedPercent = percent;
-            }
+        const percent = Math.floor(((e + 1) / totalCount) * 100);
+        if (percent > lastReportedPercent) {
+            await reportProgress(addLogMessage, { pass: 'trade-route', label: '交易路', current: e + 1, total: totalCount });
+            lastReportedPercent = percent;
         }
     }
 
-    await addLogMessage(`交易路：探索完了。全 ${allEdges.length} 経路を発見しました。`);
+    if (capitals.length > 0) {
+        const nearest = field.findNearestSources(capitals.map(c => getIndex(c.col, c.row)));
+        cities.forEach(city => {
+            const cityIndex = getIndex(city.col, city.row);
+            const path = nearest.pathToSource(cityIndex);
+            if (!path || path.length < 2) return; // 到達できない都市と首都自身
+            addRoute(city, allHexes[nearest.source[cityIndex]], path, nearest.cost[cityIndex]);
+        });
+    }
+    await reportProgress(addLogMessage, { pass: 'trade-route', label: '交易路', current: totalCount, total: totalCount });
 
-    // MSTは使わず、全ての経路を返す
-    allEdges.forEach(edge => {
+    await addLogMessage(`交易路：探索完了。全 ${routeData.length} 経路を発見しました。`);
+
+    routeData.forEach(edge => {
         const pathNodes = edge.path.map(p => ({ x: p.x, y: p.y }));
         roadPaths.push({ path: pathNodes, level: 5, nationId: 0 }); // この時点では国籍は未定
     });
 
-    return { roadPaths, routeData: allEdges };
+    return { roadPaths, routeData };
 }
 
 // 辺の中点を返すヘルパー関数 (ui.jsから移植、型定義追加)
@@ -223,6 +176,58 @@ function getSharedEdgeMidpoint(hex1: Hex, hex2: Hex, hexWidth: number, hexHeight
     return null;
 }
 
+/**
+ * ヘックスの地形による道のりの係数 (TERRAIN_MULTIPLIERS、川沿いは RIVER_BONUS を加算)
+ * @param {object} p - ヘックスのプロパティ
+ * @returns {number} 直線距離に掛ける係数
+ */
+export function getTerrainDistanceMultiplier(p: any): number {
+    let multiplier = 1.0;
+    switch (p.terrainType) {
+        case '山岳': multiplier = config.TERRAIN_MULTIPLIERS.山岳; break;
+        case '山地': multiplier = config.TERRAIN_MULTIPLIERS.山地; break;
+        case '丘陵': multiplier = config.TERRAIN_MULTIPLIERS.丘陵; break;
+        case '平地':
+            if (p.vegetation === '熱帯雨林') multiplier = config.TERRAIN_MULTIPLIERS.熱帯雨林;
+            else if (p.vegetation === '温帯林' || p.vegetation === '亜寒帯林') multiplier = config.TERRAIN_MULTIPLIERS.温帯林;
+            else multiplier = config.TERRAIN_MULTIPLIERS.平地;
+            break;
+    }
+    if (p.flow > 1) multiplier += config.TERRAIN_MULTIPLIERS.RIVER_BONUS;
+    return multiplier;
+}
+
+/**
+ * ヘックスの地形による速度係数 (平地は植生による係数を優先)
+ * @param {object} p - ヘックスのプロパティ
+ * @param {object} multipliers - 地形名・植生名ごとの速度係数 (WAGON_PARAMS.TERRAIN_SPEED_MULTIPLIERS など)
+ * @returns {number} 速度係数 (該当なしは 1.0)
+ */
+export function getTerrainSpeedMultiplier(p: any, multipliers: Record<string, number>): number {
+    let terrainSpeedMultiplier = multipliers[p.terrainType] || 1.0;
+    if (p.terrainType === '平地') {
+        if (p.vegetation === '熱帯雨林') terrainSpeedMultiplier = multipliers.熱帯雨林 || 1.0;
+        else if (p.vegetation === '温帯林' || p.vegetation === '亜寒帯林') terrainSpeedMultiplier = multipliers.温帯林 || 1.0;
+    }
+    return terrainSpeedMultiplier;
+}
+
+/**
+ * 月の気候による陸路の速度係数 (荷馬車の日数 calculateTravelDays と旅程計画 travelPlanner.ts で共通)
+ * 積雪したヘックスでは積雪時の係数を、増水した河川のヘックスでは FLOOD_SPEED_MULTIPLIER を掛け、峠が閉ざされたヘックスは 0 (通行不可) にする。
+ * @param {object} p - ヘックスのプロパティ
+ * @param {MonthlyClimate|null} season - その月の気候 (null は年平均の積雪 hasSnow だけを反映)
+ * @param {number} snowSpeedMultiplier - 積雪時の速度係数 (移動手段ごと)
+ * @returns {number} 速度係数
+ */
+export function getSeasonalSpeedMultiplier(p: any, season: MonthlyClimate | null, snowSpeedMultiplier: number): number {
+    if (season && season.passClosed) return 0;
+    let multiplier = 1.0;
+    if (season ? season.snowCover : p.hasSnow) multiplier *= snowSpeedMultiplier;
+    if (season && season.flooding) multiplier *= config.SEASONAL_PARAMS.FLOOD_SPEED_MULTIPLIER;
+    return multiplier;
+}
+
 /**
  * パスに沿った道のりを計算する関数
  * @param {Array<object>} path - ヘックスの座標リスト ({x, y})
@@ -285,19 +290,7 @@ export function calculateRoadDistance(path: Point[], roadLevel: number, allHexes
         const segmentPixelDistance = Math.hypot((endPoint as number[])[0] - (startPoint as number[])[0], (endPoint as number[])[1] - (startPoint as number[])[1]);
 
         // 地形乗数を取得
-        const p = currentHex.properties;
-        let multiplier = 1.0;
-        switch (p.terrainType) {
-            case '山岳': multiplier = config.TERRAIN_MULTIPLIERS.山岳; break;
-            case '山地': multiplier = config.TERRAIN_MULTIPLIERS.山地; break;
-            case '丘陵': multiplier = config.TERRAIN_MULTIPLIERS.丘陵; break;
-            case '平地':
-                if (p.vegetation === '熱帯雨林') multiplier = config.TERRAIN_MULTIPLIERS.熱帯雨林;
-                else if (p.vegetation === '温帯林' || p.vegetation === '亜寒帯林') multiplier = config.TERRAIN_MULTIPLIERS.温帯林;
-                else multiplier = config.TERRAIN_MULTIPLIERS.平地;
-                break;
-        }
-        if (p.flow > 1) multiplier += config.TERRAIN_MULTIPLIERS.RIVER_BONUS;
+        const multiplier = getTerrainDistanceMultiplier(currentHex.properties);
 
         // セグメントの道のりを計算し、合計に加算
         totalDistanceKm += (segmentPixelDistance * pixelToKm) * multiplier;
@@ -312,9 +305,10 @@ export function calculateRoadDistance(path: Point[], roadLevel: number, allHexes
  * @param {Array<object>} path - ヘックスの座標リスト ({x, y})
  * @param {number} roadLevel - 道路のレベル
  * @param {WorldMap} allHexes - 全ヘックスのデータ
- * @returns {number} 計算された平均移動日数
+ * @param {number|null} [month=null] - 月 (1〜12)。指定すると月の積雪・峠の閉鎖・河川の増水を反映する (null は年平均の積雪)
+ * @returns {number} 計算された平均移動日数 (峠が閉ざされた区間を含む場合は Infinity)
  */
-export function calculateTravelDays(path: Point[], roadLevel: number, allHexes: WorldMap): number {
+export function calculateTravelDays(path: Point[], roadLevel: number, allHexes: WorldMap, month: number | null = null): number {
     if (path.length < 2) return 0;
 
     // 1ヘックス進むごとの距離を正しい値に修正
@@ -329,17 +323,10 @@ export function calculateTravelDays(path: Point[], roadLevel: number, allHexes:
         const currentHex = allHexes[getIndex(path[i].x, path[i].y)];
         const p = currentHex.properties;
 
-        // 地形による速度係数を取得
-        let terrainSpeedMultiplier = config.WAGON_PARAMS.TERRAIN_SPEED_MULTIPLIERS[p.terrainType!] || 1.0;
-        // 平地の場合、植生による係数をさらに考慮
-        if (p.terrainType === '平地') {
-            if (p.vegetation === '熱帯雨林') terrainSpeedMultiplier = config.WAGON_PARAMS.TERRAIN_SPEED_MULTIPLIERS.熱帯雨林;
-            else if (p.vegetation === '温帯林' || p.vegetation === '亜寒帯林') terrainSpeedMultiplier = config.WAGON_PARAMS.TERRAIN_SPEED_MULTIPLIERS.温帯林;
-        }
-
-        if (p.hasSnow) {
-            terrainSpeedMultiplier *= config.WAGON_PARAMS.SNOW_SPEED_MULTIPLIER;
-        }
+        // 地形と月の気候 (積雪・峠の閉鎖・増水) による速度係数を取得
+        const season = month ? getMonthlyClimate(p, month) : null;
+        const terrainSpeedMultiplier = getTerrainSpeedMultiplier(p, config.WAGON_PARAMS.TERRAIN_SPEED_MULTIPLIERS)
+            * getSeasonalSpeedMultiplier(p, season, config.WAGON_PARAMS.SNOW_SPEED_MULTIPLIER);
 
         // この区間での実効速度を計算
         const effectiveSpeed = config.WAGON_PARAMS.BASE_SPEED_KMH * roadSpeedMultiplier * terrainSpeedMultiplier;
@@ -358,7 +345,9 @@ export function calculateTravelDays(path: Point[], roadLevel: number, allHexes:
 }
 
 /**
- * ⑪～⑬ 下位の道路網を生成する (孤立集落の所属決定ロジック追加版 - 完全・修正済版)
+ * ⑪～⑬ 下位の道路網を生成する
+ * 上位の集落すべてを始点とするダイクストラ法で、各集落から最も近い (コストの小さい) 上位の集落への経路を一度に求める。
+ * 移動日数が上限 (MAX_TRAVEL_DAYS) を超える集落は、近くの道路・集落につなぐ (孤立集落の所属決定)。
  * @param {Array<object>} lowerSettlements - 下位の集落リスト
  * @param {Array<object>} upperSettlements - 上位の集落リスト
  * @param {WorldMap} allHexes - 全ヘックスのデータ
@@ -377,75 +366,61 @@ export async function generateFeederRoads(
     const roadPaths: RoadPath[] = [];
     if (lowerSettlements.length === 0) return roadPaths;
 
-    const prefixMap: Record<string, string> = { '街': '街道:', '町': '町道:', '村': '村道:' };
-    const prefix = prefixMap[type] || `${type}道:`;
-    const progressId = `feeder-road-scan-${type}`;
+    const labelMap: Record<string, string> = { '街': '街道', '町': '町道', '村': '村道' };
+    const label = labelMap[type] || `${type}道`;
+    const pass = `feeder-road-${type}`;
+    const progressId = `${pass}-progress`;
     await addLogMessage(`${type}道：主要な接続を探索中...`, progressId);
 
-    // --- カウンター変数を正しく宣言 ---
     let processedCount = 0;
     const totalCount = lowerSettlements.length;
     let lastReportedPercent = -1;
-
-    const costFunc = createCostFunction(allHexes, null);
-    const getNeighbors = (node: Point) => allHexes[getIndex(node.x, node.y)].neighbors.map((i: number) => allHexes[i]).map((h: Hex) => ({ x: h.col, y: h.row }));
-    const heuristic = (nodeA: Point, nodeB: Point) => getDistance({ col: nodeA.x, row: nodeA.y }, { col: nodeB.x, row: nodeB.y });
+    await reportProgress(addLogMessage, { pass, label, current: 0, total: totalCount });
+
+    // 上位の道路を敷設した後のため、既存道路を優先した経路になる
+    const field = new RoadCostField(allHexes);
+    const nearest = upperSettlements && upperSettlements.length > 0
+        ? field.findNearestSources(upperSettlements.map(h => getIndex(h.col, h.row)))
+        : null;
+
+    // 経路上のヘックスに道路レベルと国籍を書き込み、道路として登録する
+    const layRoad = (path: Point[], nationId: number) => {
+        path.forEach(pos => {
+            const hex = allHexes[getIndex(pos.x, pos.y)];
+            if (hex && !hex.properties.isWater) {
+                if (hex.properties.nationId === 0 && canClaimHex(getIndex(pos.x, pos.y), nationId)) hex.properties.nationId = nationId;
+                if (!hex.properties.roadLevel || hex.properties.roadLevel < roadLevel) hex.properties.roadLevel = roadLevel;
+            }
+        });
+        roadPaths.push({ path: path.map(p => ({ x: p.x, y: p.y })), level: roadLevel, nationId });
+    };
 
     const unprocessedSettlements: Hex[] = [];
 
-    // --- フェーズ1 & 2: 通常の最短経路接続 ---
+    // --- フェーズ1 & 2: 最寄りの上位集落への接続 ---
     for (const lower of lowerSettlements) {
-        let bestRoute: { from: Hex, to: Hex, path: Point[], travelDays: number } | null = null;
-        let minTravelDays = Infinity;
-
-        if (upperSettlements && upperSettlements.length > 0) {
-            const sortedUppers = [...upperSettlements].sort((a, b) => getDistance(lower, a) - getDistance(lower, b));
-            const targetCandidates = sortedUppers.slice(0, 7);
-            for (const upper of targetCandidates) {
-                const result = findAStarPath({
-                    start: { x: lower.col, y: lower.row },
-                    goal: { x: upper.col, y: upper.row },
-                    getNeighbors, heuristic, cost: costFunc
-                });
-                if (result) {
-                    const travelDays = calculateTravelDays(result.path, roadLevel, allHexes);
-                    if (travelDays < (config.MAX_TRAVEL_DAYS[roadLevel] || Infinity) && travelDays < minTravelDays) {
-                        minTravelDays = travelDays;
-                        bestRoute = { from: lower, to: upper, path: result.path, travelDays: travelDays };
-                    }
-                }
-            }
-        }
-
-        if (bestRoute) {
-            const fromHex = bestRoute.from;
-            const toHex = bestRoute.to;
-            const newNationId = toHex.properties.nationId;
-            fromHex.properties.nationId = newNationId;
-            fromHex.properties.parentHexId = getIndex(toHex.col, toHex.row);
-            fromHex.properties.distanceToParent = calculateRoadDistance(bestRoute.path, roadLevel, allHexes);
-            fromHex.properties.travelDaysToParent = bestRoute.travelDays;
-            bestRoute.path.forEach(pos => {
-                const hex = allHexes[getIndex(pos.x, pos.y)];
-                if (hex && !hex.properties.isWater) {
-                    if (hex.properties.nationId === 0) { hex.properties.nationId = newNationId; }
-                    if (!hex.properties.roadLevel || hex.properties.roadLevel < roadLevel) { hex.properties.roadLevel = roadLevel; }
-                }
-            });
-            roadPaths.push({ path: bestRoute.path.map(p => ({ x: p.x, y: p.y })), level: roadLevel, nationId: newNationId });
+        const lowerIndex = getIndex(lower.col, lower.row);
+        const path = nearest ? nearest.pathToSource(lowerIndex) : null;
+        const travelDays = path ? calculateTravelDays(path, roadLevel, allHexes) : Infinity;
+
+        if (path && path.length >= 2 && travelDays < (config.MAX_TRAVEL_DAYS[roadLevel] || Infinity)) {
+            const toHex = allHexes[nearest!.source[lowerIndex]];
+            // 所属は固定した国境に合わせる (regenerationLocks.ts。固定がなければ最寄りのハブの国)
+            const { nationId: newNationId, parentHexId } = resolveAffiliation(lowerIndex, getIndex(toHex.col, toHex.row), toHex.properties.nationId);
+            lower.properties.nationId = newNationId;
+            lower.properties.parentHexId = parentHexId;
+            lower.properties.distanceToParent = calculateRoadDistance(path, roadLevel, allHexes);
+            lower.properties.travelDaysToParent = travelDays;
+            layRoad(path, newNationId);
         } else {
             unprocessedSettlements.push(lower);
         }
 
-        // --- プログレスバー更新処理 ---
         processedCount++;
-        if (addLogMessage) {
-            const percent = Math.floor((processedCount / totalCount) * 100);
-            if (percent > lastReportedPercent) {
-                const message = formatProgressBar({ current: processedCount, total: totalCount, prefix: prefix });
-                await addLogMessage(message, progressId);
-                lastReportedPercent = percent;
-            }
+        const percent = Math.floor((processedCount / totalCount) * 100);
+        if (percent > lastReportedPercent) {
+            await reportProgress(addLogMessage, { pass, label, current: processedCount, total: totalCount });
+            lastReportedPercent = percent;
         }
     }
 
@@ -453,20 +428,23 @@ export async function generateFeederRoads(
     if (unprocessedSettlements.length > 0) {
         await addLogMessage(`${type}：孤立集落の所属を決定中...`);
         const activityRangeHexes = 30 / config.HEX_SIZE_KM;
+        const searchRadius = Math.ceil(activityRangeHexes);
 
         for (const lower of unprocessedSettlements) {
             let nearestCivilization: Hex | null = null;
             let minDistance = Infinity;
 
-            // 孤立集落の所属先を探すためのループ
-            for (let i = 0; i < allHexes.length; i++) {
-                const targetHex = allHexes[i];
-                const p = targetHex.properties;
-                if ((p.settlement || p.roadLevel > 0) && p.territoryId !== null) {
-                    const dist = getDistance(lower, targetHex);
-                    if (dist < activityRangeHexes && dist < minDistance) {
-                        minDistance = dist;
-                        nearestCivilization = targetHex;
+            // 活動範囲内 (周囲 searchRadius ヘックス) の集落・道路から最も近いものを探す
+            for (let row = Math.max(0, lower.row - searchRadius); row <= Math.min(allHexes.rows - 1, lower.row + searchRadius); row++) {
+                for (let col = Math.max(0, lower.col - searchRadius); col <= Math.min(allHexes.cols - 1, lower.col + searchRadius); col++) {
+                    const targetHex = allHexes[getIndex(col, row)];
+                    const p = targetHex.properties;
+                    if ((p.settlement || p.roadLevel > 0) && p.territoryId !== null) {
+                        const dist = getDistance(lower, targetHex);
+                        if (dist < activityRangeHexes && dist < minDistance) {
+                            minDistance = dist;
+                            nearestCivilization = targetHex;
+                        }
                     }
                 }
             }
@@ -485,29 +463,13 @@ export async function generateFeederRoads(
                 }
             }
 
-            const finalNationId = finalHub.properties.nationId;
-            const finalHubIndex = getIndex(finalHub.col, finalHub.row);
-
-            if (nearestCivilization) {
-                const result = findAStarPath({
-                    start: { x: lower.col, y: lower.row },
-                    goal: { x: nearestCivilization.col, y: nearestCivilization.row },
-                    getNeighbors, heuristic, cost: costFunc
-                });
+            const { nationId: finalNationId, parentHexId: finalHubIndex } = resolveAffiliation(getIndex(lower.col, lower.row), getIndex(finalHub.col, finalHub.row), finalHub.properties.nationId);
 
-                if (result) {
-                    lower.properties.nationId = finalNationId;
-                    lower.properties.parentHexId = finalHubIndex;
-                    const newPath = result.path;
-                    newPath.forEach(pos => {
-                        const hex = allHexes[getIndex(pos.x, pos.y)];
-                        if (hex && !hex.properties.isWater) {
-                            if (hex.properties.nationId === 0) hex.properties.nationId = finalNationId;
-                            if (!hex.properties.roadLevel || hex.properties.roadLevel < roadLevel) hex.properties.roadLevel = roadLevel;
-                        }
-                    });
-                    roadPaths.push({ path: newPath.map(p => ({ x: p.x, y: p.y })), level: roadLevel, nationId: finalNationId });
-                }
+            const result = field.findPath(getIndex(lower.col, lower.row), getIndex(nearestCivilization.col, nearestCivilization.row));
+            if (result) {
+                lower.properties.nationId = finalNationId;
+                lower.properties.parentHexId = finalHubIndex;
+                layRoad(result.path, finalNationId);
             }
         }
     }
@@ -519,24 +481,22 @@ export async function generateFeederRoads(
  * 海上航路用のA*コスト関数を生成する
  * @param {WorldMap} allHexes - 全ヘックスのデータ
  * @param {object} ship - 使用する船のスペック (SHIP_TYPESのオブジェクト)
+ * @param {number|null} [month=null] - 月 (1〜12)。指定すると結氷した海域を通行不可にする (null は通年の航路)
  * @returns {Function} A*アルゴリズムで使うコスト関数
  */
-function createSeaCostFunction(allHexes: WorldMap, ship: any) {
+export function createSeaCostFunction(allHexes: WorldMap, ship: any, month: number | null = null) {
     // 事前に海岸からの距離を計算しておく
-    const distanceToCoast = new Map<number, number>();
-    const queue = allHexes.filter((h: Hex) => h.properties.isWater && h.neighbors.some((n: number) => !allHexes[n].properties.isWater));
-    queue.forEach(h => distanceToCoast.set(getIndex(h.col, h.row), 1));
-    let head = 0;
-    while (head < queue.length) {
-        const current = queue[head++];
-        const dist = distanceToCoast.get(getIndex(current.col, current.row))!;
-        current.neighbors.forEach((nIdx: number) => {
-            if (allHexes[nIdx].properties.isWater && !distanceToCoast.has(nIdx)) {
-                distanceToCoast.set(nIdx, dist + 1);
-                queue.push(allHexes[nIdx]);
-            }
-        });
-    }
+    const distanceToCoast = calculateDistanceToCoast(allHexes);
+    // 経路探索では同じヘックスを何度も引くため、結氷の判定はヘックスごとに覚えておく
+    const frozenCache = new Map<number, boolean>();
+    const isFrozen = (index: number): boolean => {
+        let frozen = frozenCache.get(index);
+        if (frozen === undefined) {
+            frozen = getMonthlyClimate(allHexes[index].properties, month!).frozen;
+            frozenCache.set(index, frozen);
+        }
+        return frozen;
+    };
 
     return (nodeA: Point, nodeB: Point) => {
         const hexB = allHexes[getIndex(nodeB.x, nodeB.y)];
@@ -558,6 +518,11 @@ function createSeaCostFunction(allHexes: WorldMap, ship: any) {
             return Infinity;
         }
 
+        // 結氷した海域は通行不可
+        if (month && isFrozen(getIndex(nodeB.x, nodeB.y))) {
+            return Infinity;
+        }
+
         let cost = 1;
 
         // 海の魔物ランクによるコスト増
@@ -571,6 +536,29 @@ function createSeaCostFunction(allHexes: WorldMap, ship: any) {
     };
 }
 
+/**
+ * 水域ヘックスごとの海岸からの距離 (ヘックス数、陸地に接する水域 = 1) を計算する
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @returns {Map<number, number>} ヘックスインデックス -> 海岸からの距離
+ */
+export function calculateDistanceToCoast(allHexes: WorldMap): Map<number, number> {
+    const distanceToCoast = new Map<number, number>();
+    const queue = allHexes.filter((h: Hex) => h.properties.isWater && h.neighbors.some((n: number) => !allHexes[n].properties.isWater));
+    queue.forEach(h => distanceToCoast.set(getIndex(h.col, h.row), 1));
+    let head = 0;
+    while (head < queue.length) {
+        const current = queue[head++];
+        const dist = distanceToCoast.get(getIndex(current.col, current.row))!;
+        current.neighbors.forEach((nIdx: number) => {
+            if (allHexes[nIdx].properties.isWater && !distanceToCoast.has(nIdx)) {
+                distanceToCoast.set(nIdx, dist + 1);
+                queue.push(allHexes[nIdx]);
+            }
+        });
+    }
+    return distanceToCoast;
+}
+
 /**
  * 航路を生成するメイン関数 (海域グルーping、接続ロジック修正、プログレスバー対応)
  * @param {WorldMap} allHexes - 全ヘックスデータ
@@ -658,6 +646,9 @@ export async function generateSeaRoutes(
     }
     let processedPairs = 0;
     let lastReportedPercent = -1;
+    if (totalPairs > 0) {
+        await reportProgress(addLogMessage, { pass: 'sea-route', label: '航路探索', current: 0, total: totalPairs });
+    }
 
     // 海域グループごとにループ
     for (let gid = 1; gid <= currentGroupId; gid++) {
@@ -729,8 +720,7 @@ export async function generateSeaRoutes(
                 if (totalPairs > 0) {
                     const percent = Math.floor((processedPairs / totalPairs) * 100);
                     if (percent > lastReportedPercent) {
-                        const message = formatProgressBar({ current: processedPairs, total: totalPairs, prefix: "航路探索:" });
-                        await addLogMessage(message, progressId);
+                        await reportProgress(addLogMessage, { pass: 'sea-route', label: '航路探索', current: processedPairs, total: totalPairs });
                         lastReportedPercent = percent;
                     }
                 }
@@ -0,0 +1,247 @@
+// ================================================================
+// GeoForge System - 道路網の経路探索
+// ================================================================
+// 道路網 (通商路・交易路・下位道路) の建設に使うグラフ処理 (roadGenerator.ts から利用する)。
+// 地形のコストをヘックスごとに一度だけ計算したコスト場 (RoadCostField) の上で、二分ヒープの A* と
+// 複数始点のダイクストラ法を行う。集落どうしを結ぶ候補は全ペアではなく、集落の位置の
+// ドロネー三角形分割の辺 (近傍グラフ) に限るため、集落数に対してほぼ線形の時間で道路網を組み立てられる。
+
+import * as config from './config.ts';
+import * as d3 from 'd3';
+import { MinHeap, getDistance } from './utils.ts';
+import { WorldMap, Hex } from './WorldMap.ts';
+
+export interface Point {
+    x: number;
+    y: number;
+}
+
+// 1歩のコストの下限 (レベル6の既存道路: 1.0 - (6 / 6) * 0.8。stepCost を参照)
+const MIN_STEP_COST = 0.2;
+
+/**
+ * 道路建設用のコスト場
+ * 道路の有無に左右されない地形のコスト (河川・植生・標高・稜線) を事前に計算しておき、
+ * 道路レベルと高低差のコストは探索のたびに WorldMap から読む (敷設済みの道路は後の探索ですぐに再利用される)。
+ * 1歩のコストは従来の createCostFunction (国籍による補正なし) と同じ。
+ */
+export class RoadCostField {
+    readonly allHexes: WorldMap;
+    readonly cols: number;
+    // 地形のコスト (水域は Infinity)
+    readonly terrainCost: Float64Array;
+    // 陸続きの地域の番号 (水域は -1)。番号が違うヘックスどうしは陸路で結べない
+    readonly landmass: Int32Array;
+
+    private readonly elevation: Int16Array;
+    private readonly roadLevel: Uint8Array;
+    private readonly neighbors: Int32Array;
+
+    // A* の作業領域 (探索ごとに確保し直さないよう、訪問済みの印を探索の番号で区別する)
+    private readonly visitStamp: Uint32Array;
+    private readonly gScore: Float64Array;
+    private readonly cameFrom: Int32Array;
+    private stamp = 0;
+
+    constructor(allHexes: WorldMap) {
+        this.allHexes = allHexes;
+        this.cols = allHexes.cols;
+        this.elevation = allHexes.elevation;
+        this.roadLevel = allHexes.roadLevel;
+        this.neighbors = allHexes.neighborsBuffer;
+
+        const size = allHexes.size;
+        this.terrainCost = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            const p = allHexes[i].properties;
+            if (p.isWater) {
+                this.terrainCost[i] = Infinity;
+                continue;
+            }
+            let cost = 1;
+            // 河川コスト
+            cost += p.flow > 2 ? p.flow * 3 : 0;
+            // 植生コスト
+            if (p.vegetation === '温帯林' || p.vegetation === '疎林') cost += 2;
+            if (p.vegetation === '熱帯雨林' || p.vegetation === '亜寒帯林') cost += 4;
+            // 標高コスト
+            if (p.elevation > 1000) cost += Math.pow(p.elevation / 700, 2.8);
+            // 稜線を横断する際の追加コスト
+            if (p.ridgeFlow > 0) cost += p.ridgeFlow * config.RIDGE_CROSSING_COST_MULTIPLIER;
+            this.terrainCost[i] = cost;
+        }
+
+        // 陸続きの地域を幅優先探索で塗り分ける
+        this.landmass = new Int32Array(size).fill(-1);
+        let landmassId = 0;
+        const queue = new Int32Array(size);
+        for (let start = 0; start < size; start++) {
+            if (this.terrainCost[start] === Infinity || this.landmass[start] !== -1) continue;
+            let head = 0, tail = 0;
+            queue[tail++] = start;
+            this.landmass[start] = landmassId;
+            while (head < tail) {
+                const current = queue[head++];
+                for (let k = current * 6; k < current * 6 + 6; k++) {
+                    const n = this.neighbors[k];
+                    if (n !== -1 && this.terrainCost[n] !== Infinity && this.landmass[n] === -1) {
+                        this.landmass[n] = landmassId;
+                        queue[tail++] = n;
+                    }
+                }
+            }
+            landmassId++;
+        }
+
+        this.visitStamp = new Uint32Array(size);
+        this.gScore = new Float64Array(size);
+        this.cameFrom = new Int32Array(size);
+    }
+
+    /**
+     * 隣り合うヘックス a から b へ進むコスト
+     */
+    stepCost(a: number, b: number): number {
+        const terrainCost = this.terrainCost[b];
+        if (terrainCost === Infinity) return Infinity;
+        // 既存道路はレベルが高いほど安い (レベル6: 0.2 ～ レベル2: 0.733)
+        const roadLevel = this.roadLevel[b];
+        if (roadLevel > 0) return 1.0 - (roadLevel / 6) * 0.8;
+        // 高低差コスト
+        return terrainCost + Math.abs(this.elevation[a] - this.elevation[b]) * 0.05;
+    }
+
+    /**
+     * 2つのヘックスが陸路で結べるかどうか (同じ陸続きの地域にあるか)
+     */
+    isConnected(a: number, b: number): boolean {
+        return this.landmass[a] !== -1 && this.landmass[a] === this.landmass[b];
+    }
+
+    /**
+     * 2つのヘックスを結ぶ最小コストの経路を A* で探す
+     * ヒューリスティックはヘックス距離 (getDistance) に 1歩のコストの下限 (MIN_STEP_COST) を掛けたもの。
+     * 既存道路の上では 1歩のコストが 1 を下回るため、距離そのままでは実際のコストを超えて最小コストの経路を見逃すことがある。
+     * @param {number} start - 始点のヘックスインデックス
+     * @param {number} goal - 終点のヘックスインデックス
+     * @returns {{path: Point[], cost: number}|null} 経路 (始点から終点まで)。陸路で結べない場合は null
+     */
+    findPath(start: number, goal: number): { path: Point[]; cost: number } | null {
+        if (start === goal) return { path: [this.toPoint(start)], cost: 0 };
+        if (!this.isConnected(start, goal)) return null;
+
+        const stamp = ++this.stamp;
+        const goalHex = { col: goal % this.cols, row: Math.floor(goal / this.cols) };
+        const heuristic = (i: number) => getDistance({ col: i % this.cols, row: Math.floor(i / this.cols) }, goalHex) * MIN_STEP_COST;
+
+        const open = new MinHeap();
+        this.visitStamp[start] = stamp;
+        this.gScore[start] = 0;
+        this.cameFrom[start] = -1;
+        open.push(start, heuristic(start));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goal) {
+                return { path: this.tracePath(this.cameFrom, goal).reverse(), cost: this.gScore[goal] };
+            }
+            const g = this.gScore[current];
+            for (let k = current * 6; k < current * 6 + 6; k++) {
+                const n = this.neighbors[k];
+                if (n === -1) continue;
+                const tentativeG = g + this.stepCost(current, n);
+                if (tentativeG === Infinity) continue;
+                if (this.visitStamp[n] !== stamp || tentativeG < this.gScore[n]) {
+                    this.visitStamp[n] = stamp;
+                    this.gScore[n] = tentativeG;
+                    this.cameFrom[n] = current;
+                    open.push(n, tentativeG + heuristic(n));
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 複数の始点から同時にダイクストラ法で広げ、各ヘックスに最も近い (コストの小さい) 始点と経路を求める
+     * 始点へ向かう経路は最短経路木で合流するため、近くの集落どうしは同じ道を共有する。
+     * @param {number[]} sources - 始点のヘックスインデックス
+     * @returns {NearestSourceMap}
+     */
+    findNearestSources(sources: number[]): NearestSourceMap {
+        const size = this.terrainCost.length;
+        const cost = new Float64Array(size).fill(Infinity);
+        const source = new Int32Array(size).fill(-1);
+        const prev = new Int32Array(size).fill(-1);
+        const heap = new MinHeap();
+
+        sources.forEach(s => {
+            cost[s] = 0;
+            source[s] = s;
+            heap.push(s, 0);
+        });
+
+        while (heap.size > 0) {
+            const current = heap.pop();
+            const g = cost[current];
+            for (let k = current * 6; k < current * 6 + 6; k++) {
+                const n = this.neighbors[k];
+                if (n === -1) continue;
+                const tentative = g + this.stepCost(current, n);
+                if (tentative < cost[n]) {
+                    cost[n] = tentative;
+                    source[n] = source[current];
+                    prev[n] = current;
+                    heap.push(n, tentative);
+                }
+            }
+        }
+
+        return {
+            cost,
+            source,
+            // 指定したヘックスから最寄りの始点までの経路 (到達できない場合は null)
+            pathToSource: (index: number) => source[index] === -1 ? null : this.tracePath(prev, index)
+        };
+    }
+
+    private toPoint(index: number): Point {
+        return { x: index % this.cols, y: Math.floor(index / this.cols) };
+    }
+
+    // from から前のヘックスをたどった経路 (from が先頭)
+    private tracePath(prev: Int32Array, from: number): Point[] {
+        const path: Point[] = [];
+        for (let current = from; current !== -1; current = prev[current]) {
+            path.push(this.toPoint(current));
+        }
+        return path;
+    }
+}
+
+/**
+ * RoadCostField.findNearestSources の結果
+ */
+export interface NearestSourceMap {
+    cost: Float64Array; // 最寄りの始点までのコスト (到達できない場合は Infinity)
+    source: Int32Array; // 最寄りの始点のヘックスインデックス (到達できない場合は -1)
+    pathToSource: (index: number) => Point[] | null;
+}
+
+/**
+ * 集落の近傍グラフ (位置のドロネー三角形分割の辺) を作る
+ * 辺の数は集落数の約3倍に収まり、隣り合う集落どうしは必ず辺で結ばれる。
+ * @param {Hex[]} settlements - 集落のヘックス
+ * @returns {Array<[number, number]>} 辺 (settlements の添字の組、i < j)
+ */
+export function buildNeighborGraph(settlements: Hex[]): [number, number][] {
+    if (settlements.length < 2) return [];
+    const delaunay = d3.Delaunay.from(settlements.map(h => [h.cx, h.cy]));
+    const edges: [number, number][] = [];
+    for (let i = 0; i < settlements.length; i++) {
+        for (const j of delaunay.neighbors(i)) {
+            if (i < j) edges.push([i, j]);
+        }
+    }
+    return edges;
+}
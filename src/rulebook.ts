@@ -1,5 +1,6 @@
 
-export { };
+import * as config from './config.ts';
+import { WorldEconomyStats, normalizeWorldEconomyStats, renderRulebookTable, renderRulebookValue } from './rulebookData.ts';
 
 interface Article {
     index: number;
@@ -156,6 +157,7 @@ document.addEventListener('DOMContentLoaded', () => {
     function parseAndIndexContent(html: string) {
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
+        renderDataPlaceholders(doc);
         const targetSelector = 'section[id], article[id]';
         const allElements = Array.from(doc.querySelectorAll(targetSelector));
 
@@ -202,6 +204,29 @@ document.addEventListener('DOMContentLoaded', () => {
         generateTOC();
     }
 
+    // データの差し込み口 (data-rulebook-table / data-rulebook-value) を設定値と世界の集計から作った表・値に置き換える
+    // (記事の本文を作る前に置き換えて、生成した表も検索の対象にする)
+    function renderDataPlaceholders(doc: Document) {
+        const stats = loadWorldEconomyStats();
+        doc.querySelectorAll<HTMLElement>('[data-rulebook-table]').forEach(el => {
+            el.innerHTML = renderRulebookTable(el.dataset.rulebookTable || '', stats);
+        });
+        doc.querySelectorAll<HTMLElement>('[data-rulebook-value]').forEach(el => {
+            el.textContent = renderRulebookValue(el.dataset.rulebookValue || '', el.dataset.format || '');
+        });
+    }
+
+    // 地図の画面で最後に生成・読み込みした世界の経済の集計
+    function loadWorldEconomyStats(): WorldEconomyStats | null {
+        try {
+            const saved = localStorage.getItem(config.RULEBOOK_PARAMS.WORLD_STATS_STORAGE_KEY);
+            return saved ? normalizeWorldEconomyStats(JSON.parse(saved)) : null;
+        } catch (e) {
+            console.warn('world stats load failed:', e);
+            return null;
+        }
+    }
+
     // --- 5. ルーティング処理 ---
     function router() {
         const hash = window.location.hash.substring(1);
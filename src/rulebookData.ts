@@ -0,0 +1,222 @@
+// ================================================================
+// GeoForge System - ルールブックのデータ表
+// ================================================================
+// ルールブック (rulebook.ts) のセクション HTML に置いたデータの差し込み口を、シミュレーションの設定 (config.ts) と
+// 読み込んだ世界の集計から作った HTML に置き換える (DOM 非依存)。定数を変えるとルールブックの表も変わる。
+//   <div data-rulebook-table="job-income"></div>       … 表 (RULEBOOK_TABLES のキー)
+//   <span data-rulebook-value="JOB_INCOME.農民"></span> … 値 (RULEBOOK_VALUES のオブジェクト名.キー)
+// 世界の集計 (集落区分ごとの世帯収入の中央値など) は地図の画面 (main.ts) が localStorage に書き込み、ルールブックが読む。
+
+import * as config from './config.ts';
+import { WorldMap, Hex } from './WorldMap.ts';
+
+/** 集落区分ごとの経済の集計 */
+export interface SettlementEconomyStats {
+    settlement: string;
+    count: number;                 // ヘックス数
+    population: number;
+    medianHouseholdIncome: number; // 世帯月収の中央値 (G)
+    medianPerCapitaIncome: number; // 1人あたり月収の中央値 (G)
+    medianMonthlyTax: number;      // 世帯の月の税額の中央値 (G)
+    medianPoverty: number;         // 貧困度 (0〜1、1人あたり月収が生活費基準をどれだけ下回るか) の中央値
+}
+
+/** 世界の経済の集計 (地図の画面からルールブックへ渡す) */
+export interface WorldEconomyStats {
+    worldName: string;
+    updatedAt: string;
+    settlements: SettlementEconomyStats[];
+}
+
+// 差し込める値 (オブジェクト名.キー)
+const RULEBOOK_VALUES: Record<string, Record<string, number>> = {
+    JOB_INCOME: config.JOB_INCOME,
+    LIVING_COST: config.LIVING_COST,
+    HOUSEHOLD_SIZE: config.HOUSEHOLD_SIZE,
+    TAX_RATE: config.TAX_RATE
+};
+
+// 集落区分 (大きい順)
+const SETTLEMENT_TYPES = Object.keys(config.LIVING_COST);
+
+// ================================================================
+// ■ 世界の集計
+// ================================================================
+
+/**
+ * 集落区分ごとの世帯収入・税額・貧困度の中央値を集計する (経済シミュレーション済みのヘックスのみ)
+ * @param {WorldMap} allHexes
+ * @param {string} worldName
+ * @returns {WorldEconomyStats|null} 集計できるヘックスがなければ null
+ */
+export function computeWorldEconomyStats(allHexes: WorldMap, worldName: string): WorldEconomyStats | null {
+    const groups = new Map<string, any[]>();
+    allHexes.forEach((h: Hex) => {
+        const p = h.properties;
+        const lc = p.livingConditions;
+        if (!(p.population > 0) || !lc || lc.householdIncome === undefined) return;
+        const type = p.settlement || '散居';
+        if (!groups.has(type)) groups.set(type, []);
+        groups.get(type)!.push({ population: p.population, lc });
+    });
+    if (groups.size === 0) return null;
+
+    const settlements = SETTLEMENT_TYPES.filter(type => groups.has(type)).map(type => {
+        const items = groups.get(type)!;
+        return {
+            settlement: type,
+            count: items.length,
+            population: items.reduce((sum, i) => sum + i.population, 0),
+            medianHouseholdIncome: median(items.map(i => i.lc.householdIncome || 0)),
+            medianPerCapitaIncome: median(items.map(i => i.lc.perCapitaIncome || 0)),
+            medianMonthlyTax: median(items.map(i => i.lc.monthlyTax || 0)),
+            medianPoverty: median(items.map(i => i.lc.poverty || 0))
+        };
+    });
+    return { worldName, updatedAt: new Date().toISOString(), settlements };
+}
+
+function median(values: number[]): number {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * localStorage から読み込んだ集計を検証する (形式が正しくなければ null)
+ */
+export function normalizeWorldEconomyStats(data: any): WorldEconomyStats | null {
+    if (!data || typeof data.worldName !== 'string' || !Array.isArray(data.settlements)) return null;
+    const settlements = data.settlements.filter((s: any) => s && typeof s.settlement === 'string' && Number.isFinite(s.medianHouseholdIncome));
+    return settlements.length > 0 ? { worldName: data.worldName, updatedAt: String(data.updatedAt || ''), settlements } : null;
+}
+
+// ================================================================
+// ■ 表
+// ================================================================
+
+function escapeHtml(text: string): string {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatNumber(value: number, digits = 0): string {
+    return value.toLocaleString('ja-JP', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function formatPercent(value: number): string {
+    return `${formatNumber(value * 100)}%`;
+}
+
+/**
+ * ルールブックの表の HTML (table-container で包む)
+ */
+function createTable(headers: string[], rows: string[][], note = ''): string {
+    const head = headers.map(h => `<th>${h}</th>`).join('');
+    const body = rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('');
+    const noteHtml = note ? `<p class="table-note">${note}</p>` : '';
+    return `<div class="table-container"><table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>${noteHtml}`;
+}
+
+function describeCrew(crew: Record<string, number>): string {
+    const labels: Record<string, string> = { skipper: '船長', crew: '船員', fisher: '漁師', marine: '海兵' };
+    return Object.entries(crew).filter(([, n]) => n > 0).map(([key, n]) => `${labels[key] || key} ${n}`).join('・') || '-';
+}
+
+const RULEBOOK_TABLES: Record<string, (stats: WorldEconomyStats | null) => string> = {
+    // 職業別の平均月収
+    'job-income': () => createTable(
+        ['職業', '平均月収'],
+        Object.entries(config.JOB_INCOME).map(([job, income]) => [`<strong>${job}</strong>`, `${formatNumber(income)} G`])
+    ),
+
+    // 集落区分ごとの生活モデル (生活費基準・世帯人員・税率・労働力率・消費量)
+    'settlement-living': () => createTable(
+        ['集落区分', '生活費基準 (1人/月)', '平均世帯人員', '世帯の生活費 (月)', '実効税率', '労働力率', '食料消費 (1人/年)'],
+        SETTLEMENT_TYPES.map(type => {
+            const settlement = config.SETTLEMENT_PARAMS[type];
+            const livingCost = config.LIVING_COST[type];
+            const householdSize = config.HOUSEHOLD_SIZE[type];
+            return [
+                `<strong>${type}</strong>`,
+                `${formatNumber(livingCost)} G`,
+                `${formatNumber(householdSize, 1)} 人`,
+                `${formatNumber(livingCost * householdSize)} G`,
+                formatPercent(config.TAX_RATE[type]),
+                settlement ? formatPercent(settlement.labor_rate) : '-',
+                settlement ? `${formatNumber(settlement.consumption_t_per_person * 1000)} kg` : '-'
+            ];
+        }),
+        '1人あたりの月収が生活費基準を下回ると貧困とみなします。'
+    ),
+
+    // 商船・漁船
+    'ship-types': () => createTable(
+        ['船種', '積載量', '航続距離', '沖合の限界', '平均速度', '母港', '乗員'],
+        Object.values(config.SHIP_TYPES).map((ship: any) => [
+            `<strong>${ship.name}</strong>`,
+            `${formatNumber(ship.cargo_capacity_t, ship.cargo_capacity_t < 1 ? 1 : 0)} t`,
+            `${formatNumber(ship.range_km)} km`,
+            ship.max_offshore_km > 0 ? `${formatNumber(ship.max_offshore_km)} km` : '河川のみ',
+            `${formatNumber(ship.avg_speed_kmh)} km/h`,
+            config.RULEBOOK_PARAMS.SETTLEMENT_LEVEL_LABELS[ship.min_settlement_level] || ship.min_settlement_level,
+            describeCrew(ship.crew_requirements)
+        ])
+    ),
+
+    // 軍船
+    'warship-types': () => createTable(
+        ['艦種', '戦闘力', '母港', '乗員'],
+        Object.values(config.WARSHIP_TYPES).map((ship: any) => [
+            `<strong>${ship.name}</strong>`,
+            formatNumber(ship.combat_power),
+            config.RULEBOOK_PARAMS.SETTLEMENT_LEVEL_LABELS[ship.min_settlement_level] || ship.min_settlement_level,
+            describeCrew(ship.crew_requirements)
+        ])
+    ),
+
+    // 読み込んだ世界の集落区分ごとの世帯収入
+    'world-household-income': (stats) => {
+        if (!stats) {
+            return '<p class="table-note">地図の画面で世界を生成するか読み込むと、その世界の集計がここに表示されます。</p>';
+        }
+        const updated = stats.updatedAt ? new Date(stats.updatedAt).toLocaleString('ja-JP') : '';
+        return createTable(
+            ['集落区分', 'ヘックス数', '人口', '世帯月収 (中央値)', '1人あたり月収 (中央値)', '世帯の月の税額 (中央値)', '貧困度 (中央値)'],
+            stats.settlements.map(s => [
+                `<strong>${escapeHtml(s.settlement)}</strong>`,
+                formatNumber(s.count),
+                formatNumber(s.population),
+                `${formatNumber(s.medianHouseholdIncome)} G`,
+                `${formatNumber(s.medianPerCapitaIncome, 1)} G`,
+                `${formatNumber(s.medianMonthlyTax)} G`,
+                formatPercent(s.medianPoverty || 0)
+            ]),
+            `世界「${escapeHtml(stats.worldName)}」の集計${updated ? ` (${escapeHtml(updated)})` : ''}。`
+        );
+    }
+};
+
+/**
+ * 表の差し込み口の HTML (未知の表の名前は注意書きにする)
+ * @param {string} name - data-rulebook-table の値
+ * @param {WorldEconomyStats|null} stats - 世界の集計 (なければ null)
+ */
+export function renderRulebookTable(name: string, stats: WorldEconomyStats | null): string {
+    const render = RULEBOOK_TABLES[name];
+    return render ? render(stats) : `<p class="table-note">不明なデータ表です: ${escapeHtml(name)}</p>`;
+}
+
+/**
+ * 値の差し込み口の文字列
+ * @param {string} path - data-rulebook-value の値 ('JOB_INCOME.農民' など)
+ * @param {string} [format] - 'percent' (割合を % で)、'G' (通貨)、省略時は数値
+ */
+export function renderRulebookValue(path: string, format = ''): string {
+    const [objectName, key] = path.split('.');
+    const value = RULEBOOK_VALUES[objectName]?.[key];
+    if (typeof value !== 'number') return `(不明な値: ${path})`;
+    if (format === 'percent') return formatPercent(value);
+    if (format === 'G') return `${formatNumber(value)} G`;
+    return formatNumber(value, Number.isInteger(value) ? 0 : 1);
+}
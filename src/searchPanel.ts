@@ -0,0 +1,240 @@
+// ================================================================
+// GeoForge System - 地図の検索パネル
+// ================================================================
+// サイドバーの「地図の検索」パネル。条件を指定して worldSearch.ts で世界のヘックスを探し、
+// 結果を並べ替えできる表に一覧する。結果は地図でハイライトし、行をクリックするとその地点へ移動する。
+
+import * as config from './config.ts';
+import { formatLocation, getNationName } from './utils.ts';
+import { SETTLEMENT_TYPES, VEGETATIONS, RANKS, RESOURCE_RANKS } from './WorldMap.ts';
+import { WorldSearchQuery, WorldSearchResult, WorldSearchSortKey, searchWorld, sortSearchResults, collectSearchChoices } from './worldSearch.ts';
+
+interface SearchPanelOptions {
+    // 現在の世界データ ({ allHexes }) を返す
+    getWorldData: () => any;
+    // 地図でハイライトするヘックスが変わったときに呼ばれる (null で消去)
+    onHighlightChange: (cells: { col: number; row: number }[] | null) => void;
+    // 結果の地点へ地図を移動する
+    onFocusRequest: (col: number, row: number) => void;
+}
+
+// 表の列 (並べ替えの初期方向は、数値・規模の列は降順)
+const COLUMNS: { key: WorldSearchSortKey; label: string; descending: boolean }[] = [
+    { key: 'name', label: '名前', descending: false },
+    { key: 'settlement', label: '区分', descending: true },
+    { key: 'nation', label: '所属', descending: false },
+    { key: 'population', label: '人口', descending: true },
+    { key: 'monsterRank', label: '魔物', descending: true },
+    { key: 'resourceRank', label: '鉱物', descending: false },
+    { key: 'vegetation', label: '植生', descending: false }
+];
+
+let options: SearchPanelOptions;
+
+let textInput: HTMLInputElement;
+let settlementSelect: HTMLSelectElement;
+let nationSelect: HTMLSelectElement;
+let coastalSelect: HTMLSelectElement;
+let populationMinInput: HTMLInputElement;
+let populationMaxInput: HTMLInputElement;
+let monsterSelect: HTMLSelectElement;
+let resourceSelect: HTMLSelectElement;
+let vegetationSelect: HTMLSelectElement;
+let characteristicSelect: HTMLSelectElement;
+let searchButton: HTMLButtonElement;
+let clearButton: HTMLButtonElement;
+let statusElement: HTMLElement;
+let resultsTable: HTMLTableElement;
+
+// 最後の検索条件と結果 (世界が変わったときに検索し直すため)
+let lastQuery: WorldSearchQuery | null = null;
+let results: WorldSearchResult[] = [];
+let sortKey: WorldSearchSortKey = 'population';
+let sortDescending = true;
+let selectedIndex: number | null = null;
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {SearchPanelOptions} panelOptions
+ */
+export function setupSearchPanel(panelOptions: SearchPanelOptions) {
+    options = panelOptions;
+
+    textInput = document.getElementById('search-text-input') as HTMLInputElement;
+    settlementSelect = document.getElementById('search-settlement-select') as HTMLSelectElement;
+    nationSelect = document.getElementById('search-nation-select') as HTMLSelectElement;
+    coastalSelect = document.getElementById('search-coastal-select') as HTMLSelectElement;
+    populationMinInput = document.getElementById('search-population-min') as HTMLInputElement;
+    populationMaxInput = document.getElementById('search-population-max') as HTMLInputElement;
+    monsterSelect = document.getElementById('search-monster-select') as HTMLSelectElement;
+    resourceSelect = document.getElementById('search-resource-select') as HTMLSelectElement;
+    vegetationSelect = document.getElementById('search-vegetation-select') as HTMLSelectElement;
+    characteristicSelect = document.getElementById('search-characteristic-select') as HTMLSelectElement;
+    searchButton = document.getElementById('search-run-btn') as HTMLButtonElement;
+    clearButton = document.getElementById('search-clear-btn') as HTMLButtonElement;
+    statusElement = document.getElementById('search-status') as HTMLElement;
+    resultsTable = document.getElementById('search-results-table') as HTMLTableElement;
+
+    setChoices(settlementSelect, [['*', '集落すべて'], ...SETTLEMENT_TYPES.map(s => [s, s] as [string, string])]);
+    setChoices(coastalSelect, [['yes', '沿岸'], ['no', '内陸']]);
+    setChoices(monsterSelect, [...RANKS.map((r, i) => [r, i === 0 ? r : `${r}以上`] as [string, string]), ['none', '見かけない']]);
+    setChoices(resourceSelect, RESOURCE_RANKS.map(r => [r, r] as [string, string]));
+    setChoices(vegetationSelect, VEGETATIONS.map(v => [v, v] as [string, string]));
+
+    // 見出し (クリックで並べ替え)
+    const headerRow = document.createElement('tr');
+    COLUMNS.forEach(column => {
+        const th = document.createElement('th');
+        th.dataset.sortKey = column.key;
+        th.textContent = column.label;
+        th.addEventListener('click', () => {
+            sortDescending = sortKey === column.key ? !sortDescending : column.descending;
+            sortKey = column.key;
+            renderResults();
+        });
+        headerRow.appendChild(th);
+    });
+    resultsTable.createTHead().appendChild(headerRow);
+    resultsTable.createTBody();
+
+    searchButton.addEventListener('click', runSearch);
+    textInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') runSearch();
+    });
+    clearButton.addEventListener('click', () => {
+        clearResults();
+        statusElement.textContent = '';
+    });
+
+    updateSearchPanel(false);
+}
+
+/**
+ * パネルの有効・無効を切り替える (生成・読み込みで世界が変わったときに呼び出す)
+ * 所属国と特徴の選択肢を世界から作り直し、前の世界の検索結果は消す。
+ * @param {boolean} enabled - 検索できる世界があるかどうか
+ */
+export function updateSearchPanel(enabled: boolean) {
+    if (!searchButton) return;
+    [textInput, settlementSelect, nationSelect, coastalSelect, populationMinInput, populationMaxInput,
+        monsterSelect, resourceSelect, vegetationSelect, characteristicSelect, searchButton, clearButton]
+        .forEach(element => element.disabled = !enabled);
+
+    const worldData = options.getWorldData();
+    const choices = enabled && worldData && worldData.allHexes
+        ? collectSearchChoices(worldData.allHexes)
+        : { nationIds: [], characteristics: [] };
+    setChoices(nationSelect, [...choices.nationIds.map(id => [String(id), getNationName(id)] as [string, string]), ['0', '辺境 (所属なし)']]);
+    setChoices(characteristicSelect, choices.characteristics.map(c => [c, c] as [string, string]));
+
+    clearResults();
+    statusElement.textContent = '';
+}
+
+/**
+ * 最後の条件で検索し直す (編集や年の切り替えで集落・国境が変わったときに呼び出す)
+ */
+export function refreshSearchPanel() {
+    if (!searchButton || !lastQuery) return;
+    executeSearch(lastQuery);
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+/**
+ * 選択肢を作り直す (先頭は「指定なし」。選択中の値が残っていれば維持する)
+ */
+function setChoices(select: HTMLSelectElement, choices: [string, string][]) {
+    const previous = select.value;
+    select.replaceChildren(...[['', '指定なし'] as [string, string], ...choices].map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }));
+    if (choices.some(([value]) => value === previous)) select.value = previous;
+}
+
+function readNumber(input: HTMLInputElement): number | null {
+    const value = Number(input.value);
+    return input.value.trim() === '' || !Number.isFinite(value) ? null : value;
+}
+
+function runSearch() {
+    executeSearch({
+        text: textInput.value,
+        settlement: settlementSelect.value,
+        nationId: nationSelect.value === '' ? null : Number(nationSelect.value),
+        coastal: coastalSelect.value === '' ? null : coastalSelect.value === 'yes',
+        populationMin: readNumber(populationMinInput),
+        populationMax: readNumber(populationMaxInput),
+        monsterRank: monsterSelect.value,
+        resourceRank: resourceSelect.value,
+        vegetation: vegetationSelect.value,
+        characteristic: characteristicSelect.value
+    });
+}
+
+function executeSearch(query: WorldSearchQuery) {
+    const worldData = options.getWorldData();
+    if (!worldData || !worldData.allHexes) return;
+
+    lastQuery = query;
+    results = searchWorld(worldData.allHexes, query);
+    if (selectedIndex !== null && !results.some(r => r.index === selectedIndex)) selectedIndex = null;
+    options.onHighlightChange(results.map(r => ({ col: r.col, row: r.row })));
+
+    const max = config.SEARCH_PARAMS.MAX_RESULTS;
+    statusElement.textContent = results.length === 0
+        ? '条件に合う地点はありません。'
+        : `${results.length}件見つかりました。${results.length > max ? ` (上位${max}件を表示)` : ''}`;
+    renderResults();
+}
+
+function clearResults() {
+    lastQuery = null;
+    results = [];
+    selectedIndex = null;
+    options.onHighlightChange(null);
+    renderResults();
+}
+
+/**
+ * 並べ替えた結果を表に描く
+ */
+function renderResults() {
+    resultsTable.style.display = results.length > 0 ? '' : 'none';
+    resultsTable.querySelectorAll<HTMLElement>('th').forEach(th => {
+        th.classList.toggle('sorted-asc', th.dataset.sortKey === sortKey && !sortDescending);
+        th.classList.toggle('sorted-desc', th.dataset.sortKey === sortKey && sortDescending);
+    });
+
+    const rows = sortSearchResults(results, sortKey, sortDescending).slice(0, config.SEARCH_PARAMS.MAX_RESULTS);
+    resultsTable.tBodies[0].replaceChildren(...rows.map(result => {
+        const tr = document.createElement('tr');
+        tr.classList.toggle('selected', result.index === selectedIndex);
+        tr.title = result.characteristics.join('、');
+        [
+            result.name || formatLocation(result, 'coords'),
+            result.settlement || '-',
+            result.nationName,
+            result.population.toLocaleString(),
+            result.monsterRank || '-',
+            result.resourceRank || '-',
+            result.vegetation
+        ].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tr.addEventListener('click', () => {
+            selectedIndex = result.index;
+            resultsTable.querySelectorAll('tbody tr.selected').forEach(row => row.classList.remove('selected'));
+            tr.classList.add('selected');
+            options.onFocusRequest(result.col, result.row);
+        });
+        return tr;
+    }));
+}
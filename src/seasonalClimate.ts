@@ -0,0 +1,188 @@
+// ================================================================
+// GeoForge System - 季節 (月ごと) の気候モデル
+// ================================================================
+// 年平均の気温・降水量に、ヘックスごとの季節変化 (気温の年較差の半分 tempAmplitude と、降水の季節性
+// precipSeasonality) を重ねて、月ごとの気温・降水量・積雪・河川の流量・結氷を求める (DOM 非依存)。
+// 季節変化は生成時に緯度・内陸度 (海洋性)・季節性ノイズから決め (calculateFinalProperties)、ヘックスに保存する。
+// 月は 1〜12。旅程 (travelPlanner.ts)・荷馬車の日数 (roadGenerator.ts)・地図の月の切り替え (MapView.ts) が使う。
+
+import * as config from './config.ts';
+
+export const MONTH_LABELS = ['1月', '2月', '3月', '4月', '5月', '6月', '7月', '8月', '9月', '10月', '11月', '12月'];
+
+/** 1か月分の気候 */
+export interface MonthlyClimate {
+    month: number;            // 1〜12
+    temperature: number;      // 月平均気温 (℃)
+    precipitation_mm: number; // 月降水量 (mm)
+    snowCover: boolean;       // 積雪 (陸地。月末に雪が残っている)
+    frozen: boolean;          // 結氷 (湖・海・河川)
+    discharge: number;        // 河川の流量 (flow と同じ単位。河川のないヘックスは 0)
+    dischargeRatio: number;   // 年平均の流量に対する比 (河川のないヘックスは 1)
+    flooding: boolean;        // 増水 (河川の流量が FLOOD_DISCHARGE_RATIO 倍以上)
+    passClosed: boolean;      // 峠の閉鎖 (積雪した山岳・高地)
+}
+
+/** ヘックスの季節変化 (生成時に決めて保存する) */
+export interface SeasonalProfile {
+    tempAmplitude: number;     // 気温の年較差の半分 (℃)
+    precipSeasonality: number; // 降水の季節性 (-1〜1。正は夏に多い、負は冬に多い)
+}
+
+/**
+ * ヘックスの季節変化を決める
+ * 年較差は極側ほど、内陸ほど大きく、水域では小さい。降水の季節性は季節性ノイズと内陸度で決める。
+ * @param {object} params
+ * @param {number} params.latitude - 緯度 (0〜1。generateBaseProperties と同じく 0 が寒い側)
+ * @param {number} params.oceanicity - 海洋性 (0〜1。1 は海に近い)
+ * @param {boolean} params.isWater - 水域かどうか
+ * @param {number} params.amplitudeNoise - 年較差のゆらぎ (-1〜1。seasonalityNoise)
+ * @param {number} params.seasonalityNoise - 降水の季節性のゆらぎ (-1〜1。seasonalityNoise)
+ * @returns {SeasonalProfile}
+ */
+export function computeSeasonalProfile({ latitude, oceanicity, isWater, amplitudeNoise, seasonalityNoise }: {
+    latitude: number; oceanicity: number; isWater: boolean; amplitudeNoise: number; seasonalityNoise: number;
+}): SeasonalProfile {
+    const params = config.SEASONAL_PARAMS;
+    const lat = clamp(latitude, 0, 1);
+    const continentality = isWater ? 0 : 1 - clamp(oceanicity, 0, 1);
+    const base = params.AMPLITUDE_POLAR + (params.AMPLITUDE_TROPICAL - params.AMPLITUDE_POLAR) * lat;
+    const scale = isWater ? params.WATER_AMPLITUDE_FACTOR : 1 + params.CONTINENTAL_AMPLITUDE_FACTOR * continentality;
+    const tempAmplitude = Math.max(0, base * scale * (1 + params.AMPLITUDE_NOISE * amplitudeNoise));
+    const precipSeasonality = clamp(
+        seasonalityNoise * params.SEASONALITY_NOISE_WEIGHT + (continentality - 0.5) * params.CONTINENTAL_SEASONALITY_WEIGHT,
+        -params.MAX_PRECIP_SEASONALITY, params.MAX_PRECIP_SEASONALITY);
+    return { tempAmplitude, precipSeasonality };
+}
+
+/**
+ * 保存されている季節変化 (古い保存データで無い場合は、年平均気温と海岸からの近さで見積もる)
+ * @param {object} p - ヘックスのプロパティ
+ * @returns {SeasonalProfile}
+ */
+export function getSeasonalProfile(p: any): SeasonalProfile {
+    if (p.tempAmplitude > 0) {
+        return { tempAmplitude: p.tempAmplitude, precipSeasonality: p.precipSeasonality || 0 };
+    }
+    // 海面の気温 (generateBaseProperties の 0〜40℃) から緯度を逆算する
+    const seaLevelTemp = (p.temperature || 0) + Math.max(0, p.elevation || 0) * 0.0065;
+    return computeSeasonalProfile({
+        latitude: seaLevelTemp / 40,
+        oceanicity: p.isCoastal ? 0.9 : 0.4,
+        isWater: !!p.isWater,
+        amplitudeNoise: 0,
+        seasonalityNoise: 0
+    });
+}
+
+/**
+ * 月の季節の位相 (最も暑い月で 1、最も寒い月で -1)
+ * @param {number} month - 1〜12
+ */
+export function getSeasonPhase(month: number): number {
+    return Math.cos(2 * Math.PI * (month - config.SEASONAL_PARAMS.WARMEST_MONTH) / 12);
+}
+
+/**
+ * 月平均気温 (℃)
+ * @param {object} p - ヘックスのプロパティ
+ * @param {number} month - 1〜12
+ */
+export function getMonthlyTemperature(p: any, month: number): number {
+    return p.temperature + getSeasonalProfile(p).tempAmplitude * getSeasonPhase(month);
+}
+
+/**
+ * 月降水量 (mm)。12か月の合計は年降水量 precipitation_mm に等しい
+ * @param {object} p - ヘックスのプロパティ
+ * @param {number} month - 1〜12
+ */
+export function getMonthlyPrecipitation(p: any, month: number): number {
+    return Math.max(0, (p.precipitation_mm || 0) / 12 * (1 + getSeasonalProfile(p).precipSeasonality * getSeasonPhase(month)));
+}
+
+/**
+ * 1年分 (1〜12月) の気候
+ * 積雪は最も寒い月から1年分、降雪の積もりと気温による融雪をたどって求める。
+ * 河川の流量は、雨と融雪から蒸発散を引いた月ごとの流出の割合で年平均の流量 (flow) を配分する。
+ * 上流からの流入 (Qin) は1か月遅れて届くものとする。
+ * @param {object} p - ヘックスのプロパティ
+ * @returns {MonthlyClimate[]} 1月から12月の順
+ */
+export function getAnnualCycle(p: any): MonthlyClimate[] {
+    const params = config.SEASONAL_PARAMS;
+    const months = MONTH_LABELS.map((_, i) => i + 1);
+    const temperatures = months.map(m => getMonthlyTemperature(p, m));
+    const precipitations = months.map(m => getMonthlyPrecipitation(p, m));
+
+    // 積雪 (水量 mm) と流出
+    const snowpack = new Array(12).fill(0);
+    const runoff = new Array(12).fill(0);
+    const coldest = (params.WARMEST_MONTH + 5) % 12; // 最も寒い月 (0 始まり)
+    let pack = 0;
+    for (let k = 0; k < 12; k++) {
+        const i = (coldest + k) % 12;
+        const t = temperatures[i];
+        let water = 0;
+        if (t <= params.SNOW_TEMPERATURE) {
+            pack += precipitations[i];
+        } else {
+            const melt = Math.min(pack, params.DEGREE_MONTH_MELT_MM * (t - params.SNOW_TEMPERATURE));
+            pack -= melt;
+            water = precipitations[i] + melt;
+        }
+        snowpack[i] = pack;
+        runoff[i] = Math.max(0, water - params.EVAPOTRANSPIRATION_MM_PER_DEGREE * Math.max(0, t));
+    }
+    const meanRunoff = runoff.reduce((sum, r) => sum + r, 0) / 12;
+    const localFactors = runoff.map(r => meanRunoff > 0 ? r / meanRunoff : 1);
+
+    const flow = !p.isWater && p.flow > 0 ? p.flow : 0;
+    const inflow = Math.min(flow, Math.max(0, p.Qin || 0));
+    const isLake = p.isWater && p.elevation > 0;
+    const isHighland = params.PASS_CLOSURE_TERRAINS.includes(p.terrainType) || p.elevation >= params.PASS_CLOSURE_ELEVATION;
+
+    return months.map((month, i) => {
+        const t = temperatures[i];
+        const lagged = localFactors[(i + 12 - params.RIVER_ROUTING_LAG_MONTHS) % 12];
+        const discharge = flow > 0 ? (flow - inflow) * localFactors[i] + inflow * lagged : 0;
+        const dischargeRatio = flow > 0 ? discharge / flow : 1;
+        const snowCover = !p.isWater && (!!p.hasSnow || snowpack[i] >= params.SNOW_COVER_MIN_MM);
+        const frozen = p.isWater
+            ? t <= (isLake ? params.LAKE_FREEZE_TEMPERATURE : params.SEA_FREEZE_TEMPERATURE)
+            : flow > 0 && t <= params.RIVER_FREEZE_TEMPERATURE;
+        return {
+            month,
+            temperature: t,
+            precipitation_mm: precipitations[i],
+            snowCover,
+            frozen,
+            discharge,
+            dischargeRatio,
+            flooding: flow > 0 && dischargeRatio >= params.FLOOD_DISCHARGE_RATIO,
+            passClosed: snowCover && isHighland
+        };
+    });
+}
+
+/**
+ * 指定した月の気候
+ * @param {object} p - ヘックスのプロパティ
+ * @param {number} month - 1〜12
+ * @returns {MonthlyClimate}
+ */
+export function getMonthlyClimate(p: any, month: number): MonthlyClimate {
+    return getAnnualCycle(p)[normalizeMonth(month) - 1];
+}
+
+/**
+ * 月を 1〜12 に丸める (範囲外は年をまたいで数える)
+ * @param {number} month
+ */
+export function normalizeMonth(month: number): number {
+    return ((Math.round(month) - 1) % 12 + 12) % 12 + 1;
+}
+
+function clamp(value: number, min: number, max: number): number {
+    return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,261 @@
+// ================================================================
+// GeoForge System - 統計ダッシュボード
+// ================================================================
+// 全体情報の「統計ダッシュボード」から開く画面。worldStatistics.ts で国家または首都・都市・領都の支配領域ごとに集計し、
+// 人口構成・産業階層ごとの生産量・食料自給率・船舶・道路の延長・土地利用を d3 の横棒グラフで比べる。
+// グラフの元の表は、表計算ソフトで使えるよう CSV で書き出せる (グラフでまとめた「その他」も区分ごとに書き出す)。
+
+import * as d3 from 'd3';
+import * as config from './config.ts';
+import { StatsScope, StatsTable, computeWorldStatistics, buildStatsTables, formatStatsCsv } from './worldStatistics.ts';
+
+interface StatsDashboardPanelOptions {
+    // 現在の世界データ ({ allHexes, roadPaths }) を返す
+    getWorldData: () => any;
+}
+
+const SCOPE_LABELS: Record<StatsScope, string> = { nation: '国家', territory: '支配領域' };
+const OTHER_SERIES_LABEL = 'その他';
+
+let options: StatsDashboardPanelOptions;
+
+let openButton: HTMLButtonElement;
+let dashboardElement: HTMLElement;
+let scopeSelect: HTMLSelectElement;
+let closeButton: HTMLButtonElement;
+let statusElement: HTMLElement;
+let chartsElement: HTMLElement;
+
+let enabled = false;
+let tables: StatsTable[] = [];
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {StatsDashboardPanelOptions} panelOptions
+ */
+export function setupStatsDashboardPanel(panelOptions: StatsDashboardPanelOptions) {
+    options = panelOptions;
+
+    openButton = document.getElementById('stats-dashboard-open-btn') as HTMLButtonElement;
+    dashboardElement = document.getElementById('stats-dashboard') as HTMLElement;
+    scopeSelect = document.getElementById('stats-dashboard-scope-select') as HTMLSelectElement;
+    closeButton = document.getElementById('stats-dashboard-close-btn') as HTMLButtonElement;
+    statusElement = document.getElementById('stats-dashboard-status') as HTMLElement;
+    chartsElement = document.getElementById('stats-dashboard-charts') as HTMLElement;
+
+    openButton.addEventListener('click', () => {
+        dashboardElement.hidden = false;
+        refreshStatsDashboard();
+    });
+    closeButton.addEventListener('click', closeDashboard);
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && !dashboardElement.hidden) closeDashboard();
+    });
+    scopeSelect.addEventListener('change', refreshStatsDashboard);
+}
+
+/**
+ * 経済データの有無に応じてパネルを切り替える (経済シミュレーションのあとで有効)
+ */
+export function updateStatsDashboardPanel(isEnabled: boolean) {
+    enabled = isEnabled;
+    openButton.disabled = !enabled;
+    if (!enabled) closeDashboard();
+    else refreshStatsDashboard();
+}
+
+/**
+ * 世界の状態 (年表・国家史・ヘックス編集) が変わったときに集計し直す (開いていなければ何もしない)
+ */
+export function refreshStatsDashboard() {
+    if (!enabled || dashboardElement.hidden) return;
+    const worldData = options.getWorldData();
+    if (!worldData || !worldData.allHexes) return;
+
+    const scope = scopeSelect.value as StatsScope;
+    const groups = computeWorldStatistics(worldData.allHexes, worldData.roadPaths || null, scope);
+    tables = buildStatsTables(groups);
+    const population = groups.reduce((sum, g) => sum + g.population, 0);
+    statusElement.textContent = `${SCOPE_LABELS[scope]} ${groups.length}件・総人口 ${population.toLocaleString()}人`;
+    chartsElement.replaceChildren(...tables.map(renderSection));
+}
+
+function closeDashboard() {
+    dashboardElement.hidden = true;
+    chartsElement.replaceChildren();
+    tables = [];
+}
+
+function exportCsv(table: StatsTable) {
+    const scope = scopeSelect.value as StatsScope;
+    // 表計算ソフトが UTF-8 と判断できるよう BOM を付ける
+    const content = '\uFEFF' + formatStatsCsv(table, SCOPE_LABELS[scope]);
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([content], { type: 'text/csv' }));
+    a.download = `stats-${scope}-${table.id}.csv`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// ================================================================
+// ■ グラフ
+// ================================================================
+
+function renderSection(table: StatsTable): HTMLElement {
+    const section = document.createElement('section');
+    section.className = 'stats-chart';
+
+    const header = document.createElement('div');
+    header.className = 'stats-chart-header';
+    const title = document.createElement('h3');
+    title.textContent = `${table.title} (${table.unit})`;
+    const csvButton = document.createElement('button');
+    csvButton.textContent = 'CSV';
+    csvButton.title = 'グラフの元の表を CSV で書き出す';
+    csvButton.addEventListener('click', () => exportCsv(table));
+    header.append(title, csvButton);
+    section.appendChild(header);
+
+    if (table.rows.length === 0 || table.columns.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'note';
+        empty.textContent = 'データがありません。';
+        section.appendChild(empty);
+        return section;
+    }
+
+    const series = getChartSeries(table);
+    const color = d3.scaleOrdinal<string, string>().domain(series.map(s => s.label)).range(d3.schemeTableau10);
+    section.appendChild(table.chart.type === 'stacked' ? renderStackedChart(table, series, color) : renderGroupedChart(table, series, color));
+    section.appendChild(renderLegend(series.map(s => s.label), color));
+    return section;
+}
+
+/**
+ * グラフの系列 (多い区分から MAX_CHART_SERIES まで。積み上げの残りは「その他」にまとめる)
+ */
+function getChartSeries(table: StatsTable): { label: string; value: (values: number[]) => number }[] {
+    const max = config.STATS_DASHBOARD_PARAMS.MAX_CHART_SERIES;
+    const columns = table.chart.chartColumns;
+    const shown = table.chart.type === 'stacked' && columns.length > max ? columns.slice(0, max - 1) : columns;
+    const series = shown.map(i => ({ label: table.columns[i], value: (values: number[]) => values[i] }));
+    const rest = columns.slice(shown.length);
+    if (rest.length > 0) {
+        series.push({ label: OTHER_SERIES_LABEL, value: (values: number[]) => rest.reduce((sum, i) => sum + values[i], 0) });
+    }
+    return series;
+}
+
+function createChartSvg(table: StatsTable, rowHeight: number) {
+    const params = config.STATS_DASHBOARD_PARAMS;
+    const margin = { top: 24, right: 16, bottom: 8, left: params.LABEL_WIDTH };
+    const height = margin.top + margin.bottom + table.rows.length * rowHeight;
+    const svg = d3.create('svg')
+        .attr('class', 'stats-chart-svg')
+        .attr('viewBox', `0 0 ${params.CHART_WIDTH} ${height}`)
+        .attr('width', params.CHART_WIDTH)
+        .attr('height', height);
+    const y = d3.scaleBand<string>()
+        .domain(table.rows.map((_, i) => String(i)))
+        .range([margin.top, height - margin.bottom])
+        .padding(0.15);
+    svg.append('g')
+        .attr('class', 'stats-chart-labels')
+        .selectAll('text')
+        .data(table.rows)
+        .join('text')
+        .attr('x', margin.left - 6)
+        .attr('y', (_, i) => y(String(i))! + y.bandwidth() / 2)
+        .attr('text-anchor', 'end')
+        .attr('dominant-baseline', 'middle')
+        .text(row => row.label);
+    return { svg, y, margin };
+}
+
+function drawAxis(svg: d3.Selection<SVGSVGElement, undefined, null, undefined>, x: d3.ScaleLinear<number, number>, top: number) {
+    svg.append('g')
+        .attr('class', 'stats-chart-axis')
+        .attr('transform', `translate(0,${top})`)
+        .call(d3.axisTop(x).ticks(6, '~s'));
+}
+
+// 各行の区分を積み上げた横棒 (行の合計で比べる)
+function renderStackedChart(table: StatsTable, series: ReturnType<typeof getChartSeries>, color: d3.ScaleOrdinal<string, string>): SVGSVGElement {
+    const params = config.STATS_DASHBOARD_PARAMS;
+    const { svg, y, margin } = createChartSvg(table, params.BAR_HEIGHT);
+    const rows = table.rows.map(row => {
+        let offset = 0;
+        const parts = series.map(s => {
+            const value = s.value(row.values);
+            const part = { label: s.label, value, start: offset };
+            offset += value;
+            return part;
+        });
+        return { label: row.label, total: offset, parts };
+    });
+    const x = d3.scaleLinear()
+        .domain([0, d3.max(rows, r => r.total) || 1])
+        .nice()
+        .range([margin.left, params.CHART_WIDTH - margin.right]);
+    drawAxis(svg, x, margin.top);
+
+    rows.forEach((row, i) => {
+        svg.append('g')
+            .selectAll('rect')
+            .data(row.parts.filter(part => part.value > 0))
+            .join('rect')
+            .attr('x', part => x(part.start))
+            .attr('y', y(String(i))!)
+            .attr('width', part => Math.max(0, x(part.start + part.value) - x(part.start)))
+            .attr('height', y.bandwidth())
+            .attr('fill', part => color(part.label))
+            .append('title')
+            .text(part => `${row.label} / ${part.label}: ${formatValue(part.value)} ${table.unit} (合計 ${formatValue(row.total)})`);
+    });
+    return svg.node()!;
+}
+
+// 各行の区分を並べた横棒 (割合など、合計に意味のない値を比べる)
+function renderGroupedChart(table: StatsTable, series: ReturnType<typeof getChartSeries>, color: d3.ScaleOrdinal<string, string>): SVGSVGElement {
+    const params = config.STATS_DASHBOARD_PARAMS;
+    const { svg, y, margin } = createChartSvg(table, params.BAR_HEIGHT * series.length);
+    const inner = d3.scaleBand<string>().domain(series.map(s => s.label)).range([0, y.bandwidth()]).padding(0.05);
+    const x = d3.scaleLinear()
+        .domain([0, d3.max(table.rows, row => d3.max(series, s => s.value(row.values))) || 1])
+        .nice()
+        .range([margin.left, params.CHART_WIDTH - margin.right]);
+    drawAxis(svg, x, margin.top);
+
+    table.rows.forEach((row, i) => {
+        svg.append('g')
+            .selectAll('rect')
+            .data(series)
+            .join('rect')
+            .attr('x', x(0))
+            .attr('y', s => y(String(i))! + inner(s.label)!)
+            .attr('width', s => Math.max(0, x(s.value(row.values)) - x(0)))
+            .attr('height', inner.bandwidth())
+            .attr('fill', s => color(s.label))
+            .append('title')
+            .text(s => `${row.label} / ${s.label}: ${formatValue(s.value(row.values))}`);
+    });
+    return svg.node()!;
+}
+
+function renderLegend(labels: string[], color: d3.ScaleOrdinal<string, string>): HTMLElement {
+    const legend = document.createElement('ul');
+    legend.className = 'stats-chart-legend';
+    labels.forEach(label => {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'stats-chart-swatch';
+        swatch.style.backgroundColor = color(label);
+        item.append(swatch, label);
+        legend.appendChild(item);
+    });
+    return legend;
+}
+
+function formatValue(value: number): string {
+    return (Math.round(value * 10) / 10).toLocaleString();
+}
@@ -0,0 +1,161 @@
+// ================================================================
+// GeoForge System - 保存・読み込みパネル
+// ================================================================
+// サイドバーの「保存・読み込み」パネル。保存先の切替、世界の一覧、リビジョン指定の読み込みを担当する。
+
+import { StorageAdapter, WorldSummary } from './StorageAdapter.ts';
+
+interface StoragePanelOptions {
+    adapters: StorageAdapter[];
+    // 一覧から「読み込み」が押されたときに呼ばれる (revision 未指定なら最新)
+    onLoadRequest: (name: string, revision?: number) => Promise<void>;
+}
+
+let adapters: StorageAdapter[] = [];
+let activeAdapter: StorageAdapter | null = null;
+let onLoadRequest: StoragePanelOptions['onLoadRequest'] = async () => { };
+
+let backendSelect: HTMLSelectElement;
+let worldNameInput: HTMLInputElement;
+let worldListContainer: HTMLElement;
+let statusElement: HTMLElement;
+let refreshButton: HTMLButtonElement;
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {StoragePanelOptions} options
+ */
+export function setupStoragePanel(options: StoragePanelOptions) {
+    adapters = options.adapters;
+    onLoadRequest = options.onLoadRequest;
+
+    backendSelect = document.getElementById('storage-backend-select') as HTMLSelectElement;
+    worldNameInput = document.getElementById('world-name-input') as HTMLInputElement;
+    worldListContainer = document.getElementById('world-list') as HTMLElement;
+    statusElement = document.getElementById('storage-status') as HTMLElement;
+    refreshButton = document.getElementById('refresh-world-list-btn') as HTMLButtonElement;
+
+    backendSelect.innerHTML = '';
+    adapters.forEach(adapter => {
+        const option = document.createElement('option');
+        option.value = adapter.id;
+        option.textContent = adapter.label;
+        backendSelect.appendChild(option);
+    });
+
+    backendSelect.addEventListener('change', () => selectAdapter(backendSelect.value));
+    refreshButton.addEventListener('click', () => refreshWorldList());
+
+    selectAdapter(adapters[0].id);
+}
+
+/**
+ * 保存先を切り替え、一覧表示の可否を反映する
+ * @param {string} id - アダプタID
+ */
+function selectAdapter(id: string) {
+    activeAdapter = adapters.find(a => a.id === id) || adapters[0];
+    backendSelect.value = activeAdapter.id;
+    refreshButton.disabled = !activeAdapter.supportsListing;
+    worldListContainer.innerHTML = '';
+    setStorageStatus(activeAdapter.supportsListing ? '' : `${activeAdapter.label}では世界の一覧とリビジョンは利用できません。`);
+    if (activeAdapter.supportsListing) refreshWorldList();
+}
+
+/**
+ * 現在選択されている保存先
+ */
+export function getActiveStorageAdapter(): StorageAdapter {
+    return activeAdapter!;
+}
+
+/**
+ * 保存時の世界名 (未入力の場合はシード値から作る)
+ * @param {number} seed - 世界のシード値
+ */
+export function getWorldName(seed: number): string {
+    const name = worldNameInput.value.trim();
+    return name || `world_${seed}`;
+}
+
+/**
+ * パネル内のステータス表示を更新する
+ * @param {string} message - 表示するメッセージ
+ * @param {boolean} [isError=false] - エラー表示にするかどうか
+ */
+export function setStorageStatus(message: string, isError: boolean = false) {
+    if (!statusElement) return;
+    statusElement.textContent = message;
+    statusElement.classList.toggle('error', isError);
+}
+
+/**
+ * 保存済みの世界の一覧を取得して描画する
+ */
+export async function refreshWorldList() {
+    if (!activeAdapter || !activeAdapter.supportsListing) return;
+    const adapter = activeAdapter;
+
+    worldListContainer.innerHTML = '<p class="note">一覧を取得しています...</p>';
+    try {
+        const worlds = await adapter.listWorlds();
+        // 取得中に保存先が切り替えられた場合は描画しない
+        if (adapter !== activeAdapter) return;
+
+        worldListContainer.innerHTML = '';
+        if (worlds.length === 0) {
+            worldListContainer.innerHTML = '<p class="note">保存された世界はありません。</p>';
+            return;
+        }
+        worlds.forEach(world => worldListContainer.appendChild(createWorldListItem(adapter, world)));
+    } catch (error: any) {
+        worldListContainer.innerHTML = '';
+        setStorageStatus(`一覧の取得に失敗しました: ${error.message}`, true);
+    }
+}
+
+/**
+ * 一覧の1行 (世界名・リビジョン選択・読み込みボタン) を作成する
+ * リビジョンの一覧は、選択欄を開いたときに初めて取得する。
+ */
+function createWorldListItem(adapter: StorageAdapter, world: WorldSummary): HTMLElement {
+    const item = document.createElement('div');
+    item.className = 'world-list-item';
+
+    const title = document.createElement('div');
+    title.className = 'world-list-title';
+    title.textContent = world.name;
+    title.title = `最終更新: ${new Date(world.updatedAt).toLocaleString()}`;
+    title.addEventListener('click', () => { worldNameInput.value = world.name; });
+
+    const revisionSelect = document.createElement('select');
+    revisionSelect.innerHTML = `<option value="">最新 (r${world.latestRevision})</option>`;
+    let revisionsLoaded = false;
+    revisionSelect.addEventListener('focus', async () => {
+        if (revisionsLoaded) return;
+        revisionsLoaded = true;
+        try {
+            const revisions = await adapter.listRevisions(world.name);
+            revisions.forEach(rev => {
+                const option = document.createElement('option');
+                option.value = String(rev.revision);
+                const date = new Date(rev.createdAt).toLocaleString();
+                option.textContent = `r${rev.revision} - ${date}${rev.comment ? ` (${rev.comment})` : ''}`;
+                revisionSelect.appendChild(option);
+            });
+        } catch (error: any) {
+            revisionsLoaded = false;
+            setStorageStatus(`リビジョンの取得に失敗しました: ${error.message}`, true);
+        }
+    });
+
+    const loadButton = document.createElement('button');
+    loadButton.textContent = '読み込み';
+    loadButton.addEventListener('click', () => {
+        const revision = revisionSelect.value ? Number(revisionSelect.value) : undefined;
+        onLoadRequest(world.name, revision);
+    });
+
+    item.append(title, revisionSelect, loadButton);
+    return item;
+}
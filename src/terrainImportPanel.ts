@@ -0,0 +1,131 @@
+// ================================================================
+// GeoForge System - 地形の下絵パネル
+// ================================================================
+// システムパネルの「地形の下絵」。手描きの高さ画像 (グレースケール) や陸地マスク (白黒) を読み込み、
+// 「① 大陸・気候・河川」で continentGenerator.ts に渡す。画像は明るさ (0-1) の配列にしてから保持する。
+
+import * as config from './config.ts';
+import { BaseTerrainImage } from './continentGenerator.ts';
+
+let fileInput: HTMLInputElement;
+let modeSelect: HTMLSelectElement;
+let heightmapOptions: HTMLElement;
+let seaLevelInput: HTMLInputElement;
+let maxElevationInput: HTMLInputElement;
+let noiseInput: HTMLInputElement;
+let clearButton: HTMLButtonElement;
+let statusElement: HTMLElement;
+
+// 読み込んだ画像の明るさ
+let loadedImage: { name: string; width: number; height: number; values: Float32Array } | null = null;
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ */
+export function setupTerrainImportPanel() {
+    fileInput = document.getElementById('terrain-import-file') as HTMLInputElement;
+    modeSelect = document.getElementById('terrain-import-mode') as HTMLSelectElement;
+    heightmapOptions = document.getElementById('terrain-import-heightmap-options') as HTMLElement;
+    seaLevelInput = document.getElementById('terrain-import-sea-level') as HTMLInputElement;
+    maxElevationInput = document.getElementById('terrain-import-max-elevation') as HTMLInputElement;
+    noiseInput = document.getElementById('terrain-import-noise') as HTMLInputElement;
+    clearButton = document.getElementById('terrain-import-clear-btn') as HTMLButtonElement;
+    statusElement = document.getElementById('terrain-import-status') as HTMLElement;
+
+    const params = config.TERRAIN_IMPORT_PARAMS;
+    seaLevelInput.value = String(Math.round(params.DEFAULT_SEA_LEVEL * 100));
+    maxElevationInput.value = String(params.DEFAULT_MAX_ELEVATION);
+    noiseInput.value = String(Math.round(params.DEFAULT_NOISE_DETAIL * 100));
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files ? fileInput.files[0] : null;
+        if (!file) return;
+        statusElement.textContent = '画像を読み込んでいます...';
+        try {
+            loadedImage = { name: file.name, ...await readImageLuminance(file) };
+        } catch (error: any) {
+            loadedImage = null;
+            fileInput.value = '';
+            updateControls();
+            statusElement.textContent = error.message;
+            return;
+        }
+        updateControls();
+    });
+    modeSelect.addEventListener('change', updateControls);
+    clearButton.addEventListener('click', () => {
+        loadedImage = null;
+        fileInput.value = '';
+        updateControls();
+    });
+
+    updateControls();
+}
+
+/**
+ * 大陸生成に使う地形の下絵を返す (読み込んでいなければ null)
+ * @returns {BaseTerrainImage|null}
+ */
+export function getBaseTerrainImage(): BaseTerrainImage | null {
+    if (!loadedImage) return null;
+    const params = config.TERRAIN_IMPORT_PARAMS;
+    return {
+        name: loadedImage.name,
+        width: loadedImage.width,
+        height: loadedImage.height,
+        values: loadedImage.values,
+        mode: modeSelect.value as BaseTerrainImage['mode'],
+        seaLevel: clampNumber(seaLevelInput.value, 0, 99, params.DEFAULT_SEA_LEVEL * 100) / 100,
+        maxElevation: clampNumber(maxElevationInput.value, 100, 9000, params.DEFAULT_MAX_ELEVATION),
+        noiseDetail: clampNumber(noiseInput.value, 0, 100, params.DEFAULT_NOISE_DETAIL * 100) / 100
+    };
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+function updateControls() {
+    heightmapOptions.style.display = modeSelect.value === 'heightmap' ? '' : 'none';
+    clearButton.disabled = !loadedImage;
+    statusElement.textContent = loadedImage
+        ? `下絵: ${loadedImage.name} (${loadedImage.width}×${loadedImage.height}px)。次の「① 大陸・気候・河川」で使います。`
+        : '下絵なし (ノイズで大陸を作ります)';
+}
+
+function clampNumber(text: string, min: number, max: number, fallback: number): number {
+    const value = Number(text);
+    if (text === '' || !Number.isFinite(value)) return fallback;
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * 画像ファイルを明るさ (0-1) の配列にする
+ * 大きな画像は MAX_IMAGE_SIZE 以下に縮小する。透明な部分は黒 (海) として扱う。
+ */
+async function readImageLuminance(file: File): Promise<{ width: number; height: number; values: Float32Array }> {
+    let bitmap: ImageBitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch (e) {
+        throw new Error('画像を読み込めませんでした。PNG などの画像ファイルを選んでください。');
+    }
+    const ratio = Math.min(1, config.TERRAIN_IMPORT_PARAMS.MAX_IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * ratio));
+    const height = Math.max(1, Math.round(bitmap.height * ratio));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d')!;
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const data = context.getImageData(0, 0, width, height).data;
+    const values = new Float32Array(width * height);
+    for (let i = 0; i < values.length; i++) {
+        const r = data[i * 4], g = data[i * 4 + 1], b = data[i * 4 + 2], a = data[i * 4 + 3];
+        values[i] = (0.299 * r + 0.587 * g + 0.114 * b) / 255 * (a / 255);
+    }
+    return { width, height, values };
+}
@@ -0,0 +1,495 @@
+// ================================================================
+// GeoForge System - 実在の地形・気候のデータソース
+// ================================================================
+// DataGenerator.ts が実在の地域からブロックを作るときの標高と気候の取得元 (DOM・Node 非依存)。
+// ファイルの読み込み (fetch・ディスク) と DEFLATE の展開は呼び出し側が関数で渡す。
+//   標高: 地理院形式の XYZ テキストタイル (demgm など)、GeoTIFF・ESRI ASCII グリッドの DEM
+//   気候: 観測点の CSV (逆距離加重と気温の減率で補間)、年平均気温・年降水量のグリッド (GeoTIFF・ASCII グリッド)
+// ラスタは経緯度 (度) の座標系で、北が上のものを扱う (投影座標系の GeoTIFF は読み込めない)。
+
+import * as config from './config.ts';
+
+/** 標高の取得元 */
+export interface ElevationSource {
+    getElevation(lat: number, lon: number): Promise<number>;
+}
+
+/** 気候の取得元 (年平均気温 ℃・年降水量 mm) */
+export interface ClimateSource {
+    getClimate(lat: number, lon: number, elevation: number): { temp: number; precip: number };
+}
+
+/** 北が上の経緯度のラスタ (左上のセルから行ごとに並ぶ) */
+export interface Raster {
+    width: number;
+    height: number;
+    west: number;       // 左端の経度
+    north: number;      // 上端の緯度
+    cellWidth: number;  // セルの経度の幅 (度)
+    cellHeight: number; // セルの緯度の幅 (度)
+    noData: number | null;
+    values: Float32Array;
+}
+
+/** 気候の観測点 */
+export interface ClimateStation {
+    name: string;
+    lat: number;
+    lon: number;
+    temp: number;   // 年平均気温 (℃)
+    precip: number; // 年降水量 (mm)
+    elev: number;   // 標高 (m)
+}
+
+// ================================================================
+// ■ 地理院形式の XYZ テキストタイル
+// ================================================================
+
+/**
+ * テキストタイル (256行 × 256列のカンマ区切り、データなしは 'e') を読む
+ * @returns {(number|null)[]} 左上から行ごとの標高 (データなしは null)
+ */
+export function parseGsiTile(text: string): (number | null)[] {
+    return text.replace(/\r?\n/g, ',').split(',').map(s => s.trim()).filter(s => s !== '')
+        .map(s => (s === 'e' ? null : parseFloat(s)));
+}
+
+/**
+ * 経緯度をタイル座標 (小数部はタイル内の位置) にする
+ */
+export function lonLatToTile(lon: number, lat: number, z: number): { x: number; y: number } {
+    const rad = lat * Math.PI / 180;
+    const n = Math.pow(2, z);
+    const x = n * ((lon + 180) / 360);
+    const y = n * (1 - (Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI)) / 2;
+    return { x, y };
+}
+
+/**
+ * テキストタイルの標高の取得元を作る (読み込んだタイルはキャッシュする)
+ * @param {object} options
+ * @param {Function} options.loadTile - タイルのテキストを返す関数 (z, x, y)。タイルがなければ null
+ * @param {number} [options.zoom] - ズームレベル (既定: REAL_TERRAIN_PARAMS.GSI_ZOOM)
+ */
+export function createGsiTileSource({ loadTile, zoom = config.REAL_TERRAIN_PARAMS.GSI_ZOOM }: {
+    loadTile: (z: number, x: number, y: number) => Promise<string | null>;
+    zoom?: number;
+}): ElevationSource {
+    const params = config.REAL_TERRAIN_PARAMS;
+    const size = params.GSI_TILE_SIZE;
+    const cache = new Map<string, Promise<(number | null)[] | null>>();
+
+    return {
+        async getElevation(lat: number, lon: number) {
+            const tile = lonLatToTile(lon, lat, zoom);
+            const tx = Math.floor(tile.x);
+            const ty = Math.floor(tile.y);
+            const key = `${zoom}/${tx}/${ty}`;
+            if (!cache.has(key)) {
+                cache.set(key, loadTile(zoom, tx, ty).then(text => (text === null ? null : parseGsiTile(text))));
+            }
+            const grid = await cache.get(key)!;
+            if (!grid) return params.MISSING_TILE_ELEVATION;
+
+            const px = Math.floor((tile.x - tx) * size);
+            const py = Math.floor((tile.y - ty) * size);
+            const value = grid[py * size + px];
+            return value === undefined || value === null || Number.isNaN(value) ? params.NO_DATA_ELEVATION : value;
+        }
+    };
+}
+
+// ================================================================
+// ■ ラスタ (GeoTIFF・ESRI ASCII グリッド)
+// ================================================================
+
+/**
+ * ESRI ASCII グリッド (.asc) を読む
+ * @param {string} text
+ * @returns {Raster}
+ */
+export function parseAsciiGrid(text: string): Raster {
+    const tokens = text.split(/\s+/).filter(s => s !== '');
+    const header: Record<string, number> = {};
+    let i = 0;
+    while (i < tokens.length - 1 && /^[a-z_]+$/i.test(tokens[i])) {
+        header[tokens[i].toLowerCase()] = parseFloat(tokens[i + 1]);
+        i += 2;
+    }
+
+    const width = header.ncols;
+    const height = header.nrows;
+    const cellWidth = header.cellsize ?? header.dx;
+    const cellHeight = header.cellsize ?? header.dy;
+    if (!(width > 0) || !(height > 0) || !(cellWidth > 0) || !(cellHeight > 0)) {
+        throw new Error('ASCII グリッドのヘッダー (ncols・nrows・cellsize) が不正です。');
+    }
+    // 左下の座標はセルの角 (xllcorner) か中心 (xllcenter) で書かれる
+    const west = header.xllcorner ?? (header.xllcenter - cellWidth / 2);
+    const south = header.yllcorner ?? (header.yllcenter - cellHeight / 2);
+    if (!Number.isFinite(west) || !Number.isFinite(south)) throw new Error('ASCII グリッドの左下の座標がありません。');
+
+    const values = new Float32Array(width * height);
+    if (tokens.length - i < values.length) throw new Error('ASCII グリッドの値の数がヘッダーの行数・列数に足りません。');
+    for (let k = 0; k < values.length; k++) values[k] = parseFloat(tokens[i + k]);
+
+    return {
+        width, height, west, north: south + height * cellHeight, cellWidth, cellHeight,
+        noData: Number.isFinite(header.nodata_value) ? header.nodata_value : null,
+        values
+    };
+}
+
+// TIFF のタグ
+const TIFF_TAGS = {
+    IMAGE_WIDTH: 256, IMAGE_LENGTH: 257, BITS_PER_SAMPLE: 258, COMPRESSION: 259,
+    STRIP_OFFSETS: 273, SAMPLES_PER_PIXEL: 277, ROWS_PER_STRIP: 278, STRIP_BYTE_COUNTS: 279,
+    PLANAR_CONFIGURATION: 284, PREDICTOR: 317, TILE_WIDTH: 322, TILE_LENGTH: 323,
+    TILE_OFFSETS: 324, TILE_BYTE_COUNTS: 325, SAMPLE_FORMAT: 339,
+    MODEL_PIXEL_SCALE: 33550, MODEL_TIEPOINT: 33922, GDAL_NODATA: 42113
+};
+// タグの値の型ごとのバイト数
+const TIFF_TYPE_SIZES: Record<number, number> = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 16: 8 };
+
+/**
+ * GeoTIFF の DEM・気候のグリッドを読む (最初の画像の 1 バンド目)
+ * 非圧縮と DEFLATE 圧縮 (options.inflate が必要)、ストリップとタイル、整数の差分予測 (Predictor 2) に対応する。
+ * @param {Uint8Array} buffer - ファイルの内容
+ * @param {object} [options]
+ * @param {Function} [options.inflate] - zlib 形式の DEFLATE を展開する関数 (Node では zlib.inflateSync)
+ * @returns {Raster}
+ */
+export function parseGeoTiff(buffer: Uint8Array, options: { inflate?: (data: Uint8Array) => Uint8Array } = {}): Raster {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    const order = String.fromCharCode(buffer[0], buffer[1]);
+    if (order !== 'II' && order !== 'MM') throw new Error('TIFF ファイルではありません。');
+    const le = order === 'II';
+    const magic = view.getUint16(2, le);
+    if (magic === 43) throw new Error('BigTIFF には対応していません。');
+    if (magic !== 42) throw new Error('TIFF ファイルではありません。');
+
+    // 最初の IFD のタグを読む
+    const tags = new Map<number, number[] | string>();
+    const ifdOffset = view.getUint32(4, le);
+    const entryCount = view.getUint16(ifdOffset, le);
+    for (let e = 0; e < entryCount; e++) {
+        const entry = ifdOffset + 2 + e * 12;
+        const tag = view.getUint16(entry, le);
+        const type = view.getUint16(entry + 2, le);
+        const count = view.getUint32(entry + 4, le);
+        const size = (TIFF_TYPE_SIZES[type] || 1) * count;
+        const offset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, le);
+        tags.set(tag, readTiffValues(view, buffer, type, count, offset, le));
+    }
+
+    const numberTag = (tag: number, fallback?: number): number => {
+        const value = tags.get(tag);
+        if (Array.isArray(value) && value.length > 0) return value[0];
+        if (fallback === undefined) throw new Error(`GeoTIFF に必要なタグ (${tag}) がありません。`);
+        return fallback;
+    };
+    const arrayTag = (tag: number): number[] => {
+        const value = tags.get(tag);
+        return Array.isArray(value) ? value : [];
+    };
+
+    const width = numberTag(TIFF_TAGS.IMAGE_WIDTH);
+    const height = numberTag(TIFF_TAGS.IMAGE_LENGTH);
+    const bits = numberTag(TIFF_TAGS.BITS_PER_SAMPLE, 8);
+    const sampleFormat = numberTag(TIFF_TAGS.SAMPLE_FORMAT, 1);
+    const samplesPerPixel = numberTag(TIFF_TAGS.SAMPLES_PER_PIXEL, 1);
+    const planar = numberTag(TIFF_TAGS.PLANAR_CONFIGURATION, 1);
+    const compression = numberTag(TIFF_TAGS.COMPRESSION, 1);
+    const predictor = numberTag(TIFF_TAGS.PREDICTOR, 1);
+    if (compression !== 1 && compression !== 8 && compression !== 32946) {
+        throw new Error(`GeoTIFF の圧縮形式 (${compression}) には対応していません (非圧縮と DEFLATE のみ)。`);
+    }
+    if (compression !== 1 && !options.inflate) throw new Error('DEFLATE 圧縮の GeoTIFF を読むには展開の関数が必要です。');
+    if (predictor === 3) throw new Error('浮動小数点の差分予測 (Predictor 3) の GeoTIFF には対応していません。');
+
+    // 画素の読み出し (1 バンド目)
+    const bytesPerSample = bits / 8;
+    const readSample = createSampleReader(bits, sampleFormat, le);
+    const pixelStride = planar === 1 ? samplesPerPixel : 1;
+
+    // ストリップはタイルの幅 = 画像の幅として同じ処理で読む
+    const tiled = tags.has(TIFF_TAGS.TILE_WIDTH);
+    const chunkWidth = tiled ? numberTag(TIFF_TAGS.TILE_WIDTH) : width;
+    const chunkHeight = tiled ? numberTag(TIFF_TAGS.TILE_LENGTH) : numberTag(TIFF_TAGS.ROWS_PER_STRIP, height);
+    const offsets = arrayTag(tiled ? TIFF_TAGS.TILE_OFFSETS : TIFF_TAGS.STRIP_OFFSETS);
+    const byteCounts = arrayTag(tiled ? TIFF_TAGS.TILE_BYTE_COUNTS : TIFF_TAGS.STRIP_BYTE_COUNTS);
+    const chunksAcross = Math.ceil(width / chunkWidth);
+    const chunksDown = Math.ceil(height / chunkHeight);
+
+    const values = new Float32Array(width * height);
+    for (let chunk = 0; chunk < chunksAcross * chunksDown; chunk++) {
+        if (offsets[chunk] === undefined) break;
+        let data = buffer.subarray(offsets[chunk], offsets[chunk] + byteCounts[chunk]);
+        if (compression !== 1) data = options.inflate!(data);
+        const chunkView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const x0 = (chunk % chunksAcross) * chunkWidth;
+        const y0 = Math.floor(chunk / chunksAcross) * chunkHeight;
+
+        for (let y = 0; y < chunkHeight && y0 + y < height; y++) {
+            let previous = 0;
+            for (let x = 0; x < chunkWidth; x++) {
+                const byteOffset = (y * chunkWidth + x) * pixelStride * bytesPerSample;
+                if (byteOffset + bytesPerSample > data.byteLength) break;
+                let value = readSample(chunkView, byteOffset);
+                // 差分予測: 行の左の画素との差で書かれている
+                if (predictor === 2) {
+                    value = x === 0 ? value : wrapInteger(previous + value, bits, sampleFormat);
+                    previous = value;
+                }
+                if (x0 + x < width) values[(y0 + y) * width + x0 + x] = value;
+            }
+        }
+    }
+
+    // 位置: 基準点 (ModelTiepoint) の画素と経緯度、画素の大きさ (ModelPixelScale)
+    const scale = arrayTag(TIFF_TAGS.MODEL_PIXEL_SCALE);
+    const tiepoint = arrayTag(TIFF_TAGS.MODEL_TIEPOINT);
+    if (scale.length < 2 || tiepoint.length < 6) throw new Error('GeoTIFF に位置の情報 (ModelPixelScale・ModelTiepoint) がありません。');
+    const [i, j, , x, y] = tiepoint;
+    const noDataText = tags.get(TIFF_TAGS.GDAL_NODATA);
+    const noData = typeof noDataText === 'string' ? parseFloat(noDataText) : NaN;
+
+    return {
+        width, height,
+        west: x - i * scale[0],
+        north: y + j * scale[1],
+        cellWidth: scale[0],
+        cellHeight: scale[1],
+        noData: Number.isFinite(noData) ? noData : null,
+        values
+    };
+}
+
+function readTiffValues(view: DataView, buffer: Uint8Array, type: number, count: number, offset: number, le: boolean): number[] | string {
+    if (type === 2) {
+        return String.fromCharCode(...buffer.subarray(offset, offset + count)).replace(/\0+$/, '');
+    }
+    const values: number[] = [];
+    for (let k = 0; k < count; k++) {
+        switch (type) {
+            case 1: case 7: values.push(view.getUint8(offset + k)); break;
+            case 6: values.push(view.getInt8(offset + k)); break;
+            case 3: values.push(view.getUint16(offset + k * 2, le)); break;
+            case 8: values.push(view.getInt16(offset + k * 2, le)); break;
+            case 4: values.push(view.getUint32(offset + k * 4, le)); break;
+            case 9: values.push(view.getInt32(offset + k * 4, le)); break;
+            case 11: values.push(view.getFloat32(offset + k * 4, le)); break;
+            case 12: values.push(view.getFloat64(offset + k * 8, le)); break;
+            case 5: values.push(view.getUint32(offset + k * 8, le) / view.getUint32(offset + k * 8 + 4, le)); break;
+            case 10: values.push(view.getInt32(offset + k * 8, le) / view.getInt32(offset + k * 8 + 4, le)); break;
+            case 16: values.push(Number(view.getBigUint64(offset + k * 8, le))); break;
+            default: return values;
+        }
+    }
+    return values;
+}
+
+function createSampleReader(bits: number, sampleFormat: number, le: boolean): (view: DataView, offset: number) => number {
+    const key = `${sampleFormat}:${bits}`;
+    switch (key) {
+        case '1:8': return (v, o) => v.getUint8(o);
+        case '2:8': return (v, o) => v.getInt8(o);
+        case '1:16': return (v, o) => v.getUint16(o, le);
+        case '2:16': return (v, o) => v.getInt16(o, le);
+        case '1:32': return (v, o) => v.getUint32(o, le);
+        case '2:32': return (v, o) => v.getInt32(o, le);
+        case '3:32': return (v, o) => v.getFloat32(o, le);
+        case '3:64': return (v, o) => v.getFloat64(o, le);
+        default: throw new Error(`GeoTIFF の画素の形式 (SampleFormat ${sampleFormat}・${bits} ビット) には対応していません。`);
+    }
+}
+
+// 差分予測の和を、画素のビット数で桁あふれさせる
+function wrapInteger(value: number, bits: number, sampleFormat: number): number {
+    const range = Math.pow(2, bits);
+    let wrapped = ((value % range) + range) % range;
+    if (sampleFormat === 2 && wrapped >= range / 2) wrapped -= range;
+    return wrapped;
+}
+
+/**
+ * ラスタの値を経緯度で読む (周囲 4 セルの双線形補間。NoData のセルは除いて重みを付け直す)
+ * @returns {number|null} 範囲外や周囲がすべて NoData のときは null
+ */
+export function sampleRaster(raster: Raster, lat: number, lon: number): number | null {
+    const fx = (lon - raster.west) / raster.cellWidth - 0.5;
+    const fy = (raster.north - lat) / raster.cellHeight - 0.5;
+    if (fx < -0.5 || fy < -0.5 || fx > raster.width - 0.5 || fy > raster.height - 0.5) return null;
+
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const tx = fx - x0;
+    const ty = fy - y0;
+    let sum = 0;
+    let weightSum = 0;
+    for (const [dx, dy, weight] of [[0, 0, (1 - tx) * (1 - ty)], [1, 0, tx * (1 - ty)], [0, 1, (1 - tx) * ty], [1, 1, tx * ty]]) {
+        const x = Math.min(raster.width - 1, Math.max(0, x0 + dx));
+        const y = Math.min(raster.height - 1, Math.max(0, y0 + dy));
+        const value = raster.values[y * raster.width + x];
+        if (!Number.isFinite(value) || (raster.noData !== null && value === raster.noData) || weight <= 0) continue;
+        sum += value * weight;
+        weightSum += weight;
+    }
+    return weightSum > 0 ? sum / weightSum : null;
+}
+
+/**
+ * ラスタの DEM の標高の取得元を作る
+ * NoData のセルは海 (NO_DATA_ELEVATION)、ラスタの範囲外は深い海 (MISSING_TILE_ELEVATION) とみなす。
+ */
+export function createRasterElevationSource(raster: Raster): ElevationSource {
+    const params = config.REAL_TERRAIN_PARAMS;
+    const inside = (lat: number, lon: number) => lon >= raster.west && lon <= raster.west + raster.width * raster.cellWidth
+        && lat <= raster.north && lat >= raster.north - raster.height * raster.cellHeight;
+    return {
+        async getElevation(lat: number, lon: number) {
+            const value = sampleRaster(raster, lat, lon);
+            if (value !== null) return value;
+            return inside(lat, lon) ? params.NO_DATA_ELEVATION : params.MISSING_TILE_ELEVATION;
+        }
+    };
+}
+
+// ================================================================
+// ■ 気候
+// ================================================================
+
+// 観測点の CSV の列名 (小文字) と項目
+const STATION_COLUMNS: Record<string, keyof ClimateStation> = {
+    name: 'name', station: 'name', '名前': 'name', '地点': 'name',
+    lat: 'lat', latitude: 'lat', '緯度': 'lat',
+    lon: 'lon', lng: 'lon', longitude: 'lon', '経度': 'lon',
+    temp: 'temp', temperature: 'temp', '気温': 'temp',
+    precip: 'precip', precipitation: 'precip', '降水量': 'precip',
+    elev: 'elev', elevation: 'elev', altitude: 'elev', '標高': 'elev'
+};
+
+/**
+ * 観測点の CSV を読む (1行目は列名。lat・lon・temp・precip は必須、name・elev は省略できる。# で始まる行は読み飛ばす)
+ * @param {string} text
+ * @returns {ClimateStation[]}
+ */
+export function parseClimateStationsCsv(text: string): ClimateStation[] {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '' && !line.startsWith('#'));
+    if (lines.length < 2) throw new Error('観測点の CSV に列名とデータの行がありません。');
+    const splitLine = (line: string) => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+    const columns = splitLine(lines[0]).map(name => STATION_COLUMNS[name.toLowerCase()] || null);
+    for (const required of ['lat', 'lon', 'temp', 'precip'] as const) {
+        if (!columns.includes(required)) throw new Error(`観測点の CSV に ${required} の列がありません。`);
+    }
+
+    return lines.slice(1).map((line, index) => {
+        const station: any = { name: `観測点${index + 1}`, elev: 0 };
+        splitLine(line).forEach((cell, i) => {
+            const key = columns[i];
+            if (!key) return;
+            station[key] = key === 'name' ? cell : parseFloat(cell);
+        });
+        if (![station.lat, station.lon, station.temp, station.precip, station.elev].every(Number.isFinite)) {
+            throw new Error(`観測点の CSV の ${index + 2} 行目に数値でない値があります。`);
+        }
+        return station as ClimateStation;
+    });
+}
+
+/**
+ * 観測点から逆距離加重で補間する気候の取得元を作る (気温は観測点との標高差を減率で補正する)
+ */
+export function createStationClimateSource(stations: ClimateStation[]): ClimateSource {
+    if (stations.length === 0) throw new Error('気候の観測点がありません。');
+    const params = config.REAL_TERRAIN_PARAMS;
+    return {
+        getClimate(lat: number, lon: number, elevation: number) {
+            let tempSum = 0, precipSum = 0, weightSum = 0;
+            for (const st of stations) {
+                const d = distanceKm(lat, lon, st.lat, st.lon);
+                if (d < 0.001) return { temp: st.temp, precip: st.precip };
+                const w = 1 / Math.pow(d, params.IDW_POWER);
+                tempSum += w * (st.temp - ((elevation - st.elev) / 100) * params.LAPSE_RATE);
+                precipSum += w * st.precip;
+                weightSum += w;
+            }
+            return { temp: tempSum / weightSum, precip: precipSum / weightSum };
+        }
+    };
+}
+
+/**
+ * 年平均気温と年降水量のグリッドから気候の取得元を作る
+ * 海などグリッドが NoData の地点やグリッドの外の地点 (範囲の外にはみ出したブロックの端) は、
+ * 近くの値のあるセルで補い (グリッドの端から GRID_SEARCH_CELLS セルまで)、それでもなければ
+ * fallback (観測点など) を使う。fallback がなければエラーにする。
+ * グリッドの標高 (elevationRaster) があれば、気温をヘックスの標高との差で減率補正する。
+ */
+export function createGridClimateSource(tempRaster: Raster, precipRaster: Raster, options: {
+    elevationRaster?: Raster;
+    fallback?: ClimateSource;
+} = {}): ClimateSource {
+    const params = config.REAL_TERRAIN_PARAMS;
+    const sample = (raster: Raster, lat: number, lon: number) =>
+        sampleRaster(raster, lat, lon) ?? sampleNearestCell(raster, lat, lon, params.GRID_SEARCH_CELLS);
+    return {
+        getClimate(lat: number, lon: number, elevation: number) {
+            const temp = sample(tempRaster, lat, lon);
+            const precip = sample(precipRaster, lat, lon);
+            if (temp === null || precip === null) {
+                if (options.fallback) return options.fallback.getClimate(lat, lon, elevation);
+                throw new Error(`気候のグリッドに (${lat.toFixed(3)}, ${lon.toFixed(3)}) の近くの値がありません。`);
+            }
+            const gridElevation = options.elevationRaster ? sampleRaster(options.elevationRaster, lat, lon) : null;
+            const lapse = gridElevation !== null && elevation > 0 ? ((elevation - gridElevation) / 100) * params.LAPSE_RATE : 0;
+            return { temp: temp - lapse, precip: Math.max(0, precip) };
+        }
+    };
+}
+
+/**
+ * 経緯度のセル (グリッドの外ならいちばん近い端のセル) から外側へ広げて、最も近い値のあるセルを探す
+ * @param {number} maxCells - 探す範囲 (セル数)
+ * @returns {number|null}
+ */
+function sampleNearestCell(raster: Raster, lat: number, lon: number, maxCells: number): number | null {
+    const cx = Math.min(raster.width - 1, Math.max(0, Math.floor((lon - raster.west) / raster.cellWidth)));
+    const cy = Math.min(raster.height - 1, Math.max(0, Math.floor((raster.north - lat) / raster.cellHeight)));
+    const valueAt = (x: number, y: number) => {
+        if (x < 0 || y < 0 || x >= raster.width || y >= raster.height) return null;
+        const value = raster.values[y * raster.width + x];
+        return !Number.isFinite(value) || (raster.noData !== null && value === raster.noData) ? null : value;
+    };
+    for (let r = 0; r <= maxCells; r++) {
+        let best: number | null = null;
+        let bestDistance = Infinity;
+        for (let dy = -r; dy <= r; dy++) {
+            for (let dx = -r; dx <= r; dx++) {
+                if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue; // 外周のセルだけ
+                const value = valueAt(cx + dx, cy + dy);
+                const distance = dx * dx + dy * dy;
+                if (value !== null && distance < bestDistance) {
+                    best = value;
+                    bestDistance = distance;
+                }
+            }
+        }
+        if (best !== null) return best;
+    }
+    return null;
+}
+
+/**
+ * 2 点間の大圏距離 (km)
+ */
+export function distanceKm(lat1: number, lon1: number, lat2: number, lon2: number): number {
+    const R = 6371;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
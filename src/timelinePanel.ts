@@ -0,0 +1,132 @@
+// ================================================================
+// GeoForge System - 年表パネル
+// ================================================================
+// サイドバーの「年表」パネル。年次シミュレーションの実行と、スライダーによる年の切り替えを担当する。
+
+import { WorldHistory, HistoryYear, getHistoryRange } from './timelineSimulator.ts';
+
+interface TimelinePanelOptions {
+    // 「シミュレーション」が押されたときに呼ばれる (years = 進める年数)
+    onSimulateRequest: (years: number) => Promise<void>;
+    // スライダーで年が選ばれたときに呼ばれる
+    onYearSelect: (year: number) => Promise<void>;
+}
+
+let onSimulateRequest: TimelinePanelOptions['onSimulateRequest'] = async () => { };
+let onYearSelect: TimelinePanelOptions['onYearSelect'] = async () => { };
+
+let yearsInput: HTMLInputElement;
+let simulateButton: HTMLButtonElement;
+let slider: HTMLInputElement;
+let yearLabel: HTMLElement;
+let statsElement: HTMLElement;
+
+// 年の切り替え中に次の入力があった場合、最後に選ばれた年だけを反映する
+let isApplying = false;
+let pendingYear: number | null = null;
+let currentHistory: WorldHistory | null = null;
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {TimelinePanelOptions} options
+ */
+export function setupTimelinePanel(options: TimelinePanelOptions) {
+    onSimulateRequest = options.onSimulateRequest;
+    onYearSelect = options.onYearSelect;
+
+    yearsInput = document.getElementById('timeline-years-input') as HTMLInputElement;
+    simulateButton = document.getElementById('timeline-simulate-btn') as HTMLButtonElement;
+    slider = document.getElementById('timeline-slider') as HTMLInputElement;
+    yearLabel = document.getElementById('timeline-year-label') as HTMLElement;
+    statsElement = document.getElementById('timeline-stats') as HTMLElement;
+
+    simulateButton.addEventListener('click', async () => {
+        const years = Math.max(1, Math.floor(Number(yearsInput.value) || 0));
+        simulateButton.disabled = true;
+        try {
+            await onSimulateRequest(years);
+        } finally {
+            simulateButton.disabled = false;
+        }
+    });
+
+    // ドラッグ中は年表示だけを更新し、確定時 (change) に世界へ反映する
+    slider.addEventListener('input', () => {
+        const entry = findYear(Number(slider.value));
+        yearLabel.textContent = `${slider.value}年目`;
+        if (entry) renderStats(entry);
+    });
+    slider.addEventListener('change', () => requestYear(Number(slider.value)));
+
+    updateTimelinePanel(null);
+}
+
+/**
+ * 履歴の内容をパネルに反映する (生成・読み込み・シミュレーション後に呼び出す)
+ * @param {WorldHistory|null} history - worldData.history
+ * @param {boolean} [enabled=true] - シミュレーションを実行できる状態かどうか
+ */
+export function updateTimelinePanel(history: WorldHistory | null | undefined, enabled: boolean = true) {
+    if (!slider) return;
+    currentHistory = history || null;
+    simulateButton.disabled = !enabled;
+
+    const range = getHistoryRange(currentHistory);
+    if (!range || range.max === range.min) {
+        slider.disabled = true;
+        slider.min = '0';
+        slider.max = '0';
+        slider.value = '0';
+        yearLabel.textContent = '0年目';
+        statsElement.textContent = enabled ? 'まだ年次シミュレーションを行っていません。' : '';
+        return;
+    }
+
+    slider.disabled = false;
+    slider.min = String(range.min);
+    slider.max = String(range.max);
+    slider.value = String(currentHistory!.currentYear);
+    yearLabel.textContent = `${currentHistory!.currentYear}年目`;
+    const entry = findYear(currentHistory!.currentYear);
+    if (entry) renderStats(entry);
+}
+
+function findYear(year: number): HistoryYear | undefined {
+    return currentHistory ? currentHistory.years.find(y => y.year === year) : undefined;
+}
+
+/**
+ * 年の切り替えを要求する (処理中なら最後の要求だけを保留する)
+ */
+async function requestYear(year: number) {
+    if (isApplying) {
+        pendingYear = year;
+        return;
+    }
+    isApplying = true;
+    try {
+        await onYearSelect(year);
+    } finally {
+        isApplying = false;
+    }
+    if (pendingYear !== null) {
+        const next = pendingYear;
+        pendingYear = null;
+        if (next !== year) await requestYear(next);
+    }
+}
+
+/**
+ * 1年分の統計を表示する
+ */
+function renderStats(entry: HistoryYear) {
+    const settlementCount = entry.hexes.length / 3;
+    const lines = [
+        `総人口: ${entry.totalPopulation.toLocaleString()}人 (居住ヘックス ${settlementCount.toLocaleString()})`
+    ];
+    if (entry.year > 0) {
+        lines.push(`出生: ${entry.births.toLocaleString()}人 / 死亡: ${entry.deaths.toLocaleString()}人 (うち飢饉 ${entry.famineDeaths.toLocaleString()}人)`);
+        lines.push(`移住: ${entry.migrants.toLocaleString()}人 / 昇格: ${entry.promoted} / 降格: ${entry.demoted}`);
+    }
+    statsElement.innerHTML = lines.join('<br>');
+}
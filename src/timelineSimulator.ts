@@ -0,0 +1,379 @@
+// ================================================================
+// GeoForge System - 年次シミュレーションモジュール (人口動態・飢饉・移住)
+// ================================================================
+// simulateEconomy が算出する1年分の経済状態 (食料不足・飢餓・貧困) を出生・死亡・移住に反映し、
+// 1年ずつ世界を進める。各年の人口と集落区分を履歴 (worldData.history) として保存し、
+// 任意の年の状態を再現できるようにする。
+//
+// 再現性: 年 y の経済状態は常に「年 y の人口・集落区分」と「シード + y」から再計算する。
+// そのため、履歴から年を復元すると、シミュレーション中に参照した経済状態と同じものが得られる。
+
+import * as config from './config.ts';
+import { getIndex, initGlobalRandom, SeededRandom } from './utils.ts';
+import { WorldMap, Hex, SETTLEMENT_TYPES } from './WorldMap.ts';
+import { simulateEconomy, calculateRoadTraffic } from './economySimulator.js';
+import { calculateTerritoryAggregates } from './missing_functions.ts';
+import { nameUnnamedSettlements } from './nameGenerator.ts';
+import { getGenerationParams } from './worldRecipe.ts';
+
+/** 1年分の履歴 */
+export interface HistoryYear {
+    year: number;
+    totalPopulation: number;
+    births: number;
+    deaths: number;
+    famineDeaths: number;
+    migrants: number;
+    promoted: number;
+    demoted: number;
+    // 人口を持つヘックスの [インデックス, 人口, 集落区分コード] を平坦化した配列 (コード0は集落なし)
+    hexes: number[];
+}
+
+/** 世界の年次履歴 (worldData.history) */
+export interface WorldHistory {
+    version: 1;
+    currentYear: number;
+    years: HistoryYear[];
+}
+
+// 政治的に決まる集落区分 (人口の増減では変化させない)
+const POLITICAL_SETTLEMENTS = ['首都', '都市', '領都'];
+// 人口で昇格・降格する集落区分の序列 (null = 集落なし)
+const SETTLEMENT_LADDER = [null, '村', '町', '街'];
+
+const silentLog = async () => { };
+
+// ================================================================
+// ■ 公開関数
+// ================================================================
+
+/**
+ * 世界を指定年数だけ進め、各年の履歴を記録する
+ * 履歴の途中の年を表示している場合は、それより未来の履歴を破棄してそこから再シミュレーションする。
+ * @param {Object} worldData - { allHexes, roadPaths, seed, history? } (破壊的に更新)
+ * @param {number} years - 進める年数
+ * @param {Function} addLogMessage - ログ出力関数
+ * @returns {Promise<WorldHistory>} 更新後の履歴
+ */
+export async function simulateYears(worldData, years: number, addLogMessage): Promise<WorldHistory> {
+    const allHexes: WorldMap = worldData.allHexes;
+    const yearsToRun = Math.max(0, Math.min(config.TIMELINE_PARAMS.MAX_YEARS, Math.floor(years)));
+
+    let history: WorldHistory = worldData.history;
+    if (!history || !history.years || history.years.length === 0) {
+        history = { version: 1, currentYear: 0, years: [] };
+    } else {
+        history.years = history.years.filter(y => y.year <= history.currentYear);
+    }
+    worldData.history = history;
+
+    // 開始年の経済状態を「人口 + シード」から作り直し、履歴の再現条件を揃える
+    const startYear = history.currentYear;
+    await recomputeEconomy(worldData, startYear);
+    if (history.years.length === 0) {
+        history.years.push(createSnapshot(allHexes, startYear, null));
+    }
+
+    const roadGraph = buildRoadGraph(allHexes, worldData.roadPaths || []);
+
+    for (let i = 1; i <= yearsToRun; i++) {
+        const year = startYear + i;
+        const stats = advanceOneYear(allHexes, roadGraph, new SeededRandom(worldData.seed * 31 + year));
+        // 新しく生まれた集落に名前を付ける (一度付いた名前は降格・廃村後も保持する)
+        nameUnnamedSettlements(allHexes, worldData.seed, new SeededRandom(worldData.seed * 37 + year));
+        await recomputeEconomy(worldData, year);
+        history.years.push(createSnapshot(allHexes, year, stats));
+        history.currentYear = year;
+
+        if (i % 10 === 0 || i === yearsToRun) {
+            await addLogMessage(`年次シミュレーション: ${year}年目 (総人口 ${history.years[history.years.length - 1].totalPopulation.toLocaleString()}人)`, 'timeline-progress');
+        }
+    }
+
+    // 交通量は重いため、最終年についてのみ計算する
+    await calculateRoadTraffic(allHexes, worldData.roadPaths, silentLog);
+    return history;
+}
+
+/**
+ * 履歴から指定年の人口・集落区分を復元し、経済状態と交通量を再計算する
+ * @param {Object} worldData - { allHexes, roadPaths, seed, history }
+ * @param {number} year - 復元する年 (建国からの年数)
+ * @returns {Promise<boolean>} 復元できた場合 true
+ */
+export async function applyHistoryYear(worldData, year: number): Promise<boolean> {
+    const history: WorldHistory = worldData.history;
+    if (!history) return false;
+    const entry = history.years.find(y => y.year === year);
+    if (!entry) return false;
+
+    const allHexes: WorldMap = worldData.allHexes;
+    const populations = new Map<number, [number, number]>();
+    for (let i = 0; i < entry.hexes.length; i += 3) {
+        populations.set(entry.hexes[i], [entry.hexes[i + 1], entry.hexes[i + 2]]);
+    }
+
+    allHexes.forEach((h: Hex, index: number) => {
+        const p = h.properties;
+        const record = populations.get(index);
+        if (record) {
+            p.population = record[0];
+            p.settlement = decodeSettlement(record[1]);
+        } else if (p.population > 0 || p.settlement) {
+            p.population = 0;
+            p.settlement = null;
+            clearSettlementData(p);
+        }
+    });
+
+    await recomputeEconomy(worldData, year);
+    await calculateRoadTraffic(allHexes, worldData.roadPaths, silentLog);
+    history.currentYear = year;
+    return true;
+}
+
+/**
+ * 履歴に記録されている年の範囲 (履歴がない場合は null)
+ */
+export function getHistoryRange(history: WorldHistory | null | undefined): { min: number; max: number } | null {
+    if (!history || !history.years || history.years.length === 0) return null;
+    return { min: history.years[0].year, max: history.years[history.years.length - 1].year };
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+/**
+ * 年 y の経済状態を再計算する (乱数はシード + y で初期化)
+ * 国家史 (nationHistorySimulator.ts) で国境を切り替えた後にも、表示中の年について呼び出す。
+ */
+export async function recomputeEconomy(worldData, year: number) {
+    initGlobalRandom(worldData.seed + year);
+    await simulateEconomy(worldData.allHexes, silentLog, worldData.roadPaths);
+    await calculateTerritoryAggregates(worldData.allHexes, silentLog);
+}
+
+/**
+ * 道路網 (roadPaths) をヘックス間の隣接グラフに変換する
+ * @returns {Map<number, Set<number>>} ヘックスインデックス -> 道路でつながる隣接ヘックス
+ */
+function buildRoadGraph(allHexes: WorldMap, roadPaths: any[]): Map<number, Set<number>> {
+    const graph = new Map<number, Set<number>>();
+    const link = (a: number, b: number) => {
+        if (!graph.has(a)) graph.set(a, new Set());
+        graph.get(a)!.add(b);
+    };
+    roadPaths.forEach(road => {
+        if (!road.path) return;
+        for (let i = 0; i < road.path.length - 1; i++) {
+            const a = getIndex(road.path[i].x, road.path[i].y);
+            const b = getIndex(road.path[i + 1].x, road.path[i + 1].y);
+            if (a === b || !allHexes[a] || !allHexes[b]) continue;
+            link(a, b);
+            link(b, a);
+        }
+    });
+    return graph;
+}
+
+/**
+ * 道路網に沿って MIGRATION_RANGE_HEXES 以内で到達できるヘックスと距離を求める (幅優先探索)
+ */
+function findReachableHexes(roadGraph: Map<number, Set<number>>, start: number): Map<number, number> {
+    const distances = new Map<number, number>([[start, 0]]);
+    const queue = [start];
+    let head = 0;
+    while (head < queue.length) {
+        const current = queue[head++];
+        const distance = distances.get(current)!;
+        if (distance >= config.TIMELINE_PARAMS.MIGRATION_RANGE_HEXES) continue;
+        (roadGraph.get(current) || []).forEach(next => {
+            if (distances.has(next)) return;
+            distances.set(next, distance + 1);
+            queue.push(next);
+        });
+    }
+    distances.delete(start);
+    return distances;
+}
+
+/**
+ * ヘックスの困窮度を評価する (食料不足率・飢餓度・貧困度)
+ * 食料不足率は、自給分と物流で仕入れた分 (monthlyImports) を合わせても足りない割合。
+ */
+function evaluateConditions(p: Hex) {
+    const lc = p.livingConditions || {};
+    const demand = lc.monthlyDemand || 0;
+    const supply = (lc.monthlySupply || 0) + (lc.monthlyImports || 0);
+    const shortageRate = demand > 0 ? Math.min(1, Math.max(0, demand - supply) / demand) : 0;
+    const hunger = lc.hunger || 0;
+    const poverty = lc.poverty || 0;
+    const happiness = lc.happiness !== undefined ? lc.happiness : 50;
+    return {
+        shortageRate,
+        hunger,
+        poverty,
+        // 移住先としての魅力 (高いほど暮らしやすい)
+        attractiveness: happiness / 100 - poverty * 0.5 - hunger - shortageRate,
+        // 移住を考える度合い (0 = 困窮していない)
+        distress: Math.min(1, Math.max(shortageRate, hunger, poverty - 0.3))
+    };
+}
+
+/**
+ * 1年分の出生・死亡・移住・集落区分の変化を適用する
+ * 年初の状態 (人口と経済状態) から全ヘックスの増減を求めてから、まとめて反映する。
+ */
+function advanceOneYear(allHexes: WorldMap, roadGraph: Map<number, Set<number>>, rng: SeededRandom) {
+    const params = config.TIMELINE_PARAMS;
+    const capacity = getGenerationParams().POPULATION_PARAMS.MAX_POPULATION_PER_HEX * params.CAPACITY_FACTOR;
+    const stats = { births: 0, deaths: 0, famineDeaths: 0, migrants: 0, promoted: 0, demoted: 0 };
+
+    // 年初の状態を評価
+    const settled = allHexes.filter((h: Hex) => h.properties.population > 0 && !h.properties.isWater);
+    const conditions = new Map<number, ReturnType<typeof evaluateConditions>>();
+    settled.forEach(h => conditions.set(h.index, evaluateConditions(h.properties)));
+
+    const delta = new Map<number, number>();
+    const addDelta = (index: number, value: number) => delta.set(index, (delta.get(index) || 0) + value);
+
+    // 1. 自然増減 (出生・死亡・飢饉)
+    settled.forEach(h => {
+        const p = h.properties;
+        const c = conditions.get(h.index)!;
+        const variation = 1 + (rng.next() * 2 - 1) * params.RATE_VARIATION;
+
+        const births = Math.round(p.population * params.BASE_BIRTH_RATE * (1 - 0.5 * c.hunger) * Math.max(0, 1 - p.population / capacity) * variation);
+        const famine = Math.max(0, c.shortageRate - params.FAMINE_TOLERANCE) / (1 - params.FAMINE_TOLERANCE);
+        const famineDeaths = Math.round(p.population * params.FAMINE_DEATH_RATE * famine);
+        const deaths = Math.round(p.population * (params.BASE_DEATH_RATE + params.HUNGER_DEATH_RATE * c.hunger) * variation) + famineDeaths;
+
+        addDelta(h.index, births - deaths);
+        stats.births += births;
+        stats.deaths += deaths;
+        stats.famineDeaths += famineDeaths;
+    });
+
+    // 2. 移住 (困窮した集落から、道路でつながるより暮らしやすい集落へ)
+    settled.forEach(h => {
+        const source = conditions.get(h.index)!;
+        if (source.distress <= 0 || !roadGraph.has(h.index)) return;
+
+        const candidates: { index: number; weight: number }[] = [];
+        findReachableHexes(roadGraph, h.index).forEach((distance, index) => {
+            const dest = conditions.get(index);
+            if (!dest || !allHexes[index].properties.settlement) return;
+            const gain = dest.attractiveness - source.attractiveness;
+            if (gain > 0.05) candidates.push({ index, weight: gain / (1 + distance) });
+        });
+        if (candidates.length === 0) return;
+
+        const emigrants = Math.floor(h.properties.population * params.MAX_EMIGRATION_RATE * source.distress);
+        if (emigrants <= 0) return;
+
+        // 魅力の差と距離に応じて按分し、端数は最も条件の良い移住先へ
+        const totalWeight = candidates.reduce((sum, c) => sum + c.weight, 0);
+        candidates.sort((a, b) => b.weight - a.weight);
+        let assigned = 0;
+        candidates.forEach(c => {
+            const share = Math.floor(emigrants * c.weight / totalWeight);
+            addDelta(c.index, share);
+            assigned += share;
+        });
+        addDelta(candidates[0].index, emigrants - assigned);
+        addDelta(h.index, -emigrants);
+        stats.migrants += emigrants;
+    });
+
+    // 3. 人口の反映と集落区分の見直し
+    delta.forEach((value, index) => {
+        const p = allHexes[index].properties;
+        let population = Math.max(0, p.population + value);
+        if (population < params.MIN_POPULATION) population = 0;
+        p.population = population;
+
+        const change = reclassifySettlement(p);
+        if (change > 0) stats.promoted++;
+        if (change < 0) stats.demoted++;
+        if (population === 0) clearSettlementData(p);
+    });
+
+    return stats;
+}
+
+/**
+ * 人口に応じて集落区分を昇格・降格させる (村→町→街 と、その逆)
+ * 首都・都市・領都は国家構造で決まるため変更しない。降格には余裕 (DEMOTION_MARGIN) を持たせ、
+ * しきい値付近で毎年区分が入れ替わらないようにする。
+ * @returns {number} 1 = 昇格, -1 = 降格, 0 = 変化なし
+ */
+function reclassifySettlement(p: Hex): number {
+    if (POLITICAL_SETTLEMENTS.includes(p.settlement)) return 0;
+    const { SETTLEMENT_THRESHOLDS, DEMOTION_MARGIN } = config.TIMELINE_PARAMS;
+
+    const currentRank = Math.max(0, SETTLEMENT_LADDER.indexOf(p.settlement));
+    let targetRank = 0;
+    for (let rank = SETTLEMENT_LADDER.length - 1; rank > 0; rank--) {
+        if (p.population >= SETTLEMENT_THRESHOLDS[SETTLEMENT_LADDER[rank]]) {
+            targetRank = rank;
+            break;
+        }
+    }
+
+    if (targetRank > currentRank) {
+        p.settlement = SETTLEMENT_LADDER[targetRank];
+        return 1;
+    }
+    if (targetRank < currentRank) {
+        const currentThreshold = SETTLEMENT_THRESHOLDS[SETTLEMENT_LADDER[currentRank]];
+        if (p.population === 0 || p.population < currentThreshold * DEMOTION_MARGIN) {
+            p.settlement = SETTLEMENT_LADDER[targetRank];
+            return -1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * 無人化したヘックスから、人口に依存する派生データを取り除く
+ */
+function clearSettlementData(p: Hex) {
+    p.demographics = null;
+    p.livingConditions = null;
+    p.territoryData = null;
+}
+
+/**
+ * 現在の人口・集落区分を履歴の1年分として記録する
+ */
+function createSnapshot(allHexes: WorldMap, year: number, stats): HistoryYear {
+    const hexes: number[] = [];
+    let totalPopulation = 0;
+    allHexes.forEach((h: Hex, index: number) => {
+        const p = h.properties;
+        if (p.population <= 0) return;
+        totalPopulation += p.population;
+        hexes.push(index, p.population, encodeSettlement(p.settlement));
+    });
+    return {
+        year,
+        totalPopulation,
+        births: stats ? stats.births : 0,
+        deaths: stats ? stats.deaths : 0,
+        famineDeaths: stats ? stats.famineDeaths : 0,
+        migrants: stats ? stats.migrants : 0,
+        promoted: stats ? stats.promoted : 0,
+        demoted: stats ? stats.demoted : 0,
+        hexes
+    };
+}
+
+function encodeSettlement(settlement: string | null): number {
+    return settlement ? SETTLEMENT_TYPES.indexOf(settlement) + 1 : 0;
+}
+
+function decodeSettlement(code: number): string | null {
+    return code > 0 ? SETTLEMENT_TYPES[code - 1] : null;
+}
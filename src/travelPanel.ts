@@ -0,0 +1,248 @@
+// ================================================================
+// GeoForge System - 旅程計画パネル
+// ================================================================
+// サイドバーの「旅程計画」パネル。地図で出発地と目的地を選び、移動手段を選ぶと travelPlanner.ts で
+// 経路を探索し、地図に経路を描いて1日ごとの旅程 (道のり・地形・休める集落・魔物の危険度・宿泊地) を表示する。
+
+import * as config from './config.ts';
+import { formatLocation } from './utils.ts';
+import { TravelPlan, TravelDay, getTravelModes, planTravel } from './travelPlanner.ts';
+import { MONTH_LABELS } from './seasonalClimate.ts';
+
+interface TravelPanelOptions {
+    // 現在の世界データ ({ allHexes }) を返す
+    getWorldData: () => any;
+    // 地点の選択を開始する (handler = 次にクリックされたヘックスを受け取る関数、null で取り消し)
+    onPickRequest: (handler: ((d: any) => void) | null) => void;
+    // 地図に表示する経路が変わったときに呼ばれる (null で消去)
+    onRouteChange: (route: { path: number[]; stops: { index: number; label: string }[] } | null) => void;
+}
+
+type PickTarget = 'origin' | 'destination';
+
+const PICK_LABELS: Record<PickTarget, string> = { origin: '出発地', destination: '目的地' };
+
+const LODGING_LABELS: Record<TravelDay['lodging'], string> = {
+    settlement: '泊',
+    camp: '野営',
+    aboard: '船中泊',
+    arrival: '到着'
+};
+
+let options: TravelPanelOptions;
+
+let originLabel: HTMLElement;
+let destinationLabel: HTMLElement;
+let originButton: HTMLButtonElement;
+let destinationButton: HTMLButtonElement;
+let modeSelect: HTMLSelectElement;
+let monthSelect: HTMLSelectElement;
+let avoidDangerInput: HTMLInputElement;
+let clearButton: HTMLButtonElement;
+let statusElement: HTMLElement;
+let summaryElement: HTMLElement;
+let itineraryElement: HTMLElement;
+
+let originIndex: number | null = null;
+let destinationIndex: number | null = null;
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {TravelPanelOptions} panelOptions
+ */
+export function setupTravelPanel(panelOptions: TravelPanelOptions) {
+    options = panelOptions;
+
+    originLabel = document.getElementById('travel-origin-label') as HTMLElement;
+    destinationLabel = document.getElementById('travel-destination-label') as HTMLElement;
+    originButton = document.getElementById('travel-origin-btn') as HTMLButtonElement;
+    destinationButton = document.getElementById('travel-destination-btn') as HTMLButtonElement;
+    modeSelect = document.getElementById('travel-mode-select') as HTMLSelectElement;
+    monthSelect = document.getElementById('travel-month-select') as HTMLSelectElement;
+    avoidDangerInput = document.getElementById('travel-avoid-danger') as HTMLInputElement;
+    clearButton = document.getElementById('travel-clear-btn') as HTMLButtonElement;
+    statusElement = document.getElementById('travel-status') as HTMLElement;
+    summaryElement = document.getElementById('travel-summary') as HTMLElement;
+    itineraryElement = document.getElementById('travel-itinerary') as HTMLElement;
+
+    // 移動手段 (陸路と船をグループに分ける)
+    const landGroup = document.createElement('optgroup');
+    landGroup.label = '陸路';
+    const shipGroup = document.createElement('optgroup');
+    shipGroup.label = '船';
+    getTravelModes().forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode.key;
+        option.textContent = mode.name;
+        (mode.kind === 'land' ? landGroup : shipGroup).appendChild(option);
+    });
+    modeSelect.replaceChildren(landGroup, shipGroup);
+
+    // 季節 (通年 = 年平均の積雪、月を選ぶと積雪・峠の閉鎖・河川の増水・結氷を反映する)
+    monthSelect.replaceChildren(...['通年', ...MONTH_LABELS].map((label, i) => {
+        const option = document.createElement('option');
+        option.value = String(i);
+        option.textContent = label;
+        return option;
+    }));
+
+    originButton.addEventListener('click', () => startPick('origin'));
+    destinationButton.addEventListener('click', () => startPick('destination'));
+    modeSelect.addEventListener('change', calculate);
+    monthSelect.addEventListener('change', calculate);
+    avoidDangerInput.addEventListener('change', calculate);
+    clearButton.addEventListener('click', () => {
+        clearPlan();
+        statusElement.textContent = '';
+    });
+
+    updateTravelPanel(false);
+}
+
+/**
+ * パネルの有効・無効を切り替える (生成・読み込み・編集などで世界が変わったときに呼び出す)
+ * 世界が変わると経路は使えなくなるため、選択中の地点と旅程を消す。
+ * @param {boolean} enabled - 旅程を計算できる状態かどうか (道路まで生成済みの世界)
+ */
+export function updateTravelPanel(enabled: boolean) {
+    if (!originButton) return;
+    originButton.disabled = !enabled;
+    destinationButton.disabled = !enabled;
+    modeSelect.disabled = !enabled;
+    monthSelect.disabled = !enabled;
+    avoidDangerInput.disabled = !enabled;
+    clearButton.disabled = !enabled;
+    clearPlan();
+    statusElement.textContent = '';
+}
+
+/**
+ * 選択中の地点で旅程を計算し直す (編集や年の切り替えで道路・集落が変わったときに呼び出す)
+ */
+export function refreshTravelPanel() {
+    if (!originButton || originIndex === null || destinationIndex === null) return;
+    calculate();
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+function startPick(target: PickTarget) {
+    statusElement.textContent = `地図で${PICK_LABELS[target]}のヘックスをクリックしてください。`;
+    options.onPickRequest((d: any) => {
+        const worldData = options.getWorldData();
+        if (!worldData || !worldData.allHexes) return;
+
+        // 共有バッファに現在のデータがないブロック (座標が一致しない) の地点は選べない
+        const h = worldData.allHexes[d.index];
+        if (!h || h.col !== d.col || h.row !== d.row) {
+            statusElement.textContent = 'このヘックスは読み込まれていないため選べません。';
+            return;
+        }
+
+        if (target === 'origin') originIndex = d.index;
+        else destinationIndex = d.index;
+        statusElement.textContent = '';
+        calculate();
+    });
+}
+
+/**
+ * 出発地・目的地・移動手段から旅程を計算して表示する (地点が揃っていなければ地点だけ表示)
+ */
+function calculate() {
+    const worldData = options.getWorldData();
+    const allHexes = worldData ? worldData.allHexes : null;
+    renderPlaces(allHexes);
+    summaryElement.textContent = '';
+    itineraryElement.replaceChildren();
+    if (!allHexes || originIndex === null || destinationIndex === null) {
+        options.onRouteChange(null);
+        return;
+    }
+
+    try {
+        const plan = planTravel(allHexes, originIndex, destinationIndex, modeSelect.value, {
+            avoidDanger: avoidDangerInput.checked,
+            month: Number(monthSelect.value) || undefined
+        });
+        statusElement.textContent = '';
+        renderPlan(allHexes, plan);
+        options.onRouteChange({
+            path: plan.path,
+            stops: [
+                { index: plan.originIndex, label: '発' },
+                ...plan.days.filter(d => d.lodging !== 'arrival').map(d => ({ index: d.endIndex, label: String(d.day) })),
+                { index: plan.destinationIndex, label: '着' }
+            ]
+        });
+    } catch (error: any) {
+        statusElement.textContent = error.message;
+        options.onRouteChange(null);
+    }
+}
+
+function clearPlan() {
+    originIndex = null;
+    destinationIndex = null;
+    options.onPickRequest(null);
+    options.onRouteChange(null);
+    renderPlaces(null);
+    summaryElement.textContent = '';
+    itineraryElement.replaceChildren();
+}
+
+function renderPlaces(allHexes: any) {
+    originLabel.textContent = allHexes && originIndex !== null ? describePlace(allHexes[originIndex]) : '未選択';
+    destinationLabel.textContent = allHexes && destinationIndex !== null ? describePlace(allHexes[destinationIndex]) : '未選択';
+}
+
+/**
+ * 旅程の概要と1日ごとの行程を表示する
+ */
+function renderPlan(allHexes: any, plan: TravelPlan) {
+    const dangers = Object.entries(plan.dangerCounts)
+        .map(([rank, count]) => `${rank}ランク ${count}ヘックス`);
+    summaryElement.innerHTML = [
+        `${plan.mode.name}${plan.month ? ` (${MONTH_LABELS[plan.month - 1]})` : ''}: ${plan.days.length}日 (道のり ${plan.totalKm.toFixed(1)}km、移動 ${plan.totalHours.toFixed(1)}時間)`,
+        `魔物: ${dangers.length > 0 ? dangers.join('、') : '見かけない'}`,
+        plan.maxDanger ? `最大の危険度: ${plan.maxDanger}ランク (${config.TRAVEL_PARAMS.DANGER_LABELS[plan.maxDanger]})` : ''
+    ].filter(Boolean).join('<br>');
+
+    itineraryElement.replaceChildren(...plan.days.map(day => {
+        const item = document.createElement('li');
+        const title = document.createElement('div');
+        title.className = 'travel-day-title';
+        title.textContent = `${day.day}日目: ${describePlace(allHexes[day.startIndex])} → ${describePlace(allHexes[day.endIndex])}`;
+
+        const lodging = day.lodging === 'settlement' ? `${describePlace(allHexes[day.endIndex])}に${LODGING_LABELS.settlement}` : LODGING_LABELS[day.lodging];
+        const lines = [
+            `${day.km.toFixed(1)}km / ${day.hours.toFixed(1)}時間${day.roadKm > 0 ? ` (うち道路 ${day.roadKm.toFixed(1)}km)` : ''}`,
+            `地形: ${day.terrains.join('・') || '-'}`,
+            day.restStops.length > 0 ? `休める集落: ${day.restStops.map(i => describePlace(allHexes[i])).join('、')}` : '',
+            `魔物: ${day.maxDanger ? `${day.maxDanger}ランク (${config.TRAVEL_PARAMS.DANGER_LABELS[day.maxDanger]})` : '見かけない'}`,
+            `宿泊: ${lodging}`
+        ].filter(Boolean);
+
+        const detail = document.createElement('div');
+        detail.className = `travel-day-detail${day.maxDanger && ['S', 'A', 'B'].includes(day.maxDanger) ? ' travel-day-danger' : ''}`;
+        lines.forEach((line, i) => {
+            if (i > 0) detail.append(document.createElement('br'));
+            detail.append(line);
+        });
+        item.append(title, detail);
+        return item;
+    }));
+}
+
+/**
+ * 地点の表示名 (集落名 > 集落区分 > 座標)
+ */
+function describePlace(h: any): string {
+    if (!h) return '-';
+    const p = h.properties;
+    if (p.settlementName) return `${p.settlementName} (${p.settlement})`;
+    if (p.settlement) return `${p.settlement} ${formatLocation(h, 'coords')}`;
+    return formatLocation(h, 'coords');
+}
@@ -0,0 +1,416 @@
+// ================================================================
+// GeoForge System - 旅程計画モジュール
+// ================================================================
+// 2つのヘックス間の経路を移動手段 (徒歩・駄獣・荷馬車・SHIP_TYPES の船) ごとに探索し、
+// 1日ごとの旅程 (道のり・地形・泊まれる集落・魔物の危険度) にまとめる。
+// 陸路の道のりは calculateRoadDistance と同じ地形・道路の係数で求め、移動手段の速度で時間に換算する。
+// 月を指定した場合の季節の規則 (積雪・峠の閉鎖・増水・結氷) は、荷馬車の日数・航路と同じ roadGenerator.ts の関数で判定する。
+// 経路探索は findAStarPath を使い、コストは移動時間 (時間) とする。
+
+import * as config from './config.ts';
+import { getDistance } from './utils.ts';
+import { WorldMap, Hex } from './WorldMap.ts';
+import { findAStarPath, getTerrainDistanceMultiplier, getTerrainSpeedMultiplier, getSeasonalSpeedMultiplier, createSeaCostFunction } from './roadGenerator.ts';
+import { getMonthlyClimate, MonthlyClimate, MONTH_LABELS } from './seasonalClimate.ts';
+
+export type TravelModeKind = 'land' | 'sea' | 'lake' | 'river';
+
+/** 移動手段 (key は TRAVEL_PARAMS.LAND_MODES または SHIP_TYPES のキー) */
+export interface TravelMode {
+    key: string;
+    name: string;
+    kind: TravelModeKind;
+}
+
+/** 旅程の1日分 */
+export interface TravelDay {
+    day: number;
+    startIndex: number;          // その日の出発ヘックス
+    endIndex: number;            // その日の終わりにいるヘックス
+    km: number;                  // 道のり (km)
+    hours: number;               // 移動時間
+    roadKm: number;              // うち道路を通った道のり (km)
+    terrains: string[];          // 通過した地形 (通過順、重複なし)
+    restStops: number[];         // 途中で通過した、泊まれる集落のヘックス
+    maxDanger: string | null;    // 通過したヘックスの最も高い魔物ランク
+    lodging: 'settlement' | 'camp' | 'aboard' | 'arrival';
+}
+
+/** 旅程 */
+export interface TravelPlan {
+    mode: TravelMode;
+    originIndex: number;
+    destinationIndex: number;
+    path: number[];              // 経路のヘックスインデックス (出発地と目的地を含む)
+    totalKm: number;
+    totalHours: number;
+    days: TravelDay[];
+    dangerCounts: Record<string, number>; // 魔物ランクごとの通過ヘックス数
+    maxDanger: string | null;
+    month: number | null;        // 季節を反映した月 (null は通年)
+}
+
+interface TravelStep {
+    hours: number;
+    km: number;
+    roadKm: number;
+}
+
+interface Point {
+    x: number;
+    y: number;
+}
+
+// 魔物ランク (危険な順)
+const DANGER_ORDER = ['S', 'A', 'B', 'C', 'D'];
+
+// ================================================================
+// ■ 公開関数
+// ================================================================
+
+/**
+ * 選択できる移動手段の一覧 (陸路 → 船の順)
+ * @returns {TravelMode[]}
+ */
+export function getTravelModes(): TravelMode[] {
+    const landModes = Object.entries(config.TRAVEL_PARAMS.LAND_MODES)
+        .map(([key, mode]) => ({ key, name: mode.name, kind: 'land' as TravelModeKind }));
+    const shipModes = Object.entries(config.SHIP_TYPES)
+        .map(([key, ship]) => ({ key, name: ship.name, kind: getShipKind(key) }));
+    return [...landModes, ...shipModes];
+}
+
+/**
+ * 2つのヘックス間の旅程を計算する
+ * 船の場合、出発地・目的地は陸地でもよい (隣接する水域・河川から乗り降りする)。
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {number} originIndex - 出発地のヘックスインデックス
+ * @param {number} destinationIndex - 目的地のヘックスインデックス
+ * @param {string} modeKey - 移動手段のキー (getTravelModes の key)
+ * @param {object} [options]
+ * @param {boolean} [options.avoidDanger=false] - 魔物ランクの高いヘックスを避けて探索する
+ * @param {number} [options.month] - 出発する月 (1〜12)。積雪・峠の閉鎖・河川の増水・結氷を反映する (省略時は通年)
+ * @returns {TravelPlan} 旅程
+ * @throws {Error} 移動手段が使えない場合や経路が見つからない場合 (メッセージはそのまま画面に表示できる)
+ */
+export function planTravel(allHexes: WorldMap, originIndex: number, destinationIndex: number, modeKey: string, options: { avoidDanger?: boolean; month?: number } = {}): TravelPlan {
+    const mode = getTravelModes().find(m => m.key === modeKey);
+    if (!mode) throw new Error(`不明な移動手段です: ${modeKey}`);
+    if (originIndex === destinationIndex) throw new Error('出発地と目的地が同じです。');
+
+    const origin = allHexes[originIndex];
+    const destination = allHexes[destinationIndex];
+    if (!origin || !destination) throw new Error('出発地または目的地のヘックスがありません。');
+
+    const month = options.month || null;
+    const getClimate = createClimateLookup(allHexes, month);
+    const stepFn = mode.kind === 'land'
+        ? createLandStep(allHexes, modeKey, getClimate)
+        : createShipStep(allHexes, modeKey, mode.kind, originIndex, destinationIndex, month, getClimate);
+    if (mode.kind === 'land') {
+        if (origin.properties.isWater) throw new Error('出発地が水域です。陸路では出発できません。');
+        if (destination.properties.isWater) throw new Error('目的地が水域です。陸路では到着できません。');
+        if (getClimate(originIndex)?.passClosed) throw new Error(`${MONTH_LABELS[month! - 1]}は出発地の峠が雪で閉ざされています。`);
+        if (getClimate(destinationIndex)?.passClosed) throw new Error(`${MONTH_LABELS[month! - 1]}は目的地の峠が雪で閉ざされています。`);
+    } else {
+        if (!origin.neighbors.some((n: number) => stepFn(originIndex, n))) throw new Error(`出発地から${mode.name}で出航できる水路がありません。`);
+        if (!destination.neighbors.some((n: number) => stepFn(n, destinationIndex))) throw new Error(`目的地に${mode.name}で着ける水路がありません。`);
+    }
+
+    // 経路探索 (コスト = 移動時間、危険を避ける場合は魔物ランクの倍率を掛ける)
+    const avoidance = config.TRAVEL_PARAMS.DANGER_AVOIDANCE_MULTIPLIERS;
+    const minHoursPerHex = getMinHoursPerHex(modeKey, mode.kind);
+    const result = findAStarPath({
+        start: toPoint(originIndex),
+        goal: toPoint(destinationIndex),
+        getNeighbors: (node) => {
+            const index = toIndex(node);
+            return allHexes[index].neighbors.filter((n: number) => stepFn(index, n)).map(toPoint);
+        },
+        heuristic: (a, b) => getDistance({ col: a.x, row: a.y }, { col: b.x, row: b.y }) * minHoursPerHex,
+        cost: (a, b) => {
+            const step = stepFn(toIndex(a), toIndex(b));
+            if (!step) return Infinity;
+            const rank = allHexes[toIndex(b)].properties.monsterRank;
+            return step.hours * (options.avoidDanger && rank ? avoidance[rank] || 1 : 1);
+        }
+    });
+    if (!result) throw new Error(`${month ? `${MONTH_LABELS[month - 1]}に` : ''}${mode.name}で行ける経路が見つかりません。`);
+
+    const path = result.path.map(toIndex);
+    const steps = path.slice(0, -1).map((index, i) => stepFn(index, path[i + 1])!);
+    const hoursPerDay = mode.kind === 'land'
+        ? config.TRAVEL_PARAMS.LAND_MODES[modeKey].OPERATING_HOURS_PER_DAY
+        : config.TRAVEL_PARAMS.SHIP_OPERATING_HOURS_PER_DAY;
+
+    const dangerCounts: Record<string, number> = {};
+    path.slice(1).forEach(index => {
+        const rank = allHexes[index].properties.monsterRank;
+        if (rank) dangerCounts[rank] = (dangerCounts[rank] || 0) + 1;
+    });
+
+    return {
+        mode,
+        originIndex,
+        destinationIndex,
+        path,
+        totalKm: steps.reduce((sum, s) => sum + s.km, 0),
+        totalHours: steps.reduce((sum, s) => sum + s.hours, 0),
+        days: buildItinerary(allHexes, path, steps, hoursPerDay, mode.kind !== 'land'),
+        dangerCounts,
+        maxDanger: DANGER_ORDER.find(rank => dangerCounts[rank]) || null,
+        month
+    };
+}
+
+/**
+ * ヘックスの地形の表示名 (平地は植生名)
+ * @param {object} p - ヘックスのプロパティ
+ * @returns {string}
+ */
+export function describeTravelTerrain(p: any): string {
+    if (p.isWater) return p.elevation > 0 ? '湖' : '海';
+    if (p.terrainType === '平地' && p.vegetation) return p.vegetation;
+    return p.terrainType || '不明';
+}
+
+// ================================================================
+// ■ 移動コスト
+// ================================================================
+
+/**
+ * 月の気候を引く関数を作る (経路探索で同じヘックスを何度も引くため、ヘックスごとにキャッシュする)
+ * 月が指定されていなければ常に null を返す。
+ */
+function createClimateLookup(allHexes: WorldMap, month: number | null) {
+    const cache = new Map<number, MonthlyClimate>();
+    return (index: number): MonthlyClimate | null => {
+        if (!month) return null;
+        let climate = cache.get(index);
+        if (!climate) {
+            climate = getMonthlyClimate(allHexes[index].properties, month);
+            cache.set(index, climate);
+        }
+        return climate;
+    };
+}
+
+/**
+ * 陸路の1歩 (隣接ヘックスへの移動) の時間と道のりを返す関数を作る
+ * 道のりは両ヘックスに半分ずつ地形の係数を掛け、道路があれば ROAD_MULTIPLIERS を掛ける
+ * (道路は両方のヘックスにある場合、低い方のレベルとする)。道のない稜線越えには追加の時間がかかる。
+ * 月を指定した場合の積雪・峠の閉鎖・増水は getSeasonalSpeedMultiplier で反映し、峠の閉ざされたヘックスには出入りできない。
+ */
+function createLandStep(allHexes: WorldMap, modeKey: string, getClimate: (index: number) => MonthlyClimate | null) {
+    const mode = config.TRAVEL_PARAMS.LAND_MODES[modeKey];
+    const halfKm = config.HEX_SIZE_KM / 2;
+
+    return (fromIndex: number, toIndex: number): TravelStep | null => {
+        const pa = allHexes[fromIndex].properties;
+        const pb = allHexes[toIndex].properties;
+        if (pa.isWater || pb.isWater) return null;
+        const seasonalSpeeds = [pa, pb].map((p, i) => getSeasonalSpeedMultiplier(p, getClimate(i === 0 ? fromIndex : toIndex), mode.SNOW_SPEED_MULTIPLIER));
+        if (seasonalSpeeds.includes(0)) return null;
+
+        const roadLevel = Math.min(pa.roadLevel || 0, pb.roadLevel || 0);
+        const roadMultiplier = roadLevel > 0 ? config.ROAD_MULTIPLIERS[roadLevel] || 1.0 : 1.0;
+        const roadSpeed = mode.ROAD_SPEED_MULTIPLIERS[roadLevel] || 1.0;
+
+        let km = 0;
+        let hours = 0;
+        [pa, pb].forEach((p, i) => {
+            const segmentKm = halfKm * getTerrainDistanceMultiplier(p) * roadMultiplier;
+            const speed = mode.BASE_SPEED_KMH * roadSpeed * getTerrainSpeedMultiplier(p, mode.TERRAIN_SPEED_MULTIPLIERS) * seasonalSpeeds[i];
+            km += segmentKm;
+            hours += segmentKm / speed;
+        });
+
+        // 稜線越え (道路があれば越えやすいものとして加算しない)
+        if (roadLevel === 0 && pb.ridgeFlow > 0) {
+            const ridgeHours = pb.ridgeFlow * config.RIDGE_CROSSING_COST_MULTIPLIER * config.TRAVEL_PARAMS.RIDGE_CROSSING_HOURS * mode.RIDGE_CROSSING_FACTOR;
+            hours += Math.min(ridgeHours, config.TRAVEL_PARAMS.MAX_RIDGE_CROSSING_HOURS);
+        }
+
+        return { hours, km, roadKm: roadLevel > 0 ? km : 0 };
+    };
+}
+
+/**
+ * 船の1歩の時間と道のりを返す関数を作る
+ * 途中のヘックスは船が航行できる水域 (河川船は河川) に限り、出発地・目的地だけは陸地からの乗り降りを認める。
+ * 海の船は航路の生成と同じコスト関数 (createSeaCostFunction) で、水深・離岸距離・その月の結氷を判定する。
+ * 湖・河川の船も、月を指定した場合は結氷した湖・河川を航行できない。
+ */
+function createShipStep(allHexes: WorldMap, shipKey: string, kind: TravelModeKind, originIndex: number, destinationIndex: number, month: number | null, getClimate: (index: number) => MonthlyClimate | null) {
+    const ship = config.SHIP_TYPES[shipKey];
+    const minDepth = config.PORT_PARAMS.MIN_NAVIGATION_DEPTH[shipKey] || 0;
+    const seaCost = kind === 'sea' ? createSeaCostFunction(allHexes, ship, month) : null;
+    const hours = config.HEX_SIZE_KM / ship.avg_speed_kmh;
+
+    const isNavigable = (index: number): boolean => {
+        const p = allHexes[index].properties;
+        const isLake = p.isWater && p.elevation > 0;
+        switch (kind) {
+            case 'sea': {
+                const point = toPoint(index);
+                return !isLake && seaCost!(point, point) < Infinity;
+            }
+            case 'lake':
+                return isLake && !getClimate(index)?.frozen;
+            case 'river':
+                return !getClimate(index)?.frozen && (isLake || (!p.isWater && p.flow > 0 && p.riverDepth >= minDepth));
+            default:
+                return false;
+        }
+    };
+
+    return (fromIndex: number, toIndex: number): TravelStep | null => {
+        const fromOk = isNavigable(fromIndex) || fromIndex === originIndex;
+        const toOk = isNavigable(toIndex) || toIndex === destinationIndex;
+        // 陸地から陸地へ直接は移動できない (乗り降りのどちらかは水路側)
+        if (!fromOk || !toOk || (!isNavigable(fromIndex) && !isNavigable(toIndex))) return null;
+        return { hours, km: config.HEX_SIZE_KM, roadKm: 0 };
+    };
+}
+
+/**
+ * 1ヘックスの移動にかかる時間の下限 (A* のヒューリスティック用)
+ */
+function getMinHoursPerHex(modeKey: string, kind: TravelModeKind): number {
+    if (kind !== 'land') return config.HEX_SIZE_KM / config.SHIP_TYPES[modeKey].avg_speed_kmh;
+
+    const mode = config.TRAVEL_PARAMS.LAND_MODES[modeKey];
+    const terrainValues = Object.entries(config.TERRAIN_MULTIPLIERS).filter(([key]) => key !== 'RIVER_BONUS').map(([, v]) => v);
+    const minDistance = config.HEX_SIZE_KM * Math.min(...terrainValues) * Math.min(...Object.values(config.ROAD_MULTIPLIERS));
+    const maxSpeed = mode.BASE_SPEED_KMH
+        * Math.max(1.0, ...Object.values(mode.ROAD_SPEED_MULTIPLIERS) as number[])
+        * Math.max(1.0, ...Object.values(mode.TERRAIN_SPEED_MULTIPLIERS) as number[]);
+    return minDistance / maxSpeed;
+}
+
+function getShipKind(shipKey: string): TravelModeKind {
+    if (shipKey.startsWith('lake_')) return 'lake';
+    if (shipKey.startsWith('river_')) return 'river';
+    return 'sea';
+}
+
+function toPoint(index: number): Point {
+    return { x: index % config.COLS, y: Math.floor(index / config.COLS) };
+}
+
+function toIndex(point: Point): number {
+    return point.y * config.COLS + point.x;
+}
+
+// ================================================================
+// ■ 旅程の組み立て
+// ================================================================
+
+/**
+ * 経路を1日の移動時間ごとに区切る
+ * その日のうちに次の集落まで届かず、残り時間が REST_SEARCH_HOURS 以下なら、今いる集落に泊まる。
+ * それ以外は時間を使い切った場所で野営 (船は船中泊) し、翌日は途中から続ける。
+ */
+function buildItinerary(allHexes: WorldMap, path: number[], steps: TravelStep[], hoursPerDay: number, isShip: boolean): TravelDay[] {
+    const restStopAt = (index: number): number => findRestStop(allHexes, index, isShip);
+    const days: TravelDay[] = [];
+
+    let day = createDay(1, path[0]);
+    let hoursLeft = hoursPerDay;
+    let i = 0;          // 現在のステップ (path[i] -> path[i + 1])
+    let progress = 0;   // 現在のステップの進んだ割合
+
+    const endDay = (endIndex: number, lodging: TravelDay['lodging']) => {
+        day.endIndex = endIndex;
+        day.lodging = lodging;
+        days.push(day);
+        day = createDay(days.length + 1, endIndex);
+        hoursLeft = hoursPerDay;
+    };
+
+    // path[from] から次の泊まれる場所 (集落または目的地) までの時間
+    const hoursToNextRest = (from: number): number => {
+        let hours = 0;
+        for (let k = from; k < steps.length; k++) {
+            hours += steps[k].hours;
+            if (k + 1 === steps.length || restStopAt(path[k + 1]) >= 0) break;
+        }
+        return hours;
+    };
+
+    while (i < steps.length) {
+        const step = steps[i];
+
+        if (progress === 0 && hoursLeft < hoursPerDay) {
+            if (restStopAt(path[i]) >= 0 && hoursToNextRest(i) > hoursLeft && hoursLeft <= config.TRAVEL_PARAMS.REST_SEARCH_HOURS) {
+                endDay(path[i], 'settlement');
+                continue;
+            }
+        }
+
+        const remaining = step.hours * (1 - progress);
+        if (remaining <= hoursLeft + 1e-9) {
+            day.hours += remaining;
+            day.km += step.km * (1 - progress);
+            day.roadKm += step.roadKm * (1 - progress);
+            hoursLeft -= remaining;
+            i++;
+            progress = 0;
+            recordHex(allHexes, day, path[i]);
+            if (i < steps.length && restStopAt(path[i]) >= 0) day.restStops.push(restStopAt(path[i]));
+        } else {
+            const fraction = hoursLeft / step.hours;
+            day.hours += hoursLeft;
+            day.km += step.km * fraction;
+            day.roadKm += step.roadKm * fraction;
+            progress += fraction;
+            const here = progress < 0.5 ? path[i] : path[i + 1];
+            if (progress >= 0.5) recordHex(allHexes, day, path[i + 1]);
+            endDay(here, isShip ? 'aboard' : 'camp');
+        }
+    }
+
+    day.endIndex = path[path.length - 1];
+    day.lodging = 'arrival';
+    days.push(day);
+    return days;
+}
+
+function createDay(dayNumber: number, startIndex: number): TravelDay {
+    return {
+        day: dayNumber,
+        startIndex,
+        endIndex: startIndex,
+        km: 0,
+        hours: 0,
+        roadKm: 0,
+        terrains: [],
+        restStops: [],
+        maxDanger: null,
+        lodging: 'camp'
+    };
+}
+
+/**
+ * 通過したヘックスの地形と魔物ランクをその日の記録に加える
+ */
+function recordHex(allHexes: WorldMap, day: TravelDay, index: number) {
+    const p = allHexes[index].properties;
+    const terrain = describeTravelTerrain(p);
+    if (!day.terrains.includes(terrain)) day.terrains.push(terrain);
+    if (p.monsterRank && (!day.maxDanger || DANGER_ORDER.indexOf(p.monsterRank) < DANGER_ORDER.indexOf(day.maxDanger))) {
+        day.maxDanger = p.monsterRank;
+    }
+}
+
+/**
+ * ヘックスで泊まれる集落 (船の場合は隣接する港の集落も含む) のインデックス。なければ -1
+ */
+function findRestStop(allHexes: WorldMap, index: number, isShip: boolean): number {
+    const canRest = (h: Hex) => config.TRAVEL_PARAMS.REST_SETTLEMENTS.includes(h.properties.settlement!);
+    const h = allHexes[index];
+    if (canRest(h)) return index;
+    if (!isShip) return -1;
+    const port = h.neighbors.find((n: number) => canRest(allHexes[n]));
+    return port !== undefined ? port : -1;
+}
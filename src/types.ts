@@ -32,6 +32,8 @@ export interface CompressedHexData {
     fl?: number; // flow
     ia?: number; // isAlluvial
     hs?: number; // hasSnow
+    ta?: number; // tempAmplitude
+    ps?: number; // precipSeasonality
     il?: number; // isLakeside
     bn?: number; // beachNeighbors
 
@@ -5,6 +5,10 @@ import * as config from './config.ts';
 import * as d3 from 'd3';
 import { MapView } from './MapView.ts';
 import { DataGenerator } from './DataGenerator.ts';
+import * as mapExporter from './mapExporter.ts';
+import { FogCampaign } from './fogOfWar.ts';
+import { Annotation } from './annotations.ts';
+import { MONTH_LABELS } from './seasonalClimate.ts';
 import {
     updateOverallInfo,
     generateHexJson,
@@ -14,6 +18,17 @@ import {
 // グローバル変数 (互換性のため残すものもあるが、基本はMapViewへ移動)
 let mapView: MapView;
 let blockLoaderRef: any;
+// 戦場の霧の状態 (MapView を作り直しても引き継ぐ)
+let fogCampaign: FogCampaign | null = null;
+let fogPlayerView = false;
+let revealHandler: ((d: any) => void) | null = null;
+// 地図の注釈 (MapView を作り直しても引き継ぐ)
+let annotations: Annotation[] = [];
+let annotationDraft: Annotation | null = null;
+// 表示する月 (null で年平均。MapView を作り直しても引き継ぐ)
+let mapMonth: number | null = null;
+// レイヤーのボタンの表示状態を MapView のレイヤーに合わせる (setupEventHandlers で設定)
+let syncLayerButtons: (() => void) | null = null;
 
 /**
  * サイドバーの高さを動的に調整する関数
@@ -50,6 +65,10 @@ export async function setupUI(allHexes: any, roadPaths: any[], addLogMessage: Fu
     console.log("[UI Setup] Initializing MapView...");
     mapView = new MapView('#hexmap');
     await mapView.initialize(allHexes, roadPaths, blockLoader);
+    if (fogCampaign) mapView.setFogOfWar(fogCampaign, fogPlayerView);
+    mapView.setRevealHandler(revealHandler);
+    mapView.setAnnotations(annotations, annotationDraft);
+    mapView.month = mapMonth;
 
     console.log("[UI Setup] MapView initialized.");
 
@@ -76,8 +95,8 @@ function setupEventHandlers() {
         const infoWindow = document.getElementById('info-window');
         if (infoWindow) infoWindow.classList.add('hidden');
         adjustSidebarHeight();
-        // ハイライト解除はMapViewに任せるか、ここで呼ぶ
-        if (mapView) mapView.toggleLayer('highlight-overlay', false); // 仮: 実際はクリアメソッドが必要
+        // 選択ハイライトの解除 (検索結果のハイライトは残す)
+        if (mapView) mapView.clearSelectedHex();
     };
 
     const infoCloseBtn = document.getElementById('info-close-btn');
@@ -127,6 +146,7 @@ function setupEventHandlers() {
             { id: '#toggleHexBorderLayer', layer: 'hex-border' },
             { id: '#toggleRidgeWaterSystemLayer', layer: 'ridge-water-system' },
             { id: '#toggleJapanLayer', layer: 'japan-overlay' },
+            { id: '#toggleAnnotationLayer', layer: 'annotation' },
             // ショートカットボタン
             { id: '#shortcut-vegetation', layer: 'vegetation-overlay' },
             { id: '#shortcut-relief', layer: 'shading' },
@@ -194,7 +214,8 @@ function setupEventHandlers() {
         { id: '#toggleTerritoryLayer', layer: 'territory-overlay' },
         { id: '#toggleHexBorderLayer', layer: 'hex-border' },
         { id: '#toggleRidgeWaterSystemLayer', layer: 'ridge-water-system' },
-        { id: '#toggleJapanLayer', layer: 'japan-overlay' }
+        { id: '#toggleJapanLayer', layer: 'japan-overlay' },
+        { id: '#toggleAnnotationLayer', layer: 'annotation' }
     ];
 
     layerToggles.forEach(item => {
@@ -271,15 +292,42 @@ function setupEventHandlers() {
             });
 
             // ターゲットが非アクティブだった場合のみアクティブ化（トグル動作）
-            if (!isActive) {
+            // (プレイヤー表示で伏せたレイヤーは表示されない)
+            if (!isActive && mapView.toggleLayer(layerName, true)) {
                 d3.select(this).classed('active', true);
-                mapView.toggleLayer(layerName, true);
                 updateLegend(layerName);
             } else {
                 updateLegend(null);
             }
         });
     });
+
+    // 8. Month Select
+    // 気温・降水量・積雪の表示を月の値に切り替える
+    const monthSelect = document.getElementById('month-select') as HTMLSelectElement | null;
+    if (monthSelect) {
+        if (monthSelect.options.length === 0) {
+            monthSelect.replaceChildren(...['年平均', ...MONTH_LABELS].map((label, i) => new Option(label, String(i))));
+        }
+        monthSelect.value = String(mapMonth || 0);
+        d3.select(monthSelect).on('change', function (this: HTMLSelectElement) {
+            setMapMonth(Number(this.value) || null);
+        });
+    }
+
+    syncLayerButtons = () => {
+        updateLayerUI();
+        overlayIds.forEach(id => {
+            const layerName = id === '#toggleClimateZoneLayer'
+                ? 'climate-zone-overlay'
+                : id.replace('#toggle', '').replace('Layer', '-overlay').toLowerCase();
+            const isVisible = !!(mapView.layers[layerName] as any)?.visible;
+            if (!isVisible && d3.select(id).classed('active')) {
+                d3.select(id).classed('active', false);
+                updateLegend(null);
+            }
+        });
+    };
 }
 
 function applyInitialUIState() {
@@ -305,7 +353,8 @@ function applyInitialUIState() {
         { id: '#toggleTerritoryLayer', layer: 'territory-overlay' },
         { id: '#toggleHexBorderLayer', layer: 'hex-border' },
         { id: '#toggleRidgeWaterSystemLayer', layer: 'ridge-water-system' },
-        { id: '#toggleJapanLayer', layer: 'japan-overlay' }
+        { id: '#toggleJapanLayer', layer: 'japan-overlay' },
+        { id: '#toggleAnnotationLayer', layer: 'annotation' }
     ];
 
     Object.keys(initialSettings).forEach(layerName => {
@@ -402,6 +451,121 @@ export async function redrawMap(allHexes) {
     }
 }
 
+/**
+ * 名前 (集落・国・河川・山脈) の変更を地図と情報ウィンドウに反映
+ */
+export function refreshHexNames(allHexes) {
+    if (mapView) {
+        mapView.hexes = allHexes;
+        mapView.refreshHexNames();
+    }
+}
+
+/**
+ * 編集モードの切り替え (handler = 地図のクリック処理、null で終了)
+ */
+export function setEditHandler(handler: ((d: any) => void) | null) {
+    if (mapView) mapView.setEditHandler(handler);
+}
+
+/**
+ * 地点の選択を開始 (次にクリックしたヘックスを handler に渡す。null で取り消し)
+ */
+export function setPickHandler(handler: ((d: any) => void) | null) {
+    if (mapView) mapView.setPickHandler(handler);
+}
+
+/**
+ * 霧を晴らすブラシを開始 (クリックしたヘックスを handler に渡す。null で終了)
+ */
+export function setRevealHandler(handler: ((d: any) => void) | null) {
+    revealHandler = handler;
+    if (mapView) mapView.setRevealHandler(handler);
+}
+
+/**
+ * 戦場の霧を地図に反映 (campaign = null で霧なし、playerView = false で GM 表示)
+ * キャンペーンを変更したあとにも呼び出す。
+ */
+export function setFogOfWar(campaign: FogCampaign | null, playerView: boolean) {
+    fogCampaign = campaign;
+    fogPlayerView = playerView;
+    if (!mapView) return;
+    mapView.setFogOfWar(campaign, playerView);
+    if (syncLayerButtons) syncLayerButtons();
+}
+
+/**
+ * 地図の注釈を表示 (draft = 編集中の注釈。保存済みの同じ注釈の代わりに表示する)
+ */
+export function setAnnotations(list: Annotation[], draft: Annotation | null = null) {
+    annotations = list;
+    annotationDraft = draft;
+    if (mapView) mapView.setAnnotations(list, draft);
+}
+
+/**
+ * 地図に表示する月を切り替える (null で年平均。気温・降水量・積雪の表示を描き直す)
+ */
+function setMapMonth(month: number | null) {
+    mapMonth = month;
+    if (mapView) mapView.setMonth(month);
+}
+
+/**
+ * 旅程の経路を地図に表示 (null で消去)
+ */
+export function setTravelRoute(route: { path: number[]; stops: { index: number; label: string }[] } | null) {
+    if (mapView) mapView.setTravelRoute(route);
+}
+
+/**
+ * 地図に表示している旅程の経路 (なければ null)
+ */
+export function getTravelRoute(): { path: number[]; stops: { index: number; label: string }[] } | null {
+    return mapView ? mapView.travelRoute : null;
+}
+
+/**
+ * 検索結果のヘックスを地図でハイライト (null で消去)
+ */
+export function setSearchHighlights(cells: { col: number; row: number }[] | null) {
+    if (mapView) mapView.setSearchHighlights(cells);
+}
+
+/**
+ * 指定したヘックスが画面の中央に来るように地図を移動する (必要なブロックは移動後に読み込まれる)
+ */
+export function focusMapHex(col: number, row: number) {
+    if (mapView) mapView.focusHex(col, row);
+}
+
+/**
+ * 画面に表示している範囲 (ワールド座標)。地図がなければ null
+ */
+export function getMapViewBounds(): mapExporter.MapBounds | null {
+    return mapView ? mapView.getViewBounds() : null;
+}
+
+/**
+ * 地図を GeoJSON・SVG・PNG で書き出す (mapExporter.ts)
+ */
+export async function exportMap(format: mapExporter.MapExportFormat, options: mapExporter.MapExportOptions): Promise<mapExporter.MapExportResult> {
+    if (!mapView) throw new Error('地図がまだ表示されていません。');
+    return mapExporter.exportMap(mapView, format, options);
+}
+
+/**
+ * ヘックス編集の結果を地図と情報ウィンドウに反映
+ */
+export function refreshEditedHexes(allHexes) {
+    if (mapView) {
+        mapView.hexes = allHexes;
+        mapView.refreshEditedHexes();
+        updateOverallInfo(allHexes);
+    }
+}
+
 /**
  * UIのリセット
  * ミニマップ等の要素を削除します。
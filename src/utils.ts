@@ -134,6 +134,131 @@ export function formatProgressBar({ current, total, prefix = "", barWidth = 40 }
     return `${prefix} [${bar}] ${percent}% (${current}/${total})`;
 }
 
+/**
+ * 生成工程の進捗 (ワーカーから main.ts のプログレスバーへ送る構造化イベント)
+ */
+export interface GenerationProgress {
+    pass: string; // 工程のID (例: 'trade-route')。同じ工程の進捗は同じIDで届く
+    label: string; // 表示名
+    current: number;
+    total: number;
+}
+
+// 進捗の受け取り先 (generationWorker.ts が設定する)。未設定なら formatProgressBar のログで表示する
+let progressHandler: ((progress: GenerationProgress) => void) | null = null;
+
+/**
+ * 進捗の受け取り先を設定する (null で解除し、テキストのログ表示に戻す)
+ * @param {Function|null} handler
+ */
+export function setProgressHandler(handler: ((progress: GenerationProgress) => void) | null): void {
+    progressHandler = handler;
+}
+
+/**
+ * 生成工程の進捗を報告する
+ * 受け取り先が設定されていればそこへ渡し、なければ (CLI など) テキストのプログレスバーを同じ行に書き出す。
+ * @param {Function} addLogMessage - ログ出力関数
+ * @param {GenerationProgress} progress - 進捗
+ */
+export async function reportProgress(addLogMessage: (message: string, id?: string | null) => Promise<void>, progress: GenerationProgress): Promise<void> {
+    if (passTimings) recordPassTiming(progress);
+    if (progressHandler) {
+        progressHandler(progress);
+        return;
+    }
+    await addLogMessage(formatProgressBar({ current: progress.current, total: progress.total, prefix: `${progress.label}:` }), `${progress.pass}-progress`);
+}
+
+/**
+ * 工程ごとの所要時間 (ベンチマーク)
+ */
+export interface PassTiming {
+    pass: string;
+    label: string;
+    startMs: number; // 計測開始から工程の最初の進捗報告までの時間
+    elapsedMs: number; // 最初の進捗報告から最後の進捗報告までの時間
+}
+
+// 計測中の工程 (startPassTimings から stopPassTimings まで)
+let passTimings: Map<string, PassTiming> | null = null;
+let passTimingOrigin = 0;
+
+/**
+ * 工程ごとの所要時間の計測を始める (CLI の --benchmark)
+ * 各工程は開始時に current: 0 の進捗を報告するため、最初と最後の報告の間隔を工程の所要時間とする。
+ */
+export function startPassTimings(): void {
+    passTimings = new Map();
+    passTimingOrigin = performance.now();
+}
+
+/**
+ * 計測を終え、工程ごとの所要時間を開始順に返す
+ * @returns {PassTiming[]}
+ */
+export function stopPassTimings(): PassTiming[] {
+    const timings = passTimings ? [...passTimings.values()] : [];
+    passTimings = null;
+    return timings;
+}
+
+function recordPassTiming(progress: GenerationProgress) {
+    const now = performance.now() - passTimingOrigin;
+    const timing = passTimings!.get(progress.pass);
+    if (timing) timing.elapsedMs = now - timing.startMs;
+    else passTimings!.set(progress.pass, { pass: progress.pass, label: progress.label, startMs: now, elapsedMs: 0 });
+}
+
+/**
+ * 経路探索用の二分ヒープ (優先度の小さい順に取り出す)
+ */
+export class MinHeap {
+    private items: number[] = [];
+    private priorities: number[] = [];
+
+    get size() { return this.items.length; }
+
+    push(item: number, priority: number) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[i]) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop(): number {
+        const top = this.items[0];
+        const lastItem = this.items.pop()!;
+        const lastPriority = this.priorities.pop()!;
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            let i = 0;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.items.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < this.items.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === i) break;
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    private swap(a: number, b: number) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
+
 /**
  * ヘックスの位置情報を指定されたフォーマットの文字列に変換する
  * 
@@ -206,6 +331,42 @@ export function formatLocation(hexData: HexMinimal | null | undefined, formatTyp
     }
 }
 
+// 生成・編集された国名 (国家ID -> 国名)。nameGenerator.ts と国家史が登録する
+const nationNameRegistry = new Map<number, string>();
+
+/**
+ * 国家IDから国名を取得する
+ * 
+ * 仕様:
+ * 命名で登録された国名を優先し、無ければ config.NATION_NAMES を国家ID順に参照する。
+ * どちらにも無いIDは「国家N」とする。
+ * 
+ * @param {number} nationId - 国家ID (1始まり)
+ * @param {string} [neutralLabel='辺境'] - 国家ID 0 (どの国にも属さない) の場合の表示
+ * @returns {string} 国名
+ */
+export function getNationName(nationId: number, neutralLabel: string = '辺境'): string {
+    if (!nationId || nationId <= 0) return neutralLabel;
+    return nationNameRegistry.get(nationId) || config.NATION_NAMES[nationId - 1] || `国家${nationId}`;
+}
+
+/**
+ * 国名を登録する (name が空の場合は登録を解除し、既定の国名に戻す)
+ * @param {number} nationId - 国家ID
+ * @param {string|null} name - 国名
+ */
+export function setNationName(nationId: number, name: string | null): void {
+    if (name) nationNameRegistry.set(nationId, name);
+    else nationNameRegistry.delete(nationId);
+}
+
+/**
+ * 登録済みの国名をすべて解除する (世界の生成・読み込みの前に呼び出す)
+ */
+export function clearNationNames(): void {
+    nationNameRegistry.clear();
+}
+
 /**
  * 2つの隣接するヘックスの共有辺の端点（2点）を計算する
  * 
@@ -346,6 +507,28 @@ export class SeededRandom {
     nextInt(min: number, max: number): number {
         return Math.floor(this.next() * (max - min + 1)) + min;
     }
+
+    /**
+     * 内部状態を取り出す (ワーカー間で乱数系列を引き継ぐため)
+     * @returns {RandomState}
+     */
+    getState(): RandomState {
+        return { seed: this.initialSeed, s: [this.s0, this.s1, this.s2, this.s3] };
+    }
+
+    /**
+     * getState で取り出した内部状態に戻す
+     * @param {RandomState} state
+     */
+    setState(state: RandomState): void {
+        [this.s0, this.s1, this.s2, this.s3] = state.s;
+    }
+}
+
+/** SeededRandom の内部状態 */
+export interface RandomState {
+    seed: number;
+    s: number[];
 }
 
 // グローバルなPRNGインスタンス（アプリケーション全体で共有）
@@ -365,3 +548,16 @@ export function initGlobalRandom(seed: number | string): void {
     console.log(`[PRNG] Initialized with seed: ${seed}`);
 }
 
+/**
+ * グローバルPRNGを、保存しておいた内部状態から再開する
+ * 
+ * 仕様:
+ * 生成ステップごとに別のワーカーで実行しても、1つのスレッドで続けて実行した場合と同じ乱数系列になるようにする。
+ * 
+ * @param {RandomState} state - getState で取り出した内部状態
+ */
+export function restoreGlobalRandom(state: RandomState): void {
+    globalRandom = new SeededRandom(state.seed);
+    globalRandom.setState(state);
+}
+
@@ -0,0 +1,299 @@
+// ================================================================
+// GeoForge System - 部分的な再生成パネル
+// ================================================================
+// サイドバーの「部分的な再生成」パネル。地形・首都・国境・集落のうち固定するものを選び (regenerationLocks.ts)、
+// 残りを新しいシードで作り直す。作り直した世界はバリエーション (worldVariants.ts) として残り、切り替えられる。
+// 作り直しと切り替えは main.ts が行う (ステップ③④を固定の内容で実行する)。
+
+import { Hex } from './WorldMap.ts';
+import { formatLocation, getNationName } from './utils.ts';
+import { RegenerationLocks, createEmptyLocks } from './regenerationLocks.ts';
+import { RerollStage, getVariants, getActiveVariantId, removeVariant, canSwitchToVariant } from './worldVariants.ts';
+
+interface VariantPanelOptions {
+    // 現在の世界データ ({ allHexes }) を返す
+    getWorldData: () => any;
+    // 地点の選択を開始する (handler = 次にクリックされたヘックスを受け取る関数、null で取り消し)
+    onPickRequest: (handler: ((d: any) => void) | null) => void;
+    // 固定したまま作り直す
+    onRerollRequest: (stage: RerollStage, seed: number, locks: RegenerationLocks) => Promise<void>;
+    // バリエーションを切り替える
+    onSwitchRequest: (id: string) => Promise<void>;
+}
+
+let options: VariantPanelOptions;
+
+let terrainCheckbox: HTMLInputElement;
+let nationLocksElement: HTMLElement;
+let settlementList: HTMLSelectElement;
+let settlementPickButton: HTMLButtonElement;
+let settlementRemoveButton: HTMLButtonElement;
+let stageSelect: HTMLSelectElement;
+let seedInput: HTMLInputElement;
+let seedRandomButton: HTMLButtonElement;
+let rerollButton: HTMLButtonElement;
+let variantList: HTMLSelectElement;
+let switchButton: HTMLButtonElement;
+let deleteButton: HTMLButtonElement;
+let statusElement: HTMLElement;
+
+let enabled = false;
+let locks: RegenerationLocks = createEmptyLocks();
+
+/**
+ * パネルを初期化する (main.ts から一度だけ呼び出す)
+ * @param {VariantPanelOptions} panelOptions
+ */
+export function setupVariantPanel(panelOptions: VariantPanelOptions) {
+    options = panelOptions;
+
+    terrainCheckbox = document.getElementById('variant-lock-terrain') as HTMLInputElement;
+    nationLocksElement = document.getElementById('variant-nation-locks') as HTMLElement;
+    settlementList = document.getElementById('variant-settlement-list') as HTMLSelectElement;
+    settlementPickButton = document.getElementById('variant-settlement-pick-btn') as HTMLButtonElement;
+    settlementRemoveButton = document.getElementById('variant-settlement-remove-btn') as HTMLButtonElement;
+    stageSelect = document.getElementById('variant-stage-select') as HTMLSelectElement;
+    seedInput = document.getElementById('variant-seed-input') as HTMLInputElement;
+    seedRandomButton = document.getElementById('variant-seed-random-btn') as HTMLButtonElement;
+    rerollButton = document.getElementById('variant-reroll-btn') as HTMLButtonElement;
+    variantList = document.getElementById('variant-list') as HTMLSelectElement;
+    switchButton = document.getElementById('variant-switch-btn') as HTMLButtonElement;
+    deleteButton = document.getElementById('variant-delete-btn') as HTMLButtonElement;
+    statusElement = document.getElementById('variant-status') as HTMLElement;
+
+    terrainCheckbox.addEventListener('change', () => { locks.terrain = terrainCheckbox.checked; });
+    settlementPickButton.addEventListener('click', startPick);
+    settlementRemoveButton.addEventListener('click', handleRemoveSettlement);
+    settlementList.addEventListener('change', updateControls);
+    seedRandomButton.addEventListener('click', () => seedInput.value = String(Date.now()));
+    rerollButton.addEventListener('click', handleReroll);
+    variantList.addEventListener('change', updateControls);
+    switchButton.addEventListener('click', handleSwitch);
+    deleteButton.addEventListener('click', handleDelete);
+    updateVariantPanel(false);
+}
+
+/**
+ * パネルの有効・無効を切り替える
+ * @param {boolean} isEnabled - 作り直せる状態かどうか (経済まで生成済みの世界)
+ */
+export function updateVariantPanel(isEnabled: boolean) {
+    if (!terrainCheckbox) return;
+    enabled = isEnabled;
+    refreshVariantPanel();
+}
+
+/**
+ * 世界が変わったとき (作り直し・切り替え・年表・ヘックス編集) に、固定の選択肢とバリエーションの一覧を作り直す
+ * 首都でなくなったヘックス・なくなった国・人のいなくなった集落の固定は外す。
+ */
+export function refreshVariantPanel() {
+    if (!terrainCheckbox) return;
+    pruneLocks();
+    terrainCheckbox.disabled = !enabled;
+    terrainCheckbox.checked = locks.terrain;
+    renderNationLocks();
+    renderSettlementList();
+    renderVariantList();
+    updateControls();
+}
+
+/**
+ * 固定を外し、バリエーションの一覧を空にする (新しい世界の生成・読み込み時)
+ */
+export function resetVariantPanel() {
+    locks = createEmptyLocks();
+    setStatus('');
+    refreshVariantPanel();
+}
+
+/**
+ * パネルで選んでいる固定
+ * @returns {RegenerationLocks}
+ */
+export function getRegenerationLocks(): RegenerationLocks {
+    return locks;
+}
+
+// ================================================================
+// ■ 固定の選択
+// ================================================================
+
+function getCapitals(): Hex[] {
+    const worldData = options.getWorldData();
+    if (!worldData || !worldData.allHexes) return [];
+    return worldData.allHexes
+        .filter((h: Hex) => h.properties.settlement === '首都' && h.properties.nationId > 0)
+        .sort((a: Hex, b: Hex) => a.properties.nationId - b.properties.nationId);
+}
+
+function pruneLocks() {
+    const worldData = options.getWorldData();
+    if (!worldData || !worldData.allHexes) {
+        locks = { ...createEmptyLocks(), terrain: locks.terrain };
+        return;
+    }
+    const allHexes = worldData.allHexes;
+    const capitals = getCapitals();
+    const nationIds = new Set(capitals.map(h => h.properties.nationId));
+    locks.capitals = locks.capitals.filter(index => allHexes[index] && allHexes[index].properties.settlement === '首都');
+    locks.nations = locks.nations.filter(nationId => nationIds.has(nationId));
+    locks.settlements = locks.settlements.filter(index => allHexes[index] && allHexes[index].properties.settlement && allHexes[index].properties.population > 0);
+}
+
+function renderNationLocks() {
+    const capitals = enabled ? getCapitals() : [];
+    if (capitals.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'note';
+        empty.textContent = '国がありません。';
+        nationLocksElement.replaceChildren(empty);
+        return;
+    }
+    nationLocksElement.replaceChildren(...capitals.map(capital => {
+        const index = capital.index;
+        const nationId = capital.properties.nationId;
+        const row = document.createElement('div');
+        row.className = 'variant-nation-row';
+
+        const name = document.createElement('span');
+        name.textContent = getNationName(nationId);
+        name.title = `首都: ${capital.properties.settlementName || '首都'} (${formatLocation(capital, 'short')})`;
+
+        // 国境を固定した国は首都も固定する
+        const borderLocked = locks.nations.includes(nationId);
+        const capitalCheckbox = createCheckbox('首都', borderLocked || locks.capitals.includes(index), checked => {
+            locks.capitals = locks.capitals.filter(i => i !== index);
+            if (checked) locks.capitals.push(index);
+        });
+        capitalCheckbox.input.disabled = borderLocked;
+        const borderCheckbox = createCheckbox('国境', borderLocked, checked => {
+            locks.nations = locks.nations.filter(id => id !== nationId);
+            if (checked) locks.nations.push(nationId);
+            renderNationLocks();
+        });
+
+        row.append(name, capitalCheckbox.label, borderCheckbox.label);
+        return row;
+    }));
+}
+
+function createCheckbox(text: string, checked: boolean, onChange: (checked: boolean) => void) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onChange(input.checked));
+    label.append(input, ` ${text}`);
+    return { label, input };
+}
+
+function renderSettlementList() {
+    const worldData = options.getWorldData();
+    const allHexes = worldData && worldData.allHexes;
+    settlementList.replaceChildren(...(allHexes ? locks.settlements : []).map(index => {
+        const h = allHexes[index];
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = `${h.properties.settlementName || h.properties.settlement} [${h.properties.settlement}] ${formatLocation(h, 'short')}`;
+        return option;
+    }));
+}
+
+function startPick() {
+    setStatus('地図で固定する集落をクリックしてください。');
+    armPick();
+}
+
+// 地点の選択は 1 回のクリックで解除されるため、集落でないヘックスを選んだときは選択を続ける
+function armPick() {
+    options.onPickRequest((d: any) => {
+        const worldData = options.getWorldData();
+        if (!enabled || !worldData || !worldData.allHexes) return;
+
+        // 共有バッファに現在のデータがないブロック (座標が一致しない) のヘックスは選べない
+        const h = worldData.allHexes[d.index];
+        if (!h || h.col !== d.col || h.row !== d.row) {
+            setStatus('このヘックスは読み込まれていないため選べません。');
+            armPick();
+            return;
+        }
+        if (!h.properties.settlement || !(h.properties.population > 0)) {
+            setStatus('人の住む集落を選んでください。');
+            armPick();
+            return;
+        }
+        if (!locks.settlements.includes(d.index)) locks.settlements.push(d.index);
+        renderSettlementList();
+        settlementList.value = String(d.index);
+        updateControls();
+        setStatus(`${h.properties.settlementName || h.properties.settlement} を固定しました。`);
+    });
+}
+
+function handleRemoveSettlement() {
+    const index = Number(settlementList.value);
+    locks.settlements = locks.settlements.filter(i => i !== index);
+    renderSettlementList();
+    updateControls();
+}
+
+// ================================================================
+// ■ 作り直しとバリエーション
+// ================================================================
+
+async function handleReroll() {
+    const value = seedInput.value.trim();
+    const seed = value === '' ? Date.now() : Number(value);
+    if (!Number.isSafeInteger(seed)) {
+        setStatus('シード値は整数で入力してください。');
+        return;
+    }
+    setStatus('');
+    await options.onRerollRequest(stageSelect.value as RerollStage, seed, locks);
+    seedInput.value = '';
+}
+
+async function handleSwitch() {
+    if (!variantList.value) return;
+    await options.onSwitchRequest(variantList.value);
+}
+
+function handleDelete() {
+    const variant = getVariants().find(v => v.id === variantList.value);
+    if (!variant || !confirm(`バリエーション「${variant.label}」を消しますか？`)) return;
+    removeVariant(variant.id);
+    renderVariantList();
+    updateControls();
+}
+
+function renderVariantList() {
+    const activeId = getActiveVariantId();
+    const selected = variantList.value;
+    variantList.replaceChildren(...getVariants().map(v => {
+        const option = document.createElement('option');
+        option.value = v.id;
+        // 記録だけの手で編集したものは、レシピから作り直せないため切り替えられない
+        const note = v.edited ? (canSwitchToVariant(v) ? ' / 編集あり' : ' / 編集あり (切り替え不可)') : '';
+        option.textContent = `${v.id === activeId ? '▶ ' : ''}${v.label} / 固定: ${v.locks}${note}`;
+        return option;
+    }));
+    variantList.value = getVariants().some(v => v.id === selected) ? selected : (activeId || '');
+}
+
+function updateControls() {
+    settlementPickButton.disabled = !enabled;
+    settlementRemoveButton.disabled = !enabled || !settlementList.value;
+    stageSelect.disabled = !enabled;
+    seedInput.disabled = !enabled;
+    seedRandomButton.disabled = !enabled;
+    rerollButton.disabled = !enabled;
+    const activeId = getActiveVariantId();
+    const selected = getVariants().find(v => v.id === variantList.value);
+    switchButton.disabled = !enabled || !selected || selected.id === activeId || !canSwitchToVariant(selected);
+    deleteButton.disabled = !enabled || !variantList.value || variantList.value === activeId;
+}
+
+function setStatus(message: string) {
+    statusElement.textContent = message;
+}
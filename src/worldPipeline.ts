@@ -0,0 +1,363 @@
+// ================================================================
+// GeoForge System - 世界生成パイプライン (DOM非依存)
+// ================================================================
+// main.ts の各ステップ (runStep1～4) から DOM 操作を取り除いた生成処理本体。
+// ブラウザ (main.ts) とヘッドレス CLI (scripts/geoforge.mjs) の両方から利用される。
+
+import * as config from './config.ts';
+import { generateIntegratedMap, BaseTerrainImage } from './continentGenerator.ts';
+import { generateCivilization, determineTerritories, generateMonsterDistribution, generateHuntingPotential, generateLivestockPotential, assignTerritoriesByTradeRoutes, resetTerritories } from './civilizationGenerator.ts';
+import { simulateEconomy, calculateRoadTraffic } from './economySimulator.js';
+import { calculateTerritoryAggregates } from './missing_functions.ts';
+import { assignWorldNames } from './nameGenerator.ts';
+import { generateTradeRoutes, generateFeederRoads, generateMainTradeRoutes, calculateRoadDistance, calculateTravelDays, generateSeaRoutes } from './roadGenerator.ts';
+import { getIndex, initGlobalRandom, reportProgress, clearNationNames } from './utils.ts';
+import { WorldMap, Hex } from './WorldMap.ts';
+import { splitWorldIntoBlocks } from './MapSplitter.ts';
+import { createBlockFile } from './BlockIO.ts';
+import { WorldRecipe, RecipeReroll, createRecipe, setActiveRecipe, getActiveRecipe, withBaseTerrain, getBaseTerrainWarning, withReroll, withoutRerolls } from './worldRecipe.ts';
+import { canClaimHex, restorePinnedNames, resolveLockPlan, setActiveLockPlan, locksFromReroll } from './regenerationLocks.ts';
+import { REROLL_STAGE_LABELS } from './worldVariants.ts';
+
+// CLI (scripts/geoforge.mjs) が同じモジュールのレシピを使えるように再公開する
+export { decodeRecipe, validateRecipe } from './worldRecipe.ts';
+// CLI のベンチマーク (--benchmark) 用
+export { startPassTimings, stopPassTimings } from './utils.ts';
+// CLI のバイナリ形式の書き出し (--format binary) 用
+export { encodeBlockFile } from './BlockBinary.ts';
+// CLI の書き出したブロックの検査 (generate) 用
+export { validateBlocks } from './worldValidator.ts';
+
+/** ログ出力関数 (id を指定すると同じ行を書き換える) */
+export type LogFn = (message: string, id?: string | null) => Promise<void>;
+
+export interface WorldData {
+    allHexes: WorldMap | null;
+    roadPaths: any[] | null;
+    seed: number;
+    recipe?: WorldRecipe; // 生成に使ったレシピ (worldRecipe.ts)
+}
+
+// ================================================================
+// ■ 各生成ステージ
+// ================================================================
+
+/**
+ * ステージ1: 大陸・河川・気候・植生の生成
+ * シードで乱数を初期化してから地形を生成するため、同じシードからは同じ大陸が得られる。
+ * @param {number} seed - 乱数シード
+ * @param {LogFn} addLogMessage - ログ出力関数
+ * @param {Function} [redrawFn] - 途中経過の描画用コールバック (ブラウザのみ)
+ * @param {BaseTerrainImage|null} [baseTerrain] - 地形の下絵 (高さ画像・陸地マスク)。省略時はノイズで大陸を作る
+ * @returns {Promise<WorldMap>} 生成された全ヘックス
+ */
+export async function runContinentStage(seed: number, addLogMessage: LogFn, redrawFn?: (hexes: WorldMap) => Promise<void>, baseTerrain: BaseTerrainImage | null = null): Promise<WorldMap> {
+    initGlobalRandom(seed);
+    return await generateIntegratedMap(addLogMessage, redrawFn, baseTerrain);
+}
+
+/**
+ * ステージ2: 集落・人口、および生態系（魔物・狩猟・畜産）の生成
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {LogFn} addLogMessage - ログ出力関数
+ * @returns {Promise<{allHexes: WorldMap, roadPaths: any[]}>}
+ */
+export async function runSettlementStage(allHexes: WorldMap, addLogMessage: LogFn) {
+    const reportPass = (current: number) => reportProgress(addLogMessage, { pass: 'settlement', label: '文明の生成', current, total: 4 });
+
+    // 文明生成 (civilizationGenerator.js)
+    await reportPass(0);
+    const civResult = await generateCivilization(allHexes, addLogMessage);
+    let hexes = civResult.allHexes;
+    await reportPass(1);
+
+    await addLogMessage("生態系（魔物）の分布を計算しています...");
+    hexes = generateMonsterDistribution(hexes);
+    await reportPass(2);
+
+    await addLogMessage("狩猟のポテンシャルを評価しています...");
+    hexes = generateHuntingPotential(hexes);
+    await reportPass(3);
+
+    await addLogMessage("畜産のポテンシャルを評価しています...");
+    hexes = generateLivestockPotential(hexes);
+    await reportPass(4);
+
+    return { allHexes: hexes, roadPaths: civResult.roadPaths };
+}
+
+/**
+ * ステージ3-a: 道路網（通商路・交易路・下位道路・海路）の生成と領都の割り当て
+ * 道路が通過するヘックスには roadLevel / nationId が書き込まれる。
+ * 作り直す場合に備えて、前回の道路・領都・所属を消してから生成する (首都と、国境を固定した国の領土は残す)。
+ * @param {WorldMap} allHexes - 全ヘックスデータ
+ * @param {LogFn} addLogMessage - ログ出力関数
+ * @returns {Promise<Array<object>>} 生成された全道路 (roadPaths)
+ */
+export async function buildRoadNetwork(allHexes: WorldMap, addLogMessage: LogFn): Promise<any[]> {
+    resetTerritories(allHexes);
+
+    // 集落区分に基づき都市リストを抽出
+    const cities = allHexes.filter((h: Hex) => h.properties.settlement === '都市' || h.properties.settlement === '首都' || h.properties.settlement === '領都');
+    const capitals = cities.filter((h: Hex) => h.properties.settlement === '首都');
+    const reportPass = (current: number) => reportProgress(addLogMessage, { pass: 'road-network', label: '道路網の建設', current, total: 6 });
+    await reportPass(0);
+
+    // STEP 0: 隣り合う首都間を結ぶ「基幹通商路」を最優先で確定する
+    // (A*アルゴリズムを用いて、地形コストを考慮した最短パスを生成)
+    const mainTradeRoutePaths = await generateMainTradeRoutes(capitals, allHexes, addLogMessage);
+    let allRoadPaths: any[] = mainTradeRoutePaths; // 最終的な道路リストをまず通商路で初期化
+    await reportPass(1);
+
+    // 通商路の情報をヘックスに書き込み、後のA*探索でコストが下がるようにする (既存道路の利用促進)
+    mainTradeRoutePaths.forEach(route => {
+        route.path.forEach(pos => {
+            const hex = allHexes[getIndex(pos.x, pos.y)];
+            if (hex && !hex.properties.isWater) {
+                // 道路レベル6: 基幹街道
+                if (!hex.properties.roadLevel || hex.properties.roadLevel < 6) {
+                    hex.properties.roadLevel = 6;
+                }
+            }
+        });
+    });
+
+    // STEP 1: 都市間の「交易路」の候補を探索 (隣り合う都市どうしと、各都市から最寄りの首都への経路)
+    await addLogMessage("都市間の交易路の可能性を探索しています...");
+    // generateTradeRoutesは、コスト場が既存道路(通商路)を優先するため、より効率的なルートを見つける
+    const { routeData: allTradeRoutes } = await generateTradeRoutes(cities, capitals, allHexes, addLogMessage);
+    await reportPass(2);
+
+    // STEP 2: 領都の決定と領土割り当て
+    // 交易路で結ばれ、かつ移動日数が近い都市を、首都の支配下（領都）として割り当てる
+    await addLogMessage("交易路網に基づき、首都の初期領土を割り当てています...");
+    const { regionalCapitals } = assignTerritoriesByTradeRoutes(cities, capitals, allTradeRoutes, allHexes);
+
+    // 領都と首都の距離・日数を計算 (統治コスト計算用)
+    regionalCapitals.forEach(rc => {
+        const capitalId = rc.properties.parentHexId;
+        const regionalCapitalId = getIndex(rc.col, rc.row);
+
+        // 対応する交易路データを再検索
+        const route = allTradeRoutes.find(r =>
+            (r.fromId === regionalCapitalId && r.toId === capitalId) ||
+            (r.fromId === capitalId && r.toId === regionalCapitalId)
+        );
+
+        if (route) {
+            // 道路レベル5 (交易路) として距離と日数を計算
+            const distance = calculateRoadDistance(route.path, 5, allHexes);
+            const travelDays = calculateTravelDays(route.path, 5, allHexes);
+
+            // 計算結果をプロパティに保存
+            rc.properties.distanceToParent = distance;
+            rc.properties.travelDaysToParent = travelDays;
+        }
+    });
+
+    // STEP 3: 交易路の選別
+    // 生成された全ルート候補から、有効な交易路のみを確定リストに残す
+    const finalTradeRoutes: any[] = [];
+    const guaranteedRoutes = new Set();
+
+    // 手順3-1: 領都から直上の首都までのルートを必ず確保する（国家の結合維持のため）
+    regionalCapitals.forEach(rc => {
+        const capitalId = rc.properties.parentHexId!;
+        const regionalCapitalId = getIndex(rc.col, rc.row);
+
+        const route = allTradeRoutes.find(r =>
+            (r.fromId === regionalCapitalId && r.toId === capitalId) ||
+            (r.fromId === capitalId && r.toId === regionalCapitalId)
+        );
+        if (route) {
+            // ルートデータ自体に国籍情報を付与 (国内交易路)
+            route.nationId = rc.properties.nationId;
+            finalTradeRoutes.push(route);
+            const routeKey = Math.min(route.fromId, route.toId) + '-' + Math.max(route.fromId, route.toId);
+            guaranteedRoutes.add(routeKey);
+        }
+    });
+
+    // 手順3-2: それ以外の交易路は、30日以上かかるものを削除する (遠すぎる交易は成立しない)
+    allTradeRoutes.forEach(route => {
+        const routeKey = Math.min(route.fromId, route.toId) + '-' + Math.max(route.fromId, route.toId);
+        // 保証済みのルートではなく、かつ30日未満のルートのみを追加
+        if (!guaranteedRoutes.has(routeKey) && route.travelDays < config.MAX_TRADE_ROUTE_DAYS) {
+            // 未所属の交易路として国籍ID:0 を設定 (中立路)
+            route.nationId = 0;
+            finalTradeRoutes.push(route);
+        }
+    });
+
+    await addLogMessage(`交易路を選別し、${finalTradeRoutes.length}本に絞り込みました。`);
+
+    // 選別された交易路を描画用データに変換し、allRoadPaths に追加
+    const finalTradeRoutePaths = finalTradeRoutes.map(route => {
+        return { path: route.path.map((p: any) => ({ x: p.x, y: p.y })), level: 5, nationId: route.nationId };
+    });
+    allRoadPaths.push(...finalTradeRoutePaths);
+
+    // 交易路の情報をヘックスに書き込む (基幹通商路を上書きしないようにレベルチェック)
+    finalTradeRoutes.forEach(route => {
+        route.path.forEach((pos: any) => {
+            const hex = allHexes[getIndex(pos.x, pos.y)];
+            if (hex && !hex.properties.isWater) {
+                // 道路レベル5: 交易路
+                if (!hex.properties.roadLevel || hex.properties.roadLevel < 5) {
+                    hex.properties.roadLevel = 5;
+                }
+                // ヘックスの国籍も更新 (道路が通る場所は影響力下とみなす。国境を固定した国の領土は除く)
+                if (route.nationId > 0 && canClaimHex(getIndex(pos.x, pos.y), route.nationId)) {
+                    hex.properties.nationId = route.nationId;
+                }
+            }
+        });
+    });
+
+    // STEP 4: 階層的な下位道路の生成
+    // 「街」「町」「村」を、上位の集落（ハブ）や既存の道路網に接続する
+    await addLogMessage("集落を結ぶ下位道路網を建設しています...");
+    const hubs = [...capitals, ...regionalCapitals];
+    const streets = allHexes.filter((h: Hex) => h.properties.settlement === '街');
+    const towns = allHexes.filter((h: Hex) => h.properties.settlement === '町');
+    const villages = allHexes.filter((h: Hex) => h.properties.settlement === '村');
+
+    // 街 -> ハブ (コスト場は敷設済みの道路を読むため、交易路を利用しやすくなっている)
+    const streetRoads = await generateFeederRoads(streets, hubs, allHexes, '街', addLogMessage);
+    allRoadPaths.push(...streetRoads);
+    await reportPass(3);
+
+    // 町 -> ハブ + 街
+    const townRoads = await generateFeederRoads(towns, [...hubs, ...streets], allHexes, '町', addLogMessage);
+    allRoadPaths.push(...townRoads);
+    await reportPass(4);
+
+    // 村 -> ハブ + 街 + 町
+    const villageRoads = await generateFeederRoads(villages, [...hubs, ...streets, ...towns], allHexes, '村', addLogMessage);
+    allRoadPaths.push(...villageRoads);
+    await reportPass(5);
+
+    // 海路の生成 (港湾を持つ都市間のルート)
+    const seaRoutePaths = await generateSeaRoutes(allHexes, addLogMessage);
+    allRoadPaths.push(...seaRoutePaths);
+    await reportPass(6);
+
+    return allRoadPaths;
+}
+
+/**
+ * ステージ3-b: 国境・領土の最終確定と経済シミュレーション
+ * 経済シミュレーションの直前に乱数をシードで再初期化し、結果の再現性を保証する。
+ * @param {WorldData} worldData - allHexes / roadPaths / seed を持つ世界データ (破壊的に更新)
+ * @param {LogFn} addLogMessage - ログ出力関数
+ * @returns {Promise<WorldData>} 更新後の世界データ
+ */
+export async function runEconomyStage(worldData: WorldData, addLogMessage: LogFn): Promise<WorldData> {
+    const reportPass = (current: number) => reportProgress(addLogMessage, { pass: 'nation', label: '国家と経済の確定', current, total: 3 });
+
+    // 道路網に基づき、影響範囲(Territory)を再計算する
+    await reportPass(0);
+    worldData.allHexes = await determineTerritories(worldData.allHexes, addLogMessage);
+
+    // [CRITICAL] 経済シミュレーションの前に必ずシードをリセットし、結果の再現性を保証する
+    initGlobalRandom(worldData.seed);
+
+    // 経済シミュレーション実行 (人口推移、産業、物資需給など) (economySimulator.js)
+    worldData.allHexes = await simulateEconomy(worldData.allHexes, addLogMessage, worldData.roadPaths);
+    await reportPass(1);
+    // 領土ごとの統計データを集計
+    worldData.allHexes = await calculateTerritoryAggregates(worldData.allHexes, addLogMessage);
+    // 道路の交通量を計算
+    worldData.allHexes = await calculateRoadTraffic(worldData.allHexes, worldData.roadPaths, addLogMessage);
+    await reportPass(2);
+    // 国・集落・河川・山脈に名前を付ける (nameGenerator.ts)
+    worldData.allHexes = await assignWorldNames(worldData.allHexes, worldData.seed, addLogMessage);
+    // 固定した集落・首都 (regenerationLocks.ts) は元の名前に戻す
+    restorePinnedNames(worldData.allHexes!);
+    await reportPass(3);
+
+    return worldData;
+}
+
+// ================================================================
+// ■ 一括実行・出力
+// ================================================================
+
+/**
+ * 全ステージを順番に実行し、完成した世界データを返す (ヘッドレス用)
+ * シード値だけを渡した場合は、上書きのないレシピ (config.ts の既定値) で生成する。
+ * @param {number|WorldRecipe} seedOrRecipe - 乱数シード、または世界のレシピ
+ * @param {LogFn} addLogMessage - ログ出力関数
+ * @param {BaseTerrainImage|null} [baseTerrain] - 地形の下絵 (高さ画像・陸地マスク)
+ * @returns {Promise<WorldData>} 生成された世界データ
+ */
+export async function generateWorld(seedOrRecipe: number | WorldRecipe, addLogMessage: LogFn, baseTerrain: BaseTerrainImage | null = null): Promise<WorldData> {
+    const requested = typeof seedOrRecipe === 'number' ? createRecipe(seedOrRecipe) : seedOrRecipe;
+    // レシピには実際に使う下絵を記録する。部分的な再生成の記録は、世界を生成してから順に実行する
+    setActiveRecipe(withBaseTerrain(withoutRerolls(requested), baseTerrain));
+    const recipe = getActiveRecipe();
+    const worldData: WorldData = { allHexes: null, roadPaths: null, seed: recipe.seed, recipe };
+
+    await addLogMessage(`シード値 ${recipe.seed} で世界を生成します。`);
+    const warning = getBaseTerrainWarning(requested, baseTerrain);
+    if (warning) await addLogMessage(`警告: ${warning}`);
+    worldData.allHexes = await runContinentStage(recipe.seed, addLogMessage, undefined, baseTerrain);
+
+    const settlementResult = await runSettlementStage(worldData.allHexes, addLogMessage);
+    worldData.allHexes = settlementResult.allHexes;
+    worldData.roadPaths = settlementResult.roadPaths;
+
+    worldData.roadPaths = await buildRoadNetwork(worldData.allHexes, addLogMessage);
+    await runEconomyStage(worldData, addLogMessage);
+
+    if (requested.rerolls) await runRecipeRerolls(worldData, requested.rerolls, addLogMessage);
+    return worldData;
+}
+
+/**
+ * レシピに記録された部分的な再生成を、記録の順に実行する (main.ts の rerollWorld と同じ手順)
+ * 固定は作り直す前の世界から読み取り、作り直しのシードで乱数を初期化して集落から (③④) または道路・国境・経済 (④) を作り直す。
+ * 作り直すたびに、現在のレシピ (worldData.recipe) に記録を足す。
+ * @param {WorldData} worldData - 経済まで生成済みの世界データ (破壊的に更新)
+ * @param {RecipeReroll[]} rerolls
+ * @param {LogFn} addLogMessage - ログ出力関数
+ * @returns {Promise<WorldData>} 更新後の世界データ
+ */
+export async function runRecipeRerolls(worldData: WorldData, rerolls: RecipeReroll[], addLogMessage: LogFn): Promise<WorldData> {
+    for (const reroll of rerolls) {
+        await addLogMessage(`部分的な再生成: ${REROLL_STAGE_LABELS[reroll.stage]} (シード ${reroll.seed})`);
+        const recipe = getActiveRecipe();
+        // 作り直しの間は、ブラウザと同じく作り直しのシードを入れたレシピを使う
+        setActiveRecipe({ ...recipe, seed: reroll.seed });
+        setActiveLockPlan(resolveLockPlan(worldData.allHexes!, locksFromReroll(reroll)));
+        initGlobalRandom(reroll.seed);
+        // ブラウザでは作り直すたびに生成ワーカーが新しく立ち上がるため、国名の登録も空から始める
+        clearNationNames();
+
+        if (reroll.stage === 'settlement') {
+            const settlementResult = await runSettlementStage(worldData.allHexes!, addLogMessage);
+            worldData.allHexes = settlementResult.allHexes;
+            worldData.roadPaths = settlementResult.roadPaths;
+        }
+        worldData.roadPaths = await buildRoadNetwork(worldData.allHexes!, addLogMessage);
+        const result = await runEconomyStage({ allHexes: worldData.allHexes, roadPaths: worldData.roadPaths, seed: reroll.seed, recipe: getActiveRecipe() }, addLogMessage);
+        worldData.allHexes = result.allHexes;
+        setActiveLockPlan(null);
+
+        setActiveRecipe(withReroll(recipe, reroll));
+        worldData.recipe = getActiveRecipe();
+    }
+    return worldData;
+}
+
+/**
+ * 世界データをブロックに分割し、BlockManager.load が読み込めるファイル形式に変換する
+ * @param {WorldData} worldData - 生成済みの世界データ
+ * @param {Object} [options]
+ * @param {boolean} [options.skipEmptyBlocks=false] - 世界の範囲外（ダミーの海）だけのブロックを除外する
+ * @returns {Array<{filename: string, payload: object}>} ブロックファイルのリスト
+ */
+export function exportWorldBlocks(worldData: WorldData, options: { skipEmptyBlocks?: boolean } = {}) {
+    const blocks = splitWorldIntoBlocks(worldData, options);
+    return blocks.map(block => createBlockFile(block));
+}
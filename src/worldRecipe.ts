@@ -0,0 +1,336 @@
+// ================================================================
+// GeoForge System - 世界のレシピ
+// ================================================================
+// シード値と、config.ts の生成パラメータのうち上書きした値をまとめた「レシピ」を扱う。
+// 生成処理 (大陸・気候・集落・国家・経済) は config の定数ではなく getGenerationParams() の値を読むため、
+// 同じレシピからは同じ世界が生成される。レシピは世界と一緒に保存され、共有リンク (URL) にも埋め込める。
+// 地形の下絵 (terrainImportPanel.ts) は画像が大きくレシピに含められないため、同じ下絵かを確かめるハッシュと設定だけを記録する。
+// 下絵を使ったレシピは、同じ画像を読み込まない限り同じ世界にならない。
+// 部分的な再生成 (worldVariants.ts) で作り直した世界のレシピは、作り直しのシードと固定を rerolls に順に記録する。
+
+import * as config from './config.ts';
+import type { BaseTerrainImage } from './continentGenerator.ts';
+import type { RerollStage } from './worldVariants.ts';
+
+/**
+ * 世界のレシピ
+ * overrides のキーは config.ts の定数名をドットでつないだパス (例: 'PRECIPITATION_PARAMS.EAST_COAST_MM')
+ */
+export interface WorldRecipe {
+    version: number;
+    seed: number;
+    preset?: string;
+    overrides: Record<string, number>;
+    baseTerrain?: RecipeBaseTerrain; // 大陸の生成に使った地形の下絵 (使っていなければなし)
+    rerolls?: RecipeReroll[];        // 生成したあとの部分的な再生成 (作り直した順。なければなし)
+}
+
+/**
+ * 部分的な再生成の記録 (固定はヘックスの index と国ID で指す。regenerationLocks.ts の RegenerationLocks)
+ * 世界を生成したあと、記録の順に同じシードと固定で作り直すと、作り直した世界が再現される。
+ */
+export interface RecipeReroll {
+    stage: RerollStage;
+    seed: number;
+    capitals: number[];
+    nations: number[];
+    settlements: number[];
+}
+
+/**
+ * レシピに記録する地形の下絵 (画像そのものは含めない)
+ */
+export interface RecipeBaseTerrain {
+    name: string;   // 画像のファイル名 (表示用)
+    width: number;
+    height: number;
+    hash: string;   // 明るさの配列のハッシュ (FNV-1a)
+    mode: BaseTerrainImage['mode'];
+    seaLevel: number;
+    maxElevation: number;
+    noiseDetail: number;
+}
+
+// レシピで上書きできる生成パラメータの既定値 (config.ts の定数)
+const DEFAULT_PARAMS = {
+    CONTINENT_NOISE_FREQ: config.CONTINENT_NOISE_FREQ,
+    CONTINENT_FALLOFF_START: config.CONTINENT_FALLOFF_START,
+    CONTINENT_FALLOFF_RANGE: config.CONTINENT_FALLOFF_RANGE,
+    SEA_LEVEL: config.SEA_LEVEL,
+    EAST_SEA_BIAS_X_START: config.EAST_SEA_BIAS_X_START,
+    EAST_SEA_BIAS_INTENSITY: config.EAST_SEA_BIAS_INTENSITY,
+    NW_SEA_BIAS_RADIUS: config.NW_SEA_BIAS_RADIUS,
+    NW_SEA_BIAS_INTENSITY: config.NW_SEA_BIAS_INTENSITY,
+    MOUNTAIN_NOISE_FREQ: config.MOUNTAIN_NOISE_FREQ,
+    MOUNTAIN_DISTRIBUTION_POWER: config.MOUNTAIN_DISTRIBUTION_POWER,
+    MOUNTAIN_SHAPE_POWER: config.MOUNTAIN_SHAPE_POWER,
+    MOUNTAIN_HEIGHT_MAX: config.MOUNTAIN_HEIGHT_MAX,
+    HILL_NOISE_FREQ: config.HILL_NOISE_FREQ,
+    HILL_HEIGHT_MAX: config.HILL_HEIGHT_MAX,
+    DETAIL_NOISE_FREQ: config.DETAIL_NOISE_FREQ,
+    DETAIL_HEIGHT_MAX: config.DETAIL_HEIGHT_MAX,
+    PRECIPITATION_PARAMS: config.PRECIPITATION_PARAMS,
+    NUM_NATIONS: config.NUM_NATIONS,
+    POPULATION_PARAMS: config.POPULATION_PARAMS,
+    SETTLEMENT_PARAMS: config.SETTLEMENT_PARAMS
+};
+
+export type GenerationParams = typeof DEFAULT_PARAMS;
+
+let activeRecipe: WorldRecipe = createRecipe(0);
+let activeParams: GenerationParams = buildParams(activeRecipe);
+
+/**
+ * 現在の世界の生成パラメータ (既定値にレシピの上書きを適用したもの)
+ * @returns {GenerationParams}
+ */
+export function getGenerationParams(): GenerationParams {
+    return activeParams;
+}
+
+/**
+ * 現在の世界のレシピ
+ * @returns {WorldRecipe}
+ */
+export function getActiveRecipe(): WorldRecipe {
+    return activeRecipe;
+}
+
+/**
+ * 以降の生成に使うレシピを設定する (生成の開始時と、保存された世界の読み込み時に呼び出す)
+ * @param {WorldRecipe} recipe
+ */
+export function setActiveRecipe(recipe: WorldRecipe) {
+    activeRecipe = validateRecipe(recipe);
+    activeParams = buildParams(activeRecipe);
+}
+
+/**
+ * レシピを作る
+ * @param {number} seed - 乱数シード
+ * @param {Object} [overrides] - 上書きするパラメータ (パス → 値)
+ * @param {string} [preset] - 元にしたプリセット (WORLD_RECIPE_PARAMS.PRESETS のキー)
+ * @returns {WorldRecipe}
+ */
+export function createRecipe(seed: number, overrides: Record<string, number> = {}, preset?: string): WorldRecipe {
+    const recipe: WorldRecipe = { version: config.WORLD_RECIPE_PARAMS.VERSION, seed, overrides: { ...overrides } };
+    if (preset) recipe.preset = preset;
+    return recipe;
+}
+
+/**
+ * パラメータの既定値 (config.ts の値)
+ * @param {string} path - 'SEA_LEVEL' や 'PRECIPITATION_PARAMS.EAST_COAST_MM' などのパス
+ * @returns {number|undefined} 数値のパラメータでなければ undefined
+ */
+export function getDefaultParam(path: string): number | undefined {
+    let value: any = DEFAULT_PARAMS;
+    for (const key of path.split('.')) {
+        if (value === null || typeof value !== 'object' || !(key in value)) return undefined;
+        value = value[key];
+    }
+    return typeof value === 'number' ? value : undefined;
+}
+
+/**
+ * レシピの形式と上書きの値を確かめ、整えたレシピを返す
+ * パネルの項目 (WORLD_RECIPE_PARAMS.FIELDS) にある値は範囲内に丸める。
+ * @param {any} data - レシピ (保存データや URL から読み込んだもの)
+ * @returns {WorldRecipe}
+ */
+export function validateRecipe(data: any): WorldRecipe {
+    if (!data || typeof data !== 'object') throw new Error('レシピの形式が正しくありません。');
+    if (data.version !== config.WORLD_RECIPE_PARAMS.VERSION) {
+        throw new Error(`対応していないレシピのバージョンです: ${data.version}`);
+    }
+    const seed = Number(data.seed);
+    if (!Number.isFinite(seed)) throw new Error('レシピのシード値が数値ではありません。');
+
+    const overrides: Record<string, number> = {};
+    Object.entries(data.overrides || {}).forEach(([path, raw]) => {
+        if (getDefaultParam(path) === undefined) throw new Error(`レシピに不明なパラメータがあります: ${path}`);
+        let value = Number(raw);
+        if (!Number.isFinite(value)) throw new Error(`パラメータ ${path} の値が数値ではありません。`);
+        const field = config.WORLD_RECIPE_PARAMS.FIELDS.find(f => f.path === path);
+        if (field) value = Math.min(field.max, Math.max(field.min, value));
+        if (path === 'NUM_NATIONS') value = Math.round(value);
+        overrides[path] = value;
+    });
+
+    const preset = typeof data.preset === 'string' && config.WORLD_RECIPE_PARAMS.PRESETS[data.preset] ? data.preset : undefined;
+    const recipe = createRecipe(seed, overrides, preset);
+    if (data.baseTerrain) recipe.baseTerrain = validateBaseTerrain(data.baseTerrain);
+    if (data.rerolls !== undefined) {
+        const rerolls = validateRerolls(data.rerolls);
+        if (rerolls.length > 0) recipe.rerolls = rerolls;
+    }
+    return recipe;
+}
+
+/**
+ * 部分的な再生成の記録を足したレシピ (元のレシピは変更しない)
+ * @param {WorldRecipe} recipe - 作り直す前の世界のレシピ
+ * @param {RecipeReroll} reroll
+ * @returns {WorldRecipe}
+ */
+export function withReroll(recipe: WorldRecipe, reroll: RecipeReroll): WorldRecipe {
+    return { ...recipe, rerolls: [...(recipe.rerolls || []), structuredClone(reroll)] };
+}
+
+/**
+ * 部分的な再生成の記録を外したレシピ (最初に生成した世界のレシピ)
+ * @param {WorldRecipe} recipe
+ * @returns {WorldRecipe}
+ */
+export function withoutRerolls(recipe: WorldRecipe): WorldRecipe {
+    const { rerolls, ...rest } = recipe;
+    return rest;
+}
+
+/**
+ * 地形の下絵をレシピに記録する (下絵がなければ記録を外す)
+ * @param {WorldRecipe} recipe
+ * @param {BaseTerrainImage|null} image - 大陸の生成に使う下絵
+ * @returns {WorldRecipe} 下絵を記録したレシピ (元のレシピは変更しない)
+ */
+export function withBaseTerrain(recipe: WorldRecipe, image: BaseTerrainImage | null): WorldRecipe {
+    const { baseTerrain, ...rest } = recipe;
+    if (!image) return rest;
+    return {
+        ...rest,
+        baseTerrain: {
+            name: image.name || '',
+            width: image.width,
+            height: image.height,
+            hash: hashValues(image.values),
+            mode: image.mode,
+            seaLevel: image.seaLevel,
+            maxElevation: image.maxElevation,
+            noiseDetail: image.noiseDetail
+        }
+    };
+}
+
+/**
+ * 2つのレシピの地形の下絵 (画像と設定) が同じかどうか (どちらも下絵なしなら true)
+ * @param {RecipeBaseTerrain} [a]
+ * @param {RecipeBaseTerrain} [b]
+ * @returns {boolean}
+ */
+export function isSameBaseTerrain(a?: RecipeBaseTerrain, b?: RecipeBaseTerrain): boolean {
+    if (!a || !b) return !a && !b;
+    return a.hash === b.hash && a.width === b.width && a.height === b.height && a.mode === b.mode
+        && a.seaLevel === b.seaLevel && a.maxElevation === b.maxElevation && a.noiseDetail === b.noiseDetail;
+}
+
+/**
+ * レシピを URL に埋め込める文字列 (JSON を base64url にしたもの) にする
+ * @param {WorldRecipe} recipe
+ * @returns {string}
+ */
+export function encodeRecipe(recipe: WorldRecipe): string {
+    const bytes = new TextEncoder().encode(JSON.stringify(recipe));
+    let binary = '';
+    bytes.forEach(b => binary += String.fromCharCode(b));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * encodeRecipe の文字列をレシピに戻す
+ * @param {string} text
+ * @returns {WorldRecipe}
+ */
+export function decodeRecipe(text: string): WorldRecipe {
+    let data: any;
+    try {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    } catch (e) {
+        throw new Error('レシピを読み取れませんでした。リンクが途中で切れていないか確認してください。');
+    }
+    return validateRecipe(data);
+}
+
+/**
+ * レシピに記録された地形の下絵が、生成に使う下絵と食い違うときの警告 (食い違わなければ null)
+ * レシピに下絵がなければ、読み込んだ下絵を使うのは通常の生成のため警告しない。
+ * @param {WorldRecipe} requested - 元のレシピ (共有リンク・保存したレシピ)
+ * @param {BaseTerrainImage|null} image - 生成に使う下絵
+ * @returns {string|null}
+ */
+export function getBaseTerrainWarning(requested: WorldRecipe, image: BaseTerrainImage | null): string | null {
+    const expected = requested.baseTerrain;
+    if (!expected || isSameBaseTerrain(expected, withBaseTerrain(requested, image).baseTerrain)) return null;
+    return `レシピは地形の下絵 (${describeBaseTerrain(expected)}) を使っていますが、同じ下絵と設定が読み込まれていないため、同じ世界にはなりません。`;
+}
+
+/**
+ * 地形の下絵の短い説明 (例: 'island.png、512×384px')
+ * @param {RecipeBaseTerrain} baseTerrain
+ * @returns {string}
+ */
+export function describeBaseTerrain(baseTerrain: RecipeBaseTerrain): string {
+    return `${baseTerrain.name || '名前なし'}、${baseTerrain.width}×${baseTerrain.height}px`;
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+function validateBaseTerrain(data: any): RecipeBaseTerrain {
+    const numbers = ['width', 'height', 'seaLevel', 'maxElevation', 'noiseDetail'];
+    if (typeof data !== 'object' || typeof data.hash !== 'string' || !['heightmap', 'mask'].includes(data.mode)
+        || numbers.some(key => !Number.isFinite(data[key]))) {
+        throw new Error('レシピの地形の下絵の形式が正しくありません。');
+    }
+    return {
+        name: typeof data.name === 'string' ? data.name : '',
+        width: data.width,
+        height: data.height,
+        hash: data.hash,
+        mode: data.mode,
+        seaLevel: data.seaLevel,
+        maxElevation: data.maxElevation,
+        noiseDetail: data.noiseDetail
+    };
+}
+
+function validateRerolls(data: any): RecipeReroll[] {
+    if (!Array.isArray(data)) throw new Error('レシピの作り直しの記録の形式が正しくありません。');
+    return data.map(reroll => {
+        if (!reroll || !['settlement', 'nations'].includes(reroll.stage) || !Number.isSafeInteger(reroll.seed)) {
+            throw new Error('レシピの作り直しの記録の形式が正しくありません。');
+        }
+        const ids = (key: string): number[] => {
+            const values = reroll[key] ?? [];
+            if (!Array.isArray(values) || !values.every(Number.isInteger)) throw new Error(`レシピの作り直しの記録の ${key} が整数の配列ではありません。`);
+            return [...values];
+        };
+        return { stage: reroll.stage, seed: reroll.seed, capitals: ids('capitals'), nations: ids('nations'), settlements: ids('settlements') };
+    });
+}
+
+// 明るさの配列 (Float32Array) のバイト列の FNV-1a ハッシュ (16進 8 桁)
+function hashValues(values: Float32Array): string {
+    const bytes = new Uint8Array(values.buffer, values.byteOffset, values.byteLength);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * 既定値を複製し、レシピの上書きを適用する (config.ts の定数そのものは変更しない)
+ */
+function buildParams(recipe: WorldRecipe): GenerationParams {
+    const params = structuredClone(DEFAULT_PARAMS);
+    Object.entries(recipe.overrides).forEach(([path, value]) => {
+        const keys = path.split('.');
+        let target: any = params;
+        keys.slice(0, -1).forEach(key => target = target[key]);
+        target[keys[keys.length - 1]] = value;
+    });
+    return params;
+}
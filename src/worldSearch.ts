@@ -0,0 +1,158 @@
+// ================================================================
+// GeoForge System - 地図の検索
+// ================================================================
+// 読み込まれている WorldMap から、集落区分・所属国・沿岸・人口・魔物ランク・資源・植生・特徴などの
+// 条件に合うヘックスを探す (DOM 非依存)。画面は searchPanel.ts、地図のハイライトは MapView.ts。
+
+import { WorldMap, Hex, RANKS, SETTLEMENT_TYPES, VEGETATIONS, RESOURCE_RANKS } from './WorldMap.ts';
+import { getNationName } from './utils.ts';
+import { getCityCharacteristics } from './economySimulator.ts';
+
+/**
+ * 検索条件 (省略・空の項目は条件なし)
+ */
+export interface WorldSearchQuery {
+    text?: string; // 名前 (集落・河川・山脈・国) の部分一致
+    settlement?: string; // 集落区分。'*' は集落のあるヘックスすべて
+    nationId?: number | null; // 所属国 (0 は辺境)
+    coastal?: boolean | null; // 沿岸かどうか
+    populationMin?: number | null;
+    populationMax?: number | null;
+    monsterRank?: string; // このランク以上の魔物がいる (S が最も危険)。'none' は魔物のいないヘックス
+    resourceRank?: string; // 代表鉱物
+    vegetation?: string;
+    characteristic?: string; // 特徴 (getCityCharacteristics の値、例: '特産品: 果実酒')
+}
+
+export interface WorldSearchResult {
+    index: number;
+    col: number;
+    row: number;
+    name: string;
+    settlement: string | null;
+    nationId: number;
+    nationName: string;
+    population: number;
+    isCoastal: boolean;
+    monsterRank: string | null;
+    resourceRank: string | null;
+    vegetation: string;
+    characteristics: string[];
+}
+
+export type WorldSearchSortKey = 'name' | 'settlement' | 'nation' | 'population' | 'monsterRank' | 'resourceRank' | 'vegetation';
+
+/**
+ * 条件に合うヘックスを探す
+ * 植生を指定しない場合、水域 (海・湖) のヘックスは対象外。
+ * @param {WorldMap} allHexes - 検索する世界
+ * @param {WorldSearchQuery} query - 検索条件
+ * @returns {WorldSearchResult[]} 見つかったヘックス (ヘックスのインデックス順)
+ */
+export function searchWorld(allHexes: WorldMap, query: WorldSearchQuery): WorldSearchResult[] {
+    const text = (query.text || '').trim();
+    const results: WorldSearchResult[] = [];
+
+    allHexes.forEach((h: Hex) => {
+        const p = h.properties;
+        if (p.isWater && !query.vegetation) return;
+
+        if (query.settlement === '*' ? !p.settlement : (query.settlement && p.settlement !== query.settlement)) return;
+        if (query.nationId !== undefined && query.nationId !== null && (p.nationId || 0) !== query.nationId) return;
+        if (query.coastal !== undefined && query.coastal !== null && p.isCoastal !== query.coastal) return;
+        const population = p.population || 0;
+        if (query.populationMin !== undefined && query.populationMin !== null && population < query.populationMin) return;
+        if (query.populationMax !== undefined && query.populationMax !== null && population > query.populationMax) return;
+        if (query.monsterRank && !matchesMonsterRank(p.monsterRank, query.monsterRank)) return;
+        if (query.resourceRank && p.resourceRank !== query.resourceRank) return;
+        if (query.vegetation && p.vegetation !== query.vegetation) return;
+
+        const characteristics = getCityCharacteristics(p);
+        if (query.characteristic && !characteristics.includes(query.characteristic)) return;
+
+        const names = [p.settlementName, p.riverName, p.ridgeName, p.settlement === '首都' ? p.nationName : null].filter(Boolean) as string[];
+        if (text && !names.some(name => name.includes(text))) return;
+
+        results.push({
+            index: h.index,
+            col: h.col,
+            row: h.row,
+            name: names[0] || '',
+            settlement: p.settlement || null,
+            nationId: p.nationId || 0,
+            nationName: getNationName(p.nationId),
+            population,
+            isCoastal: p.isCoastal,
+            monsterRank: p.monsterRank || null,
+            resourceRank: p.resourceRank || null,
+            vegetation: p.vegetation,
+            characteristics
+        });
+    });
+    return results;
+}
+
+/**
+ * 検索結果を並べ替える (元の配列は変更しない)
+ * 集落区分・ランクは規模・危険度の大きい順を「降順」とする。
+ * @param {WorldSearchResult[]} results
+ * @param {WorldSearchSortKey} key - 並べ替える列
+ * @param {boolean} descending - 降順にするかどうか
+ * @returns {WorldSearchResult[]}
+ */
+export function sortSearchResults(results: WorldSearchResult[], key: WorldSearchSortKey, descending: boolean): WorldSearchResult[] {
+    const value = (r: WorldSearchResult): number | string => {
+        switch (key) {
+            case 'name': return r.name;
+            case 'settlement': return -orderOf(SETTLEMENT_TYPES, r.settlement);
+            case 'nation': return r.nationName;
+            case 'population': return r.population;
+            case 'monsterRank': return -orderOf(RANKS, r.monsterRank);
+            case 'resourceRank': return orderOf(RESOURCE_RANKS, r.resourceRank);
+            case 'vegetation': return orderOf(VEGETATIONS, r.vegetation);
+        }
+    };
+    const sign = descending ? -1 : 1;
+    return [...results].sort((a, b) => {
+        const va = value(a), vb = value(b);
+        const diff = typeof va === 'string' ? va.localeCompare(vb as string, 'ja') : va - (vb as number);
+        return diff !== 0 ? sign * diff : a.index - b.index;
+    });
+}
+
+/**
+ * 検索条件の選択肢 (世界に存在する所属国と特徴)
+ * @param {WorldMap} allHexes
+ * @returns {{nationIds: number[], characteristics: string[]}}
+ */
+export function collectSearchChoices(allHexes: WorldMap): { nationIds: number[]; characteristics: string[] } {
+    const nationIds = new Set<number>();
+    const characteristics = new Set<string>();
+    allHexes.forEach((h: Hex) => {
+        const p = h.properties;
+        if (p.isWater) return;
+        if (p.nationId > 0) nationIds.add(p.nationId);
+        getCityCharacteristics(p).forEach(c => characteristics.add(c));
+    });
+    return {
+        nationIds: [...nationIds].sort((a, b) => a - b),
+        characteristics: [...characteristics].sort((a, b) => a.localeCompare(b, 'ja'))
+    };
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+function matchesMonsterRank(rank: string | null, condition: string): boolean {
+    if (condition === 'none') return !rank;
+    return !!rank && RANKS.indexOf(rank) <= RANKS.indexOf(condition);
+}
+
+/**
+ * 定義順の位置 (値がなければ末尾より後)
+ */
+function orderOf(list: string[], value: string | null): number {
+    const i = value ? list.indexOf(value) : -1;
+    return i >= 0 ? i : list.length;
+}
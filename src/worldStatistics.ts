@@ -0,0 +1,295 @@
+// ================================================================
+// GeoForge System - 国家・領域の統計
+// ================================================================
+// 統計ダッシュボード (statsDashboardPanel.ts) のための集計 (DOM 非依存)。
+// 国家 (nationId) または首都・都市・領都の支配領域ごとに、人口構成 (demographics)・産業階層ごとの生産量・
+// 食料自給率・船舶 (ships)・道路Lvごとの延長・土地利用をまとめ、グラフと CSV に共通の表 (StatsTable) にする。
+
+import * as config from './config.ts';
+import { getIndex, getNationName } from './utils.ts';
+import { WorldMap } from './WorldMap.ts';
+import { getGenerationParams } from './worldRecipe.ts';
+
+/** 集計の単位 (国家 / 支配領域) */
+export type StatsScope = 'nation' | 'territory';
+
+/** 国家または支配領域ひとつの集計 */
+export interface StatsGroup {
+    key: number;                        // nationId または支配領域の中心のヘックスのインデックス (領都に属さない土地は -1)
+    name: string;
+    population: number;
+    landHexes: number;
+    demographics: Record<string, number>;
+    industry: Record<string, number>;   // 産業階層 (primary〜quinary) ごとの生産量の合計
+    foodProduction: number;             // 食料の年間生産量 (t)
+    foodDemand: number;                 // 食料の年間需要 (t)
+    stapleProduction: number;           // 主食の年間生産量 (t)
+    stapleDemand: number;               // 主食の年間需要 (t)
+    ships: Record<string, number>;
+    roadKm: Record<string, number>;     // 道路Lvの名称 → 延長 (km)
+    landUse: Record<string, number>;    // 農地・集落・植生 → 面積 (ha)
+}
+
+/** グラフと CSV に共通の表 (行 = 国家・領域、列 = 区分) */
+export interface StatsTable {
+    id: string;
+    title: string;
+    unit: string;
+    columns: string[];
+    rows: { label: string; values: number[] }[];
+    // stacked: 列を積み上げた棒 (合計で比べる)、grouped: chartColumns の列を並べた棒
+    chart: { type: 'stacked' | 'grouped'; chartColumns: number[] };
+}
+
+// ================================================================
+// ■ 集計
+// ================================================================
+
+/**
+ * 国家または支配領域ごとに世界を集計する
+ * @param {WorldMap} allHexes - 全ヘックス (経済シミュレーション済み)
+ * @param {Array<object>|null} roadPaths - 道路のリスト (延長の集計に使う)
+ * @param {StatsScope} scope - 'nation' は辺境 (nationId 0) を含む国家ごと、'territory' は首都・都市・領都の支配領域ごと
+ * @returns {StatsGroup[]} 人口の多い順
+ */
+export function computeWorldStatistics(allHexes: WorldMap | any[], roadPaths: any[] | null, scope: StatsScope): StatsGroup[] {
+    const params = config.STATS_DASHBOARD_PARAMS;
+    const settlementParams = getGenerationParams().SETTLEMENT_PARAMS as Record<string, { consumption_t_per_person: number }>;
+    const groups = new Map<number, StatsGroup>();
+
+    const hubByIndex = scope === 'territory' ? assignTerritoryHubs(allHexes) : null;
+    // ヘックスの属する集計の単位 (水域は null)
+    const groupKeyOf = (h: any): number | null => {
+        const p: any = h.properties;
+        if (p.isWater) return null;
+        if (scope === 'nation') return p.nationId > 0 ? p.nationId : 0;
+        return hubByIndex![getIndex(h.col, h.row)];
+    };
+    const groupOf = (key: number): StatsGroup => {
+        let group = groups.get(key);
+        if (!group) {
+            group = {
+                key, name: getGroupName(allHexes, scope, key), population: 0, landHexes: 0,
+                demographics: {}, industry: {}, foodProduction: 0, foodDemand: 0, stapleProduction: 0, stapleDemand: 0,
+                ships: {}, roadKm: {}, landUse: {}
+            };
+            groups.set(key, group);
+        }
+        return group;
+    };
+
+    allHexes.forEach((h: any) => {
+        const p: any = h.properties;
+        const key = groupKeyOf(h);
+        if (key === null) return;
+        const group = groupOf(key);
+        const population = p.population || 0;
+        group.population += population;
+        group.landHexes++;
+
+        addCounts(group.demographics, p.demographics);
+        addCounts(group.ships, p.ships);
+
+        const industry = p.industry || {};
+        Object.keys(params.INDUSTRY_TIERS).forEach(tier => {
+            const total = (Object.values(industry[tier] || {}) as number[]).reduce((sum, v) => sum + (v || 0), 0);
+            group.industry[tier] = (group.industry[tier] || 0) + total;
+        });
+
+        const primary = industry.primary || {};
+        group.foodProduction += params.FOOD_ITEMS.reduce((sum, item) => sum + (primary[item] || 0), 0);
+        group.stapleProduction += params.STAPLE_ITEMS.reduce((sum, item) => sum + (primary[item] || 0), 0);
+        const settlementInfo = settlementParams[p.settlement || '散居'];
+        group.foodDemand += population * (settlementInfo ? settlementInfo.consumption_t_per_person : params.DEFAULT_CONSUMPTION_T_PER_PERSON);
+        group.stapleDemand += population * params.STAPLE_DEMAND_T_PER_PERSON;
+
+        // 土地利用: 農地と集落 (情報ウィンドウと同じ面積の式) を除いた残りを、ヘックスの植生の面積とする
+        const farmland = Math.min(config.HEX_AREA_HA, p.cultivatedArea || 0);
+        const settlementArea = population > 0 ? Math.min(config.HEX_AREA_HA - farmland, 0.02 * Math.pow(population, 0.85)) : 0;
+        addCounts(group.landUse, {
+            '農地': farmland,
+            '集落': settlementArea,
+            [p.vegetation || 'その他']: config.HEX_AREA_HA - farmland - settlementArea
+        });
+    });
+
+    // 道路の延長: 隣り合うヘックスの間の区間を最も高い道路Lvで1回だけ数え、区間の始点 (水域なら終点) の単位に加える
+    const segments = new Map<string, { a: number; b: number; level: number }>();
+    (roadPaths || []).forEach(road => {
+        if (!params.ROAD_NAMES[road.level] || !road.path) return;
+        for (let i = 1; i < road.path.length; i++) {
+            const a = getIndex(road.path[i - 1].x, road.path[i - 1].y);
+            const b = getIndex(road.path[i].x, road.path[i].y);
+            if (a === b) continue;
+            const id = a < b ? `${a}-${b}` : `${b}-${a}`;
+            const segment = segments.get(id);
+            if (!segment || segment.level < road.level) segments.set(id, { a, b, level: road.level });
+        }
+    });
+    segments.forEach(({ a, b, level }) => {
+        const hexA = allHexes[a];
+        const hexB = allHexes[b];
+        const key = (hexA && groupKeyOf(hexA)) ?? (hexB && groupKeyOf(hexB));
+        if (key === null || key === undefined) return;
+        const roadKm = groupOf(key).roadKm;
+        const name = params.ROAD_NAMES[level];
+        roadKm[name] = (roadKm[name] || 0) + config.HEX_SIZE_KM;
+    });
+
+    return [...groups.values()].sort((a, b) => b.population - a.population);
+}
+
+/**
+ * 陸のヘックスごとに、属する支配領域の中心 (TERRITORY_HUBS) のインデックスを求める (属さなければ -1)
+ * 集落は親 (parentHexId) をたどって最初に見つかった中心に属する。集落のない土地は、
+ * 同じ国の隣り合う土地を中心の側から広げて (幅優先探索)、最も近い集落の支配領域に入れる。
+ */
+function assignTerritoryHubs(allHexes: WorldMap | any[]): Int32Array {
+    const hubs = config.STATS_DASHBOARD_PARAMS.TERRITORY_HUBS;
+    const hubByIndex = new Int32Array(allHexes.length).fill(-1);
+    const resolved = new Uint8Array(allHexes.length);
+
+    const resolveChain = (start: any) => {
+        const chain: number[] = [];
+        let current = start;
+        let hub = -1;
+        while (current) {
+            const index = getIndex(current.col, current.row);
+            if (resolved[index]) {
+                hub = hubByIndex[index];
+                break;
+            }
+            if (chain.includes(index)) break; // 親の循環
+            chain.push(index);
+            const p: any = current.properties;
+            if (hubs.includes(p.settlement)) {
+                hub = index;
+                break;
+            }
+            current = p.parentHexId !== null && p.parentHexId !== undefined ? allHexes[p.parentHexId] : null;
+        }
+        chain.forEach(index => {
+            hubByIndex[index] = hub;
+            resolved[index] = 1;
+        });
+    };
+
+    const queue: number[] = [];
+    allHexes.forEach((h: any) => {
+        const p: any = h.properties;
+        if (p.isWater || !(p.settlement || (p.parentHexId !== null && p.parentHexId !== undefined))) return;
+        const index = getIndex(h.col, h.row);
+        resolveChain(h);
+        if (hubByIndex[index] >= 0) queue.push(index);
+    });
+
+    for (let head = 0; head < queue.length; head++) {
+        const h = allHexes[queue[head]];
+        const nationId = h.properties.nationId;
+        h.neighbors.forEach((neighborIndex: number) => {
+            if (resolved[neighborIndex]) return;
+            const np: any = allHexes[neighborIndex].properties;
+            if (np.isWater || np.settlement || np.nationId !== nationId) return;
+            hubByIndex[neighborIndex] = hubByIndex[queue[head]];
+            resolved[neighborIndex] = 1;
+            queue.push(neighborIndex);
+        });
+    }
+    return hubByIndex;
+}
+
+function addCounts(target: Record<string, number>, source: Record<string, number> | null | undefined) {
+    if (!source) return;
+    Object.entries(source).forEach(([key, value]) => {
+        if (value > 0) target[key] = (target[key] || 0) + value;
+    });
+}
+
+/**
+ * 集計の単位の名前 (国家名、または「領都の名前 (国家名)」)
+ */
+function getGroupName(allHexes: WorldMap | any[], scope: StatsScope, key: number): string {
+    const params = config.STATS_DASHBOARD_PARAMS;
+    if (scope === 'nation') return key > 0 ? getNationName(key) : params.FRONTIER_LABEL;
+    const hub = key >= 0 ? allHexes[key] : null;
+    if (!hub) return params.UNASSIGNED_LABEL;
+    const p: any = hub.properties;
+    const name = p.settlementName || p.settlement || `領域 ${key}`;
+    return `${name} (${getNationName(p.nationId, params.FRONTIER_LABEL)})`;
+}
+
+// ================================================================
+// ■ 表
+// ================================================================
+
+/**
+ * 集計からダッシュボードの表をつくる (人口構成・産業・食料・船舶・道路・土地利用)
+ * @param {StatsGroup[]} groups - computeWorldStatistics の結果
+ * @returns {StatsTable[]}
+ */
+export function buildStatsTables(groups: StatsGroup[]): StatsTable[] {
+    const params = config.STATS_DASHBOARD_PARAMS;
+    const tiers = Object.keys(params.INDUSTRY_TIERS);
+    const percent = (value: number, demand: number) => (demand > 0 ? (value / demand) * 100 : 0);
+
+    return [
+        recordTable('population', '人口と職業', '人', groups, g => g.demographics),
+        {
+            id: 'industry',
+            title: '産業階層ごとの生産量',
+            unit: '生産量',
+            columns: tiers.map(tier => params.INDUSTRY_TIERS[tier]),
+            rows: groups.map(g => ({ label: g.name, values: tiers.map(tier => g.industry[tier] || 0) })),
+            chart: { type: 'stacked', chartColumns: tiers.map((_, i) => i) }
+        },
+        {
+            id: 'food',
+            title: '食料自給率',
+            unit: '%',
+            columns: ['食料自給率 (%)', '主食自給率 (%)', '食料生産 (t/年)', '食料需要 (t/年)', '主食生産 (t/年)', '主食需要 (t/年)'],
+            rows: groups.map(g => ({
+                label: g.name,
+                values: [percent(g.foodProduction, g.foodDemand), percent(g.stapleProduction, g.stapleDemand),
+                    g.foodProduction, g.foodDemand, g.stapleProduction, g.stapleDemand]
+            })),
+            chart: { type: 'grouped', chartColumns: [0, 1] }
+        },
+        recordTable('ships', '船舶', '隻', groups, g => g.ships),
+        recordTable('roads', '道路の延長', 'km', groups, g => g.roadKm, Object.values(params.ROAD_NAMES)),
+        recordTable('land-use', '土地利用', 'ha', groups, g => g.landUse)
+    ];
+}
+
+/**
+ * 区分 → 値の集計を、全体で多い区分から順に列に並べた積み上げの表にする
+ * @param {string[]} [order] - 列の順 (省略時は全体の合計の多い順)
+ */
+function recordTable(id: string, title: string, unit: string, groups: StatsGroup[],
+    getRecord: (g: StatsGroup) => Record<string, number>, order?: string[]): StatsTable {
+    const totals: Record<string, number> = {};
+    groups.forEach(g => addCounts(totals, getRecord(g)));
+    const columns = order
+        ? order.filter(column => totals[column] > 0)
+        : Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+    return {
+        id, title, unit, columns,
+        rows: groups.map(g => {
+            const record = getRecord(g);
+            return { label: g.name, values: columns.map(column => record[column] || 0) };
+        }),
+        chart: { type: 'stacked', chartColumns: columns.map((_, i) => i) }
+    };
+}
+
+/**
+ * 表を CSV (RFC 4180。値は小数第1位まで) にする
+ * 表計算ソフトで文字化けしないよう、書き出すときは先頭に BOM を付ける。
+ */
+export function formatStatsCsv(table: StatsTable, scopeLabel: string): string {
+    const escape = (value: string) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const lines = [[scopeLabel, ...table.columns].map(escape).join(',')];
+    table.rows.forEach(row => {
+        lines.push([escape(row.label), ...row.values.map(v => String(Math.round(v * 10) / 10))].join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,539 @@
+// ================================================================
+// GeoForge System - 世界データの整合性チェック
+// ================================================================
+// 保存された世界 (compressWorldData の圧縮データ) やブロックファイルの集まり (map_EE_NN.json / .gfb) を、
+// WorldMap に展開する前の圧縮ヘックスのまま検査し、機械可読なレポートにまとめる (DOM 非依存)。
+// 実行は CLI (scripts/geoforge.mjs validate)。検査する項目:
+//   block     ブロックのID・座標 (ファイル名と中身のIDの食い違い、座標の重複・欠落・範囲外)
+//   padding   ブロックの周囲 (BLOCK_PADDING) が隣のブロックのコアと一致するか
+//   reference parentHexId / territoryId が存在する陸地のヘックスを指しているか
+//   river     downstreamIndex が循環せず、隣のヘックスを通って水域で終わるか
+//   road      roadPatterns の道路が辺をはさんで隣のヘックスとつながっているか (道路のパターンが保存されていなければ警告)
+//   enum      気候区分・植生が CLIMATE_ZONES / VEGETATIONS の範囲内か
+
+import * as config from './config.ts';
+import * as blockUtils from './BlockUtils.ts';
+import { DICTIONARY_KEYS, resolveLocalIndex } from './BlockIO.ts';
+import { decodeBlockFile, isBinaryBlockFile } from './BlockBinary.ts';
+import { CLIMATE_ZONES, VEGETATIONS } from './WorldMap.ts';
+
+export type IntegrityCheck = 'block' | 'padding' | 'reference' | 'river' | 'road' | 'enum';
+
+const INTEGRITY_CHECKS: IntegrityCheck[] = ['block', 'padding', 'reference', 'river', 'road', 'enum'];
+
+/**
+ * 検出した問題1件
+ */
+export interface IntegrityIssue {
+    check: IntegrityCheck;
+    severity: 'error' | 'warning';
+    block: string | null; // ブロックID (世界データでは null)
+    col: number | null; // ブロック内 (世界データでは世界全体) の座標
+    row: number | null;
+    message: string;
+    detail?: any;
+}
+
+/**
+ * 整合性チェックの結果
+ */
+export interface IntegrityReport {
+    kind: 'world' | 'blocks';
+    blocks: number;
+    hexes: number;
+    summary: {
+        errors: number;
+        warnings: number;
+        // 読み込んでいないブロックを指すため確かめられなかった参照 (parentHexId・territoryId・downstreamIndex)
+        unresolvedReferences: number;
+        // 項目ごとの検査した数と問題の数
+        checks: Record<IntegrityCheck, { checked: number; issues: number }>;
+    };
+    issues: IntegrityIssue[];
+}
+
+/**
+ * 検査するブロックファイル1つ分
+ */
+export interface BlockFileEntry {
+    blockId: string; // ファイル名から求めたブロックID (BlockManager.load が使うID)
+    data: any; // JSON を解析したもの、またはバイナリ形式の内容
+}
+
+// 周囲のセルとコアで比べるプロパティ (短縮キー)
+const PADDING_KEYS: [string, string][] = [
+    ['w', 'isWater'], ['el', 'elevation'], ['tt', 'terrainType'], ['v', 'vegetation'], ['cz', 'climateZone'],
+    ['fl', 'flow'], ['s', 'settlement'], ['n', 'nationId'], ['rl', 'roadLevel']
+];
+
+type DirectionOffsets = Record<'even' | 'odd', number[][]>;
+
+// 方向 (0:N, 1:NE, 2:SE, 3:S, 4:SW, 5:NW) ごとの隣のヘックスへのずれ
+// 保存した世界の座標は blockUtils.getDirection と同じ Odd-Q 座標系 (行 0 が北)
+const WORLD_DIRECTION_OFFSETS: DirectionOffsets = {
+    even: [[0, -1], [1, -1], [1, 0], [0, 1], [-1, 0], [-1, -1]],
+    odd: [[0, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]]
+};
+// ブロックを並べた座標 (blockUtils.blockLocalToGlobal) は行 0 が南のため、行のずれが逆になる
+const BLOCK_DIRECTION_OFFSETS: DirectionOffsets = {
+    even: WORLD_DIRECTION_OFFSETS.even.map(([dc, dr]) => [dc, -dr]),
+    odd: WORLD_DIRECTION_OFFSETS.odd.map(([dc, dr]) => [dc, -dr])
+};
+
+/**
+ * 検査用に並べた圧縮ヘックス
+ */
+interface GridHex {
+    cHex: any;
+    dicts: Record<string, any[]>;
+    block: string | null;
+    col: number; // ブロック内 (世界データでは世界全体) の座標
+    row: number;
+    gcol: number; // 世界全体の座標
+    grow: number;
+    frame: blockUtils.WorldFrame | null; // ヘックスのインデックスを数えた世界の位置 (ブロックのみ。不明なら null)
+}
+
+/**
+ * 世界全体の座標からヘックスを引く表
+ */
+class HexGrid {
+    private readonly hexes = new Map<string, GridHex>();
+
+    set(hex: GridHex) {
+        this.hexes.set(`${hex.gcol},${hex.grow}`, hex);
+    }
+
+    get(gcol: number, grow: number): GridHex | undefined {
+        return this.hexes.get(`${gcol},${grow}`);
+    }
+
+    values() {
+        return this.hexes.values();
+    }
+}
+
+/**
+ * 検査結果をまとめる
+ */
+class ReportBuilder {
+    readonly issues: IntegrityIssue[] = [];
+    readonly checks = Object.fromEntries(INTEGRITY_CHECKS.map(c => [c, { checked: 0, issues: 0 }])) as IntegrityReport['summary']['checks'];
+    unresolvedReferences = 0;
+
+    checked(check: IntegrityCheck, count = 1) {
+        this.checks[check].checked += count;
+    }
+
+    add(check: IntegrityCheck, severity: IntegrityIssue['severity'], hex: { block: string | null; col: number | null; row: number | null }, message: string, detail?: any) {
+        this.checks[check].issues++;
+        const issue: IntegrityIssue = { check, severity, block: hex.block, col: hex.col, row: hex.row, message };
+        if (detail !== undefined) issue.detail = detail;
+        this.issues.push(issue);
+    }
+
+    build(kind: IntegrityReport['kind'], blocks: number, hexes: number): IntegrityReport {
+        return {
+            kind,
+            blocks,
+            hexes,
+            summary: {
+                errors: this.issues.filter(i => i.severity === 'error').length,
+                warnings: this.issues.filter(i => i.severity === 'warning').length,
+                unresolvedReferences: this.unresolvedReferences,
+                checks: this.checks
+            },
+            issues: this.issues
+        };
+    }
+}
+
+// ================================================================
+// ■ 公開関数
+// ================================================================
+
+/**
+ * 保存された世界 (compressWorldData の圧縮データ) を検査する
+ * ヘックスは配列の順に世界全体のインデックスとして扱う (行優先、列数は data.cols)。
+ * @param {Object} data - compressWorldData() の戻り値 (ワールドサーバー・ファイル保存の内容)
+ * @returns {IntegrityReport}
+ */
+export function validateWorld(data: any): IntegrityReport {
+    const report = new ReportBuilder();
+    const cols = data.cols || config.COLS;
+    const rows = data.rows || config.ROWS;
+    const dicts = data.dictionaries || data.dicts || {};
+    const hexList: any[] = data.hexes || [];
+
+    if (hexList.length !== cols * rows) {
+        report.add('block', 'error', { block: null, col: null, row: null },
+            `ヘックス数 (${hexList.length}) が世界の大きさ (${cols}x${rows}) と一致しません。`);
+    }
+
+    const grid = new HexGrid();
+    hexList.forEach((cHex, i) => {
+        const col = i % cols, row = Math.floor(i / cols);
+        grid.set({ cHex, dicts, block: null, col, row, gcol: col, grow: row, frame: null });
+    });
+
+    const resolveIndex = (index: number) => index < cols * rows
+        ? { hex: grid.get(index % cols, Math.floor(index / cols)), outside: false }
+        : { hex: undefined, outside: true };
+
+    runHexChecks(grid, resolveIndex, WORLD_DIRECTION_OFFSETS, report);
+    return report.build('world', 0, hexList.length);
+}
+
+/**
+ * ブロックファイルの集まりを検査する
+ * ブロック内の座標は地図の読み込みと同じ規則 (blockUtils.blockLocalToGlobal、行を上下に反転) で世界全体の座標に直し、周囲のセルは世界全体の座標が同じコアのセルと比べる。
+ * parentHexId などのインデックスは、書き出した世界 (ブロックの world、blockUtils.WorldFrame) の中で行優先に数えたものとして解決する。
+ * world を持たないブロックは、参照を持つブロックの範囲を一つの世界とみなす (inferWorldFrame)。
+ * @param {BlockFileEntry[]} entries - ブロックファイル (JSON・バイナリ形式のどちらでもよい)
+ * @returns {IntegrityReport}
+ */
+export function validateBlocks(entries: BlockFileEntry[]): IntegrityReport {
+    const report = new ReportBuilder();
+    const grid = new HexGrid();
+    // ブロックID → ブロック内のインデックスごとのヘックス
+    const blocks = new Map<string, (GridHex | undefined)[]>();
+    let hexCount = 0;
+
+    const payloads = entries.map(({ blockId, data }) => ({ blockId, payload: isBinaryBlockFile(data) ? decodeBlockFile(data) : data }));
+    const inferredFrame = inferWorldFrame(payloads);
+
+    payloads.forEach(({ blockId, payload }) => {
+        const coords = parseBlockId(blockId);
+        const at = { block: blockId, col: null, row: null };
+        report.checked('block');
+
+        if (!coords) {
+            report.add('block', 'error', at, `ブロックID (${blockId}) を解釈できません。`);
+            return;
+        }
+        if (payload.id && payload.id !== blockId) {
+            report.add('block', 'warning', at, `ファイル名のブロックID (${blockId}) と中身のID (${payload.id}) が異なります。読み込み時はファイル名が使われます。`,
+                { id: payload.id });
+        }
+
+        const dicts = payload.dictionaries || payload.dicts || {};
+        const frame: blockUtils.WorldFrame | null = payload.world || inferredFrame;
+        const cells: (GridHex | undefined)[] = new Array(blockUtils.BLOCK_TOTAL_COLS * blockUtils.BLOCK_TOTAL_ROWS);
+        (payload.hexes || []).forEach(cHex => {
+            hexCount++;
+            const idx = resolveLocalIndex(cHex, blockId);
+            if (idx === null) {
+                report.add('block', 'error', { block: blockId, col: cHex.c ?? null, row: cHex.r ?? null }, 'ヘックスの座標がブロックの範囲外です。');
+                return;
+            }
+            const col = idx % blockUtils.BLOCK_TOTAL_COLS, row = Math.floor(idx / blockUtils.BLOCK_TOTAL_COLS);
+            if (cells[idx]) {
+                report.add('block', 'error', { block: blockId, col, row }, '同じ座標のヘックスが重複しています (後のヘックスが前のヘックスを上書きします)。');
+            }
+            const global = blockUtils.blockLocalToGlobal(coords.ee, coords.nn, col, row);
+            cells[idx] = { cHex, dicts, block: blockId, col, row, gcol: global.col, grow: global.row, frame };
+        });
+
+        const missing = cells.length - cells.filter(Boolean).length;
+        if (missing > 0) {
+            report.add('block', 'error', at, `${missing}個のセルにヘックスがありません (前に読み込んだブロックのデータが残ります)。`, { missing });
+        }
+
+        cells.forEach(hex => {
+            if (hex && isCoreCell(hex.col, hex.row)) grid.set(hex);
+        });
+        blocks.set(blockId, cells);
+    });
+
+    // 世界の端 (グローバル座標の 0 列・0 行など) はどのブロックのコアにも含まれないため、周囲のセルで補う
+    blocks.forEach(cells => cells.forEach(hex => {
+        if (hex && !grid.get(hex.gcol, hex.grow)) grid.set(hex);
+    }));
+
+    checkPadding(blocks, grid, report);
+
+    // 参照元のブロックの世界で数えたインデックスを、世界全体の座標に直して引く (世界が不明なら確かめられない参照)
+    const resolveIndex = (index: number, from: GridHex) => {
+        const frame = from.frame;
+        if (!frame) return { hex: undefined, outside: false };
+        if (index >= frame.cols * frame.rows) return { hex: undefined, outside: true };
+        const global = blockUtils.worldToGlobal(frame, index % frame.cols, Math.floor(index / frame.cols));
+        return { hex: grid.get(global.col, global.row), outside: false };
+    };
+    runHexChecks(grid, resolveIndex, BLOCK_DIRECTION_OFFSETS, report);
+    return report.build('blocks', blocks.size, hexCount);
+}
+
+// ================================================================
+// ■ 個別の検査
+// ================================================================
+
+// index を from のヘックスから見た参照先に解決する
+type IndexResolver = (index: number, from: GridHex) => { hex: GridHex | undefined; outside: boolean };
+
+function runHexChecks(grid: HexGrid, resolveIndex: IndexResolver, offsets: DirectionOffsets, report: ReportBuilder) {
+    checkReferences(grid, resolveIndex, report);
+    checkRivers(grid, resolveIndex, offsets, report);
+    checkRoads(grid, offsets, report);
+    checkEnums(grid, report);
+}
+
+/**
+ * 周囲のセルが、世界全体の座標が同じ隣のブロックのコアのセルと一致するか
+ */
+function checkPadding(blocks: Map<string, (GridHex | undefined)[]>, grid: HexGrid, report: ReportBuilder) {
+    blocks.forEach(cells => {
+        cells.forEach(hex => {
+            if (!hex || isCoreCell(hex.col, hex.row)) return;
+            const owner = grid.get(hex.gcol, hex.grow);
+            // 隣のブロックを読み込んでいない (または世界の端で、コアに含まれない)
+            if (!owner || owner === hex || !isCoreCell(owner.col, owner.row)) return;
+            report.checked('padding');
+
+            const fields = {};
+            PADDING_KEYS.forEach(([key, name]) => {
+                const a = paddingValue(hex, key), b = paddingValue(owner, key);
+                if (a !== b) fields[name] = [a, b];
+            });
+            const names = Object.keys(fields);
+            if (names.length > 0) {
+                report.add('padding', 'error', hex,
+                    `周囲のセルが隣のブロック ${owner.block} のコア (${owner.col}, ${owner.row}) と一致しません: ${names.join(', ')}`,
+                    { neighbor: { block: owner.block, col: owner.col, row: owner.row }, fields });
+            }
+        });
+    });
+}
+
+/**
+ * parentHexId / territoryId が存在する陸地のヘックスを指しているか
+ */
+function checkReferences(grid: HexGrid, resolveIndex: IndexResolver, report: ReportBuilder) {
+    for (const hex of grid.values()) {
+        [['ph', 'parentHexId'], ['ti', 'territoryId']].forEach(([key, name]) => {
+            const value = hex.cHex[key];
+            if (value === null || value === undefined || value === -1) return;
+            report.checked('reference');
+
+            if (!Number.isInteger(value) || value < 0) {
+                report.add('reference', 'error', hex, `${name} (${value}) はヘックスのインデックスではありません。`, { [name]: value });
+                return;
+            }
+            const target = resolveIndex(value, hex);
+            if (target.outside) {
+                report.add('reference', 'error', hex, `${name} (${value}) が世界の外を指しています。`, { [name]: value });
+            } else if (!target.hex) {
+                report.unresolvedReferences++;
+            } else if (isWater(target.hex)) {
+                report.add('reference', 'error', hex, `${name} (${value}) が水域のヘックス (${describe(target.hex)}) を指しています。`,
+                    { [name]: value, target: location(target.hex) });
+            }
+        });
+    }
+}
+
+/**
+ * 河川 (downstreamIndex) が循環せず、隣のヘックスを通って水域で終わるか
+ */
+function checkRivers(grid: HexGrid, resolveIndex: IndexResolver, offsets: DirectionOffsets, report: ReportBuilder) {
+    // 1: たどっている途中, 2: 検査済み (未訪問のヘックスは含まない)
+    const state = new Map<GridHex, number>();
+    const reportedEnds = new Set<GridHex>();
+
+    for (const start of grid.values()) {
+        if (downstreamOf(start) === null || state.has(start)) continue;
+
+        const path: GridHex[] = [];
+        let current: GridHex | undefined = start;
+        while (current && !state.has(current)) {
+            state.set(current, 1);
+            path.push(current);
+            report.checked('river');
+
+            const ds = downstreamOf(current);
+            if (ds === null) {
+                // 終点: 水域 (海・湖) で終わっていなければ問題
+                if (!isWater(current) && !reportedEnds.has(current)) {
+                    reportedEnds.add(current);
+                    report.add('river', 'error', current, `河川が陸地 (${describe(current)}) で途切れています。`, { from: location(start) });
+                }
+                break;
+            }
+            const next = Number.isInteger(ds) && ds >= 0 ? resolveIndex(ds, current) : { hex: undefined, outside: true };
+            if (next.outside) {
+                report.add('river', 'error', current, `downstreamIndex (${ds}) が世界の外を指しています。`, { downstreamIndex: ds });
+                break;
+            }
+            if (!next.hex) {
+                report.unresolvedReferences++;
+                break;
+            }
+            if (!isAdjacent(current, next.hex, offsets)) {
+                report.add('river', 'error', current, `downstreamIndex (${ds}) が隣のヘックスではありません (${describe(next.hex)})。`,
+                    { downstreamIndex: ds, target: location(next.hex) });
+            }
+            if (state.get(next.hex) === 1) {
+                const cycle = path.slice(path.indexOf(next.hex));
+                report.add('river', 'error', next.hex, `河川が ${cycle.length}個のヘックスで循環しています。`, { cycle: cycle.map(location) });
+                break;
+            }
+            current = next.hex;
+        }
+        path.forEach(h => state.set(h, 2));
+    }
+}
+
+/**
+ * 道路のパターン (roadPatterns) の出口の辺に、隣のヘックスの道路の出口がつながっているか
+ * 道路 (roadLevel) があるのにパターン (rp) が保存されていないヘックスは検査できないため、ブロック (世界データでは世界) ごとに警告する。
+ */
+function checkRoads(grid: HexGrid, offsets: DirectionOffsets, report: ReportBuilder) {
+    // ブロックID → パターンのない道路のヘックス数
+    const missing = new Map<string | null, number>();
+
+    for (const hex of grid.values()) {
+        const exits = roadExits(hex);
+        if (exits.size === 0) {
+            if (!Array.isArray(hex.cHex.rp) && (hex.cHex.rl ?? 0) > 0) missing.set(hex.block, (missing.get(hex.block) || 0) + 1);
+            continue;
+        }
+        report.checked('road');
+
+        exits.forEach(dir => {
+            const [dc, dr] = offsets[hex.gcol % 2 !== 0 ? 'odd' : 'even'][dir];
+            const neighbor = grid.get(hex.gcol + dc, hex.grow + dr);
+            if (!neighbor) return; // 世界の外、または読み込んでいないブロック
+            if (!roadExits(neighbor).has((dir + 3) % 6)) {
+                report.add('road', 'error', hex, `方向 ${dir} の道路が隣のヘックス (${describe(neighbor)}) の道路とつながっていません。`,
+                    { direction: dir, neighbor: location(neighbor) });
+            }
+        });
+    }
+
+    missing.forEach((count, block) => {
+        report.add('road', 'warning', { block, col: null, row: null },
+            `道路のあるヘックスが${count}個ありますが、道路のパターン (rp) が保存されていないため、道路のつながりを検査できません。`, { hexes: count });
+    });
+}
+
+/**
+ * 気候区分・植生が CLIMATE_ZONES / VEGETATIONS の値か
+ */
+function checkEnums(grid: HexGrid, report: ReportBuilder) {
+    for (const hex of grid.values()) {
+        [['cz', 'climateZone', CLIMATE_ZONES], ['v', 'vegetation', VEGETATIONS]].forEach(([key, name, values]: [string, string, string[]]) => {
+            const raw = hex.cHex[key];
+            if (raw === null || raw === undefined) return;
+            report.checked('enum');
+
+            const value = resolveValue(hex, key);
+            if (value === undefined) {
+                report.add('enum', 'error', hex, `${name} の辞書番号 (${raw}) が辞書の範囲外です。`, { [name]: raw });
+            } else if (typeof value === 'number' ? !(Number.isInteger(value) && value >= 1 && value <= values.length) : !values.includes(value)) {
+                // 数値は WorldMap の ID (1 ～ 値の数)
+                report.add('enum', 'error', hex, `${name} (${value}) が定義されていない値です。`, { [name]: value });
+            }
+        });
+    }
+}
+
+// ================================================================
+// ■ 内部処理
+// ================================================================
+
+/**
+ * world を持たないブロックの世界の位置を、参照 (parentHexId・territoryId・downstreamIndex) を持つブロックの範囲から求める
+ * 範囲の西端・北端のブロックに世界の (0, 0) を置き、周囲のセルを含めた大きさを世界の大きさとする (5×5 ブロックなら 117×102)。
+ */
+function inferWorldFrame(payloads: { blockId: string; payload: any }[]): blockUtils.WorldFrame | null {
+    let minEE = Infinity, maxEE = -Infinity, minNN = Infinity, maxNN = -Infinity;
+    payloads.forEach(({ blockId, payload }) => {
+        const coords = parseBlockId(blockId);
+        if (payload.world || !coords) return;
+        const hasReference = (payload.hexes || []).some(cHex => ['ph', 'ti', 'ds'].some(key => cHex[key] !== null && cHex[key] !== undefined && cHex[key] !== -1));
+        if (!hasReference) return;
+        minEE = Math.min(minEE, coords.ee);
+        maxEE = Math.max(maxEE, coords.ee);
+        minNN = Math.min(minNN, coords.nn);
+        maxNN = Math.max(maxNN, coords.nn);
+    });
+    if (minEE === Infinity) return null;
+    const padding = blockUtils.BLOCK_PADDING * 2;
+    return {
+        cols: (maxEE - minEE + 1) * blockUtils.BLOCK_CORE_COLS + padding,
+        rows: (maxNN - minNN + 1) * blockUtils.BLOCK_CORE_ROWS + padding,
+        ee: minEE,
+        nn: maxNN
+    };
+}
+
+function parseBlockId(blockId: string): { ee: number; nn: number } | null {
+    const match = /^map_(\d+)_(\d+)$/.exec(blockId);
+    return match ? { ee: parseInt(match[1], 10), nn: parseInt(match[2], 10) } : null;
+}
+
+function isCoreCell(col: number, row: number): boolean {
+    const p = blockUtils.BLOCK_PADDING;
+    return col >= p && col < p + blockUtils.BLOCK_CORE_COLS && row >= p && row < p + blockUtils.BLOCK_CORE_ROWS;
+}
+
+// 辞書を引いた値 (辞書の範囲外は undefined)
+function resolveValue(hex: GridHex, key: string): any {
+    const value = hex.cHex[key];
+    if (value === null || value === undefined) return null;
+    if (DICTIONARY_KEYS.includes(key) && hex.dicts[key]) return hex.dicts[key][value];
+    return value;
+}
+
+// 周囲のセルとコアの比較用の値 (保存時に省略される既定値をそろえる)
+function paddingValue(hex: GridHex, key: string): any {
+    const value = resolveValue(hex, key);
+    if (key === 'w') return !!value;
+    if (['fl', 'n', 'rl'].includes(key)) return value ?? 0;
+    return value ?? null;
+}
+
+function isWater(hex: GridHex): boolean {
+    return !!hex.cHex.w;
+}
+
+function downstreamOf(hex: GridHex): number | null {
+    const ds = hex.cHex.ds;
+    return ds === null || ds === undefined || ds === -1 ? null : ds;
+}
+
+function isAdjacent(a: GridHex, b: GridHex, offsets: DirectionOffsets): boolean {
+    return offsets[a.gcol % 2 !== 0 ? 'odd' : 'even'].some(([dc, dr]) => a.gcol + dc === b.gcol && a.grow + dr === b.grow);
+}
+
+/**
+ * 道路のパターンが出入りする辺の方向
+ * パターン 0-5: 中心と辺 N、6-11: 辺 N と (N+1)%6、12-17: 辺 N と (N+2)%6 (blockUtils.getPatternIds)
+ */
+function roadExits(hex: GridHex): Set<number> {
+    const exits = new Set<number>();
+    const rp = hex.cHex.rp;
+    if (!Array.isArray(rp)) return exits;
+    // 保存形式は [pattern, level, nationId] を平らに並べた配列
+    for (let i = 0; i < rp.length; i += 3) {
+        const pattern = rp[i];
+        if (pattern < 6) {
+            exits.add(pattern);
+        } else if (pattern < 12) {
+            exits.add(pattern - 6);
+            exits.add((pattern - 5) % 6);
+        } else if (pattern < 18) {
+            exits.add(pattern - 12);
+            exits.add((pattern - 10) % 6);
+        }
+    }
+    return exits;
+}
+
+function location(hex: GridHex) {
+    return { block: hex.block, col: hex.col, row: hex.row };
+}
+
+function describe(hex: GridHex): string {
+    return hex.block ? `${hex.block} (${hex.col}, ${hex.row})` : `(${hex.col}, ${hex.row})`;
+}
@@ -0,0 +1,251 @@
+// ================================================================
+// GeoForge System - 世界のバリエーション
+// ================================================================
+// 一部を固定して作り直した世界 (regenerationLocks.ts) を、切り替えられるバリエーションとして残す (DOM 非依存)。
+// バリエーションは世界の複製 (WorldMap のバッファ・道路・年次履歴・国家史) とレシピ (作り直しの記録を含む) を持つ。
+// 世界を保存するときは複製を含めずにレシピなどの記録 (VariantRecord) だけを残し、読み込んだあとは表示中のもの以外をレシピから作り直す。
+// ヘックス編集・名前の変更はレシピに残らないため、手で編集したもの (edited) は記録から作り直さず、切り替えられないものとして残す。
+// 地図の注釈は世界の形に結びつくため、バリエーションには含めずに共通で使う。
+
+import * as config from './config.ts';
+import { WorldMap, WorldMapBuffers } from './WorldMap.ts';
+import { RegenerationLocks } from './regenerationLocks.ts';
+import type { WorldHistory } from './timelineSimulator.ts';
+import type { NationHistory } from './nationHistorySimulator.ts';
+import { WorldRecipe, validateRecipe } from './worldRecipe.ts';
+
+/** 作り直す範囲 ('settlement': 集落・国家・経済 (③④) / 'nations': 道路・国境・経済 (④)) */
+export type RerollStage = 'settlement' | 'nations';
+
+export const REROLL_STAGE_LABELS: Record<RerollStage, string> = {
+    settlement: '集落から',
+    nations: '道路・国境・経済'
+};
+
+/** バリエーションに残す世界の状態 (main.ts の worldData の一部) */
+export interface VariantWorldState {
+    allHexes: WorldMap | null;
+    roadPaths: any[] | null;
+    history?: WorldHistory | null;
+    nationHistory?: NationHistory | null;
+    recipe?: WorldRecipe | null;
+    edited?: boolean; // 手で編集した世界 (作り直す前の世界の編集を引き継いだものを含む)
+}
+
+export interface WorldVariant {
+    id: string;
+    label: string;
+    stage: RerollStage | null; // null は作り直す前の世界
+    seed: number | null;       // 作り直しに使ったシード
+    locks: string;             // 固定したものの説明
+    createdAt: string;
+    recipe: WorldRecipe | null; // この世界のレシピ (作り直しの記録を含む)
+    world: WorldMapBuffers | null; // null は保存から読み込んだ記録だけのもの (切り替えるときにレシピから作り直す)
+    roadPaths: any[] | null;
+    history: WorldHistory | null;
+    nationHistory: NationHistory | null;
+    edited: boolean; // 手で編集した世界 (レシピから作り直すと編集が失われる)
+}
+
+/** 世界と一緒に保存するバリエーションの記録 (世界の複製を除いたもの) */
+export interface VariantRecord {
+    id: string;
+    label: string;
+    stage: RerollStage | null;
+    seed: number | null;
+    locks: string;
+    createdAt: string;
+    recipe: WorldRecipe | null;
+    edited: boolean; // 手で編集した世界 (読み込んだあと、表示中でなければ切り替えられない)
+    active: boolean; // 保存したときに表示していたもの
+}
+
+let variants: WorldVariant[] = [];
+let activeVariantId: string | null = null;
+let variantCount = 0;
+
+/**
+ * 残しているバリエーション (作った順)
+ */
+export function getVariants(): WorldVariant[] {
+    return variants;
+}
+
+/**
+ * 表示中のバリエーションの ID (まだ作り直していなければ null)
+ */
+export function getActiveVariantId(): string | null {
+    return activeVariantId;
+}
+
+/**
+ * すべてのバリエーションを消す (新しい世界の生成・読み込み時)
+ */
+export function clearVariants() {
+    variants = [];
+    activeVariantId = null;
+    variantCount = 0;
+}
+
+/**
+ * 世界の状態をバリエーションとして残し、表示中にする
+ * 数が MAX_VARIANTS を超えたら、表示中でない古いものから消す。
+ * @param {VariantWorldState} state - 残す世界 (複製して残すため、このあと書き換えてもよい)
+ * @param {Object} info - 作り直しの内容
+ * @returns {WorldVariant}
+ */
+export function addVariant(state: VariantWorldState, info: { stage: RerollStage | null; seed: number | null; locks: string }): WorldVariant {
+    variantCount++;
+    const label = info.stage
+        ? `#${variantCount} ${REROLL_STAGE_LABELS[info.stage]} (シード ${info.seed})`
+        : `#${variantCount} ${config.WORLD_VARIANT_PARAMS.ORIGINAL_LABEL}`;
+    const variant: WorldVariant = {
+        id: `variant-${Date.now().toString(36)}-${variantCount}`,
+        label,
+        stage: info.stage,
+        seed: info.seed,
+        locks: info.locks,
+        createdAt: new Date().toISOString(),
+        ...cloneWorldState(state)
+    };
+    variants.push(variant);
+    activeVariantId = variant.id;
+
+    while (variants.length > config.WORLD_VARIANT_PARAMS.MAX_VARIANTS) {
+        const oldest = variants.findIndex(v => v.id !== activeVariantId);
+        variants.splice(oldest, 1);
+    }
+    return variant;
+}
+
+/**
+ * バリエーションの世界を現在の状態で置き換える (切り替える前に、表示中の世界の編集・年表を残す)
+ * @param {string} id
+ * @param {VariantWorldState} state
+ */
+export function updateVariant(id: string, state: VariantWorldState) {
+    const variant = variants.find(v => v.id === id);
+    if (variant) Object.assign(variant, cloneWorldState(state));
+}
+
+/**
+ * バリエーションを消す (表示中のものは消せない)
+ * @param {string} id
+ * @returns {boolean} 消した場合は true
+ */
+export function removeVariant(id: string): boolean {
+    if (id === activeVariantId) return false;
+    const before = variants.length;
+    variants = variants.filter(v => v.id !== id);
+    return variants.length < before;
+}
+
+/**
+ * バリエーションに切り替えられるか (記録だけの手で編集したものは、レシピから作り直すと同じ世界にならないため切り替えない)
+ * @param {WorldVariant} variant
+ * @returns {boolean}
+ */
+export function canSwitchToVariant(variant: WorldVariant): boolean {
+    return !!variant.world || (!!variant.recipe && !variant.edited);
+}
+
+/**
+ * バリエーションを表示中にし、その世界の複製を返す
+ * 記録だけのもの (保存から読み込んだもの) は allHexes を null で返すため、呼び出し側でレシピから作り直す。
+ * @param {string} id
+ * @returns {{allHexes: WorldMap|null, roadPaths: any[]|null, history: WorldHistory|null, nationHistory: NationHistory|null, recipe: WorldRecipe|null, edited: boolean}|null} 見つからなければ null
+ */
+export function activateVariant(id: string) {
+    const variant = variants.find(v => v.id === id);
+    if (!variant) return null;
+    activeVariantId = id;
+    return {
+        allHexes: variant.world ? WorldMap.fromBuffers(structuredClone(variant.world)) : null,
+        roadPaths: structuredClone(variant.roadPaths),
+        history: structuredClone(variant.history),
+        nationHistory: structuredClone(variant.nationHistory),
+        recipe: structuredClone(variant.recipe),
+        edited: variant.edited
+    };
+}
+
+/**
+ * 世界と一緒に保存するバリエーションの記録 (まだ作り直していなければ空)
+ * @returns {VariantRecord[]}
+ */
+export function getVariantRecords(): VariantRecord[] {
+    return variants.map(v => ({
+        id: v.id,
+        label: v.label,
+        stage: v.stage,
+        seed: v.seed,
+        locks: v.locks,
+        createdAt: v.createdAt,
+        recipe: structuredClone(v.recipe),
+        edited: v.edited,
+        active: v.id === activeVariantId
+    }));
+}
+
+/**
+ * 保存から読み込んだバリエーションの記録を戻す
+ * 表示中だったものには読み込んだ世界の複製を持たせ、ほかは記録だけにする。形式の正しくない記録は読み飛ばす。
+ * @param {any} records - 保存されていた VariantRecord の配列
+ * @param {VariantWorldState} state - 読み込んだ世界
+ */
+export function restoreVariants(records: any, state: VariantWorldState) {
+    clearVariants();
+    if (!Array.isArray(records)) return;
+    records.forEach(record => {
+        if (!record || typeof record.id !== 'string' || typeof record.label !== 'string') return;
+        let recipe: WorldRecipe | null = null;
+        try {
+            recipe = record.recipe ? validateRecipe(record.recipe) : null;
+        } catch (e) {
+            console.warn(`バリエーション「${record.label}」のレシピを読み込めませんでした:`, e);
+        }
+        const active = record.active === true && !activeVariantId;
+        variants.push({
+            id: record.id,
+            label: record.label,
+            stage: record.stage === 'settlement' || record.stage === 'nations' ? record.stage : null,
+            seed: Number.isSafeInteger(record.seed) ? record.seed : null,
+            locks: typeof record.locks === 'string' ? record.locks : '',
+            createdAt: typeof record.createdAt === 'string' ? record.createdAt : '',
+            recipe,
+            ...(active ? cloneWorldState(state) : { world: null, roadPaths: null, history: null, nationHistory: null, edited: record.edited === true })
+        });
+        if (active) activeVariantId = record.id;
+        // 続けて作るバリエーションの番号は、ID の末尾の番号の続きにする
+        const count = Number(record.id.split('-').pop());
+        if (Number.isSafeInteger(count)) variantCount = Math.max(variantCount, count);
+    });
+    // 表示中の世界を作り直せないものは、記録だけ残しても切り替えられないため外す
+    variants = variants.filter(v => v.world || v.recipe);
+}
+
+/**
+ * 固定したものの説明 (例: '地形・首都 2・国境 1')
+ * @param {RegenerationLocks} locks
+ * @returns {string}
+ */
+export function describeLocks(locks: RegenerationLocks): string {
+    const parts: string[] = [];
+    if (locks.terrain) parts.push('地形');
+    if (locks.capitals.length > 0) parts.push(`首都 ${locks.capitals.length}`);
+    if (locks.nations.length > 0) parts.push(`国境 ${locks.nations.length}`);
+    if (locks.settlements.length > 0) parts.push(`集落 ${locks.settlements.length}`);
+    return parts.length > 0 ? parts.join('・') : '固定なし';
+}
+
+// WorldMap のバッファは文字列・オブジェクトの配列を共有するため、まとめて深く複製する
+function cloneWorldState(state: VariantWorldState) {
+    return {
+        world: structuredClone(state.allHexes!.toBuffers(false).data),
+        roadPaths: structuredClone(state.roadPaths),
+        history: structuredClone(state.history || null),
+        nationHistory: structuredClone(state.nationHistory || null),
+        recipe: structuredClone(state.recipe || null),
+        edited: state.edited === true
+    };
+}
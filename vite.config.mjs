@@ -28,10 +28,20 @@ export default {
         // ここにビルドしたいHTMLページを定義します
         rulebook: resolve(process.cwd(), 'src/rulebook.html'),
         main: resolve(process.cwd(), 'src/index.html'),
-        // entrysheet: resolve(process.cwd(), 'src/entrysheet.html'),
+        entrysheet: resolve(process.cwd(), 'src/entrysheet.html'),
       }
     }
   },
+  worker: {
+    // 世界生成ワーカー (src/generationWorker.ts) は ES モジュールとして出力する
+    format: 'es'
+  },
+  server: {
+    // ワールドサーバー (npm run server) の API を開発サーバー経由で呼び出す
+    proxy: {
+      '/api': `http://localhost:${process.env.WORLD_SERVER_PORT || 3000}`
+    }
+  },
   define: {
     '__APP_VERSION__': JSON.stringify(process.env.npm_package_version)
   }